@@ -0,0 +1,161 @@
+import mongoose from "mongoose";
+import AfetOlayi from "../models/afetOlayi.model.js";
+import Talep from "../models/talep.model.js";
+import Gorev from "../models/gorev.model.js";
+import { bolgeDogrula } from "../lib/utils/afetOlayiKapsami.js";
+
+export const afetOlaylariGetir = async (req, res) => {
+  try {
+    const filtre = { isDeleted: false };
+    if (req.query.durum) {
+      filtre.durum = req.query.durum;
+    }
+
+    const olaylar = await AfetOlayi.find(filtre).sort({ durum: 1, baslangicTarihi: -1 });
+
+    res.status(200).json(olaylar);
+  } catch (error) {
+    console.log("Afet olayları getirilirken hata:", error.message);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+export const afetOlayiGetir = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: "Geçersiz afet olayı ID" });
+    }
+
+    const olay = await AfetOlayi.findOne({ _id: req.params.id, isDeleted: false })
+      .populate("olusturanKoordinatorId", "ad soyad");
+    if (!olay) {
+      return res.status(404).json({ error: "Afet olayı bulunamadı" });
+    }
+
+    const [talepSayisi, gorevSayisi] = await Promise.all([
+      Talep.countDocuments({ afetOlayiId: olay._id, isDeleted: false }),
+      Gorev.countDocuments({ afetOlayiId: olay._id, isDeleted: false }),
+    ]);
+
+    res.status(200).json({ ...olay.toObject(), talepSayisi, gorevSayisi });
+  } catch (error) {
+    console.log("Afet olayı getirilirken hata:", error.message);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+export const afetOlayiOlustur = async (req, res) => {
+  try {
+    const { ad, tur, aciklama, etkilenenBolge, baslangicTarihi, bitisTarihi } = req.body;
+
+    if (!ad?.trim() || !tur || !baslangicTarihi) {
+      return res.status(400).json({ error: "Ad, tür ve başlangıç tarihi zorunludur" });
+    }
+
+    let bolge;
+    if (etkilenenBolge) {
+      const sonuc = bolgeDogrula(etkilenenBolge);
+      if (sonuc.hata) {
+        return res.status(400).json({ error: sonuc.hata });
+      }
+      bolge = sonuc.bolge;
+    }
+
+    if (bitisTarihi && new Date(bitisTarihi) < new Date(baslangicTarihi)) {
+      return res.status(400).json({ error: "Bitiş tarihi başlangıç tarihinden önce olamaz" });
+    }
+
+    const olay = new AfetOlayi({
+      ad: ad.trim(),
+      tur,
+      aciklama,
+      etkilenenBolge: bolge,
+      baslangicTarihi,
+      bitisTarihi,
+      olusturanKoordinatorId: req.kullanici._id,
+    });
+
+    await olay.save();
+    res.status(201).json(olay);
+  } catch (error) {
+    console.log("Afet olayı oluşturulurken hata:", error.message);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+export const afetOlayiGuncelle = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: "Geçersiz afet olayı ID" });
+    }
+
+    const olay = await AfetOlayi.findOne({ _id: req.params.id, isDeleted: false });
+    if (!olay) {
+      return res.status(404).json({ error: "Afet olayı bulunamadı" });
+    }
+
+    const { ad, tur, aciklama, etkilenenBolge, baslangicTarihi, bitisTarihi, durum } = req.body;
+
+    if (ad !== undefined) olay.ad = ad.trim();
+    if (tur !== undefined) olay.tur = tur;
+    if (aciklama !== undefined) olay.aciklama = aciklama;
+    if (baslangicTarihi !== undefined) olay.baslangicTarihi = baslangicTarihi;
+    if (bitisTarihi !== undefined) olay.bitisTarihi = bitisTarihi || undefined;
+
+    if (etkilenenBolge !== undefined) {
+      if (etkilenenBolge === null) {
+        olay.etkilenenBolge = undefined;
+      } else {
+        const sonuc = bolgeDogrula(etkilenenBolge);
+        if (sonuc.hata) {
+          return res.status(400).json({ error: sonuc.hata });
+        }
+        olay.etkilenenBolge = sonuc.bolge;
+      }
+    }
+
+    if (durum !== undefined) {
+      // Olay kapatılırken bitiş tarihi verilmemişse kapanış anı yazılır
+      if (durum === "kapandi" && olay.durum !== "kapandi" && !olay.bitisTarihi) {
+        olay.bitisTarihi = new Date();
+      }
+      olay.durum = durum;
+    }
+
+    if (olay.bitisTarihi && olay.bitisTarihi < olay.baslangicTarihi) {
+      return res.status(400).json({ error: "Bitiş tarihi başlangıç tarihinden önce olamaz" });
+    }
+
+    await olay.save();
+    res.status(200).json(olay);
+  } catch (error) {
+    console.log("Afet olayı güncellenirken hata:", error.message);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+export const afetOlayiSil = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: "Geçersiz afet olayı ID" });
+    }
+
+    const olay = await AfetOlayi.findOne({ _id: req.params.id, isDeleted: false });
+    if (!olay) {
+      return res.status(404).json({ error: "Afet olayı bulunamadı" });
+    }
+
+    // Talepleri olan olaylar silinmez, kapatılır
+    if (await Talep.exists({ afetOlayiId: olay._id, isDeleted: false })) {
+      return res.status(400).json({ error: "Bu olaya bağlı talepler var; olayı silmek yerine kapatın" });
+    }
+
+    olay.isDeleted = true;
+    await olay.save();
+
+    res.status(200).json({ message: "Afet olayı silindi" });
+  } catch (error) {
+    console.log("Afet olayı silinirken hata:", error.message);
+    res.status(500).json({ error: error.message });
+  }
+};
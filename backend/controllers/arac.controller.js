@@ -1,9 +1,19 @@
 import Arac from "../models/arac.model.js";
+import KurumFirma from "../models/kurumFirma.model.js";
+import Kullanici from "../models/kullanici.model.js";
+import { aracOlayiYayinla } from "../lib/utils/canliYayin.js";
+import { araclariKapsamaGoreSuz } from "../lib/utils/koordinatorKapsami.js";
+import { geoNokta, yakinlikFiltresiOlustur } from "../lib/utils/geoKonum.js";
+import { haversineKm } from "../lib/utils/rotaSaglayici.js";
+import { listeGetir, listeSorgusuOlustur, ListeSorgusuHatasi } from "../lib/utils/listeSorgusu.js";
 
 export const aracEkle = async (req, res) => {
   const {
     plaka,
     aracTuru,
+    marka,
+    model,
+    aracSinifi,
     kullanimAmaci,
     kapasite,
     musaitlikDurumu,
@@ -33,7 +43,7 @@ export const aracEkle = async (req, res) => {
       if (lat === undefined || lng === undefined || !adres) {
         return res.status(400).json({ error: "Konum bilgisi eksik" });
       }
-      yeniKonum = { lat, lng, adres };
+      yeniKonum = { lat, lng, adres, nokta: geoNokta({ lat, lng }) };
     }
 
     const aracVarMi = await Arac.findOne({ plaka, isDeleted: false });
@@ -50,6 +60,9 @@ export const aracEkle = async (req, res) => {
       yeniArac = new Arac({
         plaka,
         aracTuru,
+        marka,
+        model,
+        aracSinifi: aracSinifi === "" ? null : aracSinifi,
         kullanimAmaci,
         kapasite,
         musaitlikDurumu,
@@ -62,6 +75,9 @@ export const aracEkle = async (req, res) => {
       yeniArac = new Arac({
         plaka,
         aracTuru,
+        marka,
+        model,
+        aracSinifi: aracSinifi === "" ? null : aracSinifi,
         kullanimAmaci,
         kapasite,
         musaitlikDurumu,
@@ -73,6 +89,7 @@ export const aracEkle = async (req, res) => {
     }
 
     await yeniArac.save();
+    aracOlayiYayinla(yeniArac, "olusturuldu");
     res.status(201).json({ yeniArac });
   } catch (error) {
     console.log(`Araç ekleme sırasında hata oluştu: ${error.message}`);
@@ -80,33 +97,95 @@ export const aracEkle = async (req, res) => {
   }
 };
 
+// Araç listesinin sorgu sözleşmesi (lib/utils/listeSorgusu.js)
+const ARAC_LISTE_TANIMI = {
+  siralamaAlanlari: ["createdAt", "plaka", "aracTuru", "kapasite", "aracDurumu"],
+  varsayilanSiralama: "-createdAt",
+  durumAlani: "aracDurumu",
+  tarihAlanlari: ["createdAt"],
+  kurumAlani: "kurumFirmaId",
+  aramaAlanlari: ["plaka", "aracTuru", "konum.adres"],
+  iliskiliArama: async (regex) => {
+    const [kurumlar, kullanicilar] = await Promise.all([
+      KurumFirma.find({ kurumAdi: regex }).select("_id"),
+      Kullanici.find({ $or: [{ ad: regex }, { soyad: regex }] }).select("_id"),
+    ]);
+    return [
+      { kurumFirmaId: { $in: kurumlar.map((k) => k._id) } },
+      { kullaniciId: { $in: kullanicilar.map((k) => k._id) } },
+    ];
+  },
+};
+
 export const tumAraclariGetir = async (req, res) => {
+  const { aracTuru, musait } = req.query;
+
   try {
-    const araclar = await Arac.find({ isDeleted: false })
-      .populate("kurumFirmaId", "kurumAdi")
-      .populate("kullaniciId", "ad soyad");
-    if (!araclar) {
-      return res.status(404).json({ error: "Araç bulunamadı" });
+    const liste = await listeSorgusuOlustur(req.query, ARAC_LISTE_TANIMI);
+    liste.filtre.isDeleted = false;
+    if (aracTuru) {
+      liste.filtre.aracTuru = { $in: String(aracTuru).split(",").map((tur) => tur.trim()) };
     }
-    res.status(200).json({ araclar });
+    if (musait === "true" || musait === "false") {
+      liste.filtre.musaitlikDurumu = musait === "true";
+    }
+
+    const sonuc = await listeGetir(Arac, liste, (sorgu) => sorgu
+      .populate("kurumFirmaId", "kurumAdi")
+      .populate("kullaniciId", "ad soyad"));
+
+    // Sayfalama istenmediğinde eski { araclar } yanıtı korunur
+    res.status(200).json(Array.isArray(sonuc) ? { araclar: sonuc } : sonuc);
   } catch (error) {
+    if (error instanceof ListeSorgusuHatasi) {
+      return res.status(400).json({ error: error.message });
+    }
     console.log(`Araçları getirirken hata oluştu: ${error.message}`);
     res.status(500).json({ error: error.message });
   }
 };
 
 export const musaitAraclariGetir = async (req, res) => {
+  const { near, radiusKm, aracTuru } = req.query;
+
   try {
-    const musaitAraclar = await Arac.find({
+    const filtre = {
       musaitlikDurumu: true,
       aracDurumu: "aktif",
       isDeleted: false,
-    })
+    };
+
+    // Birden fazla tür virgülle ayrılarak verilebilir
+    if (aracTuru) {
+      filtre.aracTuru = { $in: String(aracTuru).split(",").map((tur) => tur.trim()) };
+    }
+
+    // near verilirse konumu bilinen araçlar yakından uzağa sıralanır
+    let merkez = null;
+    if (near) {
+      const yakinlik = yakinlikFiltresiOlustur({ near, radiusKm });
+      if (yakinlik.hata) {
+        return res.status(400).json({ error: yakinlik.hata });
+      }
+      merkez = yakinlik.merkez;
+      filtre["konum.nokta"] = yakinlik.filtre;
+    }
+
+    const araclar = await Arac.find(filtre)
       .populate("kurumFirmaId", "kurumAdi")
       .populate("kullaniciId", "ad soyad");
-    if (!musaitAraclar) {
+    if (!araclar) {
       return res.status(404).json({ error: "Araç bulunamadı" });
     }
+
+    // Bölge atanmış koordinatör yalnızca bölgelerindeki araçları görür
+    let musaitAraclar = await araclariKapsamaGoreSuz(req.kullanici, araclar);
+    if (merkez) {
+      musaitAraclar = musaitAraclar.map((arac) => ({
+        ...arac.toObject(),
+        mesafeKm: Math.round(haversineKm(merkez, arac.konum) * 10) / 10,
+      }));
+    }
     res.status(200).json({ musaitAraclar });
   } catch (error) {
     console.log(`Müsait araçları getirirken hata oluştu: ${error.message}`);
@@ -161,6 +240,9 @@ export const aracGuncelle = async (req, res) => {
   const {
     yeniPlaka,
     aracTuru,
+    marka,
+    model,
+    aracSinifi,
     kullanimAmaci,
     kapasite,
     musaitlikDurumu,
@@ -189,6 +271,9 @@ export const aracGuncelle = async (req, res) => {
     const guncellenecekArac = {
       plaka: yeniPlaka,
       aracTuru,
+      marka,
+      model,
+      aracSinifi: aracSinifi === "" ? null : aracSinifi,
       kullanimAmaci,
       kapasite,
       musaitlikDurumu,
@@ -200,7 +285,7 @@ export const aracGuncelle = async (req, res) => {
       if (lat === undefined || lng === undefined || !adres) {
         return res.status(400).json({ error: "Konum bilgisi eksik" });
       }
-      guncellenecekArac.konum = { lat, lng, adres };
+      guncellenecekArac.konum = { lat, lng, adres, nokta: geoNokta({ lat, lng }) };
     }
 
     const arac = await Arac.findOneAndUpdate({ plaka }, guncellenecekArac, {
@@ -210,6 +295,7 @@ export const aracGuncelle = async (req, res) => {
     if (!arac) {
       return res.status(404).json({ error: "Araç bulunamadı" });
     }
+    aracOlayiYayinla(arac, "guncellendi");
     res.status(200).json({ arac });
   } catch (error) {
     console.log(`Araç güncellenirken hata oluştu: ${error.message}`);
@@ -227,6 +313,7 @@ export const aracSil = async (req, res) => {
     
     arac.isDeleted = true;
     await arac.save();
+    aracOlayiYayinla(arac, "silindi");
     
     res.status(200).json({ message: "Araç başarıyla silindi" });
   } catch (error) {
@@ -1,7 +1,57 @@
 import { tokenVeCookieOlustur } from "../lib/utils/generateToken.js";
+import {
+    YENILEME_COOKIE,
+    aktifOturumlariGetir,
+    cikisOturumunuKapat,
+    kullaniciOturumlariniKapat,
+    oturumCookieleriniTemizle,
+    oturumlariKapat,
+    oturumuYenile,
+} from "../lib/utils/oturum.js";
+import {
+    baglantiTokeniniKullan,
+    emailDogrulamaBaglantisiGonder,
+    sifreSifirlamaBaglantisiGonder,
+    telefonDogrulamaKoduGonder,
+    telefonKodunuDogrula,
+} from "../lib/utils/hesapDogrulama.js";
+import {
+    KILIT_ESIGI,
+    girisDenemesiKaydet,
+    girisKilidiniKaldir,
+    hataliGirisiIsle,
+    kilitKalanSn,
+    olagandisiGirisMi,
+    olagandisiGirisiBildir,
+} from "../lib/utils/girisGuvenligi.js";
+import {
+    adimTokeniOlustur,
+    adimTokeniniCoz,
+    ikiAdimliKaldir,
+    ikiAdimliKoduDogrula,
+    ikiAdimliZorunluMu,
+    kalanKurtarmaKoduSayisi,
+    kurtarmaKodlariniYenile,
+    kurulumBaslat,
+    kurulumuTamamla,
+} from "../lib/utils/ikiAdimli.js";
+import { rolYetkileri } from "../lib/utils/yetkiPolitikasi.js";
 import Kullanici from "../models/kullanici.model.js";
+import mongoose from "mongoose";
 import bcrypt from "bcryptjs";
 
+// Yeni kayıtta e-posta doğrulama bağlantısı ve telefon doğrulama kodu gönderilir; başarısız gönderim kaydı engellemez
+const dogrulamaMesajlariniGonder = (kullanici) => {
+    Promise.all([
+        emailDogrulamaBaglantisiGonder(kullanici),
+        telefonDogrulamaKoduGonder(kullanici),
+    ])
+        .then((sonuclar) => sonuclar
+            .filter((sonuc) => sonuc.hata)
+            .forEach((sonuc) => console.log("Doğrulama mesajı gönderilemedi:", sonuc.hata)))
+        .catch((error) => console.error("Doğrulama mesajları gönderilirken hata:", error.message));
+};
+
 export const kayitOl = async(req, res) => {
     try {
         console.log('Registration request received:', {
@@ -85,7 +135,10 @@ export const kayitOl = async(req, res) => {
 
         // Create token and cookie
         console.log('Creating token and cookie...');
-        const token = tokenVeCookieOlustur(yeniKullanici._id, res, isMobile);
+        const { token, yenilemeTokeni } = await tokenVeCookieOlustur(yeniKullanici._id, req, res, isMobile);
+
+        // E-posta bağlantısı ve SMS kodu arka planda gönderilir; kullanıcı kayıt sonrası doğrulama adımında girer
+        dogrulamaMesajlariniGonder(yeniKullanici);
 
         // Send response
         console.log('Sending success response...');
@@ -101,12 +154,17 @@ export const kayitOl = async(req, res) => {
                 kullaniciBeyanBilgileri: yeniKullanici.kullaniciBeyanBilgileri,
                 rolAtamaTarihi: yeniKullanici.rolAtamaTarihi,
                 rolAtayanKoordinatorId: yeniKullanici.rolAtayanKoordinatorId,
+                emailDogrulandi: yeniKullanici.emailDogrulandi,
+                telefonDogrulandi: yeniKullanici.telefonDogrulandi,
+                ikiAdimliAktif: false,
+                yetkiler: rolYetkileri(yeniKullanici.rol),
             }
         };
 
-        // Mobil için token'ı response'a ekle
+        // Mobil için token'ları response'a ekle
         if (isMobile) {
             response.token = token;
+            response.yenilemeTokeni = yenilemeTokeni;
         }
 
         return res.status(201).json(response);
@@ -141,6 +199,58 @@ export const kayitOl = async(req, res) => {
     }
 };
 
+const hesapKilitliDon = (res, kalanSn) => {
+    res.set("Retry-After", String(kalanSn));
+    return res.status(423).json({
+        error: `Çok sayıda hatalı deneme nedeniyle hesabınız geçici olarak kilitlendi. ${Math.ceil(kalanSn / 60)} dakika sonra tekrar deneyin ya da şifrenizi sıfırlayın.`,
+        bekleme: kalanSn,
+    });
+};
+
+// Şifre (ve varsa ikinci adım) doğrulandıktan sonra oturumu açar, girişi kaydeder ve giriş yanıtını döner
+const girisiTamamla = async(kullanici, req, res, isMobile) => {
+    if (kullanici.girisKilidi?.basarisizDeneme || kullanici.girisKilidi?.kilitBitis) {
+        await girisKilidiniKaldir(kullanici._id);
+    }
+
+    const { token, yenilemeTokeni } = await tokenVeCookieOlustur(kullanici._id, req, res, isMobile);
+
+    // Koordinatör hesabına tanınmayan bir IP ve cihazdan girildiyse kullanıcı uyarılır; giriş yanıtı beklemez
+    const olagandisi = await olagandisiGirisMi(kullanici, req);
+    const deneme = await girisDenemesiKaydet(req, { kullanici, sonuc: "basarili", olagandisi });
+    if (olagandisi && deneme) {
+        olagandisiGirisiBildir(kullanici, deneme)
+            .catch((error) => console.error("Olağandışı giriş bildirimi gönderilemedi:", error.message));
+    }
+
+    const response = {
+        kullanici: {
+            _id: kullanici._id,
+            ad: kullanici.ad,
+            soyad: kullanici.soyad,
+            email: kullanici.email,
+            telefon: kullanici.telefon,
+            rol: kullanici.rol,
+            kurumFirmaId: kullanici.kurumFirmaId,
+            kullaniciBeyanBilgileri: kullanici.kullaniciBeyanBilgileri,
+            rolAtamaTarihi: kullanici.rolAtamaTarihi,
+            rolAtayanKoordinatorId: kullanici.rolAtayanKoordinatorId,
+            emailDogrulandi: kullanici.emailDogrulandi,
+            telefonDogrulandi: kullanici.telefonDogrulandi,
+            ikiAdimliAktif: Boolean(kullanici.ikiAdimli?.aktif),
+            yetkiler: rolYetkileri(kullanici.rol),
+        }
+    };
+
+    // Mobil için token'ları response'a ekle
+    if (isMobile) {
+        response.token = token;
+        response.yenilemeTokeni = yenilemeTokeni;
+    }
+
+    return response;
+};
+
 export const girisYap = async(req, res) => {
     try {
         const { email, sifre, isMobile } = req.body;
@@ -148,36 +258,48 @@ export const girisYap = async(req, res) => {
         const kullanici = await Kullanici.findOne({ email, isDeleted: false });
 
         if (!kullanici) {
+            await girisDenemesiKaydet(req, { sonuc: "kullanici_yok" });
             return res.status(400).json({ error: "Bu email ile kayıtlı bir kullanıcı bulunamadı" });
         }
-        const sifreKontrol = await bcrypt.compare(sifre, kullanici.sifre);
 
-        if (!sifreKontrol) {
-            return res.status(400).json({ error: "Şifre hatalı" });
+        // Kilitli hesapta şifre hiç denenmez; kilit süresi dolana ya da şifre sıfırlanana kadar giriş yapılamaz
+        const kalanSn = kilitKalanSn(kullanici);
+        if (kalanSn > 0) {
+            await girisDenemesiKaydet(req, { kullanici, sonuc: "hesap_kilitli" });
+            return hesapKilitliDon(res, kalanSn);
         }
 
-        const token = tokenVeCookieOlustur(kullanici._id, res, isMobile);
+        const sifreKontrol = await bcrypt.compare(sifre, kullanici.sifre);
 
-        const response = {
-            kullanici: {
-                _id: kullanici._id,
-                ad: kullanici.ad,
-                soyad: kullanici.soyad,
-                email: kullanici.email,
-                telefon: kullanici.telefon,
-                rol: kullanici.rol,
-                kurumFirmaId: kullanici.kurumFirmaId,
-                kullaniciBeyanBilgileri: kullanici.kullaniciBeyanBilgileri,
-                rolAtamaTarihi: kullanici.rolAtamaTarihi,
-                rolAtayanKoordinatorId: kullanici.rolAtayanKoordinatorId,
+        if (!sifreKontrol) {
+            const { basarisizDeneme, kilitBitis } = await hataliGirisiIsle(kullanici._id);
+            await girisDenemesiKaydet(req, { kullanici, sonuc: "hatali_sifre" });
+            if (kilitBitis) {
+                return hesapKilitliDon(res, kilitKalanSn({ girisKilidi: { kilitBitis } }));
             }
-        };
+            const kalanDeneme = KILIT_ESIGI - basarisizDeneme;
+            return res.status(400).json({
+                error: kalanDeneme <= 2
+                    ? `Şifre hatalı. Hesabınız kilitlenmeden önce kalan deneme hakkı: ${kalanDeneme}`
+                    : "Şifre hatalı",
+            });
+        }
 
-        // Mobil için token'ı response'a ekle
-        if (isMobile) {
-            response.token = token;
+        // İki adımlı doğrulamada oturum ikinci adımdan sonra açılır; hatalı giriş sayacı da ancak o zaman sıfırlanır
+        if (kullanici.ikiAdimli?.aktif) {
+            return res.status(200).json({
+                ikiAdimliGerekli: true,
+                ikiAdimliToken: adimTokeniOlustur(kullanici._id, "dogrulama", isMobile),
+            });
+        }
+        if (ikiAdimliZorunluMu(kullanici)) {
+            return res.status(200).json({
+                ikiAdimliKurulumGerekli: true,
+                ikiAdimliToken: adimTokeniOlustur(kullanici._id, "kurulum", isMobile),
+            });
         }
 
+        const response = await girisiTamamla(kullanici, req, res, isMobile);
         res.status(200).json(response);
     } catch (error) {
         console.error(`Kullanıcı giriş yaparken hata oluştu: ${error.message}`);
@@ -187,9 +309,12 @@ export const girisYap = async(req, res) => {
 
 export const cikisYap = async(req, res) => {
     try {
-        // Web için cookie'yi temizle
+        // Çıkış yapılan cihazın oturumu kapatılır; bu cihazın tokenları artık kullanılamaz
+        await cikisOturumunuKapat(req, req.body.isMobile);
+
+        // Web için cookie'leri temizle
         if (!req.body.isMobile) {
-            res.clearCookie("jwt");
+            oturumCookieleriniTemizle(res);
         }
         res.status(200).json({ message: "Çıkış başarılı" });
     } catch (error) {
@@ -218,10 +343,414 @@ export const hesabim = async(req, res) => {
                 kullaniciBeyanBilgileri: kullanici.kullaniciBeyanBilgileri,
                 rolAtamaTarihi: kullanici.rolAtamaTarihi,
                 rolAtayanKoordinatorId: kullanici.rolAtayanKoordinatorId,
+                emailDogrulandi: kullanici.emailDogrulandi,
+                telefonDogrulandi: kullanici.telefonDogrulandi,
+                ikiAdimliAktif: Boolean(kullanici.ikiAdimli?.aktif),
+                // Arayüzlerin menü görünürlüğü için rolün etkin yetkileri (lib/utils/yetkiPolitikasi.js)
+                yetkiler: rolYetkileri(kullanici.rol),
             }
         });
     } catch (error) {
         console.error(`Kullanıcı hesabına erişirken hata oluştu: ${error.message}`);
         return res.status(500).json({ error: "Sunucu hatası" });
     }
-}
\ No newline at end of file
+}
+
+export const tokenYenile = async(req, res) => {
+    try {
+        const { isMobile } = req.body;
+        // Web yenileme tokenını cookie'de, mobil gövdede gönderir
+        const yenilemeTokeni = isMobile ? req.body.yenilemeTokeni : req.cookies?.[YENILEME_COOKIE];
+
+        if (!yenilemeTokeni) {
+            return res.status(401).json({ error: "Bu işlem için giriş yapmanız gerekiyor." });
+        }
+
+        const sonuc = await oturumuYenile(yenilemeTokeni, req, res, isMobile);
+        if (sonuc.hata) {
+            if (!isMobile) oturumCookieleriniTemizle(res);
+            return res.status(401).json({ error: sonuc.hata });
+        }
+
+        const response = { message: "Oturum yenilendi" };
+        if (isMobile) {
+            response.token = sonuc.token;
+            response.yenilemeTokeni = sonuc.yenilemeTokeni;
+        }
+
+        res.status(200).json(response);
+    } catch (error) {
+        console.error(`Oturum yenilenirken hata oluştu: ${error.message}`);
+        return res.status(500).json({ error: "Sunucu hatası" });
+    }
+}
+
+// Oturum listesinde istek yapan cihaz işaretlenir
+const oturumlariHazirla = (oturumlar, mevcutOturumId) =>
+    oturumlar.map((oturum) => ({
+        ...oturum,
+        mevcut: Boolean(mevcutOturumId) && String(oturum._id) === String(mevcutOturumId),
+    }));
+
+export const oturumlarimiGetir = async(req, res) => {
+    try {
+        const oturumlar = await aktifOturumlariGetir(req.kullanici._id);
+        res.status(200).json(oturumlariHazirla(oturumlar, req.oturum._id));
+    } catch (error) {
+        console.error(`Oturumlar getirilirken hata oluştu: ${error.message}`);
+        return res.status(500).json({ error: "Sunucu hatası" });
+    }
+}
+
+export const oturumumuKapat = async(req, res) => {
+    try {
+        const { oturumId } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(oturumId)) {
+            return res.status(404).json({ error: "Oturum bulunamadı" });
+        }
+
+        const kapatilan = await oturumlariKapat(
+            { _id: oturumId, kullaniciId: req.kullanici._id },
+            { iptalEdenId: req.kullanici._id, iptalNedeni: "kullanici" }
+        );
+
+        if (kapatilan === 0) {
+            return res.status(404).json({ error: "Oturum bulunamadı" });
+        }
+
+        const mevcutOturum = String(oturumId) === String(req.oturum._id);
+        if (mevcutOturum && !req.body?.isMobile) {
+            oturumCookieleriniTemizle(res);
+        }
+
+        res.status(200).json({ message: "Oturum kapatıldı", mevcutOturum });
+    } catch (error) {
+        console.error(`Oturum kapatılırken hata oluştu: ${error.message}`);
+        return res.status(500).json({ error: "Sunucu hatası" });
+    }
+}
+
+export const oturumlarimiKapat = async(req, res) => {
+    try {
+        // mevcutHaric: yalnızca diğer cihazlardaki oturumlar kapatılır
+        const mevcutHaric = req.body?.mevcutHaric === true || req.query.mevcutHaric === "true";
+
+        const kapatilan = await kullaniciOturumlariniKapat(req.kullanici._id, {
+            haric: mevcutHaric ? req.oturum._id : null,
+            iptalEdenId: req.kullanici._id,
+            iptalNedeni: "kullanici",
+        });
+
+        if (!mevcutHaric && !req.body?.isMobile) {
+            oturumCookieleriniTemizle(res);
+        }
+
+        res.status(200).json({ message: `${kapatilan} oturum kapatıldı`, kapatilan });
+    } catch (error) {
+        console.error(`Oturumlar kapatılırken hata oluştu: ${error.message}`);
+        return res.status(500).json({ error: "Sunucu hatası" });
+    }
+}
+
+// Gönderim beklemesi 429, gönderim hatası 503 döner
+const gonderimHatasiDon = (res, sonuc) =>
+    res.status(sonuc.bekleme ? 429 : 503).json({ error: sonuc.hata, bekleme: sonuc.bekleme });
+
+export const emailDogrulamaGonder = async(req, res) => {
+    try {
+        if (req.kullanici.emailDogrulandi) {
+            return res.status(400).json({ error: "E-posta adresiniz zaten doğrulanmış" });
+        }
+
+        const sonuc = await emailDogrulamaBaglantisiGonder(req.kullanici);
+        if (sonuc.hata) {
+            return gonderimHatasiDon(res, sonuc);
+        }
+
+        res.status(200).json({ message: `Doğrulama bağlantısı ${req.kullanici.email} adresine gönderildi` });
+    } catch (error) {
+        console.error(`E-posta doğrulama bağlantısı gönderilirken hata oluştu: ${error.message}`);
+        return res.status(500).json({ error: "Sunucu hatası" });
+    }
+}
+
+export const emailDogrula = async(req, res) => {
+    try {
+        const gecersiz = "Doğrulama bağlantısı geçersiz ya da süresi dolmuş";
+
+        const kayit = await baglantiTokeniniKullan(req.body.token, "email_dogrulama");
+        if (!kayit) {
+            return res.status(400).json({ error: gecersiz });
+        }
+
+        // Bağlantı gönderildikten sonra e-posta değiştiyse eski adres doğrulanmış sayılmaz
+        const kullanici = await Kullanici.findOneAndUpdate(
+            { _id: kayit.kullaniciId, email: kayit.hedef, isDeleted: false },
+            { emailDogrulandi: true },
+            { new: true }
+        );
+        if (!kullanici) {
+            return res.status(400).json({ error: gecersiz });
+        }
+
+        res.status(200).json({ message: "E-posta adresiniz doğrulandı" });
+    } catch (error) {
+        console.error(`E-posta doğrulanırken hata oluştu: ${error.message}`);
+        return res.status(500).json({ error: "Sunucu hatası" });
+    }
+}
+
+export const telefonDogrulamaGonder = async(req, res) => {
+    try {
+        if (req.kullanici.telefonDogrulandi) {
+            return res.status(400).json({ error: "Telefon numaranız zaten doğrulanmış" });
+        }
+
+        const sonuc = await telefonDogrulamaKoduGonder(req.kullanici);
+        if (sonuc.hata) {
+            return gonderimHatasiDon(res, sonuc);
+        }
+
+        res.status(200).json({ message: "Doğrulama kodu telefonunuza gönderildi" });
+    } catch (error) {
+        console.error(`Telefon doğrulama kodu gönderilirken hata oluştu: ${error.message}`);
+        return res.status(500).json({ error: "Sunucu hatası" });
+    }
+}
+
+export const telefonDogrula = async(req, res) => {
+    try {
+        const { kod } = req.body;
+
+        if (!/^\d{6}$/.test(String(kod ?? "").trim())) {
+            return res.status(400).json({ error: "6 haneli doğrulama kodunu giriniz" });
+        }
+
+        const sonuc = await telefonKodunuDogrula(req.kullanici, kod);
+        if (sonuc.hata) {
+            return res.status(400).json({ error: sonuc.hata });
+        }
+
+        await Kullanici.updateOne(
+            { _id: req.kullanici._id, telefon: sonuc.kayit.hedef },
+            { telefonDogrulandi: true }
+        );
+
+        res.status(200).json({ message: "Telefon numaranız doğrulandı" });
+    } catch (error) {
+        console.error(`Telefon doğrulanırken hata oluştu: ${error.message}`);
+        return res.status(500).json({ error: "Sunucu hatası" });
+    }
+}
+
+export const sifremiUnuttum = async(req, res) => {
+    try {
+        const { email } = req.body;
+
+        if (!email || typeof email !== "string") {
+            return res.status(400).json({ error: "E-posta adresinizi giriniz" });
+        }
+
+        // Hangi adreslerin kayıtlı olduğu anlaşılmasın diye yanıt her durumda aynıdır
+        const kullanici = await Kullanici.findOne({ email: email.trim(), isDeleted: false });
+        if (kullanici) {
+            const sonuc = await sifreSifirlamaBaglantisiGonder(kullanici);
+            if (sonuc.hata) {
+                console.log("Şifre sıfırlama bağlantısı gönderilemedi:", sonuc.hata);
+            }
+        }
+
+        res.status(200).json({
+            message: "Bu e-posta adresi kayıtlıysa şifre sıfırlama bağlantısı gönderildi. Gelen kutunuzu kontrol edin.",
+        });
+    } catch (error) {
+        console.error(`Şifre sıfırlama isteğinde hata oluştu: ${error.message}`);
+        return res.status(500).json({ error: "Sunucu hatası" });
+    }
+}
+
+export const sifreSifirla = async(req, res) => {
+    try {
+        const { token, sifre } = req.body;
+        const gecersiz = "Şifre sıfırlama bağlantısı geçersiz ya da süresi dolmuş. Lütfen yeni bağlantı isteyin.";
+
+        // Şifre kuralı kayıttakiyle aynı; bağlantı geçersiz şifre yüzünden harcanmasın diye önce kontrol edilir
+        if (!sifre || sifre.length < 6) {
+            return res.status(400).json({ error: "Şifre en az 6 karakter olmalıdır" });
+        }
+
+        const kayit = await baglantiTokeniniKullan(token, "sifre_sifirlama");
+        if (!kayit) {
+            return res.status(400).json({ error: gecersiz });
+        }
+
+        const salt = await bcrypt.genSalt(10);
+        const sifreHash = await bcrypt.hash(sifre, salt);
+
+        // Bağlantı e-postaya geldiği için adresin sahipliği de kanıtlanmış olur; hatalı giriş kilidi de kalkar
+        const kullanici = await Kullanici.findOneAndUpdate(
+            { _id: kayit.kullaniciId, email: kayit.hedef, isDeleted: false },
+            {
+                sifre: sifreHash,
+                emailDogrulandi: true,
+                "girisKilidi.basarisizDeneme": 0,
+                "girisKilidi.kilitBitis": null,
+            },
+            { new: true }
+        );
+        if (!kullanici) {
+            return res.status(400).json({ error: gecersiz });
+        }
+
+        // Eski şifreyle açılmış tüm oturumlar kapatılır
+        await kullaniciOturumlariniKapat(kullanici._id, { iptalNedeni: "sifre_degisti" });
+
+        res.status(200).json({ message: "Şifreniz güncellendi. Yeni şifrenizle giriş yapabilirsiniz." });
+    } catch (error) {
+        console.error(`Şifre sıfırlanırken hata oluştu: ${error.message}`);
+        return res.status(500).json({ error: "Sunucu hatası" });
+    }
+}
+
+const IKI_ADIMLI_SURE_DOLDU = "Doğrulama süresi doldu. Lütfen yeniden giriş yapın.";
+
+export const ikiAdimliDogrula = async(req, res) => {
+    try {
+        const { ikiAdimliToken, kod } = req.body;
+
+        const yuk = adimTokeniniCoz(ikiAdimliToken, "dogrulama");
+        const kullanici = yuk && await Kullanici.findOne({ _id: yuk.userId, isDeleted: false });
+        if (!kullanici?.ikiAdimli?.aktif) {
+            return res.status(401).json({ error: IKI_ADIMLI_SURE_DOLDU });
+        }
+
+        // Kod denemeleri şifre denemeleriyle aynı sayaca yazılır; şifreyi bilen biri kodu deneyerek bulamaz
+        const kalanSn = kilitKalanSn(kullanici);
+        if (kalanSn > 0) {
+            await girisDenemesiKaydet(req, { kullanici, sonuc: "hesap_kilitli" });
+            return hesapKilitliDon(res, kalanSn);
+        }
+
+        const dogrulama = await ikiAdimliKoduDogrula(kullanici._id, kod);
+        if (!dogrulama) {
+            const { basarisizDeneme, kilitBitis } = await hataliGirisiIsle(kullanici._id);
+            await girisDenemesiKaydet(req, { kullanici, sonuc: "hatali_kod" });
+            if (kilitBitis) {
+                return hesapKilitliDon(res, kilitKalanSn({ girisKilidi: { kilitBitis } }));
+            }
+            const kalanDeneme = KILIT_ESIGI - basarisizDeneme;
+            return res.status(400).json({
+                error: kalanDeneme <= 2
+                    ? `Doğrulama kodu hatalı. Hesabınız kilitlenmeden önce kalan deneme hakkı: ${kalanDeneme}`
+                    : "Doğrulama kodu hatalı",
+            });
+        }
+
+        const response = await girisiTamamla(kullanici, req, res, yuk.isMobile);
+        if (dogrulama.yontem === "kurtarma_kodu") {
+            response.kalanKurtarmaKodu = dogrulama.kalanKurtarmaKodu;
+        }
+        res.status(200).json(response);
+    } catch (error) {
+        console.error(`İki adımlı doğrulama yapılırken hata oluştu: ${error.message}`);
+        return res.status(500).json({ error: "Sunucu hatası" });
+    }
+}
+
+export const ikiAdimliDurumu = async(req, res) => {
+    try {
+        const { ikiAdimli } = req.kullanici;
+        res.status(200).json({
+            aktif: Boolean(ikiAdimli?.aktif),
+            zorunlu: ikiAdimliZorunluMu(req.kullanici),
+            etkinlestirmeTarihi: ikiAdimli?.etkinlestirmeTarihi || null,
+            kalanKurtarmaKodu: ikiAdimli?.aktif ? await kalanKurtarmaKoduSayisi(req.kullanici._id) : 0,
+        });
+    } catch (error) {
+        console.error(`İki adımlı doğrulama durumu getirilirken hata oluştu: ${error.message}`);
+        return res.status(500).json({ error: "Sunucu hatası" });
+    }
+}
+
+export const ikiAdimliKurulum = async(req, res) => {
+    try {
+        if (req.kullanici.ikiAdimli?.aktif) {
+            return res.status(400).json({ error: "İki adımlı doğrulama zaten etkin" });
+        }
+
+        res.status(200).json(await kurulumBaslat(req.kullanici));
+    } catch (error) {
+        console.error(`İki adımlı doğrulama kurulumu başlatılırken hata oluştu: ${error.message}`);
+        return res.status(500).json({ error: "Sunucu hatası" });
+    }
+}
+
+export const ikiAdimliEtkinlestir = async(req, res) => {
+    try {
+        if (req.kullanici.ikiAdimli?.aktif) {
+            return res.status(400).json({ error: "İki adımlı doğrulama zaten etkin" });
+        }
+
+        const kurtarmaKodlari = await kurulumuTamamla(req.kullanici._id, req.body.kod);
+        if (!kurtarmaKodlari) {
+            return res.status(400).json({ error: "Doğrulama kodu hatalı. Uygulamadaki güncel kodu girin." });
+        }
+
+        // Zorunlu kurulum girişin ikinci adımıdır; kurulum tamamlanınca oturum açılır
+        if (req.ikiAdimliGirisi) {
+            const kullanici = await Kullanici.findById(req.kullanici._id);
+            const response = await girisiTamamla(kullanici, req, res, req.ikiAdimliGirisi.isMobile);
+            return res.status(200).json({ ...response, kurtarmaKodlari });
+        }
+
+        res.status(200).json({ message: "İki adımlı doğrulama etkinleştirildi", kurtarmaKodlari });
+    } catch (error) {
+        console.error(`İki adımlı doğrulama etkinleştirilirken hata oluştu: ${error.message}`);
+        return res.status(500).json({ error: "Sunucu hatası" });
+    }
+}
+
+export const ikiAdimliKurtarmaKodlariniYenile = async(req, res) => {
+    try {
+        if (!req.kullanici.ikiAdimli?.aktif) {
+            return res.status(400).json({ error: "İki adımlı doğrulama etkin değil" });
+        }
+        if (!await ikiAdimliKoduDogrula(req.kullanici._id, req.body.kod)) {
+            return res.status(400).json({ error: "Doğrulama kodu hatalı" });
+        }
+
+        const kurtarmaKodlari = await kurtarmaKodlariniYenile(req.kullanici._id);
+        res.status(200).json({ message: "Yeni kurtarma kodları oluşturuldu; eski kodlar artık geçersiz", kurtarmaKodlari });
+    } catch (error) {
+        console.error(`Kurtarma kodları yenilenirken hata oluştu: ${error.message}`);
+        return res.status(500).json({ error: "Sunucu hatası" });
+    }
+}
+
+export const ikiAdimliKapat = async(req, res) => {
+    try {
+        const { sifre, kod } = req.body;
+
+        if (!req.kullanici.ikiAdimli?.aktif) {
+            return res.status(400).json({ error: "İki adımlı doğrulama etkin değil" });
+        }
+        if (ikiAdimliZorunluMu(req.kullanici)) {
+            return res.status(403).json({ error: "Rolünüz için iki adımlı doğrulama zorunludur, kapatılamaz" });
+        }
+
+        const kullanici = await Kullanici.findById(req.kullanici._id).select("sifre");
+        if (!sifre || !await bcrypt.compare(sifre, kullanici.sifre)) {
+            return res.status(400).json({ error: "Şifre hatalı" });
+        }
+        if (!await ikiAdimliKoduDogrula(req.kullanici._id, kod)) {
+            return res.status(400).json({ error: "Doğrulama kodu hatalı" });
+        }
+
+        await ikiAdimliKaldir(req.kullanici._id);
+        res.status(200).json({ message: "İki adımlı doğrulama kapatıldı" });
+    } catch (error) {
+        console.error(`İki adımlı doğrulama kapatılırken hata oluştu: ${error.message}`);
+        return res.status(500).json({ error: "Sunucu hatası" });
+    }
+}
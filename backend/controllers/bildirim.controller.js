@@ -1,8 +1,24 @@
 import Bildirim from "../models/bildirim.model.js";
+import { afetOlayiFiltresi } from "../lib/utils/afetOlayiKapsami.js";
+import { listeGetir, listeSorgusuOlustur, ListeSorgusuHatasi } from "../lib/utils/listeSorgusu.js";
 
 
+// Bildirim listesinin sorgu sözleşmesi (lib/utils/listeSorgusu.js)
+const BILDIRIM_LISTE_TANIMI = {
+  siralamaAlanlari: ["createdAt", "tur", "okundu"],
+  varsayilanSiralama: "-createdAt",
+  durumAlani: "tur",
+  tarihAlanlari: ["createdAt"],
+  aramaAlanlari: ["baslik", "icerik"],
+};
+
 export const bildirimleriGetir = async (req, res) => {
   try {
+    const liste = await listeSorgusuOlustur(req.query, BILDIRIM_LISTE_TANIMI);
+    if (req.query.okundu === "true" || req.query.okundu === "false") {
+      liste.filtre.okundu = req.query.okundu === "true";
+    }
+
     const filtre = req.kullanici.kurumFirmaId
       ? {
           $or: [
@@ -14,14 +30,25 @@ export const bildirimleriGetir = async (req, res) => {
           kullaniciId: req.kullanici._id
         };
 
-    const bildirimler = await Bildirim.find({ ...filtre, isDeleted: false }).sort({ createdAt: -1 });
+    // Olay seçiliyse o olaya ait bildirimler ile olaydan bağımsız (sistem) bildirimler listelenir
+    const olayFiltresi = afetOlayiFiltresi(req);
+    const kapsam = olayFiltresi.afetOlayiId
+      ? [filtre, { afetOlayiId: { $in: [olayFiltresi.afetOlayiId, null] } }]
+      : [filtre];
+
+    liste.filtre = { $and: [...kapsam, liste.filtre], isDeleted: false };
+    const sonuc = await listeGetir(Bildirim, liste);
 
-    if (!bildirimler || bildirimler.length === 0) {
+    // Sayfalı isteklerde boş sayfa hata değildir; eski istemciler için tüm liste boşsa 404 korunur
+    if (Array.isArray(sonuc) && sonuc.length === 0) {
       return res.status(404).json({ message: "Bildirim bulunamadı" });
     }
 
-    res.status(200).json(bildirimler);
+    res.status(200).json(sonuc);
   } catch (error) {
+    if (error instanceof ListeSorgusuHatasi) {
+      return res.status(400).json({ message: error.message });
+    }
     res.status(500).json({ message: "Bildirimler alınamadı", error: error.message });
   }
 };
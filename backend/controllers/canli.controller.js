@@ -0,0 +1,10 @@
+import { canliAkisaAboneEt } from "../lib/utils/canliYayin.js";
+
+export const canliAkisaBaglan = (req, res) => {
+    try {
+        canliAkisaAboneEt(req, res);
+    } catch (error) {
+        console.log("Canlı akışa bağlanırken hata:", error.message);
+        res.status(500).json({ error: error.message });
+    }
+};
@@ -0,0 +1,14 @@
+import { belgeTokeniDogrula } from "../lib/utils/belgeDogrulama.js";
+
+// Kimlik doğrulaması gerektirmez; kontrol noktalarında görev formundaki karekod ile açılır
+export const belgeDogrula = async (req, res) => {
+  try {
+    const sonuc = await belgeTokeniDogrula(req.params.token);
+
+    res.set("Cache-Control", "no-store");
+    res.status(200).json(sonuc);
+  } catch (error) {
+    console.log("Görev belgesi doğrulanırken hata:", error.message);
+    res.status(500).json({ error: error.message });
+  }
+};
@@ -0,0 +1,101 @@
+import mongoose from "mongoose";
+import GidenMesaj from "../models/gidenMesaj.model.js";
+import { kuyruguIsle } from "../lib/utils/mesajKuyrugu.js";
+
+// Teslim edilemeyip dead-letter görünümüne düşen durumlar
+const DEAD_LETTER_DURUMLARI = ["basarisiz", "geri_dondu"];
+
+export const gidenMesajlariGetir = async (req, res) => {
+  try {
+    const { durum, kanal, grupId } = req.query;
+    const sayfa = Math.max(parseInt(req.query.sayfa) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+    const filtre = {};
+    if (durum === "dead_letter") {
+      filtre.durum = { $in: DEAD_LETTER_DURUMLARI };
+    } else if (durum) {
+      filtre.durum = durum;
+    }
+    if (kanal) filtre.kanal = kanal;
+    if (grupId) filtre.grupId = grupId;
+
+    const [mesajlar, toplam, durumSayilari] = await Promise.all([
+      GidenMesaj.find(filtre)
+        .select("-icerik -ekler.icerik")
+        .sort({ createdAt: -1 })
+        .skip((sayfa - 1) * limit)
+        .limit(limit),
+      GidenMesaj.countDocuments(filtre),
+      GidenMesaj.aggregate([
+        ...(kanal ? [{ $match: { kanal } }] : []),
+        { $group: { _id: "$durum", sayi: { $sum: 1 } } },
+      ]),
+    ]);
+
+    const sayilar = Object.fromEntries(durumSayilari.map((d) => [d._id, d.sayi]));
+
+    res.status(200).json({ mesajlar, toplam, sayfa, limit, sayilar });
+  } catch (error) {
+    console.log("Giden mesajlar getirilirken hata:", error.message);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+export const gidenMesajGetir = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: "Geçersiz mesaj ID" });
+    }
+
+    const mesaj = await GidenMesaj.findById(req.params.id).select("-ekler.icerik");
+    if (!mesaj) {
+      return res.status(404).json({ error: "Mesaj bulunamadı" });
+    }
+
+    res.status(200).json(mesaj);
+  } catch (error) {
+    console.log("Giden mesaj getirilirken hata:", error.message);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+export const gidenMesajYenidenGonder = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: "Geçersiz mesaj ID" });
+    }
+
+    const { alici } = req.body;
+
+    // Yalnızca teslim edilemeyen mesajlar yeniden kuyruğa alınabilir; deneme hakkı sıfırlanır
+    const guncelleme = {
+      durum: "kuyrukta",
+      denemeSayisi: 0,
+      sonrakiDenemeZamani: new Date(),
+      kilitZamani: null,
+    };
+    // Geri dönen mesajlar için düzeltilmiş adres / numara verilebilir
+    if (alici?.trim()) {
+      guncelleme.alici = alici.trim();
+    }
+
+    const mesaj = await GidenMesaj.findOneAndUpdate(
+      { _id: req.params.id, durum: { $in: DEAD_LETTER_DURUMLARI } },
+      guncelleme,
+      { new: true, projection: { "ekler.icerik": 0 } }
+    );
+
+    if (!mesaj) {
+      return res.status(409).json({ error: "Mesaj bulunamadı ya da yeniden gönderilebilir durumda değil" });
+    }
+
+    // Worker'ın bir sonraki taramasını beklemeden gönderimi tetikle
+    kuyruguIsle();
+
+    res.status(200).json({ message: "Mesaj yeniden gönderim kuyruğuna eklendi", mesaj });
+  } catch (error) {
+    console.log("Mesaj yeniden gönderilirken hata:", error.message);
+    res.status(500).json({ error: error.message });
+  }
+};
@@ -1,13 +1,37 @@
+import mongoose from "mongoose";
 import Arac from "../models/arac.model.js";
 import Talep from "../models/talep.model.js";
 import Gorev from "../models/gorev.model.js";
-import axios from "axios";
 import { bildirimOlustur } from "../lib/utils/bildirimOlustur.js";
 import { bildirimGonder } from "../lib/utils/bildirimGonder.js";
 import Kullanici from "../models/kullanici.model.js";
 import KurumFirma from "../models/kurumFirma.model.js";
 import { gorevPdfOlustur } from "../lib/utils/pdfOlustur.js";
+import { gorevPdfSablonuGetir } from "../lib/utils/pdfSablonu.js";
+import { belgeDogrulamaUrl, belgeTokeniOlustur } from "../lib/utils/belgeDogrulama.js";
 import { excelOlustur } from "../lib/utils/excelOlustur.js";
+import { depolama, goruntuTuruBelirle } from "../lib/utils/dosyaDepolama.js";
+import {
+    MAKS_TESLIM_DOSYASI_BOYUTU,
+    MAKS_TESLIM_FOTOGRAFI_SAYISI,
+    TESLIM_ONAY_DURUMLARI,
+    teslimKanitiDosyalariGetir,
+    teslimKanitiHazirla,
+    zorunluTeslimAlanlari,
+} from "../lib/utils/teslimKaniti.js";
+import { talepKarsilanmaGetir, talepKarsilanmaGuncelle } from "../lib/utils/talepKarsilanma.js";
+import { gecisDogrula, izinliGecisler, IPTAL_NEDENLERI, SON_DURUMLAR, CANLI_TAKIP_DURUMLARI } from "../lib/utils/gorevDurumMakinesi.js";
+import KonumIzi from "../models/konumIzi.model.js";
+import Sofor from "../models/sofor.model.js";
+import { soforUygunlukKontrol } from "../lib/utils/soforUygunluk.js";
+import { mesafeMetni, rotaBilgileriHesapla, sureMetni } from "../lib/utils/rotaSaglayici.js";
+import { aracOlayiYayinla, gorevOlayiYayinla, talepOlayiYayinla } from "../lib/utils/canliYayin.js";
+import { afetOlayiFiltresi } from "../lib/utils/afetOlayiKapsami.js";
+import { gorevKapsamFiltresi } from "../lib/utils/koordinatorKapsami.js";
+import { geoNokta } from "../lib/utils/geoKonum.js";
+import { listeGetir, listeSorgusuOlustur, ListeSorgusuHatasi } from "../lib/utils/listeSorgusu.js";
+import { kaynakYetkisiVarMi, talepKapsamdaMi } from "../lib/utils/yetkiPolitikasi.js";
+import AfetOlayi from "../models/afetOlayi.model.js";
 
 const koordinatorMailHtmlOlustur = (koordinator, talep, arac, sofor) => `
 <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
@@ -129,197 +153,377 @@ const kurumMailHtmlOlustur = (kurum, talep, arac, sofor, koordinator) => `
     </div>
 </div>`;
 
-export const gorevOlustur = async(req, res) => {
-    try {
-        const koordinatorId = req.kullanici._id;
-        const { talepId, aracId, sofor, gorevNotu, gorevDurumu } = req.body;
+// Görev oluşturma işlemi tamamlandıktan sonra ilgililere bildirim oluşturulur, e-posta ve SMS'ler gönderim kuyruğuna eklenir
+const gorevOlusturmaBildirimleriGonder = async({ yeniGorev, talep, arac, sofor, koordinatorId }) => {
+    const koordinator = await Kullanici.findOne({ _id: koordinatorId, isDeleted: false });
+
+    //  1. Koordinatöre bildirim
+    await bildirimOlustur({
+        kullaniciId: koordinatorId,
+        baslik: "Görev Oluşturuldu",
+        icerik: `"${talep.baslik}" talebine ait görev başarıyla oluşturuldu.`,
+        hedefUrl: `/gorevler/${yeniGorev._id}`,
+        tur: "gorev",
+        olay: "gorev_atandi",
+        gizlilik: "bireysel",
+        afetOlayiId: talep.afetOlayiId,
+    });
+
+    // Koordinatöre bildirim
+    if (koordinator && koordinator.email) {
+        const bildirimSonuc = await bildirimGonder({
+            email: koordinator.email,
+            telefon: koordinator.telefon,
+            kullaniciId: koordinator._id,
+            olay: "gorev_atandi",
+            hedefUrl: `/gorevler/${yeniGorev._id}`,
+            subject: "Görev Oluşturuldu",
+            html: koordinatorMailHtmlOlustur(koordinator, talep, arac, sofor),
+            baslik: "Görev Oluşturuldu",
+            mesaj: `${talep.baslik} talebine ait görev oluşturuldu.\nAraç: ${arac.plaka}\nŞoför: ${sofor.ad} ${sofor.soyad}`,
+            konum: talep.lokasyon,
+            kaynak: { tur: "gorev", id: yeniGorev._id }
+        });
 
-        if (!talepId || !aracId || !sofor || !sofor.ad || !sofor.soyad || !sofor.telefon) {
-            return res.status(400).json({ message: "Eksik bilgi gönderildi" });
+        if (!bildirimSonuc.success && bildirimSonuc.error) {
+            console.warn(`Koordinatör bildirimi kısmen başarısız: ${bildirimSonuc.error}`);
         }
+    }
 
-        const talep = await Talep.findOne({ _id: talepId, isDeleted: false });
+    const talepEden = await Kullanici.findOne({ _id: talep.talepEdenKullaniciId, isDeleted: false });
+    if (talepEden && talepEden.email) {
+        const bildirimSonuc = await bildirimGonder({
+            email: talepEden.email,
+            telefon: talepEden.telefon,
+            kullaniciId: talepEden._id,
+            olay: "gorev_atandi",
+            hedefUrl: `/gorevler/${yeniGorev._id}`,
+            subject: "Talebinize Araç Atandı",
+            html: talepEdenMailHtmlOlustur(talepEden, talep, arac, sofor, koordinator),
+            baslik: "Talebinize Araç Atandı",
+            mesaj: `${talep.baslik} talebinize araç atandı.\nAraç: ${arac.plaka}\nŞoför: ${sofor.ad} ${sofor.soyad}\nKoordinatör: ${koordinator.ad} ${koordinator.soyad} (${koordinator.telefon})`,
+            konum: talep.lokasyon,
+            kaynak: { tur: "gorev", id: yeniGorev._id }
+        });
 
-        if (!talep) {
-            return res.status(404).json({ message: "Talep bulunamadı" });
+        if (!bildirimSonuc.success && bildirimSonuc.error) {
+            console.warn(`Talep eden bildirimi kısmen başarısız: ${bildirimSonuc.error}`);
         }
+    }
 
-        const arac = await Arac.findOne({
-            _id: aracId,
-            musaitlikDurumu: true,
-            aracDurumu: "aktif",
-            isDeleted: false,
+    //  2. Talep eden kişi veya kurum
+    if (talep.talepEdenKullaniciId) {
+        await bildirimOlustur({
+            kullaniciId: talep.talepEdenKullaniciId,
+            kurumFirmaId: null,
+            baslik: "Talebinize Araç Atandı",
+            icerik: `"${talep.baslik}" başlıklı talebinize araç görevlendirildi.`,
+            hedefUrl: `/gorevler/${yeniGorev._id}`,
+            tur: "gorev",
+            olay: "gorev_atandi",
+            gizlilik: "bireysel",
+            afetOlayiId: talep.afetOlayiId,
         });
+    }
 
-        if (!arac) {
-            return res
-                .status(404)
-                .json({ message: "Araç uygun değil veya bulunamadı" });
-        }
-
-        const yeniGorev = new Gorev({
-            talepId,
-            aracId,
-            sofor,
-            koordinatorId,
-            gorevDurumu: gorevDurumu || "beklemede",
-            gorevNotu,
-            hedefKonumu: {
-                lat: talep.lokasyon.lat,
-                lng: talep.lokasyon.lng,
-            },
+    if (talep.talepEdenKurumFirmaId) {
+        await bildirimOlustur({
+            kullaniciId: null,
+            kurumFirmaId: talep.talepEdenKurumFirmaId,
+            baslik: "Kurum Talebine Araç Atandı",
+            icerik: `"${talep.baslik}" başlıklı kurum talebinize araç görevlendirildi.`,
+            hedefUrl: `/gorevler/${yeniGorev._id}`,
+            tur: "gorev",
+            olay: "gorev_atandi",
+            gizlilik: "kurumsal",
+            afetOlayiId: talep.afetOlayiId,
         });
+    }
 
-        await yeniGorev.save();
-
-        // Talep durumu "görevlendirildi" olarak güncelleniyor
-        talep.durum = "gorevlendirildi";
-        await talep.save();
-
-        // Aracın müsaitlik durumu güncellenir
-        arac.musaitlikDurumu = false;
-        await arac.save();
-
-        const koordinator = await Kullanici.findOne({ _id: koordinatorId, isDeleted: false });
-
-        //  1. Koordinatöre bildirim
+    //  3. Araç sahibine (birey)
+    if (arac.kullaniciId) {
         await bildirimOlustur({
-            kullaniciId: koordinatorId,
-            baslik: "Görev Oluşturuldu",
-            icerik: `"${talep.baslik}" talebine ait görev başarıyla oluşturuldu.`,
+            kullaniciId: arac.kullaniciId,
+            baslik: "Aracınız Görevlendirildi",
+            icerik: `"${talep.baslik}" talebi için aracınız görevlendirildi.`,
             hedefUrl: `/gorevler/${yeniGorev._id}`,
             tur: "gorev",
+            olay: "gorev_atandi",
             gizlilik: "bireysel",
+            afetOlayiId: talep.afetOlayiId,
         });
+    }
 
-        // Koordinatöre bildirim
-        if (koordinator && koordinator.email) {
-            const bildirimSonuc = await bildirimGonder({
-                email: koordinator.email,
-                telefon: koordinator.telefon,
-                subject: "Görev Oluşturuldu",
-                html: koordinatorMailHtmlOlustur(koordinator, talep, arac, sofor),
-                baslik: "Görev Oluşturuldu",
-                mesaj: `${talep.baslik} talebine ait görev oluşturuldu.\nAraç: ${arac.plaka}\nŞoför: ${sofor.ad} ${sofor.soyad}`,
-                konum: talep.lokasyon
-            });
+    //  4. Araç sahibi kuruma
+    if (arac.kurumFirmaId) {
+        await bildirimOlustur({
+            kullaniciId: null,
+            kurumFirmaId: arac.kurumFirmaId,
+            baslik: "Kuruma Ait Araç Görevlendirildi",
+            icerik: `"${talep.baslik}" talebi için kuruma ait araç görevlendirildi.`,
+            hedefUrl: `/gorevler/${yeniGorev._id}`,
+            tur: "gorev",
+            olay: "gorev_atandi",
+            gizlilik: "kurumsal",
+            afetOlayiId: talep.afetOlayiId,
+        });
+    }
 
-            if (!bildirimSonuc.success && bildirimSonuc.error) {
-                console.warn(`Koordinatör bildirimi kısmen başarısız: ${bildirimSonuc.error}`);
-            }
+    const aracSahibi = await Kullanici.findOne({ _id: arac.kullaniciId, isDeleted: false });
+    if (aracSahibi && aracSahibi.email) {
+        const bildirimSonuc = await bildirimGonder({
+            email: aracSahibi.email,
+            telefon: aracSahibi.telefon,
+            kullaniciId: aracSahibi._id,
+            olay: "gorev_atandi",
+            hedefUrl: `/gorevler/${yeniGorev._id}`,
+            subject: "Aracınız Görevlendirildi",
+            html: aracSahibiMailHtmlOlustur(aracSahibi, talep, arac, sofor, koordinator),
+            baslik: "Aracınız Görevlendirildi",
+            mesaj: `${talep.baslik} talebi için aracınız (${arac.plaka}) görevlendirildi.\nŞoför: ${sofor.ad} ${sofor.soyad}\nKoordinatör: ${koordinator.ad} ${koordinator.soyad} (${koordinator.telefon})`,
+            konum: talep.lokasyon,
+            kaynak: { tur: "gorev", id: yeniGorev._id }
+        });
+
+        if (!bildirimSonuc.success && bildirimSonuc.error) {
+            console.warn(`Araç sahibi bildirimi kısmen başarısız: ${bildirimSonuc.error}`);
         }
+    }
 
-        const talepEden = await Kullanici.findOne({ _id: talep.talepEdenKullaniciId, isDeleted: false });
-        if (talepEden && talepEden.email) {
-            const bildirimSonuc = await bildirimGonder({
-                email: talepEden.email,
-                telefon: talepEden.telefon,
-                subject: "Talebinize Araç Atandı",
-                html: talepEdenMailHtmlOlustur(talepEden, talep, arac, sofor, koordinator),
-                baslik: "Talebinize Araç Atandı",
-                mesaj: `${talep.baslik} talebinize araç atandı.\nAraç: ${arac.plaka}\nŞoför: ${sofor.ad} ${sofor.soyad}\nKoordinatör: ${koordinator.ad} ${koordinator.soyad} (${koordinator.telefon})`,
-                konum: talep.lokasyon
-            });
+    const kurum = await KurumFirma.findOne({ _id: arac.kurumFirmaId, isDeleted: false });
+    let kurumEmail = null;
+    if (kurum && kurum.iletisim && kurum.iletisim.email) {
+        kurumEmail = kurum.iletisim.email;
+    }
 
-            if (!bildirimSonuc.success && bildirimSonuc.error) {
-                console.warn(`Talep eden bildirimi kısmen başarısız: ${bildirimSonuc.error}`);
-            }
-        }
+    if (kurumEmail) {
+        const bildirimSonuc = await bildirimGonder({
+            email: kurumEmail,
+            telefon: kurum.iletisim && kurum.iletisim.telefon ? kurum.iletisim.telefon : null,
+            subject: "Kuruluşunuza Ait Araç Görevlendirildi",
+            html: kurumMailHtmlOlustur(kurum, talep, arac, sofor, koordinator),
+            baslik: "Araç Görevlendirildi",
+            mesaj: `${talep.baslik} talebi için kurumunuza ait araç (${arac.plaka}) görevlendirildi.\nŞoför: ${sofor.ad} ${sofor.soyad}\nKoordinatör: ${koordinator.ad} ${koordinator.soyad} (${koordinator.telefon})`,
+            konum: talep.lokasyon,
+            kaynak: { tur: "gorev", id: yeniGorev._id }
+        });
 
-        //  2. Talep eden kişi veya kurum
-        if (talep.talepEdenKullaniciId) {
-            await bildirimOlustur({
-                kullaniciId: talep.talepEdenKullaniciId,
-                kurumFirmaId: null,
-                baslik: "Talebinize Araç Atandı",
-                icerik: `"${talep.baslik}" başlıklı talebinize araç görevlendirildi.`,
-                hedefUrl: `/gorevler/${yeniGorev._id}`,
-                tur: "gorev",
-                gizlilik: "bireysel",
-            });
+        if (!bildirimSonuc.success && bildirimSonuc.error) {
+            console.warn(`Kurum bildirimi kısmen başarısız: ${bildirimSonuc.error}`);
         }
+    }
+};
 
-        if (talep.talepEdenKurumFirmaId) {
-            await bildirimOlustur({
-                kullaniciId: null,
-                kurumFirmaId: talep.talepEdenKurumFirmaId,
-                baslik: "Kurum Talebine Araç Atandı",
-                icerik: `"${talep.baslik}" başlıklı kurum talebinize araç görevlendirildi.`,
-                hedefUrl: `/gorevler/${yeniGorev._id}`,
-                tur: "gorev",
-                gizlilik: "kurumsal",
+// Görev durumu değiştiğinde talep sahibine ve görevi oluşturan koordinatöre bildirim gönderilir
+// İptal kritik kabul edilir (kullanıcı izin verdiyse sessiz saatlerde de iletilir)
+const gorevDurumBildirimleriGonder = async({ gorev, talep, nedenKodu, degistirenId }) => {
+    const kritik = gorev.gorevDurumu === "iptal edildi";
+    const baslik = kritik ? "Görev İptal Edildi" : "Görev Durumu Güncellendi";
+    const icerik = `"${talep.baslik}" talebine ait görevin durumu "${gorev.gorevDurumu}" olarak güncellendi.` +
+        (kritik ? ` Neden: ${IPTAL_NEDENLERI[nedenKodu] || nedenKodu}` : "");
+    const hedefUrl = `/gorevler/${gorev._id}`;
+
+    const alicilar = [talep.talepEdenKullaniciId, gorev.koordinatorId]
+        .filter((id) => id && id.toString() !== degistirenId.toString());
+
+    for (const kullaniciId of new Set(alicilar.map((id) => id.toString()))) {
+        await bildirimOlustur({ kullaniciId, baslik, icerik, hedefUrl, tur: "gorev", gizlilik: "bireysel", olay: "gorev_durumu", kritik, afetOlayiId: talep.afetOlayiId });
+
+        const kullanici = await Kullanici.findOne({ _id: kullaniciId, isDeleted: false }).select("email telefon");
+        if (kullanici) {
+            await bildirimGonder({
+                email: kullanici.email,
+                telefon: kullanici.telefon,
+                subject: baslik,
+                html: `<div style="font-family: Arial, sans-serif;"><h2 style="color: #2c3e50;">${baslik}</h2><p>${icerik}</p></div>`,
+                baslik,
+                mesaj: icerik,
+                kaynak: { tur: "gorev", id: gorev._id },
+                kullaniciId,
+                olay: "gorev_durumu",
+                kritik,
+                hedefUrl,
             });
         }
+    }
 
-        //  3. Araç sahibine (birey)
-        if (arac.kullaniciId) {
-            await bildirimOlustur({
-                kullaniciId: arac.kullaniciId,
-                baslik: "Aracınız Görevlendirildi",
-                icerik: `"${talep.baslik}" talebi için aracınız görevlendirildi.`,
-                hedefUrl: `/gorevler/${yeniGorev._id}`,
-                tur: "gorev",
-                gizlilik: "bireysel",
-            });
-        }
+    if (talep.talepEdenKurumFirmaId) {
+        await bildirimOlustur({ kullaniciId: null, kurumFirmaId: talep.talepEdenKurumFirmaId, baslik, icerik, hedefUrl, tur: "gorev", gizlilik: "kurumsal", olay: "gorev_durumu", kritik, afetOlayiId: talep.afetOlayiId });
+    }
+};
 
-        //  4. Araç sahibi kuruma
-        if (arac.kurumFirmaId) {
-            await bildirimOlustur({
-                kullaniciId: null,
-                kurumFirmaId: arac.kurumFirmaId,
-                baslik: "Kuruma Ait Araç Görevlendirildi",
-                icerik: `"${talep.baslik}" talebi için kuruma ait araç görevlendirildi.`,
-                hedefUrl: `/gorevler/${yeniGorev._id}`,
-                tur: "gorev",
-                gizlilik: "kurumsal",
-            });
+// Teslimat onaylandığında ya da itiraz edildiğinde görevi oluşturan koordinatör bilgilendirilir; itiraz kritik kabul edilir
+const teslimOnayiBildirimiGonder = async({ gorev, degistirenId }) => {
+    if (!gorev.koordinatorId || gorev.koordinatorId.toString() === degistirenId.toString()) return;
+
+    const talep = await Talep.findById(gorev.talepId).select("baslik afetOlayiId");
+    const { durum, aciklama } = gorev.teslimKaniti.onay;
+    const kritik = durum === "itiraz_edildi";
+    const baslik = kritik ? "Teslimata İtiraz Edildi" : "Teslimat Onaylandı";
+    const icerik = `"${talep?.baslik || "-"}" talebine ait görevin teslimatı: ${TESLIM_ONAY_DURUMLARI[durum]}.` +
+        (aciklama ? ` Açıklama: ${aciklama}` : "");
+    const hedefUrl = `/gorevler/${gorev._id}`;
+
+    await bildirimOlustur({ kullaniciId: gorev.koordinatorId, baslik, icerik, hedefUrl, tur: "gorev", gizlilik: "bireysel", olay: "gorev_durumu", kritik, afetOlayiId: talep?.afetOlayiId });
+
+    const koordinator = await Kullanici.findOne({ _id: gorev.koordinatorId, isDeleted: false }).select("email telefon");
+    if (koordinator) {
+        await bildirimGonder({
+            email: koordinator.email,
+            telefon: koordinator.telefon,
+            subject: baslik,
+            html: `<div style="font-family: Arial, sans-serif;"><h2 style="color: #2c3e50;">${baslik}</h2><p>${icerik}</p></div>`,
+            baslik,
+            mesaj: icerik,
+            kaynak: { tur: "gorev", id: gorev._id },
+            kullaniciId: koordinator._id,
+            olay: "gorev_durumu",
+            kritik,
+            hedefUrl,
+        });
+    }
+};
+
+// İşlem (transaction) içinde fırlatılıp HTTP yanıtına çevrilen hata
+const islemHatasi = (durumKodu, mesaj) => Object.assign(new Error(mesaj), { durumKodu });
+
+export const gorevOlustur = async(req, res) => {
+    try {
+        const koordinatorId = req.kullanici._id;
+        const { talepId, aracId, soforId, gorevNotu } = req.body;
+
+        if (!talepId || !aracId || !soforId) {
+            return res.status(400).json({ message: "Eksik bilgi gönderildi" });
         }
 
-        const aracSahibi = await Kullanici.findOne({ _id: arac.kullaniciId, isDeleted: false });
-        if (aracSahibi && aracSahibi.email) {
-            const bildirimSonuc = await bildirimGonder({
-                email: aracSahibi.email,
-                telefon: aracSahibi.telefon,
-                subject: "Aracınız Görevlendirildi",
-                html: aracSahibiMailHtmlOlustur(aracSahibi, talep, arac, sofor, koordinator),
-                baslik: "Aracınız Görevlendirildi",
-                mesaj: `${talep.baslik} talebi için aracınız (${arac.plaka}) görevlendirildi.\nŞoför: ${sofor.ad} ${sofor.soyad}\nKoordinatör: ${koordinator.ad} ${koordinator.soyad} (${koordinator.telefon})`,
-                konum: talep.lokasyon
-            });
+        let talep, arac, sofor, yeniGorev;
+
+        // Görev, araç / şoför rezervasyonu ve talep güncellemesi tek bir işlemde yapılır;
+        // herhangi bir adım başarısız olursa hiçbiri kalıcı olmaz
+        await mongoose.connection.transaction(async(session) => {
+            talep = await Talep.findOne({ _id: talepId, isDeleted: false }).session(session);
 
-            if (!bildirimSonuc.success && bildirimSonuc.error) {
-                console.warn(`Araç sahibi bildirimi kısmen başarısız: ${bildirimSonuc.error}`);
+            if (!talep) {
+                throw islemHatasi(404, "Talep bulunamadı");
             }
-        }
 
-        const kurum = await KurumFirma.findOne({ _id: arac.kurumFirmaId, isDeleted: false });
-        let kurumEmail = null;
-        if (kurum && kurum.iletisim && kurum.iletisim.email) {
-            kurumEmail = kurum.iletisim.email;
-        }
+            // Bölge atanmış koordinatör yalnızca bölgelerine düşen taleplere görev atayabilir
+            if (!talepKapsamdaMi(talep, req.kullanici)) {
+                throw islemHatasi(403, "Bu talep sorumlu olduğunuz operasyon bölgelerinin dışında");
+            }
 
-        if (kurumEmail) {
-            const bildirimSonuc = await bildirimGonder({
-                email: kurumEmail,
-                telefon: kurum.iletisim && kurum.iletisim.telefon ? kurum.iletisim.telefon : null,
-                subject: "Kuruluşunuza Ait Araç Görevlendirildi",
-                html: kurumMailHtmlOlustur(kurum, talep, arac, sofor, koordinator),
-                baslik: "Araç Görevlendirildi",
-                mesaj: `${talep.baslik} talebi için kurumunuza ait araç (${arac.plaka}) görevlendirildi.\nŞoför: ${sofor.ad} ${sofor.soyad}\nKoordinatör: ${koordinator.ad} ${koordinator.soyad} (${koordinator.telefon})`,
-                konum: talep.lokasyon
-            });
+            if (["tamamlandı", "iptal edildi"].includes(talep.durum)) {
+                throw islemHatasi(400, `"${talep.durum}" durumundaki talebe görev atanamaz`);
+            }
+
+            // Kapatılmış afet olayına ait taleplere yeni görev atanmaz
+            if (talep.afetOlayiId) {
+                const afetOlayi = await AfetOlayi.findById(talep.afetOlayiId).select("ad durum").session(session);
+                if (afetOlayi?.durum === "kapandi") {
+                    throw islemHatasi(400, `"${afetOlayi.ad}" afet olayı kapatıldığı için bu talebe görev atanamaz`);
+                }
+            }
+
+            // Müsaitlik kontrolü ve rezervasyon tek atomik güncellemeyle yapılır; aynı araç iki kez atanamaz
+            arac = await Arac.findOneAndUpdate({
+                _id: aracId,
+                musaitlikDurumu: true,
+                aracDurumu: "aktif",
+                isDeleted: false,
+            }, { musaitlikDurumu: false }, { new: true, session });
+
+            if (!arac) {
+                throw islemHatasi(409, "Araç uygun değil, bulunamadı ya da başka bir göreve atandı");
+            }
+
+            // Araç türünün talepte istenip istenmediği ve kalan kontenjan kontrolü
+            const karsilanma = await talepKarsilanmaGetir(talep, session);
+            const satir = karsilanma.find((k) => k.aracTuru === arac.aracTuru);
+
+            if (karsilanma.length > 0 && !satir) {
+                throw islemHatasi(400, `Talepte "${arac.aracTuru}" türünde araç istenmemiş`);
+            }
+            if (satir && satir.atanan >= satir.talepEdilen) {
+                throw islemHatasi(400, `"${arac.aracTuru}" türü için istenen ${satir.talepEdilen} araç zaten görevlendirildi`);
+            }
+
+            const soforKaydi = await Sofor.findOne({ _id: soforId, isDeleted: false }).session(session);
+            if (!soforKaydi) {
+                throw islemHatasi(404, "Şoför bulunamadı");
+            }
 
-            if (!bildirimSonuc.success && bildirimSonuc.error) {
-                console.warn(`Kurum bildirimi kısmen başarısız: ${bildirimSonuc.error}`);
+            // Ehliyet sınıfı / süresi, sahiplik ve başka aktif görevle çakışma kontrolü
+            const soforHatasi = await soforUygunlukKontrol(soforKaydi, arac, session);
+            if (soforHatasi) {
+                throw islemHatasi(400, soforHatasi);
             }
+
+            // Şoför de atomik olarak rezerve edilir
+            const rezerveSofor = await Sofor.findOneAndUpdate({
+                _id: soforKaydi._id,
+                musaitlikDurumu: "musait",
+                isDeleted: false,
+            }, { musaitlikDurumu: "gorevde" }, { session });
+
+            if (!rezerveSofor) {
+                throw islemHatasi(409, `${soforKaydi.ad} ${soforKaydi.soyad} adlı şoför başka bir göreve atandı`);
+            }
+
+            // Görev formunda atama anındaki şoför bilgisi korunur
+            sofor = {
+                ad: soforKaydi.ad,
+                soyad: soforKaydi.soyad,
+                telefon: soforKaydi.telefon,
+            };
+
+            yeniGorev = new Gorev({
+                talepId,
+                aracId,
+                soforId: soforKaydi._id,
+                sofor,
+                koordinatorId,
+                gorevDurumu: "beklemede",
+                gorevNotu,
+                afetOlayiId: talep.afetOlayiId,
+                durumGecmisi: [{
+                    kullaniciId: koordinatorId,
+                    rol: req.kullanici.rol,
+                    oncekiDurum: null,
+                    yeniDurum: "beklemede",
+                    not: "Görev oluşturuldu",
+                }],
+                hedefKonumu: {
+                    lat: talep.lokasyon.lat,
+                    lng: talep.lokasyon.lng,
+                },
+            });
+
+            await yeniGorev.save({ session });
+
+            // Talebin karşılanma tablosu ve durumu (kısmen / tamamen görevlendirildi) güncelleniyor
+            await talepKarsilanmaGuncelle(talep, session);
+        });
+
+        // Bağlı istemciler görev, talep ve araç değişikliklerinden anında haberdar edilir
+        gorevOlayiYayinla(yeniGorev, "olusturuldu");
+        talepOlayiYayinla(talep, "guncellendi");
+        aracOlayiYayinla(arac, "guncellendi");
+
+        // Bildirim hataları oluşturulmuş görevi etkilemez
+        try {
+            await gorevOlusturmaBildirimleriGonder({ yeniGorev, talep, arac, sofor, koordinatorId });
+        } catch (error) {
+            console.error("Görev bildirimleri gönderilirken hata:", error);
         }
 
         return res.status(201).json({
-            message: "Görev başarıyla oluşturuldu. Bazı bildirimler SMS olarak iletilememiş olabilir.",
+            message: "Görev başarıyla oluşturuldu. E-posta ve SMS bildirimleri gönderim kuyruğuna eklendi.",
             gorev: yeniGorev,
         });
     } catch (error) {
+        if (error.durumKodu) {
+            return res.status(error.durumKodu).json({ message: error.message });
+        }
         console.error("Görev oluşturulurken hata:", error);
         return res
             .status(500)
@@ -339,7 +543,9 @@ export const gorevDetayGetir = async(req, res) => {
                 },
             })
             .populate("koordinatorId", "ad soyad telefon")
-            .populate("aracId");
+            .populate("aracId")
+            .populate("durumGecmisi.kullaniciId", "ad soyad")
+            .populate("teslimKaniti.onay.kullaniciId", "ad soyad");
 
         if (!gorev) {
             return res.status(404).json({ message: "Görev bulunamadı" });
@@ -352,9 +558,52 @@ export const gorevDetayGetir = async(req, res) => {
     }
 };
 
+// Görev listesinin sorgu sözleşmesi (lib/utils/listeSorgusu.js)
+const GOREV_LISTE_TANIMI = {
+    siralamaAlanlari: ["createdAt", "baslangicZamani", "bitisZamani", "gorevDurumu"],
+    varsayilanSiralama: "-createdAt",
+    durumAlani: "gorevDurumu",
+    tarihAlanlari: ["createdAt", "baslangicZamani", "bitisZamani"],
+    // Görev metin alanı taşımadığı için arama talep başlığı, talep eden kurum adı ve araç plakasında yapılır
+    iliskiliArama: async(regex) => {
+        const kurumlar = await KurumFirma.find({ kurumAdi: regex }).select("_id");
+        const [talepler, araclar] = await Promise.all([
+            Talep.find({ $or: [{ baslik: regex }, { talepEdenKurumFirmaId: { $in: kurumlar.map((k) => k._id) } }] }).select("_id"),
+            Arac.find({ plaka: regex }).select("_id"),
+        ]);
+        return [
+            { talepId: { $in: talepler.map((t) => t._id) } },
+            { aracId: { $in: araclar.map((a) => a._id) } },
+            { "sofor.ad": regex },
+            { "sofor.soyad": regex },
+        ];
+    },
+};
+
 export const tumGorevleriGetir = async(req, res) => {
     try {
-        const gorevler = await Gorev.find({ isDeleted: false })
+        const liste = await listeSorgusuOlustur(req.query, GOREV_LISTE_TANIMI);
+
+        // Kurum filtresi talep eden kuruma göre uygulanır
+        const kurumFiltresi = {};
+        if (req.query.kurumFirmaId) {
+            if (!mongoose.Types.ObjectId.isValid(req.query.kurumFirmaId)) {
+                return res.status(400).json({ message: "Geçersiz kurum" });
+            }
+            const talepler = await Talep.find({ talepEdenKurumFirmaId: req.query.kurumFirmaId }).select("_id");
+            kurumFiltresi.talepId = { $in: talepler.map((t) => t._id) };
+        }
+
+        // Bölge atanmış koordinatör yalnızca bölgelerindeki taleplerin görevlerini görür
+        liste.filtre = {
+            $and: [
+                liste.filtre,
+                kurumFiltresi,
+                { ...afetOlayiFiltresi(req), ...(await gorevKapsamFiltresi(req.kullanici)), isDeleted: false },
+            ],
+        };
+
+        const sonuc = await listeGetir(Gorev, liste, (sorgu) => sorgu
             .populate({
                 path: "talepId",
                 select: "baslik aracTuru aracSayisi lokasyon durum talepEdenKurumFirmaId",
@@ -364,83 +613,498 @@ export const tumGorevleriGetir = async(req, res) => {
                 },
             })
             .populate("koordinatorId", "ad soyad telefon")
-            .populate("aracId"); // ✅ Doğru olan bu
+            .populate("aracId") // ✅ Doğru olan bu
+            .populate("afetOlayiId", "ad tur durum"));
 
-        if (!gorevler || gorevler.length === 0) {
+        // Sayfalı isteklerde boş sayfa hata değildir; eski istemciler için tüm liste boşsa 404 korunur
+        if (Array.isArray(sonuc) && sonuc.length === 0) {
             return res.status(404).json({ message: "Görev bulunamadı" });
         }
 
-        res.status(200).json(gorevler);
+        res.status(200).json(sonuc);
     } catch (error) {
+        if (error instanceof ListeSorgusuHatasi) {
+            return res.status(400).json({ message: error.message });
+        }
         console.log("Görevleri getirirken hata:", error.message);
         return res.status(500).json({ error: error.message });
     }
 };
 
+export const gorevDurumSecenekleriGetir = async(req, res) => {
+    try {
+        const { id } = req.params;
+
+        const gorev = await Gorev.findOne({ _id: id, isDeleted: false }).select("gorevDurumu aracId talepId koordinatorId");
+        if (!gorev) {
+            return res.status(404).json({ message: "Görev bulunamadı" });
+        }
+
+        // Görevi görebilen ama durumunu değiştiremeyen kullanıcıya geçiş sunulmaz
+        const ilgili = await kaynakYetkisiVarMi(req.kullanici, "gorev", gorev, "gorev.status");
+
+        res.status(200).json({
+            mevcutDurum: gorev.gorevDurumu,
+            gecisler: ilgili ? izinliGecisler(req.kullanici.rol, gorev.gorevDurumu) : [],
+            iptalNedenleri: IPTAL_NEDENLERI,
+            teslimKanitiZorunlu: zorunluTeslimAlanlari(),
+        });
+    } catch (error) {
+        console.log("Görev durum seçenekleri getirilirken hata:", error.message);
+        return res.status(500).json({ error: error.message });
+    }
+};
+
 export const gorevDurumGuncelle = async(req, res) => {
     try {
         const { id } = req.params;
-        const { gorevDurumu } = req.body;
+        const { gorevDurumu, nedenKodu, not, konum } = req.body;
 
         const mevcutGorev = await Gorev.findOne({ _id: id, isDeleted: false });
         if (!mevcutGorev) {
             return res.status(404).json({ message: "Görev bulunamadı" });
         }
-        if (
-            ["tamamlandı", "iptal edildi"].includes(mevcutGorev.gorevDurumu) &&
-            gorevDurumu !== mevcutGorev.gorevDurumu
-        ) {
-            return res.status(400).json({
-                message: `"${mevcutGorev.gorevDurumu}" durumundaki bir görev başka bir duruma geçirilemez.`,
-            });
+
+        const hata = gecisDogrula({
+            rol: req.kullanici.rol,
+            mevcutDurum: mevcutGorev.gorevDurumu,
+            yeniDurum: gorevDurumu,
+            nedenKodu,
+            not,
+        });
+        if (hata) {
+            return res.status(400).json({ message: hata });
         }
 
-        const guncellenmisGorev = await Gorev.findOneAndUpdate({ _id: id, isDeleted: false }, {
+        // Tamamlanan görevde teslim bilgileri kaydedilir; zorunlu kanıt alanları eksikse görev tamamlanamaz
+        let teslimAlanlari = {};
+        if (gorevDurumu === "tamamlandı") {
+            const teslim = teslimKanitiHazirla(mevcutGorev.teslimKaniti, req.body.teslimKaniti, konum);
+            if (teslim.hata) {
+                return res.status(400).json({ message: teslim.hata });
+            }
+            teslimAlanlari = Object.fromEntries([
+                ...Object.entries(teslim.veri).map(([alan, deger]) => [`teslimKaniti.${alan}`, deger]),
+                ["teslimKaniti.tarih", new Date()],
+                ["teslimKaniti.onay", { durum: "bekliyor" }],
+            ]);
+        }
+
+        const gecmisKaydi = {
+            kullaniciId: req.kullanici._id,
+            rol: req.kullanici.rol,
+            oncekiDurum: mevcutGorev.gorevDurumu,
+            yeniDurum: gorevDurumu,
+            tarih: new Date(),
+            not,
+            ...(gorevDurumu === "iptal edildi" && { nedenKodu }),
+            ...(konum && konum.lat !== undefined && konum.lng !== undefined && {
+                konum: { lat: konum.lat, lng: konum.lng },
+            }),
+        };
+
+        // Eşzamanlı güncellemelerde geçişin mevcut durum üzerinden yapıldığından emin olunur
+        const guncellenmisGorev = await Gorev.findOneAndUpdate({
+            _id: id,
+            isDeleted: false,
+            gorevDurumu: mevcutGorev.gorevDurumu,
+        }, {
             gorevDurumu,
-            ...(gorevDurumu === "başladı" && { baslangicZamani: new Date() }),
-            ...(gorevDurumu === "tamamlandı" && { bitisZamani: new Date() }),
+            ...(gorevDurumu === "başladı" && { baslangicZamani: gecmisKaydi.tarih }),
+            ...(gorevDurumu === "tamamlandı" && { bitisZamani: gecmisKaydi.tarih }),
+            ...(gorevDurumu === "iptal edildi" && { iptalNedeni: nedenKodu }),
+            ...teslimAlanlari,
+            $push: { durumGecmisi: gecmisKaydi },
         }, { new: true });
 
-        // Görevlendirilen aracı güncelle
-        const arac = await Arac.findOne({ _id: mevcutGorev.aracId, isDeleted: false });
-        if (arac) {
-            // 1. Müsaitlik durumu güncelle
-            if ((gorevDurumu === "başladı", "beklemede")) {
-                arac.musaitlikDurumu = false;
+        if (!guncellenmisGorev) {
+            return res.status(409).json({ message: "Görev durumu başka bir kullanıcı tarafından değiştirildi, lütfen yenileyin" });
+        }
+
+        // Görev sonuçlandıysa araç tekrar müsait hale gelir
+        if (SON_DURUMLAR.includes(gorevDurumu)) {
+            const arac = await Arac.findOneAndUpdate({ _id: mevcutGorev.aracId, isDeleted: false }, { musaitlikDurumu: true }, { new: true });
+            if (arac) {
+                aracOlayiYayinla(arac, "guncellendi");
             }
 
-            if (["tamamlandı", "iptal edildi"].includes(gorevDurumu)) {
-                arac.musaitlikDurumu = true;
+            // Şoför de (izinli olarak işaretlenmediyse) tekrar müsait olur
+            if (mevcutGorev.soforId) {
+                await Sofor.findOneAndUpdate({ _id: mevcutGorev.soforId, musaitlikDurumu: "gorevde" }, { musaitlikDurumu: "musait" });
             }
+        }
 
-            await arac.save();
+        // Talebin karşılanma tablosu ve durumu görevlerden yeniden hesaplanır
+        const talep = await Talep.findOne({ _id: mevcutGorev.talepId, isDeleted: false });
+        if (talep) {
+            await talepKarsilanmaGuncelle(talep);
+            talepOlayiYayinla(talep, "guncellendi");
+
+            try {
+                await gorevDurumBildirimleriGonder({ gorev: guncellenmisGorev, talep, nedenKodu, degistirenId: req.kullanici._id });
+            } catch (error) {
+                console.error("Görev durum bildirimleri gönderilirken hata:", error);
+            }
         }
 
-        if (["tamamlandı", "iptal edildi"].includes(gorevDurumu)) {
-            const ilgiliGorev = await Gorev.findOne({ _id: id, isDeleted: false });
+        gorevOlayiYayinla(guncellenmisGorev, "guncellendi");
 
-            const ilgiliTalepId = ilgiliGorev.talepId;
+        res.status(200).json({
+            message: "Görev durumu başarıyla güncellendi",
+            gorev: guncellenmisGorev,
+        });
+    } catch (error) {
+        console.log("Görev durumu güncellenirken hata:", error.message);
+        return res.status(500).json({ error: error.message });
+    }
+};
 
-            const tumGorevler = await Gorev.find({ talepId: ilgiliTalepId, isDeleted: false });
+// Çevrimdışı biriktirilmiş konumlar tek istekte en fazla bu kadar gönderilebilir; fazlası parça parça gönderilmelidir
+const MAKS_KONUM_KAYDI = 500;
 
-            const tumDurumlar = tumGorevler.map((g) => g.gorevDurumu);
+// Gelen GPS kaydını doğrulayıp normalize eder, geçersizse null döner
+const konumKaydiHazirla = (kayit) => {
+    const lat = Number(kayit?.lat);
+    const lng = Number(kayit?.lng);
 
-            const hepsiTamamlandi = tumDurumlar.every((d) => d === "tamamlandı");
-            const hepsiIptal = tumDurumlar.every((d) => d === "iptal edildi");
+    if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+        return null;
+    }
 
-            if (hepsiTamamlandi) {
-                await Talep.findOneAndUpdate({ _id: ilgiliTalepId, isDeleted: false }, { durum: "tamamlandı" });
-            } else if (hepsiIptal) {
-                await Talep.findOneAndUpdate({ _id: ilgiliTalepId, isDeleted: false }, { durum: "beklemede" });
-            }
+    const zaman = kayit.zaman ? new Date(kayit.zaman) : new Date();
+    if (Number.isNaN(zaman.getTime())) {
+        return null;
+    }
+
+    return {
+        lat,
+        lng,
+        zaman,
+        ...(Number.isFinite(Number(kayit.hiz)) && { hiz: Number(kayit.hiz) }),
+        ...(Number.isFinite(Number(kayit.yon)) && { yon: Number(kayit.yon) }),
+        ...(Number.isFinite(Number(kayit.dogruluk)) && { dogruluk: Number(kayit.dogruluk) }),
+    };
+};
+
+export const gorevKonumEkle = async(req, res) => {
+    try {
+        const { id } = req.params;
+        // Tek kayıt ya da çevrimdışı biriktirilmiş kayıtlar (konumlar dizisi) kabul edilir
+        const gelenKayitlar = Array.isArray(req.body.konumlar) ? req.body.konumlar : [req.body];
+        if (gelenKayitlar.length > MAKS_KONUM_KAYDI) {
+            return res.status(400).json({ message: `Tek istekte en fazla ${MAKS_KONUM_KAYDI} konum kaydı gönderilebilir` });
+        }
+
+        const gorev = await Gorev.findOne({ _id: id, isDeleted: false }).select("gorevDurumu aracId talepId");
+        if (!gorev) {
+            return res.status(404).json({ message: "Görev bulunamadı" });
+        }
+
+        if (!CANLI_TAKIP_DURUMLARI.includes(gorev.gorevDurumu)) {
+            return res.status(400).json({ message: `"${gorev.gorevDurumu}" durumundaki görev için konum gönderilemez` });
+        }
+
+        const kayitlar = gelenKayitlar.map(konumKaydiHazirla);
+        if (kayitlar.length === 0 || kayitlar.some((k) => !k)) {
+            return res.status(400).json({ message: "Geçersiz konum bilgisi" });
+        }
+
+        await KonumIzi.insertMany(kayitlar.map((k) => ({
+            ...k,
+            gorevId: gorev._id,
+            aracId: gorev.aracId,
+            kullaniciId: req.kullanici._id,
+        })));
+
+        // Aracın konumu en güncel kayıtla güncellenir (daha yeni bir kayıt varsa ezilmez)
+        const sonKayit = kayitlar.reduce((son, k) => (k.zaman > son.zaman ? k : son));
+        await Arac.findOneAndUpdate({
+            _id: gorev.aracId,
+            isDeleted: false,
+            $or: [
+                { "konum.guncellenmeZamani": { $exists: false } },
+                { "konum.guncellenmeZamani": { $lt: sonKayit.zaman } },
+            ],
+        }, {
+            "konum.lat": sonKayit.lat,
+            "konum.lng": sonKayit.lng,
+            "konum.nokta": geoNokta(sonKayit),
+            "konum.guncellenmeZamani": sonKayit.zaman,
+        });
+
+        res.status(201).json({ message: "Konum kaydedildi", kayitSayisi: kayitlar.length, sonKonum: sonKayit });
+    } catch (error) {
+        console.log("Görev konumu kaydedilirken hata:", error.message);
+        return res.status(500).json({ error: error.message });
+    }
+};
+
+export const gorevKonumIziGetir = async(req, res) => {
+    try {
+        const { id } = req.params;
+        const { sonra } = req.query;
+
+        const gorev = await Gorev.findOne({ _id: id, isDeleted: false }).select("gorevDurumu aracId talepId");
+        if (!gorev) {
+            return res.status(404).json({ message: "Görev bulunamadı" });
+        }
+
+        // "sonra" verilirse yalnızca o zamandan sonraki kayıtlar döner (artımlı çekim için)
+        const filtre = { gorevId: gorev._id };
+        if (sonra && !Number.isNaN(new Date(sonra).getTime())) {
+            filtre.zaman = { $gt: new Date(sonra) };
         }
 
+        const iz = await KonumIzi.find(filtre)
+            .sort({ zaman: 1 })
+            .select("lat lng hiz yon dogruluk zaman -_id");
+
         res.status(200).json({
-            message: "Görev durumu başarıyla güncellendi",
+            gorevId: gorev._id,
+            gorevDurumu: gorev.gorevDurumu,
+            canliTakip: CANLI_TAKIP_DURUMLARI.includes(gorev.gorevDurumu),
+            sonKonum: iz.length > 0 ? iz[iz.length - 1] : null,
+            iz,
+        });
+    } catch (error) {
+        console.log("Görev konum izi getirilirken hata:", error.message);
+        return res.status(500).json({ error: error.message });
+    }
+};
+
+// Teslim kanıtı işlemleri için görevi bulur; hata yanıtı gönderildiyse null döner.
+// Kullanıcının göreve erişimi route üzerindeki kaynakYetkiKontrol ile doğrulanır
+// Fotoğraf ve imza yalnızca görev tamamlanmadan önce (yolda / başladı) yüklenip silinebilir
+const teslimKanitiGoreviBul = async(req, res, { yukleme = false } = {}) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        res.status(400).json({ message: "Geçersiz görev ID" });
+        return null;
+    }
+
+    const gorev = await Gorev.findOne({ _id: req.params.id, isDeleted: false })
+        .select("gorevDurumu aracId talepId koordinatorId teslimKaniti");
+    if (!gorev) {
+        res.status(404).json({ message: "Görev bulunamadı" });
+        return null;
+    }
+
+    if (yukleme && !CANLI_TAKIP_DURUMLARI.includes(gorev.gorevDurumu)) {
+        res.status(400).json({ message: `"${gorev.gorevDurumu}" durumundaki görev için teslim kanıtı değiştirilemez` });
+        return null;
+    }
+
+    return gorev;
+};
+
+// Gövde ham görüntü dosyasıdır (Content-Type: image/png ya da image/jpeg)
+const teslimDosyasiDogrula = (req, res) => {
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+        res.status(400).json({ message: "Görüntü dosyası gönderilmedi (PNG ya da JPEG)" });
+        return null;
+    }
+
+    const icerikTuru = goruntuTuruBelirle(req.body);
+    if (!icerikTuru) {
+        res.status(400).json({ message: "Dosya PNG ya da JPEG olmalıdır" });
+        return null;
+    }
+    return icerikTuru;
+};
+
+const teslimDosyasiGonder = async(res, dosya) => {
+    const icerik = await depolama.oku(dosya.anahtar);
+    res.set({
+        "Content-Type": dosya.icerikTuru,
+        "Content-Length": icerik.length,
+        "Cache-Control": "private, max-age=86400",
+    });
+    res.send(icerik);
+};
+
+export const teslimFotografiYukle = async(req, res) => {
+    try {
+        const gorev = await teslimKanitiGoreviBul(req, res, { yukleme: true });
+        if (!gorev) return;
+
+        const icerikTuru = teslimDosyasiDogrula(req, res);
+        if (!icerikTuru) return;
+
+        if ((gorev.teslimKaniti?.fotograflar?.length || 0) >= MAKS_TESLIM_FOTOGRAFI_SAYISI) {
+            return res.status(400).json({ message: `En fazla ${MAKS_TESLIM_FOTOGRAFI_SAYISI} teslim fotoğrafı yüklenebilir` });
+        }
+
+        const dosya = await depolama.kaydet("teslim-kaniti", req.body, icerikTuru);
+
+        // Görev bu arada tamamlandıysa ya da fotoğraf sınırı dolduysa yüklenen dosya geri alınır
+        const guncellenmisGorev = await Gorev.findOneAndUpdate({
+            _id: gorev._id,
+            isDeleted: false,
+            gorevDurumu: { $in: CANLI_TAKIP_DURUMLARI },
+            [`teslimKaniti.fotograflar.${MAKS_TESLIM_FOTOGRAFI_SAYISI - 1}`]: { $exists: false },
+        }, {
+            $push: { "teslimKaniti.fotograflar": { ...dosya, yukleyenId: req.kullanici._id, tarih: new Date() } },
+        }, { new: true }).select("teslimKaniti");
+
+        if (!guncellenmisGorev) {
+            await depolama.sil(dosya.anahtar);
+            return res.status(409).json({ message: "Fotoğraf eklenemedi, görev başka bir kullanıcı tarafından güncellendi" });
+        }
+
+        res.status(201).json({ message: "Teslim fotoğrafı yüklendi", teslimKaniti: guncellenmisGorev.teslimKaniti });
+    } catch (error) {
+        console.log("Teslim fotoğrafı yüklenirken hata:", error.message);
+        return res.status(500).json({ error: error.message });
+    }
+};
+
+export const teslimFotografiGetir = async(req, res) => {
+    try {
+        const gorev = await teslimKanitiGoreviBul(req, res);
+        if (!gorev) return;
+
+        const fotograf = gorev.teslimKaniti?.fotograflar?.find((f) => f._id.toString() === req.params.fotografId);
+        if (!fotograf) {
+            return res.status(404).json({ message: "Fotoğraf bulunamadı" });
+        }
+
+        await teslimDosyasiGonder(res, fotograf);
+    } catch (error) {
+        console.log("Teslim fotoğrafı getirilirken hata:", error.message);
+        return res.status(500).json({ error: error.message });
+    }
+};
+
+export const teslimFotografiSil = async(req, res) => {
+    try {
+        const gorev = await teslimKanitiGoreviBul(req, res, { yukleme: true });
+        if (!gorev) return;
+
+        const fotograf = gorev.teslimKaniti?.fotograflar?.find((f) => f._id.toString() === req.params.fotografId);
+        if (!fotograf) {
+            return res.status(404).json({ message: "Fotoğraf bulunamadı" });
+        }
+
+        const guncellenmisGorev = await Gorev.findOneAndUpdate({
+            _id: gorev._id,
+            isDeleted: false,
+            gorevDurumu: { $in: CANLI_TAKIP_DURUMLARI },
+        }, {
+            $pull: { "teslimKaniti.fotograflar": { _id: fotograf._id } },
+        }, { new: true }).select("teslimKaniti");
+
+        if (!guncellenmisGorev) {
+            return res.status(409).json({ message: "Fotoğraf silinemedi, görev başka bir kullanıcı tarafından güncellendi" });
+        }
+        await depolama.sil(fotograf.anahtar);
+
+        res.status(200).json({ message: "Teslim fotoğrafı silindi", teslimKaniti: guncellenmisGorev.teslimKaniti });
+    } catch (error) {
+        console.log("Teslim fotoğrafı silinirken hata:", error.message);
+        return res.status(500).json({ error: error.message });
+    }
+};
+
+// Teslim alanın imzası (tuval üzerinde çizilmiş PNG); yeniden yüklenirse önceki imzanın yerini alır
+export const teslimImzasiYukle = async(req, res) => {
+    try {
+        const gorev = await teslimKanitiGoreviBul(req, res, { yukleme: true });
+        if (!gorev) return;
+
+        const icerikTuru = teslimDosyasiDogrula(req, res);
+        if (!icerikTuru) return;
+
+        const dosya = await depolama.kaydet("teslim-kaniti", req.body, icerikTuru);
+
+        const guncellenmisGorev = await Gorev.findOneAndUpdate({
+            _id: gorev._id,
+            isDeleted: false,
+            gorevDurumu: { $in: CANLI_TAKIP_DURUMLARI },
+        }, {
+            "teslimKaniti.imza": { ...dosya, tarih: new Date() },
+        }, { new: true }).select("teslimKaniti");
+
+        if (!guncellenmisGorev) {
+            await depolama.sil(dosya.anahtar);
+            return res.status(409).json({ message: "İmza kaydedilemedi, görev başka bir kullanıcı tarafından güncellendi" });
+        }
+        if (gorev.teslimKaniti?.imza?.anahtar) {
+            await depolama.sil(gorev.teslimKaniti.imza.anahtar);
+        }
+
+        res.status(200).json({ message: "Teslim imzası kaydedildi", teslimKaniti: guncellenmisGorev.teslimKaniti });
+    } catch (error) {
+        console.log("Teslim imzası yüklenirken hata:", error.message);
+        return res.status(500).json({ error: error.message });
+    }
+};
+
+export const teslimImzasiGetir = async(req, res) => {
+    try {
+        const gorev = await teslimKanitiGoreviBul(req, res);
+        if (!gorev) return;
+
+        if (!gorev.teslimKaniti?.imza?.anahtar) {
+            return res.status(404).json({ message: "Teslim imzası bulunamadı" });
+        }
+
+        await teslimDosyasiGonder(res, gorev.teslimKaniti.imza);
+    } catch (error) {
+        console.log("Teslim imzası getirilirken hata:", error.message);
+        return res.status(500).json({ error: error.message });
+    }
+};
+
+// Talep eden, tamamlanan görevin teslimatını onaylar ya da itiraz eder; karar bir kez verilir
+export const teslimOnayiVer = async(req, res) => {
+    try {
+        const { karar, aciklama } = req.body;
+
+        if (!["onaylandi", "itiraz_edildi"].includes(karar)) {
+            return res.status(400).json({ message: "Karar \"onaylandi\" ya da \"itiraz_edildi\" olmalıdır" });
+        }
+        if (karar === "itiraz_edildi" && !aciklama?.trim()) {
+            return res.status(400).json({ message: "İtiraz için açıklama girilmelidir" });
+        }
+
+        const gorev = await teslimKanitiGoreviBul(req, res);
+        if (!gorev) return;
+
+        if (gorev.gorevDurumu !== "tamamlandı") {
+            return res.status(400).json({ message: "Yalnızca tamamlanan görevlerin teslimatı onaylanabilir" });
+        }
+
+        const guncellenmisGorev = await Gorev.findOneAndUpdate({
+            _id: gorev._id,
+            isDeleted: false,
+            gorevDurumu: "tamamlandı",
+            "teslimKaniti.onay.durum": { $in: ["bekliyor", null] },
+        }, {
+            "teslimKaniti.onay": {
+                durum: karar,
+                kullaniciId: req.kullanici._id,
+                aciklama: aciklama?.trim() || undefined,
+                tarih: new Date(),
+            },
+        }, { new: true });
+
+        if (!guncellenmisGorev) {
+            return res.status(409).json({ message: "Bu teslimat için zaten karar verilmiş" });
+        }
+
+        try {
+            await teslimOnayiBildirimiGonder({ gorev: guncellenmisGorev, degistirenId: req.kullanici._id });
+        } catch (error) {
+            console.error("Teslim onayı bildirimi gönderilirken hata:", error);
+        }
+
+        gorevOlayiYayinla(guncellenmisGorev, "guncellendi");
+
+        res.status(200).json({
+            message: karar === "onaylandi" ? "Teslimat onaylandı" : "Teslimata itiraz edildi",
             gorev: guncellenmisGorev,
         });
     } catch (error) {
-        console.log("Görev durumu güncellenirken hata:", error.message);
+        console.log("Teslim onayı kaydedilirken hata:", error.message);
         return res.status(500).json({ error: error.message });
     }
 };
@@ -453,22 +1117,27 @@ export const tahminiSureleriGetir = async(req, res) => {
             return res.status(400).json({ message: "Geçersiz giriş verisi" });
         }
 
-        const originsParam = aracKonumlari
-            .map((k) => `${k.lat},${k.lng}`)
-            .join("|");
-        const destination = `${hedefKonum.lat},${hedefKonum.lng}`;
-        const apiKey = process.env.GOOGLE_MAPS_API_KEY;
-
-        const url = `https://maps.googleapis.com/maps/api/distancematrix/json?origins=${originsParam}&destinations=${destination}&key=${apiKey}&language=tr`;
-
-        const response = await axios.get(url);
-
-        const bilgiler = response.data.rows.map((row, i) => ({
-            aracIndex: i,
-            sureText: row.elements[0].duration ? row.elements[0].duration.text || "-" : "-",
-            sureValue: row.elements[0].duration ? row.elements[0].duration.value || null : 0, // saniye cinsinden
-            mesafeText: row.elements[0].distance ? row.elements[0].distance.text || "-" : "-",
-        }));
+        // Çevrimdışı tahminde hız araç türüne göre seçildiğinden konumlar türe göre gruplanır
+        const bilgiler = new Array(aracKonumlari.length);
+        const turler = [...new Set(aracKonumlari.map((k) => k.aracTuru))];
+
+        for (const aracTuru of turler) {
+            const indeksler = aracKonumlari
+                .map((k, i) => (k.aracTuru === aracTuru ? i : null))
+                .filter((i) => i !== null);
+            const sonuclar = await rotaBilgileriHesapla(indeksler.map((i) => aracKonumlari[i]), hedefKonum, { aracTuru });
+
+            sonuclar.forEach((sonuc, j) => {
+                bilgiler[indeksler[j]] = {
+                    aracIndex: indeksler[j],
+                    sureText: sureMetni(sonuc?.sureSaniye),
+                    sureValue: sonuc ? sonuc.sureSaniye : null, // saniye cinsinden
+                    mesafeText: mesafeMetni(sonuc?.mesafeMetre),
+                    mesafeValue: sonuc ? sonuc.mesafeMetre : null, // metre cinsinden
+                    saglayici: sonuc?.saglayici || null,
+                };
+            });
+        }
 
         return res.status(200).json(bilgiler);
     } catch (error) {
@@ -491,6 +1160,7 @@ export const aracSahibiGorevleriGetir = async(req, res) => {
 
         const gorevler = await Gorev.find({
                 aracId: { $in: aracIdListesi },
+                ...afetOlayiFiltresi(req),
                 isDeleted: false,
             })
             .populate({
@@ -502,7 +1172,8 @@ export const aracSahibiGorevleriGetir = async(req, res) => {
                 },
             })
             .populate("koordinatorId", "ad soyad telefon")
-            .populate("aracId");
+            .populate("aracId")
+            .populate("afetOlayiId", "ad tur durum");
 
         if (!gorevler) {
             return res.status(404).json({ message: "Görev bulunamadı" });
@@ -540,7 +1211,7 @@ export const talepEdenGorevleriGetir = async(req, res) => {
         }
 
         // talepId'ye göre görevleri al
-        const gorevler = await Gorev.find({ talepId: { $in: talepIdListesi }, isDeleted: false })
+        const gorevler = await Gorev.find({ talepId: { $in: talepIdListesi }, ...afetOlayiFiltresi(req), isDeleted: false })
             .populate({
                 path: "talepId",
                 select: "baslik aracTuru aracSayisi lokasyon durum talepEdenKurumFirmaId",
@@ -550,7 +1221,8 @@ export const talepEdenGorevleriGetir = async(req, res) => {
                 },
             })
             .populate("koordinatorId", "ad soyad telefon")
-            .populate("aracId");
+            .populate("aracId")
+            .populate("afetOlayiId", "ad tur durum");
 
         if (!gorevler || gorevler.length === 0) {
             return res.status(404).json({ message: "Görev bulunamadı." });
@@ -576,11 +1248,16 @@ export const gorevPdfIndir = async(req, res) => {
                 },
             })
             .populate("koordinatorId", "ad soyad telefon")
-            .populate("aracId");
+            .populate({ path: "aracId", populate: { path: "kurumFirmaId", select: "kurumAdi" } });
 
         if (!gorev) return res.status(404).json({ message: "Görev bulunamadı." });
 
-        const pdfBuffer = await gorevPdfOlustur(gorev);
+        // Her indirmede yeni geçerlilik süresiyle imzalanmış doğrulama karekodu basılır
+        const { token, bitis } = belgeTokeniOlustur(gorev);
+        const pdfBuffer = await gorevPdfOlustur(gorev, await gorevPdfSablonuGetir(gorev), {
+            url: belgeDogrulamaUrl(token),
+            bitis,
+        }, await teslimKanitiDosyalariGetir(gorev));
 
         res.set({
             "Content-Type": "application/pdf",
@@ -597,7 +1274,7 @@ export const gorevPdfIndir = async(req, res) => {
 
 export const excelIndir = async(req, res) => {
     try {
-        const gorevler = await Gorev.find({ isDeleted: false })
+        const gorevler = await Gorev.find({ ...afetOlayiFiltresi(req), ...(await gorevKapsamFiltresi(req.kullanici)), isDeleted: false })
             .populate({
                 path: "talepId",
                 populate: {
@@ -605,7 +1282,8 @@ export const excelIndir = async(req, res) => {
                     model: "KurumFirma"
                 }
             })
-            .populate("aracId");
+            .populate("aracId")
+            .populate("afetOlayiId", "ad");
 
         const excelBuffer = excelOlustur(gorevler);
 
@@ -1,18 +1,64 @@
+import mongoose from "mongoose";
 import Kullanici from "../models/kullanici.model.js";
+import OperasyonBolgesi from "../models/operasyonBolgesi.model.js";
+import { listeGetir, listeSorgusuOlustur, ListeSorgusuHatasi } from "../lib/utils/listeSorgusu.js";
+import { BILDIRIM_KANALLARI, BILDIRIM_OLAYLARI, kullaniciTercihleriGetir, tercihleriDogrula } from "../lib/utils/bildirimTercihleri.js";
+import { aktifOturumlariGetir, kullaniciOturumlariniKapat, oturumlariKapat } from "../lib/utils/oturum.js";
+import { girisKilidiniKaldir } from "../lib/utils/girisGuvenligi.js";
+import { ikiAdimliKaldir } from "../lib/utils/ikiAdimli.js";
+import GirisDenemesi from "../models/girisDenemesi.model.js";
 
+// Süper koordinatör rolünü yalnızca süper koordinatör verir / geri alır.
+// Sistemdeki ilk süper koordinatör backend/scripts/superKoordinatorAta.js ile atanır.
+const superKoordinatorRolKontrol = async(req, id, yeniRol) => {
+    if (req.kullanici.rol === "super_koordinator") {
+        return null;
+    }
+
+    const hedef = await Kullanici.findOne({ _id: id, isDeleted: false }).select("rol");
+    if (yeniRol !== "super_koordinator" && hedef?.rol !== "super_koordinator") {
+        return null;
+    }
+
+    return "Süper koordinatör rolünü yalnızca süper koordinatörler atayabilir veya kaldırabilir";
+};
+
+// Rolü değişen kullanıcının tüm cihazlardaki oturumları kapatılır; uygulamalar yeni yetkilerle tekrar giriş yapar
+const rolDegistiyseOturumlariKapat = async(req, oncekiRol, kullanici) => {
+    if (!oncekiRol || oncekiRol === kullanici.rol) return;
+
+    await kullaniciOturumlariniKapat(kullanici._id, {
+        iptalEdenId: req.kullanici._id,
+        iptalNedeni: "rol_degisti",
+    });
+};
+
+
+// Kullanıcı listesinin sorgu sözleşmesi (lib/utils/listeSorgusu.js); ?durum= rol üzerinden filtreler
+const KULLANICI_LISTE_TANIMI = {
+    siralamaAlanlari: ["createdAt", "ad", "soyad", "email", "rol"],
+    varsayilanSiralama: "-createdAt",
+    durumAlani: "rol",
+    tarihAlanlari: ["createdAt"],
+    kurumAlani: "kurumFirmaId",
+    aramaAlanlari: ["ad", "soyad", "email", "telefon"],
+};
 
 export const kullanicilariGetir = async(req, res) => {
     try {
-        const kullanicilar = await Kullanici.find({ isDeleted: false }).select("-sifre").populate("kurumFirmaId", "kurumAdi")
-            .sort({ createdAt: -1 });
+        const liste = await listeSorgusuOlustur(req.query, KULLANICI_LISTE_TANIMI);
+        liste.filtre.isDeleted = false;
 
+        const sonuc = await listeGetir(Kullanici, liste, (sorgu) => sorgu
+            .select("-sifre")
+            .populate("kurumFirmaId", "kurumAdi")
+            .populate("operasyonBolgeleri", "ad tur"));
 
-        if (!kullanicilar) {
-            return res.status(404).json({ error: "Kullanıcı bulunamadı" });
-        }
-
-        res.status(200).json(kullanicilar);
+        res.status(200).json(sonuc);
     } catch (error) {
+        if (error instanceof ListeSorgusuHatasi) {
+            return res.status(400).json({ error: error.message });
+        }
         console.error(`Kullanıcılar getirilirken hata oluştu: ${error.message}`);
         return res.status(500).json({ error: "Sunucu hatası" });
     }
@@ -39,6 +85,10 @@ export const kullaniciGuncelle = async(req, res) => {
     const { ad, soyad, email, telefon, kurumFirmaId, rol } = req.body;
 
     try {
+        const rolHatasi = await superKoordinatorRolKontrol(req, id, rol);
+        if (rolHatasi) {
+            return res.status(403).json({ error: rolHatasi });
+        }
 
         const kullaniciVarMi = await Kullanici.findOne({
             $and: [
@@ -53,9 +103,16 @@ export const kullaniciGuncelle = async(req, res) => {
         }
 
 
+        const onceki = await Kullanici.findOne({ _id: id, isDeleted: false }).select("rol email telefon");
+
         const kullanici = await Kullanici.findOneAndUpdate(
             { _id: id, isDeleted: false }, 
-            { ad, soyad, email, telefon, kurumFirmaId, rol }, 
+            {
+                ad, soyad, email, telefon, kurumFirmaId, rol,
+                // Değişen adresin sahipliği yeniden doğrulanmalıdır
+                ...(onceki && email !== undefined && email !== onceki.email && { emailDogrulandi: false }),
+                ...(onceki && telefon !== undefined && telefon !== onceki.telefon && { telefonDogrulandi: false }),
+            }, 
             { new: true }
         ).select("-sifre");
 
@@ -63,6 +120,8 @@ export const kullaniciGuncelle = async(req, res) => {
             return res.status(404).json({ error: "Kullanıcı bulunamadı" });
         }
 
+        await rolDegistiyseOturumlariKapat(req, onceki?.rol, kullanici);
+
         res.status(200).json(kullanici);
     } catch (error) {
         console.error(`Kullanıcı güncellenirken hata oluştu: ${error.message}`);
@@ -80,9 +139,20 @@ export const kullaniciSil = async(req, res) => {
             return res.status(404).json({ error: "Kullanıcı bulunamadı" });
         }
 
+        // Süper koordinatörü yalnızca süper koordinatör silebilir
+        if (kullanici.rol === "super_koordinator" && req.kullanici.rol !== "super_koordinator") {
+            return res.status(403).json({ error: "Süper koordinatörü yalnızca süper koordinatörler silebilir" });
+        }
+
         kullanici.isDeleted = true;
         await kullanici.save();
 
+        // Silinen kullanıcının açık oturumları ve canlı akışları hemen sonlandırılır
+        await kullaniciOturumlariniKapat(kullanici._id, {
+            iptalEdenId: req.kullanici._id,
+            iptalNedeni: "hesap_silindi",
+        });
+
         res.status(200).json({ message: "Kullanıcı başarıyla silindi" });
     } catch (error) {
         console.error(`Kullanıcı silinirken hata oluştu: ${error.message}`);
@@ -97,6 +167,11 @@ export const kullaniciRolveKurumFirmaAta = async(req, res) => {
     const rolAtayanKoordinatorId = req.kullanici._id;
 
     try {
+        const rolHatasi = await superKoordinatorRolKontrol(req, id, rol);
+        if (rolHatasi) {
+            return res.status(403).json({ error: rolHatasi });
+        }
+
         // If role is talep_eden, automatically set kurumFirmaTuru to kurulus_adina
         const updateData = {
             rol,
@@ -109,6 +184,8 @@ export const kullaniciRolveKurumFirmaAta = async(req, res) => {
             updateData["kullaniciBeyanBilgileri.kurumFirmaTuru"] = "kurulus_adina";
         }
 
+        const onceki = await Kullanici.findOne({ _id: id, isDeleted: false }).select("rol");
+
         const kullanici = await Kullanici.findOneAndUpdate(
             { _id: id, isDeleted: false },
             updateData, { new: true, runValidators: true }
@@ -118,9 +195,258 @@ export const kullaniciRolveKurumFirmaAta = async(req, res) => {
             return res.status(404).json({ error: "Kullanıcı bulunamadı" });
         }
 
+        await rolDegistiyseOturumlariKapat(req, onceki?.rol, kullanici);
+
         res.status(200).json(kullanici);
     } catch (error) {
         console.error(`Kullanıcı rolü atanırken hata oluştu: ${error.message}`);
         return res.status(500).json({ error: "Sunucu hatası" });
     }
-}
\ No newline at end of file
+}
+
+export const bildirimTercihleriniGetir = async(req, res) => {
+    try {
+        const kullanici = await Kullanici.findById(req.kullanici._id).select("bildirimTercihleri");
+
+        res.status(200).json({
+            tercihler: kullaniciTercihleriGetir(kullanici),
+            olaylar: BILDIRIM_OLAYLARI,
+            kanallar: BILDIRIM_KANALLARI,
+        });
+    } catch (error) {
+        console.error(`Bildirim tercihleri getirilirken hata oluştu: ${error.message}`);
+        return res.status(500).json({ error: "Sunucu hatası" });
+    }
+}
+
+export const bildirimTercihleriniGuncelle = async(req, res) => {
+    const { olaylar, sessizSaatler, ozetSikligi } = req.body;
+
+    try {
+        const hata = tercihleriDogrula({ olaylar, sessizSaatler, ozetSikligi });
+        if (hata) {
+            return res.status(400).json({ error: hata });
+        }
+
+        // Yalnızca gönderilen alanlar güncellenir
+        const guncelleme = {};
+        for (const [olay, kanallar] of Object.entries(olaylar || {})) {
+            guncelleme[`bildirimTercihleri.olaylar.${olay}`] = [...new Set(kanallar)];
+        }
+        for (const alan of ["aktif", "baslangic", "bitis", "kritikOlaylardaAtla"]) {
+            if (sessizSaatler?.[alan] !== undefined) {
+                guncelleme[`bildirimTercihleri.sessizSaatler.${alan}`] = sessizSaatler[alan];
+            }
+        }
+        if (ozetSikligi) {
+            guncelleme["bildirimTercihleri.ozetSikligi"] = ozetSikligi;
+        }
+
+        const kullanici = await Kullanici.findOneAndUpdate(
+            { _id: req.kullanici._id, isDeleted: false },
+            { $set: guncelleme },
+            { new: true, runValidators: true }
+        ).select("bildirimTercihleri");
+
+        if (!kullanici) {
+            return res.status(404).json({ error: "Kullanıcı bulunamadı" });
+        }
+
+        res.status(200).json({
+            message: "Bildirim tercihleri güncellendi",
+            tercihler: kullaniciTercihleriGetir(kullanici),
+        });
+    } catch (error) {
+        console.error(`Bildirim tercihleri güncellenirken hata oluştu: ${error.message}`);
+        return res.status(500).json({ error: "Sunucu hatası" });
+    }
+}
+
+export const kullaniciOperasyonBolgeleriAta = async(req, res) => {
+    const { id } = req.params;
+    const { operasyonBolgeleri } = req.body;
+
+    try {
+        if (!Array.isArray(operasyonBolgeleri) || !operasyonBolgeleri.every((b) => mongoose.Types.ObjectId.isValid(b))) {
+            return res.status(400).json({ error: "Operasyon bölgeleri geçerli bir ID listesi olmalıdır" });
+        }
+
+        const kullanici = await Kullanici.findOne({ _id: id, isDeleted: false });
+        if (!kullanici) {
+            return res.status(404).json({ error: "Kullanıcı bulunamadı" });
+        }
+        if (kullanici.rol !== "koordinator") {
+            return res.status(400).json({ error: "Operasyon bölgesi yalnızca koordinatörlere atanabilir" });
+        }
+
+        const bolgeler = [...new Set(operasyonBolgeleri.map(String))];
+        const mevcutSayisi = await OperasyonBolgesi.countDocuments({ _id: { $in: bolgeler }, isDeleted: false });
+        if (mevcutSayisi !== bolgeler.length) {
+            return res.status(400).json({ error: "Seçilen operasyon bölgelerinden bazıları bulunamadı" });
+        }
+
+        // Bölge listesi boş bırakılan koordinatör tüm ülkeyi görür
+        kullanici.operasyonBolgeleri = bolgeler;
+        await kullanici.save();
+        await kullanici.populate("operasyonBolgeleri", "ad tur");
+
+        res.status(200).json({
+            _id: kullanici._id,
+            operasyonBolgeleri: kullanici.operasyonBolgeleri,
+        });
+    } catch (error) {
+        console.error(`Operasyon bölgeleri atanırken hata oluştu: ${error.message}`);
+        return res.status(500).json({ error: "Sunucu hatası" });
+    }
+}
+
+export const kullaniciOturumlariniGetir = async(req, res) => {
+    const { id } = req.params;
+    try {
+        if (!mongoose.Types.ObjectId.isValid(id) || !(await Kullanici.exists({ _id: id, isDeleted: false }))) {
+            return res.status(404).json({ error: "Kullanıcı bulunamadı" });
+        }
+
+        const oturumlar = await aktifOturumlariGetir(id);
+        res.status(200).json(oturumlar);
+    } catch (error) {
+        console.error(`Kullanıcı oturumları getirilirken hata oluştu: ${error.message}`);
+        return res.status(500).json({ error: "Sunucu hatası" });
+    }
+}
+
+// Giriş geçmişinin sorgu sözleşmesi; ?durum= giriş sonucu üzerinden filtreler
+const GIRIS_GECMISI_LISTE_TANIMI = {
+    siralamaAlanlari: ["createdAt"],
+    varsayilanSiralama: "-createdAt",
+    durumAlani: "sonuc",
+    tarihAlanlari: ["createdAt"],
+    aramaAlanlari: ["ip", "cihazAdi"],
+};
+
+export const kullaniciGirisGecmisiniGetir = async(req, res) => {
+    const { id } = req.params;
+    try {
+        if (!mongoose.Types.ObjectId.isValid(id) || !(await Kullanici.exists({ _id: id, isDeleted: false }))) {
+            return res.status(404).json({ error: "Kullanıcı bulunamadı" });
+        }
+
+        const liste = await listeSorgusuOlustur(req.query, GIRIS_GECMISI_LISTE_TANIMI);
+        liste.filtre.kullaniciId = id;
+
+        const sonuc = await listeGetir(GirisDenemesi, liste);
+        res.status(200).json(sonuc);
+    } catch (error) {
+        if (error instanceof ListeSorgusuHatasi) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error(`Kullanıcı giriş geçmişi getirilirken hata oluştu: ${error.message}`);
+        return res.status(500).json({ error: "Sunucu hatası" });
+    }
+}
+
+// Hatalı denemeler yüzünden kilitlenen hesabı süre dolmadan açar
+export const kullaniciGirisKilidiniKaldir = async(req, res) => {
+    const { id } = req.params;
+    try {
+        if (!mongoose.Types.ObjectId.isValid(id) || !(await Kullanici.exists({ _id: id, isDeleted: false }))) {
+            return res.status(404).json({ error: "Kullanıcı bulunamadı" });
+        }
+
+        await girisKilidiniKaldir(id);
+        res.status(200).json({ message: "Giriş kilidi kaldırıldı" });
+    } catch (error) {
+        console.error(`Giriş kilidi kaldırılırken hata oluştu: ${error.message}`);
+        return res.status(500).json({ error: "Sunucu hatası" });
+    }
+}
+
+// Doğrulama cihazını ve kurtarma kodlarını kaybeden kullanıcının iki adımlı doğrulamasını sıfırlar.
+// Zorunlu tutulan rollerde kullanıcı bir sonraki girişte yeniden kurulum yapar
+export const kullaniciIkiAdimliSifirla = async(req, res) => {
+    const { id } = req.params;
+    try {
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(404).json({ error: "Kullanıcı bulunamadı" });
+        }
+
+        const hedef = await Kullanici.findOne({ _id: id, isDeleted: false }).select("rol ikiAdimli");
+        if (!hedef) {
+            return res.status(404).json({ error: "Kullanıcı bulunamadı" });
+        }
+        if (hedef.rol === "super_koordinator" && req.kullanici.rol !== "super_koordinator") {
+            return res.status(403).json({ error: "Süper koordinatörün iki adımlı doğrulamasını yalnızca süper koordinatörler sıfırlayabilir" });
+        }
+        if (!hedef.ikiAdimli?.aktif) {
+            return res.status(400).json({ error: "Kullanıcının iki adımlı doğrulaması etkin değil" });
+        }
+
+        await ikiAdimliKaldir(id);
+        res.status(200).json({ message: "İki adımlı doğrulama sıfırlandı" });
+    } catch (error) {
+        console.error(`İki adımlı doğrulama sıfırlanırken hata oluştu: ${error.message}`);
+        return res.status(500).json({ error: "Sunucu hatası" });
+    }
+}
+
+// Süper koordinatörün oturumlarını yalnızca süper koordinatör kapatabilir
+const superKoordinatorOturumKontrol = async(req, id) => {
+    if (req.kullanici.rol === "super_koordinator") return null;
+
+    const hedef = await Kullanici.findById(id).select("rol");
+    return hedef?.rol === "super_koordinator"
+        ? "Süper koordinatörün oturumlarını yalnızca süper koordinatörler kapatabilir"
+        : null;
+};
+
+export const kullaniciOturumunuKapat = async(req, res) => {
+    const { id, oturumId } = req.params;
+    try {
+        if (!mongoose.Types.ObjectId.isValid(id) || !mongoose.Types.ObjectId.isValid(oturumId)) {
+            return res.status(404).json({ error: "Oturum bulunamadı" });
+        }
+
+        const yetkiHatasi = await superKoordinatorOturumKontrol(req, id);
+        if (yetkiHatasi) {
+            return res.status(403).json({ error: yetkiHatasi });
+        }
+
+        const kapatilan = await oturumlariKapat(
+            { _id: oturumId, kullaniciId: id },
+            { iptalEdenId: req.kullanici._id, iptalNedeni: "koordinator" }
+        );
+
+        if (kapatilan === 0) {
+            return res.status(404).json({ error: "Oturum bulunamadı" });
+        }
+
+        res.status(200).json({ message: "Oturum kapatıldı" });
+    } catch (error) {
+        console.error(`Kullanıcı oturumu kapatılırken hata oluştu: ${error.message}`);
+        return res.status(500).json({ error: "Sunucu hatası" });
+    }
+}
+
+export const kullaniciOturumlariniSonlandir = async(req, res) => {
+    const { id } = req.params;
+    try {
+        if (!mongoose.Types.ObjectId.isValid(id) || !(await Kullanici.exists({ _id: id }))) {
+            return res.status(404).json({ error: "Kullanıcı bulunamadı" });
+        }
+
+        const yetkiHatasi = await superKoordinatorOturumKontrol(req, id);
+        if (yetkiHatasi) {
+            return res.status(403).json({ error: yetkiHatasi });
+        }
+
+        const kapatilan = await kullaniciOturumlariniKapat(id, {
+            iptalEdenId: req.kullanici._id,
+            iptalNedeni: "koordinator",
+        });
+
+        res.status(200).json({ message: `${kapatilan} oturum kapatıldı`, kapatilan });
+    } catch (error) {
+        console.error(`Kullanıcı oturumları kapatılırken hata oluştu: ${error.message}`);
+        return res.status(500).json({ error: "Sunucu hatası" });
+    }
+}
@@ -0,0 +1,149 @@
+import mongoose from "mongoose";
+import OperasyonBolgesi from "../models/operasyonBolgesi.model.js";
+import Kullanici from "../models/kullanici.model.js";
+import Talep from "../models/talep.model.js";
+import { bolgeTalepleriniGuncelle, sinirDogrula } from "../lib/utils/koordinatorKapsami.js";
+
+export const operasyonBolgeleriGetir = async (req, res) => {
+  try {
+    const bolgeler = await OperasyonBolgesi.find({ isDeleted: false }).sort({ ad: 1 }).lean();
+
+    // Her bölgeye atanmış koordinatörler listeye eklenir
+    const koordinatorler = await Kullanici.find({
+      rol: "koordinator",
+      isDeleted: false,
+      operasyonBolgeleri: { $in: bolgeler.map((b) => b._id) },
+    }).select("ad soyad operasyonBolgeleri");
+
+    const sonuc = bolgeler.map((bolge) => ({
+      ...bolge,
+      koordinatorler: koordinatorler
+        .filter((k) => k.operasyonBolgeleri.some((id) => id.equals(bolge._id)))
+        .map(({ _id, ad, soyad }) => ({ _id, ad, soyad })),
+    }));
+
+    res.status(200).json(sonuc);
+  } catch (error) {
+    console.log("Operasyon bölgeleri getirilirken hata:", error.message);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+export const operasyonBolgesiGetir = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: "Geçersiz operasyon bölgesi ID" });
+    }
+
+    const bolge = await OperasyonBolgesi.findOne({ _id: req.params.id, isDeleted: false });
+    if (!bolge) {
+      return res.status(404).json({ error: "Operasyon bölgesi bulunamadı" });
+    }
+
+    const [koordinatorler, talepSayisi] = await Promise.all([
+      Kullanici.find({ rol: "koordinator", isDeleted: false, operasyonBolgeleri: bolge._id }).select("ad soyad email telefon"),
+      Talep.countDocuments({ operasyonBolgeleri: bolge._id, isDeleted: false }),
+    ]);
+
+    res.status(200).json({ ...bolge.toObject(), koordinatorler, talepSayisi });
+  } catch (error) {
+    console.log("Operasyon bölgesi getirilirken hata:", error.message);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+export const operasyonBolgesiOlustur = async (req, res) => {
+  try {
+    const { ad, tur, il, ilce, aciklama, sinir } = req.body;
+
+    if (!ad?.trim() || !sinir) {
+      return res.status(400).json({ error: "Ad ve bölge sınırı zorunludur" });
+    }
+
+    const sonuc = sinirDogrula(sinir);
+    if (sonuc.hata) {
+      return res.status(400).json({ error: sonuc.hata });
+    }
+
+    const bolge = new OperasyonBolgesi({ ad: ad.trim(), tur, il, ilce, aciklama, sinir: sonuc.sinir });
+    await bolge.save();
+
+    // Mevcut talepler yeni bölgeyle eşleştirilir
+    const talepSayisi = await bolgeTalepleriniGuncelle(bolge);
+
+    res.status(201).json({ ...bolge.toObject(), talepSayisi });
+  } catch (error) {
+    console.log("Operasyon bölgesi oluşturulurken hata:", error.message);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+export const operasyonBolgesiGuncelle = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: "Geçersiz operasyon bölgesi ID" });
+    }
+
+    const bolge = await OperasyonBolgesi.findOne({ _id: req.params.id, isDeleted: false });
+    if (!bolge) {
+      return res.status(404).json({ error: "Operasyon bölgesi bulunamadı" });
+    }
+
+    const { ad, tur, il, ilce, aciklama, sinir } = req.body;
+
+    if (ad !== undefined) bolge.ad = ad.trim();
+    if (tur !== undefined) bolge.tur = tur;
+    if (il !== undefined) bolge.il = il;
+    if (ilce !== undefined) bolge.ilce = ilce;
+    if (aciklama !== undefined) bolge.aciklama = aciklama;
+
+    let sinirDegisti = false;
+    if (sinir !== undefined) {
+      const sonuc = sinirDogrula(sinir);
+      if (sonuc.hata) {
+        return res.status(400).json({ error: sonuc.hata });
+      }
+      bolge.sinir = sonuc.sinir;
+      sinirDegisti = true;
+    }
+
+    await bolge.save();
+
+    // Sınır değiştiyse talep eşleşmeleri yeniden hesaplanır
+    const talepSayisi = sinirDegisti
+      ? await bolgeTalepleriniGuncelle(bolge)
+      : await Talep.countDocuments({ operasyonBolgeleri: bolge._id, isDeleted: false });
+
+    res.status(200).json({ ...bolge.toObject(), talepSayisi });
+  } catch (error) {
+    console.log("Operasyon bölgesi güncellenirken hata:", error.message);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+export const operasyonBolgesiSil = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: "Geçersiz operasyon bölgesi ID" });
+    }
+
+    const bolge = await OperasyonBolgesi.findOne({ _id: req.params.id, isDeleted: false });
+    if (!bolge) {
+      return res.status(404).json({ error: "Operasyon bölgesi bulunamadı" });
+    }
+
+    bolge.isDeleted = true;
+    await bolge.save();
+
+    // Bölge koordinatörlerden ve taleplerden kaldırılır; başka bölgesi kalmayan koordinatör tüm ülkeyi görür
+    await Promise.all([
+      Kullanici.updateMany({ operasyonBolgeleri: bolge._id }, { $pull: { operasyonBolgeleri: bolge._id } }),
+      bolgeTalepleriniGuncelle(bolge),
+    ]);
+
+    res.status(200).json({ message: "Operasyon bölgesi silindi" });
+  } catch (error) {
+    console.log("Operasyon bölgesi silinirken hata:", error.message);
+    res.status(500).json({ error: error.message });
+  }
+};
@@ -0,0 +1,238 @@
+import mongoose from "mongoose";
+import PdfSablonu from "../models/pdfSablonu.model.js";
+import AfetOlayi from "../models/afetOlayi.model.js";
+import KurumFirma from "../models/kurumFirma.model.js";
+import { gorevPdfOlustur } from "../lib/utils/pdfOlustur.js";
+import { belgeDogrulamaUrl, belgeGecerlilikSaati } from "../lib/utils/belgeDogrulama.js";
+import { MAKS_LOGO_BOYUTU, logoTuruBelirle, sablonlariBirlestir } from "../lib/utils/pdfSablonu.js";
+
+const ALANLAR = ["aracSinifi", "marka", "kurum", "soforTelefon", "gorevNotu", "koordinator", "haritaKarekodu"];
+
+// Önizleme formunda kullanılan örnek görev
+const ORNEK_GOREV = {
+  aracId: {
+    plaka: "34 ABC 123",
+    aracTuru: "kamyon",
+    aracSinifi: "N3",
+    marka: "Ford",
+    model: "Cargo 1846",
+    kurumFirmaId: { kurumAdi: "Örnek Lojistik A.Ş." },
+  },
+  sofor: { ad: "Ahmet", soyad: "Yılmaz", telefon: "0555 555 55 55" },
+  koordinatorId: { ad: "Ayşe", soyad: "Demir" },
+  gorevDurumu: "beklemede",
+  gorevNotu: "Önizleme için örnek görev",
+  baslangicZamani: new Date(),
+  talepId: { baslik: "Çadır ve battaniye sevkiyatı", lokasyon: { adres: "Merkez, Kahramanmaraş" } },
+  hedefKonumu: { lat: 37.5753, lng: 36.9228 },
+};
+
+const kimlikGecerliMi = (deger) => !deger || mongoose.Types.ObjectId.isValid(deger);
+
+// İstek gövdesinden şablon alanlarını seçer ve kapsamı (afet olayı / kurum) doğrular
+const sablonVerisiHazirla = async (body) => {
+  const veri = {};
+
+  for (const alan of ["ad", "baslik", "altBaslik", "altBilgi"]) {
+    if (body[alan] !== undefined) veri[alan] = body[alan];
+  }
+  if (body.imza !== undefined) {
+    veri.imza = { adSoyad: body.imza?.adSoyad, unvan: body.imza?.unvan };
+  }
+  if (body.alanlar !== undefined) {
+    veri.alanlar = Object.fromEntries(ALANLAR.map((alan) => [alan, body.alanlar?.[alan] !== false]));
+  }
+
+  for (const [alan, Model, etiket] of [["afetOlayiId", AfetOlayi, "Afet olayı"], ["kurumFirmaId", KurumFirma, "Kurum"]]) {
+    if (body[alan] === undefined) continue;
+    if (!kimlikGecerliMi(body[alan])) {
+      return { hata: `Geçersiz ${etiket.toLocaleLowerCase("tr")} ID` };
+    }
+    if (body[alan] && !(await Model.exists({ _id: body[alan], isDeleted: false }))) {
+      return { hata: `${etiket} bulunamadı` };
+    }
+    veri[alan] = body[alan] || null;
+  }
+
+  return { veri };
+};
+
+const sablonHatasi = (res, error, mesaj) => {
+  if (error.code === 11000) {
+    return res.status(400).json({ error: "Bu afet olayı / kurum için zaten bir şablon var" });
+  }
+  if (error.name === "ValidationError") {
+    return res.status(400).json({ error: error.message });
+  }
+  console.log(`${mesaj}:`, error.message);
+  res.status(500).json({ error: error.message });
+};
+
+const sablonBul = async (req, res, secim = "") => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ error: "Geçersiz şablon ID" });
+    return null;
+  }
+
+  const sablon = await PdfSablonu.findOne({ _id: req.params.id, isDeleted: false }).select(secim);
+  if (!sablon) {
+    res.status(404).json({ error: "Şablon bulunamadı" });
+    return null;
+  }
+  return sablon;
+};
+
+export const pdfSablonlariGetir = async (req, res) => {
+  try {
+    const sablonlar = await PdfSablonu.find({ isDeleted: false })
+      .populate("afetOlayiId", "ad durum")
+      .populate("kurumFirmaId", "kurumAdi")
+      .sort({ afetOlayiId: 1, kurumFirmaId: 1, createdAt: 1 });
+
+    res.status(200).json(sablonlar);
+  } catch (error) {
+    console.log("PDF şablonları getirilirken hata:", error.message);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+export const pdfSablonuOlustur = async (req, res) => {
+  try {
+    if (!req.body.ad?.trim()) {
+      return res.status(400).json({ error: "Şablon adı zorunludur" });
+    }
+
+    const { veri, hata } = await sablonVerisiHazirla(req.body);
+    if (hata) {
+      return res.status(400).json({ error: hata });
+    }
+
+    const sablon = await PdfSablonu.create(veri);
+
+    res.status(201).json(sablon);
+  } catch (error) {
+    sablonHatasi(res, error, "PDF şablonu oluşturulurken hata");
+  }
+};
+
+export const pdfSablonuGuncelle = async (req, res) => {
+  try {
+    const sablon = await sablonBul(req, res);
+    if (!sablon) return;
+
+    if (req.body.ad !== undefined && !req.body.ad?.trim()) {
+      return res.status(400).json({ error: "Şablon adı zorunludur" });
+    }
+
+    const { veri, hata } = await sablonVerisiHazirla(req.body);
+    if (hata) {
+      return res.status(400).json({ error: hata });
+    }
+
+    sablon.set(veri);
+    await sablon.save();
+
+    res.status(200).json(sablon);
+  } catch (error) {
+    sablonHatasi(res, error, "PDF şablonu güncellenirken hata");
+  }
+};
+
+export const pdfSablonuSil = async (req, res) => {
+  try {
+    const sablon = await sablonBul(req, res);
+    if (!sablon) return;
+
+    sablon.isDeleted = true;
+    await sablon.save();
+
+    res.status(200).json({ message: "PDF şablonu silindi" });
+  } catch (error) {
+    console.log("PDF şablonu silinirken hata:", error.message);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Gövde ham görüntü dosyasıdır (Content-Type: image/png ya da image/jpeg)
+export const pdfSablonuLogoYukle = async (req, res) => {
+  try {
+    const sablon = await sablonBul(req, res);
+    if (!sablon) return;
+
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({ error: "Logo dosyası gönderilmedi (PNG ya da JPEG)" });
+    }
+    if (req.body.length > MAKS_LOGO_BOYUTU) {
+      return res.status(400).json({ error: "Logo en fazla 1 MB olabilir" });
+    }
+
+    const icerikTuru = logoTuruBelirle(req.body);
+    if (!icerikTuru) {
+      return res.status(400).json({ error: "Logo PNG ya da JPEG olmalıdır" });
+    }
+
+    sablon.logo = { icerik: req.body, icerikTuru };
+    await sablon.save();
+
+    res.status(200).json({ message: "Logo yüklendi", icerikTuru, boyut: req.body.length });
+  } catch (error) {
+    console.log("PDF şablonu logosu yüklenirken hata:", error.message);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+export const pdfSablonuLogoGetir = async (req, res) => {
+  try {
+    const sablon = await sablonBul(req, res, "+logo.icerik");
+    if (!sablon) return;
+
+    if (!sablon.logo?.icerik) {
+      return res.status(404).json({ error: "Şablonun logosu yok" });
+    }
+
+    res.set({ "Content-Type": sablon.logo.icerikTuru, "Content-Length": sablon.logo.icerik.length });
+    res.send(sablon.logo.icerik);
+  } catch (error) {
+    console.log("PDF şablonu logosu getirilirken hata:", error.message);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+export const pdfSablonuLogoSil = async (req, res) => {
+  try {
+    const sablon = await sablonBul(req, res);
+    if (!sablon) return;
+
+    sablon.logo = undefined;
+    await sablon.save();
+
+    res.status(200).json({ message: "Logo kaldırıldı" });
+  } catch (error) {
+    console.log("PDF şablonu logosu silinirken hata:", error.message);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Şablonun örnek bir görevle oluşturulmuş formu; boş bırakılan alanlar varsayılanlarla doldurulur
+export const pdfSablonuOnizle = async (req, res) => {
+  try {
+    const sablon = await sablonBul(req, res, "+logo.icerik");
+    if (!sablon) return;
+
+    // Önizlemedeki doğrulama karekodu yalnızca yerleşimi gösterir, geçerli bir token içermez
+    const pdf = await gorevPdfOlustur(ORNEK_GOREV, sablonlariBirlestir([sablon.toObject()]), {
+      url: belgeDogrulamaUrl("onizleme"),
+      bitis: new Date(Date.now() + belgeGecerlilikSaati() * 60 * 60 * 1000),
+    });
+
+    res.set({
+      "Content-Type": "application/pdf",
+      "Content-Disposition": `inline; filename="sablon-onizleme-${sablon._id}.pdf"`,
+      "Content-Length": pdf.length,
+    });
+    res.send(pdf);
+  } catch (error) {
+    console.log("PDF şablonu önizlemesi oluşturulurken hata:", error.message);
+    res.status(500).json({ error: error.message });
+  }
+};
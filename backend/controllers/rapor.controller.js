@@ -0,0 +1,142 @@
+import mongoose from "mongoose";
+import DurumRaporu from "../models/durumRaporu.model.js";
+import { ListeSorgusuHatasi } from "../lib/utils/listeSorgusu.js";
+import {
+  aracKullanimiHesapla,
+  aracTuruTrendiHesapla,
+  atamaSuresiHesapla,
+  gorevSureleriHesapla,
+  iptalOranlariHesapla,
+  karsilanmayanTalepHesapla,
+  raporKapsamiOlustur,
+  raporOzetiHesapla,
+} from "../lib/utils/raporAnalizleri.js";
+import { durumRaporuOlustur } from "../lib/utils/durumRaporu.js";
+
+// Tüm raporlar ?baslangic=&bitis= (kayıt oluşturulma tarihi), ?afetOlayiId= ve koordinatörün bölge kapsamı ile hesaplanır
+const istekKapsami = (req) =>
+  raporKapsamiOlustur({
+    baslangic: req.query.baslangic,
+    bitis: req.query.bitis,
+    afetOlayiId: req.query.afetOlayiId,
+    kullanici: req.kullanici,
+  });
+
+const raporHatasi = (res, error, mesaj) => {
+  if (error instanceof ListeSorgusuHatasi) {
+    return res.status(400).json({ error: error.message });
+  }
+  console.log(`${mesaj}:`, error.message);
+  res.status(500).json({ error: error.message });
+};
+
+const pdfGonder = (res, pdf, dosyaAdi) => {
+  res.set({
+    "Content-Type": "application/pdf",
+    "Content-Disposition": `inline; filename="${dosyaAdi}"`,
+    "Content-Length": pdf.length,
+  });
+  res.send(pdf);
+};
+
+export const raporOzetiGetir = async (req, res) => {
+  try {
+    res.status(200).json(await raporOzetiHesapla(await istekKapsami(req)));
+  } catch (error) {
+    raporHatasi(res, error, "Rapor özeti getirilirken hata");
+  }
+};
+
+export const atamaSuresiGetir = async (req, res) => {
+  try {
+    res.status(200).json(await atamaSuresiHesapla(await istekKapsami(req)));
+  } catch (error) {
+    raporHatasi(res, error, "Atama süresi raporu getirilirken hata");
+  }
+};
+
+export const gorevSureleriGetir = async (req, res) => {
+  try {
+    res.status(200).json(await gorevSureleriHesapla(await istekKapsami(req)));
+  } catch (error) {
+    raporHatasi(res, error, "Görev süreleri raporu getirilirken hata");
+  }
+};
+
+export const aracKullanimiGetir = async (req, res) => {
+  try {
+    res.status(200).json(await aracKullanimiHesapla(await istekKapsami(req)));
+  } catch (error) {
+    raporHatasi(res, error, "Araç kullanım raporu getirilirken hata");
+  }
+};
+
+export const aracTuruTrendiGetir = async (req, res) => {
+  try {
+    res.status(200).json(await aracTuruTrendiHesapla(await istekKapsami(req), req.query.aralik));
+  } catch (error) {
+    raporHatasi(res, error, "Araç türü trendi getirilirken hata");
+  }
+};
+
+export const iptalOranlariGetir = async (req, res) => {
+  try {
+    res.status(200).json(await iptalOranlariHesapla(await istekKapsami(req)));
+  } catch (error) {
+    raporHatasi(res, error, "İptal raporu getirilirken hata");
+  }
+};
+
+export const karsilanmayanTalepGetir = async (req, res) => {
+  try {
+    res.status(200).json(await karsilanmayanTalepHesapla(await istekKapsami(req)));
+  } catch (error) {
+    raporHatasi(res, error, "Karşılanmayan talep raporu getirilirken hata");
+  }
+};
+
+// Durum raporu PDF'i; dönem verilmezse son 24 saat raporlanır
+export const durumRaporuIndir = async (req, res) => {
+  try {
+    const { pdf, dosyaAdi } = await durumRaporuOlustur({
+      baslangic: req.query.baslangic,
+      bitis: req.query.bitis,
+      afetOlayiId: req.query.afetOlayiId,
+      kullanici: req.kullanici,
+    });
+
+    pdfGonder(res, pdf, dosyaAdi);
+  } catch (error) {
+    raporHatasi(res, error, "Durum raporu oluşturulurken hata");
+  }
+};
+
+// Zamanlanmış olarak oluşturulup e-postayla gönderilen durum raporları
+export const durumRaporlariGetir = async (req, res) => {
+  try {
+    const raporlar = await DurumRaporu.find().sort({ "donem.bitis": -1 }).limit(20);
+
+    res.status(200).json(raporlar);
+  } catch (error) {
+    console.log("Durum raporları getirilirken hata:", error.message);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+export const durumRaporuDosyasiGetir = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: "Geçersiz rapor ID" });
+    }
+
+    const rapor = await DurumRaporu.findById(req.params.id).select("+dosya");
+    if (!rapor?.dosya) {
+      return res.status(404).json({ error: "Rapor dosyası bulunamadı" });
+    }
+
+    pdfGonder(res, rapor.dosya, rapor.dosyaAdi);
+  } catch (error) {
+    console.log("Durum raporu dosyası getirilirken hata:", error.message);
+    res.status(500).json({ error: error.message });
+  }
+};
@@ -0,0 +1,208 @@
+import Sofor from "../models/sofor.model.js";
+import Arac from "../models/arac.model.js";
+import { soforAktifGorevGetir, soforUygunlukKontrol } from "../lib/utils/soforUygunluk.js";
+
+// Ehliyet tarihinin geçerli bir tarih olup olmadığını kontrol eder
+const gecerliTarihMi = (tarih) => !Number.isNaN(new Date(tarih).getTime());
+
+export const soforEkle = async (req, res) => {
+  const { ad, soyad, telefon, ehliyetSiniflari, ehliyetGecerlilikTarihi } =
+    req.body;
+
+  try {
+    const kurumFirmaId = req.kullanici.kurumFirmaId;
+
+    if (!ad || !soyad || !telefon) {
+      return res
+        .status(400)
+        .json({ error: "Şoför adı, soyadı ve telefonu zorunludur" });
+    }
+    if (!Array.isArray(ehliyetSiniflari) || ehliyetSiniflari.length === 0) {
+      return res
+        .status(400)
+        .json({ error: "En az bir ehliyet sınıfı seçilmelidir" });
+    }
+    if (!ehliyetGecerlilikTarihi || !gecerliTarihMi(ehliyetGecerlilikTarihi)) {
+      return res
+        .status(400)
+        .json({ error: "Ehliyet geçerlilik tarihi zorunludur" });
+    }
+
+    const yeniSofor = new Sofor({
+      ad,
+      soyad,
+      telefon,
+      ehliyetSiniflari,
+      ehliyetGecerlilikTarihi,
+      kurumFirmaId: kurumFirmaId || null,
+      kullaniciId: kurumFirmaId ? null : req.kullanici._id,
+    });
+
+    await yeniSofor.save();
+    res.status(201).json({ yeniSofor });
+  } catch (error) {
+    console.log(`Şoför ekleme sırasında hata oluştu: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+export const tumSoforleriGetir = async (req, res) => {
+  const { aracId } = req.query;
+
+  try {
+    // aracId verilirse yalnızca aracın sahibine kayıtlı şoförler, görevlendirmeye uygunluklarıyla döner
+    if (aracId) {
+      const arac = await Arac.findOne({ _id: aracId, isDeleted: false });
+      if (!arac) {
+        return res.status(404).json({ error: "Araç bulunamadı" });
+      }
+
+      const filtre = arac.kurumFirmaId
+        ? { kurumFirmaId: arac.kurumFirmaId }
+        : { kullaniciId: arac.kullaniciId };
+
+      const soforler = await Sofor.find({ ...filtre, isDeleted: false });
+
+      const uygunlukluSoforler = await Promise.all(
+        soforler.map(async (sofor) => ({
+          ...sofor.toObject(),
+          uygunlukHatasi: await soforUygunlukKontrol(sofor, arac),
+        }))
+      );
+
+      return res.status(200).json({ soforler: uygunlukluSoforler });
+    }
+
+    const soforler = await Sofor.find({ isDeleted: false })
+      .populate("kurumFirmaId", "kurumAdi")
+      .populate("kullaniciId", "ad soyad");
+
+    res.status(200).json({ soforler });
+  } catch (error) {
+    console.log(`Şoförleri getirirken hata oluştu: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+export const kullaniciyaKurumaAitSoforleriGetir = async (req, res) => {
+  const kullaniciId = req.kullanici._id;
+  const kurumFirmaId = req.kullanici.kurumFirmaId;
+
+  try {
+    const filtre = kurumFirmaId ? { kurumFirmaId } : { kullaniciId };
+    const soforler = await Sofor.find({ ...filtre, isDeleted: false }).sort({
+      ad: 1,
+    });
+
+    res.status(200).json({ soforler });
+  } catch (error) {
+    console.log(
+      `Kullanıcıya / Kuruluşa ait şoförleri getirirken hata oluştu: ${error.message}`
+    );
+    res.status(500).json({ error: error.message });
+  }
+};
+
+export const soforGetir = async (req, res) => {
+  const { id } = req.params;
+  try {
+    const sofor = await Sofor.findOne({ _id: id, isDeleted: false });
+    if (!sofor) {
+      return res.status(404).json({ error: "Şoför bulunamadı" });
+    }
+
+    const aktifGorev = await soforAktifGorevGetir(sofor._id)
+      .select("talepId aracId gorevDurumu")
+      .populate("aracId", "plaka aracTuru")
+      .populate("talepId", "baslik");
+
+    res.status(200).json({ sofor, aktifGorev });
+  } catch (error) {
+    console.log(`Şoför getirirken hata oluştu: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+export const soforGuncelle = async (req, res) => {
+  const { id } = req.params;
+  const {
+    ad,
+    soyad,
+    telefon,
+    ehliyetSiniflari,
+    ehliyetGecerlilikTarihi,
+    musaitlikDurumu,
+  } = req.body;
+
+  try {
+    const sofor = await Sofor.findOne({ _id: id, isDeleted: false });
+    if (!sofor) {
+      return res.status(404).json({ error: "Şoför bulunamadı" });
+    }
+
+    if (ehliyetSiniflari !== undefined && (!Array.isArray(ehliyetSiniflari) || ehliyetSiniflari.length === 0)) {
+      return res
+        .status(400)
+        .json({ error: "En az bir ehliyet sınıfı seçilmelidir" });
+    }
+    if (ehliyetGecerlilikTarihi !== undefined && !gecerliTarihMi(ehliyetGecerlilikTarihi)) {
+      return res
+        .status(400)
+        .json({ error: "Geçersiz ehliyet geçerlilik tarihi" });
+    }
+
+    // "gorevde" durumu görev atama / sonuçlanmasıyla otomatik yönetilir
+    if (musaitlikDurumu !== undefined && !["musait", "izinli"].includes(musaitlikDurumu)) {
+      return res
+        .status(400)
+        .json({ error: "Müsaitlik durumu yalnızca müsait veya izinli olarak değiştirilebilir" });
+    }
+    if (musaitlikDurumu === "musait" && (await soforAktifGorevGetir(sofor._id))) {
+      return res
+        .status(400)
+        .json({ error: "Devam eden görevi olan şoför müsait olarak işaretlenemez" });
+    }
+
+    const guncellenecekAlanlar = {
+      ad,
+      soyad,
+      telefon,
+      ehliyetSiniflari,
+      ehliyetGecerlilikTarihi,
+      musaitlikDurumu,
+    };
+    for (const [alan, deger] of Object.entries(guncellenecekAlanlar)) {
+      if (deger !== undefined) sofor[alan] = deger;
+    }
+
+    await sofor.save();
+    res.status(200).json({ sofor });
+  } catch (error) {
+    console.log(`Şoför güncellenirken hata oluştu: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+export const soforSil = async (req, res) => {
+  const { id } = req.params;
+  try {
+    const sofor = await Sofor.findOne({ _id: id, isDeleted: false });
+    if (!sofor) {
+      return res.status(404).json({ error: "Şoför bulunamadı" });
+    }
+
+    if (await soforAktifGorevGetir(sofor._id)) {
+      return res
+        .status(400)
+        .json({ error: "Devam eden görevi olan şoför silinemez" });
+    }
+
+    sofor.isDeleted = true;
+    await sofor.save();
+
+    res.status(200).json({ message: "Şoför başarıyla silindi" });
+  } catch (error) {
+    console.log(`Şoför silinirken hata oluştu: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+};
@@ -3,6 +3,43 @@ import Kullanici from "../models/kullanici.model.js";
 import KurumFirma from "../models/kurumFirma.model.js";
 import { bildirimOlustur } from "../lib/utils/bildirimOlustur.js";
 import { bildirimGonder } from "../lib/utils/bildirimGonder.js";
+import { karsilanmaHesapla, talepKarsilanmaGetir, talepKarsilanmaGuncelle } from "../lib/utils/talepKarsilanma.js";
+import { ONERI_AGIRLIKLARI, talepOnerileriHesapla } from "../lib/utils/gorevOneri.js";
+import { talepOlayiYayinla } from "../lib/utils/canliYayin.js";
+import { afetOlayiFiltresi, konumaGoreAfetOlayiBul } from "../lib/utils/afetOlayiKapsami.js";
+import AfetOlayi from "../models/afetOlayi.model.js";
+import Gorev from "../models/gorev.model.js";
+import { konumaGoreOperasyonBolgeleriBul, talepKapsamFiltresi, talepKoordinatorleriniBul } from "../lib/utils/koordinatorKapsami.js";
+import { ONCELIK_SEVIYELERI, TALEP_KATEGORILERI, triyajAlanlariniDogrula, triyajSkoruHesapla } from "../lib/utils/talepTriyaj.js";
+import { geoNokta, poligonFiltresiOlustur } from "../lib/utils/geoKonum.js";
+import { listeGetir, listeSorgusuOlustur, ListeSorgusuHatasi, virgulluListe } from "../lib/utils/listeSorgusu.js";
+import { kaynakYetkisiVarMi, yetkisiVarMi } from "../lib/utils/yetkiPolitikasi.js";
+
+// Koordinatör talep listesinin sorgu sözleşmesi (lib/utils/listeSorgusu.js)
+// Alan adlarının yanında adlandırılmış sıralamalar da kabul edilir (varsayılan: triyaj skoru)
+const TALEP_LISTE_TANIMI = {
+    siralamaAlanlari: ["createdAt", "triyajSkoru", "durum", "baslik"],
+    varsayilanSiralama: "triyaj",
+    hazirSiralamalar: {
+        triyaj: { triyajSkoru: -1, _id: 1 },
+        yeni: { _id: -1 },
+        eski: { _id: 1 },
+    },
+    durumAlani: "durum",
+    tarihAlanlari: ["createdAt"],
+    kurumAlani: "talepEdenKurumFirmaId",
+    aramaAlanlari: ["baslik", "aciklama", "lokasyon.adres"],
+    iliskiliArama: async(regex) => {
+        const [kurumlar, kullanicilar] = await Promise.all([
+            KurumFirma.find({ kurumAdi: regex }).select("_id"),
+            Kullanici.find({ $or: [{ ad: regex }, { soyad: regex }] }).select("_id"),
+        ]);
+        return [
+            { talepEdenKurumFirmaId: { $in: kurumlar.map((k) => k._id) } },
+            { talepEdenKullaniciId: { $in: kullanicilar.map((k) => k._id) } },
+        ];
+    },
+};
 
 const koordinatorMailHtmlOlustur = (koordinator, talep, talepEden, talepEdenKurum) => `
 <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
@@ -14,6 +51,9 @@ const koordinatorMailHtmlOlustur = (koordinator, talep, talepEden, talepEdenKuru
         <p><strong>Başlık:</strong> ${talep.baslik}</p>
         <p><strong>Açıklama:</strong> ${talep.aciklama}</p>
         <p><strong>Konum:</strong> ${talep.lokasyon.adres}</p>
+        <p><strong>Öncelik:</strong> ${talep.oncelik}</p>
+        ${talep.kategoriler.length > 0 ? `<p><strong>Kategoriler:</strong> ${talep.kategoriler.join(", ")}</p>` : ''}
+        ${talep.etkilenenKisiSayisi ? `<p><strong>Etkilenen Kişi:</strong> ${talep.etkilenenKisiSayisi}</p>` : ''}
         <p><a href="https://www.google.com/maps?q=${talep.lokasyon.lat},${talep.lokasyon.lng}" 
               style="background-color: #4CAF50; color: white; padding: 10px 15px; text-decoration: none; border-radius: 5px; display: inline-block;">
             Google Haritada Görüntüle
@@ -48,20 +88,50 @@ const koordinatorMailHtmlOlustur = (koordinator, talep, talepEden, talepEdenKuru
 
 export const talepEkle = async(req, res) => {
     try {
-        const { baslik, aciklama, lokasyon, araclar, talepEdenKullaniciId, talepEdenKurumFirmaId } = req.body;
+        const { baslik, aciklama, lokasyon, araclar, oncelik, kategoriler, etkilenenKisiSayisi } = req.body;
+
+        // Talep sahibi giriş yapan kullanıcı ve kurumudur; başkası adına yalnızca koordinatör talep oluşturabilir
+        const adinaOlusturabilir = yetkisiVarMi(req.kullanici, "talep.create.any", "talep.update.any");
+        const talepEdenKullaniciId = (adinaOlusturabilir && req.body.talepEdenKullaniciId) || req.kullanici._id;
+        const talepEdenKurumFirmaId = (adinaOlusturabilir && req.body.talepEdenKurumFirmaId) ||
+            req.kullanici.kurumFirmaId?._id || req.kullanici.kurumFirmaId || null;
+
+        const triyajHatasi = triyajAlanlariniDogrula({ oncelik, kategoriler, etkilenenKisiSayisi });
+        if (triyajHatasi) {
+            return res.status(400).json({ error: triyajHatasi });
+        }
+
+        // Talep seçilen afet olayına, seçilmediyse konumu etkilenen bölgesinde kalan aktif olaya bağlanır
+        let afetOlayi = null;
+        if (req.body.afetOlayiId) {
+            afetOlayi = await AfetOlayi.findOne({ _id: req.body.afetOlayiId, isDeleted: false });
+            if (!afetOlayi || afetOlayi.durum !== "aktif") {
+                return res.status(400).json({ error: "Seçilen afet olayı bulunamadı veya kapatılmış" });
+            }
+        } else {
+            afetOlayi = await konumaGoreAfetOlayiBul(lokasyon);
+        }
 
         // Yeni talebi oluştur
         const talep = new Talep({
             baslik,
             aciklama,
-            lokasyon,
+            lokasyon: { ...lokasyon, nokta: geoNokta(lokasyon) },
             araclar,
             talepEdenKullaniciId,
             talepEdenKurumFirmaId,
+            oncelik,
+            kategoriler,
+            etkilenenKisiSayisi,
+            afetOlayiId: afetOlayi?._id || null,
+            operasyonBolgeleri: await konumaGoreOperasyonBolgeleriBul(lokasyon),
+            karsilanma: karsilanmaHesapla(araclar),
         });
+        talep.triyajSkoru = triyajSkoruHesapla(talep).skor;
 
         // Talebi kaydet
         await talep.save();
+        talepOlayiYayinla(talep, "olusturuldu");
 
         // Talep eden kişi ve kurum bilgilerini çek
         const talepEden = await Kullanici.findOne({
@@ -74,11 +144,8 @@ export const talepEkle = async(req, res) => {
             isDeleted: false
         });
 
-        // Koordinatörlere bildirim gönder
-        const tumKoordinatorler = await Kullanici.find({
-            rol: "koordinator",
-            isDeleted: false,
-        }).select("ad soyad email telefon");
+        // Talebin bölgesinden sorumlu koordinatörlere bildirim gönder
+        const tumKoordinatorler = await talepKoordinatorleriniBul(talep);
 
         // Her koordinatöre bildirim gönder
         const kurumSet = new Set();
@@ -102,6 +169,8 @@ export const talepEkle = async(req, res) => {
                 hedefUrl: `/talepler/${talep._id}`,
                 tur: "talep",
                 gizlilik: "kurumsal",
+                olay: "yeni_talep",
+                afetOlayiId: talep.afetOlayiId,
             });
         }
 
@@ -115,10 +184,12 @@ export const talepEkle = async(req, res) => {
                 hedefUrl: `/talepler/${talep._id}`,
                 tur: "talep",
                 gizlilik: "bireysel",
+                olay: "yeni_talep",
+                afetOlayiId: talep.afetOlayiId,
             });
         }
 
-        // Koordinatörlere e-posta ve SMS gönder
+        // Koordinatörlere gidecek e-posta ve SMS'leri gönderim kuyruğuna ekle (gönderim arka planda yapılır)
         const bildirimDurumu = {
             basarili: 0,
             hatalar: []
@@ -134,26 +205,29 @@ export const talepEkle = async(req, res) => {
                     subject: `Yeni Talep: ${talep.baslik}`,
                     html: koordinatorMailHtmlOlustur(k, talep, talepEden, talepEdenKurum),
                     baslik: "Yeni Talep",
-                    mesaj: `${talep.baslik}\nAçıklama: ${talep.aciklama}\nİstenen Araçlar: ${araclarOzeti}\nTalep Eden: ${talepEden ? `${talepEden.ad} ${talepEden.soyad}` : talepEdenKurum.kurumAdi}`,
-                    konum: talep.lokasyon
+                    mesaj: `${talep.baslik} (${talep.oncelik})\nAçıklama: ${talep.aciklama}\nİstenen Araçlar: ${araclarOzeti}\nTalep Eden: ${talepEden ? `${talepEden.ad} ${talepEden.soyad}` : talepEdenKurum.kurumAdi}`,
+                    konum: talep.lokasyon,
+                    kaynak: { tur: "talep", id: talep._id },
+                    // Koordinatörün "yeni talep" için seçtiği kanallar ve sessiz saatleri uygulanır
+                    kullaniciId: k._id,
+                    olay: "yeni_talep",
+                    hedefUrl: `/talepler/${talep._id}`
                 });
 
-                if (bildirimSonuc.success) {
+                if (bildirimSonuc.success && (bildirimSonuc.kuyrugaEklenen > 0 || bildirimSonuc.ozeteEklendi)) {
                     bildirimDurumu.basarili++;
-                }
-                
-                if (bildirimSonuc.warnings) {
-                    bildirimDurumu.hatalar.push(...bildirimSonuc.warnings);
+                } else if (bildirimSonuc.error) {
+                    bildirimDurumu.hatalar.push(bildirimSonuc.error);
                 }
             }
         }
 
         let bildirimMesaji = "Talep başarıyla oluşturuldu.";
         if (bildirimDurumu.basarili > 0) {
-            bildirimMesaji += ` ${bildirimDurumu.basarili} koordinatöre bildirim gönderildi.`;
+            bildirimMesaji += ` ${bildirimDurumu.basarili} koordinatör için bildirim gönderim kuyruğuna eklendi.`;
         }
         if (bildirimDurumu.hatalar.length > 0) {
-            bildirimMesaji += " Bazı bildirimler iletilemedi (SMS doğrulama gerekiyor).";
+            bildirimMesaji += " Bazı bildirimler kuyruğa eklenemedi.";
         }
 
         res.status(201).json({ 
@@ -169,16 +243,41 @@ export const talepEkle = async(req, res) => {
 
 export const tumTalepleriGetir = async(req, res) => {
     try {
-        const talepler = await Talep.find({ isDeleted: false })
-            .populate("talepEdenKullaniciId", "ad soyad telefon")
-            .populate("talepEdenKurumFirmaId", "kurumAdi iletisim.telefon");
-
-        if (!talepler) {
-            return res.status(404).json({ error: "Kayıtlı talep bulunamadı" });
+        const { oncelik, kategori, within } = req.query;
+        const liste = await listeSorgusuOlustur(req.query, TALEP_LISTE_TANIMI);
+
+        const filtre = {};
+        if (oncelik) filtre.oncelik = { $in: virgulluListe(oncelik, ONCELIK_SEVIYELERI) };
+        if (kategori) filtre.kategoriler = { $in: virgulluListe(kategori, Object.keys(TALEP_KATEGORILERI)) };
+
+        // Harita bileşenleri yalnızca görünen alandaki talepleri ister
+        if (within) {
+            const poligon = poligonFiltresiOlustur(within);
+            if (poligon.hata) {
+                return res.status(400).json({ error: poligon.hata });
+            }
+            filtre["lokasyon.nokta"] = poligon.filtre;
         }
 
-        res.status(200).json(talepler);
+        // Bölge atanmış koordinatör yalnızca bölgelerindeki talepleri görür
+        liste.filtre = {
+            ...liste.filtre,
+            ...filtre,
+            ...afetOlayiFiltresi(req),
+            ...talepKapsamFiltresi(req.kullanici),
+            isDeleted: false,
+        };
+
+        const sonuc = await listeGetir(Talep, liste, (sorgu) => sorgu
+            .populate("talepEdenKullaniciId", "ad soyad telefon")
+            .populate("talepEdenKurumFirmaId", "kurumAdi iletisim.telefon")
+            .populate("afetOlayiId", "ad tur durum"));
+
+        res.status(200).json(sonuc);
     } catch (error) {
+        if (error instanceof ListeSorgusuHatasi) {
+            return res.status(400).json({ error: error.message });
+        }
         return res.status(500).json({ error: "Sunucu hatası" });
     }
 };
@@ -189,8 +288,11 @@ export const kurumaAitTalepleriGetir = async(req, res) => {
     try {
         const talepler = await Talep.find({
             talepEdenKurumFirmaId: kurumFirmaId,
+            ...afetOlayiFiltresi(req),
             isDeleted: false,
-        }).populate("talepEdenKullaniciId", "ad soyad");
+        })
+            .populate("talepEdenKullaniciId", "ad soyad")
+            .populate("afetOlayiId", "ad tur durum");
 
         if (!talepler) {
             return res.status(404).json({ error: "Kayıtlı talep bulunamadı" });
@@ -211,21 +313,51 @@ export const talepGetir = async(req, res) => {
             .populate(
                 "talepEdenKurumFirmaId",
                 "kurumAdi iletisim.telefon iletisim.email"
-            );
+            )
+            .populate("afetOlayiId", "ad tur durum");
+
+        if (!talep) {
+            return res.status(404).json({ error: "Talep bulunamadı" });
+        }
+
+        // Skorun bileşenleri kayıtlı değildir, güncel haliyle hesaplanır
+        res.status(200).json({ ...talep.toObject(), triyaj: triyajSkoruHesapla(talep) });
+    } catch (error) {
+        return res.status(500).json({ error: "Sunucu hatası" });
+    }
+};
+
+export const talepOnerileriGetir = async(req, res) => {
+    const { id } = req.params;
+
+    try {
+        const talep = await Talep.findOne({ _id: id, isDeleted: false });
 
         if (!talep) {
             return res.status(404).json({ error: "Talep bulunamadı" });
         }
 
-        res.status(200).json(talep);
+        if (["tamamlandı", "iptal edildi"].includes(talep.durum)) {
+            return res.status(400).json({ error: `"${talep.durum}" durumundaki talep için öneri yapılamaz` });
+        }
+
+        const karsilanma = await talepKarsilanmaGetir(talep);
+        const oneriler = await talepOnerileriHesapla(talep, karsilanma);
+
+        res.status(200).json({
+            talepId: talep._id,
+            agirliklar: ONERI_AGIRLIKLARI,
+            oneriler,
+        });
     } catch (error) {
+        console.log("Talep önerileri hesaplanırken hata:", error.message);
         return res.status(500).json({ error: "Sunucu hatası" });
     }
 };
 
 export const talepGuncelle = async(req, res) => {
     const { id } = req.params;
-    const { baslik, aciklama, araclar, lokasyon, durum } = req.body;
+    const { baslik, aciklama, araclar, lokasyon, durum, afetOlayiId, oncelik, kategoriler, etkilenenKisiSayisi } = req.body;
 
     try {
         const talep = await Talep.findOne({ _id: id, isDeleted: false });
@@ -234,6 +366,26 @@ export const talepGuncelle = async(req, res) => {
             return res.status(404).json({ error: "Talep bulunamadı" });
         }
 
+        const triyajHatasi = triyajAlanlariniDogrula({ oncelik, kategoriler, etkilenenKisiSayisi });
+        if (triyajHatasi) {
+            return res.status(400).json({ error: triyajHatasi });
+        }
+
+        // Talep sahibi önceliği ve afet olayını değiştiremez (triyaj sırası ve eskalasyon koordinatöre aittir);
+        // görevlendirme başladıktan sonra istenen araçlar da yalnızca koordinatörce değiştirilebilir
+        if (!yetkisiVarMi(req.kullanici, "talep.update.any")) {
+            const oncelikDegisiyor = oncelik !== undefined && oncelik !== talep.oncelik;
+            const afetOlayiDegisiyor = afetOlayiId !== undefined && String(afetOlayiId || "") !== String(talep.afetOlayiId || "");
+            const araclarDegisiyor = Array.isArray(araclar) && araclar.length > 0 && talep.durum !== "beklemede";
+            if (oncelikDegisiyor || afetOlayiDegisiyor || araclarDegisiyor) {
+                return res.status(403).json({
+                    error: "Öncelik, afet olayı ve görevlendirilmiş talebin araçları yalnızca koordinatör tarafından değiştirilebilir",
+                });
+            }
+        }
+
+        let araclarDegisti = false;
+
         if (baslik) {
             talep.baslik = baslik;
         }
@@ -251,6 +403,7 @@ export const talepGuncelle = async(req, res) => {
                 }
             }
             talep.araclar = araclar;
+            araclarDegisti = true;
         }
         if (lokasyon) {
             const { adres, lat, lng } = lokasyon;
@@ -262,13 +415,39 @@ export const talepGuncelle = async(req, res) => {
                 adres,
                 lat,
                 lng,
+                nokta: geoNokta({ lat, lng }),
             };
+            talep.operasyonBolgeleri = await konumaGoreOperasyonBolgeleriBul(talep.lokasyon);
+        }
+
+        if (oncelik && oncelik !== talep.oncelik) {
+            talep.oncelik = oncelik;
+            // Elle belirlenen öncelik için bekleme eşiği yeniden başlar
+            talep.eskalasyon.sonZaman = new Date();
+        }
+        if (kategoriler !== undefined) {
+            talep.kategoriler = kategoriler;
+        }
+        if (etkilenenKisiSayisi !== undefined && etkilenenKisiSayisi !== null) {
+            talep.etkilenenKisiSayisi = etkilenenKisiSayisi;
+        }
+
+        let afetOlayiDegisti = false;
+        if (afetOlayiId !== undefined && String(afetOlayiId || "") !== String(talep.afetOlayiId || "")) {
+            if (afetOlayiId) {
+                const afetOlayi = await AfetOlayi.findOne({ _id: afetOlayiId, isDeleted: false });
+                if (!afetOlayi || afetOlayi.durum !== "aktif") {
+                    return res.status(400).json({ error: "Seçilen afet olayı bulunamadı veya kapatılmış" });
+                }
+            }
+            talep.afetOlayiId = afetOlayiId || null;
+            afetOlayiDegisti = true;
         }
 
         if (durum) {
             // Görevlendirilen veya tamamlanan talepler iptal edilemez
             if (
-                ["gorevlendirildi", "tamamlandı"].includes(talep.durum) &&
+                ["kismen gorevlendirildi", "gorevlendirildi", "tamamlandı"].includes(talep.durum) &&
                 durum === "iptal edildi"
             ) {
                 return res.status(400).json({
@@ -276,10 +455,33 @@ export const talepGuncelle = async(req, res) => {
                 });
             }
 
+            // Talep sahibi yalnızca iptal edebilir; diğer durum değişiklikleri koordinatöre aittir
+            if (durum !== talep.durum) {
+                const yetkili = durum === "iptal edildi"
+                    ? await kaynakYetkisiVarMi(req.kullanici, "talep", talep, "talep.cancel")
+                    : yetkisiVarMi(req.kullanici, "talep.update.any");
+                if (!yetkili) {
+                    return res.status(403).json({ error: "Talebin durumunu değiştirme yetkiniz yok" });
+                }
+            }
+
             talep.durum = durum;
         }
 
-        await talep.save();
+        // İstenen araçlar değiştiyse karşılanma tablosu ve durum yeniden hesaplanır
+        if (araclarDegisti) {
+            await talepKarsilanmaGuncelle(talep);
+        } else {
+            talep.triyajSkoru = triyajSkoruHesapla(talep).skor;
+            await talep.save();
+        }
+
+        // Talebin görevleri de aynı olaya taşınır
+        if (afetOlayiDegisti) {
+            await Gorev.updateMany({ talepId: talep._id }, { $set: { afetOlayiId: talep.afetOlayiId } });
+        }
+
+        talepOlayiYayinla(talep, "guncellendi");
 
         res.status(200).json({ talep });
     } catch (error) {
@@ -299,6 +501,7 @@ export const talepSil = async(req, res) => {
 
         talep.isDeleted = true;
         await talep.save();
+        talepOlayiYayinla(talep, "silindi");
 
         res.status(200).json({ message: "Talep başarıyla silindi" });
     } catch (error) {
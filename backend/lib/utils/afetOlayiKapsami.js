@@ -0,0 +1,74 @@
+import mongoose from "mongoose";
+import AfetOlayi from "../../models/afetOlayi.model.js";
+
+/**
+ * İstekteki ?afetOlayiId= parametresinden liste sorgularına eklenecek filtreyi üretir
+ * Parametre yoksa ya da geçersizse tüm olaylar listelenir; "yok" değeri olaya bağlanmamış kayıtları getirir
+ * @param {Object} req - Express isteği
+ * @returns {Object} Mongoose filtresine eklenecek alanlar
+ */
+export const afetOlayiFiltresi = (req) => {
+    const { afetOlayiId } = req.query;
+
+    if (afetOlayiId === "yok") {
+        return { afetOlayiId: null };
+    }
+    if (afetOlayiId && mongoose.Types.ObjectId.isValid(afetOlayiId)) {
+        return { afetOlayiId };
+    }
+    return {};
+};
+
+/**
+ * Etkilenen bölgesi verilen konumu kapsayan aktif afet olayını bulur
+ * Birden fazla olay kesişiyorsa en son başlayan seçilir
+ * @param {{lat: number, lng: number}} konum
+ * @returns {Promise<Object|null>}
+ */
+export const konumaGoreAfetOlayiBul = async(konum) => {
+    if (!Number.isFinite(Number(konum?.lat)) || !Number.isFinite(Number(konum?.lng))) {
+        return null;
+    }
+
+    return AfetOlayi.findOne({
+        durum: "aktif",
+        isDeleted: false,
+        etkilenenBolge: {
+            $geoIntersects: {
+                $geometry: { type: "Point", coordinates: [Number(konum.lng), Number(konum.lat)] },
+            },
+        },
+    }).sort({ baslangicTarihi: -1 });
+};
+
+/**
+ * GeoJSON Polygon etkilenen bölgeyi doğrular, kapanmamış halkaları kapatır
+ * @param {Object} bolge - { type: "Polygon", coordinates: [[[lng, lat], ...]] }
+ * @returns {{bolge?: Object, hata?: string}}
+ */
+export const bolgeDogrula = (bolge) => {
+    if (bolge?.type !== "Polygon" || !Array.isArray(bolge.coordinates) || bolge.coordinates.length === 0) {
+        return { hata: "Etkilenen bölge GeoJSON Polygon biçiminde olmalıdır" };
+    }
+
+    const halkalar = [];
+    for (const halka of bolge.coordinates) {
+        const noktalar = Array.isArray(halka) ? halka.map((n) => [Number(n?.[0]), Number(n?.[1])]) : [];
+
+        if (noktalar.some(([lng, lat]) => !Number.isFinite(lng) || !Number.isFinite(lat) || Math.abs(lat) > 90 || Math.abs(lng) > 180)) {
+            return { hata: "Etkilenen bölgede geçersiz koordinat var" };
+        }
+
+        const [ilk, son] = [noktalar[0], noktalar[noktalar.length - 1]];
+        if (ilk && (ilk[0] !== son[0] || ilk[1] !== son[1])) {
+            noktalar.push([...ilk]);
+        }
+
+        if (noktalar.length < 4) {
+            return { hata: "Etkilenen bölge en az üç köşeden oluşmalıdır" };
+        }
+        halkalar.push(noktalar);
+    }
+
+    return { bolge: { type: "Polygon", coordinates: halkalar } };
+};
@@ -0,0 +1,95 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import mongoose from "mongoose";
+import Gorev from "../../models/gorev.model.js";
+import { AKTIF_GOREV_DURUMLARI } from "./talepKarsilanma.js";
+
+// Belge tokenları oturum tokenlarından ayrı bir anahtarla imzalanır; karekoddaki token oturum açmak için kullanılamaz
+const BELGE_KITLESI = "gorev-belgesi";
+
+const imzaAnahtari = () =>
+    process.env.BELGE_DOGRULAMA_SECRET ||
+    crypto.createHmac("sha256", process.env.JWT_SECRET).update(BELGE_KITLESI).digest("hex");
+
+// Karekodun basımdan sonra kaç saat geçerli sayılacağı
+export const belgeGecerlilikSaati = () => {
+    const saat = Number(process.env.BELGE_GECERLILIK_SAAT);
+    return Number.isFinite(saat) && saat > 0 ? saat : 72;
+};
+
+export const DOGRULAMA_MESAJLARI = {
+    gecerli: "Belge geçerli, görev aktif.",
+    suresi_dolmus: "Belgenin geçerlilik süresi dolmuş.",
+    gecersiz: "Belge doğrulanamadı. Karekod değiştirilmiş ya da sahte olabilir.",
+    gorev_aktif_degil: "Belge gerçek ancak görev artık aktif değil.",
+    arac_degisti: "Belge gerçek ancak göreve başka bir araç atanmış.",
+};
+
+/**
+ * Görev formundaki karekod için imzalı token üretir
+ * @param {Object} gorev - aracId (plaka ile) populate edilmiş görev
+ * @returns {{token: string, baslangic: Date, bitis: Date}}
+ */
+export const belgeTokeniOlustur = (gorev) => {
+    const token = jwt.sign(
+        { gorevId: String(gorev._id), plaka: gorev.aracId?.plaka || null },
+        imzaAnahtari(),
+        { audience: BELGE_KITLESI, expiresIn: `${belgeGecerlilikSaati()}h` }
+    );
+    const { iat, exp } = jwt.decode(token);
+
+    return { token, baslangic: new Date(iat * 1000), bitis: new Date(exp * 1000) };
+};
+
+// Karekodun açtığı herkese açık doğrulama sayfası
+export const belgeDogrulamaUrl = (token) => `${process.env.CLIENT_URL || ""}/dogrula/${token}`;
+
+const tokenCoz = (token) => {
+    try {
+        return { yuk: jwt.verify(token, imzaAnahtari(), { audience: BELGE_KITLESI }) };
+    } catch (error) {
+        if (error.name !== "TokenExpiredError") return { yuk: null };
+        // Süresi dolmuş belge de gerçek olabilir; hangi görev olduğunu göstermek için imza yine doğrulanır
+        return {
+            yuk: jwt.verify(token, imzaAnahtari(), { audience: BELGE_KITLESI, ignoreExpiration: true }),
+            suresiDolmus: true,
+        };
+    }
+};
+
+/**
+ * Karekoddaki tokenı doğrular ve görevin güncel durumunu döner.
+ * Yanıtta yalnızca plaka, araç türü, görev durumu ve şoförün adı yer alır; telefon ve talep bilgileri paylaşılmaz.
+ * @param {string} token
+ * @returns {Promise<{gecerli: boolean, durum: string, mesaj: string, gorev: Object|null}>}
+ */
+export const belgeTokeniDogrula = async(token) => {
+    const sonuc = (durum, gorev = null) => ({
+        gecerli: durum === "gecerli",
+        durum,
+        mesaj: DOGRULAMA_MESAJLARI[durum],
+        gorev,
+    });
+
+    const { yuk, suresiDolmus } = tokenCoz(token);
+    if (!yuk?.gorevId || !mongoose.Types.ObjectId.isValid(yuk.gorevId)) return sonuc("gecersiz");
+
+    const gorev = await Gorev.findOne({ _id: yuk.gorevId, isDeleted: false })
+        .select("aracId sofor gorevDurumu")
+        .populate("aracId", "plaka aracTuru")
+        .lean();
+    if (!gorev) return sonuc("gecersiz");
+
+    const ozet = {
+        gorevDurumu: gorev.gorevDurumu,
+        plaka: yuk.plaka,
+        aracTuru: gorev.aracId?.aracTuru || null,
+        sofor: [gorev.sofor?.ad, gorev.sofor?.soyad].filter(Boolean).join(" ") || null,
+        gecerlilik: { baslangic: new Date(yuk.iat * 1000), bitis: new Date(yuk.exp * 1000) },
+    };
+
+    if (suresiDolmus) return sonuc("suresi_dolmus", ozet);
+    if (!AKTIF_GOREV_DURUMLARI.includes(gorev.gorevDurumu)) return sonuc("gorev_aktif_degil", ozet);
+    if (gorev.aracId?.plaka !== yuk.plaka) return sonuc("arac_degisti", ozet);
+    return sonuc("gecerli", ozet);
+};
@@ -1,8 +1,14 @@
-import { mailGonder } from './email.js';
-import { smsGonder } from './sms.js';
+import crypto from 'crypto';
+import GidenMesaj from '../../models/gidenMesaj.model.js';
+import Kullanici from '../../models/kullanici.model.js';
+import { bildirimPlaniGetir } from './bildirimTercihleri.js';
+import { ozeteEkle } from './bildirimOzeti.js';
 
 /**
- * Bildirim gönderimi için yardımcı fonksiyon (E-posta ve SMS)
+ * E-posta ve SMS bildirimlerini gönderim kuyruğuna (outbox) ekler.
+ * Gönderim, yeniden denemeler ve durum takibi arka plandaki mesaj kuyruğu worker'ı tarafından yapılır (bkz. mesajKuyrugu.js).
+ * kullaniciId verilirse kullanıcının olay için seçtiği kanallar ve sessiz saatleri uygulanır;
+ * verilmezse (ör. kurum iletişim adresi) e-posta ve SMS her zaman gönderilir.
  * @param {Object} params - Bildirim gönderim parametreleri
  * @param {string} params.email - Alıcının e-posta adresi
  * @param {string} params.telefon - Alıcının telefon numarası (+90 ile başlamalı)
@@ -14,70 +20,66 @@ import { smsGonder } from './sms.js';
  * @param {number} params.konum.lat - Enlem
  * @param {number} params.konum.lng - Boylam
  * @param {string} params.konum.adres - Adres
- * @returns {Promise<{success: boolean, emailSent: boolean, smsSent: boolean, error?: string, warnings?: string[]}>}
+ * @param {Object} [params.kaynak] - Mesajın ilgili olduğu kayıt (ör. { tur: "gorev", id })
+ * @param {string} [params.kullaniciId] - Alıcı kullanıcı (tercihleri uygulanır)
+ * @param {string} [params.olay] - Bildirim olayı (yeni_talep, gorev_atandi, gorev_durumu, talep_eskalasyonu, sistem)
+ * @param {boolean} [params.kritik] - Kritik olaylar, kullanıcı izin verdiyse sessiz saatlerde de anında gönderilir
+ * @param {string} [params.hedefUrl] - Özet e-postasında verilecek bağlantı
+ * @returns {Promise<{success: boolean, grupId?: string, kuyrugaEklenen: number, ozeteEklendi?: boolean, error?: string}>}
  */
-export const bildirimGonder = async({ email, telefon, subject, html, baslik, mesaj, konum }) => {
-    let emailSent = false;
-    let smsSent = false;
-    let error = null;
-    const warnings = [];
+export const bildirimGonder = async({ email, telefon, subject, html, baslik, mesaj, konum, kaynak, kullaniciId, olay = "sistem", kritik = false, hedefUrl }) => {
+    const grupId = crypto.randomUUID();
+    const mesajlar = [];
 
-    try {
-        // E-posta gönderimi
-        if (email) {
+    let kanallar = ["email", "sms"];
+    let ertele = null;
+    let ozeteEklendi = false;
+
+    if (kullaniciId) {
+        const kullanici = await Kullanici.findById(kullaniciId).select("bildirimTercihleri");
+        ({ kanallar, ertele } = bildirimPlaniGetir(kullanici, olay, kritik));
+
+        if (email && kanallar.includes("ozet")) {
             try {
-                await mailGonder({
-                    to: email,
-                    subject,
-                    html
-                });
-                emailSent = true;
-                console.log("✅ E-posta gönderildi:", email);
-            } catch (err) {
-                console.error("❌ E-posta gönderme hatası:", err.message);
-                warnings.push(`E-posta gönderilemedi: ${email}`);
+                await ozeteEkle({ kullaniciId, olay, baslik: subject || baslik, icerik: mesaj, hedefUrl });
+                ozeteEklendi = true;
+            } catch (error) {
+                console.error("❌ Bildirim özete eklenemedi:", error.message);
             }
         }
+    }
 
-        // SMS gönderimi
-        if (telefon) {
-            let smsIcerik = `${baslik}\n\n${mesaj}`;
+    // Sessiz saatlerdeki mesajlar sessiz saat bitiminde gönderilmek üzere kuyruğa alınır
+    const zamanlama = ertele ? { sonrakiDenemeZamani: ertele } : {};
 
-            // Konum bilgisi varsa ekle
-            if (konum) {
-                smsIcerik += `\n\nKonum: ${konum.adres}\nHaritada görüntüle: https://www.google.com/maps?q=${konum.lat},${konum.lng}`;
-            }
+    if (email && kanallar.includes("email")) {
+        mesajlar.push({ kanal: "email", alici: email, konu: subject, icerik: html, grupId, kaynak, ...zamanlama });
+    }
 
-            const smsResult = await smsGonder({
-                to: telefon,
-                message: smsIcerik
-            });
+    if (telefon && kanallar.includes("sms")) {
+        let smsIcerik = `${baslik}\n\n${mesaj}`;
 
-            if (!smsResult.success) {
-                warnings.push(smsResult.error);
-            } else {
-                smsSent = true;
-            }
+        // Konum bilgisi varsa ekle
+        if (konum) {
+            smsIcerik += `\n\nKonum: ${konum.adres}\nHaritada görüntüle: https://www.google.com/maps?q=${konum.lat},${konum.lng}`;
         }
 
-        // En az bir bildirim başarılı ise işlem başarılı sayılır
-        const success = emailSent || smsSent;
+        mesajlar.push({ kanal: "sms", alici: telefon, konu: baslik, icerik: smsIcerik, grupId, kaynak, ...zamanlama });
+    }
+
+    if (mesajlar.length === 0) {
+        // Kullanıcı bu olay için e-posta / SMS almak istemiyorsa hata sayılmaz
+        if (kullaniciId) {
+            return { success: true, kuyrugaEklenen: 0, ozeteEklendi };
+        }
+        return { success: false, kuyrugaEklenen: 0, error: "E-posta ya da telefon bilgisi yok." };
+    }
 
-        return {
-            success,
-            emailSent,
-            smsSent,
-            ...(warnings.length > 0 && { warnings }),
-            ...(error && { error })
-        };
+    try {
+        await GidenMesaj.insertMany(mesajlar);
+        return { success: true, grupId, kuyrugaEklenen: mesajlar.length, ozeteEklendi };
     } catch (error) {
-        console.error("❌ Bildirim gönderme hatası:", error.message);
-        return {
-            success: false,
-            emailSent,
-            smsSent,
-            error: "Bildirim gönderilirken bir hata oluştu.",
-            warnings
-        };
+        console.error("❌ Bildirim kuyruğa eklenemedi:", error.message);
+        return { success: false, kuyrugaEklenen: 0, error: "Bildirim kuyruğa eklenemedi." };
     }
-};
\ No newline at end of file
+};
@@ -1,6 +1,16 @@
 import Bildirim from "../../models/bildirim.model.js";
+import { bildirimOlayiYayinla } from "./canliYayin.js";
+import Kullanici from "../../models/kullanici.model.js";
+import { bildirimPlaniGetir } from "./bildirimTercihleri.js";
 
 
+/**
+ * Uygulama içi bildirim oluşturur ve açık istemcilere anlık iletir.
+ * Bireysel bildirimlerde kullanıcının olay için seçtiği kanallar uygulanır:
+ * "uygulama" seçili değilse bildirim kaydedilmez, "push" seçili değilse (ya da sessiz saatteyse) anlık iletilmez.
+ * Kurumsal bildirimler her zaman kaydedilir ve iletilir.
+ * @returns {Promise<Object|null>} Oluşturulan bildirim, kullanıcı bu kanalı kapattıysa null
+ */
 export const bildirimOlustur = async ({
     kullaniciId,
     kurumFirmaId=null,
@@ -9,8 +19,19 @@ export const bildirimOlustur = async ({
     hedefUrl="",
     okundu=false,
     tur="sistem",
+    gizlilik="bireysel",
+    olay="sistem",
+    kritik=false,
+    afetOlayiId=null,
 }) => {
     try {
+        let kanallar = ["uygulama", "push"];
+        let ertele = null;
+        if (kullaniciId) {
+            const kullanici = await Kullanici.findById(kullaniciId).select("bildirimTercihleri");
+            ({ kanallar, ertele } = bildirimPlaniGetir(kullanici, olay, kritik));
+        }
+
         const bildirim = new Bildirim({
             kullaniciId,
             kurumFirmaId,
@@ -18,13 +39,21 @@ export const bildirimOlustur = async ({
             icerik,
             hedefUrl,
             tur,
+            gizlilik,
             okundu,
+            afetOlayiId,
         });
 
+        if (kanallar.includes("uygulama")) {
+            await bildirim.save();
+        }
+
+        // Bağlı istemcilere anlık olarak iletilir
+        if (kanallar.includes("push") && !ertele) {
+            bildirimOlayiYayinla(bildirim);
+        }
 
-        await bildirim.save();
-     
-        return bildirim;
+        return kanallar.includes("uygulama") ? bildirim : null;
     } catch (error) {
         console.error("Bildirim oluşturulurken hata:", error.message);
         throw new Error("Bildirim oluşturulamadı");
@@ -0,0 +1,104 @@
+import OzetKaydi from "../../models/ozetKaydi.model.js";
+import Kullanici from "../../models/kullanici.model.js";
+import GidenMesaj from "../../models/gidenMesaj.model.js";
+import { BILDIRIM_OLAYLARI, OZET_SIKLIKLARI, kullaniciTercihleriGetir, sessizSaatBitisi } from "./bildirimTercihleri.js";
+
+// Bekleyen özetlerin kaç dakikada bir kontrol edileceği
+const KONTROL_ARALIGI_DK = 5;
+
+let zamanlayici = null;
+
+/**
+ * Bildirimi kullanıcının bir sonraki e-posta özetine ekler
+ * @param {Object} params
+ * @param {string} params.kullaniciId
+ * @param {string} params.olay - BILDIRIM_OLAYLARI anahtarı
+ * @param {string} params.baslik
+ * @param {string} [params.icerik]
+ * @param {string} [params.hedefUrl]
+ */
+export const ozeteEkle = async({ kullaniciId, olay, baslik, icerik, hedefUrl }) => {
+    await OzetKaydi.create({ kullaniciId, olay, baslik, icerik, hedefUrl });
+};
+
+const ozetHtmlOlustur = (kullanici, kayitlar) => {
+    const siteUrl = process.env.CLIENT_URL || "";
+    const satirlar = kayitlar.map((k) => `
+        <tr>
+            <td style="padding: 6px; color: #7f8c8d; white-space: nowrap;">${new Date(k.createdAt).toLocaleString("tr-TR")}</td>
+            <td style="padding: 6px; color: #7f8c8d;">${BILDIRIM_OLAYLARI[k.olay] || k.olay}</td>
+            <td style="padding: 6px;">
+                ${k.hedefUrl ? `<a href="${siteUrl}${k.hedefUrl}">${k.baslik}</a>` : k.baslik}
+                ${k.icerik ? `<div style="color: #555;">${k.icerik}</div>` : ""}
+            </td>
+        </tr>`).join("");
+
+    return `
+<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+    <h2 style="color: #2c3e50;">Bildirim Özeti</h2>
+    <p>Sayın ${kullanici.ad} ${kullanici.soyad},</p>
+    <p>Son özetten bu yana ${kayitlar.length} bildiriminiz var.</p>
+    <table style="width: 100%; border-collapse: collapse; background-color: #f8f9fa; border-radius: 5px;">
+        ${satirlar}
+    </table>
+    <p style="color: #7f8c8d; font-size: 12px;">Bildirim tercihlerinizi hesabınızdaki "Bildirim Tercihleri" sayfasından değiştirebilirsiniz.</p>
+</div>`;
+};
+
+/**
+ * Özet süresi dolan kullanıcıların bekleyen bildirimlerini tek bir e-posta olarak gönderim kuyruğuna ekler
+ * Kullanıcının özet sıklığı (saatlik / günlük), en eski bekleyen kaydın yaşına göre uygulanır
+ */
+export const ozetleriIsle = async() => {
+    try {
+        const bekleyenler = await OzetKaydi.aggregate([
+            { $match: { gonderildi: false } },
+            { $group: { _id: "$kullaniciId", enEski: { $min: "$createdAt" } } },
+        ]);
+
+        for (const { _id: kullaniciId, enEski } of bekleyenler) {
+            const kullanici = await Kullanici.findOne({ _id: kullaniciId, isDeleted: false })
+                .select("ad soyad email bildirimTercihleri");
+
+            if (!kullanici?.email) {
+                await OzetKaydi.updateMany({ kullaniciId, gonderildi: false }, { gonderildi: true });
+                continue;
+            }
+
+            const tercihler = kullaniciTercihleriGetir(kullanici);
+            const sure = OZET_SIKLIKLARI[tercihler.ozetSikligi];
+            if (Date.now() - enEski.getTime() < sure || sessizSaatBitisi(tercihler.sessizSaatler)) {
+                continue;
+            }
+
+            const kayitlar = await OzetKaydi.find({ kullaniciId, gonderildi: false }).sort({ createdAt: 1 });
+            if (kayitlar.length === 0) continue;
+
+            const mesaj = await GidenMesaj.create({
+                kanal: "email",
+                alici: kullanici.email,
+                konu: `Bildirim Özeti (${kayitlar.length})`,
+                icerik: ozetHtmlOlustur(kullanici, kayitlar),
+                grupId: `ozet-${kullaniciId}-${Date.now()}`,
+                kaynak: { tur: "ozet", id: kullaniciId },
+            });
+
+            await OzetKaydi.updateMany(
+                { _id: { $in: kayitlar.map((k) => k._id) } },
+                { gonderildi: true, gidenMesajId: mesaj._id }
+            );
+        }
+    } catch (error) {
+        console.error("❌ Bildirim özetleri işlenirken hata:", error.message);
+    }
+};
+
+/**
+ * Bildirim özeti zamanlayıcısını başlatır (veritabanı bağlantısından sonra çağrılmalı)
+ */
+export const bildirimOzetiniBaslat = () => {
+    if (zamanlayici) return;
+
+    zamanlayici = setInterval(ozetleriIsle, KONTROL_ARALIGI_DK * 60 * 1000);
+    console.log(`📰 Bildirim özeti zamanlayıcısı başlatıldı (${KONTROL_ARALIGI_DK} dk aralıkla)`);
+};
@@ -0,0 +1,151 @@
+// Kullanıcının kanal seçebildiği bildirim olayları
+export const BILDIRIM_OLAYLARI = {
+    yeni_talep: "Yeni talep",
+    gorev_atandi: "Görev ataması",
+    gorev_durumu: "Görev durum değişikliği",
+    talep_eskalasyonu: "Talep önceliği yükseltildi",
+    sistem: "Sistem",
+};
+
+// Bildirim kanalları
+// uygulama: Bildirimler listesine kaydedilir, push: açık istemcilere anlık iletilir,
+// ozet: e-posta ile anında değil toplu özet halinde gönderilir
+export const BILDIRIM_KANALLARI = {
+    uygulama: "Uygulama içi",
+    push: "Anlık bildirim",
+    email: "E-posta",
+    sms: "SMS",
+    ozet: "E-posta özeti",
+};
+
+// Tercih belirtmemiş kullanıcılar için kanallar (her yeni talep için SMS gönderilmez)
+export const VARSAYILAN_KANALLAR = {
+    yeni_talep: ["uygulama", "push", "email"],
+    gorev_atandi: ["uygulama", "push", "email", "sms"],
+    gorev_durumu: ["uygulama", "push"],
+    talep_eskalasyonu: ["uygulama", "push", "email"],
+    sistem: ["uygulama", "push", "email"],
+};
+
+export const OZET_SIKLIKLARI = {
+    saatlik: 60 * 60 * 1000,
+    gunluk: 24 * 60 * 60 * 1000,
+};
+
+// Sessiz saatler bu saat dilimine göre yorumlanır
+const SAAT_DILIMI = process.env.BILDIRIM_SAAT_DILIMI || "Europe/Istanbul";
+const SAAT_BICIMI = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const dakikaya = (saat) => {
+    const [sa, dk] = saat.split(":").map(Number);
+    return sa * 60 + dk;
+};
+
+const yerelDakika = (tarih) => {
+    const [sa, dk] = new Intl.DateTimeFormat("tr-TR", {
+        timeZone: SAAT_DILIMI,
+        hour: "2-digit",
+        minute: "2-digit",
+        hourCycle: "h23",
+    }).format(tarih).split(":").map(Number);
+    return sa * 60 + dk;
+};
+
+/**
+ * Kullanıcının kayıtlı tercihlerini varsayılanlarla tamamlar
+ * @param {Object} kullanici - Kullanıcı dokümanı (bildirimTercihleri alanı seçilmiş olmalı)
+ * @returns {{olaylar: Object<string, string[]>, sessizSaatler: Object, ozetSikligi: string}}
+ */
+export const kullaniciTercihleriGetir = (kullanici) => {
+    const kayitli = kullanici?.bildirimTercihleri || {};
+
+    const olaylar = {};
+    for (const olay of Object.keys(BILDIRIM_OLAYLARI)) {
+        olaylar[olay] = kayitli.olaylar?.[olay] ?? VARSAYILAN_KANALLAR[olay];
+    }
+
+    return {
+        olaylar,
+        sessizSaatler: {
+            aktif: kayitli.sessizSaatler?.aktif ?? false,
+            baslangic: kayitli.sessizSaatler?.baslangic || "22:00",
+            bitis: kayitli.sessizSaatler?.bitis || "07:00",
+            kritikOlaylardaAtla: kayitli.sessizSaatler?.kritikOlaylardaAtla ?? true,
+        },
+        ozetSikligi: kayitli.ozetSikligi || "gunluk",
+    };
+};
+
+/**
+ * Verilen an, sessiz saat aralığına denk geliyorsa aralığın bittiği zamanı, gelmiyorsa null döner
+ * @param {Object} sessizSaatler - kullaniciTercihleriGetir çıktısındaki sessizSaatler
+ * @param {Date} [tarih]
+ * @returns {Date|null}
+ */
+export const sessizSaatBitisi = (sessizSaatler, tarih = new Date()) => {
+    if (!sessizSaatler?.aktif) return null;
+
+    const simdi = yerelDakika(tarih);
+    const baslangic = dakikaya(sessizSaatler.baslangic);
+    const bitis = dakikaya(sessizSaatler.bitis);
+
+    // Aralık gece yarısını geçebilir (ör. 22:00 - 07:00)
+    const sessizMi = baslangic <= bitis
+        ? simdi >= baslangic && simdi < bitis
+        : simdi >= baslangic || simdi < bitis;
+    if (!sessizMi) return null;
+
+    const kalanDakika = (bitis - simdi + 24 * 60) % (24 * 60);
+    return new Date(tarih.getTime() + kalanDakika * 60 * 1000);
+};
+
+/**
+ * Kullanıcının bir olay için hangi kanallardan ve ne zaman bildirim alacağını belirler
+ * @param {Object} kullanici - Kullanıcı dokümanı
+ * @param {string} olay - BILDIRIM_OLAYLARI anahtarı
+ * @param {boolean} [kritik] - Kritik olaylar, kullanıcı izin verdiyse sessiz saatlerde de anında iletilir
+ * @returns {{kanallar: string[], ertele: Date|null}} ertele: sessiz saat nedeniyle anlık kanalların erteleneceği zaman
+ */
+export const bildirimPlaniGetir = (kullanici, olay, kritik = false) => {
+    const tercihler = kullaniciTercihleriGetir(kullanici);
+    const kanallar = tercihler.olaylar[olay] ?? tercihler.olaylar.sistem;
+
+    let ertele = sessizSaatBitisi(tercihler.sessizSaatler);
+    if (kritik && tercihler.sessizSaatler.kritikOlaylardaAtla) {
+        ertele = null;
+    }
+
+    return { kanallar, ertele };
+};
+
+/**
+ * Kullanıcıdan gelen tercih güncellemesini doğrular
+ * @param {Object} tercihler
+ * @returns {string|null} Hata mesajı, geçerliyse null
+ */
+export const tercihleriDogrula = ({ olaylar, sessizSaatler, ozetSikligi } = {}) => {
+    if (olaylar) {
+        for (const [olay, kanallar] of Object.entries(olaylar)) {
+            if (!BILDIRIM_OLAYLARI[olay]) {
+                return `Geçersiz bildirim olayı: "${olay}"`;
+            }
+            if (!Array.isArray(kanallar) || kanallar.some((k) => !BILDIRIM_KANALLARI[k])) {
+                return `"${BILDIRIM_OLAYLARI[olay]}" için geçersiz kanal seçimi`;
+            }
+        }
+    }
+
+    if (sessizSaatler) {
+        for (const alan of ["baslangic", "bitis"]) {
+            if (sessizSaatler[alan] !== undefined && !SAAT_BICIMI.test(sessizSaatler[alan])) {
+                return "Sessiz saatler SS:DD biçiminde girilmelidir";
+            }
+        }
+    }
+
+    if (ozetSikligi !== undefined && !OZET_SIKLIKLARI[ozetSikligi]) {
+        return `Geçersiz özet sıklığı: "${ozetSikligi}"`;
+    }
+
+    return null;
+};
@@ -0,0 +1,184 @@
+import Talep from "../../models/talep.model.js";
+import Arac from "../../models/arac.model.js";
+import { KOORDINATOR_ROLLERI, konumaGoreOperasyonBolgeleriBul, talepKoordinatorleriniBul } from "./koordinatorKapsami.js";
+
+// Bağlantının açık kaldığını proxy'lere göstermek için gönderilen yorum satırının aralığı
+const NABIZ_ARALIGI_MS = 25 * 1000;
+
+// Bağlı istemciler: her biri bir SSE yanıtı ve kullanıcının kimlik bilgileri
+// Not: Kayıtlar bellekte tutulur, birden fazla sunucu örneği çalışıyorsa olaylar yalnızca aynı örneğe bağlı istemcilere ulaşır
+const istemciler = new Set();
+let olaySayaci = 0;
+
+const idMetni = (deger) => (deger?._id ?? deger)?.toString() ?? null;
+
+/**
+ * Kimliği doğrulanmış kullanıcıyı (JWTKontrol sonrası) canlı olay akışına abone eder
+ * @param {Object} req - Express isteği (req.kullanici dolu olmalı)
+ * @param {Object} res - Express yanıtı, akış kapanana kadar açık tutulur
+ */
+export const canliAkisaAboneEt = (req, res) => {
+    res.set({
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache, no-transform",
+        Connection: "keep-alive",
+        // nginx gibi ters proxy'lerin yanıtı tamponlamasını engeller
+        "X-Accel-Buffering": "no",
+    });
+    res.flushHeaders();
+
+    const istemci = {
+        res,
+        kullaniciId: idMetni(req.kullanici._id),
+        kurumFirmaId: idMetni(req.kullanici.kurumFirmaId),
+        rol: req.kullanici.rol,
+        oturumId: idMetni(req.oturum?._id),
+    };
+    istemciler.add(istemci);
+
+    // Bağlantı koparsa EventSource 5 sn sonra tekrar bağlanır
+    res.write("retry: 5000\n\n");
+    res.write(`event: baglandi\ndata: ${JSON.stringify({ zaman: new Date() })}\n\n`);
+
+    const nabiz = setInterval(() => res.write(": nabiz\n\n"), NABIZ_ARALIGI_MS);
+
+    istemci.kapat = () => {
+        clearInterval(nabiz);
+        istemciler.delete(istemci);
+    };
+    req.on("close", istemci.kapat);
+};
+
+/**
+ * Kapatılan oturumlarla açılmış canlı akışları sonlandırır; istemci yeniden bağlanmak istediğinde JWTKontrol reddeder
+ * @param {Array} oturumIdler
+ */
+export const oturumAkislariniKapat = (oturumIdler) => {
+    const oturumlar = new Set(oturumIdler.map(idMetni).filter(Boolean));
+
+    for (const istemci of istemciler) {
+        if (istemci.oturumId && oturumlar.has(istemci.oturumId)) {
+            istemci.res.write(`event: oturum_kapandi\ndata: {}\n\n`);
+            istemci.kapat();
+            istemci.res.end();
+        }
+    }
+};
+
+/**
+ * Olayı hedef kitleye uyan bağlı istemcilere gönderir
+ * @param {string} tur - Olay türü (bildirim, talep, gorev, arac)
+ * @param {Object} veri - Olay verisi
+ * @param {Object} hedef - Olayı alacak kitle; alanlardan herhangi birine uyan istemci olayı alır
+ * @param {Array} [hedef.kullaniciIdler]
+ * @param {Array} [hedef.kurumFirmaIdler]
+ * @param {string[]} [hedef.roller]
+ */
+export const olayYayinla = (tur, veri, { kullaniciIdler = [], kurumFirmaIdler = [], roller = [] } = {}) => {
+    const kullanicilar = new Set(kullaniciIdler.map(idMetni).filter(Boolean));
+    const kurumlar = new Set(kurumFirmaIdler.map(idMetni).filter(Boolean));
+
+    const mesaj = `id: ${++olaySayaci}\nevent: ${tur}\ndata: ${JSON.stringify(veri)}\n\n`;
+
+    for (const istemci of istemciler) {
+        if (
+            kullanicilar.has(istemci.kullaniciId) ||
+            (istemci.kurumFirmaId && kurumlar.has(istemci.kurumFirmaId)) ||
+            roller.includes(istemci.rol)
+        ) {
+            istemci.res.write(mesaj);
+        }
+    }
+};
+
+/**
+ * Yeni bildirimi sahibine ya da kurumuna iletir
+ * @param {Object} bildirim - Bildirim dokümanı
+ */
+export const bildirimOlayiYayinla = (bildirim) => {
+    olayYayinla("bildirim", bildirim, {
+        kullaniciIdler: [bildirim.kullaniciId],
+        kurumFirmaIdler: [bildirim.kurumFirmaId],
+    });
+};
+
+// Süper koordinatör tüm ülkeyi gördüğünden her talep, görev ve araç olayını rolü üzerinden alır
+const TUM_ULKE_ROLLERI = ["super_koordinator"];
+
+// Bölgelerden sorumlu koordinatörler (bölgeli olanlar ve bölge atanmamış olanlar)
+const bolgeKoordinatorIdleri = async(operasyonBolgeleri) =>
+    (await talepKoordinatorleriniBul({ operasyonBolgeleri }, "_id")).map((k) => k._id);
+
+/**
+ * Talep değişikliğini talebin bölgesinden sorumlu koordinatörlere ve talep sahibine (kişi / kurum) iletir.
+ * Koordinatörler veritabanından okunduğu için beklenmeden çağrılabilir, hata fırlatmaz.
+ * @param {Object} talep - Talep dokümanı (operasyonBolgeleri alanıyla)
+ * @param {string} islem - olusturuldu | guncellendi | silindi
+ */
+export const talepOlayiYayinla = async(talep, islem) => {
+    try {
+        const koordinatorIdler = await bolgeKoordinatorIdleri(talep.operasyonBolgeleri);
+
+        olayYayinla("talep", { _id: talep._id, islem, durum: talep.durum }, {
+            kullaniciIdler: [talep.talepEdenKullaniciId, ...koordinatorIdler],
+            kurumFirmaIdler: [talep.talepEdenKurumFirmaId],
+            roller: TUM_ULKE_ROLLERI,
+        });
+    } catch (error) {
+        console.error("Talep olayı yayınlanırken hata:", error.message);
+    }
+};
+
+/**
+ * Araç değişikliğini aracın konumundaki bölgelerden sorumlu koordinatörlere ve araç sahibine (kişi / kurum) iletir.
+ * Konumu bilinmeyen araç, koordinatör listelerinde olduğu gibi tüm koordinatörlere iletilir.
+ * Beklenmeden çağrılabilir, hata fırlatmaz.
+ * @param {Object} arac - Araç dokümanı
+ * @param {string} islem - olusturuldu | guncellendi | silindi
+ */
+export const aracOlayiYayinla = async(arac, islem) => {
+    try {
+        const konumBiliniyor = Number.isFinite(arac.konum?.lat) && Number.isFinite(arac.konum?.lng);
+        const koordinatorIdler = konumBiliniyor ?
+            await bolgeKoordinatorIdleri(await konumaGoreOperasyonBolgeleriBul(arac.konum)) :
+            [];
+
+        olayYayinla("arac", { _id: arac._id, islem, plaka: arac.plaka, musaitlikDurumu: arac.musaitlikDurumu }, {
+            kullaniciIdler: [arac.kullaniciId, ...koordinatorIdler],
+            kurumFirmaIdler: [arac.kurumFirmaId],
+            roller: konumBiliniyor ? TUM_ULKE_ROLLERI : KOORDINATOR_ROLLERI,
+        });
+    } catch (error) {
+        console.error("Araç olayı yayınlanırken hata:", error.message);
+    }
+};
+
+/**
+ * Görev değişikliğini talebin bölgesinden sorumlu koordinatörlere, görevi atayan koordinatöre, talep sahibine ve
+ * araç sahibine iletir. Talep ve araç sahipleri veritabanından okunduğu için beklenmeden çağrılabilir, hata fırlatmaz.
+ * @param {Object} gorev - Görev dokümanı
+ * @param {string} islem - olusturuldu | guncellendi
+ */
+export const gorevOlayiYayinla = async(gorev, islem) => {
+    try {
+        const [talep, arac] = await Promise.all([
+            Talep.findById(idMetni(gorev.talepId)).select("talepEdenKullaniciId talepEdenKurumFirmaId operasyonBolgeleri"),
+            Arac.findById(idMetni(gorev.aracId)).select("kullaniciId kurumFirmaId"),
+        ]);
+        const koordinatorIdler = await bolgeKoordinatorIdleri(talep?.operasyonBolgeleri);
+
+        olayYayinla("gorev", {
+            _id: gorev._id,
+            islem,
+            gorevDurumu: gorev.gorevDurumu,
+            talepId: idMetni(gorev.talepId),
+            aracId: idMetni(gorev.aracId),
+        }, {
+            kullaniciIdler: [talep?.talepEdenKullaniciId, arac?.kullaniciId, gorev.koordinatorId, ...koordinatorIdler],
+            kurumFirmaIdler: [talep?.talepEdenKurumFirmaId, arac?.kurumFirmaId],
+            roller: TUM_ULKE_ROLLERI,
+        });
+    } catch (error) {
+        console.error("Görev olayı yayınlanırken hata:", error.message);
+    }
+};
@@ -0,0 +1,63 @@
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// pdfkit ve tarayıcılar için desteklenen görüntü türleri; içerik türü dosyanın imzasından belirlenir
+const GORUNTU_IMZALARI = {
+    "image/png": [0x89, 0x50, 0x4e, 0x47],
+    "image/jpeg": [0xff, 0xd8, 0xff],
+};
+
+const UZANTILAR = {
+    "image/png": "png",
+    "image/jpeg": "jpg",
+};
+
+// Depolama anahtarı: "<klasör>/<uuid>.<uzantı>"; dizin dışına çıkan yolların önüne geçmek için bu biçim dışındaki anahtarlar reddedilir
+const ANAHTAR_BICIMI = /^[a-z0-9-]+\/[0-9a-f-]{36}\.(png|jpg)$/;
+
+/**
+ * Görüntünün türünü dosya imzasından belirler
+ * @param {Buffer} icerik
+ * @returns {string|null} "image/png", "image/jpeg" ya da desteklenmiyorsa null
+ */
+export const goruntuTuruBelirle = (icerik) => {
+    if (!Buffer.isBuffer(icerik)) return null;
+
+    const tur = Object.entries(GORUNTU_IMZALARI).find(([, imza]) => imza.every((bayt, i) => icerik[i] === bayt));
+    return tur ? tur[0] : null;
+};
+
+/**
+ * Dosyaları sunucu diskinde saklayan depolama sürücüsü.
+ * Başka bir sürücü (ör. nesne depolama) aynı kaydet / oku / sil arayüzünü sağlamalıdır.
+ */
+const yerelDepolama = (kokDizin) => {
+    const dosyaYolu = (anahtar) => {
+        if (!ANAHTAR_BICIMI.test(anahtar)) {
+            throw new Error("Geçersiz dosya anahtarı");
+        }
+        return path.join(kokDizin, anahtar);
+    };
+
+    return {
+        kaydet: async(klasor, icerik, icerikTuru) => {
+            const anahtar = `${klasor}/${crypto.randomUUID()}.${UZANTILAR[icerikTuru]}`;
+            await fs.mkdir(path.join(kokDizin, klasor), { recursive: true });
+            await fs.writeFile(dosyaYolu(anahtar), icerik);
+            return { anahtar, icerikTuru, boyut: icerik.length };
+        },
+        oku: async(anahtar) => fs.readFile(dosyaYolu(anahtar)),
+        sil: async(anahtar) => {
+            await fs.rm(dosyaYolu(anahtar), { force: true });
+        },
+    };
+};
+
+export const depolama = yerelDepolama(
+    process.env.DOSYA_DEPOLAMA_DIZINI || path.join(__dirname, "../../uploads")
+);
@@ -0,0 +1,342 @@
+import axios from "axios";
+import Talep from "../../models/talep.model.js";
+import Gorev from "../../models/gorev.model.js";
+import AfetOlayi from "../../models/afetOlayi.model.js";
+import DurumRaporu from "../../models/durumRaporu.model.js";
+import GidenMesaj from "../../models/gidenMesaj.model.js";
+import { AKTIF_GOREV_DURUMLARI } from "./talepKarsilanma.js";
+import { ListeSorgusuHatasi, tarihAyristir } from "./listeSorgusu.js";
+import { durumRaporuPdfOlustur, ONCELIK_RENKLERI } from "./durumRaporuPdf.js";
+import {
+    ACIK_TALEP_DURUMLARI,
+    RAPOR_SAAT_DILIMI,
+    aracKullanimiHesapla,
+    aracTuruTrendiHesapla,
+    atamaSuresiHesapla,
+    gorevSureleriHesapla,
+    iptalOranlariHesapla,
+    karsilanmayanTalepHesapla,
+    kurumTalepleriHesapla,
+    raporKapsamiOlustur,
+    raporOzetiHesapla,
+} from "./raporAnalizleri.js";
+
+// Zamanlanmış raporun gönderilip gönderilmeyeceğinin kaç dakikada bir kontrol edileceği
+const KONTROL_ARALIGI_DK = 5;
+
+// Dönem verilmeden istenen raporun kapsadığı süre
+const VARSAYILAN_DONEM_SAATI = 24;
+
+// Statik harita URL uzunluğu sınırı nedeniyle işaretlenen en fazla talep
+const MAKS_HARITA_NOKTASI = 150;
+
+const HARITA_ZAMAN_ASIMI_MS = 10000;
+
+// Sahada sayılan görev durumları (araç talep konumuna gidiyor ya da yükleme / taşıma sürüyor)
+const SAHADAKI_GOREV_DURUMLARI = ["yolda", "başladı"];
+
+let zamanlayici = null;
+
+// Dönem uzunluğuna göre araç türü trendinin gruplama aralığı
+const trendAraligi = (baslangic, bitis) => {
+    const gun = (bitis - baslangic) / (24 * 60 * 60 * 1000);
+    if (gun > 62) return "ay";
+    if (gun > 14) return "hafta";
+    return "gun";
+};
+
+const eksikAracSayisi = (talep) =>
+    talep.karsilanma?.length
+        ? talep.karsilanma.reduce((t, k) => t + Math.max(k.talepEdilen - k.atanan, 0), 0)
+        : (talep.araclar || []).reduce((t, a) => t + (a.aracSayisi || 0), 0);
+
+/**
+ * Durum raporunun verilerini toplar. Dönem istatistikleri (gelen talepler, tamamlanan ve iptal edilen görevler,
+ * süreler, araç kullanımı) verilen aralığa göre; açık talepler ve sahadaki araçlar ise raporun oluşturulduğu ana göre hesaplanır.
+ * @param {Object} params
+ * @param {string|Date} [params.baslangic] - Verilmezse bitişten 24 saat öncesi
+ * @param {string|Date} [params.bitis] - Verilmezse şimdi
+ * @param {string} [params.afetOlayiId]
+ * @param {Object} [params.kullanici] - Verilmezse bölge kısıtı uygulanmaz
+ * @throws {ListeSorgusuHatasi} Tarih geçersizse
+ */
+export const durumRaporuVerisiTopla = async({ baslangic, bitis, afetOlayiId, kullanici = null }) => {
+    const olusturmaZamani = new Date();
+    const donemBitis = bitis ? tarihAyristir(bitis, true) : olusturmaZamani;
+    const donemBaslangic = baslangic
+        ? tarihAyristir(baslangic)
+        : new Date(donemBitis.getTime() - VARSAYILAN_DONEM_SAATI * 60 * 60 * 1000);
+    if (donemBaslangic > donemBitis) {
+        throw new ListeSorgusuHatasi("Bitiş tarihi başlangıç tarihinden önce olamaz");
+    }
+
+    const [donemKapsami, guncelKapsam] = await Promise.all([
+        raporKapsamiOlustur({ baslangic: donemBaslangic, bitis: donemBitis, afetOlayiId, kullanici }),
+        raporKapsamiOlustur({ afetOlayiId, kullanici }),
+    ]);
+
+    const [
+        guncelOzet,
+        talepler,
+        gorevler,
+        donemTalep,
+        tamamlananGorev,
+        atamaSuresi,
+        gorevSureleri,
+        aracKullanimi,
+        aracTuruTrendi,
+        iptaller,
+        karsilanmayan,
+        kurumTalepleri,
+        afetOlayi,
+    ] = await Promise.all([
+        raporOzetiHesapla(guncelKapsam),
+        Talep.find({ ...guncelKapsam.talepFiltresi, durum: { $in: ACIK_TALEP_DURUMLARI } })
+            .select("baslik talepEdenKurumFirmaId lokasyon oncelik triyajSkoru etkilenenKisiSayisi araclar karsilanma createdAt")
+            .populate("talepEdenKurumFirmaId", "kurumAdi")
+            .sort({ triyajSkoru: -1, createdAt: 1 })
+            .lean(),
+        Gorev.find({ ...guncelKapsam.gorevFiltresi, gorevDurumu: { $in: AKTIF_GOREV_DURUMLARI } })
+            .select("aracId talepId sofor gorevDurumu createdAt")
+            .populate({
+                path: "aracId",
+                select: "plaka aracTuru kurumFirmaId",
+                populate: { path: "kurumFirmaId", select: "kurumAdi" },
+            })
+            .populate("talepId", "baslik")
+            .sort({ createdAt: 1 })
+            .lean(),
+        Talep.countDocuments(donemKapsami.talepFiltresi),
+        Gorev.countDocuments({
+            ...guncelKapsam.gorevFiltresi,
+            gorevDurumu: "tamamlandı",
+            bitisZamani: { $gte: donemBaslangic, $lte: donemBitis },
+        }),
+        atamaSuresiHesapla(donemKapsami),
+        gorevSureleriHesapla(donemKapsami),
+        aracKullanimiHesapla(donemKapsami),
+        aracTuruTrendiHesapla(donemKapsami, trendAraligi(donemBaslangic, donemBitis)),
+        iptalOranlariHesapla(donemKapsami),
+        karsilanmayanTalepHesapla(guncelKapsam),
+        kurumTalepleriHesapla(donemKapsami),
+        guncelKapsam.talepFiltresi.afetOlayiId
+            ? AfetOlayi.findById(guncelKapsam.talepFiltresi.afetOlayiId).select("ad").lean()
+            : null,
+    ]);
+
+    const acikTalepler = talepler.map((talep) => ({
+        baslik: talep.baslik,
+        kurumAdi: talep.talepEdenKurumFirmaId?.kurumAdi || "-",
+        oncelik: talep.oncelik,
+        eksikArac: eksikAracSayisi(talep),
+        etkilenenKisi: talep.etkilenenKisiSayisi || 0,
+        beklemeDk: (olusturmaZamani - talep.createdAt) / 60000,
+        adres: talep.lokasyon?.adres,
+        lat: talep.lokasyon?.lat,
+        lng: talep.lokasyon?.lng,
+    }));
+
+    const aktifGorevler = gorevler.map((gorev) => ({
+        plaka: gorev.aracId?.plaka,
+        aracTuru: gorev.aracId?.aracTuru,
+        kurumAdi: gorev.aracId?.kurumFirmaId?.kurumAdi || "Bireysel",
+        sofor: gorev.sofor ? `${gorev.sofor.ad} ${gorev.sofor.soyad}` : "-",
+        talep: gorev.talepId?.baslik,
+        durum: gorev.gorevDurumu,
+        atanma: gorev.createdAt,
+    }));
+
+    const sahadakiAraclar = new Set(
+        gorevler
+            .filter((g) => SAHADAKI_GOREV_DURUMLARI.includes(g.gorevDurumu) && g.aracId)
+            .map((g) => String(g.aracId._id))
+    );
+
+    return {
+        donem: { baslangic: donemBaslangic, bitis: donemBitis },
+        olusturmaZamani,
+        afetOlayi,
+        ozet: {
+            acikTalep: acikTalepler.length,
+            eksikArac: acikTalepler.reduce((t, talep) => t + talep.eksikArac, 0),
+            etkilenenKisi: acikTalepler.reduce((t, talep) => t + talep.etkilenenKisi, 0),
+            aktifGorev: aktifGorevler.length,
+            sahadakiArac: sahadakiAraclar.size,
+            donemTalep,
+            tamamlananGorev,
+            iptalGorev: iptaller.gorev.iptal,
+            iptalOrani: iptaller.gorev.oran,
+        },
+        guncelOzet,
+        acikTalepler,
+        aktifGorevler,
+        atamaSuresi,
+        gorevSureleri,
+        aracKullanimi,
+        aracTuruTrendi,
+        iptaller,
+        karsilanmayan,
+        kurumTalepleri,
+    };
+};
+
+/**
+ * Açık talep konumlarının öncelik renkleriyle işaretlendiği statik harita görüntüsü (Google Static Maps)
+ * @param {Array<{lat: number, lng: number, oncelik: string}>} talepler
+ * @returns {Promise<Buffer|null>} API anahtarı yoksa ya da istek başarısızsa null (PDF vektör haritaya döner)
+ */
+export const haritaGoruntusuGetir = async(talepler) => {
+    const noktalar = talepler
+        .filter((t) => Number.isFinite(t.lat) && Number.isFinite(t.lng))
+        .slice(0, MAKS_HARITA_NOKTASI);
+    if (!process.env.GOOGLE_MAPS_API_KEY || noktalar.length === 0) {
+        return null;
+    }
+
+    const params = new URLSearchParams({ size: "640x400", scale: "2", language: "tr", key: process.env.GOOGLE_MAPS_API_KEY });
+    for (const [oncelik, renk] of Object.entries(ONCELIK_RENKLERI)) {
+        const konumlar = noktalar
+            .filter((n) => (ONCELIK_RENKLERI[n.oncelik] ? n.oncelik : "normal") === oncelik)
+            .map((n) => `${n.lat.toFixed(5)},${n.lng.toFixed(5)}`);
+        if (konumlar.length) {
+            params.append("markers", `size:small|color:0x${renk.slice(1)}|${konumlar.join("|")}`);
+        }
+    }
+
+    try {
+        const response = await axios.get(`https://maps.googleapis.com/maps/api/staticmap?${params}`, {
+            responseType: "arraybuffer",
+            timeout: HARITA_ZAMAN_ASIMI_MS,
+        });
+        return Buffer.from(response.data);
+    } catch (error) {
+        console.log("Durum raporu harita görüntüsü alınamadı:", error.message);
+        return null;
+    }
+};
+
+const dosyaAdiOlustur = (tarih) => {
+    const parcalar = Object.fromEntries(
+        new Intl.DateTimeFormat("en-GB", {
+            timeZone: RAPOR_SAAT_DILIMI,
+            year: "numeric",
+            month: "2-digit",
+            day: "2-digit",
+            hour: "2-digit",
+            minute: "2-digit",
+            hourCycle: "h23",
+        }).formatToParts(tarih).map((p) => [p.type, p.value])
+    );
+    return `durum-raporu-${parcalar.year}${parcalar.month}${parcalar.day}-${parcalar.hour}${parcalar.minute}.pdf`;
+};
+
+/**
+ * Durum raporu PDF'ini oluşturur
+ * @param {Object} params - durumRaporuVerisiTopla parametreleri
+ * @returns {Promise<{veri: Object, pdf: Buffer, dosyaAdi: string}>}
+ */
+export const durumRaporuOlustur = async(params) => {
+    const veri = await durumRaporuVerisiTopla(params);
+    const haritaGoruntusu = await haritaGoruntusuGetir(veri.acikTalepler);
+    const pdf = await durumRaporuPdfOlustur(veri, haritaGoruntusu);
+
+    return { veri, pdf, dosyaAdi: dosyaAdiOlustur(veri.donem.bitis) };
+};
+
+const tarihBicimle = (tarih) => new Date(tarih).toLocaleString("tr-TR", { timeZone: RAPOR_SAAT_DILIMI });
+
+const raporHtmlOlustur = ({ donem, ozet }) => {
+    const satirlar = [
+        ["Açık talep", ozet.acikTalep],
+        ["Karşılanmayan araç ihtiyacı", ozet.eksikArac],
+        ["Aktif görev", ozet.aktifGorev],
+        ["Sahadaki araç", ozet.sahadakiArac],
+        ["Dönemde gelen talep", ozet.donemTalep],
+        ["Dönemde tamamlanan görev", ozet.tamamlananGorev],
+    ].map(([etiket, deger]) => `
+        <tr>
+            <td style="padding: 6px; color: #7f8c8d;">${etiket}</td>
+            <td style="padding: 6px; font-weight: bold;">${deger}</td>
+        </tr>`).join("");
+
+    return `
+<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+    <h2 style="color: #2c3e50;">Durum Raporu</h2>
+    <p>${tarihBicimle(donem.baslangic)} - ${tarihBicimle(donem.bitis)} dönemine ait durum raporu ektedir.</p>
+    <table style="width: 100%; border-collapse: collapse;">${satirlar}
+    </table>
+    <p style="color: #7f8c8d; font-size: 12px;">Bu e-posta otomatik olarak gönderilmiştir.</p>
+</div>`;
+};
+
+// Zamanlanmış raporun alıcıları: virgülle ayrılmış e-posta adresleri
+const raporAlicilari = () =>
+    (process.env.DURUM_RAPORU_ALICILARI || "")
+        .split(",")
+        .map((adres) => adres.trim())
+        .filter(Boolean);
+
+/**
+ * Son tamamlanan zamanlama dilimi için durum raporunu oluşturup dağıtım listesine e-posta kuyruğu üzerinden gönderir.
+ * Dilimler DURUM_RAPORU_ARALIGI_SAAT (varsayılan 6) saatliktir; her dilim için tek rapor kaydı oluşturulur.
+ */
+const zamanlanmisDurumRaporuIsle = async() => {
+    const alicilar = raporAlicilari();
+    if (alicilar.length === 0) return;
+
+    const aralikMs = (Number(process.env.DURUM_RAPORU_ARALIGI_SAAT) || 6) * 60 * 60 * 1000;
+    const bitis = new Date(Math.floor(Date.now() / aralikMs) * aralikMs);
+    const baslangic = new Date(bitis.getTime() - aralikMs);
+
+    let rapor;
+    try {
+        rapor = await DurumRaporu.create({ donem: { baslangic, bitis }, alicilar });
+    } catch (error) {
+        // Bu dilimin raporu daha önce (ya da başka bir sunucu örneğinde) oluşturulmuş
+        if (error.code === 11000) return;
+        console.error("❌ Durum raporu kaydı oluşturulurken hata:", error.message);
+        return;
+    }
+
+    try {
+        const { veri, pdf, dosyaAdi } = await durumRaporuOlustur({ baslangic, bitis });
+
+        await GidenMesaj.insertMany(alicilar.map((alici) => ({
+            kanal: "email",
+            alici,
+            konu: `Durum Raporu - ${tarihBicimle(bitis)}`,
+            icerik: raporHtmlOlustur(veri),
+            grupId: `durum-raporu-${rapor._id}`,
+            kaynak: { tur: "durum_raporu", id: rapor._id },
+            ekler: [{ dosyaAdi, icerikTuru: "application/pdf", icerik: pdf }],
+        })));
+
+        rapor.set({
+            durum: "gonderildi",
+            dosyaAdi,
+            dosya: pdf,
+            boyut: pdf.length,
+            ozet: {
+                acikTalep: veri.ozet.acikTalep,
+                aktifGorev: veri.ozet.aktifGorev,
+                sahadakiArac: veri.ozet.sahadakiArac,
+                tamamlananGorev: veri.ozet.tamamlananGorev,
+            },
+        });
+        await rapor.save();
+    } catch (error) {
+        console.error("❌ Durum raporu oluşturulurken hata:", error.message);
+        await DurumRaporu.updateOne({ _id: rapor._id }, { durum: "hata", hata: error.message });
+    }
+};
+
+/**
+ * Zamanlanmış durum raporu worker'ını başlatır (veritabanı bağlantısından sonra çağrılmalı).
+ * DURUM_RAPORU_ALICILARI tanımlı değilse rapor gönderilmez.
+ */
+export const durumRaporunuBaslat = () => {
+    if (zamanlayici) return;
+
+    zamanlayici = setInterval(zamanlanmisDurumRaporuIsle, KONTROL_ARALIGI_DK * 60 * 1000);
+    console.log(`📊 Durum raporu zamanlayıcısı başlatıldı (${Number(process.env.DURUM_RAPORU_ARALIGI_SAAT) || 6} saatte bir)`);
+};
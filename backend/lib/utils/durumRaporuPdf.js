@@ -0,0 +1,474 @@
+import PDFDocument from "pdfkit";
+import { PassThrough } from "stream";
+import path from "path";
+import { fileURLToPath } from "url";
+import { RAPOR_SAAT_DILIMI } from "./raporAnalizleri.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const fontRegular = path.join(__dirname, "../../assets/font/DejaVuSans.ttf");
+const fontBold = path.join(__dirname, "../../assets/font/DejaVuSans-Bold.ttf");
+const logoPath = path.join(__dirname, "../../assets/logo.png");
+
+const KENAR = 40;
+// Sayfa altında sayfa numarasına ayrılan alan
+const ALT_BOSLUK = 50;
+
+// Öncelik rengi (web haritasıyla aynı)
+export const ONCELIK_RENKLERI = {
+  kritik: "#dc2626",
+  yüksek: "#f59e0b",
+  normal: "#0ea5e9",
+  düşük: "#9ca3af",
+};
+
+const GRAFIK_RENKLERI = ["#3b82f6", "#f59e0b", "#10b981", "#ef4444", "#8b5cf6", "#06b6d4", "#ec4899", "#84cc16", "#f97316", "#6366f1", "#14b8a6"];
+
+// Tablolarda gösterilen en fazla satır; kalanlar için not düşülür
+const MAKS_TABLO_SATIRI = 100;
+
+const tarihBicimle = (tarih) =>
+  tarih ? new Date(tarih).toLocaleString("tr-TR", { timeZone: RAPOR_SAAT_DILIMI, dateStyle: "short", timeStyle: "short" }) : "-";
+
+const sureBicimle = (dakika) => {
+  if (dakika == null) return "-";
+  if (dakika < 60) return `${Math.round(dakika)} dk`;
+  if (dakika < 1440) return `${Math.floor(dakika / 60)} sa ${Math.round(dakika % 60)} dk`;
+  return `${Math.floor(dakika / 1440)} gün ${Math.round((dakika % 1440) / 60)} sa`;
+};
+
+const icerikGenisligi = (doc) => doc.page.width - KENAR * 2;
+
+// Sayfada yeterli yer yoksa yeni sayfaya geçer
+const yerAyir = (doc, yukseklik) => {
+  if (doc.y + yukseklik > doc.page.height - ALT_BOSLUK) {
+    doc.addPage();
+  }
+};
+
+// Metni verilen genişliğe sığacak şekilde "…" ile kısaltır
+const kisalt = (doc, metin, genislik) => {
+  if (doc.widthOfString(metin) <= genislik) return metin;
+  let kisa = metin;
+  while (kisa.length > 1 && doc.widthOfString(`${kisa}…`) > genislik) {
+    kisa = kisa.slice(0, -1);
+  }
+  return `${kisa}…`;
+};
+
+const bolumBasligi = (doc, baslik) => {
+  yerAyir(doc, 80);
+  doc.moveDown(0.5);
+  doc.font("Turkce-Bold").fontSize(13).fillColor("#003366").text(baslik, KENAR, doc.y);
+  doc.moveTo(KENAR, doc.y + 2).lineTo(KENAR + icerikGenisligi(doc), doc.y + 2).strokeColor("#aaaaaa").lineWidth(0.5).stroke();
+  doc.moveDown(0.6);
+};
+
+const altBaslik = (doc, baslik) => {
+  doc.font("Turkce-Bold").fontSize(10).fillColor("black").text(baslik, KENAR, doc.y);
+  doc.moveDown(0.3);
+};
+
+const bosVeri = (doc, metin = "Bu dönemde veri yok") => {
+  doc.font("Turkce").fontSize(9).fillColor("#777777").text(metin, KENAR, doc.y);
+  doc.moveDown(0.8);
+};
+
+/**
+ * Sayfalara bölünebilen tablo; her yeni sayfada başlık satırı tekrarlanır
+ * @param {Array<{baslik: string, oran: number, hizala?: string}>} kolonlar - oran: içerik genişliğindeki payı
+ * @param {Array<Array>} satirlar
+ */
+const tabloCiz = (doc, kolonlar, satirlar) => {
+  const satirYuksekligi = 16;
+  const genislikler = kolonlar.map((k) => k.oran * icerikGenisligi(doc));
+
+  const satirCiz = (hucreler, { kalin = false, zemin = null } = {}) => {
+    const y = doc.y;
+    if (zemin) {
+      doc.rect(KENAR, y, icerikGenisligi(doc), satirYuksekligi).fill(zemin);
+    }
+    doc.font(kalin ? "Turkce-Bold" : "Turkce").fontSize(8).fillColor("black");
+
+    let x = KENAR;
+    hucreler.forEach((hucre, i) => {
+      const genislik = genislikler[i] - 6;
+      doc.text(kisalt(doc, String(hucre ?? "-"), genislik), x + 3, y + 4, {
+        width: genislik,
+        align: kolonlar[i].hizala || "left",
+        lineBreak: false,
+      });
+      x += genislikler[i];
+    });
+    doc.y = y + satirYuksekligi;
+  };
+
+  const basliklar = () => satirCiz(kolonlar.map((k) => k.baslik), { kalin: true, zemin: "#ddeeff" });
+
+  yerAyir(doc, satirYuksekligi * 3);
+  basliklar();
+  satirlar.slice(0, MAKS_TABLO_SATIRI).forEach((satir, index) => {
+    if (doc.y + satirYuksekligi > doc.page.height - ALT_BOSLUK) {
+      doc.addPage();
+      basliklar();
+    }
+    satirCiz(satir, { zemin: index % 2 ? "#f5f7fa" : null });
+  });
+
+  if (satirlar.length > MAKS_TABLO_SATIRI) {
+    doc.font("Turkce").fontSize(8).fillColor("#777777")
+      .text(`... ve ${satirlar.length - MAKS_TABLO_SATIRI} kayıt daha`, KENAR, doc.y + 2);
+  }
+  doc.x = KENAR;
+  doc.moveDown(0.8);
+};
+
+// Etiket / değer kartlarından oluşan özet ızgarası
+const ozetKartlari = (doc, kartlar, sutun = 4) => {
+  const bosluk = 8;
+  const genislik = (icerikGenisligi(doc) - bosluk * (sutun - 1)) / sutun;
+  const yukseklik = 46;
+
+  for (let i = 0; i < kartlar.length; i += sutun) {
+    yerAyir(doc, yukseklik + bosluk);
+    const y = doc.y;
+    kartlar.slice(i, i + sutun).forEach(([etiket, deger], j) => {
+      const x = KENAR + j * (genislik + bosluk);
+      doc.rect(x, y, genislik, yukseklik).fillAndStroke("#f0f4f8", "#cccccc");
+      doc.font("Turkce").fontSize(8).fillColor("#555555").text(etiket, x + 6, y + 6, { width: genislik - 12, lineBreak: false });
+      doc.font("Turkce-Bold").fontSize(15).fillColor("black").text(String(deger ?? "-"), x + 6, y + 20, { width: genislik - 12, lineBreak: false });
+    });
+    doc.y = y + yukseklik + bosluk;
+  }
+  doc.x = KENAR;
+};
+
+/**
+ * Yatay çubuk grafik
+ * @param {Array<{etiket: string, deger: number}>} veriler
+ */
+const yatayCubukGrafik = (doc, { baslik, veriler, renk = GRAFIK_RENKLERI[0], birim = "", enFazla }) => {
+  altBaslik(doc, baslik);
+  if (veriler.length === 0) {
+    return bosVeri(doc);
+  }
+
+  const cubukYuksekligi = 12;
+  const bosluk = 5;
+  const etiketGenisligi = 140;
+  const cubukAlani = icerikGenisligi(doc) - etiketGenisligi - 60;
+  const maks = enFazla || Math.max(...veriler.map((v) => v.deger || 0), 1);
+
+  for (const { etiket, deger } of veriler) {
+    yerAyir(doc, cubukYuksekligi + bosluk);
+    const y = doc.y;
+    doc.font("Turkce").fontSize(8).fillColor("black")
+      .text(kisalt(doc, etiket, etiketGenisligi - 8), KENAR, y + 2, { width: etiketGenisligi - 8, align: "right", lineBreak: false });
+    const genislik = Math.max(((deger || 0) / maks) * cubukAlani, deger ? 1 : 0);
+    if (genislik > 0) {
+      doc.rect(KENAR + etiketGenisligi, y, genislik, cubukYuksekligi).fill(renk);
+    }
+    doc.font("Turkce").fontSize(8).fillColor("black")
+      .text(`${deger ?? "-"}${birim}`, KENAR + etiketGenisligi + genislik + 4, y + 2, { lineBreak: false });
+    doc.y = y + cubukYuksekligi + bosluk;
+  }
+  doc.x = KENAR;
+  doc.moveDown(0.8);
+};
+
+/**
+ * Yığılmış sütun grafik (ör. dönem ve araç türüne göre görevler)
+ * @param {Array<Object>} satirlar - { [etiketAlani]: "2026-10-01", [anahtar]: sayi }
+ * @param {string[]} anahtarlar - Seri adları
+ */
+const yigilmisSutunGrafik = (doc, { baslik, satirlar, anahtarlar, etiketAlani, yukseklik = 160 }) => {
+  altBaslik(doc, baslik);
+  if (satirlar.length === 0) {
+    return bosVeri(doc);
+  }
+
+  const lejantSatiri = Math.ceil(anahtarlar.length / 4);
+  yerAyir(doc, yukseklik + 30 + lejantSatiri * 12);
+
+  const eksenGenisligi = 30;
+  const x0 = KENAR + eksenGenisligi;
+  const y0 = doc.y;
+  const genislik = icerikGenisligi(doc) - eksenGenisligi;
+  const toplamlar = satirlar.map((satir) => anahtarlar.reduce((t, a) => t + (satir[a] || 0), 0));
+  const maks = Math.max(...toplamlar, 1);
+
+  // Yatay kılavuz çizgileri ve eksen değerleri
+  for (let i = 0; i <= 4; i++) {
+    const y = y0 + yukseklik - (yukseklik * i) / 4;
+    doc.moveTo(x0, y).lineTo(x0 + genislik, y).strokeColor("#e5e7eb").lineWidth(0.5).stroke();
+    doc.font("Turkce").fontSize(7).fillColor("#555555")
+      .text(String(Math.round((maks * i) / 4)), KENAR, y - 4, { width: eksenGenisligi - 4, align: "right", lineBreak: false });
+  }
+
+  const dilim = genislik / satirlar.length;
+  const sutunGenisligi = Math.min(dilim * 0.7, 36);
+  // Sığmayan eksen etiketleri atlanır
+  const etiketAdimi = Math.ceil(40 / dilim);
+
+  satirlar.forEach((satir, i) => {
+    const x = x0 + i * dilim + (dilim - sutunGenisligi) / 2;
+    let y = y0 + yukseklik;
+    anahtarlar.forEach((anahtar, j) => {
+      const h = ((satir[anahtar] || 0) / maks) * yukseklik;
+      if (h > 0) {
+        y -= h;
+        doc.rect(x, y, sutunGenisligi, h).fill(GRAFIK_RENKLERI[j % GRAFIK_RENKLERI.length]);
+      }
+    });
+    if (i % etiketAdimi === 0) {
+      doc.font("Turkce").fontSize(6.5).fillColor("#555555")
+        .text(satir[etiketAlani], x0 + i * dilim - 10, y0 + yukseklik + 3, { width: dilim + 20, align: "center", lineBreak: false });
+    }
+  });
+
+  doc.y = y0 + yukseklik + 16;
+  anahtarlar.forEach((anahtar, j) => {
+    const x = KENAR + (j % 4) * (icerikGenisligi(doc) / 4);
+    const y = doc.y + Math.floor(j / 4) * 12;
+    doc.rect(x, y + 1, 8, 8).fill(GRAFIK_RENKLERI[j % GRAFIK_RENKLERI.length]);
+    doc.font("Turkce").fontSize(7.5).fillColor("black").text(anahtar, x + 12, y + 1, { lineBreak: false });
+  });
+  doc.y += lejantSatiri * 12 + 6;
+  doc.x = KENAR;
+  doc.moveDown(0.8);
+};
+
+/**
+ * Talep konumları: harita görüntüsü verilmişse üzerine, verilmemişse enlem / boylam ızgarasına çizilir
+ * @param {Array<{lat: number, lng: number, oncelik: string}>} noktalar
+ * @param {Buffer|null} goruntu - Statik harita görüntüsü (işaretçiler görüntüye işlenmiş olmalı)
+ */
+const haritaCiz = (doc, { noktalar, goruntu }) => {
+  const genislik = icerikGenisligi(doc);
+  const yukseklik = genislik * 0.625;
+  yerAyir(doc, yukseklik + 30);
+  const y0 = doc.y;
+
+  if (goruntu) {
+    doc.image(goruntu, KENAR, y0, { width: genislik, height: yukseklik });
+  } else {
+    doc.rect(KENAR, y0, genislik, yukseklik).fillAndStroke("#f8fafc", "#cccccc");
+
+    const enlemler = noktalar.map((n) => n.lat);
+    const boylamlar = noktalar.map((n) => n.lng);
+    const pay = 0.05;
+    let [minLat, maxLat] = [Math.min(...enlemler) - pay, Math.max(...enlemler) + pay];
+    let [minLng, maxLng] = [Math.min(...boylamlar) - pay, Math.max(...boylamlar) + pay];
+
+    // Boylam derecesi enlemle kısaldığından en-boy oranı korunarak alan genişletilir
+    const enlemCarpani = Math.cos((((minLat + maxLat) / 2) * Math.PI) / 180);
+    const olcek = Math.min(genislik / ((maxLng - minLng) * enlemCarpani), yukseklik / (maxLat - minLat));
+    const lngFazla = (genislik / olcek / enlemCarpani - (maxLng - minLng)) / 2;
+    const latFazla = (yukseklik / olcek - (maxLat - minLat)) / 2;
+    [minLng, maxLng] = [minLng - lngFazla, maxLng + lngFazla];
+    [minLat, maxLat] = [minLat - latFazla, maxLat + latFazla];
+
+    const xHesapla = (lng) => KENAR + ((lng - minLng) / (maxLng - minLng)) * genislik;
+    const yHesapla = (lat) => y0 + yukseklik - ((lat - minLat) / (maxLat - minLat)) * yukseklik;
+
+    for (let i = 1; i < 4; i++) {
+      const lng = minLng + ((maxLng - minLng) * i) / 4;
+      const lat = minLat + ((maxLat - minLat) * i) / 4;
+      doc.moveTo(xHesapla(lng), y0).lineTo(xHesapla(lng), y0 + yukseklik).strokeColor("#e5e7eb").lineWidth(0.5).stroke();
+      doc.moveTo(KENAR, yHesapla(lat)).lineTo(KENAR + genislik, yHesapla(lat)).strokeColor("#e5e7eb").lineWidth(0.5).stroke();
+      doc.font("Turkce").fontSize(6.5).fillColor("#777777")
+        .text(`${lng.toFixed(2)}°D`, xHesapla(lng) + 2, y0 + yukseklik - 10, { lineBreak: false })
+        .text(`${lat.toFixed(2)}°K`, KENAR + 2, yHesapla(lat) - 9, { lineBreak: false });
+    }
+
+    for (const nokta of noktalar) {
+      doc.circle(xHesapla(nokta.lng), yHesapla(nokta.lat), 3.5)
+        .fillOpacity(0.8)
+        .fillAndStroke(ONCELIK_RENKLERI[nokta.oncelik] || ONCELIK_RENKLERI.normal, "white");
+    }
+    doc.fillOpacity(1);
+  }
+
+  doc.y = y0 + yukseklik + 6;
+  Object.entries(ONCELIK_RENKLERI).forEach(([oncelik, renk], i) => {
+    const x = KENAR + i * 80;
+    doc.circle(x + 4, doc.y + 5, 3.5).fill(renk);
+    doc.font("Turkce").fontSize(8).fillColor("black").text(oncelik, x + 12, doc.y + 1, { lineBreak: false });
+  });
+  doc.y += 16;
+  doc.x = KENAR;
+};
+
+/**
+ * Çok sayfalı durum raporu PDF'i oluşturur: genel durum özeti, grafikler, talep konumları haritası,
+ * kurum bazlı dağılımlar, açık talepler ve sahadaki araçlar
+ * @param {Object} veri - durumRaporuVerisiTopla çıktısı
+ * @param {Buffer|null} [haritaGoruntusu] - Talep konumlarının statik harita görüntüsü
+ * @returns {Promise<Buffer>}
+ */
+export async function durumRaporuPdfOlustur(veri, haritaGoruntusu = null) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: "A4", margin: KENAR, bufferPages: true });
+    const stream = new PassThrough();
+    const chunks = [];
+
+    stream.on("data", (chunk) => chunks.push(chunk));
+    stream.on("end", () => resolve(Buffer.concat(chunks)));
+    stream.on("error", reject);
+
+    doc.pipe(stream);
+    doc.registerFont("Turkce", fontRegular);
+    doc.registerFont("Turkce-Bold", fontBold);
+
+    const { ozet } = veri;
+
+    // Logo ve Başlık
+    doc.image(logoPath, KENAR, KENAR - 10, { width: 70 });
+    doc.font("Turkce-Bold").fontSize(16).fillColor("#003366")
+      .text("AFET NAKLİYE GRUBU", KENAR, KENAR, { align: "center" });
+    doc.font("Turkce-Bold").fontSize(14).fillColor("black")
+      .text("DURUM RAPORU", { align: "center" });
+    doc.moveDown(1.5);
+
+    doc.font("Turkce").fontSize(9).fillColor("black");
+    [
+      ["Dönem", `${tarihBicimle(veri.donem.baslangic)} - ${tarihBicimle(veri.donem.bitis)}`],
+      ["Afet olayı", veri.afetOlayi?.ad || "Tüm afet olayları"],
+      ["Oluşturulma", tarihBicimle(veri.olusturmaZamani)],
+    ].forEach(([etiket, deger]) => {
+      const y = doc.y;
+      doc.font("Turkce-Bold").text(`${etiket}:`, KENAR, y, { width: 80, lineBreak: false });
+      doc.font("Turkce").text(deger, KENAR + 80, y);
+    });
+
+    bolumBasligi(doc, "Genel Durum");
+    ozetKartlari(doc, [
+      ["Açık talep", ozet.acikTalep],
+      ["Karşılanmayan araç ihtiyacı", ozet.eksikArac],
+      ["Etkilenen kişi (açık talepler)", ozet.etkilenenKisi],
+      ["Aktif görev", ozet.aktifGorev],
+      ["Sahadaki araç", ozet.sahadakiArac],
+      ["Dönemde gelen talep", ozet.donemTalep],
+      ["Dönemde tamamlanan görev", ozet.tamamlananGorev],
+      ["Dönemde iptal edilen görev", `${ozet.iptalGorev} (%${ozet.iptalOrani})`],
+      ["İlk atama süresi (medyan)", sureBicimle(veri.atamaSuresi.atamaSuresi.medyan)],
+      ["Başlama süresi (medyan)", sureBicimle(veri.gorevSureleri.baslamaSuresi.medyan)],
+      ["Tamamlanma süresi (medyan)", sureBicimle(veri.gorevSureleri.tamamlanmaSuresi.medyan)],
+      ["Atama bekleyen talep", veri.atamaSuresi.atanmamis],
+    ]);
+
+    bolumBasligi(doc, "Güncel Durumlar");
+    yatayCubukGrafik(doc, {
+      baslik: "Talepler",
+      veriler: Object.entries(veri.guncelOzet.talep.durumlar).map(([etiket, deger]) => ({ etiket, deger })),
+    });
+    yatayCubukGrafik(doc, {
+      baslik: "Görevler",
+      veriler: Object.entries(veri.guncelOzet.gorev.durumlar).map(([etiket, deger]) => ({ etiket, deger })),
+      renk: GRAFIK_RENKLERI[2],
+    });
+
+    bolumBasligi(doc, "Dönem Grafikleri");
+    yigilmisSutunGrafik(doc, {
+      baslik: "Araç türüne göre görevler",
+      satirlar: veri.aracTuruTrendi.seriler,
+      anahtarlar: veri.aracTuruTrendi.aracTurleri,
+      etiketAlani: "donem",
+    });
+    yatayCubukGrafik(doc, {
+      baslik: "Kurum bazlı araç kullanım oranı",
+      veriler: veri.aracKullanimi.kurumlar.map((k) => ({ etiket: k.kurumAdi, deger: k.kullanimOrani })),
+      birim: "%",
+      enFazla: 100,
+    });
+    yatayCubukGrafik(doc, {
+      baslik: `Görev iptal nedenleri (iptal oranı %${veri.iptaller.gorev.oran})`,
+      veriler: veri.iptaller.gorev.nedenler.map((n) => ({ etiket: n.etiket, deger: n.sayi })),
+      renk: GRAFIK_RENKLERI[3],
+    });
+
+    bolumBasligi(doc, "Karşılanmayan İhtiyaç");
+    yatayCubukGrafik(doc, {
+      baslik: "Operasyon bölgesine göre eksik araç",
+      veriler: veri.karsilanmayan.bolgeler.map((b) => ({ etiket: b.ad, deger: b.eksikArac })),
+      renk: GRAFIK_RENKLERI[3],
+    });
+    yatayCubukGrafik(doc, {
+      baslik: "Araç türüne göre eksik araç",
+      veriler: veri.karsilanmayan.aracTurleri.map((t) => ({ etiket: t.aracTuru, deger: t.eksikArac })),
+      renk: GRAFIK_RENKLERI[8],
+    });
+
+    bolumBasligi(doc, "Açık Talep Konumları");
+    const noktalar = veri.acikTalepler.filter((t) => Number.isFinite(t.lat) && Number.isFinite(t.lng));
+    if (noktalar.length) {
+      haritaCiz(doc, { noktalar, goruntu: haritaGoruntusu });
+    } else {
+      bosVeri(doc, "Konumu bilinen açık talep yok");
+    }
+
+    bolumBasligi(doc, "Kurumlara Göre Talepler");
+    tabloCiz(doc, [
+      { baslik: "Kurum", oran: 0.34 },
+      { baslik: "Toplam", oran: 0.11, hizala: "right" },
+      { baslik: "Açık", oran: 0.11, hizala: "right" },
+      { baslik: "Görevlendirilen", oran: 0.13, hizala: "right" },
+      { baslik: "Tamamlanan", oran: 0.11, hizala: "right" },
+      { baslik: "İptal", oran: 0.08, hizala: "right" },
+      { baslik: "Eksik Araç", oran: 0.12, hizala: "right" },
+    ], veri.kurumTalepleri.map((k) => [k.kurumAdi, k.toplam, k.acik, k.gorevlendirilen, k.tamamlanan, k.iptal, k.eksikArac]));
+
+    bolumBasligi(doc, "Kurumlara Göre Araç Kullanımı");
+    tabloCiz(doc, [
+      { baslik: "Kurum", oran: 0.34 },
+      { baslik: "Aktif Araç", oran: 0.13, hizala: "right" },
+      { baslik: "Görevli Araç", oran: 0.13, hizala: "right" },
+      { baslik: "Görev", oran: 0.12, hizala: "right" },
+      { baslik: "Görevde (saat)", oran: 0.14, hizala: "right" },
+      { baslik: "Kullanım", oran: 0.14, hizala: "right" },
+    ], veri.aracKullanimi.kurumlar.map((k) => [
+      k.kurumAdi,
+      k.aracSayisi,
+      k.gorevliAracSayisi,
+      k.gorevSayisi,
+      k.mesgulSaat,
+      k.kullanimOrani == null ? "-" : `%${k.kullanimOrani}`,
+    ]));
+
+    bolumBasligi(doc, `Açık Talepler (${veri.acikTalepler.length})`);
+    tabloCiz(doc, [
+      { baslik: "Talep", oran: 0.25 },
+      { baslik: "Kurum", oran: 0.17 },
+      { baslik: "Öncelik", oran: 0.09 },
+      { baslik: "Eksik Araç", oran: 0.1, hizala: "right" },
+      { baslik: "Bekleme", oran: 0.12 },
+      { baslik: "Adres", oran: 0.27 },
+    ], veri.acikTalepler.map((t) => [t.baslik, t.kurumAdi, t.oncelik, t.eksikArac, sureBicimle(t.beklemeDk), t.adres]));
+
+    bolumBasligi(doc, `Sahadaki Araçlar ve Aktif Görevler (${veri.aktifGorevler.length})`);
+    tabloCiz(doc, [
+      { baslik: "Plaka", oran: 0.11 },
+      { baslik: "Tür", oran: 0.1 },
+      { baslik: "Kurum", oran: 0.15 },
+      { baslik: "Şoför", oran: 0.14 },
+      { baslik: "Talep", oran: 0.22 },
+      { baslik: "Durum", oran: 0.1 },
+      { baslik: "Atanma", oran: 0.18 },
+    ], veri.aktifGorevler.map((g) => [g.plaka, g.aracTuru, g.kurumAdi, g.sofor, g.talep, g.durum, tarihBicimle(g.atanma)]));
+
+    // Sayfa numaraları (alt kenar boşluğuna yazılırken otomatik sayfa eklenmemesi için kenar geçici olarak kaldırılır)
+    const { start, count } = doc.bufferedPageRange();
+    for (let i = start; i < start + count; i++) {
+      doc.switchToPage(i);
+      doc.page.margins.bottom = 0;
+      doc.font("Turkce").fontSize(8).fillColor("#777777")
+        .text(`Durum Raporu · ${tarihBicimle(veri.olusturmaZamani)} · Sayfa ${i + 1} / ${count}`, KENAR, doc.page.height - 30, {
+          width: icerikGenisligi(doc),
+          align: "center",
+          lineBreak: false,
+        });
+    }
+
+    doc.end();
+  });
+}
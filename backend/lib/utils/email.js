@@ -1,6 +1,6 @@
 import nodemailer from "nodemailer";
 
-export const mailGonder = async ({ to, subject, html }) => {
+export const mailGonder = async ({ to, subject, html, attachments }) => {
   try {
     const transporter = nodemailer.createTransport({
       service: "gmail",
@@ -15,11 +15,20 @@ export const mailGonder = async ({ to, subject, html }) => {
       to,
       subject,
       html,
+      attachments,
     };
 
-    await transporter.sendMail(mailOptions);
+    const sonuc = await transporter.sendMail(mailOptions);
     console.log("✅ E-posta gönderildi:", to);
+    return sonuc;
   } catch (error) {
     console.error("❌ Mail gönderme hatası:", error.message);
+    // 5xx SMTP yanıtları alıcının kalıcı olarak reddedildiğini (bounce) gösterir
+    error.kalici = error.responseCode >= 500 && error.responseCode < 600;
+    throw error;
   }
-};
\ No newline at end of file
+};
+const HTML_KARSILIKLARI = { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" };
+
+// Kullanıcıdan gelen metni e-posta HTML'ine eklemeden önce kaçışlar
+export const htmlKacis = (deger) => String(deger ?? "").replace(/[&<>"']/g, (karakter) => HTML_KARSILIKLARI[karakter]);
@@ -19,6 +19,7 @@ export function excelOlustur(gorevler) {
       "Durum": gorev.gorevDurumu,
       "Başlangıç Tarihi": baslangic,
       "Bitiş Tarihi": bitis,
+      "Afet Olayı": gorev.afetOlayiId?.ad || "",
     };
   });
 
@@ -1,26 +1,11 @@
-import jwt from 'jsonwebtoken';
 import dotenv from 'dotenv';
+import { oturumAc } from './oturum.js';
 
 dotenv.config();
 
-export const tokenVeCookieOlustur = (userId, res, isMobile = false) => {
-    const token = jwt.sign({ userId }, process.env.JWT_SECRET, {
-        expiresIn: "15d"
-    });
-
-    // Mobil için token'ı response body'de dön
-    if (isMobile) {
-        return token;
-    }
-
-    // Web için cookie oluştur
-    const cookieOptions = {
-        expires: new Date(Date.now() + 15 * 24 * 60 * 60 * 1000),
-        httpOnly: true,
-        sameSite: 'Lax',
-        secure: process.env.NODE_ENV === 'production' ? true : false
-    };
-
-    res.cookie('jwt', token, cookieOptions);
-    return token;
-}
\ No newline at end of file
+// Giriş ve kayıtta cihaz için oturum açar: kısa ömürlü erişim tokenı + sunucuda saklanan yenileme tokenı
+// Web'de ikisi de httpOnly cookie'ye yazılır, mobilde response body'de dönülür
+export const tokenVeCookieOlustur = async(userId, req, res, isMobile = false) => {
+    const { token, yenilemeTokeni } = await oturumAc(userId, req, res, isMobile);
+    return { token, yenilemeTokeni };
+}
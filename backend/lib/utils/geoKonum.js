@@ -0,0 +1,108 @@
+import Arac from "../../models/arac.model.js";
+import Talep from "../../models/talep.model.js";
+import { bolgeDogrula } from "./afetOlayiKapsami.js";
+
+// Yakınlık sorgularında kabul edilen en büyük yarıçap (km)
+const MAKS_YARICAP_KM = 1000;
+
+const gecerliKoordinatMi = (lat, lng) =>
+    Number.isFinite(lat) && Number.isFinite(lng) && Math.abs(lat) <= 90 && Math.abs(lng) <= 180;
+
+/**
+ * {lat, lng} konumundan 2dsphere indeksine yazılacak GeoJSON Point oluşturur
+ * @param {{lat: number, lng: number}} konum
+ * @returns {{type: "Point", coordinates: number[]}|undefined} Konum geçersizse undefined
+ */
+export const geoNokta = (konum) => {
+    const lat = Number(konum?.lat);
+    const lng = Number(konum?.lng);
+    if (konum?.lat == null || konum?.lng == null || !gecerliKoordinatMi(lat, lng)) {
+        return undefined;
+    }
+    return { type: "Point", coordinates: [lng, lat] };
+};
+
+/**
+ * "lat,lng" biçimindeki sorgu parametresini ayrıştırır
+ * @param {string} deger
+ * @returns {{lat: number, lng: number}|null}
+ */
+const koordinatAyristir = (deger) => {
+    const parcalar = String(deger).split(",").map((p) => Number(p.trim()));
+    if (parcalar.length !== 2 || !gecerliKoordinatMi(parcalar[0], parcalar[1])) {
+        return null;
+    }
+    return { lat: parcalar[0], lng: parcalar[1] };
+};
+
+/**
+ * ?near=lat,lng&radiusKm= parametrelerinden $nearSphere filtresi oluşturur
+ * Sonuçlar yakından uzağa sıralanır; radiusKm verilmezse mesafe sınırı uygulanmaz
+ * @param {Object} params
+ * @param {string} params.near
+ * @param {string|number} [params.radiusKm]
+ * @returns {{merkez?: Object, filtre?: Object, hata?: string}}
+ */
+export const yakinlikFiltresiOlustur = ({ near, radiusKm }) => {
+    const merkez = koordinatAyristir(near);
+    if (!merkez) {
+        return { hata: "near parametresi \"enlem,boylam\" biçiminde olmalıdır" };
+    }
+
+    const sorgu = { $geometry: geoNokta(merkez) };
+    if (radiusKm !== undefined && radiusKm !== "") {
+        const yaricap = Number(radiusKm);
+        if (!Number.isFinite(yaricap) || yaricap <= 0 || yaricap > MAKS_YARICAP_KM) {
+            return { hata: `radiusKm 0 ile ${MAKS_YARICAP_KM} arasında olmalıdır` };
+        }
+        sorgu.$maxDistance = yaricap * 1000;
+    }
+
+    return { merkez, filtre: { $nearSphere: sorgu } };
+};
+
+/**
+ * ?within=lat,lng;lat,lng;... parametresinden (ör. haritanın görünen alanı) $geoWithin filtresi oluşturur
+ * @param {string} within - En az üç köşe; halka kapatılmamışsa kapatılır
+ * @returns {{filtre?: Object, hata?: string}}
+ */
+export const poligonFiltresiOlustur = (within) => {
+    const koseler = String(within).split(";").filter(Boolean).map(koordinatAyristir);
+    if (koseler.length < 3 || koseler.some((k) => !k)) {
+        return { hata: "within parametresi en az üç \"enlem,boylam\" köşesinin ; ile ayrıldığı bir poligon olmalıdır" };
+    }
+
+    const { bolge, hata } = bolgeDogrula({
+        type: "Polygon",
+        coordinates: [koseler.map((k) => [k.lng, k.lat])],
+    });
+    if (hata) {
+        return { hata };
+    }
+
+    return { filtre: { $geoWithin: { $geometry: bolge } } };
+};
+
+/**
+ * GeoJSON noktası olmayan araç ve taleplerin {lat, lng} konumlarından nokta alanını doldurur (tekrar çalıştırılabilir)
+ * @returns {Promise<{arac: number, talep: number}>} Güncellenen kayıt sayıları
+ */
+export const konumNoktalariniDoldur = async() => {
+    const kosul = (alan) => ({
+        [`${alan}.lat`]: { $gte: -90, $lte: 90 },
+        [`${alan}.lng`]: { $gte: -180, $lte: 180 },
+        [`${alan}.nokta.coordinates`]: { $exists: false },
+    });
+    const guncelleme = (alan) => [{
+        $set: {
+            [`${alan}.nokta`]: { type: "Point", coordinates: [`$${alan}.lng`, `$${alan}.lat`] },
+        },
+    }];
+
+    const [arac, talep] = await Promise.all([
+        Arac.updateMany(kosul("konum"), guncelleme("konum")),
+        Talep.updateMany(kosul("lokasyon"), guncelleme("lokasyon")),
+    ]);
+
+    return { arac: arac.modifiedCount, talep: talep.modifiedCount };
+};
@@ -0,0 +1,185 @@
+import GirisDenemesi from "../../models/girisDenemesi.model.js";
+import Kullanici from "../../models/kullanici.model.js";
+import { bildirimOlustur } from "./bildirimOlustur.js";
+import { bildirimGonder } from "./bildirimGonder.js";
+import { cihazBilgisi } from "./oturum.js";
+import { htmlKacis } from "./email.js";
+import { koordinatorMu } from "./koordinatorKapsami.js";
+
+// Bu sayıda art arda hatalı şifreden sonra hesap kilitlenir
+export const KILIT_ESIGI = 5;
+
+// Kilit süresi eşikteki ilk kilitte 1 dakikadır, her yeni hatada ikiye katlanır ve bu sınırı geçmez.
+// Sınır kısa tutulur: afet sırasında kilitlenen koordinatör en geç bir saat içinde yeniden deneyebilir
+const MAKS_KILIT_DK = 60;
+
+// Olağandışı giriş kontrolünde geriye bakılan süre
+const OLAGANDISI_GECMIS_GUN = 90;
+
+/**
+ * Hesap kilitliyse kilidin açılmasına kalan süreyi verir
+ * @param {Object} kullanici
+ * @returns {number} Kalan saniye, kilit yoksa 0
+ */
+export const kilitKalanSn = (kullanici) => {
+    const bitis = kullanici?.girisKilidi?.kilitBitis;
+    if (!bitis) return 0;
+    return Math.max(0, Math.ceil((new Date(bitis) - Date.now()) / 1000));
+};
+
+/**
+ * Hatalı şifre denemesini sayar; eşik aşıldıysa hesabı kilitler
+ * @param {string|ObjectId} kullaniciId
+ * @returns {Promise<{basarisizDeneme: number, kilitBitis: Date|null}>}
+ */
+export const hataliGirisiIsle = async(kullaniciId) => {
+    const kullanici = await Kullanici.findByIdAndUpdate(
+        kullaniciId,
+        { $inc: { "girisKilidi.basarisizDeneme": 1 } },
+        { new: true }
+    ).select("girisKilidi");
+
+    const basarisizDeneme = kullanici?.girisKilidi?.basarisizDeneme || 0;
+    if (basarisizDeneme < KILIT_ESIGI) {
+        return { basarisizDeneme, kilitBitis: null };
+    }
+
+    const kilitDk = Math.min(2 ** (basarisizDeneme - KILIT_ESIGI), MAKS_KILIT_DK);
+    const kilitBitis = new Date(Date.now() + kilitDk * 60 * 1000);
+    await Kullanici.updateOne({ _id: kullaniciId }, { $set: { "girisKilidi.kilitBitis": kilitBitis } });
+
+    return { basarisizDeneme, kilitBitis };
+};
+
+/**
+ * Başarılı girişte ya da şifre sıfırlandığında hatalı deneme sayacını ve kilidi kaldırır
+ * @param {string|ObjectId} kullaniciId
+ */
+export const girisKilidiniKaldir = (kullaniciId) =>
+    Kullanici.updateOne(
+        { _id: kullaniciId },
+        { $set: { "girisKilidi.basarisizDeneme": 0, "girisKilidi.kilitBitis": null } }
+    );
+
+/**
+ * Giriş denemesini kaydeder. Kayıt başarısız olsa da giriş akışı etkilenmez.
+ * @param {Object} req - Express isteği (IP ve cihaz bilgisi için)
+ * @param {Object} params
+ * @param {string} params.sonuc - basarili | hatali_sifre | hatali_kod | kullanici_yok | hesap_kilitli | sinir_asildi
+ * @param {Object} [params.kullanici]
+ * @param {boolean} [params.olagandisi]
+ * @returns {Promise<Object|null>}
+ */
+export const girisDenemesiKaydet = async(req, { sonuc, kullanici = null, olagandisi = false }) => {
+    try {
+        const cihaz = cihazBilgisi(req, req.body?.isMobile);
+        const email = typeof req.body?.email === "string" ? req.body.email.trim().toLowerCase().slice(0, 200) : null;
+
+        return await GirisDenemesi.create({
+            kullaniciId: kullanici?._id || null,
+            email: kullanici?.email || email,
+            ip: req.ip || null,
+            userAgent: cihaz.userAgent,
+            cihazAdi: cihaz.ad,
+            platform: cihaz.platform,
+            sonuc,
+            olagandisi,
+        });
+    } catch (error) {
+        console.error(`Giriş denemesi kaydedilirken hata oluştu: ${error.message}`);
+        return null;
+    }
+};
+
+/**
+ * İstek sınırına takılan giriş denemesini, e-posta kayıtlıysa kullanıcının geçmişine yazar
+ * @param {Object} req
+ */
+export const sinirAsanGirisiKaydet = async(req) => {
+    const email = typeof req.body?.email === "string" ? req.body.email.trim() : "";
+    const kullanici = email ? await Kullanici.findOne({ email, isDeleted: false }).select("email") : null;
+    await girisDenemesiKaydet(req, { sonuc: "sinir_asildi", kullanici });
+};
+
+/**
+ * Koordinatör hesabına son 90 günde başarılı giriş yapılmamış bir IP'den ve cihazdan gelen giriş olağandışıdır.
+ * Hiç geçmişi olmayan ilk giriş olağandışı sayılmaz.
+ * @param {Object} kullanici
+ * @param {Object} req
+ * @returns {Promise<boolean>}
+ */
+export const olagandisiGirisMi = async(kullanici, req) => {
+    if (!koordinatorMu(kullanici)) return false;
+
+    const filtre = {
+        kullaniciId: kullanici._id,
+        sonuc: "basarili",
+        createdAt: { $gte: new Date(Date.now() - OLAGANDISI_GECMIS_GUN * 24 * 60 * 60 * 1000) },
+    };
+    // "Chrome · Windows" gibi cihaz adları tek başına ayırt edici olmadığından tam user agent ile birlikte karşılaştırılır
+    const cihaz = cihazBilgisi(req, req.body?.isMobile);
+
+    const [gecmisVar, bilinenKaynak] = await Promise.all([
+        GirisDenemesi.exists(filtre),
+        GirisDenemesi.exists({
+            ...filtre,
+            $or: [
+                { ip: req.ip || null },
+                ...(cihaz.userAgent ? [{ userAgent: cihaz.userAgent, cihazAdi: cihaz.ad }] : []),
+            ],
+        }),
+    ]);
+
+    return Boolean(gecmisVar) && !bilinenKaynak;
+};
+
+// Cihaz adı user agent'tan, ad / soyad kullanıcıdan geldiğinden şablona kaçışlanarak eklenir
+const olagandisiGirisMailHtml = (kullanici, deneme) => `
+<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+    <h2 style="color: #2c3e50;">Hesabınıza yeni bir cihazdan giriş yapıldı</h2>
+    <p>Sayın ${htmlKacis(kullanici.ad)} ${htmlKacis(kullanici.soyad)},</p>
+    <p>Koordinatör hesabınıza daha önce kullanılmamış bir cihaz ve ağdan giriş yapıldı.</p>
+    <ul>
+        <li><strong>Zaman:</strong> ${new Date(deneme.createdAt).toLocaleString("tr-TR", { timeZone: "Europe/Istanbul" })}</li>
+        <li><strong>Cihaz:</strong> ${htmlKacis(deneme.cihazAdi || "Bilinmiyor")} (${deneme.platform === "mobil" ? "Mobil" : "Web"})</li>
+        <li><strong>IP adresi:</strong> ${htmlKacis(deneme.ip || "-")}</li>
+    </ul>
+    <p>Bu giriş size ait değilse Hesabım sayfasından ilgili oturumu kapatın ve şifrenizi değiştirin.</p>
+    <p><a href="${process.env.CLIENT_URL || ""}/hesabim">Oturumlarımı görüntüle</a></p>
+</div>`;
+
+/**
+ * Olağandışı koordinatör girişini kullanıcıya uygulama içi bildirim ve e-posta / SMS ile iletir
+ * @param {Object} kullanici
+ * @param {Object} deneme - Kaydedilen giriş denemesi
+ */
+export const olagandisiGirisiBildir = async(kullanici, deneme) => {
+    const cihaz = deneme.cihazAdi || (deneme.platform === "mobil" ? "mobil uygulama" : "web tarayıcısı");
+
+    await bildirimOlustur({
+        kullaniciId: kullanici._id,
+        baslik: "Yeni cihazdan giriş",
+        icerik: `Hesabınıza ${cihaz} üzerinden ${deneme.ip || "bilinmeyen"} IP adresinden giriş yapıldı. Size ait değilse oturumu kapatıp şifrenizi değiştirin.`,
+        hedefUrl: "/hesabim",
+        olay: "sistem",
+        kritik: true,
+    });
+
+    const sonuc = await bildirimGonder({
+        email: kullanici.email,
+        telefon: kullanici.telefon,
+        kullaniciId: kullanici._id,
+        olay: "sistem",
+        kritik: true,
+        hedefUrl: "/hesabim",
+        subject: "Hesabınıza yeni bir cihazdan giriş yapıldı",
+        html: olagandisiGirisMailHtml(kullanici, deneme),
+        baslik: "Yeni cihazdan giriş",
+        mesaj: `Afet Nakliye koordinatör hesabınıza ${cihaz} üzerinden giriş yapıldı (IP: ${deneme.ip || "-"}). Size ait değilse şifrenizi değiştirin.`,
+        kaynak: { tur: "giris_denemesi", id: deneme._id },
+    });
+
+    if (!sonuc.success && sonuc.error) {
+        console.warn(`Olağandışı giriş bildirimi kısmen başarısız: ${sonuc.error}`);
+    }
+};
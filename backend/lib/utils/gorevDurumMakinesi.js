@@ -0,0 +1,92 @@
+// Görev yaşam döngüsü: beklemede → yolda → başladı → tamamlandı / iptal edildi
+export const GOREV_DURUMLARI = ["beklemede", "yolda", "başladı", "tamamlandı", "iptal edildi"];
+
+// Sonuçlanmış (başka duruma geçirilemeyen) durumlar
+export const SON_DURUMLAR = ["tamamlandı", "iptal edildi"];
+
+// Araç konumunun canlı takip edildiği durumlar
+export const CANLI_TAKIP_DURUMLARI = ["yolda", "başladı"];
+
+// Durumlar arası izin verilen geçişler
+const GECISLER = {
+    beklemede: ["yolda", "iptal edildi"],
+    yolda: ["başladı", "iptal edildi"],
+    "başladı": ["tamamlandı", "iptal edildi"],
+    "tamamlandı": [],
+    "iptal edildi": [],
+};
+
+// Rol bazında yapılabilecek geçişler (GECISLER'in alt kümesi)
+const ROL_GECISLERI = {
+    koordinator: GECISLER,
+    super_koordinator: GECISLER,
+    arac_sahibi: {
+        beklemede: ["yolda", "iptal edildi"],
+        yolda: ["başladı", "iptal edildi"],
+        "başladı": ["tamamlandı", "iptal edildi"],
+    },
+    talep_eden: {
+        "başladı": ["tamamlandı"],
+    },
+};
+
+// İptal / başarısızlık için kabul edilen neden kodları
+export const IPTAL_NEDENLERI = {
+    talep_iptal: "Talep iptal edildi",
+    arac_arizasi: "Araç arızası",
+    sofor_ulasilamadi: "Şoföre ulaşılamadı",
+    yol_kapali: "Yol kapalı / erişim yok",
+    kaza: "Kaza",
+    hedefe_ulasilamadi: "Hedef konuma ulaşılamadı",
+    yanlis_atama: "Hatalı görevlendirme",
+    diger: "Diğer",
+};
+
+/**
+ * Verilen rol için bir durumdan diğerine izin verilen geçişleri döner
+ * @param {string} rol - Kullanıcı rolü
+ * @param {string} mevcutDurum - Görevin mevcut durumu
+ * @returns {string[]}
+ */
+export const izinliGecisler = (rol, mevcutDurum) => {
+    return ROL_GECISLERI[rol]?.[mevcutDurum] || [];
+};
+
+/**
+ * Durum geçişini doğrular
+ * @param {Object} params
+ * @param {string} params.rol - Geçişi yapan kullanıcının rolü
+ * @param {string} params.mevcutDurum - Görevin mevcut durumu
+ * @param {string} params.yeniDurum - İstenen yeni durum
+ * @param {string} [params.nedenKodu] - İptal neden kodu
+ * @param {string} [params.not] - Geçişe ait açıklama
+ * @returns {string|null} Hata mesajı, geçiş geçerliyse null
+ */
+export const gecisDogrula = ({ rol, mevcutDurum, yeniDurum, nedenKodu, not }) => {
+    if (!GOREV_DURUMLARI.includes(yeniDurum)) {
+        return `Geçersiz görev durumu: "${yeniDurum}"`;
+    }
+
+    if (SON_DURUMLAR.includes(mevcutDurum)) {
+        return `"${mevcutDurum}" durumundaki bir görev başka bir duruma geçirilemez.`;
+    }
+
+    if (!GECISLER[mevcutDurum]?.includes(yeniDurum)) {
+        return `"${mevcutDurum}" durumundan "${yeniDurum}" durumuna geçiş yapılamaz.`;
+    }
+
+    if (!izinliGecisler(rol, mevcutDurum).includes(yeniDurum)) {
+        return `Rolünüz "${mevcutDurum}" → "${yeniDurum}" geçişini yapmaya yetkili değil.`;
+    }
+
+    if (yeniDurum === "iptal edildi") {
+        if (!nedenKodu || !IPTAL_NEDENLERI[nedenKodu]) {
+            return "İptal için geçerli bir neden kodu seçilmelidir.";
+        }
+        if (nedenKodu === "diger" && !not?.trim()) {
+            return "\"Diğer\" neden kodu için açıklama girilmelidir.";
+        }
+    }
+
+    return null;
+};
@@ -0,0 +1,222 @@
+import Arac from "../../models/arac.model.js";
+import Gorev from "../../models/gorev.model.js";
+import Sofor from "../../models/sofor.model.js";
+import { AKTIF_GOREV_DURUMLARI } from "./talepKarsilanma.js";
+import { ayniSahibeAitMi, ehliyetKontrol } from "./soforUygunluk.js";
+import { mesafeMetni, rotaBilgileriHesapla, sureMetni } from "./rotaSaglayici.js";
+
+// Skoru oluşturan bileşenlerin ağırlıkları (toplamı 1)
+export const ONERI_AGIRLIKLARI = {
+    mesafe: 0.45,
+    kapasite: 0.2,
+    kurumYuku: 0.2,
+    aracDurumu: 0.15,
+};
+
+// Tahmini varış süresi bunun üzerindeki araçlar mesafe bileşeninden puan alamaz (6 saat)
+const MAKS_SURE_SN = 6 * 60 * 60;
+
+// Araç konumu bu süreden yeniyse canlı kabul edilir
+const CANLI_KONUM_SURESI_DK = 30;
+
+// Her araç türü için döndürülecek en fazla aday sayısı
+const MAKS_ADAY_SAYISI = 10;
+
+// Aracın / şoförün sahibi (kurum ya da bireysel kullanıcı) için ortak anahtar
+const sahipAnahtari = (kayit) => (kayit.kurumFirmaId?._id || kayit.kurumFirmaId || kayit.kullaniciId?._id || kayit.kullaniciId)?.toString();
+
+const yuvarla = (deger) => Math.round(deger * 10) / 10;
+
+// Sahiplerin aktif görev / aktif araç oranı (0: boşta, 1: tüm araçları görevde)
+const kurumYukleriHesapla = async() => {
+    const [araclar, aktifGorevler] = await Promise.all([
+        Arac.find({ aracDurumu: "aktif", isDeleted: false }).select("kurumFirmaId kullaniciId"),
+        Gorev.find({ gorevDurumu: { $in: AKTIF_GOREV_DURUMLARI }, isDeleted: false })
+            .select("aracId")
+            .populate("aracId", "kurumFirmaId kullaniciId"),
+    ]);
+
+    const yukler = new Map();
+    for (const arac of araclar) {
+        const anahtar = sahipAnahtari(arac);
+        const yuk = yukler.get(anahtar) || { aracSayisi: 0, aktifGorev: 0 };
+        yuk.aracSayisi++;
+        yukler.set(anahtar, yuk);
+    }
+    for (const gorev of aktifGorevler) {
+        if (!gorev.aracId) continue;
+        const yuk = yukler.get(sahipAnahtari(gorev.aracId));
+        if (yuk) yuk.aktifGorev++;
+    }
+    return yukler;
+};
+
+/**
+ * Bir aday aracın skor bileşenlerini hesaplar
+ * @returns {{skor: number, mesafeKm: number|null, sureSaniye: number|null, rotaSaglayici: string|null, bilesenler: Array}}
+ */
+const skorHesapla = ({ arac, rota, enYuksekKapasite, yuk, simdi }) => {
+    const konumVar = arac.konum?.lat != null && arac.konum?.lng != null;
+
+    const mesafePuani = rota ? Math.max(0, 1 - rota.sureSaniye / MAKS_SURE_SN) * 100 : 0;
+    const kapasitePuani = enYuksekKapasite > 0 ? (arac.kapasite / enYuksekKapasite) * 100 : 0;
+    const yukOrani = yuk?.aracSayisi ? yuk.aktifGorev / yuk.aracSayisi : 0;
+    const kurumYukuPuani = (1 - Math.min(yukOrani, 1)) * 100;
+
+    const konumYasiDk = arac.konum?.guncellenmeZamani ?
+        (simdi - new Date(arac.konum.guncellenmeZamani)) / 60000 :
+        null;
+    let aracDurumuPuani = 0;
+    let aracDurumuAciklama = "Konum bilgisi yok";
+    if (konumYasiDk != null && konumYasiDk <= CANLI_KONUM_SURESI_DK) {
+        aracDurumuPuani = 100;
+        aracDurumuAciklama = `Canlı konum (${Math.round(konumYasiDk)} dk önce)`;
+    } else if (konumVar) {
+        aracDurumuPuani = 60;
+        aracDurumuAciklama = "Kayıtlı (sabit) konum";
+    }
+
+    const bilesenler = [{
+            kod: "mesafe",
+            ad: "Varış Süresi",
+            puan: mesafePuani,
+            aciklama: rota ?
+                `${mesafeMetni(rota.mesafeMetre)}, ~${sureMetni(rota.sureSaniye)} (${rota.saglayici})` :
+                "Araç konumu bilinmiyor",
+        },
+        {
+            kod: "kapasite",
+            ad: "Kapasite",
+            puan: kapasitePuani,
+            aciklama: `${arac.kapasite} (bu türdeki en yüksek: ${enYuksekKapasite})`,
+        },
+        {
+            kod: "kurumYuku",
+            ad: "Sahip Yükü",
+            puan: kurumYukuPuani,
+            aciklama: `${yuk?.aktifGorev || 0} / ${yuk?.aracSayisi || 0} aracı görevde`,
+        },
+        {
+            kod: "aracDurumu",
+            ad: "Araç Durumu",
+            puan: aracDurumuPuani,
+            aciklama: aracDurumuAciklama,
+        },
+    ].map((bilesen) => ({
+        ...bilesen,
+        agirlik: ONERI_AGIRLIKLARI[bilesen.kod],
+        puan: yuvarla(bilesen.puan),
+        katki: yuvarla(bilesen.puan * ONERI_AGIRLIKLARI[bilesen.kod]),
+    }));
+
+    return {
+        skor: yuvarla(bilesenler.reduce((toplam, b) => toplam + b.katki, 0)),
+        mesafeKm: rota ? yuvarla(rota.mesafeMetre / 1000) : null,
+        sureSaniye: rota ? rota.sureSaniye : null,
+        rotaSaglayici: rota ? rota.saglayici : null,
+        bilesenler,
+    };
+};
+
+/**
+ * Talepte kalan her araç türü için müsait araçları skorlayıp sıralar ve şoförüyle birlikte bir görevlendirme seti önerir
+ * @param {Object} talep - Talep dokümanı
+ * @param {Array} karsilanma - Talebin güncel karşılanma tablosu (bkz. talepKarsilanma.js)
+ * @returns {Promise<Array>} Araç türü bazında adaylar ve önerilen set
+ */
+export const talepOnerileriHesapla = async(talep, karsilanma) => {
+    const kalanTurler = karsilanma.filter((k) => k.talepEdilen > k.atanan);
+    if (kalanTurler.length === 0) return [];
+
+    const [adayAraclar, soforler, aktifGorevler, yukler] = await Promise.all([
+        Arac.find({
+            aracTuru: { $in: kalanTurler.map((k) => k.aracTuru) },
+            musaitlikDurumu: true,
+            aracDurumu: "aktif",
+            isDeleted: false,
+        })
+        .populate("kurumFirmaId", "kurumAdi")
+        .populate("kullaniciId", "ad soyad"),
+        Sofor.find({ musaitlikDurumu: "musait", isDeleted: false }),
+        Gorev.find({ gorevDurumu: { $in: AKTIF_GOREV_DURUMLARI }, soforId: { $ne: null }, isDeleted: false }).select("soforId"),
+        kurumYukleriHesapla(),
+    ]);
+
+    const gorevdekiSoforler = new Set(aktifGorevler.map((g) => g.soforId.toString()));
+    const simdi = new Date();
+    const hedef = { lat: talep.lokasyon.lat, lng: talep.lokasyon.lng };
+
+    // Aynı şoför önerilen setlerde birden fazla araca atanmaz
+    const kullanilanSoforler = new Set();
+
+    const sonuclar = [];
+    for (const satir of kalanTurler) {
+        const kalan = satir.talepEdilen - satir.atanan;
+        const turAraclari = adayAraclar.filter((arac) => arac.aracTuru === satir.aracTuru);
+        const enYuksekKapasite = Math.max(0, ...turAraclari.map((arac) => arac.kapasite));
+
+        // Konumu bilinen araçlar için yapılandırılmış sağlayıcıdan tahmini varış süresi
+        const konumluAraclar = turAraclari.filter((arac) => arac.konum?.lat != null && arac.konum?.lng != null);
+        const rotalar = await rotaBilgileriHesapla(konumluAraclar.map((arac) => arac.konum), hedef, { aracTuru: satir.aracTuru });
+        const aracRotalari = new Map(konumluAraclar.map((arac, i) => [arac._id.toString(), rotalar[i]]));
+
+        const adaylar = turAraclari
+            .map((arac) => {
+                const sahipNesnesi = {
+                    kurumFirmaId: arac.kurumFirmaId?._id || null,
+                    kullaniciId: arac.kullaniciId?._id || null,
+                };
+                return {
+                    arac,
+                    uygunSoforler: soforler.filter((sofor) =>
+                        ayniSahibeAitMi(sofor, sahipNesnesi) &&
+                        !gorevdekiSoforler.has(sofor._id.toString()) &&
+                        !ehliyetKontrol(sofor, arac.aracTuru, simdi)
+                    ),
+                    ...skorHesapla({
+                        arac,
+                        rota: aracRotalari.get(arac._id.toString()),
+                        enYuksekKapasite,
+                        yuk: yukler.get(sahipAnahtari(arac)),
+                        simdi,
+                    }),
+                };
+            })
+            .sort((a, b) => b.skor - a.skor);
+
+        const onerilenSet = [];
+        const sonuc = adaylar.slice(0, MAKS_ADAY_SAYISI).map((aday) => {
+            const sofor = aday.uygunSoforler.find((s) => !kullanilanSoforler.has(s._id.toString())) || null;
+            const onerildi = Boolean(sofor) && onerilenSet.length < kalan;
+
+            if (onerildi) {
+                kullanilanSoforler.add(sofor._id.toString());
+                onerilenSet.push({ aracId: aday.arac._id, soforId: sofor._id });
+            }
+
+            return {
+                arac: aday.arac,
+                sofor: sofor && { _id: sofor._id, ad: sofor.ad, soyad: sofor.soyad, telefon: sofor.telefon },
+                skor: aday.skor,
+                mesafeKm: aday.mesafeKm,
+                sureSaniye: aday.sureSaniye,
+                rotaSaglayici: aday.rotaSaglayici,
+                bilesenler: aday.bilesenler,
+                onerildi,
+                uyari: sofor ? null : "Araç sahibine kayıtlı uygun şoför yok",
+            };
+        });
+
+        sonuclar.push({
+            aracTuru: satir.aracTuru,
+            talepEdilen: satir.talepEdilen,
+            atanan: satir.atanan,
+            kalan,
+            adaySayisi: adaylar.length,
+            onerilenSet,
+            adaylar: sonuc,
+        });
+    }
+
+    return sonuclar;
+};
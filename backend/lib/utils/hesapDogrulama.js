@@ -0,0 +1,199 @@
+import crypto from "crypto";
+import DogrulamaTokeni from "../../models/dogrulamaTokeni.model.js";
+import { mailGonder } from "./email.js";
+import { smsGonder } from "./sms.js";
+
+// Token türlerine göre geçerlilik süresi (dakika)
+export const DOGRULAMA_SURELERI_DK = {
+    email_dogrulama: 24 * 60,
+    telefon_dogrulama: 10,
+    sifre_sifirlama: 60,
+};
+
+// Aynı türde yeni token istemeden önce beklenecek süre; e-posta / SMS bombardımanını önler
+const TEKRAR_GONDERIM_SN = 60;
+
+// SMS kodunda izin verilen yanlış deneme sayısı; aşılınca yeni kod istenmelidir
+export const MAKS_KOD_DENEMESI = 5;
+
+const ozetle = (token) => crypto.createHash("sha256").update(String(token)).digest("hex");
+
+const siteUrl = () => process.env.CLIENT_URL || "";
+
+/**
+ * Kullanıcı için yeni doğrulama tokenı üretir; aynı türdeki önceki tokenlar geçersiz olur.
+ * Telefon doğrulamasında 6 haneli kod, diğerlerinde bağlantıya konacak rastgele token üretilir.
+ * @param {Object} kullanici
+ * @param {string} tur - email_dogrulama | telefon_dogrulama | sifre_sifirlama
+ * @param {string} hedef - Tokenın gönderileceği e-posta / telefon
+ * @returns {Promise<{token: string}|{hata: string, bekleme: number}>}
+ */
+export const dogrulamaTokeniOlustur = async(kullanici, tur, hedef) => {
+    const son = await DogrulamaTokeni.findOne({ kullaniciId: kullanici._id, tur }).sort({ createdAt: -1 }).lean();
+    const gecenSn = son ? (Date.now() - new Date(son.createdAt)) / 1000 : Infinity;
+    if (gecenSn < TEKRAR_GONDERIM_SN) {
+        const bekleme = Math.ceil(TEKRAR_GONDERIM_SN - gecenSn);
+        return { hata: `Yeniden göndermek için ${bekleme} saniye bekleyin`, bekleme };
+    }
+
+    await DogrulamaTokeni.deleteMany({ kullaniciId: kullanici._id, tur });
+
+    const token = tur === "telefon_dogrulama"
+        ? String(crypto.randomInt(0, 1000000)).padStart(6, "0")
+        : crypto.randomBytes(32).toString("base64url");
+
+    await DogrulamaTokeni.create({
+        kullaniciId: kullanici._id,
+        tur,
+        tokenHash: ozetle(token),
+        hedef,
+        bitisZamani: new Date(Date.now() + DOGRULAMA_SURELERI_DK[tur] * 60 * 1000),
+    });
+
+    return { token };
+};
+
+/**
+ * E-posta bağlantısıyla gelen tokenı tek kullanımlık olarak tüketir
+ * @param {string} token
+ * @param {string} tur - email_dogrulama | sifre_sifirlama
+ * @returns {Promise<Object|null>} Token kaydı (kullaniciId, hedef) ya da geçersizse null
+ */
+export const baglantiTokeniniKullan = async(token, tur) => {
+    if (!token || typeof token !== "string") return null;
+
+    return DogrulamaTokeni.findOneAndUpdate(
+        { tokenHash: ozetle(token), tur, kullanimZamani: null, bitisZamani: { $gt: new Date() } },
+        { $set: { kullanimZamani: new Date() } },
+        { new: true }
+    );
+};
+
+/**
+ * Kullanıcının girdiği SMS kodunu doğrular. Her deneme sayılır; MAKS_KOD_DENEMESI aşılınca kod geçersiz olur.
+ * @param {Object} kullanici
+ * @param {string} kod
+ * @returns {Promise<{kayit: Object}|{hata: string}>}
+ */
+export const telefonKodunuDogrula = async(kullanici, kod) => {
+    const kayit = await DogrulamaTokeni.findOneAndUpdate(
+        {
+            kullaniciId: kullanici._id,
+            tur: "telefon_dogrulama",
+            kullanimZamani: null,
+            bitisZamani: { $gt: new Date() },
+            denemeSayisi: { $lt: MAKS_KOD_DENEMESI },
+        },
+        { $inc: { denemeSayisi: 1 } },
+        { new: true, sort: { createdAt: -1 } }
+    ).select("+tokenHash");
+
+    if (!kayit || kayit.hedef !== kullanici.telefon) {
+        return { hata: "Doğrulama kodu geçersiz ya da süresi dolmuş. Lütfen yeni kod isteyin." };
+    }
+
+    const girilen = Buffer.from(ozetle(String(kod ?? "").trim()));
+    if (!crypto.timingSafeEqual(girilen, Buffer.from(kayit.tokenHash))) {
+        const kalan = MAKS_KOD_DENEMESI - kayit.denemeSayisi;
+        return {
+            hata: kalan > 0
+                ? `Doğrulama kodu hatalı. Kalan deneme hakkı: ${kalan}`
+                : "Doğrulama kodu hatalı. Deneme hakkınız bitti, lütfen yeni kod isteyin.",
+        };
+    }
+
+    await DogrulamaTokeni.updateOne({ _id: kayit._id }, { $set: { kullanimZamani: new Date() } });
+    return { kayit };
+};
+
+const epostaSablonu = ({ kullanici, baslik, metin, baglanti, dugme, sure }) => `
+<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+    <h2 style="color: #2c3e50;">${baslik}</h2>
+    <p>Sayın ${kullanici.ad} ${kullanici.soyad},</p>
+    <p>${metin}</p>
+    <p style="margin: 24px 0;">
+        <a href="${baglanti}" style="background-color: #2563eb; color: #ffffff; padding: 12px 20px; border-radius: 5px; text-decoration: none;">${dugme}</a>
+    </p>
+    <p style="color: #555;">Bağlantı ${sure} geçerlidir. Düğme çalışmazsa bu adresi tarayıcınıza yapıştırın:<br>${baglanti}</p>
+    <p style="color: #7f8c8d; font-size: 12px;">Bu işlemi siz başlatmadıysanız e-postayı dikkate almayın.</p>
+</div>`;
+
+// Token üretip gönderir; gönderim başarısız olursa token silinir ve kullanıcı beklemeden tekrar deneyebilir.
+// Doğrulama ve sıfırlama mesajları gönderim kuyruğuna yazılmaz: giden mesajlar koordinatörlerce görülebilir ve token içerir
+const tokenGonder = async(kullanici, tur, hedef, gonder) => {
+    const sonuc = await dogrulamaTokeniOlustur(kullanici, tur, hedef);
+    if (sonuc.hata) return sonuc;
+
+    const hata = await gonder(sonuc.token);
+    if (hata) {
+        await DogrulamaTokeni.deleteMany({ kullaniciId: kullanici._id, tur });
+        return { hata };
+    }
+    return {};
+};
+
+/**
+ * Kullanıcının e-posta adresine doğrulama bağlantısı gönderir
+ * @param {Object} kullanici
+ * @returns {Promise<{hata?: string, bekleme?: number}>}
+ */
+export const emailDogrulamaBaglantisiGonder = (kullanici) =>
+    tokenGonder(kullanici, "email_dogrulama", kullanici.email, async(token) => {
+        try {
+            await mailGonder({
+                to: kullanici.email,
+                subject: "E-posta adresinizi doğrulayın",
+                html: epostaSablonu({
+                    kullanici,
+                    baslik: "E-posta Doğrulama",
+                    metin: "Afet Nakliye Yönetim Sistemi hesabınızdaki e-posta adresini doğrulamak için aşağıdaki bağlantıya tıklayın.",
+                    baglanti: `${siteUrl()}/email-dogrula/${token}`,
+                    dugme: "E-postamı Doğrula",
+                    sure: "24 saat",
+                }),
+            });
+            return null;
+        } catch {
+            return "Doğrulama e-postası gönderilemedi. Lütfen daha sonra tekrar deneyin.";
+        }
+    });
+
+/**
+ * Kullanıcının telefonuna smsGonder ile 6 haneli doğrulama kodu gönderir
+ * @param {Object} kullanici
+ * @returns {Promise<{hata?: string, bekleme?: number}>}
+ */
+export const telefonDogrulamaKoduGonder = (kullanici) =>
+    tokenGonder(kullanici, "telefon_dogrulama", kullanici.telefon, async(kod) => {
+        const sonuc = await smsGonder({
+            to: kullanici.telefon,
+            message: `Afet Nakliye doğrulama kodunuz: ${kod}. Kod ${DOGRULAMA_SURELERI_DK.telefon_dogrulama} dakika geçerlidir, kimseyle paylaşmayın.`,
+        });
+        return sonuc.success ? null : sonuc.error;
+    });
+
+/**
+ * Şifre sıfırlama bağlantısını kullanıcının e-posta adresine gönderir
+ * @param {Object} kullanici
+ * @returns {Promise<{hata?: string, bekleme?: number}>}
+ */
+export const sifreSifirlamaBaglantisiGonder = (kullanici) =>
+    tokenGonder(kullanici, "sifre_sifirlama", kullanici.email, async(token) => {
+        try {
+            await mailGonder({
+                to: kullanici.email,
+                subject: "Şifre sıfırlama",
+                html: epostaSablonu({
+                    kullanici,
+                    baslik: "Şifre Sıfırlama",
+                    metin: "Hesabınız için şifre sıfırlama isteği aldık. Yeni şifre belirlemek için aşağıdaki bağlantıya tıklayın.",
+                    baglanti: `${siteUrl()}/sifre-sifirla/${token}`,
+                    dugme: "Yeni Şifre Belirle",
+                    sure: `${DOGRULAMA_SURELERI_DK.sifre_sifirlama} dakika`,
+                }),
+            });
+            return null;
+        } catch {
+            return "Şifre sıfırlama e-postası gönderilemedi. Lütfen daha sonra tekrar deneyin.";
+        }
+    });
@@ -0,0 +1,262 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import QRCode from "qrcode";
+import Kullanici from "../../models/kullanici.model.js";
+import { koordinatorMu } from "./koordinatorKapsami.js";
+
+// RFC 6238 TOTP: 30 saniyelik adım, 6 hane, HMAC-SHA1 (Google Authenticator, Microsoft Authenticator vb. ile uyumlu)
+const ADIM_SN = 30;
+const HANE = 6;
+// Saat kaymasına karşı bir önceki ve bir sonraki adımın kodu da kabul edilir
+const PENCERE = 1;
+
+const UYGULAMA_ADI = "Afet Nakliye";
+const KURTARMA_KODU_SAYISI = 10;
+
+// Giriş sırasında şifre ile ikinci adım arasında kullanılan tokenın ömrü
+const ADIM_TOKENI_SURESI = "5m";
+
+const BASE32_ALFABESI = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+const base32Kodla = (tampon) => {
+    let bitler = "";
+    for (const bayt of tampon) bitler += bayt.toString(2).padStart(8, "0");
+    let sonuc = "";
+    for (let i = 0; i < bitler.length; i += 5) {
+        sonuc += BASE32_ALFABESI[parseInt(bitler.slice(i, i + 5).padEnd(5, "0"), 2)];
+    }
+    return sonuc;
+};
+
+const base32Coz = (metin) => {
+    let bitler = "";
+    for (const karakter of metin.replace(/=+$/, "").toUpperCase()) {
+        const deger = BASE32_ALFABESI.indexOf(karakter);
+        if (deger === -1) throw new Error("Geçersiz base32 karakteri");
+        bitler += deger.toString(2).padStart(5, "0");
+    }
+    const baytlar = [];
+    for (let i = 0; i + 8 <= bitler.length; i += 8) baytlar.push(parseInt(bitler.slice(i, i + 8), 2));
+    return Buffer.from(baytlar);
+};
+
+const hotp = (anahtar, sayac) => {
+    const sayacTamponu = Buffer.alloc(8);
+    sayacTamponu.writeBigUInt64BE(BigInt(sayac));
+    const ozet = crypto.createHmac("sha1", anahtar).update(sayacTamponu).digest();
+    const kaydirma = ozet[ozet.length - 1] & 0x0f;
+    const ikili = ozet.readUInt32BE(kaydirma) & 0x7fffffff;
+    return String(ikili % 10 ** HANE).padStart(HANE, "0");
+};
+
+// Gizli anahtar veritabanında JWT_SECRET'ten türetilen anahtarla AES-256-GCM ile şifreli saklanır
+const sifrelemeAnahtari = () => crypto.createHash("sha256").update(`${process.env.JWT_SECRET}:iki-adimli`).digest();
+
+const sifrele = (metin) => {
+    const iv = crypto.randomBytes(12);
+    const sifreleyici = crypto.createCipheriv("aes-256-gcm", sifrelemeAnahtari(), iv);
+    const veri = Buffer.concat([sifreleyici.update(metin, "utf8"), sifreleyici.final()]);
+    return [iv, sifreleyici.getAuthTag(), veri].map((parca) => parca.toString("base64url")).join(".");
+};
+
+const sifreyiCoz = (sifreli) => {
+    const [iv, etiket, veri] = sifreli.split(".").map((parca) => Buffer.from(parca, "base64url"));
+    const cozucu = crypto.createDecipheriv("aes-256-gcm", sifrelemeAnahtari(), iv);
+    cozucu.setAuthTag(etiket);
+    return Buffer.concat([cozucu.update(veri), cozucu.final()]).toString("utf8");
+};
+
+const ozetle = (metin) => crypto.createHash("sha256").update(metin).digest("hex");
+
+// Kurtarma kodları büyük/küçük harf ve tire farkı gözetmeden karşılaştırılır
+const kurtarmaKodunuNormallestir = (kod) => String(kod).replace(/[^0-9a-z]/gi, "").toUpperCase();
+
+/**
+ * Koordinatör rolleri için iki adımlı doğrulama KOORDINATOR_IKI_ADIMLI_ZORUNLU=true ile zorunlu tutulur
+ * @param {Object} kullanici
+ * @returns {boolean}
+ */
+export const ikiAdimliZorunluMu = (kullanici) =>
+    process.env.KOORDINATOR_IKI_ADIMLI_ZORUNLU === "true" &&
+    koordinatorMu(kullanici);
+
+/**
+ * Şifre doğrulandıktan sonra ikinci adım (kod girişi ya da zorunlu kurulum) için kısa ömürlü token üretir.
+ * Token oturum içermediğinden JWTKontrol tarafından erişim tokenı olarak kabul edilmez.
+ * @param {string|ObjectId} kullaniciId
+ * @param {string} amac - dogrulama | kurulum
+ * @param {boolean} [isMobile]
+ * @returns {string}
+ */
+export const adimTokeniOlustur = (kullaniciId, amac, isMobile = false) =>
+    jwt.sign(
+        { userId: String(kullaniciId), amac: `iki_adimli_${amac}`, isMobile: Boolean(isMobile) },
+        process.env.JWT_SECRET,
+        { expiresIn: ADIM_TOKENI_SURESI }
+    );
+
+/**
+ * @param {string} token
+ * @param {string} amac - dogrulama | kurulum
+ * @returns {{userId: string, isMobile: boolean}|null} Geçersiz, süresi dolmuş ya da başka amaçlı tokenda null
+ */
+export const adimTokeniniCoz = (token, amac) => {
+    if (!token || typeof token !== "string") return null;
+    try {
+        const yuk = jwt.verify(token, process.env.JWT_SECRET);
+        return yuk.amac === `iki_adimli_${amac}` ? yuk : null;
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * Kurulum için yeni gizli anahtar üretip onay bekleyen anahtar olarak kaydeder.
+ * Anahtar, kullanıcı uygulamadaki ilk kodu doğrulayana kadar etkin olmaz.
+ * @param {Object} kullanici
+ * @returns {Promise<{gizliAnahtar: string, otpauthUrl: string, qrKod: string}>}
+ */
+export const kurulumBaslat = async(kullanici) => {
+    const gizliAnahtar = base32Kodla(crypto.randomBytes(20));
+    await Kullanici.updateOne({ _id: kullanici._id }, { $set: { "ikiAdimli.bekleyenAnahtar": sifrele(gizliAnahtar) } });
+
+    const etiket = encodeURIComponent(`${UYGULAMA_ADI}:${kullanici.email}`);
+    const otpauthUrl = `otpauth://totp/${etiket}?secret=${gizliAnahtar}&issuer=${encodeURIComponent(UYGULAMA_ADI)}&algorithm=SHA1&digits=${HANE}&period=${ADIM_SN}`;
+
+    return { gizliAnahtar, otpauthUrl, qrKod: await QRCode.toDataURL(otpauthUrl) };
+};
+
+/**
+ * Yeni kurtarma kodları üretir; kodlar yalnızca bir kez gösterilir, veritabanında özetleri tutulur
+ * @returns {{kodlar: string[], kayitlar: Array<{ozet: string, kullanimZamani: null}>}}
+ */
+export const kurtarmaKodlariUret = () => {
+    const kodlar = Array.from({ length: KURTARMA_KODU_SAYISI }, () => {
+        const kod = base32Kodla(crypto.randomBytes(7)).slice(0, 10);
+        return `${kod.slice(0, 5)}-${kod.slice(5)}`;
+    });
+    return {
+        kodlar,
+        kayitlar: kodlar.map((kod) => ({ ozet: ozetle(kurtarmaKodunuNormallestir(kod)), kullanimZamani: null })),
+    };
+};
+
+const totpAdiminiBul = (gizliAnahtar, kod) => {
+    const anahtar = base32Coz(gizliAnahtar);
+    const simdikiAdim = Math.floor(Date.now() / 1000 / ADIM_SN);
+    for (let fark = -PENCERE; fark <= PENCERE; fark++) {
+        const beklenen = Buffer.from(hotp(anahtar, simdikiAdim + fark));
+        if (crypto.timingSafeEqual(beklenen, Buffer.from(kod))) return simdikiAdim + fark;
+    }
+    return null;
+};
+
+/**
+ * Kurulumu, onay bekleyen anahtarla üretilen kod doğrulanırsa tamamlar ve kurtarma kodlarını döner
+ * @param {string|ObjectId} kullaniciId
+ * @param {string} kod
+ * @returns {Promise<string[]|null>} Kurtarma kodları, kod hatalıysa ya da kurulum başlatılmamışsa null
+ */
+export const kurulumuTamamla = async(kullaniciId, kod) => {
+    const kullanici = await Kullanici.findById(kullaniciId).select("+ikiAdimli.bekleyenAnahtar");
+    const bekleyen = kullanici?.ikiAdimli?.bekleyenAnahtar;
+    if (!bekleyen || !/^\d{6}$/.test(String(kod ?? "").trim())) return null;
+
+    const adim = totpAdiminiBul(sifreyiCoz(bekleyen), String(kod).trim());
+    if (adim === null) return null;
+
+    const { kodlar, kayitlar } = kurtarmaKodlariUret();
+    await Kullanici.updateOne({ _id: kullaniciId }, {
+        $set: {
+            "ikiAdimli.aktif": true,
+            "ikiAdimli.gizliAnahtar": bekleyen,
+            "ikiAdimli.sonKullanilanAdim": adim,
+            "ikiAdimli.kurtarmaKodlari": kayitlar,
+            "ikiAdimli.etkinlestirmeTarihi": new Date(),
+        },
+        $unset: { "ikiAdimli.bekleyenAnahtar": "" },
+    });
+    return kodlar;
+};
+
+/**
+ * Doğrulama uygulamasındaki 6 haneli kodu ya da kullanılmamış bir kurtarma kodunu doğrular.
+ * Aynı TOTP kodu ikinci kez kabul edilmez; kurtarma kodu kullanıldığında harcanır.
+ * @param {string|ObjectId} kullaniciId
+ * @param {string} kod
+ * @returns {Promise<{yontem: "uygulama"|"kurtarma_kodu", kalanKurtarmaKodu?: number}|null>}
+ */
+export const ikiAdimliKoduDogrula = async(kullaniciId, kod) => {
+    const girilen = String(kod ?? "").trim();
+    if (!girilen) return null;
+
+    if (/^\d{6}$/.test(girilen)) {
+        const kullanici = await Kullanici.findById(kullaniciId).select("+ikiAdimli.gizliAnahtar");
+        if (!kullanici?.ikiAdimli?.aktif || !kullanici.ikiAdimli.gizliAnahtar) return null;
+
+        const adim = totpAdiminiBul(sifreyiCoz(kullanici.ikiAdimli.gizliAnahtar), girilen);
+        if (adim === null) return null;
+
+        // Kod yalnızca daha önce kullanılmış adımdan sonraysa kabul edilir (eşzamanlı tekrar kullanıma karşı atomik)
+        const sonuc = await Kullanici.updateOne(
+            { _id: kullaniciId, "ikiAdimli.sonKullanilanAdim": { $not: { $gte: adim } } },
+            { $set: { "ikiAdimli.sonKullanilanAdim": adim } }
+        );
+        return sonuc.modifiedCount === 1 ? { yontem: "uygulama" } : null;
+    }
+
+    const ozet = ozetle(kurtarmaKodunuNormallestir(girilen));
+    const kullanici = await Kullanici.findOneAndUpdate(
+        {
+            _id: kullaniciId,
+            "ikiAdimli.aktif": true,
+            "ikiAdimli.kurtarmaKodlari": { $elemMatch: { ozet, kullanimZamani: null } },
+        },
+        { $set: { "ikiAdimli.kurtarmaKodlari.$.kullanimZamani": new Date() } },
+        { new: true }
+    ).select("+ikiAdimli.kurtarmaKodlari");
+    if (!kullanici) return null;
+
+    return {
+        yontem: "kurtarma_kodu",
+        kalanKurtarmaKodu: kullanici.ikiAdimli.kurtarmaKodlari.filter((k) => !k.kullanimZamani).length,
+    };
+};
+
+/**
+ * Kullanılmamış kurtarma kodu sayısı
+ * @param {string|ObjectId} kullaniciId
+ * @returns {Promise<number>}
+ */
+export const kalanKurtarmaKoduSayisi = async(kullaniciId) => {
+    const kullanici = await Kullanici.findById(kullaniciId).select("+ikiAdimli.kurtarmaKodlari");
+    return (kullanici?.ikiAdimli?.kurtarmaKodlari || []).filter((k) => !k.kullanimZamani).length;
+};
+
+/**
+ * Eski kurtarma kodlarını geçersiz kılıp yenilerini üretir
+ * @param {string|ObjectId} kullaniciId
+ * @returns {Promise<string[]>}
+ */
+export const kurtarmaKodlariniYenile = async(kullaniciId) => {
+    const { kodlar, kayitlar } = kurtarmaKodlariUret();
+    await Kullanici.updateOne({ _id: kullaniciId }, { $set: { "ikiAdimli.kurtarmaKodlari": kayitlar } });
+    return kodlar;
+};
+
+/**
+ * İki adımlı doğrulamayı kapatır ve anahtarı, kurtarma kodlarını siler
+ * @param {string|ObjectId} kullaniciId
+ * @returns {Promise<void>}
+ */
+export const ikiAdimliKaldir = async(kullaniciId) => {
+    await Kullanici.updateOne({ _id: kullaniciId }, {
+        $set: { "ikiAdimli.aktif": false, "ikiAdimli.etkinlestirmeTarihi": null },
+        $unset: {
+            "ikiAdimli.gizliAnahtar": "",
+            "ikiAdimli.bekleyenAnahtar": "",
+            "ikiAdimli.kurtarmaKodlari": "",
+            "ikiAdimli.sonKullanilanAdim": "",
+        },
+    });
+};
@@ -0,0 +1,217 @@
+import Talep from "../../models/talep.model.js";
+import Kullanici from "../../models/kullanici.model.js";
+import OperasyonBolgesi from "../../models/operasyonBolgesi.model.js";
+import { bolgeDogrula } from "./afetOlayiKapsami.js";
+
+// Koordinatör yetkilerine sahip roller; süper koordinatör bölge kısıtı olmadan tüm ülkeyi görür
+export const KOORDINATOR_ROLLERI = ["koordinator", "super_koordinator"];
+
+/**
+ * Kullanıcı koordinatör ya da süper koordinatör mü
+ * @param {Object} kullanici
+ * @returns {boolean}
+ */
+export const koordinatorMu = (kullanici) => KOORDINATOR_ROLLERI.includes(kullanici?.rol);
+
+/**
+ * Kullanıcının görebileceği operasyon bölgeleri
+ * Süper koordinatör ve henüz bölge atanmamış koordinatör için kısıt yoktur (null)
+ * @param {Object} kullanici
+ * @returns {Array|null} Bölge ID'leri, kısıt yoksa null
+ */
+export const koordinatorBolgeleri = (kullanici) => {
+    if (kullanici?.rol === "super_koordinator" || !kullanici?.operasyonBolgeleri?.length) {
+        return null;
+    }
+    return kullanici.operasyonBolgeleri.map((bolge) => bolge._id || bolge);
+};
+
+/**
+ * Koordinatörün talep listelerine eklenecek bölge filtresi
+ * @param {Object} kullanici
+ * @returns {Object}
+ */
+export const talepKapsamFiltresi = (kullanici) => {
+    const bolgeler = koordinatorBolgeleri(kullanici);
+    return bolgeler ? { operasyonBolgeleri: { $in: bolgeler } } : {};
+};
+
+/**
+ * Koordinatörün görev listelerine eklenecek filtre (görevler taleplerinin bölgesine göre kapsanır)
+ * @param {Object} kullanici
+ * @returns {Promise<Object>}
+ */
+export const gorevKapsamFiltresi = async(kullanici) => {
+    const filtre = talepKapsamFiltresi(kullanici);
+    if (!filtre.operasyonBolgeleri) {
+        return {};
+    }
+
+    const talepler = await Talep.find(filtre).select("_id");
+    return { talepId: { $in: talepler.map((t) => t._id) } };
+};
+
+/**
+ * İl / ilçe sınır dosyalarından gelen GeoJSON'u (Feature, FeatureCollection, Polygon, MultiPolygon) doğrular
+ * ve tek bir Polygon ya da MultiPolygon geometrisine dönüştürür
+ * @param {Object} geojson
+ * @returns {{sinir?: Object, hata?: string}}
+ */
+export const sinirDogrula = (geojson) => {
+    let geometriler;
+    if (geojson?.type === "FeatureCollection") {
+        geometriler = (geojson.features || []).map((f) => f?.geometry);
+    } else if (geojson?.type === "Feature") {
+        geometriler = [geojson.geometry];
+    } else {
+        geometriler = [geojson];
+    }
+
+    const poligonlar = [];
+    for (const geometri of geometriler) {
+        const parcalar = geometri?.type === "MultiPolygon"
+            ? (geometri.coordinates || []).map((coordinates) => ({ type: "Polygon", coordinates }))
+            : [geometri];
+
+        for (const parca of parcalar) {
+            const sonuc = bolgeDogrula(parca);
+            if (sonuc.hata) {
+                return { hata: sonuc.hata.replace("Etkilenen bölge", "Bölge sınırı") };
+            }
+            poligonlar.push(sonuc.bolge.coordinates);
+        }
+    }
+
+    if (poligonlar.length === 0) {
+        return { hata: "Bölge sınırı boş olamaz" };
+    }
+
+    return {
+        sinir: poligonlar.length === 1
+            ? { type: "Polygon", coordinates: poligonlar[0] }
+            : { type: "MultiPolygon", coordinates: poligonlar },
+    };
+};
+
+// Işın atma (ray casting) yöntemiyle noktanın halka içinde olup olmadığını bulur
+const halkaIcindeMi = ([x, y], halka) => {
+    let icinde = false;
+    for (let i = 0, j = halka.length - 1; i < halka.length; j = i++) {
+        const [xi, yi] = halka[i];
+        const [xj, yj] = halka[j];
+        if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+            icinde = !icinde;
+        }
+    }
+    return icinde;
+};
+
+/**
+ * Konumun Polygon / MultiPolygon sınır içinde olup olmadığını hesaplar (delikler hariç tutulur)
+ * Veritabanı sorgusu yapılamayan toplu kontrollerde kullanılır
+ * @param {{lat: number, lng: number}} konum
+ * @param {Object} sinir - GeoJSON Polygon ya da MultiPolygon
+ * @returns {boolean}
+ */
+export const konumSinirIcindeMi = (konum, sinir) => {
+    if (!Number.isFinite(Number(konum?.lat)) || !Number.isFinite(Number(konum?.lng)) || !sinir) {
+        return false;
+    }
+
+    const nokta = [Number(konum.lng), Number(konum.lat)];
+    const poligonlar = sinir.type === "MultiPolygon" ? sinir.coordinates : [sinir.coordinates];
+
+    return poligonlar.some(([dis, ...delikler]) =>
+        halkaIcindeMi(nokta, dis) && !delikler.some((delik) => halkaIcindeMi(nokta, delik)));
+};
+
+/**
+ * Konumu kapsayan operasyon bölgelerini bulur
+ * @param {{lat: number, lng: number}} konum
+ * @returns {Promise<Array>} Bölge ID'leri
+ */
+export const konumaGoreOperasyonBolgeleriBul = async(konum) => {
+    if (!Number.isFinite(Number(konum?.lat)) || !Number.isFinite(Number(konum?.lng))) {
+        return [];
+    }
+
+    const bolgeler = await OperasyonBolgesi.find({
+        isDeleted: false,
+        sinir: {
+            $geoIntersects: {
+                $geometry: { type: "Point", coordinates: [Number(konum.lng), Number(konum.lat)] },
+            },
+        },
+    }).select("_id");
+
+    return bolgeler.map((b) => b._id);
+};
+
+/**
+ * Bölgesi oluşturulan / değiştirilen / silinen operasyon bölgesinin talep eşleşmelerini yeniden hesaplar
+ * @param {Object} bolge - Operasyon bölgesi dokümanı
+ * @returns {Promise<number>} Bölgeye düşen talep sayısı
+ */
+export const bolgeTalepleriniGuncelle = async(bolge) => {
+    await Talep.updateMany({ operasyonBolgeleri: bolge._id }, { $pull: { operasyonBolgeleri: bolge._id } });
+
+    if (bolge.isDeleted) {
+        return 0;
+    }
+
+    const sonuc = await Talep.updateMany(
+        { isDeleted: false, "lokasyon.nokta": { $geoWithin: { $geometry: bolge.sinir } } },
+        { $addToSet: { operasyonBolgeleri: bolge._id } }
+    );
+    return sonuc.matchedCount;
+};
+
+/**
+ * Araç listesini koordinatörün bölgelerine göre süzer
+ * Konumu bilinmeyen araçlar bölgesi belirlenemediği için listede bırakılır
+ * @param {Object} kullanici
+ * @param {Array} araclar
+ * @returns {Promise<Array>}
+ */
+export const araclariKapsamaGoreSuz = async(kullanici, araclar) => {
+    const bolgeIdler = koordinatorBolgeleri(kullanici);
+    if (!bolgeIdler) {
+        return araclar;
+    }
+
+    const bolgeler = await OperasyonBolgesi.find({ _id: { $in: bolgeIdler }, isDeleted: false }).select("sinir").lean();
+
+    return araclar.filter((arac) => {
+        if (!Number.isFinite(arac.konum?.lat) || !Number.isFinite(arac.konum?.lng)) {
+            return true;
+        }
+        return bolgeler.some((bolge) => konumSinirIcindeMi(arac.konum, bolge.sinir));
+    });
+};
+
+/**
+ * Talepten sorumlu koordinatörleri bulur: talebin bölgelerine atanmış koordinatörler ve bölge atanmamış koordinatörler.
+ * Talep hiçbir koordinatörün bölgesine düşmüyorsa süper koordinatörler de bilgilendirilir.
+ * @param {Object} talep - operasyonBolgeleri hesaplanmış talep
+ * @param {string} [alanlar] - Kullanıcıdan seçilecek alanlar
+ * @returns {Promise<Array>}
+ */
+export const talepKoordinatorleriniBul = async(talep, alanlar = "ad soyad email telefon") => {
+    const koordinatorler = await Kullanici.find({
+        rol: "koordinator",
+        isDeleted: false,
+        $or: [
+            { operasyonBolgeleri: { $in: talep.operasyonBolgeleri || [] } },
+            { operasyonBolgeleri: { $size: 0 } },
+            { operasyonBolgeleri: { $exists: false } },
+        ],
+    }).select(`${alanlar} operasyonBolgeleri`);
+
+    const bolgeSorumlusuVar = koordinatorler.some((k) => k.operasyonBolgeleri?.length > 0);
+    if (bolgeSorumlusuVar) {
+        return koordinatorler;
+    }
+
+    const superKoordinatorler = await Kullanici.find({ rol: "super_koordinator", isDeleted: false }).select(alanlar);
+    return [...koordinatorler, ...superKoordinatorler];
+};
@@ -0,0 +1,188 @@
+import mongoose from "mongoose";
+
+// Sayfa başına varsayılan ve en fazla kayıt sayısı
+export const VARSAYILAN_LIMIT = 25;
+export const MAKS_LIMIT = 100;
+
+export class ListeSorgusuHatasi extends Error {}
+
+const regexKacis = (metin) => metin.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Virgülle ayrılmış ya da tekrarlanan sorgu parametresini (?a=x,y veya ?a=x&a=y) listeye çevirir
+ * @param {string|string[]} deger
+ * @param {string[]} [izinliDegerler] - Verilirse listede yalnızca bu değerler bulunabilir
+ * @returns {string[]}
+ * @throws {ListeSorgusuHatasi} İzinli olmayan değer varsa
+ */
+export const virgulluListe = (deger, izinliDegerler) => {
+    const liste = [].concat(deger).flatMap((d) => String(d).split(",")).map((d) => d.trim()).filter(Boolean);
+    const gecersiz = izinliDegerler && liste.find((d) => !izinliDegerler.includes(d));
+    if (gecersiz) {
+        throw new ListeSorgusuHatasi(`Geçersiz değer: "${gecersiz}"`);
+    }
+    return liste;
+};
+
+// "YYYY-MM-DD" biçimindeki bitiş tarihi o günün sonuna kadar kabul edilir
+export const tarihAyristir = (deger, gunSonu = false) => {
+    const tarih = new Date(deger);
+    if (Number.isNaN(tarih.getTime())) {
+        throw new ListeSorgusuHatasi(`Geçersiz tarih: "${deger}"`);
+    }
+    if (gunSonu && /^\d{4}-\d{2}-\d{2}$/.test(String(deger))) {
+        tarih.setUTCHours(23, 59, 59, 999);
+    }
+    return tarih;
+};
+
+const imlecOlustur = (kayit, alan) => {
+    const deger = alan === "_id" ? null : kayit.get ? kayit.get(alan) : kayit[alan];
+    return Buffer.from(JSON.stringify({ d: deger ?? null, id: kayit._id })).toString("base64url");
+};
+
+const imlecCoz = (imlec) => {
+    try {
+        const { d, id } = JSON.parse(Buffer.from(String(imlec), "base64url").toString());
+        if (!mongoose.isValidObjectId(id)) throw new Error();
+        return { d, id };
+    } catch {
+        throw new ListeSorgusuHatasi("Geçersiz imleç");
+    }
+};
+
+// İmleçteki kaydın sıralamada sonrasında kalan kayıtlar (eşit değerlerde _id ile ayrılır; null değerler artan sıralamada başta, azalanda sonda yer alır)
+const imlecFiltresi = ({ d, id }, alan, siralama) => {
+    const idOp = siralama._id === -1 ? "$lt" : "$gt";
+    if (alan === "_id") {
+        return { _id: { [idOp]: id } };
+    }
+
+    const azalan = siralama[alan] === -1;
+    if (d === null) {
+        return azalan ?
+            { [alan]: null, _id: { [idOp]: id } } :
+            { $or: [{ [alan]: null, _id: { [idOp]: id } }, { [alan]: { $ne: null } }] };
+    }
+
+    const kosullar = [
+        { [alan]: { [azalan ? "$lt" : "$gt"]: d } },
+        { [alan]: d, _id: { [idOp]: id } },
+    ];
+    if (azalan) {
+        kosullar.push({ [alan]: null });
+    }
+    return { $or: kosullar };
+};
+
+/**
+ * Liste endpointlerinin ortak sorgu sözleşmesini ayrıştırır:
+ * ?sayfa=&limit= ya da ?imlec=&limit= (sayfalama; hiçbiri verilmezse tüm liste döner),
+ * ?sirala=alan | -alan, ?durum=a,b, ?baslangic=&bitis=&tarihAlani=, ?kurumFirmaId=, ?arama=
+ * @param {Object} sorgu - req.query
+ * @param {Object} tanim - Endpoint'e özgü izinli alanlar
+ * @param {string[]} tanim.siralamaAlanlari - İzinli sıralama alanları
+ * @param {string} tanim.varsayilanSiralama - ör. "-createdAt"
+ * @param {Object<string, Object>} [tanim.hazirSiralamalar] - Alan adı yerine kullanılabilecek adlandırılmış sıralamalar
+ * @param {string} [tanim.durumAlani] - ?durum= filtresinin uygulanacağı alan
+ * @param {string[]} [tanim.tarihAlanlari] - ?tarihAlani= ile seçilebilecek tarih alanları (ilki varsayılan)
+ * @param {string} [tanim.kurumAlani] - ?kurumFirmaId= filtresinin uygulanacağı alan
+ * @param {string[]} [tanim.aramaAlanlari] - ?arama= metninin aranacağı alanlar
+ * @param {Function} [tanim.iliskiliArama] - async (regex) => ek $or koşulları (populate edilen kayıtlarda arama için)
+ * @returns {Promise<{filtre: Object, siralama: Object, sayfalama: Object|null}>}
+ * @throws {ListeSorgusuHatasi} Parametreler geçersizse
+ */
+export const listeSorgusuOlustur = async(sorgu, tanim) => {
+    const filtre = {};
+
+    const siralamaDegeri = sorgu.sirala || tanim.varsayilanSiralama;
+    let siralama = tanim.hazirSiralamalar?.[siralamaDegeri];
+    if (!siralama) {
+        const alan = siralamaDegeri.replace(/^-/, "");
+        if (!tanim.siralamaAlanlari.includes(alan)) {
+            throw new ListeSorgusuHatasi(`Geçersiz sıralama alanı: "${alan}"`);
+        }
+        const yon = siralamaDegeri.startsWith("-") ? -1 : 1;
+        siralama = alan === "_id" ? { _id: yon } : { [alan]: yon, _id: yon };
+    }
+
+    if (sorgu.durum && tanim.durumAlani) {
+        filtre[tanim.durumAlani] = { $in: virgulluListe(sorgu.durum) };
+    }
+
+    if ((sorgu.baslangic || sorgu.bitis) && tanim.tarihAlanlari?.length) {
+        const tarihAlani = sorgu.tarihAlani || tanim.tarihAlanlari[0];
+        if (!tanim.tarihAlanlari.includes(tarihAlani)) {
+            throw new ListeSorgusuHatasi(`Geçersiz tarih alanı: "${tarihAlani}"`);
+        }
+        filtre[tarihAlani] = {
+            ...(sorgu.baslangic && { $gte: tarihAyristir(sorgu.baslangic) }),
+            ...(sorgu.bitis && { $lte: tarihAyristir(sorgu.bitis, true) }),
+        };
+    }
+
+    if (sorgu.kurumFirmaId && tanim.kurumAlani) {
+        if (!mongoose.isValidObjectId(sorgu.kurumFirmaId)) {
+            throw new ListeSorgusuHatasi("Geçersiz kurum");
+        }
+        filtre[tanim.kurumAlani] = sorgu.kurumFirmaId;
+    }
+
+    const arama = String(sorgu.arama || "").trim();
+    if (arama && (tanim.aramaAlanlari?.length || tanim.iliskiliArama)) {
+        const regex = new RegExp(regexKacis(arama), "i");
+        const kosullar = (tanim.aramaAlanlari || []).map((alan) => ({ [alan]: regex }));
+        if (tanim.iliskiliArama) {
+            kosullar.push(...(await tanim.iliskiliArama(regex)));
+        }
+        filtre.$or = kosullar;
+    }
+
+    let sayfalama = null;
+    if (sorgu.sayfa !== undefined || sorgu.limit !== undefined || sorgu.imlec !== undefined) {
+        const limit = Math.min(Math.max(parseInt(sorgu.limit, 10) || VARSAYILAN_LIMIT, 1), MAKS_LIMIT);
+        const sayfa = Math.max(parseInt(sorgu.sayfa, 10) || 1, 1);
+        sayfalama = { limit, sayfa, imlec: sorgu.imlec ? imlecCoz(sorgu.imlec) : null };
+    }
+
+    return { filtre, siralama, sayfalama };
+};
+
+/**
+ * Sorguyu ortak sözleşmeye göre çalıştırır
+ * Sayfalama istenmemişse tüm kayıtlar, istenmişse { veriler, sayfalama } zarfı döner
+ * @param {mongoose.Model} Model
+ * @param {{filtre: Object, siralama: Object, sayfalama: Object|null}} liste - listeSorgusuOlustur çıktısı (filtre, endpoint'in kapsam filtreleriyle birleştirilmiş olmalı)
+ * @param {Function} [hazirla] - Sorguya populate / select ekler
+ * @returns {Promise<Array|{veriler: Array, sayfalama: Object}>}
+ */
+export const listeGetir = async(Model, { filtre, siralama, sayfalama }, hazirla = (sorgu) => sorgu) => {
+    if (!sayfalama) {
+        return hazirla(Model.find(filtre).sort(siralama));
+    }
+
+    const { limit, sayfa, imlec } = sayfalama;
+    const alan = Object.keys(siralama)[0];
+
+    let sorgu = Model.find(imlec ? { $and: [filtre, imlecFiltresi(imlec, alan, siralama)] } : filtre)
+        .sort(siralama)
+        .limit(limit + 1);
+    if (!imlec) {
+        sorgu = sorgu.skip((sayfa - 1) * limit);
+    }
+
+    const [kayitlar, toplam] = await Promise.all([hazirla(sorgu), Model.countDocuments(filtre)]);
+    const devamiVar = kayitlar.length > limit;
+    const veriler = devamiVar ? kayitlar.slice(0, limit) : kayitlar;
+
+    return {
+        veriler,
+        sayfalama: {
+            toplam,
+            limit,
+            sayfa: imlec ? null : sayfa,
+            sayfaSayisi: Math.ceil(toplam / limit),
+            sonrakiImlec: devamiVar ? imlecOlustur(veriler[veriler.length - 1], alan) : null,
+        },
+    };
+};
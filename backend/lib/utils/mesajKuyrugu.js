@@ -0,0 +1,134 @@
+import GidenMesaj from "../../models/gidenMesaj.model.js";
+import { mailGonder } from "./email.js";
+import { smsGonder } from "./sms.js";
+
+// Kuyruğun kaç saniyede bir taranacağı
+const TARAMA_ARALIGI_SN = Number(process.env.MESAJ_KUYRUGU_ARALIGI_SN) || 15;
+// Bir taramada en fazla kaç mesajın işleneceği
+const TARAMA_BASINA_MESAJ = 20;
+// "gonderiliyor" durumunda bu süreden uzun kalan mesajlar (ör. süreç çöktüyse) tekrar kuyruğa alınır
+const KILIT_ZAMAN_ASIMI_MS = 5 * 60 * 1000;
+// Üstel geri çekilme: 30 sn, 1 dk, 2 dk, 4 dk ... en fazla 1 saat
+const ILK_BEKLEME_MS = 30 * 1000;
+const MAKS_BEKLEME_MS = 60 * 60 * 1000;
+
+let zamanlayici = null;
+let taraniyor = false;
+
+/**
+ * Başarısız denemeden sonra bir sonraki denemeye kadar beklenecek süreyi döner
+ * @param {number} denemeSayisi - Şimdiye kadar yapılan deneme sayısı (en az 1)
+ * @returns {number} Milisaniye
+ */
+export const beklemeSuresiHesapla = (denemeSayisi) => {
+    return Math.min(ILK_BEKLEME_MS * 2 ** (denemeSayisi - 1), MAKS_BEKLEME_MS);
+};
+
+/**
+ * Mesajı kanalına göre gönderir
+ * @param {Object} mesaj - GidenMesaj dokümanı
+ * @returns {Promise<{basarili: boolean, hata?: string, kalici?: boolean}>}
+ */
+const kanalaGonder = async(mesaj) => {
+    if (mesaj.kanal === "email") {
+        try {
+            await mailGonder({
+                to: mesaj.alici,
+                subject: mesaj.konu,
+                html: mesaj.icerik,
+                attachments: mesaj.ekler?.map((ek) => ({ filename: ek.dosyaAdi, content: ek.icerik, contentType: ek.icerikTuru })),
+            });
+            return { basarili: true };
+        } catch (error) {
+            return { basarili: false, hata: error.message, kalici: error.kalici };
+        }
+    }
+
+    const sonuc = await smsGonder({ to: mesaj.alici, message: mesaj.icerik });
+    return { basarili: sonuc.success, hata: sonuc.error, kalici: sonuc.kalici };
+};
+
+/**
+ * Tek bir mesajı gönderir ve sonucu kaydeder
+ * @param {Object} mesaj - "gonderiliyor" olarak kilitlenmiş GidenMesaj dokümanı
+ */
+const mesajIsle = async(mesaj) => {
+    let sonuc;
+    try {
+        sonuc = await kanalaGonder(mesaj);
+    } catch (error) {
+        sonuc = { basarili: false, hata: error.message };
+    }
+
+    const denemeSayisi = mesaj.denemeSayisi + 1;
+    const guncelleme = {
+        denemeSayisi,
+        kilitZamani: null,
+        $push: { denemeler: { zaman: new Date(), basarili: sonuc.basarili, hata: sonuc.hata } },
+    };
+
+    if (sonuc.basarili) {
+        guncelleme.durum = "gonderildi";
+        guncelleme.gonderimZamani = new Date();
+        guncelleme.sonHata = null;
+    } else if (sonuc.kalici) {
+        guncelleme.durum = "geri_dondu";
+        guncelleme.sonHata = sonuc.hata;
+    } else if (denemeSayisi >= mesaj.maksDeneme) {
+        guncelleme.durum = "basarisiz";
+        guncelleme.sonHata = sonuc.hata;
+    } else {
+        guncelleme.durum = "kuyrukta";
+        guncelleme.sonHata = sonuc.hata;
+        guncelleme.sonrakiDenemeZamani = new Date(Date.now() + beklemeSuresiHesapla(denemeSayisi));
+    }
+
+    await GidenMesaj.updateOne({ _id: mesaj._id }, guncelleme);
+
+    if (!sonuc.basarili) {
+        console.warn(`⚠️ ${mesaj.kanal} gönderilemedi (${denemeSayisi}/${mesaj.maksDeneme}) → ${guncelleme.durum}:`, sonuc.hata);
+    }
+};
+
+/**
+ * Gönderim zamanı gelmiş mesajları tek tek kilitleyip gönderir
+ * Kilit, findOneAndUpdate ile atomik alındığından birden fazla sunucu örneği aynı mesajı göndermez
+ */
+export const kuyruguIsle = async() => {
+    if (taraniyor) return;
+    taraniyor = true;
+
+    try {
+        // Takılı kalan mesajları kuyruğa geri al
+        await GidenMesaj.updateMany(
+            { durum: "gonderiliyor", kilitZamani: { $lt: new Date(Date.now() - KILIT_ZAMAN_ASIMI_MS) } },
+            { durum: "kuyrukta", kilitZamani: null }
+        );
+
+        for (let i = 0; i < TARAMA_BASINA_MESAJ; i++) {
+            const mesaj = await GidenMesaj.findOneAndUpdate(
+                { durum: "kuyrukta", sonrakiDenemeZamani: { $lte: new Date() } },
+                { durum: "gonderiliyor", kilitZamani: new Date() },
+                { new: true, sort: { sonrakiDenemeZamani: 1 } }
+            );
+            if (!mesaj) break;
+
+            await mesajIsle(mesaj);
+        }
+    } catch (error) {
+        console.error("❌ Mesaj kuyruğu işlenirken hata:", error.message);
+    } finally {
+        taraniyor = false;
+    }
+};
+
+/**
+ * Mesaj kuyruğu worker'ını başlatır (veritabanı bağlantısından sonra çağrılmalı)
+ */
+export const mesajKuyrugunuBaslat = () => {
+    if (zamanlayici) return;
+
+    zamanlayici = setInterval(kuyruguIsle, TARAMA_ARALIGI_SN * 1000);
+    kuyruguIsle();
+    console.log(`📨 Mesaj kuyruğu başlatıldı (${TARAMA_ARALIGI_SN} sn aralıkla)`);
+};
@@ -0,0 +1,285 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import mongoose from "mongoose";
+import Oturum from "../../models/oturum.model.js";
+import { oturumAkislariniKapat } from "./canliYayin.js";
+
+// Web'de erişim tokenı her istekte gönderilen "jwt" cookie'sinde, yenileme tokenı yalnızca /api/auth altına gönderilen cookie'de durur
+export const ERISIM_COOKIE = "jwt";
+export const YENILEME_COOKIE = "yenilemeTokeni";
+const YENILEME_COOKIE_YOLU = "/api/auth";
+
+// Aynı yenileme tokenıyla eşzamanlı gelen istekler (ör. iki sekme) bu süre içinde token tekrarı sayılmaz
+const TEKRAR_TOLERANSI_MS = 30 * 1000;
+
+// Oturumun son kullanım zamanı her istekte değil, en fazla bu aralıkla güncellenir
+const SON_KULLANIM_ARALIGI_MS = 5 * 60 * 1000;
+
+const sureOku = (deger, varsayilan) => {
+    const sayi = Number(deger);
+    return Number.isFinite(sayi) && sayi > 0 ? sayi : varsayilan;
+};
+
+// Erişim tokenının geçerlilik süresi (dakika)
+export const erisimTokeniDakikasi = () => sureOku(process.env.ERISIM_TOKENI_DAKIKA, 15);
+
+// Yenileme tokenının geçerlilik süresi (gün); her yenilemede baştan başlar, bu süre kullanılmayan oturum kapanır
+export const yenilemeTokeniGunu = () => sureOku(process.env.YENILEME_TOKENI_GUN, 30);
+
+const ozetle = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+const yenilemeTokeniUret = (oturumId) => `${oturumId}.${crypto.randomBytes(32).toString("base64url")}`;
+
+const bitisZamaniHesapla = () => new Date(Date.now() + yenilemeTokeniGunu() * 24 * 60 * 60 * 1000);
+
+const erisimTokeniOlustur = (oturum) =>
+    jwt.sign(
+        { userId: String(oturum.kullaniciId), oturumId: String(oturum._id) },
+        process.env.JWT_SECRET,
+        { expiresIn: `${erisimTokeniDakikasi()}m` }
+    );
+
+const cookieSecenekleri = (sureMs, yol) => ({
+    maxAge: sureMs,
+    httpOnly: true,
+    sameSite: "Lax",
+    secure: process.env.NODE_ENV === "production",
+    ...(yol && { path: yol }),
+});
+
+const cookieleriYaz = (res, erisimTokeni, yenilemeTokeni) => {
+    res.cookie(ERISIM_COOKIE, erisimTokeni, cookieSecenekleri(erisimTokeniDakikasi() * 60 * 1000));
+    if (yenilemeTokeni) {
+        res.cookie(
+            YENILEME_COOKIE,
+            yenilemeTokeni,
+            cookieSecenekleri(yenilemeTokeniGunu() * 24 * 60 * 60 * 1000, YENILEME_COOKIE_YOLU)
+        );
+    }
+};
+
+export const oturumCookieleriniTemizle = (res) => {
+    res.clearCookie(ERISIM_COOKIE);
+    res.clearCookie(YENILEME_COOKIE, { path: YENILEME_COOKIE_YOLU });
+};
+
+/**
+ * Oturum listesinde gösterilecek cihaz adını User-Agent'tan çıkarır
+ * @param {string} userAgent
+ * @returns {string|null} ör. "Chrome · Windows"
+ */
+export const cihazAdiBelirle = (userAgent) => {
+    if (!userAgent) return null;
+
+    const tarayicilar = [
+        [/Edg\//, "Edge"],
+        [/OPR\/|Opera/, "Opera"],
+        [/Firefox\//, "Firefox"],
+        [/Chrome\//, "Chrome"],
+        [/Safari\//, "Safari"],
+        [/Dart\//, "Mobil uygulama"],
+    ];
+    const sistemler = [
+        [/Android/, "Android"],
+        [/iPhone|iPad|iOS/, "iOS"],
+        [/Windows/, "Windows"],
+        [/Mac OS X|Macintosh/, "macOS"],
+        [/Linux/, "Linux"],
+    ];
+    const bul = (liste) => liste.find(([desen]) => desen.test(userAgent))?.[1];
+
+    return [bul(tarayicilar), bul(sistemler)].filter(Boolean).join(" · ") || null;
+};
+
+/**
+ * İstekten cihaz bilgisini çıkarır
+ * @param {Object} req - Express isteği
+ * @param {boolean} [isMobile]
+ * @returns {{platform: string, ad: string|null, userAgent: string|null}}
+ */
+export const cihazBilgisi = (req, isMobile) => {
+    const userAgent = req.get("user-agent") || null;
+    // Mobil uygulama cihaz modelini gövdede gönderebilir
+    const bildirilenAd = typeof req.body?.cihazAdi === "string" ? req.body.cihazAdi.trim().slice(0, 100) : "";
+
+    return {
+        platform: isMobile ? "mobil" : "web",
+        ad: bildirilenAd || cihazAdiBelirle(userAgent),
+        userAgent: userAgent?.slice(0, 300) || null,
+    };
+};
+
+export const oturumAktifMi = (oturum) =>
+    Boolean(oturum) && !oturum.iptalZamani && new Date(oturum.bitisZamani) > new Date();
+
+/**
+ * Giriş ya da kayıt sonrası cihaz için yeni oturum açar. Web'de tokenlar cookie'ye yazılır,
+ * mobilde yanıt gövdesinde dönülmek üzere geri verilir.
+ * @param {string|ObjectId} kullaniciId
+ * @param {Object} req - Express isteği (cihaz ve IP bilgisi için)
+ * @param {Object} res - Express yanıtı
+ * @param {boolean} [isMobile]
+ * @returns {Promise<{token: string, yenilemeTokeni: string, oturum: Object}>}
+ */
+export const oturumAc = async(kullaniciId, req, res, isMobile = false) => {
+    const oturum = new Oturum({
+        kullaniciId,
+        cihaz: cihazBilgisi(req, isMobile),
+        ip: req.ip || null,
+        bitisZamani: bitisZamaniHesapla(),
+    });
+    const yenilemeTokeni = yenilemeTokeniUret(oturum._id);
+    oturum.yenilemeTokeniHash = ozetle(yenilemeTokeni);
+    await oturum.save();
+
+    const token = erisimTokeniOlustur(oturum);
+    if (!isMobile) {
+        cookieleriYaz(res, token, yenilemeTokeni);
+    }
+
+    return { token, yenilemeTokeni, oturum };
+};
+
+/**
+ * Yenileme tokenını döndürerek (rotation) yeni erişim ve yenileme tokenı üretir.
+ * Daha önce kullanılmış bir token tolerans süresi dışında tekrar gelirse token çalınmış sayılır ve oturum kapatılır.
+ * @param {string} yenilemeTokeni
+ * @param {Object} req
+ * @param {Object} res
+ * @param {boolean} [isMobile]
+ * @returns {Promise<{token: string, yenilemeTokeni: string|null}|{hata: string}>}
+ *   yenilemeTokeni null ise aynı token az önce başka bir istekte yenilenmiştir; mevcut yenileme tokenı korunur
+ */
+export const oturumuYenile = async(yenilemeTokeni, req, res, isMobile = false) => {
+    const gecersiz = { hata: "Oturumunuzun süresi doldu, lütfen tekrar giriş yapın." };
+
+    const [oturumId] = String(yenilemeTokeni || "").split(".");
+    if (!mongoose.Types.ObjectId.isValid(oturumId)) return gecersiz;
+
+    const ozet = ozetle(yenilemeTokeni);
+    const yeniToken = yenilemeTokeniUret(oturumId);
+    const simdi = new Date();
+
+    const oturum = await Oturum.findOneAndUpdate(
+        { _id: oturumId, yenilemeTokeniHash: ozet, iptalZamani: null, bitisZamani: { $gt: simdi } },
+        {
+            $set: {
+                yenilemeTokeniHash: ozetle(yeniToken),
+                oncekiTokenHash: ozet,
+                yenilemeZamani: simdi,
+                sonKullanim: simdi,
+                bitisZamani: bitisZamaniHesapla(),
+                ip: req.ip || null,
+            },
+        },
+        { new: true }
+    );
+
+    if (oturum) {
+        const token = erisimTokeniOlustur(oturum);
+        if (!isMobile) cookieleriYaz(res, token, yeniToken);
+        return { token, yenilemeTokeni: yeniToken };
+    }
+
+    const mevcut = await Oturum.findById(oturumId).select("+oncekiTokenHash");
+    if (!oturumAktifMi(mevcut) || mevcut.oncekiTokenHash !== ozet) return gecersiz;
+
+    if (simdi - mevcut.yenilemeZamani <= TEKRAR_TOLERANSI_MS) {
+        // Eşzamanlı yenileme: yalnızca erişim tokenı verilir, yenileme tokenı diğer istekte döndürülmüştür
+        const token = erisimTokeniOlustur(mevcut);
+        if (!isMobile) cookieleriYaz(res, token, null);
+        return { token, yenilemeTokeni: null };
+    }
+
+    await oturumlariKapat({ _id: mevcut._id }, { iptalNedeni: "token_tekrari" });
+    return gecersiz;
+};
+
+/**
+ * Erişim tokenındaki oturumu doğrular; JWTKontrol her istekte çağırır
+ * @param {Object} yuk - Çözülmüş erişim tokenı
+ * @returns {Promise<Object|null>} Aktif oturum ya da null
+ */
+export const erisimOturumunuGetir = async(yuk) => {
+    if (!yuk?.oturumId || !mongoose.Types.ObjectId.isValid(yuk.oturumId)) return null;
+
+    const oturum = await Oturum.findById(yuk.oturumId).lean();
+    if (!oturumAktifMi(oturum) || String(oturum.kullaniciId) !== String(yuk.userId)) return null;
+
+    if (Date.now() - new Date(oturum.sonKullanim) > SON_KULLANIM_ARALIGI_MS) {
+        Oturum.updateOne({ _id: oturum._id }, { $set: { sonKullanim: new Date() } })
+            .catch((error) => console.error("Oturum son kullanım zamanı güncellenemedi:", error.message));
+    }
+
+    return oturum;
+};
+
+/**
+ * Çıkış yapan cihazın oturumunu kapatır. Erişim tokenının süresi dolmuş olabileceği için imzası süreye bakılmadan
+ * doğrulanır; erişim tokenı yoksa yenileme tokenıyla oturum bulunur.
+ * @param {Object} req - Authorization başlığı, cookie'ler ya da gövdede yenilemeTokeni
+ * @param {boolean} [isMobile]
+ */
+export const cikisOturumunuKapat = async(req, isMobile = false) => {
+    const erisimTokeni = req.headers.authorization?.split(" ")[1] || req.cookies?.[ERISIM_COOKIE];
+    const yenilemeTokeni = isMobile ? req.body?.yenilemeTokeni : req.cookies?.[YENILEME_COOKIE];
+
+    let filtre = null;
+    try {
+        const yuk = erisimTokeni && jwt.verify(erisimTokeni, process.env.JWT_SECRET, { ignoreExpiration: true });
+        if (yuk?.oturumId) filtre = { _id: yuk.oturumId, kullaniciId: yuk.userId };
+    } catch {
+        filtre = null;
+    }
+
+    if (!filtre && yenilemeTokeni) {
+        const [oturumId] = String(yenilemeTokeni).split(".");
+        if (mongoose.Types.ObjectId.isValid(oturumId)) {
+            filtre = { _id: oturumId, yenilemeTokeniHash: ozetle(yenilemeTokeni) };
+        }
+    }
+
+    if (!filtre || !mongoose.Types.ObjectId.isValid(filtre._id)) return 0;
+    return oturumlariKapat(filtre, { iptalNedeni: "cikis" });
+};
+
+/**
+ * Kullanıcının aktif oturumları, son kullanılan önce
+ * @param {string|ObjectId} kullaniciId
+ */
+export const aktifOturumlariGetir = (kullaniciId) =>
+    Oturum.find({ kullaniciId, iptalZamani: null, bitisZamani: { $gt: new Date() } })
+        .select("cihaz ip sonKullanim bitisZamani createdAt")
+        .sort({ sonKullanim: -1 })
+        .lean();
+
+/**
+ * Filtreye uyan aktif oturumları kapatır ve bu oturumlarla açılmış canlı akışları sonlandırır.
+ * Erişim tokenı süresi dolmamış olsa bile JWTKontrol kapatılan oturumu bir sonraki istekte reddeder.
+ * @param {Object} filtre - Oturum filtresi (ör. { kullaniciId } ya da { _id, kullaniciId })
+ * @param {Object} [secenekler]
+ * @param {string|ObjectId} [secenekler.iptalEdenId]
+ * @param {string} [secenekler.iptalNedeni]
+ * @returns {Promise<number>} Kapatılan oturum sayısı
+ */
+export const oturumlariKapat = async(filtre, { iptalEdenId = null, iptalNedeni = null } = {}) => {
+    const oturumlar = await Oturum.find({ ...filtre, iptalZamani: null }).select("_id").lean();
+    if (oturumlar.length === 0) return 0;
+
+    const idler = oturumlar.map((oturum) => oturum._id);
+    await Oturum.updateMany(
+        { _id: { $in: idler }, iptalZamani: null },
+        { $set: { iptalZamani: new Date(), iptalEdenId, iptalNedeni } }
+    );
+    oturumAkislariniKapat(idler);
+
+    return idler.length;
+};
+
+/**
+ * Kullanıcının tüm oturumlarını kapatır
+ * @param {string|ObjectId} kullaniciId
+ * @param {Object} [secenekler] - oturumlariKapat seçenekleri; haric verilirse o oturum açık kalır
+ */
+export const kullaniciOturumlariniKapat = (kullaniciId, { haric = null, ...secenekler } = {}) =>
+    oturumlariKapat({ kullaniciId, ...(haric && { _id: { $ne: haric } }) }, secenekler);
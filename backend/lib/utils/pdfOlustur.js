@@ -3,6 +3,8 @@ import { PassThrough } from "stream";
 import path from "path";
 import { fileURLToPath } from "url";
 import QRCode from "qrcode";
+import { VARSAYILAN_PDF_SABLONU } from "./pdfSablonu.js";
+import { TESLIM_ONAY_DURUMLARI } from "./teslimKaniti.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -10,7 +12,15 @@ const fontRegular = path.join(__dirname, "../../assets/font/DejaVuSans.ttf");
 const fontBold = path.join(__dirname, "../../assets/font/DejaVuSans-Bold.ttf");
 const logoPath = path.join(__dirname, "../../assets/logo.png");
 
-export async function gorevPdfOlustur(gorev) {
+/**
+ * Araç görev formu PDF'i
+ * @param {Object} gorev - aracId (kurumFirmaId ile), talepId ve koordinatorId alanları doldurulmuş görev
+ * @param {Object} [sablon] - gorevPdfSablonuGetir çıktısı; başlık, logo, imza ve gösterilecek alanlar
+ * @param {{url: string, bitis: Date}} [dogrulama] - Belge doğrulama bağlantısı; verilirse doğrulama karekodu basılır
+ * @param {{imza: Buffer|null, fotograflar: Buffer[]}} [teslimDosyalari] - Tamamlanan görevin teslim kanıtı görüntüleri
+ * @returns {Promise<Buffer>}
+ */
+export async function gorevPdfOlustur(gorev, sablon = VARSAYILAN_PDF_SABLONU, dogrulama = null, teslimDosyalari = null) {
   return new Promise(async (resolve, reject) => {
     const doc = new PDFDocument({ size: "A4", layout: "landscape", margin: 20 });
     const stream = new PassThrough();
@@ -24,12 +34,21 @@ export async function gorevPdfOlustur(gorev) {
     const pageWidth = doc.page.width;
     const contentWidth = pageWidth - margin * 2;
 
+    const { alanlar } = sablon;
+    const koordinator = gorev?.koordinatorId?.ad ? `${gorev.koordinatorId.ad} ${gorev.koordinatorId.soyad}` : null;
+
     // Logo ve Başlık
-    doc.image(logoPath, margin, margin, { width: 100 });
+    try {
+      doc.image(sablon.logo || logoPath, margin, margin, { fit: [100, 60] });
+    } catch (error) {
+      // Bozuk yüklenmiş logo formu engellemez
+      console.error("Şablon logosu okunamadı:", error.message);
+      doc.image(logoPath, margin, margin, { fit: [100, 60] });
+    }
     doc.font("Turkce-Bold").fontSize(18).fillColor("#003366")
-      .text("AFET NAKLİYE GRUBU", margin, margin, { align: "center" });
+      .text(sablon.baslik, margin, margin, { align: "center" });
     doc.font("Turkce-Bold").fontSize(16).fillColor("black")
-      .text("ARAÇ GÖREV FORMU", { align: "center" });
+      .text(sablon.altBaslik, { align: "center" });
     doc.moveTo(margin, doc.y + 10).lineTo(pageWidth - margin, doc.y + 10).strokeColor("#aaaaaa").stroke();
     doc.moveDown(2);
 
@@ -61,18 +80,19 @@ export async function gorevPdfOlustur(gorev) {
       });
     };
 
+    const marka = [gorev?.aracId?.marka, gorev?.aracId?.model].filter(Boolean).join(" ");
     drawTable("ARAÇ BİLGİLERİ", [
-      ["SINIFI", gorev?.aracId?.aracSinifi || "-"],
+      alanlar.aracSinifi && ["SINIFI", gorev?.aracId?.aracSinifi || "-"],
       ["TİPİ", gorev?.aracId?.aracTuru || "-"],
-      ["MARKASI", gorev?.aracId?.marka || "-"],
-      ["KURUMU", gorev?.aracId?.kurumAdi || "-"]
-    ], margin, tableTopY);
+      alanlar.marka && ["MARKASI", marka || "-"],
+      alanlar.kurum && ["KURUMU", gorev?.aracId?.kurumFirmaId?.kurumAdi || (gorev?.aracId ? "Bireysel" : "-")]
+    ].filter(Boolean), margin, tableTopY);
 
     drawTable("SÜRÜCÜ BİLGİLERİ", [
       ["ADI", gorev?.sofor?.ad || "-"],
       ["SOYADI", gorev?.sofor?.soyad || "-"],
-      ["TELEFON", gorev?.sofor?.telefon || "-"]
-    ], margin + tableColWidth + 20, tableTopY);
+      alanlar.soforTelefon && ["TELEFON", gorev?.sofor?.telefon || "-"]
+    ].filter(Boolean), margin + tableColWidth + 20, tableTopY);
 
     // Görev Detayları
     const detayTopY = 330;
@@ -87,10 +107,11 @@ export async function gorevPdfOlustur(gorev) {
       ["Tarih", gorev?.baslangicZamani ? new Date(gorev.baslangicZamani).toLocaleDateString("tr-TR") : "-"],
       ["Saat", gorev?.baslangicZamani ? new Date(gorev.baslangicZamani).toLocaleTimeString("tr-TR") : "-"],
       ["Durum", gorev?.gorevDurumu || "-"],
-      ["Not", gorev?.gorevNotu || "-"],
+      alanlar.gorevNotu && ["Not", gorev?.gorevNotu || "-"],
       ["Talep", gorev?.talepId?.baslik || "-"],
-      ["Gideceği Adres", gorev?.talepId?.lokasyon?.adres || "-"]
-    ];
+      ["Gideceği Adres", gorev?.talepId?.lokasyon?.adres || "-"],
+      alanlar.koordinator && ["Görevlendiren", koordinator || "-"]
+    ].filter(Boolean);
 
     let detayY = detayTopY + 25;
     detaylar.forEach(([etiket, deger]) => {
@@ -105,7 +126,7 @@ export async function gorevPdfOlustur(gorev) {
       ? `https://www.google.com/maps?q=${gorev.hedefKonumu.lat},${gorev.hedefKonumu.lng}`
       : null;
 
-    if (googleMapsUrl) {
+    if (googleMapsUrl && alanlar.haritaKarekodu) {
       try {
         const qrCodeData = await QRCode.toDataURL(googleMapsUrl);
         doc.image(qrCodeData, pageWidth - 110, detayTopY + 5, { width: 90 });
@@ -119,15 +140,101 @@ export async function gorevPdfOlustur(gorev) {
       }
     }
 
-    // İmza
-    const mudurAdi = "Adı  SOYADI";
+    // Doğrulama karekodu: kontrol noktasında belgenin gerçek ve görevin aktif olduğu buradan teyit edilir
+    if (dogrulama?.url) {
+      try {
+        const dogrulamaQr = await QRCode.toDataURL(dogrulama.url);
+        const qrY = doc.page.height - 135;
+        doc.image(dogrulamaQr, pageWidth - 110, qrY, { width: 90 });
+        doc.font("Turkce-Bold").fontSize(8).fillColor("black")
+          .text("Belgeyi Doğrula", pageWidth - 110, qrY + 88, { width: 90, align: "center", link: dogrulama.url });
+        doc.font("Turkce").fontSize(7).fillColor("#555555")
+          .text(`Geçerlilik: ${new Date(dogrulama.bitis).toLocaleString("tr-TR", { dateStyle: "short", timeStyle: "short" })}`, pageWidth - 120, qrY + 99, {
+            width: 110,
+            align: "center"
+          });
+      } catch (error) {
+        console.error("Doğrulama karekodu oluşturulamadı:", error);
+      }
+    }
+
+    // İmza: şablonda imza yetkilisi tanımlanmamışsa görevi oluşturan koordinatör imzalar
+    const imzaAdi = sablon.imza.adSoyad || koordinator || "";
+    const imzaUnvani = sablon.imza.unvan || (sablon.imza.adSoyad ? "" : "KOORDİNATÖR");
     const signY = doc.page.height - 60;
     const signX = pageWidth / 2 - 100;
 
     doc.font("Turkce-Bold").fontSize(10).fillColor("black")
-      .text(mudurAdi, signX, signY, { width: 200, align: "center" });
+      .text(imzaAdi, signX, signY, { width: 200, align: "center" });
     doc.font("Turkce").fontSize(10)
-      .text("BÖLGE MÜDÜRÜ", signX, signY + 15, { width: 200, align: "center" });
+      .text(imzaUnvani, signX, signY + 15, { width: 200, align: "center" });
+
+    if (sablon.altBilgi) {
+      // Alt kenar boşluğuna yazarken yeni sayfa açılmaması için
+      doc.page.margins.bottom = 0;
+      doc.font("Turkce").fontSize(8).fillColor("#555555")
+        .text(sablon.altBilgi, margin, doc.page.height - 25, { width: contentWidth, align: "center", lineBreak: false });
+    }
+
+    // Teslim kanıtı: tamamlanan görevlerde ikinci sayfada teslim alan, miktar, konum, imza ve fotoğraflar
+    const teslim = gorev?.teslimKaniti;
+    if (teslim?.tarih) {
+      doc.addPage({ size: "A4", layout: "landscape", margin: 20 });
+      doc.font("Turkce-Bold").fontSize(16).fillColor("#003366")
+        .text("TESLİM KANITI", margin, margin, { align: "center" });
+      doc.moveTo(margin, doc.y + 5).lineTo(pageWidth - margin, doc.y + 5).strokeColor("#aaaaaa").stroke();
+
+      const miktar = teslim.teslimMiktari !== undefined && teslim.teslimMiktari !== null
+        ? `${teslim.teslimMiktari} ${teslim.miktarBirimi || ""}`.trim()
+        : "-";
+      const onay = teslim.onay?.durum ? TESLIM_ONAY_DURUMLARI[teslim.onay.durum] : "-";
+
+      let teslimY = 70;
+      [
+        ["Teslim Tarihi", new Date(teslim.tarih).toLocaleString("tr-TR")],
+        ["Teslim Alan", teslim.teslimAlan || "-"],
+        ["Teslim Miktarı", miktar],
+        ["Konum", teslim.konum?.lat !== undefined ? `${teslim.konum.lat.toFixed(6)}, ${teslim.konum.lng.toFixed(6)}` : "-"],
+        ["Talep Eden Onayı", teslim.onay?.aciklama ? `${onay} (${teslim.onay.aciklama})` : onay],
+      ].forEach(([etiket, deger]) => {
+        doc.font("Turkce-Bold").fontSize(10).fillColor("black").text(etiket, margin + 5, teslimY, { width: 100, align: "right" });
+        doc.font("Turkce-Bold").text(":", margin + 110, teslimY);
+        doc.font("Turkce").text(deger, margin + 120, teslimY, { width: contentWidth / 2 - 140 });
+        teslimY += 20;
+      });
+
+      // Bozuk bir görüntü formun geri kalanını engellemez
+      const goruntuEkle = (icerik, x, y, boyut) => {
+        try {
+          doc.image(icerik, x, y, { fit: boyut, align: "center", valign: "center" });
+          doc.rect(x, y, boyut[0], boyut[1]).strokeColor("#cccccc").stroke();
+        } catch (error) {
+          console.error("Teslim kanıtı görüntüsü basılamadı:", error.message);
+        }
+      };
+
+      const imzaX = pageWidth / 2 + 20;
+      doc.font("Turkce-Bold").fontSize(10).fillColor("black").text("TESLİM ALANIN İMZASI", imzaX, 70);
+      if (teslimDosyalari?.imza) {
+        goruntuEkle(teslimDosyalari.imza, imzaX, 88, [contentWidth / 2 - 20, 80]);
+      } else {
+        doc.font("Turkce").fontSize(10).text("-", imzaX, 90);
+      }
+
+      const fotograflar = teslimDosyalari?.fotograflar || [];
+      if (fotograflar.length > 0) {
+        const fotoTopY = 190;
+        const sutun = 5;
+        const fotoGenislik = (contentWidth - (sutun - 1) * 10) / sutun;
+        const fotoYukseklik = 150;
+        doc.font("Turkce-Bold").fontSize(10).fillColor("black").text("TESLİM FOTOĞRAFLARI", margin, fotoTopY);
+        fotograflar.slice(0, sutun * 2).forEach((foto, i) => {
+          const x = margin + (i % sutun) * (fotoGenislik + 10);
+          const y = fotoTopY + 18 + Math.floor(i / sutun) * (fotoYukseklik + 10);
+          goruntuEkle(foto, x, y, [fotoGenislik, fotoYukseklik]);
+        });
+      }
+    }
 
     doc.end();
     stream.on("data", (chunk) => chunks.push(chunk));
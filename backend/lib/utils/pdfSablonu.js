@@ -0,0 +1,79 @@
+import PdfSablonu from "../../models/pdfSablonu.model.js";
+import { goruntuTuruBelirle } from "./dosyaDepolama.js";
+
+// Şablonda boş bırakılan değerler için kullanılır
+export const VARSAYILAN_PDF_SABLONU = {
+    baslik: "AFET NAKLİYE GRUBU",
+    altBaslik: "ARAÇ GÖREV FORMU",
+    logo: null,
+    imza: { adSoyad: null, unvan: null },
+    alanlar: {
+        aracSinifi: true,
+        marka: true,
+        kurum: true,
+        soforTelefon: true,
+        gorevNotu: true,
+        koordinator: true,
+        haritaKarekodu: true,
+    },
+    altBilgi: null,
+};
+
+// Logo yüklemelerinde kabul edilen en büyük boyut
+export const MAKS_LOGO_BOYUTU = 1024 * 1024;
+
+/**
+ * Yüklenen logonun türünü dosya imzasından belirler
+ * @param {Buffer} icerik
+ * @returns {string|null} "image/png", "image/jpeg" ya da desteklenmiyorsa null
+ */
+export const logoTuruBelirle = (icerik) => goruntuTuruBelirle(icerik);
+
+const doluMu = (deger) => deger !== undefined && deger !== null && deger !== "";
+
+// lean() / toObject() ile okunan Buffer alanları BSON Binary olarak gelir
+const logoIcerigi = (icerik) => {
+    if (!icerik) return null;
+    return Buffer.isBuffer(icerik) ? icerik : Buffer.from(icerik.buffer);
+};
+
+/**
+ * Şablonları sırayla varsayılanların üzerine uygular; sonraki şablonun dolu alanları öncekini ezer
+ * @param {Array<Object>} sablonlar - Genelden özele sıralı
+ */
+export const sablonlariBirlestir = (sablonlar) =>
+    sablonlar.reduce((sonuc, sablon) => ({
+        baslik: doluMu(sablon.baslik) ? sablon.baslik : sonuc.baslik,
+        altBaslik: doluMu(sablon.altBaslik) ? sablon.altBaslik : sonuc.altBaslik,
+        logo: logoIcerigi(sablon.logo?.icerik) || sonuc.logo,
+        imza: {
+            adSoyad: doluMu(sablon.imza?.adSoyad) ? sablon.imza.adSoyad : sonuc.imza.adSoyad,
+            unvan: doluMu(sablon.imza?.unvan) ? sablon.imza.unvan : sonuc.imza.unvan,
+        },
+        alanlar: { ...sonuc.alanlar, ...sablon.alanlar },
+        altBilgi: doluMu(sablon.altBilgi) ? sablon.altBilgi : sonuc.altBilgi,
+    }), VARSAYILAN_PDF_SABLONU);
+
+const kimlik = (deger) => (deger?._id || deger || null);
+
+/**
+ * Görev formuna uygulanacak şablonu çözer. Eşleşen şablonlar genelden özele üst üste uygulanır:
+ * varsayılan şablon → talep eden kurumun şablonu → afet olayının şablonu → olay ve kuruma özel şablon.
+ * @param {Object} gorev - talepId (talepEdenKurumFirmaId ile) ve afetOlayiId alanları olan görev
+ * @returns {Promise<Object>} VARSAYILAN_PDF_SABLONU biçiminde şablon; logo verilmemişse null
+ */
+export const gorevPdfSablonuGetir = async(gorev) => {
+    const afetOlayiId = kimlik(gorev.afetOlayiId);
+    const kurumFirmaId = kimlik(gorev.talepId?.talepEdenKurumFirmaId);
+
+    const sablonlar = await PdfSablonu.find({
+        isDeleted: false,
+        afetOlayiId: { $in: [afetOlayiId, null] },
+        kurumFirmaId: { $in: [kurumFirmaId, null] },
+    })
+        .select("+logo.icerik")
+        .lean();
+
+    const oncelik = (sablon) => (sablon.afetOlayiId ? 2 : 0) + (sablon.kurumFirmaId ? 1 : 0);
+    return sablonlariBirlestir(sablonlar.sort((a, b) => oncelik(a) - oncelik(b)));
+};
@@ -0,0 +1,562 @@
+import mongoose from "mongoose";
+import Talep from "../../models/talep.model.js";
+import Gorev from "../../models/gorev.model.js";
+import Arac from "../../models/arac.model.js";
+import KurumFirma from "../../models/kurumFirma.model.js";
+import OperasyonBolgesi from "../../models/operasyonBolgesi.model.js";
+import { afetOlayiFiltresi } from "./afetOlayiKapsami.js";
+import { araclariKapsamaGoreSuz, gorevKapsamFiltresi, talepKapsamFiltresi } from "./koordinatorKapsami.js";
+import { IPTAL_NEDENLERI } from "./gorevDurumMakinesi.js";
+import { ListeSorgusuHatasi, tarihAyristir } from "./listeSorgusu.js";
+
+// Günlük / haftalık / aylık gruplamalar bu saat dilimine göre yapılır
+export const RAPOR_SAAT_DILIMI = process.env.RAPOR_SAAT_DILIMI || "Europe/Istanbul";
+
+// Tarih aralığı verilmediğinde araç kullanım oranının hesaplandığı dönem
+const VARSAYILAN_KULLANIM_GUNU = 30;
+
+// Henüz tamamen karşılanmamış talep durumları
+export const ACIK_TALEP_DURUMLARI = ["beklemede", "kismen gorevlendirildi"];
+
+const DONEM_BICIMLERI = {
+    gun: "%Y-%m-%d",
+    hafta: "%G-H%V",
+    ay: "%Y-%m",
+};
+
+// Süre dağılımı grafiklerindeki dilimler (dakika)
+const SURE_DILIMLERI = [
+    { etiket: "15 dk altı", ust: 15 },
+    { etiket: "15-60 dk", ust: 60 },
+    { etiket: "1-4 saat", ust: 240 },
+    { etiket: "4-12 saat", ust: 720 },
+    { etiket: "12-24 saat", ust: 1440 },
+    { etiket: "24 saat üstü", ust: Infinity },
+];
+
+const yuvarla = (deger, basamak = 1) => Math.round(deger * 10 ** basamak) / 10 ** basamak;
+
+const oran = (pay, payda) => (payda > 0 ? yuvarla((pay / payda) * 100) : 0);
+
+/**
+ * Rapor hesaplamalarının ortak filtrelerini oluşturur: tarih aralığı (kayıt oluşturulma tarihi), afet olayı
+ * ve kullanıcının operasyon bölgesi kapsamı. Aggregate $match'leri şemaya göre dönüştürülmediği için ID'ler ObjectId'ye çevrilir.
+ * @param {Object} params
+ * @param {string|Date} [params.baslangic]
+ * @param {string|Date} [params.bitis] - Yalnızca gün verilirse o günün sonuna kadar kapsar
+ * @param {string} [params.afetOlayiId] - "yok" olaya bağlanmamış kayıtları seçer
+ * @param {Object} [params.kullanici] - Verilmezse (ör. zamanlanmış raporlar) bölge kısıtı uygulanmaz
+ * @returns {Promise<{tarih: Object, talepFiltresi: Object, gorevFiltresi: Object, kullanici: Object|null}>}
+ * @throws {ListeSorgusuHatasi} Tarih geçersizse
+ */
+export const raporKapsamiOlustur = async({ baslangic, bitis, afetOlayiId, kullanici = null }) => {
+    const tarih = {
+        ...(baslangic && { $gte: tarihAyristir(baslangic) }),
+        ...(bitis && { $lte: tarihAyristir(bitis, true) }),
+    };
+    if (tarih.$gte && tarih.$lte && tarih.$gte > tarih.$lte) {
+        throw new ListeSorgusuHatasi("Bitiş tarihi başlangıç tarihinden önce olamaz");
+    }
+
+    const olay = afetOlayiFiltresi({ query: { afetOlayiId } });
+    if (olay.afetOlayiId) {
+        olay.afetOlayiId = new mongoose.Types.ObjectId(olay.afetOlayiId);
+    }
+
+    const tarihFiltresi = Object.keys(tarih).length ? { createdAt: tarih } : {};
+
+    return {
+        tarih,
+        talepFiltresi: { isDeleted: false, ...olay, ...talepKapsamFiltresi(kullanici), ...tarihFiltresi },
+        gorevFiltresi: { isDeleted: false, ...olay, ...(await gorevKapsamFiltresi(kullanici)), ...tarihFiltresi },
+        kullanici,
+    };
+};
+
+// Süre listesinin (dakika) özet istatistikleri ve dağılımı
+const sureOzeti = (dakikalar) => {
+    const sirali = dakikalar.filter((d) => Number.isFinite(d) && d >= 0).sort((a, b) => a - b);
+    const dagilim = SURE_DILIMLERI.map(({ etiket }) => ({ etiket, sayi: 0 }));
+    for (const dakika of sirali) {
+        dagilim[SURE_DILIMLERI.findIndex((dilim) => dakika < dilim.ust)].sayi++;
+    }
+
+    if (sirali.length === 0) {
+        return { sayi: 0, ortalama: null, medyan: null, p90: null, dagilim };
+    }
+
+    const yuzdelik = (deger) => sirali[Math.max(Math.ceil(deger * sirali.length) - 1, 0)];
+    return {
+        sayi: sirali.length,
+        ortalama: yuvarla(sirali.reduce((t, d) => t + d, 0) / sirali.length),
+        medyan: yuvarla(yuzdelik(0.5)),
+        p90: yuvarla(yuzdelik(0.9)),
+        dagilim,
+    };
+};
+
+// { gun, [alan]: dakika } satırlarından gün bazında ortalama süre serisi
+const gunlukOrtalama = (satirlar, alanlar) => {
+    const gunler = new Map();
+    for (const satir of satirlar) {
+        const gun = gunler.get(satir.gun) || { gun: satir.gun, toplamlar: {}, sayilar: {} };
+        for (const alan of alanlar) {
+            if (satir[alan] == null) continue;
+            gun.toplamlar[alan] = (gun.toplamlar[alan] || 0) + satir[alan];
+            gun.sayilar[alan] = (gun.sayilar[alan] || 0) + 1;
+        }
+        gunler.set(satir.gun, gun);
+    }
+
+    return [...gunler.values()]
+        .sort((a, b) => a.gun.localeCompare(b.gun))
+        .map(({ gun, toplamlar, sayilar }) => ({
+            gun,
+            ...Object.fromEntries(alanlar.map((alan) => [alan, sayilar[alan] ? yuvarla(toplamlar[alan] / sayilar[alan]) : null])),
+        }));
+};
+
+const dakikaFarki = (son, ilk) => ({ $divide: [{ $subtract: [son, ilk] }, 60000] });
+
+const gunIfadesi = (alan) => ({ $dateToString: { format: DONEM_BICIMLERI.gun, date: alan, timezone: RAPOR_SAAT_DILIMI } });
+
+// Karşılanma tablosu hesaplanmamış eski taleplerde istenen araçların tamamı eksik sayılır
+const eksikAraclarIfadesi = {
+    $cond: [
+        { $gt: [{ $size: { $ifNull: ["$karsilanma", []] } }, 0] },
+        {
+            $map: {
+                input: "$karsilanma",
+                as: "k",
+                in: { aracTuru: "$$k.aracTuru", eksik: { $max: [{ $subtract: ["$$k.talepEdilen", "$$k.atanan"] }, 0] } },
+            },
+        },
+        {
+            $map: {
+                input: "$araclar",
+                as: "a",
+                in: { aracTuru: "$$a.aracTuru", eksik: "$$a.aracSayisi" },
+            },
+        },
+    ],
+};
+
+/**
+ * Durumlara göre talep ve görev sayıları
+ * @param {Object} kapsam - raporKapsamiOlustur çıktısı
+ */
+export const raporOzetiHesapla = async({ talepFiltresi, gorevFiltresi }) => {
+    const [gorevDurumlari, talepDurumlari] = await Promise.all([
+        Gorev.aggregate([
+            { $match: gorevFiltresi },
+            { $group: { _id: "$gorevDurumu", sayi: { $sum: 1 } } },
+        ]),
+        Talep.aggregate([
+            { $match: talepFiltresi },
+            { $group: { _id: "$durum", sayi: { $sum: 1 } } },
+        ]),
+    ]);
+
+    const sayilar = (gruplar) => Object.fromEntries(gruplar.map((g) => [g._id, g.sayi]));
+    const toplam = (gruplar) => gruplar.reduce((t, g) => t + g.sayi, 0);
+
+    return {
+        talep: { toplam: toplam(talepDurumlari), durumlar: sayilar(talepDurumlari) },
+        gorev: { toplam: toplam(gorevDurumlari), durumlar: sayilar(gorevDurumlari) },
+    };
+};
+
+/**
+ * Talebin oluşturulmasından ilk görev atamasına kadar geçen süre (dakika)
+ * @param {Object} kapsam - raporKapsamiOlustur çıktısı
+ */
+export const atamaSuresiHesapla = async({ talepFiltresi }) => {
+    const satirlar = await Talep.aggregate([
+        { $match: talepFiltresi },
+        {
+            $lookup: {
+                from: Gorev.collection.name,
+                let: { talepId: "$_id" },
+                pipeline: [
+                    { $match: { $expr: { $eq: ["$talepId", "$$talepId"] }, isDeleted: false } },
+                    { $group: { _id: null, ilkAtama: { $min: "$createdAt" } } },
+                ],
+                as: "atama",
+            },
+        },
+        {
+            $project: {
+                durum: 1,
+                gun: gunIfadesi("$createdAt"),
+                ilkAtama: { $arrayElemAt: ["$atama.ilkAtama", 0] },
+                createdAt: 1,
+            },
+        },
+        {
+            $project: {
+                durum: 1,
+                gun: 1,
+                atamaSuresi: { $cond: [{ $ifNull: ["$ilkAtama", false] }, dakikaFarki("$ilkAtama", "$createdAt"), null] },
+            },
+        },
+    ]);
+
+    const atananlar = satirlar.filter((s) => s.atamaSuresi != null);
+
+    return {
+        talepSayisi: satirlar.length,
+        // Hiç görev atanmamış ve iptal edilmemiş talepler
+        atanmamis: satirlar.filter((s) => s.atamaSuresi == null && s.durum !== "iptal edildi").length,
+        atamaSuresi: sureOzeti(atananlar.map((s) => s.atamaSuresi)),
+        trend: gunlukOrtalama(atananlar, ["atamaSuresi"]),
+    };
+};
+
+/**
+ * Görev atamasından başlamaya ve tamamlanmaya kadar geçen süreler (dakika)
+ * @param {Object} kapsam - raporKapsamiOlustur çıktısı
+ */
+export const gorevSureleriHesapla = async({ gorevFiltresi }) => {
+    const satirlar = await Gorev.aggregate([
+        { $match: gorevFiltresi },
+        {
+            $project: {
+                gun: gunIfadesi("$createdAt"),
+                baslamaSuresi: { $cond: [{ $ifNull: ["$baslangicZamani", false] }, dakikaFarki("$baslangicZamani", "$createdAt"), null] },
+                tamamlanmaSuresi: {
+                    $cond: [
+                        { $and: [{ $eq: ["$gorevDurumu", "tamamlandı"] }, { $ifNull: ["$bitisZamani", false] }] },
+                        dakikaFarki("$bitisZamani", "$createdAt"),
+                        null,
+                    ],
+                },
+            },
+        },
+    ]);
+
+    return {
+        gorevSayisi: satirlar.length,
+        baslamaSuresi: sureOzeti(satirlar.map((s) => s.baslamaSuresi).filter((d) => d != null)),
+        tamamlanmaSuresi: sureOzeti(satirlar.map((s) => s.tamamlanmaSuresi).filter((d) => d != null)),
+        trend: gunlukOrtalama(satirlar, ["baslamaSuresi", "tamamlanmaSuresi"]),
+    };
+};
+
+/**
+ * Kurum bazında araç kullanım oranı: dönem içinde görevde geçen araç-saat / aktif araçların toplam araç-saati.
+ * Görev, atandığı andan tamamlandığı / iptal edildiği ana kadar (sürüyorsa şu ana kadar) aracı meşgul sayar.
+ * Tarih aralığı verilmezse son 30 gün hesaplanır.
+ * @param {Object} kapsam - raporKapsamiOlustur çıktısı
+ */
+export const aracKullanimiHesapla = async({ tarih, gorevFiltresi, kullanici }) => {
+    const simdi = new Date();
+    const donemBitis = tarih.$lte && tarih.$lte < simdi ? tarih.$lte : simdi;
+    const donemBaslangic = tarih.$gte || new Date(donemBitis.getTime() - VARSAYILAN_KULLANIM_GUNU * 24 * 60 * 60 * 1000);
+    const donemSaati = Math.max((donemBitis - donemBaslangic) / 3600000, 0);
+
+    // Görevler oluşturulma tarihine göre değil, dönemle kesişmelerine göre alınır
+    const { createdAt, ...kesisenGorevler } = gorevFiltresi;
+
+    const [gorevGruplari, araclar] = await Promise.all([
+        Gorev.aggregate([
+            { $match: { ...kesisenGorevler, createdAt: { $lte: donemBitis } } },
+            {
+                $project: {
+                    aracId: 1,
+                    baslangic: "$createdAt",
+                    bitis: {
+                        $ifNull: [
+                            "$bitisZamani",
+                            {
+                                $cond: [
+                                    { $eq: ["$gorevDurumu", "iptal edildi"] },
+                                    { $ifNull: [{ $arrayElemAt: ["$durumGecmisi.tarih", -1] }, "$updatedAt"] },
+                                    simdi,
+                                ],
+                            },
+                        ],
+                    },
+                },
+            },
+            { $match: { bitis: { $gte: donemBaslangic } } },
+            {
+                $project: {
+                    aracId: 1,
+                    sure: { $subtract: [{ $min: ["$bitis", donemBitis] }, { $max: ["$baslangic", donemBaslangic] }] },
+                },
+            },
+            { $lookup: { from: Arac.collection.name, localField: "aracId", foreignField: "_id", as: "arac" } },
+            { $unwind: "$arac" },
+            {
+                $group: {
+                    _id: "$arac.kurumFirmaId",
+                    gorevSayisi: { $sum: 1 },
+                    mesgulMs: { $sum: { $max: ["$sure", 0] } },
+                    gorevliAraclar: { $addToSet: "$aracId" },
+                },
+            },
+        ]),
+        Arac.find({ isDeleted: false, aracDurumu: "aktif" }).select("kurumFirmaId konum").lean(),
+    ]);
+
+    const kapsamdakiAraclar = await araclariKapsamaGoreSuz(kullanici, araclar);
+    const aracSayilari = new Map();
+    for (const arac of kapsamdakiAraclar) {
+        const anahtar = String(arac.kurumFirmaId || null);
+        aracSayilari.set(anahtar, (aracSayilari.get(anahtar) || 0) + 1);
+    }
+
+    const kurumIdler = [...new Set([...aracSayilari.keys(), ...gorevGruplari.map((g) => String(g._id))])];
+    const kurumlar = await KurumFirma.find({ _id: { $in: kurumIdler.filter((id) => id !== "null") } }).select("kurumAdi").lean();
+    const kurumAdlari = new Map(kurumlar.map((k) => [String(k._id), k.kurumAdi]));
+
+    const satirlar = kurumIdler.map((kurumId) => {
+        const grup = gorevGruplari.find((g) => String(g._id) === kurumId);
+        const aracSayisi = aracSayilari.get(kurumId) || 0;
+        const mesgulSaat = (grup?.mesgulMs || 0) / 3600000;
+
+        return {
+            kurumFirmaId: kurumId === "null" ? null : kurumId,
+            kurumAdi: kurumId === "null" ? "Bireysel" : kurumAdlari.get(kurumId) || "Bilinmiyor",
+            aracSayisi,
+            gorevliAracSayisi: grup?.gorevliAraclar.length || 0,
+            gorevSayisi: grup?.gorevSayisi || 0,
+            mesgulSaat: yuvarla(mesgulSaat),
+            kullanimOrani: aracSayisi > 0 && donemSaati > 0 ? Math.min(oran(mesgulSaat, aracSayisi * donemSaati), 100) : null,
+        };
+    });
+
+    satirlar.sort((a, b) => (b.kullanimOrani ?? -1) - (a.kullanimOrani ?? -1) || b.gorevSayisi - a.gorevSayisi);
+
+    return {
+        donem: { baslangic: donemBaslangic, bitis: donemBitis, saat: yuvarla(donemSaati) },
+        kurumlar: satirlar,
+    };
+};
+
+/**
+ * Dönem ve araç türü bazında görev sayıları; grafikte her dönem bir satır, her araç türü bir seri olur
+ * @param {Object} kapsam - raporKapsamiOlustur çıktısı
+ * @param {string} [aralik] - gun, hafta ya da ay
+ * @throws {ListeSorgusuHatasi} Aralık geçersizse
+ */
+export const aracTuruTrendiHesapla = async({ gorevFiltresi }, aralik = "gun") => {
+    if (!DONEM_BICIMLERI[aralik]) {
+        throw new ListeSorgusuHatasi("Geçersiz aralık, gun, hafta ya da ay olmalıdır");
+    }
+
+    const gruplar = await Gorev.aggregate([
+        { $match: gorevFiltresi },
+        { $lookup: { from: Arac.collection.name, localField: "aracId", foreignField: "_id", as: "arac" } },
+        { $unwind: "$arac" },
+        {
+            $group: {
+                _id: {
+                    donem: { $dateToString: { format: DONEM_BICIMLERI[aralik], date: "$createdAt", timezone: RAPOR_SAAT_DILIMI } },
+                    aracTuru: "$arac.aracTuru",
+                },
+                sayi: { $sum: 1 },
+            },
+        },
+        { $sort: { "_id.donem": 1 } },
+    ]);
+
+    const donemler = new Map();
+    const turToplamlari = {};
+    for (const { _id, sayi } of gruplar) {
+        const satir = donemler.get(_id.donem) || { donem: _id.donem };
+        satir[_id.aracTuru] = sayi;
+        donemler.set(_id.donem, satir);
+        turToplamlari[_id.aracTuru] = (turToplamlari[_id.aracTuru] || 0) + sayi;
+    }
+
+    return {
+        aralik,
+        aracTurleri: Object.keys(turToplamlari).sort((a, b) => turToplamlari[b] - turToplamlari[a]),
+        seriler: [...donemler.values()],
+    };
+};
+
+/**
+ * Görev ve talep iptal oranları, görev iptallerinin neden kodlarına göre dağılımı
+ * @param {Object} kapsam - raporKapsamiOlustur çıktısı
+ */
+export const iptalOranlariHesapla = async({ talepFiltresi, gorevFiltresi }) => {
+    const [gorevGruplari, talepGruplari] = await Promise.all([
+        Gorev.aggregate([
+            { $match: gorevFiltresi },
+            {
+                $group: {
+                    _id: { durum: "$gorevDurumu", neden: "$iptalNedeni" },
+                    sayi: { $sum: 1 },
+                },
+            },
+        ]),
+        Talep.aggregate([
+            { $match: talepFiltresi },
+            { $group: { _id: { $eq: ["$durum", "iptal edildi"] }, sayi: { $sum: 1 } } },
+        ]),
+    ]);
+
+    const gorevToplam = gorevGruplari.reduce((t, g) => t + g.sayi, 0);
+    const iptaller = gorevGruplari.filter((g) => g._id.durum === "iptal edildi");
+    const gorevIptal = iptaller.reduce((t, g) => t + g.sayi, 0);
+
+    // Neden kodu olmadan iptal edilmiş eski görevler "belirtilmemiş" olarak gruplanır
+    const nedenler = new Map();
+    for (const { _id, sayi } of iptaller) {
+        const kod = IPTAL_NEDENLERI[_id.neden] ? _id.neden : "belirtilmemis";
+        nedenler.set(kod, (nedenler.get(kod) || 0) + sayi);
+    }
+
+    const talepToplam = talepGruplari.reduce((t, g) => t + g.sayi, 0);
+    const talepIptal = talepGruplari.find((g) => g._id === true)?.sayi || 0;
+
+    return {
+        gorev: {
+            toplam: gorevToplam,
+            iptal: gorevIptal,
+            oran: oran(gorevIptal, gorevToplam),
+            nedenler: [...nedenler.entries()]
+                .map(([kod, sayi]) => ({
+                    kod,
+                    etiket: IPTAL_NEDENLERI[kod] || "Belirtilmemiş",
+                    sayi,
+                    oran: oran(sayi, gorevIptal),
+                }))
+                .sort((a, b) => b.sayi - a.sayi),
+        },
+        talep: {
+            toplam: talepToplam,
+            iptal: talepIptal,
+            oran: oran(talepIptal, talepToplam),
+        },
+    };
+};
+
+/**
+ * Açık taleplerde henüz araç atanmamış ihtiyacın konuma göre dağılımı:
+ * operasyon bölgesi, yaklaşık 0.1° (~10 km) harita hücresi ve araç türü bazında
+ * @param {Object} kapsam - raporKapsamiOlustur çıktısı
+ */
+export const karsilanmayanTalepHesapla = async({ talepFiltresi }) => {
+    const [sonuc] = await Talep.aggregate([
+        { $match: { ...talepFiltresi, durum: { $in: ACIK_TALEP_DURUMLARI } } },
+        {
+            $project: {
+                lokasyon: 1,
+                operasyonBolgeleri: 1,
+                etkilenenKisiSayisi: 1,
+                eksikler: eksikAraclarIfadesi,
+            },
+        },
+        { $addFields: { eksikArac: { $sum: "$eksikler.eksik" } } },
+        { $match: { eksikArac: { $gt: 0 } } },
+        {
+            $facet: {
+                toplam: [
+                    {
+                        $group: {
+                            _id: null,
+                            talepSayisi: { $sum: 1 },
+                            eksikArac: { $sum: "$eksikArac" },
+                            etkilenenKisi: { $sum: "$etkilenenKisiSayisi" },
+                        },
+                    },
+                ],
+                bolgeler: [
+                    { $unwind: { path: "$operasyonBolgeleri", preserveNullAndEmptyArrays: true } },
+                    {
+                        $group: {
+                            _id: { $ifNull: ["$operasyonBolgeleri", null] },
+                            talepSayisi: { $sum: 1 },
+                            eksikArac: { $sum: "$eksikArac" },
+                            etkilenenKisi: { $sum: "$etkilenenKisiSayisi" },
+                        },
+                    },
+                    { $sort: { eksikArac: -1 } },
+                ],
+                hucreler: [
+                    {
+                        $group: {
+                            _id: { lat: { $round: ["$lokasyon.lat", 1] }, lng: { $round: ["$lokasyon.lng", 1] } },
+                            lat: { $avg: "$lokasyon.lat" },
+                            lng: { $avg: "$lokasyon.lng" },
+                            ornekAdres: { $first: "$lokasyon.adres" },
+                            talepSayisi: { $sum: 1 },
+                            eksikArac: { $sum: "$eksikArac" },
+                        },
+                    },
+                    { $sort: { eksikArac: -1 } },
+                ],
+                aracTurleri: [
+                    { $unwind: "$eksikler" },
+                    { $match: { "eksikler.eksik": { $gt: 0 } } },
+                    { $group: { _id: "$eksikler.aracTuru", eksikArac: { $sum: "$eksikler.eksik" } } },
+                    { $sort: { eksikArac: -1 } },
+                ],
+            },
+        },
+    ]);
+
+    const bolgeIdler = sonuc.bolgeler.map((b) => b._id).filter(Boolean);
+    const bolgeler = await OperasyonBolgesi.find({ _id: { $in: bolgeIdler } }).select("ad").lean();
+    const bolgeAdlari = new Map(bolgeler.map((b) => [String(b._id), b.ad]));
+
+    const { _id, ...toplam } = sonuc.toplam[0] || { talepSayisi: 0, eksikArac: 0, etkilenenKisi: 0 };
+
+    return {
+        toplam,
+        bolgeler: sonuc.bolgeler.map(({ _id: bolgeId, ...satir }) => ({
+            operasyonBolgesiId: bolgeId,
+            ad: bolgeId ? bolgeAdlari.get(String(bolgeId)) || "Silinmiş bölge" : "Bölge dışı",
+            ...satir,
+        })),
+        hucreler: sonuc.hucreler.map(({ _id: hucre, lat, lng, ...satir }) => ({
+            lat: yuvarla(lat, 4),
+            lng: yuvarla(lng, 4),
+            ...satir,
+        })),
+        aracTurleri: sonuc.aracTurleri.map(({ _id: aracTuru, eksikArac }) => ({ aracTuru, eksikArac })),
+    };
+};
+
+/**
+ * Talep eden kurumlara göre talep durumları ve karşılanmayan araç ihtiyacı
+ * @param {Object} kapsam - raporKapsamiOlustur çıktısı
+ */
+export const kurumTalepleriHesapla = async({ talepFiltresi }) => {
+    const gruplar = await Talep.aggregate([
+        { $match: talepFiltresi },
+        {
+            $project: {
+                talepEdenKurumFirmaId: 1,
+                durum: 1,
+                eksikArac: {
+                    $cond: [{ $in: ["$durum", ACIK_TALEP_DURUMLARI] }, { $sum: { $let: { vars: { e: eksikAraclarIfadesi }, in: "$$e.eksik" } } }, 0],
+                },
+            },
+        },
+        {
+            $group: {
+                _id: "$talepEdenKurumFirmaId",
+                toplam: { $sum: 1 },
+                acik: { $sum: { $cond: [{ $in: ["$durum", ACIK_TALEP_DURUMLARI] }, 1, 0] } },
+                gorevlendirilen: { $sum: { $cond: [{ $eq: ["$durum", "gorevlendirildi"] }, 1, 0] } },
+                tamamlanan: { $sum: { $cond: [{ $eq: ["$durum", "tamamlandı"] }, 1, 0] } },
+                iptal: { $sum: { $cond: [{ $eq: ["$durum", "iptal edildi"] }, 1, 0] } },
+                eksikArac: { $sum: "$eksikArac" },
+            },
+        },
+        { $sort: { acik: -1, toplam: -1 } },
+    ]);
+
+    const kurumlar = await KurumFirma.find({ _id: { $in: gruplar.map((g) => g._id) } }).select("kurumAdi").lean();
+    const kurumAdlari = new Map(kurumlar.map((k) => [String(k._id), k.kurumAdi]));
+
+    return gruplar.map(({ _id: kurumId, ...satir }) => ({
+        kurumFirmaId: kurumId,
+        kurumAdi: kurumAdlari.get(String(kurumId)) || "Bilinmiyor",
+        ...satir,
+    }));
+};
@@ -0,0 +1,234 @@
+import axios from "axios";
+
+/*
+ * Mesafe / süre (ETA) hesaplama sağlayıcıları.
+ * ROTA_SAGLAYICILARI ile sıra belirlenir (ör. "osrm,google"); bir sağlayıcı yapılandırılmamışsa
+ * ya da hata verirse sıradakine geçilir. Çevrimdışı tahmin her zaman son çaredir ve hiç başarısız olmaz.
+ */
+
+// Çevrimdışı tahminde kuş uçuşu mesafenin yol mesafesine çevrilmesinde kullanılan katsayı
+const YOL_KATSAYISI = Number(process.env.ROTA_YOL_KATSAYISI) || 1.3;
+
+// Çevrimdışı tahminde araç türüne göre ortalama hız (km/s)
+export const ARAC_TURU_HIZLARI = {
+    otomobil: 70,
+    kamyonet: 65,
+    "pick-Up": 65,
+    "minibüs": 60,
+    "otobüs": 55,
+    kamyon: 50,
+    tanker: 50,
+    "çekici(Tır)": 45,
+    "y.Römork": 45,
+    lowbed: 40,
+    motosiklet: 60,
+};
+const VARSAYILAN_HIZ = 50;
+
+const ONBELLEK_SURESI_MS = (Number(process.env.ROTA_ONBELLEK_SURESI_DK) || 10) * 60 * 1000;
+const MAKS_ONBELLEK_KAYDI = 5000;
+const ISTEK_ZAMAN_ASIMI_MS = 8000;
+
+/**
+ * İki nokta arasındaki kuş uçuşu mesafeyi (km) hesaplar
+ * @param {{lat: number, lng: number}} a
+ * @param {{lat: number, lng: number}} b
+ * @returns {number}
+ */
+export const haversineKm = (a, b) => {
+    const R = 6371;
+    const radyan = (derece) => (derece * Math.PI) / 180;
+    const dLat = radyan(b.lat - a.lat);
+    const dLng = radyan(b.lng - a.lng);
+    const h = Math.sin(dLat / 2) ** 2 +
+        Math.cos(radyan(a.lat)) * Math.cos(radyan(b.lat)) * Math.sin(dLng / 2) ** 2;
+    return 2 * R * Math.asin(Math.sqrt(h));
+};
+
+// Her sağlayıcı kaynak noktalardan tek hedefe [{ mesafeMetre, sureSaniye } | null] döner
+const SAGLAYICILAR = {
+    google: {
+        hazirMi: () => Boolean(process.env.GOOGLE_MAPS_API_KEY),
+        hesapla: async(kaynaklar, hedef) => {
+            const response = await axios.get("https://maps.googleapis.com/maps/api/distancematrix/json", {
+                params: {
+                    origins: kaynaklar.map((k) => `${k.lat},${k.lng}`).join("|"),
+                    destinations: `${hedef.lat},${hedef.lng}`,
+                    key: process.env.GOOGLE_MAPS_API_KEY,
+                    language: "tr",
+                },
+                timeout: ISTEK_ZAMAN_ASIMI_MS,
+            });
+
+            if (response.data.status !== "OK") {
+                throw new Error(`Google Distance Matrix: ${response.data.status}`);
+            }
+
+            return response.data.rows.map((row) => {
+                const eleman = row.elements[0];
+                return eleman.status === "OK" ?
+                    { mesafeMetre: eleman.distance.value, sureSaniye: eleman.duration.value } :
+                    null;
+            });
+        },
+    },
+
+    osrm: {
+        hazirMi: () => Boolean(process.env.OSRM_URL),
+        hesapla: async(kaynaklar, hedef) => {
+            const noktalar = [...kaynaklar, hedef].map((k) => `${k.lng},${k.lat}`).join(";");
+            const response = await axios.get(`${process.env.OSRM_URL}/table/v1/driving/${noktalar}`, {
+                params: {
+                    sources: kaynaklar.map((_, i) => i).join(";"),
+                    destinations: kaynaklar.length,
+                    annotations: "duration,distance",
+                },
+                timeout: ISTEK_ZAMAN_ASIMI_MS,
+            });
+
+            if (response.data.code !== "Ok") {
+                throw new Error(`OSRM: ${response.data.code}`);
+            }
+
+            return kaynaklar.map((_, i) => {
+                const sure = response.data.durations?.[i]?.[0];
+                const mesafe = response.data.distances?.[i]?.[0];
+                return sure == null || mesafe == null ? null : { mesafeMetre: mesafe, sureSaniye: sure };
+            });
+        },
+    },
+
+    graphhopper: {
+        hazirMi: () => Boolean(process.env.GRAPHHOPPER_URL),
+        hesapla: async(kaynaklar, hedef) => {
+            const response = await axios.post(`${process.env.GRAPHHOPPER_URL}/matrix`, {
+                from_points: kaynaklar.map((k) => [k.lng, k.lat]),
+                to_points: [
+                    [hedef.lng, hedef.lat]
+                ],
+                out_arrays: ["distances", "times"],
+                profile: "car",
+            }, {
+                params: process.env.GRAPHHOPPER_API_KEY ? { key: process.env.GRAPHHOPPER_API_KEY } : {},
+                timeout: ISTEK_ZAMAN_ASIMI_MS,
+            });
+
+            return kaynaklar.map((_, i) => {
+                const sure = response.data.times?.[i]?.[0];
+                const mesafe = response.data.distances?.[i]?.[0];
+                return sure == null || mesafe == null ? null : { mesafeMetre: mesafe, sureSaniye: sure };
+            });
+        },
+    },
+
+    cevrimdisi: {
+        hazirMi: () => true,
+        hesapla: async(kaynaklar, hedef, { aracTuru } = {}) => {
+            const hiz = ARAC_TURU_HIZLARI[aracTuru] || VARSAYILAN_HIZ;
+            return kaynaklar.map((kaynak) => {
+                const yolKm = haversineKm(kaynak, hedef) * YOL_KATSAYISI;
+                return {
+                    mesafeMetre: Math.round(yolKm * 1000),
+                    sureSaniye: Math.round((yolKm / hiz) * 3600),
+                };
+            });
+        },
+    },
+};
+
+// Yapılandırılmış sağlayıcı sırası, çevrimdışı tahmin daima sonda
+const saglayiciSirasi = () => {
+    const sira = (process.env.ROTA_SAGLAYICILARI || "google")
+        .split(",")
+        .map((ad) => ad.trim())
+        .filter((ad) => SAGLAYICILAR[ad] && ad !== "cevrimdisi");
+    return [...new Set(sira), "cevrimdisi"];
+};
+
+// Kaynak / hedef çifti başına önbellek (aynı çift için tekrar tekrar dış servis çağrılmaz)
+const onbellek = new Map();
+
+const onbellekAnahtari = (kaynak, hedef, aracTuru) =>
+    `${Number(kaynak.lat).toFixed(5)},${Number(kaynak.lng).toFixed(5)}>${Number(hedef.lat).toFixed(5)},${Number(hedef.lng).toFixed(5)}|${aracTuru || ""}`;
+
+const onbellektenGetir = (anahtar) => {
+    const kayit = onbellek.get(anahtar);
+    if (!kayit) return null;
+    if (kayit.sonGecerlilik < Date.now()) {
+        onbellek.delete(anahtar);
+        return null;
+    }
+    return kayit.sonuc;
+};
+
+const onbellegeYaz = (anahtar, sonuc) => {
+    // Kapasite dolduysa en eski kayıt silinir (Map ekleme sırasını korur)
+    if (onbellek.size >= MAKS_ONBELLEK_KAYDI) {
+        onbellek.delete(onbellek.keys().next().value);
+    }
+    onbellek.set(anahtar, { sonuc, sonGecerlilik: Date.now() + ONBELLEK_SURESI_MS });
+};
+
+/**
+ * Kaynak noktalardan hedefe mesafe ve süreyi, yapılandırılmış sağlayıcılarla sırayla deneyerek hesaplar
+ * @param {Array<{lat: number, lng: number}>} kaynaklar - Araç konumları
+ * @param {{lat: number, lng: number}} hedef - Hedef konum
+ * @param {Object} [secenekler]
+ * @param {string} [secenekler.aracTuru] - Çevrimdışı tahminde hız seçimi için araç türü
+ * @returns {Promise<Array<{mesafeMetre: number, sureSaniye: number, saglayici: string, onbellek: boolean}>>}
+ */
+export const rotaBilgileriHesapla = async(kaynaklar, hedef, { aracTuru } = {}) => {
+    const sonuclar = kaynaklar.map((kaynak) => {
+        const kayit = onbellektenGetir(onbellekAnahtari(kaynak, hedef, aracTuru));
+        return kayit ? { ...kayit, onbellek: true } : null;
+    });
+
+    for (const ad of saglayiciSirasi()) {
+        const eksikler = sonuclar.map((sonuc, i) => (sonuc ? null : i)).filter((i) => i !== null);
+        if (eksikler.length === 0) break;
+
+        const saglayici = SAGLAYICILAR[ad];
+        if (!saglayici.hazirMi()) continue;
+
+        try {
+            const hesaplananlar = await saglayici.hesapla(eksikler.map((i) => kaynaklar[i]), hedef, { aracTuru });
+
+            hesaplananlar.forEach((hesaplanan, j) => {
+                if (!hesaplanan) return;
+                const sonuc = { ...hesaplanan, saglayici: ad };
+                const i = eksikler[j];
+                sonuclar[i] = { ...sonuc, onbellek: false };
+                onbellegeYaz(onbellekAnahtari(kaynaklar[i], hedef, aracTuru), sonuc);
+            });
+        } catch (error) {
+            console.warn(`Rota sağlayıcısı "${ad}" kullanılamadı: ${error.message}`);
+        }
+    }
+
+    return sonuclar;
+};
+
+/**
+ * Saniye cinsinden süreyi okunabilir metne çevirir (ör. "1 saat 5 dk")
+ * @param {number} saniye
+ * @returns {string}
+ */
+export const sureMetni = (saniye) => {
+    if (saniye == null) return "-";
+    const toplamDakika = Math.max(1, Math.round(saniye / 60));
+    const saat = Math.floor(toplamDakika / 60);
+    const dakika = toplamDakika % 60;
+    if (saat === 0) return `${dakika} dk`;
+    return dakika === 0 ? `${saat} saat` : `${saat} saat ${dakika} dk`;
+};
+
+/**
+ * Metre cinsinden mesafeyi okunabilir metne çevirir (ör. "12,3 km")
+ * @param {number} metre
+ * @returns {string}
+ */
+export const mesafeMetni = (metre) => {
+    if (metre == null) return "-";
+    if (metre < 1000) return `${Math.round(metre)} m`;
+    return `${(metre / 1000).toLocaleString("tr-TR", { maximumFractionDigits: 1 })} km`;
+};
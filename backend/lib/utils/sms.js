@@ -26,7 +26,7 @@ const formatPhoneNumber = (phoneNumber) => {
  * @param {Object} params - SMS gönderim parametreleri
  * @param {string} params.to - Alıcının telefon numarası (+90 ile başlamalı)
  * @param {string} params.message - Gönderilecek mesaj içeriği
- * @returns {Promise<{success: boolean, error?: string}>}
+ * @returns {Promise<{success: boolean, error?: string, kalici?: boolean}>} kalici: numara kalıcı olarak reddedildi (tekrar denenmemeli)
  */
 export const smsGonder = async({ to, message }) => {
     try {
@@ -61,7 +61,18 @@ export const smsGonder = async({ to, message }) => {
             console.warn(`⚠️ Doğrulanmamış numara: ${to}`);
             return {
                 success: false,
-                error: "Bu telefon numarası SMS servisi için doğrulanmamış. Deneme hesabında sadece doğrulanmış numaralara SMS gönderilebilir."
+                error: "Bu telefon numarası SMS servisi için doğrulanmamış. Deneme hesabında sadece doğrulanmış numaralara SMS gönderilebilir.",
+                kalici: true
+            };
+        }
+
+        // Geçersiz ya da SMS alamayan numara
+        if (error.code === 21211 || error.code === 21614) {
+            console.warn(`⚠️ Geçersiz numara: ${to}`);
+            return {
+                success: false,
+                error: "Telefon numarası geçersiz ya da SMS alamıyor.",
+                kalici: true
             };
         }
 
@@ -0,0 +1,94 @@
+import Gorev from "../../models/gorev.model.js";
+import { AKTIF_GOREV_DURUMLARI } from "./talepKarsilanma.js";
+
+// Araç türünü kullanmaya yetkili ehliyet sınıfları
+export const ARAC_TURU_EHLIYETLERI = {
+    otomobil: ["B", "BE", "C1", "C1E", "C", "CE", "D1", "D1E", "D", "DE"],
+    kamyonet: ["B", "BE", "C1", "C1E", "C", "CE", "D1", "D1E", "D", "DE"],
+    "pick-Up": ["B", "BE", "C1", "C1E", "C", "CE", "D1", "D1E", "D", "DE"],
+    "minibüs": ["D1", "D1E", "D", "DE"],
+    "otobüs": ["D", "DE"],
+    kamyon: ["C", "CE"],
+    tanker: ["C", "CE"],
+    "çekici(Tır)": ["CE"],
+    "y.Römork": ["CE"],
+    lowbed: ["CE"],
+    motosiklet: ["A1", "A2", "A"],
+};
+
+/**
+ * Şoförün ehliyetinin araç türüne uygunluğunu ve geçerliliğini kontrol eder
+ * @param {Object} sofor - Sofor dokümanı
+ * @param {string} aracTuru - Görevlendirilecek aracın türü
+ * @param {Date} [tarih] - Kontrolün yapılacağı tarih
+ * @returns {string|null} Hata mesajı, uygunsa null
+ */
+export const ehliyetKontrol = (sofor, aracTuru, tarih = new Date()) => {
+    if (!sofor.ehliyetGecerlilikTarihi || sofor.ehliyetGecerlilikTarihi < tarih) {
+        return `${sofor.ad} ${sofor.soyad} adlı şoförün ehliyet süresi dolmuş`;
+    }
+
+    const gerekliSiniflar = ARAC_TURU_EHLIYETLERI[aracTuru] || [];
+    if (!sofor.ehliyetSiniflari?.some((sinif) => gerekliSiniflar.includes(sinif))) {
+        return `${sofor.ad} ${sofor.soyad} adlı şoförün ehliyet sınıfı "${aracTuru}" kullanmaya uygun değil (gerekli: ${gerekliSiniflar.join(", ")})`;
+    }
+
+    return null;
+};
+
+/**
+ * Şoför ile aracın aynı kurum / araç sahibine ait olup olmadığını kontrol eder
+ * @param {Object} sofor - Sofor dokümanı
+ * @param {Object} arac - Arac dokümanı
+ * @returns {boolean}
+ */
+export const ayniSahibeAitMi = (sofor, arac) => {
+    if (arac.kurumFirmaId) {
+        return sofor.kurumFirmaId?.toString() === arac.kurumFirmaId.toString();
+    }
+    return !!arac.kullaniciId && sofor.kullaniciId?.toString() === arac.kullaniciId.toString();
+};
+
+/**
+ * Şoförün sonuçlanmamış (aktif) görevini getirir.
+ * Görevlerin planlanan zaman aralığı olmadığından aktif her görev çakışma sayılır.
+ * @param {string} soforId - Şoför id
+ * @param {Object} [session] - Transaction içinde çağrılıyorsa mongoose oturumu
+ * @returns {Promise<Object|null>}
+ */
+export const soforAktifGorevGetir = (soforId, session = null) => {
+    return Gorev.findOne({
+        soforId,
+        gorevDurumu: { $in: AKTIF_GOREV_DURUMLARI },
+        isDeleted: false,
+    }).session(session);
+};
+
+/**
+ * Şoförün verilen araçla görevlendirilip görevlendirilemeyeceğini kontrol eder
+ * @param {Object} sofor - Sofor dokümanı
+ * @param {Object} arac - Arac dokümanı
+ * @param {Object} [session] - Transaction içinde çağrılıyorsa mongoose oturumu
+ * @returns {Promise<string|null>} Hata mesajı, uygunsa null
+ */
+export const soforUygunlukKontrol = async(sofor, arac, session = null) => {
+    if (!ayniSahibeAitMi(sofor, arac)) {
+        return "Şoför, aracın ait olduğu kurum / araç sahibine kayıtlı değil";
+    }
+
+    if (sofor.musaitlikDurumu === "izinli") {
+        return `${sofor.ad} ${sofor.soyad} adlı şoför izinli`;
+    }
+
+    const ehliyetHatasi = ehliyetKontrol(sofor, arac.aracTuru);
+    if (ehliyetHatasi) {
+        return ehliyetHatasi;
+    }
+
+    const aktifGorev = await soforAktifGorevGetir(sofor._id, session);
+    if (aktifGorev) {
+        return `${sofor.ad} ${sofor.soyad} adlı şoförün devam eden bir görevi var`;
+    }
+
+    return null;
+};
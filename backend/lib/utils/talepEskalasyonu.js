@@ -0,0 +1,176 @@
+import mongoose from "mongoose";
+import Talep from "../../models/talep.model.js";
+import { bildirimOlustur } from "./bildirimOlustur.js";
+import { bildirimGonder } from "./bildirimGonder.js";
+import { talepOlayiYayinla } from "./canliYayin.js";
+import { talepKoordinatorleriniBul } from "./koordinatorKapsami.js";
+import {
+    ACIK_TALEP_DURUMLARI,
+    BEKLEME_TAVAN_KATSAYISI,
+    ESKALASYON_ESIKLERI_DK,
+    beklemeBaslangici,
+    birUstOncelik,
+    triyajSkoruHesapla,
+} from "./talepTriyaj.js";
+
+// Açık taleplerin kaç dakikada bir kontrol edileceği
+const KONTROL_ARALIGI_DK = Number(process.env.TALEP_ESKALASYON_ARALIGI_DK) || 5;
+
+let zamanlayici = null;
+
+const eskalasyonMailHtmlOlustur = (koordinator, talep, oncekiOncelik, beklemeDk) => `
+<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+    <h2 style="color: #c0392b;">${oncekiOncelik !== talep.oncelik ? "Talep Önceliği Yükseltildi" : "Kritik Talep Hâlâ Karşılanmadı"}</h2>
+    <p>Sayın ${koordinator.ad} ${koordinator.soyad},</p>
+    <div style="background-color: #f8f9fa; padding: 15px; border-radius: 5px; margin: 15px 0;">
+        <p><strong>Başlık:</strong> ${talep.baslik}</p>
+        <p><strong>Konum:</strong> ${talep.lokasyon.adres}</p>
+        <p><strong>Öncelik:</strong> ${oncekiOncelik} → ${talep.oncelik}</p>
+        <p><strong>Bekleme:</strong> ${beklemeDk} dk</p>
+        <p><strong>Triyaj Skoru:</strong> ${talep.triyajSkoru}</p>
+    </div>
+    <p>Talep, önceliği için tanımlı bekleme süresini aştığı halde araç ihtiyacı karşılanmamıştır.</p>
+</div>`;
+
+const eskalasyonuBildir = async(talep, oncekiOncelik, beklemeDk) => {
+    const koordinatorler = await talepKoordinatorleriniBul(talep);
+    const kritik = talep.oncelik === "kritik";
+    // Kritik talepler yükseltilemez, yalnızca hatırlatılır
+    const yukseltildi = oncekiOncelik !== talep.oncelik;
+    const baslik = yukseltildi ?
+        `Talep Önceliği Yükseltildi: ${talep.baslik}` :
+        `Kritik Talep Hâlâ Karşılanmadı: ${talep.baslik}`;
+    const icerik = yukseltildi ?
+        `${beklemeDk} dk'dır karşılanmayan talebin önceliği "${oncekiOncelik}" → "${talep.oncelik}" olarak yükseltildi.` :
+        `Kritik talep ${beklemeDk} dk'dır karşılanmayı bekliyor.`;
+    const hedefUrl = `/talepler/${talep._id}`;
+
+    for (const k of koordinatorler) {
+        await bildirimOlustur({
+            kullaniciId: k._id,
+            baslik,
+            icerik,
+            hedefUrl,
+            tur: "talep",
+            gizlilik: "bireysel",
+            olay: "talep_eskalasyonu",
+            kritik,
+            afetOlayiId: talep.afetOlayiId,
+        });
+
+        if (k.email || k.telefon) {
+            await bildirimGonder({
+                email: k.email,
+                telefon: k.telefon,
+                subject: baslik,
+                html: eskalasyonMailHtmlOlustur(k, talep, oncekiOncelik, beklemeDk),
+                baslik: "Talep Eskalasyonu",
+                mesaj: `${talep.baslik}\n${icerik}`,
+                konum: talep.lokasyon,
+                kaynak: { tur: "talep", id: talep._id },
+                kullaniciId: k._id,
+                olay: "talep_eskalasyonu",
+                kritik,
+                hedefUrl,
+            });
+        }
+    }
+};
+
+// Verilen zamandan önce oluşturulmuş kayıtların _id üst sınırı (createdAt'i olmayan eski talepler de kapsanır)
+const zamanaKadarId = (zaman) => mongoose.Types.ObjectId.createFromTime(Math.floor(zaman.getTime() / 1000));
+
+/**
+ * Zamanlayıcının işlemesi gereken açık talepler: bekleme eşiğini aşmış olanlar ve bekleme puanı henüz tavana
+ * ulaşmadığı için triyaj skoru zamanla değişenler. Tavandaki talepler yalnızca değiştiklerinde yeniden skorlanır.
+ * @param {Date} simdi
+ * @returns {Object} Mongo filtresi
+ */
+const islenecekTalepFiltresi = (simdi) => ({
+    durum: { $in: ACIK_TALEP_DURUMLARI },
+    isDeleted: false,
+    $or: Object.entries(ESKALASYON_ESIKLERI_DK).flatMap(([oncelik, esikDk]) => {
+        const esikZamani = new Date(simdi.getTime() - esikDk * 60000);
+        const tavanZamani = new Date(simdi.getTime() - esikDk * BEKLEME_TAVAN_KATSAYISI * 60000);
+        return [
+            { oncelik, "eskalasyon.sonZaman": { $lte: esikZamani } },
+            { oncelik, "eskalasyon.sonZaman": null, _id: { $lte: zamanaKadarId(esikZamani) } },
+            { oncelik, _id: { $gt: zamanaKadarId(tavanZamani) } },
+        ];
+    }),
+});
+
+/**
+ * Açık taleplerin triyaj skorlarını günceller; önceliğinin bekleme eşiğini aşan talepleri bir üst önceliğe
+ * yükseltip sorumlu koordinatörleri bilgilendirir. Kritik talepler her eşik aşımında yeniden bildirilir.
+ * Değişiklikler tek bir toplu yazmayla kaydedilir.
+ */
+export const talepEskalasyonlariniIsle = async() => {
+    try {
+        const simdi = new Date();
+        const talepler = await Talep.find(islenecekTalepFiltresi(simdi))
+            .select("oncelik durum createdAt etkilenenKisiSayisi karsilanma triyajSkoru eskalasyon")
+            .lean();
+
+        const yazmalar = [];
+        const eskalasyonlar = new Map();
+        for (const talep of talepler) {
+            const beklemeDk = Math.round((simdi - beklemeBaslangici(talep)) / 60000);
+            const oncekiOncelik = talep.oncelik;
+            const guncelleme = {};
+
+            if (beklemeDk >= ESKALASYON_ESIKLERI_DK[oncekiOncelik]) {
+                talep.oncelik = birUstOncelik(oncekiOncelik);
+                talep.eskalasyon = {
+                    seviye: (talep.eskalasyon?.seviye || 0) + 1,
+                    sonZaman: simdi,
+                };
+                guncelleme.oncelik = talep.oncelik;
+                guncelleme.eskalasyon = talep.eskalasyon;
+                eskalasyonlar.set(talep._id.toString(), { oncekiOncelik, beklemeDk });
+            }
+
+            const skor = triyajSkoruHesapla(talep, simdi).skor;
+            if (skor !== talep.triyajSkoru) {
+                guncelleme.triyajSkoru = skor;
+            }
+
+            if (Object.keys(guncelleme).length === 0) continue;
+            // Okuma ile yazma arasında önceliği değişen ya da kuyruktan çıkan talebe dokunulmaz
+            yazmalar.push({
+                updateOne: {
+                    filter: { _id: talep._id, oncelik: oncekiOncelik, durum: { $in: ACIK_TALEP_DURUMLARI } },
+                    update: { $set: guncelleme },
+                },
+            });
+        }
+
+        if (yazmalar.length === 0) return;
+        await Talep.bulkWrite(yazmalar, { ordered: false });
+        if (eskalasyonlar.size === 0) return;
+
+        // Bildirim yalnızca bu turda gerçekten yükseltilen talepler için gönderilir
+        const yukseltilenler = await Talep.find({
+            _id: { $in: [...eskalasyonlar.keys()] },
+            "eskalasyon.sonZaman": simdi,
+        });
+        for (const talep of yukseltilenler) {
+            const { oncekiOncelik, beklemeDk } = eskalasyonlar.get(talep._id.toString());
+            talepOlayiYayinla(talep, "guncellendi");
+            await eskalasyonuBildir(talep, oncekiOncelik, beklemeDk);
+        }
+    } catch (error) {
+        console.error("❌ Talep eskalasyonları işlenirken hata:", error.message);
+    }
+};
+
+/**
+ * Talep triyaj / eskalasyon zamanlayıcısını başlatır (veritabanı bağlantısından sonra çağrılmalı)
+ */
+export const talepEskalasyonunuBaslat = () => {
+    if (zamanlayici) return;
+
+    zamanlayici = setInterval(talepEskalasyonlariniIsle, KONTROL_ARALIGI_DK * 60 * 1000);
+    talepEskalasyonlariniIsle();
+    console.log(`⏫ Talep eskalasyon zamanlayıcısı başlatıldı (${KONTROL_ARALIGI_DK} dk aralıkla)`);
+};
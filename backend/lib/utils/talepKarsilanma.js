@@ -0,0 +1,118 @@
+import Gorev from "../../models/gorev.model.js";
+import Talep from "../../models/talep.model.js";
+import { triyajSkoruHesapla } from "./talepTriyaj.js";
+
+// Araç ataması devam eden (henüz sonuçlanmamış) görev durumları
+export const AKTIF_GOREV_DURUMLARI = ["beklemede", "yolda", "başladı"];
+
+/**
+ * Talepteki her araç türü için istenen / atanan / aktif / tamamlanan sayılarını hesaplar
+ * @param {Array<{aracTuru: string, aracSayisi: number}>} araclar - Talepte istenen araçlar
+ * @param {Array} gorevler - Talebe bağlı görevler (aracId en azından aracTuru ile populate edilmiş olmalı)
+ * @returns {Array<{aracTuru: string, talepEdilen: number, atanan: number, aktif: number, tamamlanan: number}>}
+ */
+export const karsilanmaHesapla = (araclar = [], gorevler = []) => {
+    const satirlar = new Map();
+
+    // Aynı tür birden fazla satırda istenmiş olabilir, türe göre topla
+    for (const arac of araclar) {
+        const satir = satirlar.get(arac.aracTuru) || {
+            aracTuru: arac.aracTuru,
+            talepEdilen: 0,
+            atanan: 0,
+            aktif: 0,
+            tamamlanan: 0,
+        };
+        satir.talepEdilen += arac.aracSayisi;
+        satirlar.set(arac.aracTuru, satir);
+    }
+
+    for (const gorev of gorevler) {
+        const satir = satirlar.get(gorev.aracId?.aracTuru);
+        if (!satir || gorev.gorevDurumu === "iptal edildi") continue;
+
+        satir.atanan++;
+        if (AKTIF_GOREV_DURUMLARI.includes(gorev.gorevDurumu)) {
+            satir.aktif++;
+        } else if (gorev.gorevDurumu === "tamamlandı") {
+            satir.tamamlanan++;
+        }
+    }
+
+    return [...satirlar.values()];
+};
+
+/**
+ * Karşılanma tablosuna göre talebin yeni durumunu belirler
+ * @param {string} mevcutDurum - Talebin mevcut durumu
+ * @param {Array} karsilanma - karsilanmaHesapla çıktısı
+ * @returns {string}
+ */
+export const talepDurumuBelirle = (mevcutDurum, karsilanma) => {
+    // İptal edilen talepler görev değişikliklerinden etkilenmez
+    if (mevcutDurum === "iptal edildi" || karsilanma.length === 0) {
+        return mevcutDurum;
+    }
+
+    if (karsilanma.every((k) => k.tamamlanan >= k.talepEdilen)) {
+        return "tamamlandı";
+    }
+    if (karsilanma.every((k) => k.atanan >= k.talepEdilen)) {
+        return "gorevlendirildi";
+    }
+    if (karsilanma.some((k) => k.atanan > 0)) {
+        return "kismen gorevlendirildi";
+    }
+    return "beklemede";
+};
+
+/**
+ * Talebe bağlı görevlerden güncel karşılanma tablosunu hesaplar (kaydetmez)
+ * @param {Object} talep - Talep dokümanı
+ * @param {Object} [session] - Transaction içinde çağrılıyorsa mongoose oturumu
+ * @returns {Promise<Array>}
+ */
+export const talepKarsilanmaGetir = async(talep, session = null) => {
+    const gorevler = await Gorev.find({ talepId: talep._id, isDeleted: false })
+        .select("gorevDurumu aracId")
+        .populate({ path: "aracId", select: "aracTuru", options: { session } })
+        .session(session);
+
+    return karsilanmaHesapla(talep.araclar, gorevler);
+};
+
+/**
+ * Talebin karşılanma tablosunu, durumunu ve triyaj skorunu görevlerden yeniden hesaplayıp kaydeder
+ * @param {Object} talep - Talep dokümanı
+ * @param {Object} [session] - Transaction içinde çağrılıyorsa mongoose oturumu
+ * @returns {Promise<Object>} Güncellenmiş talep
+ */
+export const talepKarsilanmaGuncelle = async(talep, session = null) => {
+    const karsilanma = await talepKarsilanmaGetir(talep, session);
+
+    talep.karsilanma = karsilanma;
+    talep.durum = talepDurumuBelirle(talep.durum, karsilanma);
+    talep.triyajSkoru = triyajSkoruHesapla(talep).skor;
+
+    await talep.save({ session });
+    return talep;
+};
+
+/**
+ * Karşılanma tablosu henüz hesaplanmamış (alan eklenmeden önce açılmış) taleplerin tablosunu görevlerden doldurur
+ * @returns {Promise<number>} Güncellenen talep sayısı
+ */
+export const eksikKarsilanmalariDoldur = async() => {
+    const talepler = Talep.find({
+        isDeleted: false,
+        "araclar.0": { $exists: true },
+        $or: [{ karsilanma: { $exists: false } }, { karsilanma: { $size: 0 } }],
+    }).cursor();
+
+    let sayi = 0;
+    for await (const talep of talepler) {
+        await talepKarsilanmaGuncelle(talep);
+        sayi++;
+    }
+    return sayi;
+};
@@ -0,0 +1,165 @@
+// Öncelik seviyeleri, düşükten yükseğe (eskalasyon bir sonraki seviyeye çıkarır)
+export const ONCELIK_SEVIYELERI = ["düşük", "normal", "yüksek", "kritik"];
+
+export const TALEP_KATEGORILERI = {
+    tahliye: "Tahliye",
+    "yaralı nakli": "Yaralı Nakli",
+    "gıda": "Gıda",
+    su: "Su",
+    "barınma": "Barınma",
+    enkaz: "Enkaz",
+    "diğer": "Diğer",
+};
+
+// Skoru oluşturan bileşenlerin ağırlıkları (toplamı 1)
+export const TRIYAJ_AGIRLIKLARI = {
+    oncelik: 0.4,
+    bekleme: 0.25,
+    etkilenenKisi: 0.2,
+    karsilanmayanArac: 0.15,
+};
+
+// Karşılanmamış talepler bu süreyi (dk) aşınca bir üst önceliğe yükseltilir ve koordinatörler uyarılır
+export const ESKALASYON_ESIKLERI_DK = {
+    "kritik": 30,
+    "yüksek": 2 * 60,
+    "normal": 6 * 60,
+    "düşük": 24 * 60,
+};
+
+// Araç bekleyen (triyaj kuyruğunda kalan) talep durumları
+export const ACIK_TALEP_DURUMLARI = ["beklemede", "kismen gorevlendirildi"];
+
+const ONCELIK_PUANLARI = {
+    "kritik": 100,
+    "yüksek": 70,
+    "normal": 40,
+    "düşük": 10,
+};
+
+// Bekleme bileşeni eşiğin bu katına ulaşınca tam puan alır
+export const BEKLEME_TAVAN_KATSAYISI = 2;
+
+// Etkilenen kişi bileşeni bu sayıda kişide tam puan alır (logaritmik ölçek)
+const TAVAN_KISI_SAYISI = 1000;
+
+const yuvarla = (deger) => Math.round(deger * 10) / 10;
+
+/**
+ * Talebin oluşturulma zamanı; zaman damgası eklenmeden önce açılmış talepler için _id'den çıkarılır
+ * @param {Object} talep - Talep dokümanı
+ * @returns {Date}
+ */
+export const talepOlusturulmaZamani = (talep) => talep.createdAt || talep._id.getTimestamp();
+
+/**
+ * Talebin en son ne zamandan beri beklediği; eskalasyon olduysa son eskalasyondan itibaren sayılır
+ * @param {Object} talep - Talep dokümanı
+ * @returns {Date}
+ */
+export const beklemeBaslangici = (talep) => talep.eskalasyon?.sonZaman || talepOlusturulmaZamani(talep);
+
+/**
+ * Bir üst öncelik seviyesini döner, kritik için kritik
+ * @param {string} oncelik
+ * @returns {string}
+ */
+export const birUstOncelik = (oncelik) => {
+    const sira = ONCELIK_SEVIYELERI.indexOf(oncelik);
+    return ONCELIK_SEVIYELERI[Math.min(sira + 1, ONCELIK_SEVIYELERI.length - 1)];
+};
+
+/**
+ * Talep ekleme / güncellemede gönderilen triyaj alanlarını doğrular
+ * @param {Object} params
+ * @param {string} [params.oncelik]
+ * @param {string[]} [params.kategoriler]
+ * @param {number} [params.etkilenenKisiSayisi]
+ * @returns {string|null} Hata mesajı, alanlar geçerliyse null
+ */
+export const triyajAlanlariniDogrula = ({ oncelik, kategoriler, etkilenenKisiSayisi }) => {
+    if (oncelik !== undefined && !ONCELIK_SEVIYELERI.includes(oncelik)) {
+        return `Geçersiz öncelik: "${oncelik}"`;
+    }
+
+    if (kategoriler !== undefined) {
+        if (!Array.isArray(kategoriler)) {
+            return "Kategoriler liste olarak gönderilmelidir";
+        }
+        const gecersiz = kategoriler.find((k) => !TALEP_KATEGORILERI[k]);
+        if (gecersiz) {
+            return `Geçersiz kategori: "${gecersiz}"`;
+        }
+    }
+
+    if (
+        etkilenenKisiSayisi !== undefined &&
+        etkilenenKisiSayisi !== null &&
+        (!Number.isInteger(Number(etkilenenKisiSayisi)) || Number(etkilenenKisiSayisi) < 0)
+    ) {
+        return "Etkilenen kişi sayısı sıfır veya pozitif bir tam sayı olmalıdır";
+    }
+
+    return null;
+};
+
+/**
+ * Talebin triyaj skorunu öncelik, bekleme süresi, etkilenen kişi sayısı ve karşılanmamış araçlardan hesaplar.
+ * Kuyrukta olmayan (sonuçlanmış ya da tüm araçları atanmış) taleplerin skoru 0'dır, böylece açık talepler her zaman önde sıralanır.
+ * @param {Object} talep - Talep dokümanı (karsilanma alanı güncel olmalı)
+ * @param {Date} [simdi]
+ * @returns {{skor: number, bilesenler: Array}}
+ */
+export const triyajSkoruHesapla = (talep, simdi = new Date()) => {
+    const oncelik = talep.oncelik || "normal";
+    const acik = ACIK_TALEP_DURUMLARI.includes(talep.durum);
+
+    const beklemeDk = Math.max(0, (simdi - new Date(talepOlusturulmaZamani(talep))) / 60000);
+    const esikDk = ESKALASYON_ESIKLERI_DK[oncelik];
+    const beklemePuani = acik ?
+        Math.min(beklemeDk / (esikDk * BEKLEME_TAVAN_KATSAYISI), 1) * 100 :
+        0;
+
+    const kisiSayisi = talep.etkilenenKisiSayisi || 0;
+    const kisiPuani = Math.min(Math.log10(1 + kisiSayisi) / Math.log10(1 + TAVAN_KISI_SAYISI), 1) * 100;
+
+    const talepEdilen = (talep.karsilanma || []).reduce((toplam, k) => toplam + k.talepEdilen, 0);
+    const karsilanmayan = (talep.karsilanma || []).reduce((toplam, k) => toplam + Math.max(0, k.talepEdilen - k.atanan), 0);
+    const aracPuani = acik && talepEdilen > 0 ? (karsilanmayan / talepEdilen) * 100 : 0;
+
+    const bilesenler = [{
+            kod: "oncelik",
+            ad: "Öncelik",
+            puan: ONCELIK_PUANLARI[oncelik],
+            aciklama: oncelik,
+        },
+        {
+            kod: "bekleme",
+            ad: "Bekleme Süresi",
+            puan: beklemePuani,
+            aciklama: acik ? `${Math.round(beklemeDk)} dk (eşik: ${esikDk} dk)` : "Araç beklemiyor",
+        },
+        {
+            kod: "etkilenenKisi",
+            ad: "Etkilenen Kişi",
+            puan: kisiPuani,
+            aciklama: `${kisiSayisi} kişi`,
+        },
+        {
+            kod: "karsilanmayanArac",
+            ad: "Karşılanmayan Araç",
+            puan: aracPuani,
+            aciklama: `${acik ? karsilanmayan : 0} / ${talepEdilen} araç atanmadı`,
+        },
+    ].map((bilesen) => ({
+        ...bilesen,
+        agirlik: TRIYAJ_AGIRLIKLARI[bilesen.kod],
+        puan: yuvarla(bilesen.puan),
+        katki: yuvarla(bilesen.puan * TRIYAJ_AGIRLIKLARI[bilesen.kod]),
+    }));
+
+    return {
+        skor: acik ? yuvarla(bilesenler.reduce((toplam, b) => toplam + b.katki, 0)) : 0,
+        bilesenler,
+    };
+};
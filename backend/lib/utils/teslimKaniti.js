@@ -0,0 +1,108 @@
+import { depolama } from "./dosyaDepolama.js";
+
+// Teslim kanıtını oluşturan alanlar; TESLIM_KANITI_ZORUNLU ile hangilerinin zorunlu olduğu belirlenir
+export const TESLIM_KANITI_ALANLARI = {
+    fotograf: "En az bir teslim fotoğrafı",
+    imza: "Teslim alanın imzası",
+    teslimAlan: "Teslim alanın adı soyadı",
+    teslimMiktari: "Teslim edilen miktar",
+    konum: "Teslim anındaki konum",
+};
+
+export const TESLIM_ONAY_DURUMLARI = {
+    bekliyor: "Onay bekliyor",
+    onaylandi: "Teslim alındı",
+    itiraz_edildi: "İtiraz edildi",
+};
+
+// Fotoğraf ve imza yüklemelerinde kabul edilen en büyük boyut
+export const MAKS_TESLIM_DOSYASI_BOYUTU = 5 * 1024 * 1024;
+
+export const MAKS_TESLIM_FOTOGRAFI_SAYISI = 10;
+
+/**
+ * Görevi tamamlarken zorunlu tutulan teslim kanıtı alanları.
+ * TESLIM_KANITI_ZORUNLU "hepsi" ya da virgülle ayrılmış alan listesidir (ör. "fotograf,imza"); boşsa kanıt isteğe bağlıdır.
+ * @returns {string[]}
+ */
+export const zorunluTeslimAlanlari = () => {
+    const deger = (process.env.TESLIM_KANITI_ZORUNLU || "").trim();
+    if (deger === "hepsi") return Object.keys(TESLIM_KANITI_ALANLARI);
+
+    return deger.split(",").map((alan) => alan.trim()).filter((alan) => TESLIM_KANITI_ALANLARI[alan]);
+};
+
+/**
+ * Görev tamamlanırken gönderilen teslim bilgilerini doğrular ve zorunlu alanları kontrol eder
+ * @param {Object} mevcutKanit - Görevde kayıtlı teslim kanıtı (önceden yüklenen fotoğraf ve imza)
+ * @param {Object} [govde] - { teslimAlan, teslimMiktari, miktarBirimi, konum: { lat, lng, dogruluk } }
+ * @param {Object} [durumKonumu] - Durum güncellemesiyle gönderilen konum; teslim konumu verilmemişse kullanılır
+ * @returns {{veri: Object}|{hata: string}} veri: görev üzerinde "teslimKaniti.*" alanlarına yazılacak değerler
+ */
+export const teslimKanitiHazirla = (mevcutKanit, govde = {}, durumKonumu = null) => {
+    const veri = {};
+
+    const teslimAlan = typeof govde?.teslimAlan === "string" ? govde.teslimAlan.trim() : "";
+    if (teslimAlan) veri.teslimAlan = teslimAlan;
+
+    if (govde?.teslimMiktari !== undefined && govde.teslimMiktari !== null && govde.teslimMiktari !== "") {
+        const miktar = Number(govde.teslimMiktari);
+        if (!Number.isFinite(miktar) || miktar < 0) {
+            return { hata: "Teslim edilen miktar geçersiz" };
+        }
+        veri.teslimMiktari = miktar;
+        if (govde.miktarBirimi?.trim()) veri.miktarBirimi = govde.miktarBirimi.trim();
+    }
+
+    const konum = govde?.konum || durumKonumu;
+    if (konum && konum.lat !== undefined && konum.lng !== undefined) {
+        const lat = Number(konum.lat);
+        const lng = Number(konum.lng);
+        if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+            return { hata: "Teslim konumu geçersiz" };
+        }
+        veri.konum = {
+            lat,
+            lng,
+            ...(Number.isFinite(Number(konum.dogruluk)) && { dogruluk: Number(konum.dogruluk) }),
+        };
+    }
+
+    const mevcut = {
+        fotograf: mevcutKanit?.fotograflar?.length > 0,
+        imza: Boolean(mevcutKanit?.imza?.anahtar),
+        teslimAlan: Boolean(veri.teslimAlan),
+        teslimMiktari: veri.teslimMiktari !== undefined,
+        konum: Boolean(veri.konum),
+    };
+    const eksikler = zorunluTeslimAlanlari().filter((alan) => !mevcut[alan]);
+    if (eksikler.length > 0) {
+        return { hata: `Teslim kanıtı eksik: ${eksikler.map((alan) => TESLIM_KANITI_ALANLARI[alan]).join(", ")}` };
+    }
+
+    return { veri };
+};
+
+/**
+ * PDF formuna basmak için teslim kanıtı görüntülerini depolamadan okur; okunamayan dosyalar atlanır
+ * @param {Object} gorev
+ * @returns {Promise<{imza: Buffer|null, fotograflar: Buffer[]}>}
+ */
+export const teslimKanitiDosyalariGetir = async(gorev) => {
+    const oku = async(anahtar) => {
+        try {
+            return await depolama.oku(anahtar);
+        } catch (error) {
+            console.error("Teslim kanıtı dosyası okunamadı:", anahtar, error.message);
+            return null;
+        }
+    };
+
+    const kanit = gorev?.teslimKaniti;
+    const [imza, ...fotograflar] = await Promise.all([
+        kanit?.imza?.anahtar ? oku(kanit.imza.anahtar) : null,
+        ...(kanit?.fotograflar || []).map((fotograf) => oku(fotograf.anahtar)),
+    ]);
+
+    return { imza, fotograflar: fotograflar.filter(Boolean) };
+};
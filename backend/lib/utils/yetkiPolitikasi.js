@@ -0,0 +1,227 @@
+import mongoose from "mongoose";
+import Talep from "../../models/talep.model.js";
+import Gorev from "../../models/gorev.model.js";
+import Arac from "../../models/arac.model.js";
+import Sofor from "../../models/sofor.model.js";
+import { koordinatorBolgeleri } from "./koordinatorKapsami.js";
+
+// Sistemdeki adlandırılmış yetkiler. ".own" ile bitenler yalnızca kullanıcının (ya da kurumunun) kaydında,
+// ".any" ile bitenler koordinatörün bölge kapsamındaki tüm kayıtlarda geçerlidir.
+export const YETKILER = {
+    "talep.create": "Talep oluşturma",
+    "talep.create.any": "Başka kullanıcı / kurum adına talep oluşturma",
+    "talep.read.own": "Kendi taleplerini görüntüleme",
+    "talep.read.any": "Tüm talepleri görüntüleme",
+    "talep.update.own": "Kendi talebini düzenleme",
+    "talep.update.any": "Herhangi bir talebi düzenleme",
+    "talep.cancel.own": "Kendi talebini iptal etme",
+    "talep.cancel.any": "Herhangi bir talebi iptal etme",
+    "talep.delete.own": "Kendi talebini silme",
+    "talep.delete.any": "Herhangi bir talebi silme",
+
+    "gorev.assign": "Görev atama (öneriler, müsait araçlar, mesafe hesabı)",
+    "gorev.read.own": "Kendi görevlerini görüntüleme",
+    "gorev.read.any": "Tüm görevleri görüntüleme",
+    "gorev.status.own": "Kendi görevinin durumunu değiştirme",
+    "gorev.status.any": "Herhangi bir görevin durumunu değiştirme",
+    "gorev.location.own": "Kendi görevine konum gönderme",
+    "gorev.location.any": "Herhangi bir göreve konum gönderme",
+    "gorev.delivery.own": "Kendi görevine teslim kanıtı yükleme",
+    "gorev.delivery.any": "Herhangi bir göreve teslim kanıtı yükleme",
+    "gorev.delivery.confirm.own": "Kendi talebinin teslimatını onaylama / itiraz etme",
+
+    "arac.create": "Araç ekleme",
+    "arac.read.own": "Kendi araçlarını görüntüleme",
+    "arac.read.any": "Tüm araçları görüntüleme",
+    "arac.update.own": "Kendi aracını düzenleme",
+    "arac.delete.own": "Kendi aracını silme",
+    "arac.delete.any": "Herhangi bir aracı silme",
+
+    "sofor.create": "Şoför ekleme",
+    "sofor.read.own": "Kendi şoförlerini görüntüleme",
+    "sofor.read.any": "Tüm şoförleri görüntüleme",
+    "sofor.update.own": "Kendi şoförünü düzenleme",
+    "sofor.delete.own": "Kendi şoförünü silme",
+    "sofor.delete.any": "Herhangi bir şoförü silme",
+
+    "kullanici.read": "Kullanıcıları görüntüleme",
+    "kullanici.update": "Kullanıcı bilgilerini düzenleme",
+    "kullanici.delete": "Kullanıcı silme",
+    "kullanici.role.assign": "Rol ve kurum atama",
+    "kullanici.region.assign": "Koordinatöre operasyon bölgesi atama",
+    "kullanici.security.manage": "Oturum, giriş kilidi ve iki adımlı doğrulama yönetimi",
+
+    "kurum.read": "Kurum / firmaları görüntüleme",
+    "kurum.manage": "Kurum / firma ekleme, düzenleme ve silme",
+    "afetOlayi.manage": "Afet olayı açma, düzenleme ve kapatma",
+    "bolge.read": "Operasyon bölgelerini görüntüleme",
+    "bolge.manage": "Operasyon bölgesi ekleme, düzenleme ve silme",
+    "pdfSablonu.manage": "PDF şablonlarını yönetme",
+    "rapor.read": "Raporları görüntüleme",
+    "rapor.export": "Rapor ve görev listesi dışa aktarma (PDF / Excel)",
+    "mesaj.read": "Giden e-posta / SMS kayıtlarını görüntüleme",
+    "mesaj.retry": "Başarısız mesajı yeniden gönderme",
+};
+
+const KOORDINATOR_YETKILERI = [
+    "talep.create.any", "talep.read.any", "talep.update.any", "talep.cancel.any", "talep.delete.any",
+    "gorev.assign", "gorev.read.any", "gorev.status.any", "gorev.location.any", "gorev.delivery.any",
+    "arac.read.any", "arac.delete.any",
+    "sofor.read.any", "sofor.delete.any",
+    "kullanici.read", "kullanici.update", "kullanici.delete", "kullanici.role.assign", "kullanici.security.manage",
+    "kurum.read", "kurum.manage",
+    "afetOlayi.manage",
+    "bolge.read",
+    "pdfSablonu.manage",
+    "rapor.read", "rapor.export",
+    "mesaj.read", "mesaj.retry",
+];
+
+// Rol → yetki eşlemesi; rollerin yapabileceği her işlem yalnızca buradan değiştirilir
+export const ROL_YETKILERI = {
+    beklemede: [],
+    talep_eden: [
+        "talep.create", "talep.read.own", "talep.update.own", "talep.cancel.own", "talep.delete.own",
+        "gorev.read.own", "gorev.status.own", "gorev.delivery.confirm.own",
+    ],
+    arac_sahibi: [
+        "gorev.read.own", "gorev.status.own", "gorev.location.own", "gorev.delivery.own",
+        "arac.create", "arac.read.own", "arac.update.own", "arac.delete.own",
+        "sofor.create", "sofor.read.own", "sofor.update.own", "sofor.delete.own",
+    ],
+    koordinator: KOORDINATOR_YETKILERI,
+    // Süper koordinatör koordinatörün tüm yetkilerine ek olarak bölgeleri yönetir
+    super_koordinator: [...KOORDINATOR_YETKILERI, "kullanici.region.assign", "bolge.manage"],
+};
+
+/**
+ * Rolün sahip olduğu yetkiler
+ * @param {string} rol
+ * @returns {string[]}
+ */
+export const rolYetkileri = (rol) => ROL_YETKILERI[rol] || [];
+
+/**
+ * Kullanıcı verilen yetkilerden en az birine sahip mi
+ * @param {Object} kullanici
+ * @param {...string} yetkiler
+ * @returns {boolean}
+ */
+export const yetkisiVarMi = (kullanici, ...yetkiler) => {
+    const sahipOlunan = rolYetkileri(kullanici?.rol);
+    return yetkiler.some((yetki) => sahipOlunan.includes(yetki));
+};
+
+const kimlik = (deger) => (deger?._id || deger)?.toString();
+
+// Kayıt kullanıcıya ya da kullanıcının kurumuna mı ait
+const kullaniciyaAitMi = (kullanici, kullaniciId, kurumFirmaId) => {
+    const kullaniciKurumId = kimlik(kullanici.kurumFirmaId);
+    return kimlik(kullaniciId) === kullanici._id.toString() ||
+        (Boolean(kullaniciKurumId) && kimlik(kurumFirmaId) === kullaniciKurumId);
+};
+
+/**
+ * Bölge atanmış koordinatör yalnızca bölgelerine düşen taleplerde işlem yapabilir
+ * @param {Object} talep - operasyonBolgeleri alanıyla
+ * @param {Object} kullanici
+ * @returns {boolean}
+ */
+export const talepKapsamdaMi = (talep, kullanici) => {
+    const bolgeler = koordinatorBolgeleri(kullanici);
+    if (!bolgeler) return true;
+
+    const bolgeIdler = bolgeler.map(String);
+    return (talep?.operasyonBolgeleri || []).some((bolge) => bolgeIdler.includes(kimlik(bolge)));
+};
+
+// Kaynak türlerinin sahiplik ve koordinatör kapsamı kuralları
+const KAYNAKLAR = {
+    talep: {
+        ad: "Talep",
+        hataAlani: "error",
+        bul: (req) => mongoose.Types.ObjectId.isValid(req.params.id) &&
+            Talep.findOne({ _id: req.params.id, isDeleted: false })
+                .select("talepEdenKullaniciId talepEdenKurumFirmaId operasyonBolgeleri").lean(),
+        sahibiMi: async(talep, kullanici) =>
+            kullaniciyaAitMi(kullanici, talep.talepEdenKullaniciId, talep.talepEdenKurumFirmaId),
+        kapsamdaMi: async(talep, kullanici) => talepKapsamdaMi(talep, kullanici),
+    },
+    gorev: {
+        ad: "Görev",
+        hataAlani: "message",
+        bul: (req) => mongoose.Types.ObjectId.isValid(req.params.id) &&
+            Gorev.findOne({ _id: req.params.id, isDeleted: false }).select("aracId talepId koordinatorId").lean(),
+        // Görev aracın sahibine (araç sahibi) ve talebin sahibine (talep eden) aittir
+        sahibiMi: async(gorev, kullanici) => {
+            const [arac, talep] = await Promise.all([
+                Arac.findById(gorev.aracId).select("kullaniciId kurumFirmaId").lean(),
+                Talep.findById(gorev.talepId).select("talepEdenKullaniciId talepEdenKurumFirmaId").lean(),
+            ]);
+            return Boolean(arac && kullaniciyaAitMi(kullanici, arac.kullaniciId, arac.kurumFirmaId)) ||
+                Boolean(talep && kullaniciyaAitMi(kullanici, talep.talepEdenKullaniciId, talep.talepEdenKurumFirmaId));
+        },
+        // Görevi atayan koordinatör, talep bölgesi dışında kalsa da göreve erişebilir
+        kapsamdaMi: async(gorev, kullanici) => {
+            if (kimlik(gorev.koordinatorId) === kullanici._id.toString() || !koordinatorBolgeleri(kullanici)) {
+                return true;
+            }
+            const talep = await Talep.findById(gorev.talepId).select("operasyonBolgeleri").lean();
+            return talepKapsamdaMi(talep, kullanici);
+        },
+    },
+    arac: {
+        ad: "Araç",
+        hataAlani: "error",
+        bul: (req) => Arac.findOne({ plaka: req.params.plaka, isDeleted: false }).select("kullaniciId kurumFirmaId").lean(),
+        sahibiMi: async(arac, kullanici) => kullaniciyaAitMi(kullanici, arac.kullaniciId, arac.kurumFirmaId),
+        kapsamdaMi: async() => true,
+    },
+    sofor: {
+        ad: "Şoför",
+        hataAlani: "error",
+        bul: (req) => mongoose.Types.ObjectId.isValid(req.params.id) &&
+            Sofor.findOne({ _id: req.params.id, isDeleted: false }).select("kullaniciId kurumFirmaId").lean(),
+        // Kurumsal araç sahibi kurumun şoförlerini, bireysel araç sahibi kendi şoförlerini yönetir
+        sahibiMi: async(sofor, kullanici) => {
+            const kurumFirmaId = kimlik(kullanici.kurumFirmaId);
+            return kurumFirmaId
+                ? kimlik(sofor.kurumFirmaId) === kurumFirmaId
+                : kimlik(sofor.kullaniciId) === kullanici._id.toString();
+        },
+        kapsamdaMi: async() => true,
+    },
+};
+
+/**
+ * Kullanıcının kayıt üzerinde işlem yapıp yapamayacağını belirler:
+ * "<islem>.any" yetkisi koordinatör kapsamındaki, "<islem>.own" yetkisi kullanıcının kendi kayıtlarında geçerlidir
+ * @param {Object} kullanici
+ * @param {string} tur - talep | gorev | arac | sofor
+ * @param {Object} kayit - Kaynak kaydı (sahiplik alanlarıyla)
+ * @param {string} islem - Yetki öneki, ör. "gorev.read"
+ * @returns {Promise<boolean>}
+ */
+export const kaynakYetkisiVarMi = async(kullanici, tur, kayit, islem) => {
+    const kaynak = KAYNAKLAR[tur];
+
+    if (yetkisiVarMi(kullanici, `${islem}.any`) && (await kaynak.kapsamdaMi(kayit, kullanici))) {
+        return true;
+    }
+    return yetkisiVarMi(kullanici, `${islem}.own`) && (await kaynak.sahibiMi(kayit, kullanici));
+};
+
+/**
+ * Route parametresindeki kaydı yetki kontrolü için bulur
+ * @param {string} tur
+ * @param {Object} req
+ * @returns {Promise<Object|null>}
+ */
+export const kaynakBul = async(tur, req) => (await KAYNAKLAR[tur].bul(req)) || null;
+
+/**
+ * Kaynak türünün adı ve yanıtta kullandığı hata alanı (görev uçları "message" döner)
+ * @param {string} tur
+ * @returns {{ad: string, hataAlani: string}}
+ */
+export const kaynakBilgisi = (tur) => ({ ad: KAYNAKLAR[tur].ad, hataAlani: KAYNAKLAR[tur].hataAlani });
@@ -1,5 +1,6 @@
 import Kullanici from "../models/kullanici.model.js";
 import jwt from "jsonwebtoken";
+import { erisimOturumunuGetir } from "../lib/utils/oturum.js";
 
 export const JWTKontrol = async(req, res, next) => {
     try {
@@ -24,13 +25,18 @@ export const JWTKontrol = async(req, res, next) => {
 
         const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
-        const kullanici = await Kullanici.findById(decoded.userId).select("-sifre").populate("kurumFirmaId", "kurumAdi")
+        // Token kapatılmış bir oturuma aitse (çıkış, oturum iptali, hesap silme) süresi dolmamış olsa da reddedilir
+        const [kullanici, oturum] = await Promise.all([
+            Kullanici.findById(decoded.userId).select("-sifre").populate("kurumFirmaId", "kurumAdi"),
+            erisimOturumunuGetir(decoded),
+        ]);
 
-        if (!kullanici || kullanici.isDeleted) {
+        if (!kullanici || kullanici.isDeleted || !oturum) {
             return res.status(401).json({ error: "Bu işlem için giriş yapmanız gerekiyor." });
         }
 
         req.kullanici = kullanici;
+        req.oturum = oturum;
 
         next();
     } catch (error) {
@@ -0,0 +1,92 @@
+import crypto from "crypto";
+import IdempotencyKaydi from "../models/idempotencyKaydi.model.js";
+
+// Bu süreyi aşan "isleniyor" kaydı yarım kalmış sayılır (sunucu çökmesi vb.) ve yeni istek tarafından devralınır
+const ISLEM_ZAMAN_ASIMI_MS = 60 * 1000;
+
+/**
+ * Idempotency-Key başlığı gönderilen isteklerin yalnızca bir kez işlenmesini sağlar.
+ * Aynı anahtarla tekrar gelen istekte ilk yanıt aynen döner (Idempotent-Replayed: true).
+ * Başlık yoksa istek normal şekilde işlenir.
+ * @param {string} islem - Anahtarın geçerli olduğu işlem adı (ör. "gorevOlustur")
+ */
+export const idempotencyKontrol = (islem) => async(req, res, next) => {
+    const anahtar = req.get("Idempotency-Key");
+    if (!anahtar) {
+        return next();
+    }
+
+    if (anahtar.length > 255) {
+        return res.status(400).json({ message: "Idempotency-Key en fazla 255 karakter olabilir" });
+    }
+
+    const istekOzeti = crypto.createHash("sha256").update(JSON.stringify(req.body || {})).digest("hex");
+    const filtre = { kullaniciId: req.kullanici._id, islem, anahtar };
+
+    let islemBaslangici = new Date();
+    try {
+        await IdempotencyKaydi.create({ ...filtre, istekOzeti, islemBaslangici });
+    } catch (error) {
+        if (error.code !== 11000) {
+            console.error(`Idempotency kontrolünde hata oluştu: ${error.message}`);
+            return res.status(500).json({ message: "Sunucu hatası" });
+        }
+
+        // Anahtar daha önce kullanılmış
+        const kayit = await IdempotencyKaydi.findOne(filtre);
+        if (!kayit) {
+            return res.status(409).json({ message: "İstek işlenirken çakışma oluştu, lütfen tekrar deneyin" });
+        }
+        if (kayit.istekOzeti !== istekOzeti) {
+            return res.status(422).json({ message: "Bu Idempotency-Key farklı bir istek için kullanılmış" });
+        }
+        if (kayit.durum === "isleniyor") {
+            // Zaman aşımına uğramış kayıt atomik olarak devralınır; aynı anda gelen iki istekten yalnızca biri kazanır.
+            // $not, başlangıç zamanı alanı olmayan eski kayıtları da yakalar
+            islemBaslangici = new Date();
+            const devralinan = await IdempotencyKaydi.findOneAndUpdate(
+                {
+                    ...filtre,
+                    durum: "isleniyor",
+                    islemBaslangici: { $not: { $gte: new Date(islemBaslangici.getTime() - ISLEM_ZAMAN_ASIMI_MS) } },
+                },
+                { islemBaslangici },
+            );
+            if (!devralinan) {
+                return res.status(409).json({ message: "Aynı istek hâlâ işleniyor" });
+            }
+        } else {
+            res.set("Idempotent-Replayed", "true");
+            return res.status(kayit.yanitKodu).json(kayit.yanit);
+        }
+    }
+
+    // Kayıt yalnızca bu isteğin sahipliği sürüyorsa güncellenir; devralınmışsa yeni sahibine dokunulmaz
+    const sahipFiltresi = { ...filtre, durum: "isleniyor", islemBaslangici };
+    let yanitKaydedildi = false;
+
+    // Yanıt yakalanıp kaydedilir; sunucu hatalarında kayıt silinerek yeniden denemeye izin verilir
+    const orijinalJson = res.json.bind(res);
+    res.json = (govde) => {
+        yanitKaydedildi = true;
+        const kaydet = res.statusCode >= 500 ?
+            IdempotencyKaydi.deleteOne(sahipFiltresi) :
+            IdempotencyKaydi.updateOne(sahipFiltresi, {
+                durum: "tamamlandi",
+                yanitKodu: res.statusCode,
+                yanit: JSON.parse(JSON.stringify(govde ?? null)),
+            });
+
+        kaydet.catch((error) => console.error(`Idempotency kaydı güncellenemedi: ${error.message}`));
+        return orijinalJson(govde);
+    };
+
+    // Bağlantı yanıt kaydedilmeden kapanırsa (istemci koptu, JSON dışı yanıt) kayıt bırakılır
+    res.on("close", () => {
+        if (yanitKaydedildi) return;
+        IdempotencyKaydi.deleteOne(sahipFiltresi)
+            .catch((error) => console.error(`Idempotency kaydı bırakılamadı: ${error.message}`));
+    });
+
+    next();
+};
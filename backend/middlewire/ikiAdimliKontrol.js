@@ -0,0 +1,26 @@
+import Kullanici from "../models/kullanici.model.js";
+import { JWTKontrol } from "./JWTKontrol.js";
+import { adimTokeniniCoz } from "../lib/utils/ikiAdimli.js";
+
+// İki adımlı doğrulama kurulumu profilden (oturum) ya da zorunlu tutulan rollerde girişin ikinci adımında
+// (body.ikiAdimliToken) yapılır. Giriş tokenıyla gelindiğinde req.ikiAdimliGirisi doldurulur.
+export const ikiAdimliKurulumKontrol = async(req, res, next) => {
+    const { ikiAdimliToken } = req.body || {};
+    if (!ikiAdimliToken) {
+        return JWTKontrol(req, res, next);
+    }
+
+    try {
+        const yuk = adimTokeniniCoz(ikiAdimliToken, "kurulum");
+        const kullanici = yuk && await Kullanici.findOne({ _id: yuk.userId, isDeleted: false }).select("-sifre");
+        if (!kullanici) {
+            return res.status(401).json({ error: "Doğrulama süresi doldu. Lütfen yeniden giriş yapın." });
+        }
+
+        req.kullanici = kullanici;
+        req.ikiAdimliGirisi = { isMobile: Boolean(yuk.isMobile) };
+        next();
+    } catch (error) {
+        return res.status(401).json({ error: "Bu işlem için giriş yapmanız gerekiyor." });
+    }
+}
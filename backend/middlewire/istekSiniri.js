@@ -0,0 +1,61 @@
+import IstekSayaci from "../models/istekSayaci.model.js";
+
+const sayaciArtir = async(anahtar, bitisZamani) => {
+    const guncelle = () => IstekSayaci.findOneAndUpdate(
+        { anahtar },
+        { $inc: { sayi: 1 }, $setOnInsert: { bitisZamani } },
+        { upsert: true, new: true }
+    );
+
+    try {
+        return await guncelle();
+    } catch (error) {
+        // Aynı anda gelen iki istek sayacı birlikte oluşturmaya çalışırsa biri tekrar denenir
+        if (error.code === 11000) return guncelle();
+        throw error;
+    }
+};
+
+/**
+ * İstekleri sabit zaman penceresinde sayar; sınır aşılınca pencere bitene kadar 429 döner.
+ * Sayaçlar MongoDB'de tutulduğu için birden fazla sunucu örneğinde de ortak çalışır.
+ * @param {Object} ayar
+ * @param {string} ayar.ad - Sayaç adı (ör. "girisIp")
+ * @param {number} ayar.pencereSn - Pencere uzunluğu (saniye)
+ * @param {number} ayar.maksIstek - Pencerede izin verilen istek sayısı
+ * @param {Function} [ayar.anahtar] - İstekten sayılacak değeri üretir (varsayılan IP); boş dönerse istek sayılmaz
+ * @param {Function} [ayar.asildiginda] - Sınır aşılınca çağrılır (ör. giriş denemesini kaydetmek için)
+ */
+export const istekSiniri = ({ ad, pencereSn, maksIstek, anahtar = (req) => req.ip, asildiginda }) => async(req, res, next) => {
+    const deger = anahtar(req);
+    if (!deger) {
+        return next();
+    }
+
+    const pencere = Math.floor(Date.now() / (pencereSn * 1000));
+    const bitisZamani = new Date((pencere + 1) * pencereSn * 1000);
+
+    let sayac;
+    try {
+        sayac = await sayaciArtir(`${ad}:${deger}:${pencere}`, bitisZamani);
+    } catch (error) {
+        // Sayaç okunamazsa istek engellenmez; afet sırasında kimsenin giriş yapamaması daha büyük risk
+        console.error(`İstek sınırı kontrolünde hata oluştu: ${error.message}`);
+        return next();
+    }
+
+    if (sayac.sayi > maksIstek) {
+        const bekleme = Math.max(1, Math.ceil((bitisZamani - Date.now()) / 1000));
+        if (asildiginda) {
+            await Promise.resolve(asildiginda(req)).catch((error) =>
+                console.error(`İstek sınırı aşımı kaydedilemedi: ${error.message}`));
+        }
+        res.set("Retry-After", String(bekleme));
+        return res.status(429).json({
+            error: `Çok fazla deneme yapıldı. Lütfen ${Math.ceil(bekleme / 60)} dakika sonra tekrar deneyin.`,
+            bekleme,
+        });
+    }
+
+    next();
+};
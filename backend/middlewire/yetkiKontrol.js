@@ -1,14 +1,11 @@
-import Talep from "../models/talep.model.js";
+import { kaynakBilgisi, kaynakBul, kaynakYetkisiVarMi, yetkisiVarMi } from "../lib/utils/yetkiPolitikasi.js";
 
-export const yetkiKontrol = (izinVerilenYetkiRolleri) => (req, res, next) => {
+// Verilen yetkilerden en az birine sahip kullanıcılar geçer (rol → yetki eşlemesi: lib/utils/yetkiPolitikasi.js)
+export const yetkiKontrol = (...yetkiler) => (req, res, next) => {
     try {
-        const rol = req.kullanici.rol;
-
-        if (!izinVerilenYetkiRolleri.includes(rol)) {
-            return res.status(403).json({ error: "Rolünüz bu işlemi yapmaya yetkili değil" });
+        if (!yetkisiVarMi(req.kullanici, ...yetkiler)) {
+            return res.status(403).json({ error: "Bu işlemi yapmaya yetkiniz yok" });
         }
-
-
     } catch (error) {
         console.error(`Yetki kontrolünde hata oluştu: ${error.message}`);
         return res.status(500).json({ error: "Sunucu hatası" });
@@ -17,30 +14,28 @@ export const yetkiKontrol = (izinVerilenYetkiRolleri) => (req, res, next) => {
     next();
 }
 
-export const talepSahibiKontrol = async(req, res, next) => {
-    try {
-        const { id } = req.params;
-        const kullanici = req.kullanici;
+// Route parametresindeki kaydı (talep, görev, araç, şoför) bulur ve "<islem>.any" / "<islem>.own" yetkisini
+// koordinatör kapsamı ve sahiplikle birlikte kontrol eder
+export const kaynakYetkiKontrol = (tur, islem) => async(req, res, next) => {
+    const { ad, hataAlani } = kaynakBilgisi(tur);
 
-        // Koordinatörler tüm talepleri düzenleyebilir
-        if (kullanici.rol === "koordinator") {
-            return next();
+    try {
+        if (!yetkisiVarMi(req.kullanici, `${islem}.any`, `${islem}.own`)) {
+            return res.status(403).json({ [hataAlani]: "Bu işlemi yapmaya yetkiniz yok" });
         }
 
-        // Talep sahibi kontrolü
-        const talep = await Talep.findOne({ _id: id, isDeleted: false });
-        if (!talep) {
-            return res.status(404).json({ error: "Talep bulunamadı" });
+        const kayit = await kaynakBul(tur, req);
+        if (!kayit) {
+            return res.status(404).json({ [hataAlani]: `${ad} bulunamadı` });
         }
 
-        // Kullanıcı talep sahibi mi?
-        if (talep.talepEdenKullaniciId.toString() !== kullanici._id.toString()) {
-            return res.status(403).json({ error: "Bu talebi düzenleme yetkiniz yok" });
+        if (!(await kaynakYetkisiVarMi(req.kullanici, tur, kayit, islem))) {
+            return res.status(403).json({ [hataAlani]: `Bu ${ad.toLocaleLowerCase("tr")} üzerinde işlem yapma yetkiniz yok` });
         }
 
         next();
     } catch (error) {
-        console.error("Talep sahibi kontrolü sırasında hata:", error);
-        res.status(500).json({ error: "Sunucu hatası" });
+        console.error(`${ad} yetki kontrolünde hata oluştu: ${error.message}`);
+        res.status(500).json({ [hataAlani]: "Sunucu hatası" });
     }
-};
\ No newline at end of file
+};
@@ -0,0 +1,55 @@
+import mongoose from "mongoose";
+
+// Afet olayı (ör. bir ildeki deprem): talepler, görevler ve bildirimler bu olay kapsamında yürütülür
+const AfetOlayiSchema = mongoose.Schema({
+    ad: {
+        type: String,
+        required: true,
+        trim: true,
+    },
+    tur: {
+        type: String,
+        enum: ["deprem", "sel", "yangin", "heyelan", "cig", "firtina", "diger"],
+        required: true,
+    },
+    aciklama: {
+        type: String,
+    },
+    // Etkilenen bölge (GeoJSON Polygon, koordinatlar [boylam, enlem] sırasındadır)
+    etkilenenBolge: {
+        type: {
+            type: String,
+            enum: ["Polygon"],
+        },
+        // Bölge çizilmemiş olaylarda boş dizi yazılmasın; 2dsphere indeksi geçersiz GeoJSON kabul etmez
+        coordinates: {
+            type: [[[Number]]],
+            default: undefined,
+        },
+    },
+    baslangicTarihi: {
+        type: Date,
+        required: true,
+    },
+    bitisTarihi: {
+        type: Date,
+    },
+    durum: {
+        type: String,
+        enum: ["aktif", "kapandi"],
+        default: "aktif",
+    },
+    olusturanKoordinatorId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Kullanici",
+    },
+    isDeleted: {
+        type: Boolean,
+        default: false,
+    },
+}, { timestamps: true });
+
+AfetOlayiSchema.index({ etkilenenBolge: "2dsphere" });
+
+const AfetOlayi = mongoose.model("AfetOlayi", AfetOlayiSchema);
+export default AfetOlayi;
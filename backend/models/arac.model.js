@@ -24,6 +24,19 @@ const AracSchema = mongoose.Schema(
         "motosiklet",
       ],
     },
+    marka: {
+      type: String,
+      trim: true,
+    },
+    model: {
+      type: String,
+      trim: true,
+    },
+    // Ruhsattaki araç sınıfı (AB / UNECE kategori kodu; ör. N3 = 12 tonun üstündeki yük aracı)
+    aracSinifi: {
+      type: String,
+      enum: ["M1", "M2", "M3", "N1", "N2", "N3", "O1", "O2", "O3", "O4", "L"],
+    },
 
     kullanimAmaci: {
       type: String,
@@ -57,6 +70,21 @@ const AracSchema = mongoose.Schema(
         type: Number,
         
       },
+      // Canlı takipten gelen son konumun zamanı
+      guncellenmeZamani: {
+        type: Date,
+      },
+      // lat / lng'nin GeoJSON karşılığı; yakınlık sorguları bu alan üzerinden yapılır
+      nokta: {
+        type: {
+          type: String,
+          enum: ["Point"],
+        },
+        coordinates: {
+          type: [Number],
+          default: undefined,
+        },
+      },
     },
     kurumFirmaId: {
       type: Schema.Types.ObjectId,
@@ -76,6 +104,8 @@ const AracSchema = mongoose.Schema(
   { timestamps: true }
 );
 
+AracSchema.index({ "konum.nokta": "2dsphere" });
+
 const Arac = mongoose.model("Arac", AracSchema);
 
 export default Arac;
@@ -37,6 +37,11 @@ const BildirimShema= mongoose.Schema(
       enum: ["bireysel", "kurumsal"],
       default: "bireysel",
     },
+    afetOlayiId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "AfetOlayi",
+      default: null,
+    },
     isDeleted: {
       type: Boolean,
       default: false,
@@ -0,0 +1,46 @@
+import mongoose from "mongoose";
+
+// E-posta doğrulama bağlantısı, telefon doğrulama kodu ve şifre sıfırlama tokenı; tokenın yalnızca sha256 özeti saklanır
+const DogrulamaTokeniSchema = mongoose.Schema({
+    kullaniciId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Kullanici",
+        required: true,
+    },
+    tur: {
+        type: String,
+        enum: ["email_dogrulama", "telefon_dogrulama", "sifre_sifirlama"],
+        required: true,
+    },
+    tokenHash: {
+        type: String,
+        required: true,
+        select: false,
+    },
+    // Tokenın gönderildiği e-posta / telefon; kullanıcı bu arada adresini değiştirdiyse token geçersiz sayılır
+    hedef: {
+        type: String,
+        required: true,
+    },
+    // SMS kodunda yanlış giriş sayısı
+    denemeSayisi: {
+        type: Number,
+        default: 0,
+    },
+    bitisZamani: {
+        type: Date,
+        required: true,
+    },
+    kullanimZamani: {
+        type: Date,
+        default: null,
+    },
+}, { timestamps: true });
+
+DogrulamaTokeniSchema.index({ kullaniciId: 1, tur: 1, createdAt: -1 });
+DogrulamaTokeniSchema.index({ tokenHash: 1 });
+// Süresi dolan tokenlar otomatik silinir
+DogrulamaTokeniSchema.index({ bitisZamani: 1 }, { expireAfterSeconds: 0 });
+
+const DogrulamaTokeni = mongoose.model("DogrulamaTokeni", DogrulamaTokeniSchema);
+export default DogrulamaTokeni;
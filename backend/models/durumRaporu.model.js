@@ -0,0 +1,44 @@
+import mongoose from "mongoose";
+
+// Zamanlanmış olarak oluşturulup dağıtım listesine e-postayla gönderilen durum raporu
+const DurumRaporuSchema = mongoose.Schema({
+    // Raporlanan dönem; her zamanlama dilimi için tek rapor oluşturulur (birden fazla sunucu örneği aynı raporu göndermez)
+    donem: {
+        baslangic: { type: Date, required: true },
+        bitis: { type: Date, required: true },
+    },
+    durum: {
+        type: String,
+        enum: ["hazirlaniyor", "gonderildi", "hata"],
+        default: "hazirlaniyor",
+    },
+    alicilar: [{
+        type: String,
+    }],
+    dosyaAdi: {
+        type: String,
+    },
+    // PDF içeriği listelerde taşınmaz, yalnızca indirilirken seçilir
+    dosya: {
+        type: Buffer,
+        select: false,
+    },
+    boyut: {
+        type: Number,
+    },
+    // Listede gösterilen özet sayılar
+    ozet: {
+        acikTalep: { type: Number },
+        aktifGorev: { type: Number },
+        sahadakiArac: { type: Number },
+        tamamlananGorev: { type: Number },
+    },
+    hata: {
+        type: String,
+    },
+}, { timestamps: true });
+
+DurumRaporuSchema.index({ "donem.bitis": 1 }, { unique: true });
+
+const DurumRaporu = mongoose.model("DurumRaporu", DurumRaporuSchema);
+export default DurumRaporu;
@@ -0,0 +1,81 @@
+import mongoose from "mongoose";
+
+// Gönderim kuyruğu (outbox): her kayıt tek bir kanaldan (e-posta / SMS) tek bir alıcıya gidecek mesajdır
+const GidenMesajSchema = mongoose.Schema({
+    kanal: {
+        type: String,
+        enum: ["email", "sms"],
+        required: true,
+    },
+    alici: {
+        type: String,
+        required: true,
+    },
+    konu: {
+        type: String,
+    },
+    icerik: {
+        type: String,
+        required: true,
+    },
+    // E-posta ekleri (ör. durum raporu PDF'i); listelerde içerik taşınmaz
+    ekler: [{
+        _id: false,
+        dosyaAdi: { type: String, required: true },
+        icerikTuru: { type: String },
+        icerik: { type: Buffer, required: true },
+    }],
+    // Aynı bildirimGonder çağrısından doğan e-posta ve SMS kayıtlarını birbirine bağlar
+    grupId: {
+        type: String,
+        required: true,
+    },
+    // kuyrukta: gönderilmeyi / yeniden denenmeyi bekliyor
+    // gonderiliyor: bir worker tarafından işleniyor
+    // basarisiz: deneme hakkı bitti (dead-letter)
+    // geri_dondu: alıcı adresi / numarası kalıcı olarak reddedildi (dead-letter)
+    durum: {
+        type: String,
+        enum: ["kuyrukta", "gonderiliyor", "gonderildi", "basarisiz", "geri_dondu"],
+        default: "kuyrukta",
+    },
+    denemeSayisi: {
+        type: Number,
+        default: 0,
+    },
+    maksDeneme: {
+        type: Number,
+        default: 6,
+    },
+    sonrakiDenemeZamani: {
+        type: Date,
+        default: Date.now,
+    },
+    kilitZamani: {
+        type: Date,
+        default: null,
+    },
+    gonderimZamani: {
+        type: Date,
+    },
+    sonHata: {
+        type: String,
+    },
+    denemeler: [{
+        _id: false,
+        zaman: { type: Date, default: Date.now },
+        basarili: { type: Boolean },
+        hata: { type: String },
+    }],
+    // Mesajın doğduğu kayıt (ör. { tur: "gorev", id })
+    kaynak: {
+        tur: { type: String },
+        id: { type: mongoose.Schema.Types.ObjectId },
+    },
+}, { timestamps: true });
+
+GidenMesajSchema.index({ durum: 1, sonrakiDenemeZamani: 1 });
+GidenMesajSchema.index({ grupId: 1 });
+
+const GidenMesaj = mongoose.model("GidenMesaj", GidenMesajSchema);
+export default GidenMesaj;
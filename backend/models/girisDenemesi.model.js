@@ -0,0 +1,49 @@
+import mongoose from "mongoose";
+
+// Her giriş denemesinin kaydı; kim, nereden, hangi cihazla ve hangi sonuçla giriş yapmaya çalıştı
+const GirisDenemesiSchema = mongoose.Schema({
+    // E-posta kayıtlı bir kullanıcıya ait değilse boş kalır
+    kullaniciId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Kullanici",
+        default: null,
+    },
+    email: {
+        type: String,
+        default: null,
+    },
+    ip: {
+        type: String,
+        default: null,
+    },
+    userAgent: {
+        type: String,
+        default: null,
+    },
+    cihazAdi: {
+        type: String,
+        default: null,
+    },
+    platform: {
+        type: String,
+        enum: ["web", "mobil"],
+        required: true,
+    },
+    sonuc: {
+        type: String,
+        enum: ["basarili", "hatali_sifre", "hatali_kod", "kullanici_yok", "hesap_kilitli", "sinir_asildi"],
+        required: true,
+    },
+    // Koordinatör hesabına daha önce görülmemiş bir IP ve cihazdan yapılan başarılı giriş
+    olagandisi: {
+        type: Boolean,
+        default: false,
+    },
+}, { timestamps: true });
+
+GirisDenemesiSchema.index({ kullaniciId: 1, createdAt: -1 });
+// Kayıtlar 180 gün sonra otomatik silinir
+GirisDenemesiSchema.index({ createdAt: 1 }, { expireAfterSeconds: 180 * 24 * 60 * 60 });
+
+const GirisDenemesi = mongoose.model("GirisDenemesi", GirisDenemesiSchema);
+export default GirisDenemesi;
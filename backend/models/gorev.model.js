@@ -12,6 +12,11 @@ const GorevSchema = mongoose.Schema({
         required: true,
     },
 
+    soforId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Sofor",
+    },
+    // Görevlendirme anındaki şoför bilgisi (şoför kaydı sonradan değişse de görev formunda korunur)
     sofor: {
         ad: { type: String, required: true },
         soyad: { type: String, required: true },
@@ -25,9 +30,29 @@ const GorevSchema = mongoose.Schema({
     },
     gorevDurumu: {
         type: String,
-        enum: ["beklemede", "başladı", "tamamlandı", "iptal edildi"],
+        enum: ["beklemede", "yolda", "başladı", "tamamlandı", "iptal edildi"],
         default: "beklemede",
     },
+    // İptal edilen görevler için neden kodu (bkz. lib/utils/gorevDurumMakinesi.js)
+    iptalNedeni: {
+        type: String,
+    },
+    durumGecmisi: [{
+        kullaniciId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Kullanici",
+        },
+        rol: { type: String },
+        oncekiDurum: { type: String, default: null },
+        yeniDurum: { type: String, required: true },
+        tarih: { type: Date, default: Date.now },
+        not: { type: String },
+        nedenKodu: { type: String },
+        konum: {
+            lat: { type: Number },
+            lng: { type: Number },
+        },
+    }],
     gorevNotu: {
         type: String,
     },
@@ -37,10 +62,48 @@ const GorevSchema = mongoose.Schema({
     bitisZamani: {
         type: Date,
     },
+    // Teslim kanıtı: fotoğraflar ve imza görev tamamlanmadan önce yüklenir, diğer alanlar tamamlanırken kaydedilir
+    teslimKaniti: {
+        fotograflar: [{
+            anahtar: { type: String, required: true }, // bkz. lib/utils/dosyaDepolama.js
+            icerikTuru: { type: String, enum: ["image/png", "image/jpeg"] },
+            boyut: { type: Number },
+            yukleyenId: { type: mongoose.Schema.Types.ObjectId, ref: "Kullanici" },
+            tarih: { type: Date, default: Date.now },
+        }],
+        imza: {
+            anahtar: { type: String },
+            icerikTuru: { type: String, enum: ["image/png", "image/jpeg"] },
+            boyut: { type: Number },
+            tarih: { type: Date },
+        },
+        teslimAlan: { type: String, trim: true },
+        teslimMiktari: { type: Number, min: 0 },
+        miktarBirimi: { type: String, trim: true },
+        konum: {
+            lat: { type: Number },
+            lng: { type: Number },
+            dogruluk: { type: Number },
+        },
+        tarih: { type: Date },
+        // Talep edenin teslimatı onayı ya da itirazı
+        onay: {
+            durum: { type: String, enum: ["bekliyor", "onaylandi", "itiraz_edildi"] },
+            kullaniciId: { type: mongoose.Schema.Types.ObjectId, ref: "Kullanici" },
+            aciklama: { type: String, trim: true },
+            tarih: { type: Date },
+        },
+    },
     hedefKonumu: {
         lat: { type: Number, required: true },
         lng: { type: Number, required: true },
     },
+    afetOlayiId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "AfetOlayi",
+        default: null,
+        index: true,
+    },
     isDeleted: {
         type: Boolean,
         default: false,
@@ -0,0 +1,46 @@
+import mongoose from "mongoose";
+
+// Idempotency-Key başlığıyla gelen isteklerin sonucunu saklar; aynı anahtarla tekrarlanan istek yeniden işlenmez
+const IdempotencyKaydiSchema = mongoose.Schema({
+    anahtar: {
+        type: String,
+        required: true,
+    },
+    kullaniciId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Kullanici",
+        required: true,
+    },
+    islem: {
+        type: String,
+        required: true,
+    },
+    // Aynı anahtarın farklı bir istek gövdesiyle kullanılmasını yakalamak için
+    istekOzeti: {
+        type: String,
+        required: true,
+    },
+    durum: {
+        type: String,
+        enum: ["isleniyor", "tamamlandi"],
+        default: "isleniyor",
+    },
+    // İşlemeyi üstlenen isteğin başlangıç zamanı; süresi dolan "isleniyor" kaydı sonraki istekçe devralınır
+    islemBaslangici: {
+        type: Date,
+        default: Date.now,
+    },
+    yanitKodu: {
+        type: Number,
+    },
+    yanit: {
+        type: mongoose.Schema.Types.Mixed,
+    },
+}, { timestamps: true });
+
+IdempotencyKaydiSchema.index({ kullaniciId: 1, islem: 1, anahtar: 1 }, { unique: true });
+// Kayıtlar 24 saat sonra otomatik silinir
+IdempotencyKaydiSchema.index({ createdAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+const IdempotencyKaydi = mongoose.model("IdempotencyKaydi", IdempotencyKaydiSchema);
+export default IdempotencyKaydi;
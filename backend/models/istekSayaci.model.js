@@ -0,0 +1,24 @@
+import mongoose from "mongoose";
+
+// İstek sınırı sayaçları; anahtar sayaç adı, sayılan değer (IP, hesap) ve zaman penceresinden oluşur
+const IstekSayaciSchema = mongoose.Schema({
+    anahtar: {
+        type: String,
+        required: true,
+        unique: true,
+    },
+    sayi: {
+        type: Number,
+        default: 0,
+    },
+    bitisZamani: {
+        type: Date,
+        required: true,
+    },
+});
+
+// Pencere bitince sayaç otomatik silinir
+IstekSayaciSchema.index({ bitisZamani: 1 }, { expireAfterSeconds: 0 });
+
+const IstekSayaci = mongoose.model("IstekSayaci", IstekSayaciSchema);
+export default IstekSayaci;
@@ -0,0 +1,46 @@
+import mongoose from "mongoose";
+
+// Aktif görevler sırasında araçtan (şoför / mobil uygulama) gelen GPS kayıtları
+const KonumIziSchema = mongoose.Schema({
+    gorevId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Gorev",
+        required: true,
+    },
+    aracId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Arac",
+        required: true,
+    },
+    kullaniciId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Kullanici",
+    },
+    lat: {
+        type: Number,
+        required: true,
+    },
+    lng: {
+        type: Number,
+        required: true,
+    },
+    hiz: {
+        type: Number, // km/saat
+    },
+    yon: {
+        type: Number, // derece (0-360)
+    },
+    dogruluk: {
+        type: Number, // metre
+    },
+    zaman: {
+        type: Date,
+        required: true,
+        default: Date.now,
+    },
+}, { timestamps: true });
+
+KonumIziSchema.index({ gorevId: 1, zaman: 1 });
+
+const KonumIzi = mongoose.model("KonumIzi", KonumIziSchema);
+export default KonumIzi;
@@ -1,6 +1,9 @@
 import mongoose from "mongoose";
 import { Schema } from "mongoose";
 
+// Bildirim kanalları (bkz. lib/utils/bildirimTercihleri.js)
+const BILDIRIM_KANAL_KODLARI = ["uygulama", "push", "email", "sms", "ozet"];
+
 const KullaniciSchema = mongoose.Schema({
     ad: {
         type: String,
@@ -26,7 +29,7 @@ const KullaniciSchema = mongoose.Schema({
     },
     rol: {
         type: String,
-        enum: ["beklemede", "arac_sahibi", "talep_eden", "koordinator"],
+        enum: ["beklemede", "arac_sahibi", "talep_eden", "koordinator", "super_koordinator"],
         default: "beklemede",
     },
     kurumFirmaId: {
@@ -53,6 +56,87 @@ const KullaniciSchema = mongoose.Schema({
         type: Schema.Types.ObjectId,
         ref: "Kullanici",
     },
+    // Koordinatörün sorumlu olduğu operasyon bölgeleri; boşsa tüm ülkeyi görür (süper koordinatör her zaman tümünü görür)
+    operasyonBolgeleri: [{
+        type: Schema.Types.ObjectId,
+        ref: "OperasyonBolgesi",
+    }],
+    // Olay başına seçilen kanallar; boş bırakılan olaylar için varsayılanlar kullanılır (bkz. bildirimTercihleri.js)
+    bildirimTercihleri: {
+        olaylar: {
+            yeni_talep: { type: [String], enum: BILDIRIM_KANAL_KODLARI, default: undefined },
+            gorev_atandi: { type: [String], enum: BILDIRIM_KANAL_KODLARI, default: undefined },
+            gorev_durumu: { type: [String], enum: BILDIRIM_KANAL_KODLARI, default: undefined },
+            talep_eskalasyonu: { type: [String], enum: BILDIRIM_KANAL_KODLARI, default: undefined },
+            sistem: { type: [String], enum: BILDIRIM_KANAL_KODLARI, default: undefined },
+        },
+        sessizSaatler: {
+            aktif: { type: Boolean, default: false },
+            baslangic: { type: String, default: "22:00" },
+            bitis: { type: String, default: "07:00" },
+            // Kritik olaylar sessiz saatlerde de anında iletilir
+            kritikOlaylardaAtla: { type: Boolean, default: true },
+        },
+        ozetSikligi: {
+            type: String,
+            enum: ["saatlik", "gunluk"],
+            default: "gunluk",
+        },
+    },
+    // E-posta bağlantısı / SMS koduyla sahipliği kanıtlandığında işaretlenir; adres değişince sıfırlanır
+    emailDogrulandi: {
+        type: Boolean,
+        default: false,
+    },
+    telefonDogrulandi: {
+        type: Boolean,
+        default: false,
+    },
+    // TOTP tabanlı iki adımlı doğrulama; anahtarlar şifreli, kurtarma kodları özet olarak saklanır
+    ikiAdimli: {
+        aktif: {
+            type: Boolean,
+            default: false,
+        },
+        gizliAnahtar: {
+            type: String,
+            select: false,
+        },
+        // Kurulumda üretilen, ilk kod doğrulanana kadar etkin olmayan anahtar
+        bekleyenAnahtar: {
+            type: String,
+            select: false,
+        },
+        // Aynı kodun tekrar kullanılmasını önlemek için son kabul edilen zaman adımı
+        sonKullanilanAdim: {
+            type: Number,
+            default: null,
+            select: false,
+        },
+        kurtarmaKodlari: {
+            type: [{
+                _id: false,
+                ozet: String,
+                kullanimZamani: { type: Date, default: null },
+            }],
+            select: false,
+        },
+        etkinlestirmeTarihi: {
+            type: Date,
+            default: null,
+        },
+    },
+    // Art arda hatalı şifre girişleri; eşik aşılınca hesap giderek uzayan sürelerle kilitlenir
+    girisKilidi: {
+        basarisizDeneme: {
+            type: Number,
+            default: 0,
+        },
+        kilitBitis: {
+            type: Date,
+            default: null,
+        },
+    },
     isDeleted: {
         type: Boolean,
         default: false,
@@ -0,0 +1,47 @@
+import mongoose from "mongoose";
+
+// Koordinatörlerin sorumlu olduğu coğrafi operasyon bölgesi (il / ilçe sınırı ya da elle çizilmiş alan)
+const OperasyonBolgesiSchema = mongoose.Schema({
+    ad: {
+        type: String,
+        required: true,
+        trim: true,
+    },
+    tur: {
+        type: String,
+        enum: ["il", "ilce", "ozel"],
+        default: "ozel",
+    },
+    il: {
+        type: String,
+        trim: true,
+    },
+    ilce: {
+        type: String,
+        trim: true,
+    },
+    aciklama: {
+        type: String,
+    },
+    // GeoJSON Polygon ya da MultiPolygon (il / ilçe sınırları çok parçalı olabilir), koordinatlar [boylam, enlem] sırasındadır
+    sinir: {
+        type: {
+            type: String,
+            enum: ["Polygon", "MultiPolygon"],
+            required: true,
+        },
+        coordinates: {
+            type: Array,
+            required: true,
+        },
+    },
+    isDeleted: {
+        type: Boolean,
+        default: false,
+    },
+}, { timestamps: true });
+
+OperasyonBolgesiSchema.index({ sinir: "2dsphere" });
+
+const OperasyonBolgesi = mongoose.model("OperasyonBolgesi", OperasyonBolgesiSchema);
+export default OperasyonBolgesi;
@@ -0,0 +1,74 @@
+import mongoose from "mongoose";
+
+// Kullanıcının bir cihazdaki oturumu; yenileme tokenının özeti burada tutulur, token her yenilemede değişir
+const OturumSchema = mongoose.Schema({
+    kullaniciId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Kullanici",
+        required: true,
+    },
+    // Yenileme tokenının kendisi saklanmaz, yalnızca sha256 özeti
+    yenilemeTokeniHash: {
+        type: String,
+        required: true,
+        select: false,
+    },
+    // Bir önceki tokenın özeti; eşzamanlı isteklerde kısa süreli tekrar kullanımı ayırt etmek için
+    oncekiTokenHash: {
+        type: String,
+        default: null,
+        select: false,
+    },
+    yenilemeZamani: {
+        type: Date,
+        default: null,
+    },
+    cihaz: {
+        platform: {
+            type: String,
+            enum: ["web", "mobil"],
+            required: true,
+        },
+        ad: {
+            type: String,
+            default: null,
+        },
+        userAgent: {
+            type: String,
+            default: null,
+        },
+    },
+    ip: {
+        type: String,
+        default: null,
+    },
+    sonKullanim: {
+        type: Date,
+        default: Date.now,
+    },
+    bitisZamani: {
+        type: Date,
+        required: true,
+    },
+    iptalZamani: {
+        type: Date,
+        default: null,
+    },
+    iptalEdenId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Kullanici",
+        default: null,
+    },
+    // kullanici | koordinator | cikis | token_tekrari | hesap_silindi | rol_degisti | sifre_degisti
+    iptalNedeni: {
+        type: String,
+        default: null,
+    },
+}, { timestamps: true });
+
+OturumSchema.index({ kullaniciId: 1, iptalZamani: 1 });
+// Süresi dolan oturumlar bir gün sonra otomatik silinir
+OturumSchema.index({ bitisZamani: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+const Oturum = mongoose.model("Oturum", OturumSchema);
+export default Oturum;
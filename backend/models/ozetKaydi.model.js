@@ -0,0 +1,38 @@
+import mongoose from "mongoose";
+
+// E-posta özeti kanalını seçen kullanıcılar için biriktirilen bildirimler
+const OzetKaydiSchema = mongoose.Schema({
+    kullaniciId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Kullanici",
+        required: true,
+    },
+    olay: {
+        type: String,
+        required: true,
+    },
+    baslik: {
+        type: String,
+        required: true,
+    },
+    icerik: {
+        type: String,
+    },
+    hedefUrl: {
+        type: String,
+    },
+    gonderildi: {
+        type: Boolean,
+        default: false,
+    },
+    // Özetin kuyruğa eklendiği giden mesaj
+    gidenMesajId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "GidenMesaj",
+    },
+}, { timestamps: true });
+
+OzetKaydiSchema.index({ gonderildi: 1, kullaniciId: 1, createdAt: 1 });
+
+const OzetKaydi = mongoose.model("OzetKaydi", OzetKaydiSchema);
+export default OzetKaydi;
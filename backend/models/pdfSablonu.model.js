@@ -0,0 +1,65 @@
+import mongoose from "mongoose";
+
+// Görev PDF formunun başlık, logo, imza ve isteğe bağlı alan ayarları.
+// Şablon bir afet olayına, talep eden kuruma ya da (ikisi de boşsa) varsayılan olarak tüm formlara uygulanır.
+const PdfSablonuSchema = mongoose.Schema({
+    ad: {
+        type: String,
+        required: true,
+        trim: true,
+    },
+    afetOlayiId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "AfetOlayi",
+        default: null,
+    },
+    kurumFirmaId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "KurumFirma",
+        default: null,
+    },
+    baslik: {
+        type: String,
+        trim: true,
+    },
+    altBaslik: {
+        type: String,
+        trim: true,
+    },
+    // PNG ya da JPEG; listelerde taşınmaz, /pdf-sablonlari/:id/logo ile alınır
+    logo: {
+        icerik: { type: Buffer, select: false },
+        icerikTuru: { type: String, enum: ["image/png", "image/jpeg"] },
+    },
+    imza: {
+        adSoyad: { type: String, trim: true },
+        unvan: { type: String, trim: true },
+    },
+    // Formda gösterilecek isteğe bağlı alanlar
+    alanlar: {
+        aracSinifi: { type: Boolean, default: true },
+        marka: { type: Boolean, default: true },
+        kurum: { type: Boolean, default: true },
+        soforTelefon: { type: Boolean, default: true },
+        gorevNotu: { type: Boolean, default: true },
+        koordinator: { type: Boolean, default: true },
+        haritaKarekodu: { type: Boolean, default: true },
+    },
+    altBilgi: {
+        type: String,
+        trim: true,
+    },
+    isDeleted: {
+        type: Boolean,
+        default: false,
+    },
+}, { timestamps: true });
+
+// Her afet olayı / kurum için ve varsayılan olarak tek şablon olabilir
+PdfSablonuSchema.index(
+    { afetOlayiId: 1, kurumFirmaId: 1 },
+    { unique: true, partialFilterExpression: { isDeleted: false } }
+);
+
+const PdfSablonu = mongoose.model("PdfSablonu", PdfSablonuSchema);
+export default PdfSablonu;
@@ -0,0 +1,71 @@
+import mongoose from "mongoose";
+import { Schema } from "mongoose";
+
+const SoforSchema = mongoose.Schema(
+  {
+    ad: {
+      type: String,
+      required: true,
+    },
+    soyad: {
+      type: String,
+      required: true,
+    },
+    telefon: {
+      type: String,
+      required: true,
+    },
+    ehliyetSiniflari: [
+      {
+        type: String,
+        enum: [
+          "M",
+          "A1",
+          "A2",
+          "A",
+          "B1",
+          "B",
+          "BE",
+          "C1",
+          "C1E",
+          "C",
+          "CE",
+          "D1",
+          "D1E",
+          "D",
+          "DE",
+          "F",
+          "G",
+        ],
+      },
+    ],
+    ehliyetGecerlilikTarihi: {
+      type: Date,
+      required: true,
+    },
+    musaitlikDurumu: {
+      type: String,
+      enum: ["musait", "gorevde", "izinli"],
+      default: "musait",
+    },
+    kurumFirmaId: {
+      type: Schema.Types.ObjectId,
+      ref: "KurumFirma",
+      default: null,
+    },
+    kullaniciId: {
+      type: Schema.Types.ObjectId,
+      ref: "Kullanici",
+      default: null,
+    },
+    isDeleted: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  { timestamps: true }
+);
+
+const Sofor = mongoose.model("Sofor", SoforSchema);
+
+export default Sofor;
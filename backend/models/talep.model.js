@@ -57,23 +57,86 @@ const TalepSchema = mongoose.Schema({
             type: Number,
             required: true,
         },
+        // lat / lng'nin GeoJSON karşılığı; harita alanı sorguları bu alan üzerinden yapılır
+        nokta: {
+            type: {
+                type: String,
+                enum: ["Point"],
+            },
+            coordinates: {
+                type: [Number],
+                default: undefined,
+            },
+        },
+    },
+
+    oncelik: {
+        type: String,
+        enum: ["kritik", "yüksek", "normal", "düşük"],
+        default: "normal",
+    },
+    kategoriler: [{
+        type: String,
+        enum: ["tahliye", "yaralı nakli", "gıda", "su", "barınma", "enkaz", "diğer"],
+    }],
+    etkilenenKisiSayisi: {
+        type: Number,
+        min: 0,
+        default: 0,
+    },
+    // Öncelik, bekleme süresi, etkilenen kişi ve karşılanmayan araçlardan hesaplanır (bkz. talepTriyaj.js)
+    triyajSkoru: {
+        type: Number,
+        default: 0,
+        index: true,
+    },
+    // Bekleme eşiği aşıldığında yapılan otomatik öncelik yükseltmeleri
+    eskalasyon: {
+        seviye: { type: Number, default: 0 },
+        sonZaman: { type: Date, default: null },
     },
 
     durum: {
         type: String,
         enum: [
             "beklemede",
+            "kismen gorevlendirildi",
             "gorevlendirildi",
             "tamamlandı",
             "iptal edildi",
         ],
         default: "beklemede",
     },
+    // Araç türü bazında karşılanma durumu, bağlı görevlerden hesaplanır
+    karsilanma: [{
+        _id: false,
+        aracTuru: { type: String, required: true },
+        talepEdilen: { type: Number, default: 0 },
+        atanan: { type: Number, default: 0 },
+        aktif: { type: Number, default: 0 },
+        tamamlanan: { type: Number, default: 0 },
+    }],
+    afetOlayiId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "AfetOlayi",
+        default: null,
+        index: true,
+    },
+    // Talep konumunu kapsayan operasyon bölgeleri; koordinatör kapsamı bu alana göre belirlenir
+    operasyonBolgeleri: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "OperasyonBolgesi",
+        index: true,
+    }],
     isDeleted: {
         type: Boolean,
         default: false,
     },
-});
+}, { timestamps: true });
+
+TalepSchema.index({ "lokasyon.nokta": "2dsphere" });
+// Eskalasyon zamanlayıcısı yalnızca eşiği aşılmış ya da skoru hâlâ değişen açık talepleri okur
+TalepSchema.index({ durum: 1, oncelik: 1, "eskalasyon.sonZaman": 1 });
 
 const Talep = mongoose.model("Talep", TalepSchema);
 
@@ -0,0 +1,17 @@
+import express from 'express';
+import { afetOlayiGetir, afetOlayiGuncelle, afetOlayiOlustur, afetOlayiSil, afetOlaylariGetir } from '../controllers/afetOlayi.controller.js';
+import { JWTKontrol } from '../middlewire/JWTKontrol.js';
+import { yetkiKontrol } from '../middlewire/yetkiKontrol.js';
+
+
+const router = express.Router();
+
+router.get("/",JWTKontrol,afetOlaylariGetir); // ?durum=aktif|kapandi; talep oluştururken olay seçimi için tüm roller
+router.post("/",JWTKontrol,yetkiKontrol("afetOlayi.manage"),afetOlayiOlustur);
+router.get("/:id",JWTKontrol,afetOlayiGetir);
+router.put("/:id",JWTKontrol,yetkiKontrol("afetOlayi.manage"),afetOlayiGuncelle); // durum: "kapandi" ile olay kapatılır
+router.delete("/:id",JWTKontrol,yetkiKontrol("afetOlayi.manage"),afetOlayiSil);
+
+
+
+export default router;
@@ -1,19 +1,19 @@
 import express from 'express';
 import { aracEkle, aracGetir, aracGuncelle, aracSil, kullaniciyaKurumaAitAraclariGetir, musaitAraclariGetir, tumAraclariGetir } from '../controllers/arac.controller.js';
 import { JWTKontrol } from '../middlewire/JWTKontrol.js';
-import { yetkiKontrol } from '../middlewire/yetkiKontrol.js';
+import { kaynakYetkiKontrol, yetkiKontrol } from '../middlewire/yetkiKontrol.js';
 
 
 const router = express.Router();
 
-router.get("/araclarim", JWTKontrol,yetkiKontrol(["arac_sahibi"]), kullaniciyaKurumaAitAraclariGetir);
-router.post("/",JWTKontrol,yetkiKontrol(["arac_sahibi"]),aracEkle);
-router.get("/",JWTKontrol,yetkiKontrol(["koordinator"]),tumAraclariGetir);
-router.get("/musaitaraclar",JWTKontrol,yetkiKontrol(["koordinator"]),musaitAraclariGetir);
+router.get("/araclarim", JWTKontrol,yetkiKontrol("arac.read.own"), kullaniciyaKurumaAitAraclariGetir);
+router.post("/",JWTKontrol,yetkiKontrol("arac.create"),aracEkle);
+router.get("/",JWTKontrol,yetkiKontrol("arac.read.any"),tumAraclariGetir);
+router.get("/musaitaraclar",JWTKontrol,yetkiKontrol("gorev.assign"),musaitAraclariGetir);
 
-router.get("/:plaka",JWTKontrol,yetkiKontrol(["arac_sahibi"]),aracGetir);
-router.put("/:plaka",JWTKontrol,yetkiKontrol(["arac_sahibi"]),aracGuncelle);
-router.delete("/:plaka",JWTKontrol,yetkiKontrol(["arac_sahibi","koordinator"]),aracSil);
+router.get("/:plaka",JWTKontrol,kaynakYetkiKontrol("arac","arac.read"),aracGetir);
+router.put("/:plaka",JWTKontrol,kaynakYetkiKontrol("arac","arac.update"),aracGuncelle);
+router.delete("/:plaka",JWTKontrol,kaynakYetkiKontrol("arac","arac.delete"),aracSil);
 
 
 
@@ -1,15 +1,48 @@
 import express from 'express';
-import { kayitOl, girisYap, cikisYap, hesabim } from '../controllers/auth.controller.js';
+import { kayitOl, girisYap, cikisYap, hesabim, tokenYenile, oturumlarimiGetir, oturumumuKapat, oturumlarimiKapat, emailDogrulamaGonder, emailDogrula, telefonDogrulamaGonder, telefonDogrula, sifremiUnuttum, sifreSifirla, ikiAdimliDogrula, ikiAdimliDurumu, ikiAdimliKurulum, ikiAdimliEtkinlestir, ikiAdimliKurtarmaKodlariniYenile, ikiAdimliKapat } from '../controllers/auth.controller.js';
 import { JWTKontrol } from '../middlewire/JWTKontrol.js';
+import { istekSiniri } from '../middlewire/istekSiniri.js';
+import { ikiAdimliKurulumKontrol } from '../middlewire/ikiAdimliKontrol.js';
+import { sinirAsanGirisiKaydet } from '../lib/utils/girisGuvenligi.js';
 
 
 const router = express.Router();
 
-router.post('/kayitol', kayitOl);
-router.post('/girisyap', girisYap);
+const DAKIKA = 60;
+const emailAnahtari = (req) => typeof req.body?.email === 'string' ? req.body.email.trim().toLowerCase() : null;
+
+// IP sınırları aynı ağdan (ör. kriz masası) çalışan ekipleri engellemeyecek kadar geniş, hesap sınırları dardır
+const girisIpSiniri = istekSiniri({ ad: 'girisIp', pencereSn: 15 * DAKIKA, maksIstek: 30, asildiginda: sinirAsanGirisiKaydet });
+const girisHesapSiniri = istekSiniri({ ad: 'girisHesap', pencereSn: 15 * DAKIKA, maksIstek: 10, anahtar: emailAnahtari, asildiginda: sinirAsanGirisiKaydet });
+const kayitIpSiniri = istekSiniri({ ad: 'kayitIp', pencereSn: 60 * DAKIKA, maksIstek: 10 });
+const tokenYenileIpSiniri = istekSiniri({ ad: 'tokenYenileIp', pencereSn: 15 * DAKIKA, maksIstek: 300 });
+const sifirlamaIpSiniri = istekSiniri({ ad: 'sifirlamaIp', pencereSn: 15 * DAKIKA, maksIstek: 10 });
+const sifirlamaHesapSiniri = istekSiniri({ ad: 'sifirlamaHesap', pencereSn: 60 * DAKIKA, maksIstek: 5, anahtar: emailAnahtari });
+const baglantiIpSiniri = istekSiniri({ ad: 'baglantiIp', pencereSn: 15 * DAKIKA, maksIstek: 30 });
+const ikiAdimliIpSiniri = istekSiniri({ ad: 'ikiAdimliIp', pencereSn: 15 * DAKIKA, maksIstek: 30, asildiginda: sinirAsanGirisiKaydet });
+const dogrulamaHesapSiniri = istekSiniri({ ad: 'dogrulamaHesap', pencereSn: 15 * DAKIKA, maksIstek: 10, anahtar: (req) => req.kullanici?._id?.toString() });
+
+router.post('/kayitol', kayitIpSiniri, kayitOl);
+router.post('/girisyap', girisIpSiniri, girisHesapSiniri, girisYap);
 router.post('/cikisyap', cikisYap);
+router.post('/token-yenile', tokenYenileIpSiniri, tokenYenile); // Erişim tokenı süresi dolunca yenileme tokenıyla yeni token alınır
 router.get("/hesabim", JWTKontrol, hesabim);
+router.get('/oturumlar', JWTKontrol, oturumlarimiGetir); // Giriş yapan kullanıcının aktif cihaz oturumları
+router.delete('/oturumlar', JWTKontrol, oturumlarimiKapat); // Tüm oturumlar (mevcutHaric: diğer cihazlar)
+router.delete('/oturumlar/:oturumId', JWTKontrol, oturumumuKapat);
+router.post('/email-dogrulama/gonder', JWTKontrol, dogrulamaHesapSiniri, emailDogrulamaGonder);
+router.post('/email-dogrulama', baglantiIpSiniri, emailDogrula); // E-postadaki bağlantının tokenı; oturum gerekmez
+router.post('/telefon-dogrulama/gonder', JWTKontrol, dogrulamaHesapSiniri, telefonDogrulamaGonder); // smsGonder ile 6 haneli kod
+router.post('/telefon-dogrulama', JWTKontrol, dogrulamaHesapSiniri, telefonDogrula);
+router.post('/sifremi-unuttum', sifirlamaIpSiniri, sifirlamaHesapSiniri, sifremiUnuttum);
+router.post('/sifre-sifirla', baglantiIpSiniri, sifreSifirla);
+router.post('/iki-adimli/dogrula', ikiAdimliIpSiniri, ikiAdimliDogrula); // Girişin ikinci adımı: ikiAdimliToken + uygulama ya da kurtarma kodu
+router.get('/iki-adimli', JWTKontrol, ikiAdimliDurumu);
+router.post('/iki-adimli/kurulum', ikiAdimliIpSiniri, ikiAdimliKurulumKontrol, ikiAdimliKurulum); // QR kod ve gizli anahtar; oturumla ya da zorunlu kurulumda ikiAdimliToken ile
+router.post('/iki-adimli/etkinlestir', ikiAdimliIpSiniri, ikiAdimliKurulumKontrol, ikiAdimliEtkinlestir);
+router.post('/iki-adimli/kurtarma-kodlari', JWTKontrol, dogrulamaHesapSiniri, ikiAdimliKurtarmaKodlariniYenile);
+router.delete('/iki-adimli', JWTKontrol, dogrulamaHesapSiniri, ikiAdimliKapat);
 
 
 
-export default router;
\ No newline at end of file
+export default router;
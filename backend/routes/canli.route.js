@@ -0,0 +1,12 @@
+import express from 'express';
+import { canliAkisaBaglan } from '../controllers/canli.controller.js';
+import { JWTKontrol } from '../middlewire/JWTKontrol.js';
+
+
+const router = express.Router();
+
+router.get("/",JWTKontrol,canliAkisaBaglan); // Server-Sent Events: bildirim, talep, gorev ve arac olayları
+
+
+
+export default router;
@@ -0,0 +1,12 @@
+import express from 'express';
+import { belgeDogrula } from '../controllers/dogrulama.controller.js';
+
+
+const router = express.Router();
+
+// Görev formundaki karekodun doğrulanması (herkese açık)
+router.get("/:token",belgeDogrula);
+
+
+
+export default router;
@@ -0,0 +1,15 @@
+import express from 'express';
+import { gidenMesajGetir, gidenMesajlariGetir, gidenMesajYenidenGonder } from '../controllers/gidenMesaj.controller.js';
+import { JWTKontrol } from '../middlewire/JWTKontrol.js';
+import { yetkiKontrol } from '../middlewire/yetkiKontrol.js';
+
+
+const router = express.Router();
+
+router.get("/",JWTKontrol,yetkiKontrol("mesaj.read"),gidenMesajlariGetir); // ?durum=kuyrukta|gonderildi|basarisiz|geri_dondu|dead_letter&kanal=email|sms
+router.get("/:id",JWTKontrol,yetkiKontrol("mesaj.read"),gidenMesajGetir);
+router.post("/:id/yeniden-gonder",JWTKontrol,yetkiKontrol("mesaj.retry"),gidenMesajYenidenGonder);
+
+
+
+export default router;
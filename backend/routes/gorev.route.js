@@ -3,30 +3,52 @@ import {
   aracSahibiGorevleriGetir,
   gorevDetayGetir,
   gorevDurumGuncelle,
+  gorevDurumSecenekleriGetir,
+  gorevKonumEkle,
+  gorevKonumIziGetir,
   gorevOlustur,
   gorevPdfIndir,
   tahminiSureleriGetir,
   talepEdenGorevleriGetir,
   tumGorevleriGetir,
-  excelIndir
+  excelIndir,
+  teslimFotografiGetir,
+  teslimFotografiSil,
+  teslimFotografiYukle,
+  teslimImzasiGetir,
+  teslimImzasiYukle,
+  teslimOnayiVer
 } from "../controllers/gorev.controller.js";
 import { JWTKontrol } from "../middlewire/JWTKontrol.js";
-import { yetkiKontrol } from "../middlewire/yetkiKontrol.js";
+import { idempotencyKontrol } from "../middlewire/idempotencyKontrol.js";
+import { kaynakYetkiKontrol, yetkiKontrol } from "../middlewire/yetkiKontrol.js";
+import { MAKS_TESLIM_DOSYASI_BOYUTU } from "../lib/utils/teslimKaniti.js";
 
 
 const router = express.Router();
+const teslimDosyasi = express.raw({ type: ["image/png", "image/jpeg"], limit: MAKS_TESLIM_DOSYASI_BOYUTU });
 
-router.post("/", JWTKontrol,yetkiKontrol(["koordinator"]), gorevOlustur);
-router.get("/", JWTKontrol,yetkiKontrol(["koordinator"]), tumGorevleriGetir);
+router.post("/", JWTKontrol,yetkiKontrol("gorev.assign"), idempotencyKontrol("gorevOlustur"), gorevOlustur); // Idempotency-Key başlığı ile tekrarlanan istekler yeni görev oluşturmaz
+router.get("/", JWTKontrol,yetkiKontrol("gorev.read.any"), tumGorevleriGetir);
 //arac_sahibi için gorevleri getirirken kullanılacak
-router.get("/arac-sahibi", JWTKontrol,yetkiKontrol(["arac_sahibi"]), aracSahibiGorevleriGetir);
+router.get("/arac-sahibi", JWTKontrol,yetkiKontrol("gorev.read.own"), aracSahibiGorevleriGetir);
 //talep eden kurum için gorevleri getirirken kullanılacak
-router.get("/talep-eden-kurum", JWTKontrol,yetkiKontrol(["talep_eden"]), talepEdenGorevleriGetir);
-router.post("/mesafe-ve-sure",JWTKontrol, tahminiSureleriGetir); // araç görev arası mesafe ve süre hesaplamak için kullanılacak
-router.get("/excel", JWTKontrol, yetkiKontrol(["koordinator"]), excelIndir);
-router.get("/:id/pdf", JWTKontrol, gorevPdfIndir);
-router.get("/:id", JWTKontrol, gorevDetayGetir); //bağımsız bir talep için detayları getirirken kullanılacak
-router.put("/:id", JWTKontrol,gorevDurumGuncelle); // görev durumu güncelleme işlemi için kullanılacak
+router.get("/talep-eden-kurum", JWTKontrol,yetkiKontrol("gorev.read.own"), talepEdenGorevleriGetir);
+router.post("/mesafe-ve-sure",JWTKontrol, yetkiKontrol("gorev.assign"), tahminiSureleriGetir); // araç görev arası mesafe ve süre hesaplamak için kullanılacak
+router.get("/excel", JWTKontrol, yetkiKontrol("rapor.export"), excelIndir);
+router.get("/:id/pdf", JWTKontrol, kaynakYetkiKontrol("gorev", "gorev.read"), gorevPdfIndir);
+router.post("/:id/konum", JWTKontrol, kaynakYetkiKontrol("gorev", "gorev.location"), gorevKonumEkle); // şoför / mobil uygulamadan canlı GPS kaydı
+router.get("/:id/konum", JWTKontrol, kaynakYetkiKontrol("gorev", "gorev.read"), gorevKonumIziGetir); // görevin konum izi (rota) ve son konumu
+// Teslim kanıtı: fotoğraf ve imza görev tamamlanmadan önce yüklenir (gövde: ham PNG / JPEG)
+router.post("/:id/teslim-kaniti/fotograflar", JWTKontrol, kaynakYetkiKontrol("gorev", "gorev.delivery"), teslimDosyasi, teslimFotografiYukle);
+router.get("/:id/teslim-kaniti/fotograflar/:fotografId", JWTKontrol, kaynakYetkiKontrol("gorev", "gorev.read"), teslimFotografiGetir);
+router.delete("/:id/teslim-kaniti/fotograflar/:fotografId", JWTKontrol, kaynakYetkiKontrol("gorev", "gorev.delivery"), teslimFotografiSil);
+router.put("/:id/teslim-kaniti/imza", JWTKontrol, kaynakYetkiKontrol("gorev", "gorev.delivery"), teslimDosyasi, teslimImzasiYukle);
+router.get("/:id/teslim-kaniti/imza", JWTKontrol, kaynakYetkiKontrol("gorev", "gorev.read"), teslimImzasiGetir);
+router.put("/:id/teslim-onayi", JWTKontrol, kaynakYetkiKontrol("gorev", "gorev.delivery.confirm"), teslimOnayiVer); // talep edenin teslimatı onaylaması / itirazı
+router.get("/:id/durum-secenekleri", JWTKontrol, kaynakYetkiKontrol("gorev", "gorev.read"), gorevDurumSecenekleriGetir); // kullanıcının yapabileceği durum geçişleri ve iptal nedenleri
+router.get("/:id", JWTKontrol, kaynakYetkiKontrol("gorev", "gorev.read"), gorevDetayGetir); //bağımsız bir talep için detayları getirirken kullanılacak
+router.put("/:id", JWTKontrol, kaynakYetkiKontrol("gorev", "gorev.status"), gorevDurumGuncelle); // görev durumu güncelleme işlemi için kullanılacak
 
 
 export default router;
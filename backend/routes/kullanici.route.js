@@ -1,5 +1,5 @@
 import express from 'express';
-import { kullaniciGetir, kullaniciGuncelle, kullanicilariGetir, kullaniciRolveKurumFirmaAta, kullaniciSil } from '../controllers/kullanici.controller.js';
+import { bildirimTercihleriniGetir, bildirimTercihleriniGuncelle, kullaniciGetir, kullaniciGirisGecmisiniGetir, kullaniciGirisKilidiniKaldir, kullaniciGuncelle, kullaniciIkiAdimliSifirla, kullanicilariGetir, kullaniciOperasyonBolgeleriAta, kullaniciOturumlariniGetir, kullaniciOturumlariniSonlandir, kullaniciOturumunuKapat, kullaniciRolveKurumFirmaAta, kullaniciSil } from '../controllers/kullanici.controller.js';
 import { JWTKontrol } from '../middlewire/JWTKontrol.js';
 import { yetkiKontrol } from '../middlewire/yetkiKontrol.js';
 
@@ -7,11 +7,20 @@ import { yetkiKontrol } from '../middlewire/yetkiKontrol.js';
 
 const router = express.Router();
 
-router.get('/',JWTKontrol,yetkiKontrol(["koordinator"]),kullanicilariGetir);
-router.get('/:id',JWTKontrol,yetkiKontrol(["koordinator"]),kullaniciGetir);
-router.put('/:id',JWTKontrol,yetkiKontrol(["koordinator"]),kullaniciGuncelle);
-router.delete('/:id',JWTKontrol,yetkiKontrol(["koordinator"]),kullaniciSil);
-router.put('/:id/rol-ata',JWTKontrol,yetkiKontrol(["koordinator"]),kullaniciRolveKurumFirmaAta);
+router.get('/',JWTKontrol,yetkiKontrol("kullanici.read"),kullanicilariGetir);
+router.get('/bildirim-tercihleri',JWTKontrol,bildirimTercihleriniGetir); // Giriş yapan kullanıcının kendi tercihleri
+router.put('/bildirim-tercihleri',JWTKontrol,bildirimTercihleriniGuncelle);
+router.get('/:id',JWTKontrol,yetkiKontrol("kullanici.read"),kullaniciGetir);
+router.put('/:id',JWTKontrol,yetkiKontrol("kullanici.update"),kullaniciGuncelle);
+router.delete('/:id',JWTKontrol,yetkiKontrol("kullanici.delete"),kullaniciSil);
+router.put('/:id/rol-ata',JWTKontrol,yetkiKontrol("kullanici.role.assign"),kullaniciRolveKurumFirmaAta);
+router.put('/:id/operasyon-bolgeleri',JWTKontrol,yetkiKontrol("kullanici.region.assign"),kullaniciOperasyonBolgeleriAta); // boş liste: tüm ülke
+router.get('/:id/oturumlar',JWTKontrol,yetkiKontrol("kullanici.security.manage"),kullaniciOturumlariniGetir); // Kullanıcının aktif cihaz oturumları
+router.delete('/:id/oturumlar',JWTKontrol,yetkiKontrol("kullanici.security.manage"),kullaniciOturumlariniSonlandir); // Tüm oturumlar
+router.delete('/:id/oturumlar/:oturumId',JWTKontrol,yetkiKontrol("kullanici.security.manage"),kullaniciOturumunuKapat);
+router.get('/:id/giris-gecmisi',JWTKontrol,yetkiKontrol("kullanici.security.manage"),kullaniciGirisGecmisiniGetir); // Giriş denemeleri (IP, cihaz, sonuç)
+router.delete('/:id/giris-kilidi',JWTKontrol,yetkiKontrol("kullanici.security.manage"),kullaniciGirisKilidiniKaldir); // Hatalı denemelerle kilitlenen hesabı açar
+router.delete('/:id/iki-adimli',JWTKontrol,yetkiKontrol("kullanici.security.manage"),kullaniciIkiAdimliSifirla); // Doğrulama cihazını kaybeden kullanıcı için
 
 
 
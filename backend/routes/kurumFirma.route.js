@@ -8,12 +8,12 @@ import { JWTKontrol } from '../middlewire/JWTKontrol.js';
 const router = express.Router();
 
 
-router.post("/",JWTKontrol,yetkiKontrol(["koordinator"]),kurumFirmaOlustur);
-router.get("/",JWTKontrol,yetkiKontrol(["koordinator"]),tumKurumFirmalariGetir);
-router.get("/firmaara",JWTKontrol,yetkiKontrol(["koordinator"]),kurumFirmaAra);
-router.get("/:id",JWTKontrol,yetkiKontrol(["koordinator"]),kurumFirmaGetir);
-router.put("/:id",JWTKontrol,yetkiKontrol(["koordinator"]),kurumFirmaGuncelle);
-router.delete("/:id",JWTKontrol,yetkiKontrol(["koordinator"]),kurumFirmaSil);
+router.post("/",JWTKontrol,yetkiKontrol("kurum.manage"),kurumFirmaOlustur);
+router.get("/",JWTKontrol,yetkiKontrol("kurum.read"),tumKurumFirmalariGetir);
+router.get("/firmaara",JWTKontrol,yetkiKontrol("kurum.read"),kurumFirmaAra);
+router.get("/:id",JWTKontrol,yetkiKontrol("kurum.read"),kurumFirmaGetir);
+router.put("/:id",JWTKontrol,yetkiKontrol("kurum.manage"),kurumFirmaGuncelle);
+router.delete("/:id",JWTKontrol,yetkiKontrol("kurum.manage"),kurumFirmaSil);
 
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,17 @@
+import express from 'express';
+import { operasyonBolgeleriGetir, operasyonBolgesiGetir, operasyonBolgesiGuncelle, operasyonBolgesiOlustur, operasyonBolgesiSil } from '../controllers/operasyonBolgesi.controller.js';
+import { JWTKontrol } from '../middlewire/JWTKontrol.js';
+import { yetkiKontrol } from '../middlewire/yetkiKontrol.js';
+
+
+const router = express.Router();
+
+router.get("/",JWTKontrol,yetkiKontrol("bolge.read"),operasyonBolgeleriGetir);
+router.post("/",JWTKontrol,yetkiKontrol("bolge.manage"),operasyonBolgesiOlustur); // sinir: GeoJSON Polygon / MultiPolygon / Feature(Collection)
+router.get("/:id",JWTKontrol,yetkiKontrol("bolge.read"),operasyonBolgesiGetir);
+router.put("/:id",JWTKontrol,yetkiKontrol("bolge.manage"),operasyonBolgesiGuncelle);
+router.delete("/:id",JWTKontrol,yetkiKontrol("bolge.manage"),operasyonBolgesiSil);
+
+
+
+export default router;
@@ -0,0 +1,22 @@
+import express from 'express';
+import { pdfSablonlariGetir, pdfSablonuGuncelle, pdfSablonuLogoGetir, pdfSablonuLogoSil, pdfSablonuLogoYukle, pdfSablonuOlustur, pdfSablonuOnizle, pdfSablonuSil } from '../controllers/pdfSablonu.controller.js';
+import { JWTKontrol } from '../middlewire/JWTKontrol.js';
+import { yetkiKontrol } from '../middlewire/yetkiKontrol.js';
+import { MAKS_LOGO_BOYUTU } from '../lib/utils/pdfSablonu.js';
+
+
+const router = express.Router();
+
+// Görev PDF formu şablonları (afet olayına / talep eden kuruma özel ya da varsayılan)
+router.get("/",JWTKontrol,yetkiKontrol("pdfSablonu.manage"),pdfSablonlariGetir);
+router.post("/",JWTKontrol,yetkiKontrol("pdfSablonu.manage"),pdfSablonuOlustur);
+router.put("/:id",JWTKontrol,yetkiKontrol("pdfSablonu.manage"),pdfSablonuGuncelle);
+router.delete("/:id",JWTKontrol,yetkiKontrol("pdfSablonu.manage"),pdfSablonuSil);
+router.get("/:id/onizleme",JWTKontrol,yetkiKontrol("pdfSablonu.manage"),pdfSablonuOnizle); // örnek görevle oluşturulan form
+router.get("/:id/logo",JWTKontrol,yetkiKontrol("pdfSablonu.manage"),pdfSablonuLogoGetir);
+router.put("/:id/logo",JWTKontrol,yetkiKontrol("pdfSablonu.manage"),express.raw({ type: ["image/png", "image/jpeg"], limit: MAKS_LOGO_BOYUTU }),pdfSablonuLogoYukle); // gövde: ham PNG / JPEG
+router.delete("/:id/logo",JWTKontrol,yetkiKontrol("pdfSablonu.manage"),pdfSablonuLogoSil);
+
+
+
+export default router;
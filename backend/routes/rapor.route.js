@@ -0,0 +1,23 @@
+import express from 'express';
+import { aracKullanimiGetir, aracTuruTrendiGetir, atamaSuresiGetir, durumRaporlariGetir, durumRaporuDosyasiGetir, durumRaporuIndir, gorevSureleriGetir, iptalOranlariGetir, karsilanmayanTalepGetir, raporOzetiGetir } from '../controllers/rapor.controller.js';
+import { JWTKontrol } from '../middlewire/JWTKontrol.js';
+import { yetkiKontrol } from '../middlewire/yetkiKontrol.js';
+
+
+const router = express.Router();
+
+// Tüm raporlar ?baslangic=&bitis= (kayıt tarihi) ve ?afetOlayiId= ile filtrelenir
+router.get("/ozet",JWTKontrol,yetkiKontrol("rapor.read"),raporOzetiGetir);
+router.get("/atama-suresi",JWTKontrol,yetkiKontrol("rapor.read"),atamaSuresiGetir); // talep oluşturma → ilk görev ataması
+router.get("/gorev-sureleri",JWTKontrol,yetkiKontrol("rapor.read"),gorevSureleriGetir); // görev ataması → başlama / tamamlanma
+router.get("/arac-kullanimi",JWTKontrol,yetkiKontrol("rapor.read"),aracKullanimiGetir); // kurum bazında araç kullanım oranı
+router.get("/arac-turu-trendi",JWTKontrol,yetkiKontrol("rapor.read"),aracTuruTrendiGetir); // ?aralik=gun|hafta|ay
+router.get("/iptaller",JWTKontrol,yetkiKontrol("rapor.read"),iptalOranlariGetir);
+router.get("/karsilanmayan-talepler",JWTKontrol,yetkiKontrol("rapor.read"),karsilanmayanTalepGetir); // açık taleplerde eksik araçların konuma göre dağılımı
+router.get("/durum-raporu",JWTKontrol,yetkiKontrol("rapor.export"),durumRaporuIndir); // PDF, dönem verilmezse son 24 saat
+router.get("/durum-raporlari",JWTKontrol,yetkiKontrol("rapor.read"),durumRaporlariGetir); // zamanlanmış olarak gönderilen raporlar
+router.get("/durum-raporlari/:id/pdf",JWTKontrol,yetkiKontrol("rapor.export"),durumRaporuDosyasiGetir);
+
+
+
+export default router;
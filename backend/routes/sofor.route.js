@@ -0,0 +1,19 @@
+import express from 'express';
+import { kullaniciyaKurumaAitSoforleriGetir, soforEkle, soforGetir, soforGuncelle, soforSil, tumSoforleriGetir } from '../controllers/sofor.controller.js';
+import { JWTKontrol } from '../middlewire/JWTKontrol.js';
+import { kaynakYetkiKontrol, yetkiKontrol } from '../middlewire/yetkiKontrol.js';
+
+
+const router = express.Router();
+
+router.get("/soforlerim", JWTKontrol,yetkiKontrol("sofor.read.own"), kullaniciyaKurumaAitSoforleriGetir);
+router.post("/",JWTKontrol,yetkiKontrol("sofor.create"),soforEkle);
+router.get("/",JWTKontrol,yetkiKontrol("sofor.read.any"),tumSoforleriGetir); // ?aracId= ile araca atanabilecek şoförler
+
+router.get("/:id",JWTKontrol,kaynakYetkiKontrol("sofor","sofor.read"),soforGetir);
+router.put("/:id",JWTKontrol,kaynakYetkiKontrol("sofor","sofor.update"),soforGuncelle);
+router.delete("/:id",JWTKontrol,kaynakYetkiKontrol("sofor","sofor.delete"),soforSil);
+
+
+
+export default router;
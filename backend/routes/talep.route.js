@@ -1,16 +1,17 @@
 import express from 'express';
 import { JWTKontrol } from '../middlewire/JWTKontrol.js';
-import { kurumaAitTalepleriGetir, talepEkle, talepGetir, talepGuncelle, talepSil, tumTalepleriGetir } from '../controllers/talep.controller.js';
-import { yetkiKontrol, talepSahibiKontrol } from '../middlewire/yetkiKontrol.js';
+import { kurumaAitTalepleriGetir, talepEkle, talepGetir, talepGuncelle, talepOnerileriGetir, talepSil, tumTalepleriGetir } from '../controllers/talep.controller.js';
+import { kaynakYetkiKontrol, yetkiKontrol } from '../middlewire/yetkiKontrol.js';
 
 
 const router = express.Router();
 
-router.get("/taleplerim", JWTKontrol, yetkiKontrol(["talep_eden"]), kurumaAitTalepleriGetir);
-router.post("/", JWTKontrol, yetkiKontrol(["talep_eden"]), talepEkle);
-router.get("/", JWTKontrol, yetkiKontrol(["koordinator"]), tumTalepleriGetir);
-router.get("/:id", JWTKontrol, talepGetir);
-router.put("/:id", JWTKontrol, talepSahibiKontrol, talepGuncelle);
-router.delete("/:id", JWTKontrol, talepSahibiKontrol, talepSil);
+router.get("/taleplerim", JWTKontrol, yetkiKontrol("talep.read.own"), kurumaAitTalepleriGetir);
+router.post("/", JWTKontrol, yetkiKontrol("talep.create", "talep.create.any"), talepEkle);
+router.get("/", JWTKontrol, yetkiKontrol("talep.read.any"), tumTalepleriGetir);
+router.get("/:id/oneriler", JWTKontrol, yetkiKontrol("gorev.assign"), kaynakYetkiKontrol("talep", "talep.read"), talepOnerileriGetir); // araç türü bazında skorlanmış görevlendirme önerileri
+router.get("/:id", JWTKontrol, kaynakYetkiKontrol("talep", "talep.read"), talepGetir);
+router.put("/:id", JWTKontrol, kaynakYetkiKontrol("talep", "talep.update"), talepGuncelle); // durum: "iptal edildi" ayrıca talep.cancel yetkisi ister
+router.delete("/:id", JWTKontrol, kaynakYetkiKontrol("talep", "talep.delete"), talepSil);
 
 export default router;
\ No newline at end of file
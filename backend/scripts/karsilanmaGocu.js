@@ -0,0 +1,21 @@
+// Karşılanma tablosu olmayan eski taleplerin araç türü bazında karşılanma durumunu görevlerden hesaplar
+// Kullanım: npm run goc:karsilanma (tekrar çalıştırılabilir, yalnızca tablosu boş talepleri günceller)
+import mongoose from "mongoose";
+import connectMongoDB from "../db/connectMongoDB.js";
+import { eksikKarsilanmalariDoldur } from "../lib/utils/talepKarsilanma.js";
+
+const calistir = async() => {
+    try {
+        await connectMongoDB();
+
+        const sayi = await eksikKarsilanmalariDoldur();
+        console.log(`🚚 ${sayi} talebin karşılanma tablosu hesaplandı`);
+    } catch (error) {
+        console.error("❌ Karşılanma göçü başarısız:", error.message);
+        process.exitCode = 1;
+    } finally {
+        await mongoose.disconnect();
+    }
+};
+
+calistir();
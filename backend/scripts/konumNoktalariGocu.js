@@ -0,0 +1,26 @@
+// Mevcut araç ve taleplerin {lat, lng} konumlarını GeoJSON Point alanına taşır ve 2dsphere indekslerini oluşturur
+// Kullanım: npm run goc:konum (tekrar çalıştırılabilir, yalnızca noktası olmayan kayıtları günceller)
+import mongoose from "mongoose";
+import connectMongoDB from "../db/connectMongoDB.js";
+import Arac from "../models/arac.model.js";
+import Talep from "../models/talep.model.js";
+import { konumNoktalariniDoldur } from "../lib/utils/geoKonum.js";
+
+const calistir = async() => {
+    try {
+        await connectMongoDB();
+
+        const sonuc = await konumNoktalariniDoldur();
+        console.log(`📍 ${sonuc.arac} araç ve ${sonuc.talep} talep konumu GeoJSON noktasına taşındı`);
+
+        await Promise.all([Arac.createIndexes(), Talep.createIndexes()]);
+        console.log("📍 2dsphere indeksleri hazır");
+    } catch (error) {
+        console.error("❌ Konum göçü başarısız:", error.message);
+        process.exitCode = 1;
+    } finally {
+        await mongoose.disconnect();
+    }
+};
+
+calistir();
@@ -0,0 +1,46 @@
+// Kayıtlı bir kullanıcıyı süper koordinatör yapar. Sistemdeki ilk süper koordinatör yalnızca bu betikle atanır;
+// sonrakileri uygulama içinden mevcut süper koordinatörler atar.
+// Kullanım: npm run super-koordinator -- ornek@kurum.gov.tr
+import mongoose from "mongoose";
+import connectMongoDB from "../db/connectMongoDB.js";
+import Kullanici from "../models/kullanici.model.js";
+import { kullaniciOturumlariniKapat } from "../lib/utils/oturum.js";
+
+const calistir = async() => {
+    const email = process.argv[2]?.trim();
+    if (!email) {
+        console.error("❌ Kullanım: npm run super-koordinator -- <email>");
+        process.exitCode = 1;
+        return;
+    }
+
+    try {
+        await connectMongoDB();
+
+        const kullanici = await Kullanici.findOne({ email, isDeleted: false }).select("email rol");
+        if (!kullanici) {
+            console.error(`❌ ${email} adresiyle kayıtlı kullanıcı bulunamadı`);
+            process.exitCode = 1;
+            return;
+        }
+        if (kullanici.rol === "super_koordinator") {
+            console.log(`👑 ${email} zaten süper koordinatör`);
+            return;
+        }
+
+        kullanici.rol = "super_koordinator";
+        kullanici.rolAtamaTarihi = new Date();
+        await kullanici.save();
+
+        // Açık oturumlar eski rolün yetkilerini taşıdığından kapatılır
+        await kullaniciOturumlariniKapat(kullanici._id, { iptalNedeni: "rol_degisti" });
+        console.log(`👑 ${email} süper koordinatör olarak atandı`);
+    } catch (error) {
+        console.error("❌ Süper koordinatör atanamadı:", error.message);
+        process.exitCode = 1;
+    } finally {
+        await mongoose.disconnect();
+    }
+};
+
+calistir();
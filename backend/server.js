@@ -3,10 +3,22 @@ import authRoutes from './routes/auth.route.js';
 import kullaniciRoutes from './routes/kullanici.route.js';
 import kurumFirmaRoutes from './routes/kurumFirma.route.js';
 import aracRoutes from './routes/arac.route.js';
+import soforRoutes from './routes/sofor.route.js';
 import talepRoutes from './routes/talep.route.js';
 import gorevRoutes from './routes/gorev.route.js';
 import bildirimRoutes from './routes/bildirim.route.js';
+import gidenMesajRoutes from './routes/gidenMesaj.route.js';
+import canliRoutes from './routes/canli.route.js';
+import afetOlayiRoutes from './routes/afetOlayi.route.js';
+import operasyonBolgesiRoutes from './routes/operasyonBolgesi.route.js';
+import raporRoutes from './routes/rapor.route.js';
+import pdfSablonuRoutes from './routes/pdfSablonu.route.js';
+import dogrulamaRoutes from './routes/dogrulama.route.js';
 import connectMongoDB from './db/connectMongoDB.js';
+import { mesajKuyrugunuBaslat } from './lib/utils/mesajKuyrugu.js';
+import { bildirimOzetiniBaslat } from './lib/utils/bildirimOzeti.js';
+import { talepEskalasyonunuBaslat } from './lib/utils/talepEskalasyonu.js';
+import { durumRaporunuBaslat } from './lib/utils/durumRaporu.js';
 import dotenv from 'dotenv';
 import cookieParser from 'cookie-parser';
 import cors from 'cors';
@@ -19,23 +31,46 @@ const FRONTEND_URLS = (process.env.FRONTEND_URLS || 'http://localhost:3002').spl
 
 const app = express();
 
+// Ters vekil sunucu (nginx vb.) arkasında istemci IP'si X-Forwarded-For başlığından okunur.
+// İstek sınırları ve giriş geçmişi IP'ye dayandığından vekil arkasında ayarlanmalıdır (ör. TRUST_PROXY=1)
+if (process.env.TRUST_PROXY) {
+    const vekilSayisi = Number(process.env.TRUST_PROXY);
+    app.set('trust proxy', Number.isNaN(vekilSayisi) ? process.env.TRUST_PROXY : vekilSayisi);
+}
+
 // Development CORS configuration
 app.use(cors({
     origin: true, // Allow all origins in development
     credentials: true,
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept']
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept', 'Idempotency-Key'],
+    exposedHeaders: ['Idempotent-Replayed']
 }));
 
 app.use(express.json()); // req.body'yi kullanabilmek için
 app.use(express.urlencoded({ extended: true })); // Formdan gelen verileri kullanabilmek için
 app.use(cookieParser()); // Cookie'leri kullanabilmek için
 
+// Şifre, token ve doğrulama kodu gibi gizli alanlar loglara yazılmaz
+const GIZLI_ALAN = /sifre|parola|password|token|secret|^kod$|kurtarmaKodu/i;
+
+const gizliAlanlariMaskele = (deger) => {
+    if (Array.isArray(deger)) {
+        return deger.map(gizliAlanlariMaskele);
+    }
+    if (!deger || typeof deger !== 'object') {
+        return deger;
+    }
+    return Object.fromEntries(Object.entries(deger).map(([alan, alt]) =>
+        [alan, GIZLI_ALAN.test(alan) ? '[gizlendi]' : gizliAlanlariMaskele(alt)]
+    ));
+};
+
 // Add request logging
 app.use((req, res, next) => {
     console.log(`${new Date().toISOString()} - ${req.method} ${req.path}`, {
-        body: req.body,
-        query: req.query,
+        body: gizliAlanlariMaskele(req.body),
+        query: gizliAlanlariMaskele(req.query),
         params: req.params
     });
     next();
@@ -51,9 +86,17 @@ app.use("/api/auth", authRoutes);
 app.use("/api/kullanicilar", kullaniciRoutes);
 app.use("/api/kurumlar", kurumFirmaRoutes);
 app.use("/api/araclar", aracRoutes);
+app.use("/api/soforler", soforRoutes);
 app.use("/api/talepler", talepRoutes);
 app.use("/api/gorevler", gorevRoutes);
 app.use("/api/bildirimler", bildirimRoutes);
+app.use("/api/giden-mesajlar", gidenMesajRoutes);
+app.use("/api/canli", canliRoutes);
+app.use("/api/afet-olaylari", afetOlayiRoutes);
+app.use("/api/operasyon-bolgeleri", operasyonBolgesiRoutes);
+app.use("/api/raporlar", raporRoutes);
+app.use("/api/pdf-sablonlari", pdfSablonuRoutes);
+app.use("/api/dogrula", dogrulamaRoutes);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -82,6 +125,14 @@ const startServer = async() => {
         // Connect to MongoDB first
         await connectMongoDB();
 
+        // Bildirim kuyruğunu (outbox) işleyen worker
+        mesajKuyrugunuBaslat();
+        bildirimOzetiniBaslat();
+        // Bekleme eşiğini aşan taleplerin önceliğini yükselten worker
+        talepEskalasyonunuBaslat();
+        // Dağıtım listesine zamanlanmış durum raporu gönderen worker
+        durumRaporunuBaslat();
+
         // Then start the server
         app.listen(PORT, () => {
             console.log(`Server is running on http://localhost:${PORT}`);
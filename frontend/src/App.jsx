@@ -2,16 +2,19 @@
 import { Navigate, Route, Routes, useLocation, useNavigate } from "react-router-dom";
 import GirisYap from "./pages/auth/GirisYap";
 import KayıtOl from "./pages/auth/KayıtOl";
+import BelgeDogrula from "./pages/dogrulama/BelgeDogrula";
+import EmailDogrula from "./pages/auth/EmailDogrula";
 import { Toaster } from "react-hot-toast";
 import { useQuery, useQueryClient } from "@tanstack/react-query";
 import Panel from "./pages/panel/Panel";
-import api from "./lib/axios";
+import api, { OTURUM_SONLANDI_OLAYI } from "./lib/axios";
 import {useEffect, useState } from "react";
 import AppLayout from "./components/layout/AppLayout";
 import Kullanicilar from "./pages/koordinator/Kullanicilar";
 import Kurumlar from "./pages/koordinator/Kurumlar";
 import Araclar from "./pages/koordinator/Araclar";
 import Araclarim from "./pages/arac_sahibi/Araclarim";
+import Soforlerim from "./pages/arac_sahibi/Soforlerim";
 import Taleplerim from "./pages/talep_eden/Taleplerim";
 import Talepler from "./pages/koordinator/Talepler";
 import Gorevler from "./pages/koordinator/Gorevler";
@@ -20,8 +23,14 @@ import GorevlerimTalepEden from "./pages/talep_eden/GorevlerTalepEden";
 import Bildirimler from "./pages/koordinator/Bildirimler";
 import TalepDetay from "./pages/bildirimler/TalepDetay";
 import GorevDetay from "./pages/bildirimler/GorevDetay";
+import BildirimTercihleri from "./pages/bildirimler/BildirimTercihleri";
+import Hesabim from "./pages/hesap/Hesabim";
 import Raporlama from "./pages/koordinator/Raporlar";
 import Raporlar from "./pages/koordinator/Raporlar";
+import GidenMesajlar from "./pages/koordinator/GidenMesajlar";
+import AfetOlaylari from "./pages/koordinator/AfetOlaylari";
+import PdfSablonlari from "./pages/koordinator/PdfSablonlari";
+import OperasyonBolgeleri from "./pages/koordinator/OperasyonBolgeleri";
 
 
 function App() {
@@ -48,9 +57,20 @@ function App() {
 
 const location = useLocation();
 
+// Oturum sona erdiyse ya da başka bir cihazdan kapatıldıysa kullanıcı giriş sayfasına düşer
+useEffect(() => {
+  const oturumSonlandi = () => queryClient.setQueryData(["girisYapanKullanici"], null);
+  window.addEventListener(OTURUM_SONLANDI_OLAYI, oturumSonlandi);
+  return () => window.removeEventListener(OTURUM_SONLANDI_OLAYI, oturumSonlandi);
+}, [queryClient]);
+
 useEffect(() => {
   const publicPaths = ["/girisyap", "/kayitol"];
-  if (yetkisiz && !publicPaths.includes(location.pathname)) {
+  // Belge doğrulama sayfası kontrol noktalarında, e-posta bağlantıları ise oturum açmadan kullanılır
+  const dogrulamaSayfasi = ["/dogrula/", "/email-dogrula/", "/sifre-sifirla/"].some((onEk) =>
+    location.pathname.startsWith(onEk)
+  );
+  if (yetkisiz && !publicPaths.includes(location.pathname) && !dogrulamaSayfasi) {
     navigate("/girisyap");
   }
 }, [yetkisiz, navigate, location.pathname]);
@@ -72,6 +92,9 @@ useEffect(() => {
   {/* Her zaman var olacak sayfalar */}
   <Route path="/girisyap" element={ girisYapanKullanici ? <Navigate to="/" replace /> : <GirisYap />} />
   <Route path="/kayitol" element={ girisYapanKullanici ? <Navigate to="/" replace /> : <KayıtOl />} />
+  <Route path="/dogrula/:token" element={<BelgeDogrula />} />
+  <Route path="/email-dogrula/:token" element={<EmailDogrula />} />
+  <Route path="/sifre-sifirla/:token" element={<GirisYap />} />
 
 
   {/* Koşullu içerik */}
@@ -90,12 +113,17 @@ useEffect(() => {
     <Route path="/gorevler" element={<Gorevler />} />
     <Route path="/bildirimler" element={<Bildirimler />} />
     <Route path="/raporlar" element={<Raporlar />} />
+    <Route path="/giden-mesajlar" element={<GidenMesajlar />} />
+    <Route path="/afet-olaylari" element={<AfetOlaylari />} />
+    <Route path="/operasyon-bolgeleri" element={<OperasyonBolgeleri />} />
+    <Route path="/pdf-sablonlari" element={<PdfSablonlari />} />
 
 
 
 
     {/* ARAÇ SAHİBİ*/}
     <Route path="/araclarim" element={<Araclarim />} />
+    <Route path="/soforlerim" element={<Soforlerim />} />
     <Route path="/arac-sahibi/gorevler" element={<GorevlerimAracSahibi />} />
 
     {/* TALEP EDEN */}
@@ -106,6 +134,8 @@ useEffect(() => {
     {/* BİLDİRİMLER */}
     <Route path="/talepler/:id" element={<TalepDetay />} />
     <Route path="/gorevler/:id" element={<GorevDetay />} />
+    <Route path="/bildirim-tercihleri" element={<BildirimTercihleri />} />
+    <Route path="/hesabim" element={<Hesabim />} />
 
 
 
@@ -0,0 +1,90 @@
+import React from "react";
+import { useQuery } from "@tanstack/react-query";
+import api from "../../lib/axios";
+
+const durumRenkleri = {
+  beklemede: "bg-info",
+  yolda: "bg-accent",
+  başladı: "bg-warning",
+  tamamlandı: "bg-success",
+  "iptal edildi": "bg-error",
+};
+
+// Görevin durum geçişlerini (kim, ne zaman, hangi durumdan hangisine) zaman çizelgesi olarak gösterir
+const GorevDurumGecmisi = ({ gorevId }) => {
+  const { data: gorev, isLoading } = useQuery({
+    queryKey: ["gorev", gorevId],
+    queryFn: async () => {
+      const res = await api.get(`/gorevler/${gorevId}`);
+      return res.data;
+    },
+    enabled: !!gorevId,
+  });
+
+  const { data: secenekler } = useQuery({
+    queryKey: ["gorevDurumSecenekleri", gorevId],
+    queryFn: async () => {
+      const res = await api.get(`/gorevler/${gorevId}/durum-secenekleri`);
+      return res.data;
+    },
+    enabled: !!gorevId,
+  });
+
+  if (isLoading) return <div className="text-sm text-gray-500">Yükleniyor...</div>;
+
+  const gecmis = gorev?.durumGecmisi || [];
+
+  if (gecmis.length === 0) {
+    return <p className="text-sm text-gray-500 italic">Durum geçmişi bulunmuyor.</p>;
+  }
+
+  return (
+    <ul className="timeline timeline-vertical timeline-compact">
+      {gecmis.map((kayit, index) => (
+        <li key={kayit._id || index}>
+          {index > 0 && <hr />}
+          <div className="timeline-middle">
+            <span
+              className={`block w-3 h-3 rounded-full ${
+                durumRenkleri[kayit.yeniDurum] || "bg-gray-400"
+              }`}
+            />
+          </div>
+          <div className="timeline-end timeline-box text-sm mb-2 w-full">
+            <div className="flex justify-between gap-4">
+              <span className="font-semibold capitalize">
+                {kayit.oncekiDurum ? `${kayit.oncekiDurum} → ` : ""}
+                {kayit.yeniDurum}
+              </span>
+              <span className="text-gray-500">
+                {new Date(kayit.tarih).toLocaleString("tr-TR")}
+              </span>
+            </div>
+            <div className="text-gray-600 capitalize">
+              👤 {kayit.kullaniciId?.ad || ""} {kayit.kullaniciId?.soyad || ""}
+              {kayit.rol && <span className="text-gray-400"> ({kayit.rol})</span>}
+            </div>
+            {kayit.nedenKodu && (
+              <div className="text-error">
+                ⚠️ {secenekler?.iptalNedenleri?.[kayit.nedenKodu] || kayit.nedenKodu}
+              </div>
+            )}
+            {kayit.not && <div className="text-gray-700">📝 {kayit.not}</div>}
+            {kayit.konum?.lat !== undefined && kayit.konum?.lng !== undefined && (
+              <a
+                className="link link-primary"
+                href={`https://www.google.com/maps?q=${kayit.konum.lat},${kayit.konum.lng}`}
+                target="_blank"
+                rel="noreferrer"
+              >
+                📍 Konumu Gör
+              </a>
+            )}
+          </div>
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+export default GorevDurumGecmisi;
@@ -0,0 +1,82 @@
+import React, { useEffect, useRef } from "react";
+
+// Teslim alanın imzasını fare / dokunmatik ekranla çizdirir; her çizimden sonra PNG çıktısını onChange ile bildirir
+const ImzaAlani = ({ onChange }) => {
+  const tuvalRef = useRef(null);
+  const ciziliyor = useRef(false);
+  const bos = useRef(true);
+
+  useEffect(() => {
+    const tuval = tuvalRef.current;
+    const ctx = tuval.getContext("2d");
+    ctx.lineWidth = 2;
+    ctx.lineCap = "round";
+    ctx.strokeStyle = "#111827";
+  }, []);
+
+  const nokta = (e) => {
+    const alan = tuvalRef.current.getBoundingClientRect();
+    // Tuval CSS ile ölçeklendiği için koordinatlar çizim çözünürlüğüne çevrilir
+    return {
+      x: ((e.clientX - alan.left) * tuvalRef.current.width) / alan.width,
+      y: ((e.clientY - alan.top) * tuvalRef.current.height) / alan.height,
+    };
+  };
+
+  const basla = (e) => {
+    e.preventDefault();
+    tuvalRef.current.setPointerCapture(e.pointerId);
+    const { x, y } = nokta(e);
+    const ctx = tuvalRef.current.getContext("2d");
+    ctx.beginPath();
+    ctx.moveTo(x, y);
+    ciziliyor.current = true;
+  };
+
+  const ciz = (e) => {
+    if (!ciziliyor.current) return;
+    const { x, y } = nokta(e);
+    const ctx = tuvalRef.current.getContext("2d");
+    ctx.lineTo(x, y);
+    ctx.stroke();
+    bos.current = false;
+  };
+
+  const bitir = () => {
+    if (!ciziliyor.current) return;
+    ciziliyor.current = false;
+    if (!bos.current) {
+      tuvalRef.current.toBlob((blob) => onChange(blob), "image/png");
+    }
+  };
+
+  const temizle = () => {
+    const tuval = tuvalRef.current;
+    tuval.getContext("2d").clearRect(0, 0, tuval.width, tuval.height);
+    bos.current = true;
+    onChange(null);
+  };
+
+  return (
+    <div>
+      <canvas
+        ref={tuvalRef}
+        width={600}
+        height={200}
+        className="w-full h-32 border border-base-300 rounded bg-white touch-none cursor-crosshair"
+        onPointerDown={basla}
+        onPointerMove={ciz}
+        onPointerUp={bitir}
+        onPointerLeave={bitir}
+      />
+      <div className="flex justify-between items-center mt-1 text-xs text-gray-500">
+        <span>Teslim alan kişi kutunun içine imzalamalıdır</span>
+        <button type="button" className="btn btn-xs btn-ghost" onClick={temizle}>
+          Temizle
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ImzaAlani;
@@ -0,0 +1,179 @@
+import React, { useState } from "react";
+import { useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
+import { toast } from "react-hot-toast";
+import api from "../../lib/axios";
+import { TESLIM_ONAY_DURUMLARI, teslimDosyasiUrl } from "../../lib/teslimKaniti";
+import { yetkisiVar } from "../../lib/roller";
+
+// Tamamlanan görevin teslim kanıtını (teslim alan, miktar, konum, imza, fotoğraflar) gösterir;
+// talep eden teslimatı buradan onaylar ya da itiraz eder
+const TeslimKaniti = ({ gorevId }) => {
+  const [itirazAciklamasi, setItirazAciklamasi] = useState("");
+  const [itirazAcik, setItirazAcik] = useState(false);
+
+  const queryClient = useQueryClient();
+  const kullanici = queryClient.getQueryData(["girisYapanKullanici"]);
+
+  const { data: gorev, isLoading } = useQuery({
+    queryKey: ["gorev", gorevId],
+    queryFn: async () => {
+      const res = await api.get(`/gorevler/${gorevId}`);
+      return res.data;
+    },
+    enabled: !!gorevId,
+  });
+
+  const { mutate: kararVer, isPending } = useMutation({
+    mutationFn: async ({ karar, aciklama }) => {
+      const res = await api.put(`/gorevler/${gorevId}/teslim-onayi`, { karar, aciklama });
+      return res.data;
+    },
+    onSuccess: (veri) => {
+      queryClient.invalidateQueries({ queryKey: ["gorev", gorevId] });
+      queryClient.invalidateQueries({ queryKey: ["gorevlerTalepEden"] });
+      setItirazAcik(false);
+      setItirazAciklamasi("");
+      toast.success(veri.message);
+    },
+    onError: (err) => toast.error(err?.response?.data?.message || "Bir hata oluştu"),
+  });
+
+  if (isLoading) return <div className="text-sm text-gray-500">Yükleniyor...</div>;
+
+  const kanit = gorev?.teslimKaniti;
+  if (!kanit?.tarih) {
+    return <p className="text-sm text-gray-500 italic">Görev tamamlanmadığı için teslim kanıtı bulunmuyor.</p>;
+  }
+
+  const onay = TESLIM_ONAY_DURUMLARI[kanit.onay?.durum || "bekliyor"];
+  const kararBekliyor = !kanit.onay?.durum || kanit.onay.durum === "bekliyor";
+  const onayVerebilir = yetkisiVar(kullanici, "gorev.delivery.confirm.own") && gorev.gorevDurumu === "tamamlandı" && kararBekliyor;
+
+  return (
+    <div className="space-y-4 text-sm">
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div className="space-y-2">
+          <div className="flex justify-between">
+            <span className="font-medium text-gray-600">Teslim Tarihi:</span>
+            <span>{new Date(kanit.tarih).toLocaleString("tr-TR")}</span>
+          </div>
+          <div className="flex justify-between">
+            <span className="font-medium text-gray-600">Teslim Alan:</span>
+            <span className="font-semibold">{kanit.teslimAlan || "-"}</span>
+          </div>
+          <div className="flex justify-between">
+            <span className="font-medium text-gray-600">Teslim Miktarı:</span>
+            <span>
+              {kanit.teslimMiktari !== undefined && kanit.teslimMiktari !== null
+                ? `${kanit.teslimMiktari} ${kanit.miktarBirimi || ""}`
+                : "-"}
+            </span>
+          </div>
+          <div className="flex justify-between">
+            <span className="font-medium text-gray-600">Konum:</span>
+            {kanit.konum?.lat !== undefined && kanit.konum?.lng !== undefined ? (
+              <a
+                className="link link-primary"
+                href={`https://www.google.com/maps?q=${kanit.konum.lat},${kanit.konum.lng}`}
+                target="_blank"
+                rel="noreferrer"
+              >
+                📍 {kanit.konum.lat.toFixed(5)}, {kanit.konum.lng.toFixed(5)}
+              </a>
+            ) : (
+              <span>-</span>
+            )}
+          </div>
+          <div className="flex justify-between items-center">
+            <span className="font-medium text-gray-600">Talep Eden Onayı:</span>
+            <span className={`badge ${onay.renk}`}>{onay.etiket}</span>
+          </div>
+          {kanit.onay?.aciklama && (
+            <div className="text-gray-700">
+              📝 {kanit.onay.aciklama}
+              {kanit.onay.kullaniciId?.ad && (
+                <span className="text-gray-400">
+                  {" "}
+                  ({kanit.onay.kullaniciId.ad} {kanit.onay.kullaniciId.soyad})
+                </span>
+              )}
+            </div>
+          )}
+        </div>
+
+        <div>
+          <span className="font-medium text-gray-600 block mb-1">Teslim Alanın İmzası:</span>
+          {kanit.imza?.anahtar ? (
+            <img
+              src={teslimDosyasiUrl(gorevId, "imza")}
+              alt="Teslim alanın imzası"
+              className="border rounded bg-white max-h-32 w-full object-contain"
+            />
+          ) : (
+            <span className="text-gray-500 italic">İmza alınmadı</span>
+          )}
+        </div>
+      </div>
+
+      {kanit.fotograflar?.length > 0 && (
+        <div>
+          <span className="font-medium text-gray-600 block mb-1">Teslim Fotoğrafları:</span>
+          <div className="grid grid-cols-2 md:grid-cols-5 gap-2">
+            {kanit.fotograflar.map((fotograf) => (
+              <a key={fotograf._id} href={teslimDosyasiUrl(gorevId, fotograf._id)} target="_blank" rel="noreferrer">
+                <img
+                  src={teslimDosyasiUrl(gorevId, fotograf._id)}
+                  alt="Teslim fotoğrafı"
+                  className="h-28 w-full object-cover rounded border"
+                />
+              </a>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {onayVerebilir && (
+        <div className="border-t pt-3 space-y-2">
+          {itirazAcik ? (
+            <>
+              <textarea
+                className="textarea textarea-bordered w-full"
+                rows={2}
+                placeholder="İtiraz nedeni (zorunlu)"
+                value={itirazAciklamasi}
+                onChange={(e) => setItirazAciklamasi(e.target.value)}
+              />
+              <div className="flex justify-end gap-2">
+                <button className="btn btn-sm" onClick={() => setItirazAcik(false)} disabled={isPending}>
+                  Vazgeç
+                </button>
+                <button
+                  className="btn btn-sm btn-error"
+                  disabled={isPending || !itirazAciklamasi.trim()}
+                  onClick={() => kararVer({ karar: "itiraz_edildi", aciklama: itirazAciklamasi.trim() })}
+                >
+                  İtirazı Gönder
+                </button>
+              </div>
+            </>
+          ) : (
+            <div className="flex justify-end gap-2">
+              <button className="btn btn-sm btn-outline btn-error" onClick={() => setItirazAcik(true)} disabled={isPending}>
+                İtiraz Et
+              </button>
+              <button
+                className="btn btn-sm btn-success"
+                disabled={isPending}
+                onClick={() => kararVer({ karar: "onaylandi" })}
+              >
+                Teslim Aldım
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TeslimKaniti;
@@ -0,0 +1,123 @@
+import React, { useState } from "react";
+import { useMutation } from "@tanstack/react-query";
+import { toast } from "react-hot-toast";
+import api from "../../lib/axios";
+
+const hataMesaji = (err) => err?.response?.data?.error || "Bir hata oluştu";
+
+const DurumRozeti = ({ dogrulandi }) => (
+  <span className={`badge badge-sm ${dogrulandi ? "badge-success" : "badge-warning"}`}>
+    {dogrulandi ? "Doğrulandı" : "Doğrulanmadı"}
+  </span>
+);
+
+// E-posta adresine doğrulama bağlantısı gönderir ve SMS ile gelen kodla telefonu doğrular.
+// Kayıt sonrası adımda ve Hesabım sayfasında kullanılır
+const HesapDogrulama = ({ kullanici, kodGonderildi = false, onTelefonDogrulandi }) => {
+  const [kod, setKod] = useState("");
+  const [kodIstendi, setKodIstendi] = useState(kodGonderildi);
+
+  const { mutate: baglantiGonder, isPending: baglantiGonderiliyor } = useMutation({
+    mutationFn: async () => {
+      const res = await api.post("/auth/email-dogrulama/gonder");
+      return res.data;
+    },
+    onSuccess: (veri) => toast.success(veri.message),
+    onError: (err) => toast.error(hataMesaji(err)),
+  });
+
+  const { mutate: kodGonder, isPending: kodGonderiliyor } = useMutation({
+    mutationFn: async () => {
+      const res = await api.post("/auth/telefon-dogrulama/gonder");
+      return res.data;
+    },
+    onSuccess: (veri) => {
+      setKodIstendi(true);
+      toast.success(veri.message);
+    },
+    onError: (err) => toast.error(hataMesaji(err)),
+  });
+
+  const { mutate: telefonDogrula, isPending: dogrulaniyor } = useMutation({
+    mutationFn: async () => {
+      const res = await api.post("/auth/telefon-dogrulama", { kod });
+      return res.data;
+    },
+    onSuccess: (veri) => {
+      setKod("");
+      toast.success(veri.message);
+      onTelefonDogrulandi?.();
+    },
+    onError: (err) => toast.error(hataMesaji(err)),
+  });
+
+  return (
+    <div className="space-y-4 text-sm">
+      <div className="flex items-center justify-between gap-3">
+        <div>
+          <p className="font-medium">
+            E-posta <DurumRozeti dogrulandi={kullanici?.emailDogrulandi} />
+          </p>
+          <p className="text-gray-500">{kullanici?.email}</p>
+        </div>
+        {!kullanici?.emailDogrulandi && (
+          <button
+            type="button"
+            className="btn btn-sm btn-outline"
+            disabled={baglantiGonderiliyor}
+            onClick={() => baglantiGonder()}
+          >
+            Bağlantıyı Tekrar Gönder
+          </button>
+        )}
+      </div>
+
+      <div className="space-y-2">
+        <div className="flex items-center justify-between gap-3">
+          <div>
+            <p className="font-medium">
+              Telefon <DurumRozeti dogrulandi={kullanici?.telefonDogrulandi} />
+            </p>
+            <p className="text-gray-500">{kullanici?.telefon}</p>
+          </div>
+          {!kullanici?.telefonDogrulandi && (
+            <button
+              type="button"
+              className="btn btn-sm btn-outline"
+              disabled={kodGonderiliyor}
+              onClick={() => kodGonder()}
+            >
+              {kodIstendi ? "Kodu Tekrar Gönder" : "SMS Kodu Gönder"}
+            </button>
+          )}
+        </div>
+
+        {!kullanici?.telefonDogrulandi && kodIstendi && (
+          <form
+            className="flex gap-2"
+            onSubmit={(e) => {
+              e.preventDefault();
+              telefonDogrula();
+            }}
+          >
+            <input
+              type="text"
+              inputMode="numeric"
+              autoComplete="one-time-code"
+              maxLength={6}
+              placeholder="6 haneli kod"
+              className="input input-bordered input-sm grow tracking-widest"
+              value={kod}
+              onChange={(e) => setKod(e.target.value.replace(/[^0-9]/g, ""))}
+            />
+            <button type="submit" className="btn btn-sm btn-primary" disabled={dogrulaniyor || kod.length !== 6}>
+              Doğrula
+            </button>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default HesapDogrulama;
@@ -0,0 +1,188 @@
+import React, { useState } from "react";
+import { useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
+import { toast } from "react-hot-toast";
+import api from "../../lib/axios";
+import IkiAdimliKurulum from "./IkiAdimliKurulum";
+import KurtarmaKodlari from "./KurtarmaKodlari";
+
+const hataMesaji = (err) => err?.response?.data?.error || "Bir hata oluştu";
+
+// Hesabım sayfasında iki adımlı doğrulamayı etkinleştirme, kurtarma kodlarını yenileme ve kapatma
+const IkiAdimliAyarlari = () => {
+  const queryClient = useQueryClient();
+  const [islem, setIslem] = useState(null); // kurulum | kodlar | kapat
+  const [kod, setKod] = useState("");
+  const [sifre, setSifre] = useState("");
+  const [yeniKodlar, setYeniKodlar] = useState(null);
+
+  const { data: durum, isLoading } = useQuery({
+    queryKey: ["ikiAdimli"],
+    queryFn: async () => {
+      const res = await api.get("/auth/iki-adimli");
+      return res.data;
+    },
+  });
+
+  const yenile = () => {
+    queryClient.invalidateQueries({ queryKey: ["ikiAdimli"] });
+    queryClient.invalidateQueries({ queryKey: ["girisYapanKullanici"] });
+  };
+
+  const kapat = () => {
+    setIslem(null);
+    setKod("");
+    setSifre("");
+  };
+
+  const { mutate: kodlariYenile, isPending: kodlarYenileniyor } = useMutation({
+    mutationFn: async () => {
+      const res = await api.post("/auth/iki-adimli/kurtarma-kodlari", { kod });
+      return res.data;
+    },
+    onSuccess: (veri) => {
+      kapat();
+      setYeniKodlar(veri.kurtarmaKodlari);
+      yenile();
+      toast.success(veri.message);
+    },
+    onError: (err) => toast.error(hataMesaji(err)),
+  });
+
+  const { mutate: devreDisiBirak, isPending: kapatiliyor } = useMutation({
+    mutationFn: async () => {
+      const res = await api.delete("/auth/iki-adimli", { data: { sifre, kod } });
+      return res.data;
+    },
+    onSuccess: (veri) => {
+      kapat();
+      yenile();
+      toast.success(veri.message);
+    },
+    onError: (err) => toast.error(hataMesaji(err)),
+  });
+
+  if (isLoading) return <div className="text-sm text-gray-500">Yükleniyor...</div>;
+
+  if (islem === "kurulum") {
+    return (
+      <IkiAdimliKurulum
+        onTamamlandi={() => {
+          kapat();
+          yenile();
+        }}
+        onVazgec={kapat}
+      />
+    );
+  }
+
+  const kodAlani = (
+    <input
+      type="text"
+      autoComplete="one-time-code"
+      placeholder="Uygulama kodu ya da kurtarma kodu"
+      className="input input-bordered input-sm w-full"
+      value={kod}
+      onChange={(e) => setKod(e.target.value)}
+    />
+  );
+
+  return (
+    <div className="space-y-4 text-sm">
+      <div className="flex items-center justify-between gap-3">
+        <div>
+          <p className="font-medium">
+            Doğrulama uygulaması{" "}
+            <span className={`badge badge-sm ${durum?.aktif ? "badge-success" : "badge-warning"}`}>
+              {durum?.aktif ? "Etkin" : "Etkin değil"}
+            </span>
+          </p>
+          {durum?.aktif ? (
+            <p className="text-gray-500">
+              {durum.etkinlestirmeTarihi && `${new Date(durum.etkinlestirmeTarihi).toLocaleDateString("tr-TR")} tarihinden beri etkin. `}
+              Kalan kurtarma kodu: {durum.kalanKurtarmaKodu}
+            </p>
+          ) : (
+            durum?.zorunlu && <p className="text-warning">Rolünüz için zorunludur; bir sonraki girişte kurmanız istenecek.</p>
+          )}
+        </div>
+        {!durum?.aktif && (
+          <button type="button" className="btn btn-sm btn-primary" onClick={() => setIslem("kurulum")}>
+            Etkinleştir
+          </button>
+        )}
+      </div>
+
+      {yeniKodlar && <KurtarmaKodlari kodlar={yeniKodlar} />}
+
+      {durum?.aktif && !islem && (
+        <div className="flex gap-2">
+          <button
+            type="button"
+            className="btn btn-sm btn-outline"
+            onClick={() => {
+              setYeniKodlar(null);
+              setIslem("kodlar");
+            }}
+          >
+            Kurtarma Kodlarını Yenile
+          </button>
+          {!durum.zorunlu && (
+            <button type="button" className="btn btn-sm btn-outline btn-error" onClick={() => setIslem("kapat")}>
+              Kapat
+            </button>
+          )}
+        </div>
+      )}
+
+      {islem === "kodlar" && (
+        <form
+          className="space-y-2"
+          onSubmit={(e) => {
+            e.preventDefault();
+            kodlariYenile();
+          }}
+        >
+          <p className="text-gray-500">Yeni kodlar oluşturulduğunda eski kurtarma kodları geçersiz olur.</p>
+          {kodAlani}
+          <div className="flex justify-end gap-2">
+            <button type="button" className="btn btn-sm" onClick={kapat}>
+              Vazgeç
+            </button>
+            <button type="submit" className="btn btn-sm btn-primary" disabled={kodlarYenileniyor || !kod.trim()}>
+              Yeni Kodlar Oluştur
+            </button>
+          </div>
+        </form>
+      )}
+
+      {islem === "kapat" && (
+        <form
+          className="space-y-2"
+          onSubmit={(e) => {
+            e.preventDefault();
+            devreDisiBirak();
+          }}
+        >
+          <input
+            type="password"
+            placeholder="Şifreniz"
+            className="input input-bordered input-sm w-full"
+            value={sifre}
+            onChange={(e) => setSifre(e.target.value)}
+          />
+          {kodAlani}
+          <div className="flex justify-end gap-2">
+            <button type="button" className="btn btn-sm" onClick={kapat}>
+              Vazgeç
+            </button>
+            <button type="submit" className="btn btn-sm btn-error" disabled={kapatiliyor || !sifre || !kod.trim()}>
+              İki Adımlı Doğrulamayı Kapat
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default IkiAdimliAyarlari;
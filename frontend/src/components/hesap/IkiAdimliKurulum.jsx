@@ -0,0 +1,103 @@
+import React, { useState } from "react";
+import { useMutation, useQuery } from "@tanstack/react-query";
+import { toast } from "react-hot-toast";
+import axios from "axios";
+import api from "../../lib/axios";
+import KurtarmaKodlari from "./KurtarmaKodlari";
+
+const hataMesaji = (err) => err?.response?.data?.error || "Bir hata oluştu";
+
+// Doğrulama uygulamasına QR kodla anahtar ekletir, ilk kodu doğrulayıp kurtarma kodlarını gösterir.
+// Hesabım sayfasında oturumla, zorunlu kurulumda ise girişte alınan ikiAdimliToken ile çalışır
+const IkiAdimliKurulum = ({ ikiAdimliToken, onTamamlandi, onVazgec }) => {
+  const [kod, setKod] = useState("");
+  const [sonuc, setSonuc] = useState(null);
+
+  // Giriş tamamlanmadan oturum olmadığından zorunlu kurulumda istekler doğrudan gönderilir
+  const istek = (yol, veri = {}) =>
+    ikiAdimliToken
+      ? axios.post(`/api/auth/iki-adimli/${yol}`, { ...veri, ikiAdimliToken }, { withCredentials: true })
+      : api.post(`/auth/iki-adimli/${yol}`, veri);
+
+  // Her istek yeni bir anahtar üretir; sayfa odağı değişince QR kod yenilenmemeli
+  const { data: kurulum, isLoading, isError, error } = useQuery({
+    queryKey: ["ikiAdimliKurulum", ikiAdimliToken || "oturum"],
+    queryFn: async () => {
+      const res = await istek("kurulum");
+      return res.data;
+    },
+    staleTime: Infinity,
+    gcTime: 0,
+    retry: false,
+    refetchOnWindowFocus: false,
+  });
+
+  const { mutate: etkinlestir, isPending } = useMutation({
+    mutationFn: async () => {
+      const res = await istek("etkinlestir", { kod });
+      return res.data;
+    },
+    onSuccess: (veri) => setSonuc(veri),
+    onError: (err) => {
+      setKod("");
+      toast.error(hataMesaji(err));
+    },
+  });
+
+  if (sonuc) {
+    return (
+      <div className="space-y-4">
+        <p className="text-sm font-medium text-success">İki adımlı doğrulama etkinleştirildi.</p>
+        <KurtarmaKodlari kodlar={sonuc.kurtarmaKodlari} />
+        <button type="button" className="btn btn-primary w-full" onClick={() => onTamamlandi?.(sonuc)}>
+          Kodları Kaydettim, Devam Et
+        </button>
+      </div>
+    );
+  }
+
+  if (isLoading) return <div className="text-sm text-gray-500">Yükleniyor...</div>;
+  if (isError) return <div className="alert alert-error text-sm">{hataMesaji(error)}</div>;
+
+  return (
+    <div className="space-y-4 text-sm">
+      <ol className="list-decimal list-inside space-y-1 text-gray-600">
+        <li>Google Authenticator, Microsoft Authenticator gibi bir doğrulama uygulaması açın.</li>
+        <li>Aşağıdaki QR kodu taratın ya da anahtarı elle girin.</li>
+        <li>Uygulamanın gösterdiği 6 haneli kodu girin.</li>
+      </ol>
+      <div className="flex flex-col items-center gap-2">
+        <img src={kurulum.qrKod} alt="İki adımlı doğrulama QR kodu" className="w-48 h-48 border rounded bg-white" />
+        <code className="text-xs break-all select-all bg-base-200 rounded px-2 py-1">{kurulum.gizliAnahtar}</code>
+      </div>
+      <form
+        className="flex gap-2"
+        onSubmit={(e) => {
+          e.preventDefault();
+          etkinlestir();
+        }}
+      >
+        <input
+          type="text"
+          inputMode="numeric"
+          autoComplete="one-time-code"
+          maxLength={6}
+          placeholder="6 haneli kod"
+          className="input input-bordered input-sm grow tracking-widest"
+          value={kod}
+          onChange={(e) => setKod(e.target.value.replace(/[^0-9]/g, ""))}
+        />
+        <button type="submit" className="btn btn-sm btn-primary" disabled={isPending || kod.length !== 6}>
+          Etkinleştir
+        </button>
+      </form>
+      {onVazgec && (
+        <button type="button" className="btn btn-ghost btn-sm" onClick={onVazgec}>
+          Vazgeç
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default IkiAdimliKurulum;
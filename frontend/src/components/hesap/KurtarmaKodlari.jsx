@@ -0,0 +1,48 @@
+import React from "react";
+import { toast } from "react-hot-toast";
+
+// Yeni üretilen kurtarma kodlarını bir kez gösterir; kodlar kopyalanabilir ya da metin dosyası olarak indirilebilir
+const KurtarmaKodlari = ({ kodlar }) => {
+  const metin = kodlar.join("\n");
+
+  const kopyala = async () => {
+    try {
+      await navigator.clipboard.writeText(metin);
+      toast.success("Kurtarma kodları kopyalandı");
+    } catch {
+      toast.error("Kodlar kopyalanamadı");
+    }
+  };
+
+  const indir = () => {
+    const baglanti = document.createElement("a");
+    baglanti.href = URL.createObjectURL(new Blob([`Afet Nakliye kurtarma kodları\n\n${metin}\n`], { type: "text/plain" }));
+    baglanti.download = "afet-nakliye-kurtarma-kodlari.txt";
+    baglanti.click();
+    URL.revokeObjectURL(baglanti.href);
+  };
+
+  return (
+    <div className="space-y-3 text-sm">
+      <div className="alert alert-warning text-sm">
+        Bu kodları güvenli bir yerde saklayın; bir daha gösterilmeyecek. Doğrulama uygulamanıza erişemezseniz her kodu
+        bir kez kullanarak giriş yapabilirsiniz.
+      </div>
+      <div className="grid grid-cols-2 gap-2 font-mono text-center bg-base-200 rounded p-3">
+        {kodlar.map((kod) => (
+          <span key={kod}>{kod}</span>
+        ))}
+      </div>
+      <div className="flex justify-end gap-2">
+        <button type="button" className="btn btn-sm btn-outline" onClick={kopyala}>
+          Kopyala
+        </button>
+        <button type="button" className="btn btn-sm btn-outline" onClick={indir}>
+          İndir
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default KurtarmaKodlari;
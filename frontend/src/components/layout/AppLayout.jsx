@@ -3,8 +3,16 @@ import Navbar from "./Navbar";
 import Sidebar from "./Sidebar";
 import { Outlet } from "react-router-dom";
 import Footer from "./Footer";
+import { useQueryClient } from "@tanstack/react-query";
+import { useCanliOlaylar } from "../../lib/canliOlaylar";
 
 const AppLayout = () => {
+  const queryClient = useQueryClient();
+  const kullanici = queryClient.getQueryData(["girisYapanKullanici"]);
+
+  // Bildirim ve talep / görev / araç değişiklikleri sayfa yenilenmeden yansıtılır
+  useCanliOlaylar(kullanici?._id);
+
   return (
     <div className="min-h-screen flex flex-col">
       <Navbar />
@@ -1,8 +1,32 @@
 import { useMutation, useQueryClient } from "@tanstack/react-query";
 import React from "react";
 import { Link, useNavigate } from "react-router-dom";
-import { FaUserCircle, FaSignOutAlt, FaTruck, FaHardHat } from "react-icons/fa";
+import { FaUserCircle, FaSignOutAlt, FaTruck, FaHardHat, FaBell } from "react-icons/fa";
 import api from "../../lib/axios";
+import { seciliAfetOlayiniTemizle, useSeciliAfetOlayi } from "../../lib/afetOlayi";
+import { koordinatorMu, rolEtiketi } from "../../lib/roller";
+
+// Koordinatörün listelerde ve raporlarda çalıştığı afet olayını seçtiği alan
+const AfetOlayiSecici = () => {
+  const { afetOlaylari, seciliId, olayDegistir } = useSeciliAfetOlayi();
+
+  return (
+    <select
+      className="select select-bordered select-sm max-w-xs"
+      value={seciliId}
+      onChange={(e) => olayDegistir(e.target.value)}
+      title="Afet Olayı"
+    >
+      <option value="">Tüm Olaylar</option>
+      {afetOlaylari.map((olay) => (
+        <option key={olay._id} value={olay._id}>
+          {olay.ad}
+          {olay.durum === "kapandi" ? " (kapandı)" : ""}
+        </option>
+      ))}
+    </select>
+  );
+};
 
 const Navbar = () => {
   const queryClient = useQueryClient();
@@ -20,6 +44,7 @@ const Navbar = () => {
     },
     onSuccess: (data) => {
       queryClient.setQueryData(["girisYapanKullanici"], null);
+      seciliAfetOlayiniTemizle();
       navigate("/girisyap");
     },
     onError: (error) => {
@@ -32,19 +57,6 @@ const Navbar = () => {
     logout();
   };
 
-  const rolGoster = (rol) => {
-    switch (rol) {
-      case "arac_sahibi":
-        return "Araç Sahibi";
-      case "talep_eden":
-        return "Talep Eden";
-      case "koordinator":
-        return "Koordinatör";
-      default:
-        return rol;
-    }
-  };
-
   return (
     <div className="navbar bg-base-200 shadow-sm px-6">
       {/* Sol: Logo */}
@@ -63,18 +75,28 @@ const Navbar = () => {
 
       {/* Sağ: Kullanıcı bilgisi ve çıkış */}
       <div className="flex-none flex items-center gap-4">
-        <div className="flex items-center gap-2">
+        {koordinatorMu(kullanici) && <AfetOlayiSecici />}
+
+        <Link to="/hesabim" className="flex items-center gap-2" title="Hesabım">
           <FaUserCircle className="w-8 h-8 text-primary" />
           <div className="hidden sm:block text-sm text-gray-700">
             <p className="font-medium capitalize">
               {kullanici.ad} {kullanici.soyad}
             </p>
-            <p className="text-xs text-gray-500 capitalize">{rolGoster(kullanici.rol)}</p>
+            <p className="text-xs text-gray-500 capitalize">{rolEtiketi(kullanici.rol)}</p>
             <p className="text-xs italic text-gray-400 capitalize">
               {kullanici.kurumFirmaId?.kurumAdi}
             </p>
           </div>
-        </div>
+        </Link>
+
+        <Link
+          to="/bildirim-tercihleri"
+          className="btn btn-sm btn-ghost"
+          title="Bildirim Tercihleri"
+        >
+          <FaBell className="w-4 h-4" />
+        </Link>
 
         <button
           onClick={cikisYap}
@@ -11,9 +11,49 @@ import {
   MapPin,
   Bell,
   Car,
-  Clipboard
+  Clipboard,
+  IdCard,
+  Send,
+  AlertTriangle,
+  Map,
+  FileText
 } from "lucide-react";
 import api from "../../lib/axios";
+import { yetkisiVar } from "../../lib/roller";
+
+// Menü bölümleri; her öğe yalnızca kullanıcının etkin yetkileri arasında "yetki" varsa gösterilir
+const MENU_BOLUMLERI = [
+  {
+    baslik: "Koordinatör",
+    ogeler: [
+      { to: "/afet-olaylari", icon: AlertTriangle, label: "Afet Olayları", yetki: "afetOlayi.manage" },
+      { to: "/operasyon-bolgeleri", icon: Map, label: "Operasyon Bölgeleri", yetki: "bolge.manage" },
+      { to: "/kullanicilar", icon: Users, label: "Kullanıcılar", yetki: "kullanici.read" },
+      { to: "/kurumlar", icon: Building, label: "Kurumlar", yetki: "kurum.read" },
+      { to: "/araclar", icon: Truck, label: "Araçlar", yetki: "arac.read.any" },
+      { to: "/talepler", icon: Inbox, label: "Talepler", yetki: "talep.read.any" },
+      { to: "/gorevler", icon: MapPin, label: "Görevler", yetki: "gorev.read.any" },
+      { to: "/raporlar", icon: Clipboard, label: "Raporlar", yetki: "rapor.read" },
+      { to: "/giden-mesajlar", icon: Send, label: "Giden Mesajlar", yetki: "mesaj.read" },
+      { to: "/pdf-sablonlari", icon: FileText, label: "PDF Şablonları", yetki: "pdfSablonu.manage" },
+    ],
+  },
+  {
+    baslik: "Araç Sahibi",
+    ogeler: [
+      { to: "/araclarim", icon: Car, label: "Araçlarım", yetki: "arac.read.own" },
+      { to: "/soforlerim", icon: IdCard, label: "Şoförlerim", yetki: "sofor.read.own" },
+      { to: "/arac-sahibi/gorevler", icon: MapPin, label: "Görevlerim", yetki: "gorev.delivery.own" },
+    ],
+  },
+  {
+    baslik: "Talep Sahibi",
+    ogeler: [
+      { to: "/taleplerim", icon: Inbox, label: "Taleplerim", yetki: "talep.read.own" },
+      { to: "/talep-eden/gorevler", icon: Clipboard, label: "Görev Takibi", yetki: "gorev.delivery.confirm.own" },
+    ],
+  },
+];
 
 const Sidebar = () => {
   const location = useLocation();
@@ -21,17 +61,16 @@ const Sidebar = () => {
   const kullanici = queryClient.getQueryData(["girisYapanKullanici"]);
   const [hoveredItem, setHoveredItem] = useState(null);
 
-  const { data: bildirimler = [] } = useQuery({
+  // Liste yerine yalnızca okunmamış bildirim sayısı istenir
+  const { data: okunmamisSayisi = 0 } = useQuery({
     queryKey: ["bildirimlerSidebar"],
     queryFn: async () => {
-      const res = await api.get("/bildirimler");
-      return res.data;
+      const res = await api.get("/bildirimler", { params: { okundu: false, limit: 1 } });
+      return res.data.sayfalama.toplam;
     },
     enabled: !!kullanici?._id,
   });
 
-  const okunmamisSayisi = bildirimler.filter(b => !b.okundu).length;
-
   // Menü öğesi
   const MenuItem = ({ to, icon: Icon, label, badge }) => {
   const isActive =
@@ -90,36 +129,23 @@ const Sidebar = () => {
         <nav className="flex flex-col gap-1">
           <MenuItem to="/" icon={Home} label="Ana Panel" />
 
-          {kullanici?.rol === "koordinator" && (
-            <>
-              <SectionTitle title="Koordinatör" />
-              <MenuItem to="/kullanicilar" icon={Users} label="Kullanıcılar" />
-              <MenuItem to="/kurumlar" icon={Building} label="Kurumlar" />
-              <MenuItem to="/araclar" icon={Truck} label="Araçlar" />
-              <MenuItem to="/talepler" icon={Inbox} label="Talepler" />
-              <MenuItem to="/gorevler" icon={MapPin} label="Görevler" />
-              <MenuItem to="/bildirimler" icon={Bell} label="Bildirimler" badge={okunmamisSayisi} />
-              <MenuItem to="/raporlar" icon={Clipboard} label="Raporlar" />
-              
-            </>
-          )}
+          {MENU_BOLUMLERI.map(({ baslik, ogeler }) => {
+            const gorunenler = ogeler.filter((oge) => yetkisiVar(kullanici, oge.yetki));
+            if (gorunenler.length === 0) return null;
 
-          {kullanici?.rol === "arac_sahibi" && (
-            <>
-              <SectionTitle title="Araç Sahibi" />
-              <MenuItem to="/araclarim" icon={Car} label="Araçlarım" />
-              <MenuItem to="/arac-sahibi/gorevler" icon={MapPin} label="Görevlerim" />
-              <MenuItem to="/bildirimler" icon={Bell} label="Bildirimler" badge={okunmamisSayisi} />
-            </>
-          )}
+            return (
+              <React.Fragment key={baslik}>
+                <SectionTitle title={baslik} />
+                {gorunenler.map((oge) => (
+                  <MenuItem key={oge.to} {...oge} />
+                ))}
+              </React.Fragment>
+            );
+          })}
 
-          {kullanici?.rol === "talep_eden" && (
-            <>
-              <SectionTitle title="Talep Sahibi" />
-              <MenuItem to="/taleplerim" icon={Inbox} label="Taleplerim" />
-              <MenuItem to="/talep-eden/gorevler" icon={Clipboard} label="Görev Takibi" />
-              <MenuItem to="/bildirimler" icon={Bell} label="Bildirimler" badge={okunmamisSayisi} />
-            </>
+          {/* Bildirimler rolü atanmış (en az bir yetkisi olan) her kullanıcıya açıktır */}
+          {kullanici?.yetkiler?.length > 0 && (
+            <MenuItem to="/bildirimler" icon={Bell} label="Bildirimler" badge={okunmamisSayisi} />
           )}
         </nav>
       </div>
@@ -0,0 +1,37 @@
+import React from "react";
+
+// useSayfaliListe ile kullanılan tablo altı sayfa gezgini
+const Sayfalama = ({ sayfalama, sayfa, setSayfa, isFetching }) => {
+  if (!sayfalama) return null;
+
+  const { toplam, limit, sayfaSayisi } = sayfalama;
+  const ilk = toplam === 0 ? 0 : (sayfa - 1) * limit + 1;
+  const son = Math.min(sayfa * limit, toplam);
+
+  return (
+    <div className="flex flex-wrap items-center justify-between gap-2 mt-4 text-sm">
+      <span className="text-gray-500">
+        {isFetching ? "Yükleniyor..." : `${toplam} kayıttan ${ilk}-${son} gösteriliyor`}
+      </span>
+      <div className="join">
+        <button className="join-item btn btn-sm" disabled={sayfa <= 1} onClick={() => setSayfa(1)}>
+          «
+        </button>
+        <button className="join-item btn btn-sm" disabled={sayfa <= 1} onClick={() => setSayfa(sayfa - 1)}>
+          ‹
+        </button>
+        <span className="join-item btn btn-sm btn-disabled">
+          {sayfa} / {Math.max(sayfaSayisi, 1)}
+        </span>
+        <button className="join-item btn btn-sm" disabled={sayfa >= sayfaSayisi} onClick={() => setSayfa(sayfa + 1)}>
+          ›
+        </button>
+        <button className="join-item btn btn-sm" disabled={sayfa >= sayfaSayisi} onClick={() => setSayfa(sayfaSayisi)}>
+          »
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default Sayfalama;
@@ -1,7 +1,40 @@
-import React from "react";
-import { APIProvider, Map, AdvancedMarker } from "@vis.gl/react-google-maps";
+import React, { useEffect } from "react";
+import {
+  APIProvider,
+  Map,
+  AdvancedMarker,
+  useMap,
+  useMapsLibrary,
+} from "@vis.gl/react-google-maps";
+import { useQuery } from "@tanstack/react-query";
+import api from "../../lib/axios";
 
-const HaritaAraclarKonum = ({ hedefKonum, arac }) => {
+// Canlı takipte konum izinin yenilenme aralığı (ms)
+const KONUM_YENILEME_ARALIGI = 15000;
+
+// Aracın görev boyunca izlediği rotayı çizgi olarak çizer
+const RotaIzi = ({ iz }) => {
+  const map = useMap();
+  const mapsLib = useMapsLibrary("maps");
+
+  useEffect(() => {
+    if (!map || !mapsLib || iz.length < 2) return;
+
+    const cizgi = new mapsLib.Polyline({
+      path: iz.map((nokta) => ({ lat: nokta.lat, lng: nokta.lng })),
+      strokeColor: "#0f766e",
+      strokeOpacity: 0.85,
+      strokeWeight: 4,
+      map,
+    });
+
+    return () => cizgi.setMap(null);
+  }, [map, mapsLib, iz]);
+
+  return null;
+};
+
+const HaritaAraclarKonum = ({ hedefKonum, arac, gorevId, canliTakip = false }) => {
   const apiKey = import.meta.env.VITE_GOOGLE_MAPS_API_KEY;
   const mapId = import.meta.env.VITE_GOOGLE_MAP_ID;
 
@@ -16,7 +49,20 @@ const HaritaAraclarKonum = ({ hedefKonum, arac }) => {
     lng: 30.672160374656894,
   };
 
-  const konum = arac?.aracId?.konum;
+  // Görev verilmişse konum izi çekilir; görev yolda / başladı durumundaysa periyodik yenilenir
+  const { data: konumIzi } = useQuery({
+    queryKey: ["gorevKonumIzi", gorevId],
+    queryFn: async () => {
+      const res = await api.get(`/gorevler/${gorevId}/konum`);
+      return res.data;
+    },
+    enabled: !!gorevId,
+    refetchInterval: canliTakip ? KONUM_YENILEME_ARALIGI : false,
+  });
+
+  const iz = konumIzi?.iz || [];
+  const sonKonum = konumIzi?.sonKonum;
+  const konum = sonKonum || arac?.aracId?.konum;
 
   return (
     <APIProvider apiKey={apiKey}>
@@ -32,6 +78,9 @@ const HaritaAraclarKonum = ({ hedefKonum, arac }) => {
         fullscreenControl={false}
         mapId={mapId}
       >
+        {/* Rota İzi */}
+        <RotaIzi iz={iz} />
+
         {/* Hedef Marker */}
         {hedefKonum && (
           <AdvancedMarker position={hedefKonum}>
@@ -73,12 +122,24 @@ const HaritaAraclarKonum = ({ hedefKonum, arac }) => {
                 }}
               >
                 {arac?.aracId?.plaka || `Araç`}
+                {sonKonum?.hiz != null && (
+                  <span style={{ fontWeight: "normal" }}>
+                    {" "}
+                    · {Math.round(sonKonum.hiz)} km/s
+                  </span>
+                )}
               </div>
               <img src="/icons/arac.png" alt="Araç" width={36} height={36} />
             </div>
           </AdvancedMarker>
         )}
       </Map>
+      {sonKonum && (
+        <p className="text-xs text-gray-500 mt-1">
+          {konumIzi?.canliTakip ? "🟢 Canlı takip" : "Son bilinen konum"} · Son
+          güncelleme: {new Date(sonKonum.zaman).toLocaleString("tr-TR")}
+        </p>
+      )}
     </APIProvider>
   );
 };
@@ -0,0 +1,137 @@
+import React, { useEffect, useMemo } from "react";
+import {
+  APIProvider,
+  Map,
+  useMap,
+  useMapsLibrary,
+} from "@vis.gl/react-google-maps";
+
+// Seçilen köşeleri (ya da yüklenen çok parçalı sınırın halkalarını) çokgen olarak çizer
+const BolgeCokgeni = ({ yollar }) => {
+  const map = useMap();
+  const mapsLib = useMapsLibrary("maps");
+
+  useEffect(() => {
+    if (!map || !mapsLib || yollar.length === 0) return;
+
+    const cokgen = new mapsLib.Polygon({
+      paths: yollar,
+      strokeColor: "#dc2626",
+      strokeOpacity: 0.9,
+      strokeWeight: 2,
+      fillColor: "#dc2626",
+      fillOpacity: 0.15,
+      clickable: false,
+      map,
+    });
+
+    return () => cokgen.setMap(null);
+  }, [map, mapsLib, yollar]);
+
+  return null;
+};
+
+/**
+ * Afet olayı / operasyon bölgesi sınırını haritaya tıklanarak çizmeyi sağlar.
+ * bolge GeoJSON Polygon ({ type, coordinates: [[[lng, lat], ...]] }) biçimindedir;
+ * dosyadan yüklenen MultiPolygon sınırlar yalnızca gösterilir, düzenlenemez.
+ */
+const HaritaBolgeCizici = ({ bolge, setBolge, readonly = false, height = "360px" }) => {
+  const apiKey = import.meta.env.VITE_GOOGLE_MAPS_API_KEY;
+
+  const cokParcali = bolge?.type === "MultiPolygon";
+  const duzenlenebilir = !readonly && !cokParcali;
+
+  // GeoJSON halkası kapalıdır (ilk nokta sonda tekrar eder); çizimde tekrar eden nokta atlanır
+  const { koseler, yollar } = useMemo(() => {
+    if (cokParcali) {
+      return {
+        koseler: [],
+        yollar: bolge.coordinates.map((poligon) => poligon[0].map(([lng, lat]) => ({ lat, lng }))),
+      };
+    }
+
+    const halka = bolge?.coordinates?.[0] || [];
+    const noktalar = halka
+      .slice(0, halka.length > 3 ? -1 : undefined)
+      .map(([lng, lat]) => ({ lat, lng }));
+    return { koseler: noktalar, yollar: noktalar.length > 0 ? [noktalar] : [] };
+  }, [bolge, cokParcali]);
+
+  const bolgeyiGuncelle = (yeniKoseler) => {
+    if (yeniKoseler.length === 0) {
+      setBolge(null);
+      return;
+    }
+    const noktalar = yeniKoseler.map((k) => [k.lng, k.lat]);
+    setBolge({
+      type: "Polygon",
+      coordinates: [yeniKoseler.length >= 3 ? [...noktalar, noktalar[0]] : noktalar],
+    });
+  };
+
+  const haritayaTikla = (event) => {
+    if (!duzenlenebilir || !event.detail.latLng) return;
+    bolgeyiGuncelle([...koseler, event.detail.latLng]);
+  };
+
+  if (!apiKey) {
+    return (
+      <div className="flex items-center justify-center border rounded-lg bg-base-200" style={{ height }}>
+        Harita yüklenemedi: API anahtarı eksik
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-2">
+      <APIProvider apiKey={apiKey}>
+        <Map
+          style={{ width: "100%", height, borderRadius: "0.5rem" }}
+          defaultCenter={yollar[0]?.[0] || { lat: 36.96819544918806, lng: 30.672160374656894 }}
+          defaultZoom={9}
+          gestureHandling="greedy"
+          mapTypeControl={false}
+          streetViewControl={false}
+          fullscreenControl={false}
+          draggableCursor={duzenlenebilir ? "crosshair" : undefined}
+          onClick={haritayaTikla}
+        >
+          <BolgeCokgeni yollar={yollar} />
+        </Map>
+      </APIProvider>
+
+      {!readonly && (
+        <div className="flex items-center justify-between text-sm">
+          <span className="text-gray-500">
+            {cokParcali
+              ? `Dosyadan yüklenen ${bolge.coordinates.length} parçalı sınır`
+              : koseler.length < 3
+              ? `Bölgeyi çizmek için haritaya tıklayın (en az 3 köşe, ${koseler.length} seçildi)`
+              : `${koseler.length} köşeli bölge`}
+          </span>
+          <div className="flex gap-2">
+            <button
+              type="button"
+              className="btn btn-xs"
+              onClick={() => bolgeyiGuncelle(koseler.slice(0, -1))}
+              disabled={!duzenlenebilir || koseler.length === 0}
+            >
+              Son Köşeyi Geri Al
+            </button>
+            <button
+              type="button"
+              className="btn btn-xs btn-ghost"
+              onClick={() => bolgeyiGuncelle([])}
+              disabled={yollar.length === 0}
+            >
+              Temizle
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default HaritaBolgeCizici;
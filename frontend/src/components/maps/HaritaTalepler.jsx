@@ -0,0 +1,93 @@
+import React, { useState } from "react";
+import { APIProvider, Map, AdvancedMarker } from "@vis.gl/react-google-maps";
+import { useQuery } from "@tanstack/react-query";
+import api from "../../lib/axios";
+
+// Öncelik rengi (lib/talepTriyaj ile aynı sıralama)
+const ONCELIK_RENKLERI = {
+  kritik: "#dc2626",
+  yüksek: "#f59e0b",
+  normal: "#0ea5e9",
+  düşük: "#9ca3af",
+};
+
+// Haritanın görünen alanını ?within= parametresine çevirir ("enlem,boylam" köşeleri)
+// Yarım küreden geniş alanlar poligonla sorgulanamadığı için filtresiz istenir
+const gorunenAlan = (bounds) => {
+  if (!bounds) return undefined;
+  const kd = bounds.getNorthEast();
+  const gb = bounds.getSouthWest();
+  const boylamGenisligi = kd.lng() - gb.lng();
+  if (boylamGenisligi <= 0 || boylamGenisligi >= 180) return undefined;
+
+  return [
+    [gb.lat(), gb.lng()],
+    [gb.lat(), kd.lng()],
+    [kd.lat(), kd.lng()],
+    [kd.lat(), gb.lng()],
+  ]
+    .map(([lat, lng]) => `${lat.toFixed(5)},${lng.toFixed(5)}`)
+    .join(";");
+};
+
+const HaritaTalepler = ({ onTalepSec, height = "400px" }) => {
+  const apiKey = import.meta.env.VITE_GOOGLE_MAPS_API_KEY;
+  const mapId = import.meta.env.VITE_GOOGLE_MAP_ID;
+  // İlk "idle" olayına kadar istek yapılmaz
+  const [within, setWithin] = useState(null);
+
+  // Harita her durduğunda yalnızca görünen alandaki talepler istenir
+  const { data: talepler = [], isFetching } = useQuery({
+    queryKey: ["talepler", "harita", within],
+    queryFn: async () => {
+      const res = await api.get("/talepler", { params: { within } });
+      return res.data;
+    },
+    enabled: within !== null,
+    placeholderData: (onceki) => onceki,
+  });
+
+  return (
+    <APIProvider apiKey={apiKey}>
+      <Map
+        style={{ width: "100%", height, borderRadius: "0.5rem" }}
+        defaultCenter={{ lat: 39.0, lng: 35.0 }}
+        defaultZoom={6}
+        gestureHandling="greedy"
+        mapTypeControl={false}
+        streetViewControl={false}
+        fullscreenControl={false}
+        mapId={mapId}
+        onIdle={(e) => setWithin(gorunenAlan(e.map.getBounds()))}
+      >
+        {talepler
+          .filter((talep) => talep.lokasyon?.lat != null && talep.lokasyon?.lng != null)
+          .map((talep) => (
+            <AdvancedMarker
+              key={talep._id}
+              position={{ lat: talep.lokasyon.lat, lng: talep.lokasyon.lng }}
+              title={`${talep.baslik} · ${talep.oncelik || "normal"} · ${talep.durum}`}
+              onClick={() => onTalepSec?.(talep)}
+            >
+              <div
+                style={{
+                  width: 16,
+                  height: 16,
+                  borderRadius: "50%",
+                  border: "2px solid white",
+                  boxShadow: "0 1px 4px rgba(0,0,0,0.4)",
+                  backgroundColor: ONCELIK_RENKLERI[talep.oncelik] || ONCELIK_RENKLERI.normal,
+                  opacity: ["tamamlandı", "iptal edildi"].includes(talep.durum) ? 0.4 : 1,
+                }}
+              />
+            </AdvancedMarker>
+          ))}
+      </Map>
+      <p className="text-xs text-gray-500 mt-1">
+        {isFetching ? "Yükleniyor..." : `Görünen alanda ${talepler.length} talep`}
+      </p>
+    </APIProvider>
+  );
+};
+
+export default HaritaTalepler;
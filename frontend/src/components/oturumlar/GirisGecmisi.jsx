@@ -0,0 +1,149 @@
+import React, { useState } from "react";
+import { useMutation, useQueryClient } from "@tanstack/react-query";
+import { toast } from "react-hot-toast";
+import { Globe, Smartphone } from "lucide-react";
+import api from "../../lib/axios";
+import { useSayfaliListe } from "../../lib/listeSorgusu";
+import Sayfalama from "../liste/Sayfalama";
+
+const GIRIS_SONUCLARI = {
+  basarili: { etiket: "Başarılı", renk: "badge-success" },
+  hatali_sifre: { etiket: "Hatalı şifre", renk: "badge-error" },
+  hatali_kod: { etiket: "Hatalı doğrulama kodu", renk: "badge-error" },
+  hesap_kilitli: { etiket: "Hesap kilitli", renk: "badge-warning" },
+  sinir_asildi: { etiket: "Deneme sınırı aşıldı", renk: "badge-warning" },
+  kullanici_yok: { etiket: "Kullanıcı yok", renk: "badge-ghost" },
+};
+
+const BASARISIZ_SONUCLAR = "hatali_sifre,hatali_kod,hesap_kilitli,sinir_asildi";
+
+// Koordinatörün gördüğü, kullanıcının giriş denemeleri (IP, cihaz, platform, sonuç).
+// Hesap hatalı denemeler yüzünden kilitliyse kilit, doğrulama cihazı kaybedildiyse iki adımlı doğrulama buradan sıfırlanır
+const GirisGecmisi = ({ kullaniciId, girisKilidi, ikiAdimliAktif }) => {
+  const queryClient = useQueryClient();
+  const [sonucFiltre, setSonucFiltre] = useState("hepsi");
+  const [kilitKaldirildi, setKilitKaldirildi] = useState(false);
+  const [ikiAdimliSifirlandi, setIkiAdimliSifirlandi] = useState(false);
+
+  const { veriler: denemeler, sayfalama, sayfa, setSayfa, isLoading, isFetching } = useSayfaliListe({
+    anahtar: "kullaniciGirisGecmisi",
+    url: `/kullanicilar/${kullaniciId}/giris-gecmisi`,
+    params: { durum: sonucFiltre },
+    limit: 10,
+  });
+
+  const { mutate: kilidiKaldir, isPending } = useMutation({
+    mutationFn: async () => {
+      const res = await api.delete(`/kullanicilar/${kullaniciId}/giris-kilidi`);
+      return res.data;
+    },
+    onSuccess: (veri) => {
+      setKilitKaldirildi(true);
+      queryClient.invalidateQueries({ queryKey: ["kullanicilar"] });
+      toast.success(veri.message);
+    },
+    onError: (err) => toast.error(err?.response?.data?.error || "Bir hata oluştu"),
+  });
+
+  const { mutate: ikiAdimliSifirla, isPending: sifirlaniyor } = useMutation({
+    mutationFn: async () => {
+      const res = await api.delete(`/kullanicilar/${kullaniciId}/iki-adimli`);
+      return res.data;
+    },
+    onSuccess: (veri) => {
+      setIkiAdimliSifirlandi(true);
+      queryClient.invalidateQueries({ queryKey: ["kullanicilar"] });
+      toast.success(veri.message);
+    },
+    onError: (err) => toast.error(err?.response?.data?.error || "Bir hata oluştu"),
+  });
+
+  const kilitli = !kilitKaldirildi && girisKilidi?.kilitBitis && new Date(girisKilidi.kilitBitis) > new Date();
+
+  return (
+    <div className="space-y-3 text-sm">
+      {kilitli && (
+        <div className="alert alert-warning flex justify-between">
+          <span>
+            Hesap {girisKilidi.basarisizDeneme} hatalı deneme nedeniyle{" "}
+            {new Date(girisKilidi.kilitBitis).toLocaleTimeString("tr-TR", { timeStyle: "short" })} saatine kadar kilitli.
+          </span>
+          <button className="btn btn-sm" disabled={isPending} onClick={() => kilidiKaldir()}>
+            Kilidi Kaldır
+          </button>
+        </div>
+      )}
+
+      {ikiAdimliAktif && !ikiAdimliSifirlandi && (
+        <div className="flex justify-between items-center">
+          <span>
+            İki adımlı doğrulama <span className="badge badge-sm badge-success">Etkin</span>
+          </span>
+          <button
+            className="btn btn-sm btn-outline"
+            disabled={sifirlaniyor}
+            onClick={() =>
+              window.confirm("Kullanıcının doğrulama uygulaması ve kurtarma kodları sıfırlansın mı?") && ikiAdimliSifirla()
+            }
+          >
+            İki Adımlı Doğrulamayı Sıfırla
+          </button>
+        </div>
+      )}
+
+      <select
+        className="select select-bordered select-sm"
+        value={sonucFiltre}
+        onChange={(e) => setSonucFiltre(e.target.value)}
+      >
+        <option value="hepsi">Tüm denemeler</option>
+        <option value="basarili">Başarılı</option>
+        <option value={BASARISIZ_SONUCLAR}>Başarısız</option>
+      </select>
+
+      {isLoading ? (
+        <div className="text-gray-500">Yükleniyor...</div>
+      ) : denemeler.length === 0 ? (
+        <p className="text-gray-500 italic">Kayıtlı giriş denemesi bulunmuyor.</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="table table-sm">
+            <thead>
+              <tr>
+                <th>Tarih</th>
+                <th>Sonuç</th>
+                <th>Cihaz</th>
+                <th>IP</th>
+              </tr>
+            </thead>
+            <tbody>
+              {denemeler.map((deneme) => {
+                const sonuc = GIRIS_SONUCLARI[deneme.sonuc] || { etiket: deneme.sonuc, renk: "badge-ghost" };
+                return (
+                  <tr key={deneme._id}>
+                    <td className="whitespace-nowrap">{new Date(deneme.createdAt).toLocaleString("tr-TR")}</td>
+                    <td>
+                      <span className={`badge badge-sm ${sonuc.renk}`}>{sonuc.etiket}</span>
+                      {deneme.olagandisi && <span className="badge badge-sm badge-error badge-outline ml-1">Yeni cihaz</span>}
+                    </td>
+                    <td title={deneme.userAgent || ""}>
+                      <span className="inline-flex items-center gap-1">
+                        {deneme.platform === "mobil" ? <Smartphone className="w-4 h-4" /> : <Globe className="w-4 h-4" />}
+                        {deneme.cihazAdi || (deneme.platform === "mobil" ? "Mobil uygulama" : "Web tarayıcısı")}
+                      </span>
+                    </td>
+                    <td>{deneme.ip || "-"}</td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <Sayfalama sayfalama={sayfalama} sayfa={sayfa} setSayfa={setSayfa} isFetching={isFetching} />
+    </div>
+  );
+};
+
+export default GirisGecmisi;
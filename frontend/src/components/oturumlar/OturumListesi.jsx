@@ -0,0 +1,118 @@
+import React from "react";
+import { useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
+import { toast } from "react-hot-toast";
+import { Globe, Smartphone } from "lucide-react";
+import api from "../../lib/axios";
+
+const tarihMetni = (tarih) => (tarih ? new Date(tarih).toLocaleString("tr-TR") : "-");
+
+// Aktif cihaz oturumlarını listeler. kullaniciId verilirse koordinatör o kullanıcının oturumlarını yönetir,
+// verilmezse giriş yapan kullanıcı kendi oturumlarını görür
+const OturumListesi = ({ kullaniciId }) => {
+  const queryClient = useQueryClient();
+  const kendiOturumlari = !kullaniciId;
+  const adres = kendiOturumlari ? "/auth/oturumlar" : `/kullanicilar/${kullaniciId}/oturumlar`;
+  const queryKey = kendiOturumlari ? ["oturumlarim"] : ["kullaniciOturumlari", kullaniciId];
+
+  const { data: oturumlar = [], isLoading } = useQuery({
+    queryKey,
+    queryFn: async () => {
+      const res = await api.get(adres);
+      return res.data;
+    },
+  });
+
+  // Kendi mevcut oturumunu kapatan kullanıcı giriş sayfasına döner
+  const sonuclandir = (veri, mevcutKapandi) => {
+    toast.success(veri.message);
+    if (mevcutKapandi) {
+      queryClient.setQueryData(["girisYapanKullanici"], null);
+      return;
+    }
+    queryClient.invalidateQueries({ queryKey });
+  };
+
+  const { mutate: oturumuKapat, isPending: tekiKapaniyor } = useMutation({
+    mutationFn: async (oturum) => {
+      const res = await api.delete(`${adres}/${oturum._id}`);
+      return res.data;
+    },
+    onSuccess: (veri, oturum) => sonuclandir(veri, kendiOturumlari && oturum.mevcut),
+    onError: (err) => toast.error(err?.response?.data?.error || "Bir hata oluştu"),
+  });
+
+  const { mutate: tumunuKapat, isPending: tumuKapaniyor } = useMutation({
+    mutationFn: async ({ mevcutHaric }) => {
+      const res = await api.delete(adres, { params: mevcutHaric ? { mevcutHaric: true } : undefined });
+      return res.data;
+    },
+    onSuccess: (veri, { mevcutHaric }) => sonuclandir(veri, kendiOturumlari && !mevcutHaric),
+    onError: (err) => toast.error(err?.response?.data?.error || "Bir hata oluştu"),
+  });
+
+  const isPending = tekiKapaniyor || tumuKapaniyor;
+
+  if (isLoading) return <div className="text-sm text-gray-500">Yükleniyor...</div>;
+
+  return (
+    <div className="space-y-3">
+      {oturumlar.length === 0 ? (
+        <p className="text-sm text-gray-500 italic">Aktif oturum bulunmuyor.</p>
+      ) : (
+        <ul className="divide-y border rounded-lg">
+          {oturumlar.map((oturum) => (
+            <li key={oturum._id} className="flex items-center justify-between gap-3 p-3 text-sm">
+              <div className="flex items-center gap-3">
+                {oturum.cihaz?.platform === "mobil" ? (
+                  <Smartphone className="w-5 h-5 text-primary" />
+                ) : (
+                  <Globe className="w-5 h-5 text-primary" />
+                )}
+                <div>
+                  <p className="font-medium">
+                    {oturum.cihaz?.ad || (oturum.cihaz?.platform === "mobil" ? "Mobil uygulama" : "Web tarayıcısı")}
+                    {oturum.mevcut && <span className="badge badge-success badge-sm ml-2">Bu cihaz</span>}
+                  </p>
+                  <p className="text-xs text-gray-500">
+                    Son kullanım: {tarihMetni(oturum.sonKullanim)} · Giriş: {tarihMetni(oturum.createdAt)}
+                    {oturum.ip && ` · IP: ${oturum.ip}`}
+                  </p>
+                </div>
+              </div>
+              <button
+                className="btn btn-xs btn-outline btn-error"
+                disabled={isPending}
+                onClick={() => oturumuKapat(oturum)}
+              >
+                {oturum.mevcut ? "Çıkış Yap" : "Oturumu Kapat"}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {oturumlar.length > 0 && (
+        <div className="flex justify-end gap-2">
+          {kendiOturumlari && oturumlar.length > 1 && (
+            <button
+              className="btn btn-sm btn-outline"
+              disabled={isPending}
+              onClick={() => tumunuKapat({ mevcutHaric: true })}
+            >
+              Diğer Cihazlardan Çıkış Yap
+            </button>
+          )}
+          <button
+            className="btn btn-sm btn-error"
+            disabled={isPending}
+            onClick={() => tumunuKapat({ mevcutHaric: false })}
+          >
+            Tüm Oturumları Kapat
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default OturumListesi;
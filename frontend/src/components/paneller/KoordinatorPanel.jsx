@@ -25,7 +25,7 @@ const KoordinatorPanel = () => {
           toplam: kullanicilar.data.length,
           beklemede: kullanicilar.data.filter((k) => k.rol === "beklemede")
             .length,
-          koordinator: kullanicilar.data.filter((k) => k.rol === "koordinator")
+          koordinator: kullanicilar.data.filter((k) => ["koordinator", "super_koordinator"].includes(k.rol))
             .length,
           arac_sahibi: kullanicilar.data.filter((k) => k.rol === "arac_sahibi")
             .length,
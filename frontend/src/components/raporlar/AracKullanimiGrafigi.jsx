@@ -0,0 +1,60 @@
+import React from "react";
+import { Bar, BarChart, ResponsiveContainer, Tooltip, XAxis, YAxis } from "recharts";
+import RaporKarti from "./RaporKarti";
+import { useRapor } from "../../lib/raporlar";
+
+// Kurum bazında aktif araçların görevde geçirdiği sürenin dönem içindeki oranı
+const AracKullanimiGrafigi = ({ filtreler }) => {
+  const sorgu = useRapor("arac-kullanimi", filtreler);
+  const rapor = sorgu.data;
+  const kurumlar = rapor?.kurumlar || [];
+
+  return (
+    <RaporKarti
+      baslik="Kurum Bazlı Araç Kullanımı"
+      aciklama={
+        rapor
+          ? `${new Date(rapor.donem.baslangic).toLocaleDateString("tr-TR")} - ${new Date(rapor.donem.bitis).toLocaleDateString("tr-TR")} arasında araçların görevde geçirdiği süre`
+          : undefined
+      }
+      sorgu={sorgu}
+      bos={kurumlar.length === 0}
+    >
+      <ResponsiveContainer width="100%" height={Math.max(kurumlar.length * 36, 200)}>
+        <BarChart data={kurumlar} layout="vertical" margin={{ left: 50 }}>
+          <XAxis type="number" domain={[0, 100]} unit="%" />
+          <YAxis dataKey="kurumAdi" type="category" width={120} />
+          <Tooltip formatter={(deger) => [`%${deger ?? 0}`, "Kullanım oranı"]} />
+          <Bar dataKey="kullanimOrani" fill="#3b82f6" />
+        </BarChart>
+      </ResponsiveContainer>
+
+      <div className="overflow-x-auto mt-2">
+        <table className="table table-xs">
+          <thead>
+            <tr>
+              <th>Kurum</th>
+              <th>Aktif Araç</th>
+              <th>Görevli Araç</th>
+              <th>Görev</th>
+              <th>Görevde (saat)</th>
+            </tr>
+          </thead>
+          <tbody>
+            {kurumlar.map((kurum) => (
+              <tr key={kurum.kurumFirmaId || "bireysel"}>
+                <td className="capitalize">{kurum.kurumAdi}</td>
+                <td>{kurum.aracSayisi}</td>
+                <td>{kurum.gorevliAracSayisi}</td>
+                <td>{kurum.gorevSayisi}</td>
+                <td>{kurum.mesgulSaat}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </RaporKarti>
+  );
+};
+
+export default AracKullanimiGrafigi;
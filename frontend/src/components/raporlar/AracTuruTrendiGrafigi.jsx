@@ -0,0 +1,40 @@
+import React, { useState } from "react";
+import { Bar, BarChart, CartesianGrid, Legend, ResponsiveContainer, Tooltip, XAxis, YAxis } from "recharts";
+import RaporKarti from "./RaporKarti";
+import { GRAFIK_RENKLERI, useRapor } from "../../lib/raporlar";
+
+// Dönem ve araç türü bazında oluşturulan görev sayıları
+const AracTuruTrendiGrafigi = ({ filtreler }) => {
+  const [aralik, setAralik] = useState("gun");
+  const sorgu = useRapor("arac-turu-trendi", { ...filtreler, aralik });
+  const rapor = sorgu.data;
+
+  return (
+    <RaporKarti baslik="Araç Türüne Göre Görevler" sorgu={sorgu} bos={!rapor?.seriler.length}>
+      <select
+        className="select select-bordered select-sm mb-2"
+        value={aralik}
+        onChange={(e) => setAralik(e.target.value)}
+      >
+        <option value="gun">Günlük</option>
+        <option value="hafta">Haftalık</option>
+        <option value="ay">Aylık</option>
+      </select>
+
+      <ResponsiveContainer width="100%" height={300}>
+        <BarChart data={rapor?.seriler}>
+          <CartesianGrid strokeDasharray="3 3" />
+          <XAxis dataKey="donem" />
+          <YAxis allowDecimals={false} />
+          <Tooltip />
+          <Legend />
+          {rapor?.aracTurleri.map((aracTuru, index) => (
+            <Bar key={aracTuru} dataKey={aracTuru} stackId="tur" fill={GRAFIK_RENKLERI[index % GRAFIK_RENKLERI.length]} />
+          ))}
+        </BarChart>
+      </ResponsiveContainer>
+    </RaporKarti>
+  );
+};
+
+export default AracTuruTrendiGrafigi;
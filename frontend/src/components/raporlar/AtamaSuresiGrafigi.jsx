@@ -0,0 +1,61 @@
+import React from "react";
+import { Bar, BarChart, CartesianGrid, Line, LineChart, ResponsiveContainer, Tooltip, XAxis, YAxis } from "recharts";
+import RaporKarti from "./RaporKarti";
+import { sureBicimle, useRapor } from "../../lib/raporlar";
+
+// Talebin oluşturulmasından ilk görev atamasına kadar geçen süre
+const AtamaSuresiGrafigi = ({ filtreler }) => {
+  const sorgu = useRapor("atama-suresi", filtreler);
+  const rapor = sorgu.data;
+
+  return (
+    <RaporKarti
+      baslik="Talepten İlk Atamaya Süre"
+      aciklama="Talep oluşturulduktan sonra ilk aracın görevlendirilmesine kadar geçen süre"
+      sorgu={sorgu}
+      bos={!rapor?.talepSayisi}
+    >
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-2 mb-4 text-sm">
+        <div>
+          <div className="text-gray-500">Medyan</div>
+          <div className="font-semibold">{sureBicimle(rapor?.atamaSuresi.medyan)}</div>
+        </div>
+        <div>
+          <div className="text-gray-500">Ortalama</div>
+          <div className="font-semibold">{sureBicimle(rapor?.atamaSuresi.ortalama)}</div>
+        </div>
+        <div>
+          <div className="text-gray-500">%90</div>
+          <div className="font-semibold">{sureBicimle(rapor?.atamaSuresi.p90)}</div>
+        </div>
+        <div>
+          <div className="text-gray-500">Atama Bekleyen</div>
+          <div className="font-semibold">
+            {rapor?.atanmamis} / {rapor?.talepSayisi} talep
+          </div>
+        </div>
+      </div>
+
+      <ResponsiveContainer width="100%" height={220}>
+        <LineChart data={rapor?.trend}>
+          <CartesianGrid strokeDasharray="3 3" />
+          <XAxis dataKey="gun" />
+          <YAxis tickFormatter={sureBicimle} width={70} />
+          <Tooltip formatter={(deger) => [sureBicimle(deger), "Ortalama atama süresi"]} />
+          <Line type="monotone" dataKey="atamaSuresi" stroke="#3b82f6" dot={false} connectNulls />
+        </LineChart>
+      </ResponsiveContainer>
+
+      <ResponsiveContainer width="100%" height={160}>
+        <BarChart data={rapor?.atamaSuresi.dagilim}>
+          <XAxis dataKey="etiket" />
+          <YAxis allowDecimals={false} />
+          <Tooltip formatter={(deger) => [deger, "Talep"]} />
+          <Bar dataKey="sayi" fill="#93c5fd" />
+        </BarChart>
+      </ResponsiveContainer>
+    </RaporKarti>
+  );
+};
+
+export default AtamaSuresiGrafigi;
@@ -0,0 +1,84 @@
+import React from "react";
+import { raporPdfIndir, useRapor } from "../../lib/raporlar";
+import RaporKarti from "./RaporKarti";
+
+const DURUM_ROZETLERI = {
+  hazirlaniyor: { etiket: "Hazırlanıyor", sinif: "badge-warning" },
+  gonderildi: { etiket: "Gönderildi", sinif: "badge-success" },
+  hata: { etiket: "Hata", sinif: "badge-error" },
+};
+
+const tarihBicimle = (tarih) => new Date(tarih).toLocaleString("tr-TR", { dateStyle: "short", timeStyle: "short" });
+
+// Zamanlanmış olarak oluşturulup dağıtım listesine e-postayla gönderilen son durum raporları
+const DurumRaporlari = () => {
+  const sorgu = useRapor("durum-raporlari");
+  const raporlar = sorgu.data || [];
+
+  const handleIndir = async (rapor) => {
+    try {
+      await raporPdfIndir(`durum-raporlari/${rapor._id}/pdf`, rapor.dosyaAdi);
+    } catch (error) {
+      console.error("Durum raporu indirme hatası:", error);
+      alert("Durum raporu indirilemedi.");
+    }
+  };
+
+  return (
+    <RaporKarti
+      baslik="Zamanlanmış Durum Raporları"
+      aciklama="Dağıtım listesine e-postayla gönderilen son raporlar"
+      sorgu={sorgu}
+      bos={raporlar.length === 0}
+      className="lg:col-span-2"
+    >
+      <div className="overflow-x-auto max-h-64">
+        <table className="table table-sm">
+          <thead>
+            <tr>
+              <th>Dönem</th>
+              <th>Durum</th>
+              <th>Açık Talep</th>
+              <th>Aktif Görev</th>
+              <th>Sahadaki Araç</th>
+              <th>Tamamlanan</th>
+              <th>Alıcı</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {raporlar.map((rapor) => {
+              const rozet = DURUM_ROZETLERI[rapor.durum];
+              return (
+                <tr key={rapor._id}>
+                  <td>
+                    {tarihBicimle(rapor.donem.baslangic)} - {tarihBicimle(rapor.donem.bitis)}
+                  </td>
+                  <td>
+                    <span className={`badge badge-sm ${rozet?.sinif || ""}`} title={rapor.hata}>
+                      {rozet?.etiket || rapor.durum}
+                    </span>
+                  </td>
+                  <td>{rapor.ozet?.acikTalep ?? "-"}</td>
+                  <td>{rapor.ozet?.aktifGorev ?? "-"}</td>
+                  <td>{rapor.ozet?.sahadakiArac ?? "-"}</td>
+                  <td>{rapor.ozet?.tamamlananGorev ?? "-"}</td>
+                  <td>{rapor.alicilar.length}</td>
+                  <td>
+                    {rapor.durum === "gonderildi" && (
+                      <button className="btn btn-xs btn-outline" onClick={() => handleIndir(rapor)}>
+                        PDF
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    </RaporKarti>
+  );
+};
+
+export default DurumRaporlari;
@@ -0,0 +1,66 @@
+import React from "react";
+import { Bar, BarChart, CartesianGrid, Legend, Line, LineChart, ResponsiveContainer, Tooltip, XAxis, YAxis } from "recharts";
+import RaporKarti from "./RaporKarti";
+import { sureBicimle, useRapor } from "../../lib/raporlar";
+
+const SERI_ADLARI = {
+  baslamaSuresi: "Atamadan başlamaya",
+  tamamlanmaSuresi: "Atamadan tamamlanmaya",
+};
+
+// Görev atamasından başlamaya ve tamamlanmaya kadar geçen süreler
+const GorevSureleriGrafigi = ({ filtreler }) => {
+  const sorgu = useRapor("gorev-sureleri", filtreler);
+  const rapor = sorgu.data;
+
+  const dagilim = rapor?.baslamaSuresi.dagilim.map((dilim, index) => ({
+    etiket: dilim.etiket,
+    baslamaSuresi: dilim.sayi,
+    tamamlanmaSuresi: rapor.tamamlanmaSuresi.dagilim[index].sayi,
+  }));
+
+  return (
+    <RaporKarti
+      baslik="Görev Süreleri"
+      aciklama="Görev atamasından aracın işe başlamasına ve görevin tamamlanmasına kadar geçen süre"
+      sorgu={sorgu}
+      bos={!rapor?.gorevSayisi}
+    >
+      <div className="grid grid-cols-2 gap-2 mb-4 text-sm">
+        {Object.entries(SERI_ADLARI).map(([alan, ad]) => (
+          <div key={alan}>
+            <div className="text-gray-500">{ad}</div>
+            <div className="font-semibold">
+              {sureBicimle(rapor?.[alan].medyan)} medyan · {sureBicimle(rapor?.[alan].ortalama)} ort.
+            </div>
+            <div className="text-xs text-gray-500">{rapor?.[alan].sayi} görev</div>
+          </div>
+        ))}
+      </div>
+
+      <ResponsiveContainer width="100%" height={220}>
+        <LineChart data={rapor?.trend}>
+          <CartesianGrid strokeDasharray="3 3" />
+          <XAxis dataKey="gun" />
+          <YAxis tickFormatter={sureBicimle} width={70} />
+          <Tooltip formatter={(deger, alan) => [sureBicimle(deger), SERI_ADLARI[alan]]} />
+          <Legend formatter={(alan) => SERI_ADLARI[alan]} />
+          <Line type="monotone" dataKey="baslamaSuresi" stroke="#f59e0b" dot={false} connectNulls />
+          <Line type="monotone" dataKey="tamamlanmaSuresi" stroke="#10b981" dot={false} connectNulls />
+        </LineChart>
+      </ResponsiveContainer>
+
+      <ResponsiveContainer width="100%" height={160}>
+        <BarChart data={dagilim}>
+          <XAxis dataKey="etiket" />
+          <YAxis allowDecimals={false} />
+          <Tooltip formatter={(deger, alan) => [deger, SERI_ADLARI[alan]]} />
+          <Bar dataKey="baslamaSuresi" fill="#fcd34d" />
+          <Bar dataKey="tamamlanmaSuresi" fill="#6ee7b7" />
+        </BarChart>
+      </ResponsiveContainer>
+    </RaporKarti>
+  );
+};
+
+export default GorevSureleriGrafigi;
@@ -0,0 +1,47 @@
+import React from "react";
+import { Cell, Legend, Pie, PieChart, ResponsiveContainer, Tooltip } from "recharts";
+import RaporKarti from "./RaporKarti";
+import { GRAFIK_RENKLERI, useRapor } from "../../lib/raporlar";
+
+// Görev ve talep iptal oranları ile görev iptallerinin nedenleri
+const IptalNedenleriGrafigi = ({ filtreler }) => {
+  const sorgu = useRapor("iptaller", filtreler);
+  const rapor = sorgu.data;
+
+  return (
+    <RaporKarti baslik="İptaller" sorgu={sorgu} bos={!rapor?.gorev.toplam && !rapor?.talep.toplam}>
+      <div className="grid grid-cols-2 gap-2 mb-2 text-sm">
+        <div>
+          <div className="text-gray-500">Görev iptal oranı</div>
+          <div className="font-semibold">
+            %{rapor?.gorev.oran} ({rapor?.gorev.iptal} / {rapor?.gorev.toplam})
+          </div>
+        </div>
+        <div>
+          <div className="text-gray-500">Talep iptal oranı</div>
+          <div className="font-semibold">
+            %{rapor?.talep.oran} ({rapor?.talep.iptal} / {rapor?.talep.toplam})
+          </div>
+        </div>
+      </div>
+
+      {rapor?.gorev.nedenler.length ? (
+        <ResponsiveContainer width="100%" height={260}>
+          <PieChart>
+            <Pie data={rapor.gorev.nedenler} dataKey="sayi" nameKey="etiket" outerRadius={90}>
+              {rapor.gorev.nedenler.map((neden, index) => (
+                <Cell key={neden.kod} fill={GRAFIK_RENKLERI[index % GRAFIK_RENKLERI.length]} />
+              ))}
+            </Pie>
+            <Tooltip formatter={(deger, ad, { payload }) => [`${deger} görev (%${payload.oran})`, ad]} />
+            <Legend />
+          </PieChart>
+        </ResponsiveContainer>
+      ) : (
+        <p className="text-sm text-gray-500">Seçilen dönemde iptal edilen görev yok</p>
+      )}
+    </RaporKarti>
+  );
+};
+
+export default IptalNedenleriGrafigi;
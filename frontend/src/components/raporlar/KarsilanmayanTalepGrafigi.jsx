@@ -0,0 +1,91 @@
+import React from "react";
+import { Bar, BarChart, CartesianGrid, ResponsiveContainer, Scatter, ScatterChart, Tooltip, XAxis, YAxis, ZAxis } from "recharts";
+import RaporKarti from "./RaporKarti";
+import { useRapor } from "../../lib/raporlar";
+
+// Harita hücresi baloncuğunun üzerine gelindiğinde gösterilen özet
+const HucreIpucu = ({ active, payload }) => {
+  if (!active || !payload?.length) return null;
+  const hucre = payload[0].payload;
+  return (
+    <div className="bg-base-100 shadow rounded p-2 text-sm">
+      <div className="font-semibold">{hucre.ornekAdres}</div>
+      <div>
+        {hucre.eksikArac} eksik araç · {hucre.talepSayisi} talep
+      </div>
+    </div>
+  );
+};
+
+// Açık taleplerde henüz atanmamış araç ihtiyacının bölge, konum ve araç türüne göre dağılımı
+const KarsilanmayanTalepGrafigi = ({ filtreler }) => {
+  const sorgu = useRapor("karsilanmayan-talepler", filtreler);
+  const rapor = sorgu.data;
+
+  return (
+    <RaporKarti
+      baslik="Karşılanmayan İhtiyaç"
+      aciklama="Beklemede ve kısmen görevlendirilmiş taleplerde henüz atanmamış araçlar"
+      sorgu={sorgu}
+      bos={!rapor?.toplam.talepSayisi}
+      className="lg:col-span-2"
+    >
+      <div className="grid grid-cols-3 gap-2 mb-4 text-sm">
+        <div>
+          <div className="text-gray-500">Açık talep</div>
+          <div className="font-semibold">{rapor?.toplam.talepSayisi}</div>
+        </div>
+        <div>
+          <div className="text-gray-500">Eksik araç</div>
+          <div className="font-semibold">{rapor?.toplam.eksikArac}</div>
+        </div>
+        <div>
+          <div className="text-gray-500">Etkilenen kişi</div>
+          <div className="font-semibold">{rapor?.toplam.etkilenenKisi}</div>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-4">
+        <div>
+          <h3 className="font-medium mb-1">Operasyon Bölgesine Göre</h3>
+          <ResponsiveContainer width="100%" height={260}>
+            <BarChart data={rapor?.bolgeler} layout="vertical" margin={{ left: 30 }}>
+              <XAxis type="number" allowDecimals={false} />
+              <YAxis dataKey="ad" type="category" width={100} />
+              <Tooltip formatter={(deger) => [deger, "Eksik araç"]} />
+              <Bar dataKey="eksikArac" fill="#ef4444" />
+            </BarChart>
+          </ResponsiveContainer>
+        </div>
+
+        <div>
+          <h3 className="font-medium mb-1">Konuma Göre</h3>
+          <ResponsiveContainer width="100%" height={260}>
+            <ScatterChart>
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis type="number" dataKey="lng" name="Boylam" domain={["auto", "auto"]} />
+              <YAxis type="number" dataKey="lat" name="Enlem" domain={["auto", "auto"]} />
+              <ZAxis type="number" dataKey="eksikArac" range={[40, 400]} />
+              <Tooltip content={<HucreIpucu />} />
+              <Scatter data={rapor?.hucreler} fill="#ef4444" fillOpacity={0.6} />
+            </ScatterChart>
+          </ResponsiveContainer>
+        </div>
+
+        <div>
+          <h3 className="font-medium mb-1">Araç Türüne Göre</h3>
+          <ResponsiveContainer width="100%" height={260}>
+            <BarChart data={rapor?.aracTurleri} layout="vertical" margin={{ left: 30 }}>
+              <XAxis type="number" allowDecimals={false} />
+              <YAxis dataKey="aracTuru" type="category" width={90} />
+              <Tooltip formatter={(deger) => [deger, "Eksik araç"]} />
+              <Bar dataKey="eksikArac" fill="#f97316" />
+            </BarChart>
+          </ResponsiveContainer>
+        </div>
+      </div>
+    </RaporKarti>
+  );
+};
+
+export default KarsilanmayanTalepGrafigi;
@@ -0,0 +1,27 @@
+import React from "react";
+
+// Rapor grafiklerinin ortak çerçevesi: başlık, yükleniyor / hata / boş veri durumları
+const RaporKarti = ({ baslik, aciklama, sorgu, bos, children, className = "" }) => {
+  let icerik = children;
+  if (sorgu?.isLoading) {
+    icerik = <div className="h-64 flex items-center justify-center text-gray-500">Yükleniyor...</div>;
+  } else if (sorgu?.isError) {
+    icerik = (
+      <div className="h-64 flex items-center justify-center text-error">
+        {sorgu.error?.response?.data?.error || "Rapor getirilemedi"}
+      </div>
+    );
+  } else if (bos) {
+    icerik = <div className="h-64 flex items-center justify-center text-gray-500">Seçilen dönemde veri yok</div>;
+  }
+
+  return (
+    <div className={`bg-base-100 p-4 shadow rounded ${className}`}>
+      <h2 className="text-lg font-semibold">{baslik}</h2>
+      {aciklama && <p className="text-sm text-gray-500 mb-2">{aciklama}</p>}
+      <div className="mt-2">{icerik}</div>
+    </div>
+  );
+};
+
+export default RaporKarti;
@@ -0,0 +1,53 @@
+import { useState } from "react";
+import { useQuery, useQueryClient } from "@tanstack/react-query";
+import api from "./axios";
+
+const SECILI_OLAY_ANAHTARI = "seciliAfetOlayiId";
+
+export const AFET_TURLERI = {
+  deprem: "Deprem",
+  sel: "Sel",
+  yangin: "Yangın",
+  heyelan: "Heyelan",
+  cig: "Çığ",
+  firtina: "Fırtına",
+  diger: "Diğer",
+};
+
+// Liste isteklerine eklenen seçili olay; boşsa tüm olaylar listelenir
+export const seciliAfetOlayiIdGetir = () => localStorage.getItem(SECILI_OLAY_ANAHTARI) || "";
+
+export const seciliAfetOlayiniTemizle = () => localStorage.removeItem(SECILI_OLAY_ANAHTARI);
+
+export const useAfetOlaylari = () =>
+  useQuery({
+    queryKey: ["afetOlaylari"],
+    queryFn: async () => {
+      const res = await api.get("/afet-olaylari");
+      return res.data;
+    },
+  });
+
+/**
+ * Koordinatörün çalıştığı afet olayını tutar. Olay değiştiğinde tüm sorgular
+ * yeni olay kapsamıyla yeniden çekilir.
+ */
+export const useSeciliAfetOlayi = () => {
+  const queryClient = useQueryClient();
+  const { data: afetOlaylari = [] } = useAfetOlaylari();
+  const [seciliId, setSeciliId] = useState(seciliAfetOlayiIdGetir);
+
+  const olayDegistir = (id) => {
+    if (id) {
+      localStorage.setItem(SECILI_OLAY_ANAHTARI, id);
+    } else {
+      seciliAfetOlayiniTemizle();
+    }
+    setSeciliId(id);
+    queryClient.invalidateQueries();
+  };
+
+  const seciliOlay = afetOlaylari.find((olay) => olay._id === seciliId) || null;
+
+  return { afetOlaylari, seciliId, seciliOlay, olayDegistir };
+};
@@ -1,4 +1,5 @@
 import axios from "axios";
+import { seciliAfetOlayiIdGetir } from "./afetOlayi";
 
 const api = axios.create({
   baseURL: "/api",  // Use relative URL to work with Vite's proxy
@@ -13,6 +14,11 @@ const api = axios.create({
 api.interceptors.request.use(
   (config) => {
     console.log('Making request to:', config.url, config.data);
+    // Listeler koordinatörün seçtiği afet olayına göre filtrelenir
+    const afetOlayiId = seciliAfetOlayiIdGetir();
+    if (afetOlayiId && config.method === 'get' && config.params?.afetOlayiId === undefined) {
+      config.params = { ...config.params, afetOlayiId };
+    }
     return config;
   },
   (error) => {
@@ -21,13 +27,56 @@ api.interceptors.request.use(
   }
 );
 
+// Oturum kapandığında (yenileme tokenı geçersiz) App bu olayı dinleyip giriş sayfasına yönlendirir
+export const OTURUM_SONLANDI_OLAYI = "oturum-sonlandi";
+
+// Aynı anda süresi dolan istekler tek bir yenileme isteğini bekler; yenileme tokenı her kullanımda değiştiği için
+let yenilemeIstegi = null;
+
+/**
+ * Yenileme tokenı cookie'siyle yeni erişim tokenı alır
+ * @returns {Promise<boolean>} Oturum yenilendiyse true
+ */
+export const oturumuYenile = () => {
+  if (!yenilemeIstegi) {
+    yenilemeIstegi = axios
+      .post("/api/auth/token-yenile", {}, { withCredentials: true })
+      .then(() => true)
+      .catch(() => {
+        window.dispatchEvent(new Event(OTURUM_SONLANDI_OLAYI));
+        return false;
+      })
+      .finally(() => {
+        yenilemeIstegi = null;
+      });
+  }
+  return yenilemeIstegi;
+};
+
+// Yenileme denenmeyecek istekler: giriş / kayıt hataları ve yenileme isteğinin kendisi
+const YENILENMEYEN_ISTEKLER = ["/auth/girisyap", "/auth/kayitol", "/auth/token-yenile", "/auth/cikisyap"];
+
 // Add response interceptor for better error handling
 api.interceptors.response.use(
   (response) => {
     console.log('Response received:', response.data);
     return response;
   },
-  (error) => {
+  async (error) => {
+    // Erişim tokenının süresi dolduysa oturum yenilenir ve istek bir kez tekrarlanır
+    const istek = error.config;
+    if (
+      error.response?.status === 401 &&
+      istek &&
+      !istek._yenilendi &&
+      !YENILENMEYEN_ISTEKLER.includes(istek.url)
+    ) {
+      istek._yenilendi = true;
+      if (await oturumuYenile()) {
+        return api(istek);
+      }
+    }
+
     console.error('API Error:', {
       message: error.message,
       response: error.response?.data,
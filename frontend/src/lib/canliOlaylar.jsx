@@ -0,0 +1,105 @@
+import { useEffect } from "react";
+import { useQueryClient } from "@tanstack/react-query";
+import { toast } from "react-hot-toast";
+import { oturumuYenile } from "./axios";
+
+// Olay türüne göre yenilenecek React Query anahtarları
+const OLAY_SORGULARI = {
+  talep: (veri) => [
+    ["talepler"],
+    ["taleplerim"],
+    ["talep", veri._id],
+    ["talepOnerileri", veri._id],
+    ["koordinatorIstatistik"],
+    ["talepEdenIstatistik"],
+    ["raporlar"],
+  ],
+  gorev: (veri) => [
+    ["gorevler"],
+    ["gorevlerTalepEden"],
+    ["gorev", veri._id],
+    ["gorevDurumSecenekleri", veri._id],
+    ["talep", veri.talepId],
+    ["koordinatorIstatistik"],
+    ["aracSahibiIstatistik"],
+    ["talepEdenIstatistik"],
+    ["raporlar"],
+  ],
+  arac: () => [
+    ["araclar"],
+    ["musaitAraclar"],
+    ["talepOnerileri"],
+    ["aracSahibiIstatistik"],
+  ],
+};
+
+/**
+ * Sunucunun canlı olay akışına (SSE, /api/canli) bağlanır ve gelen olaylara göre
+ * React Query önbelleğini günceller. Kimlik doğrulama jwt cookie'si ile yapılır.
+ */
+export const useCanliOlaylar = (kullaniciId) => {
+  const queryClient = useQueryClient();
+
+  useEffect(() => {
+    if (!kullaniciId) return;
+
+    let kaynak = null;
+    let kopmusMu = false;
+    let kapatildi = false;
+
+    const veriOku = (olay) => {
+      try {
+        return JSON.parse(olay.data);
+      } catch {
+        return null;
+      }
+    };
+
+    const baglan = () => {
+      kaynak = new EventSource("/api/canli", { withCredentials: true });
+
+      // Yeni bildirimde sayfalı liste ve okunmamış sayısı yenilenir
+      kaynak.addEventListener("bildirim", (olay) => {
+        const bildirim = veriOku(olay);
+        if (!bildirim) return;
+
+        queryClient.invalidateQueries({ queryKey: ["bildirimler"] });
+        queryClient.invalidateQueries({ queryKey: ["bildirimlerSidebar"] });
+        toast(bildirim.baslik, { icon: "🔔" });
+      });
+
+      Object.entries(OLAY_SORGULARI).forEach(([tur, sorgular]) => {
+        kaynak.addEventListener(tur, (olay) => {
+          const veri = veriOku(olay);
+          if (!veri) return;
+          sorgular(veri).forEach((queryKey) => queryClient.invalidateQueries({ queryKey }));
+        });
+      });
+
+      // Bağlantı koptuysa arada kaçırılan olaylar için tüm veriler yenilenir
+      kaynak.addEventListener("baglandi", () => {
+        if (kopmusMu) {
+          queryClient.invalidateQueries();
+          kopmusMu = false;
+        }
+      });
+      kaynak.onerror = () => {
+        kopmusMu = true;
+        // Erişim tokenının süresi dolduğunda sunucu 401 döner ve EventSource yeniden denemeyi bırakır;
+        // oturum yenilenip akışa tekrar bağlanılır
+        if (kaynak.readyState === EventSource.CLOSED && !kapatildi) {
+          oturumuYenile().then((yenilendi) => {
+            if (yenilendi && !kapatildi) baglan();
+          });
+        }
+      };
+    };
+
+    baglan();
+
+    return () => {
+      kapatildi = true;
+      kaynak?.close();
+    };
+  }, [kullaniciId, queryClient]);
+};
@@ -0,0 +1,61 @@
+import { useEffect, useState } from "react";
+import { useQuery } from "@tanstack/react-query";
+import api from "./axios";
+
+// Sayfa başına kayıt sayısı (backend: lib/utils/listeSorgusu.js, en fazla 100)
+export const VARSAYILAN_LIMIT = 25;
+
+// Boş filtreler ("", null, "hepsi") isteğe eklenmez
+const doluParametreler = (params) =>
+  Object.fromEntries(
+    Object.entries(params).filter(([, deger]) => deger !== undefined && deger !== null && deger !== "" && deger !== "hepsi")
+  );
+
+/**
+ * Yazarken her tuşta istek atılmaması için değeri gecikmeli döner (arama kutuları)
+ */
+export const useGecikmeliDeger = (deger, gecikme = 400) => {
+  const [gecikmeli, setGecikmeli] = useState(deger);
+
+  useEffect(() => {
+    const zamanlayici = setTimeout(() => setGecikmeli(deger), gecikme);
+    return () => clearTimeout(zamanlayici);
+  }, [deger, gecikme]);
+
+  return gecikmeli;
+};
+
+/**
+ * Liste endpointlerini sayfalı ister; yanıt { veriler, sayfalama } zarfıdır.
+ * Filtreler değiştiğinde ilk sayfaya dönülür. Sorgu anahtarı `anahtar` ile başladığı için
+ * ["gorevler"] gibi önek geçersiz kılmaları sayfalı listeleri de yeniler.
+ * @param {Object} secenekler
+ * @param {string} secenekler.anahtar - React Query anahtarının ilk elemanı
+ * @param {string} secenekler.url - ör. "/gorevler"
+ * @param {Object} [secenekler.params] - sirala, durum, arama, baslangic, bitis, kurumFirmaId...
+ */
+export const useSayfaliListe = ({ anahtar, url, params = {}, limit = VARSAYILAN_LIMIT }) => {
+  const filtreler = doluParametreler(params);
+  const filtreAnahtari = JSON.stringify(filtreler);
+  const [sayfaDurumu, setSayfaDurumu] = useState({ filtreAnahtari, sayfa: 1 });
+  const sayfa = sayfaDurumu.filtreAnahtari === filtreAnahtari ? sayfaDurumu.sayfa : 1;
+
+  const sorgu = useQuery({
+    queryKey: [anahtar, "sayfali", url, filtreler, sayfa, limit],
+    queryFn: async () => {
+      const res = await api.get(url, { params: { ...filtreler, sayfa, limit } });
+      return res.data;
+    },
+    placeholderData: (onceki) => onceki,
+  });
+
+  return {
+    veriler: sorgu.data?.veriler || [],
+    sayfalama: sorgu.data?.sayfalama,
+    sayfa,
+    limit,
+    setSayfa: (yeniSayfa) => setSayfaDurumu({ filtreAnahtari, sayfa: yeniSayfa }),
+    isLoading: sorgu.isLoading,
+    isFetching: sorgu.isFetching,
+  };
+};
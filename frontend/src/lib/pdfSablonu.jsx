@@ -0,0 +1,10 @@
+// Görev PDF formunda şablonla açılıp kapatılabilen alanlar
+export const PDF_ALANLARI = {
+  aracSinifi: "Araç sınıfı",
+  marka: "Araç markası / modeli",
+  kurum: "Aracın kurumu",
+  soforTelefon: "Şoför telefonu",
+  gorevNotu: "Görev notu",
+  koordinator: "Görevlendiren koordinatör",
+  haritaKarekodu: "Hedef konum karekodu",
+};
@@ -0,0 +1,58 @@
+import { useQuery } from "@tanstack/react-query";
+import api from "./axios";
+
+// Grafik serilerinde sırayla kullanılan renkler
+export const GRAFIK_RENKLERI = ["#3b82f6", "#f59e0b", "#10b981", "#ef4444", "#8b5cf6", "#06b6d4", "#ec4899", "#84cc16", "#f97316", "#6366f1", "#14b8a6"];
+
+// Dakika cinsinden süreyi "2 sa 15 dk" biçiminde gösterir
+export const sureBicimle = (dakika) => {
+  if (dakika == null) return "-";
+  if (dakika < 60) return `${Math.round(dakika)} dk`;
+  if (dakika < 1440) {
+    const saat = Math.floor(dakika / 60);
+    const kalan = Math.round(dakika % 60);
+    return kalan ? `${saat} sa ${kalan} dk` : `${saat} sa`;
+  }
+  const gun = Math.floor(dakika / 1440);
+  const saat = Math.round((dakika % 1440) / 60);
+  return saat ? `${gun} gün ${saat} sa` : `${gun} gün`;
+};
+
+/**
+ * /raporlar altındaki bir metriği ister. Seçili afet olayı axios tarafından eklenir,
+ * olay değiştiğinde tüm sorgular zaten geçersiz kılınır.
+ * @param {string} yol - ör. "atama-suresi"
+ * @param {Object} [params] - baslangic, bitis ve metriğe özgü parametreler
+ */
+export const useRapor = (yol, params = {}) => {
+  const doluParametreler = Object.fromEntries(Object.entries(params).filter(([, deger]) => deger));
+
+  return useQuery({
+    queryKey: ["raporlar", yol, doluParametreler],
+    queryFn: async () => {
+      const res = await api.get(`/raporlar/${yol}`, { params: doluParametreler });
+      return res.data;
+    },
+    placeholderData: (onceki) => onceki,
+  });
+};
+
+/**
+ * /raporlar altındaki bir PDF'i blob olarak alıp indirir
+ * @param {string} yol - ör. "durum-raporu"
+ * @param {string} dosyaAdi
+ * @param {Object} [params]
+ */
+export const raporPdfIndir = async (yol, dosyaAdi, params = {}) => {
+  const doluParametreler = Object.fromEntries(Object.entries(params).filter(([, deger]) => deger));
+  const response = await api.get(`/raporlar/${yol}`, { params: doluParametreler, responseType: "blob" });
+
+  const url = window.URL.createObjectURL(new Blob([response.data], { type: "application/pdf" }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.setAttribute("download", dosyaAdi);
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  window.URL.revokeObjectURL(url);
+};
@@ -0,0 +1,17 @@
+// Koordinatör yetkilerine sahip roller; süper koordinatör ayrıca operasyon bölgelerini yönetir ve tüm ülkeyi görür
+export const KOORDINATOR_ROLLERI = ["koordinator", "super_koordinator"];
+
+export const ROL_ETIKETLERI = {
+  beklemede: "Beklemede",
+  koordinator: "Koordinatör",
+  super_koordinator: "Süper Koordinatör",
+  arac_sahibi: "Araç Sahibi",
+  talep_eden: "Talep Eden",
+};
+
+export const koordinatorMu = (kullanici) => KOORDINATOR_ROLLERI.includes(kullanici?.rol);
+
+export const rolEtiketi = (rol) => ROL_ETIKETLERI[rol] || "-";
+
+// Kullanıcı verilen yetkilerden en az birine sahip mi; etkin yetkiler /auth/hesabim yanıtındaki "yetkiler" listesidir
+export const yetkisiVar = (kullanici, ...yetkiler) => yetkiler.some((yetki) => kullanici?.yetkiler?.includes(yetki));
@@ -0,0 +1,23 @@
+// Öncelik seviyeleri, yüksekten düşüğe (backend: lib/utils/talepTriyaj.js)
+export const ONCELIK_SEVIYELERI = ["kritik", "yüksek", "normal", "düşük"];
+
+export const ONCELIK_ROZETLERI = {
+  kritik: "badge-error",
+  yüksek: "badge-warning",
+  normal: "badge-info",
+  düşük: "badge-ghost",
+};
+
+export const TALEP_KATEGORILERI = {
+  tahliye: "Tahliye",
+  "yaralı nakli": "Yaralı Nakli",
+  gıda: "Gıda",
+  su: "Su",
+  barınma: "Barınma",
+  enkaz: "Enkaz",
+  diğer: "Diğer",
+};
+
+export const oncelikRozetSinifi = (oncelik) => ONCELIK_ROZETLERI[oncelik] || "badge-ghost";
+
+export const kategoriEtiketi = (kategori) => TALEP_KATEGORILERI[kategori] || kategori;
@@ -0,0 +1,19 @@
+// Görev tamamlanırken zorunlu tutulabilen teslim kanıtı alanları (sunucudaki TESLIM_KANITI_ALANLARI ile aynı)
+export const TESLIM_KANITI_ALANLARI = {
+  fotograf: "En az bir teslim fotoğrafı",
+  imza: "Teslim alanın imzası",
+  teslimAlan: "Teslim alanın adı soyadı",
+  teslimMiktari: "Teslim edilen miktar",
+  konum: "Teslim anındaki konum",
+};
+
+export const TESLIM_ONAY_DURUMLARI = {
+  bekliyor: { etiket: "Onay bekliyor", renk: "badge-warning" },
+  onaylandi: { etiket: "Teslim alındı", renk: "badge-success" },
+  itiraz_edildi: { etiket: "İtiraz edildi", renk: "badge-error" },
+};
+
+export const teslimDosyasiUrl = (gorevId, dosya) =>
+  dosya === "imza"
+    ? `/api/gorevler/${gorevId}/teslim-kaniti/imza`
+    : `/api/gorevler/${gorevId}/teslim-kaniti/fotograflar/${dosya}`;
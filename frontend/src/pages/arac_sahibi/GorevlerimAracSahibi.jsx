@@ -44,9 +44,10 @@ const GorevlerimAracSahibi = () => {
     .sort((a, b) => {
       const durumSirasi = {
         beklemede: 0,
-        başladı: 1,
-        tamamlandı: 2,
-        "iptal edildi": 3,
+        yolda: 1,
+        başladı: 2,
+        tamamlandı: 3,
+        "iptal edildi": 4,
       };
       return durumSirasi[a.gorevDurumu] - durumSirasi[b.gorevDurumu];
     });
@@ -69,6 +70,7 @@ const GorevlerimAracSahibi = () => {
         >
           <option value="hepsi">Tüm Durumlar</option>
           <option value="beklemede">Beklemede</option>
+          <option value="yolda">Yolda</option>
           <option value="başladı">Başladı</option>
           <option value="tamamlandı">Tamamlandı</option>
           <option value="iptal edildi">İptal Edildi</option>
@@ -146,6 +148,11 @@ const GorevlerimAracSahibi = () => {
                         Tamamlandı
                       </span>
                     )}
+                    {gorev.gorevDurumu === "yolda" && (
+                      <span className="badge badge-accent gap-2 text-white">
+                        Yolda
+                      </span>
+                    )}
                     {gorev.gorevDurumu === "başladı" && (
                       <span className="badge badge-warning gap-2 text-white">
                         Başladı
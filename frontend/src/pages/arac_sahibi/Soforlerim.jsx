@@ -0,0 +1,159 @@
+import { useQuery } from "@tanstack/react-query";
+import React, { useState } from "react";
+import api from "../../lib/axios";
+import SoforEkleDuzenleModal from "./modals/SoforEkleDuzenleModal";
+import SoforSilOnayModal from "./modals/SoforSilOnayModal";
+
+const musaitlikBadge = {
+  musait: <span className="badge badge-success">Müsait</span>,
+  gorevde: <span className="badge badge-warning">Görevde</span>,
+  izinli: <span className="badge badge-ghost">İzinli</span>,
+};
+
+const Soforlerim = () => {
+  const [acikModal, setAcikModal] = useState(null);
+  const [arama, setArama] = useState("");
+  const [seciliSofor, setSeciliSofor] = useState(null);
+
+  const { data: soforler = [], isLoading } = useQuery({
+    queryKey: ["soforler"],
+    queryFn: async () => {
+      const res = await api.get("/soforler/soforlerim");
+      return res.data.soforler;
+    },
+  });
+
+  const filtrelenmisSoforler = soforler.filter((sofor) => {
+    const searchTerm = arama.toLowerCase();
+    return (
+      `${sofor.ad} ${sofor.soyad}`.toLowerCase().includes(searchTerm) ||
+      sofor.telefon?.includes(searchTerm)
+    );
+  });
+
+  // Ehliyet süresi 30 gün içinde dolacak şoförler uyarı ile gösterilir
+  const ehliyetDurumu = (tarih) => {
+    const kalanGun = (new Date(tarih) - new Date()) / (1000 * 60 * 60 * 24);
+    if (kalanGun < 0) return "text-error font-semibold";
+    if (kalanGun < 30) return "text-warning font-semibold";
+    return "";
+  };
+
+  return (
+    <div className="p-6">
+      <h1 className="text-2xl font-bold mb-4">Şoförler</h1>
+      <div className="flex items-center justify-between gap-4 mb-4">
+        <input
+          type="text"
+          placeholder="Şoför ara..."
+          className="input input-bordered mb-4"
+          value={arama}
+          onChange={(e) => setArama(e.target.value)}
+        />
+        <button
+          className="btn btn-primary flex-shrink-0"
+          onClick={() => {
+            setSeciliSofor(null);
+            setAcikModal("soforEkleDuzenleModal");
+          }}
+        >
+          ➕ Yeni Şoför Ekle
+        </button>
+      </div>
+
+      {isLoading ? (
+        <div>Yükleniyor...</div>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="table table-zebra w-full">
+            <thead>
+              <tr>
+                <th>#</th>
+                <th>Ad Soyad</th>
+                <th>Telefon</th>
+                <th>Ehliyet Sınıfları</th>
+                <th>Ehliyet Geçerlilik</th>
+                <th>Müsaitlik</th>
+                <th>İşlemler</th>
+              </tr>
+            </thead>
+            <tbody>
+              {filtrelenmisSoforler.map((sofor, index) => (
+                <tr key={sofor._id}>
+                  <td>{index + 1}</td>
+                  <td>
+                    {sofor.ad} {sofor.soyad}
+                  </td>
+                  <td>{sofor.telefon}</td>
+                  <td>
+                    <div className="flex flex-wrap gap-1">
+                      {sofor.ehliyetSiniflari?.map((sinif) => (
+                        <span key={sinif} className="badge badge-outline badge-sm">
+                          {sinif}
+                        </span>
+                      ))}
+                    </div>
+                  </td>
+                  <td className={ehliyetDurumu(sofor.ehliyetGecerlilikTarihi)}>
+                    {new Date(sofor.ehliyetGecerlilikTarihi).toLocaleDateString("tr-TR")}
+                  </td>
+                  <td>{musaitlikBadge[sofor.musaitlikDurumu]}</td>
+                  <td>
+                    <div className="dropdown dropdown-end">
+                      <button tabIndex={0} className="btn btn-xs btn-outline">
+                        İşlemler
+                      </button>
+                      <ul
+                        tabIndex={0}
+                        className="dropdown-content z-[1] menu p-2 shadow bg-base-100 rounded-box w-40"
+                      >
+                        <li>
+                          <button
+                            onClick={() => {
+                              setSeciliSofor(sofor);
+                              setAcikModal("soforEkleDuzenleModal");
+                            }}
+                          >
+                            Düzenle
+                          </button>
+                        </li>
+                        <li>
+                          <button
+                            onClick={() => {
+                              setSeciliSofor(sofor);
+                              setAcikModal("soforSilOnayModal");
+                            }}
+                          >
+                            Sil
+                          </button>
+                        </li>
+                      </ul>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {filtrelenmisSoforler.length === 0 && (
+            <p className="text-sm text-gray-500 italic mt-4">
+              Kayıtlı şoför bulunamadı.
+            </p>
+          )}
+        </div>
+      )}
+
+      <SoforEkleDuzenleModal
+        modal={acikModal}
+        setModal={setAcikModal}
+        duzenlenecekSofor={seciliSofor}
+      />
+      <SoforSilOnayModal
+        modal={acikModal}
+        setModal={setAcikModal}
+        sofor={seciliSofor}
+      />
+    </div>
+  );
+};
+
+export default Soforlerim;
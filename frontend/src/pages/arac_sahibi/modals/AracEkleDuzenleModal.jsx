@@ -4,6 +4,21 @@ import api from "../../../lib/axios";
 import toast from "react-hot-toast";
 import HaritaKonumSecici from "../../../components/maps/HaritaKonumSecici";
 
+// Ruhsattaki araç sınıfı (AB / UNECE kategori kodları)
+const ARAC_SINIFLARI = {
+  M1: "M1 - Binek (en fazla 8 yolcu)",
+  M2: "M2 - Minibüs (5 tona kadar)",
+  M3: "M3 - Otobüs (5 tonun üstü)",
+  N1: "N1 - Hafif ticari (3,5 tona kadar)",
+  N2: "N2 - Kamyonet / kamyon (3,5-12 ton)",
+  N3: "N3 - Kamyon / çekici (12 tonun üstü)",
+  O1: "O1 - Römork (0,75 tona kadar)",
+  O2: "O2 - Römork (0,75-3,5 ton)",
+  O3: "O3 - Römork (3,5-10 ton)",
+  O4: "O4 - Römork / dorse (10 tonun üstü)",
+  L: "L - Motosiklet",
+};
+
 const AracEkleDuzenleModal = ({ modal, setModal, duzenlenecekArac }) => {
   const queryClient = useQueryClient();
   
@@ -12,6 +27,9 @@ const AracEkleDuzenleModal = ({ modal, setModal, duzenlenecekArac }) => {
   const [formData, setFormData] = useState({
     plaka: "",
     aracTuru: "otomobil",
+    marka: "",
+    model: "",
+    aracSinifi: "",
     kullanimAmaci: "yolcu",
     kapasite: 1,
     aracDurumu: "aktif",
@@ -37,6 +55,9 @@ const AracEkleDuzenleModal = ({ modal, setModal, duzenlenecekArac }) => {
         setFormData({
           plaka: duzenlenecekArac.plaka,
           aracTuru: duzenlenecekArac.aracTuru,
+          marka: duzenlenecekArac.marka || "",
+          model: duzenlenecekArac.model || "",
+          aracSinifi: duzenlenecekArac.aracSinifi || "",
           kullanimAmaci: duzenlenecekArac.kullanimAmaci,
           kapasite: duzenlenecekArac.kapasite,
         
@@ -53,6 +74,9 @@ const AracEkleDuzenleModal = ({ modal, setModal, duzenlenecekArac }) => {
         setFormData({
           plaka: "",
           aracTuru: "otomobil",
+          marka: "",
+          model: "",
+          aracSinifi: "",
           kullanimAmaci: "yolcu",
           kapasite: 1,
           aracDurumu: "aktif",
@@ -95,6 +119,9 @@ const AracEkleDuzenleModal = ({ modal, setModal, duzenlenecekArac }) => {
         const backendData = {
           plaka: data.plaka,
           aracTuru: data.aracTuru,
+          marka: data.marka,
+          model: data.model,
+          aracSinifi: data.aracSinifi,
           kullanimAmaci: data.kullanimAmaci,
           kapasite: Number(data.kapasite),
           aracDurumu: data.aracDurumu,
@@ -191,6 +218,50 @@ const AracEkleDuzenleModal = ({ modal, setModal, duzenlenecekArac }) => {
                 </option>
               ))}
             </select>
+            <div className="grid grid-cols-2 gap-2">
+              <div>
+                <label className="label">
+                  <span className="label-text font-semibold">Marka</span>
+                </label>
+                <input
+                  name="marka"
+                  type="text"
+                  placeholder="ör. Ford"
+                  className="input input-bordered w-full mb-4"
+                  value={formData.marka}
+                  onChange={handleInputChange}
+                />
+              </div>
+              <div>
+                <label className="label">
+                  <span className="label-text font-semibold">Model</span>
+                </label>
+                <input
+                  name="model"
+                  type="text"
+                  placeholder="ör. Cargo 1846"
+                  className="input input-bordered w-full mb-4"
+                  value={formData.model}
+                  onChange={handleInputChange}
+                />
+              </div>
+            </div>
+            <label className="label">
+              <span className="label-text font-semibold">Araç Sınıfı (ruhsat)</span>
+            </label>
+            <select
+              name="aracSinifi"
+              className="select select-bordered w-full mb-4"
+              value={formData.aracSinifi}
+              onChange={handleInputChange}
+            >
+              <option value="">Belirtilmemiş</option>
+              {Object.entries(ARAC_SINIFLARI).map(([kod, etiket]) => (
+                <option key={kod} value={kod}>
+                  {etiket}
+                </option>
+              ))}
+            </select>
             <label className="label">
               <span className="label-text font-semibold">Kullanım Amacı</span>
             </label>
@@ -0,0 +1,248 @@
+import { useMutation, useQueryClient } from "@tanstack/react-query";
+import React, { useEffect, useState } from "react";
+import api from "../../../lib/axios";
+import toast from "react-hot-toast";
+
+const EHLIYET_SINIFLARI = [
+  "M",
+  "A1",
+  "A2",
+  "A",
+  "B1",
+  "B",
+  "BE",
+  "C1",
+  "C1E",
+  "C",
+  "CE",
+  "D1",
+  "D1E",
+  "D",
+  "DE",
+  "F",
+  "G",
+];
+
+const bosForm = {
+  ad: "",
+  soyad: "",
+  telefon: "",
+  ehliyetSiniflari: [],
+  ehliyetGecerlilikTarihi: "",
+  musaitlikDurumu: "musait",
+};
+
+const SoforEkleDuzenleModal = ({ modal, setModal, duzenlenecekSofor }) => {
+  const queryClient = useQueryClient();
+  const [formData, setFormData] = useState(bosForm);
+
+  useEffect(() => {
+    const modalEl = document.getElementById("soforEkleDuzenleModal");
+
+    const handleClose = () => {
+      setModal(null);
+    };
+
+    modalEl?.addEventListener("close", handleClose);
+
+    if (modal === "soforEkleDuzenleModal") {
+      modalEl.showModal();
+
+      if (duzenlenecekSofor) {
+        setFormData({
+          ad: duzenlenecekSofor.ad,
+          soyad: duzenlenecekSofor.soyad,
+          telefon: duzenlenecekSofor.telefon,
+          ehliyetSiniflari: duzenlenecekSofor.ehliyetSiniflari || [],
+          ehliyetGecerlilikTarihi:
+            duzenlenecekSofor.ehliyetGecerlilikTarihi?.slice(0, 10) || "",
+          musaitlikDurumu: duzenlenecekSofor.musaitlikDurumu,
+        });
+      } else {
+        setFormData(bosForm);
+      }
+
+      return () => {
+        modalEl?.removeEventListener("close", handleClose);
+      };
+    } else {
+      modalEl.close();
+    }
+  }, [modal, duzenlenecekSofor, setModal]);
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setFormData((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleSinifDegistir = (sinif) => {
+    setFormData((prev) => ({
+      ...prev,
+      ehliyetSiniflari: prev.ehliyetSiniflari.includes(sinif)
+        ? prev.ehliyetSiniflari.filter((s) => s !== sinif)
+        : [...prev.ehliyetSiniflari, sinif],
+    }));
+  };
+
+  const { mutate: soforEkleDuzenle, isPending } = useMutation({
+    mutationFn: async (data) => {
+      const backendData = {
+        ad: data.ad,
+        soyad: data.soyad,
+        telefon: data.telefon,
+        ehliyetSiniflari: data.ehliyetSiniflari,
+        ehliyetGecerlilikTarihi: data.ehliyetGecerlilikTarihi,
+      };
+
+      if (duzenlenecekSofor) {
+        // "gorevde" durumu görev atamasıyla yönetildiği için gönderilmez
+        if (data.musaitlikDurumu !== "gorevde") {
+          backendData.musaitlikDurumu = data.musaitlikDurumu;
+        }
+        const res = await api.put(
+          `/soforler/${duzenlenecekSofor._id}`,
+          backendData
+        );
+        return res.data;
+      }
+
+      const res = await api.post("/soforler", backendData);
+      return res.data;
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries(["soforler"]);
+      setModal(null);
+      toast.success(duzenlenecekSofor ? "Şoför güncellendi" : "Şoför eklendi");
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.error || "İşlem başarısız oldu");
+    },
+  });
+
+  const handleSubmit = () => {
+    if (!formData.ad || !formData.soyad || !formData.telefon) {
+      return toast.error("Ad, soyad ve telefon zorunludur");
+    }
+    if (formData.ehliyetSiniflari.length === 0) {
+      return toast.error("En az bir ehliyet sınıfı seçmelisiniz");
+    }
+    if (!formData.ehliyetGecerlilikTarihi) {
+      return toast.error("Ehliyet geçerlilik tarihini girmelisiniz");
+    }
+
+    soforEkleDuzenle(formData);
+  };
+
+  return (
+    <dialog id="soforEkleDuzenleModal" className="modal">
+      <div className="modal-box max-w-2xl">
+        <h3 className="font-bold text-lg border-b pb-2 mb-4">
+          {duzenlenecekSofor ? "Şoför Düzenle" : "Yeni Şoför Ekle"}
+        </h3>
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div>
+            <label className="label">
+              <span className="label-text font-semibold">Ad</span>
+            </label>
+            <input
+              name="ad"
+              className="input input-bordered w-full"
+              value={formData.ad}
+              onChange={handleInputChange}
+            />
+          </div>
+          <div>
+            <label className="label">
+              <span className="label-text font-semibold">Soyad</span>
+            </label>
+            <input
+              name="soyad"
+              className="input input-bordered w-full"
+              value={formData.soyad}
+              onChange={handleInputChange}
+            />
+          </div>
+          <div>
+            <label className="label">
+              <span className="label-text font-semibold">Telefon</span>
+            </label>
+            <input
+              name="telefon"
+              className="input input-bordered w-full"
+              value={formData.telefon}
+              onChange={handleInputChange}
+            />
+          </div>
+          <div>
+            <label className="label">
+              <span className="label-text font-semibold">
+                Ehliyet Geçerlilik Tarihi
+              </span>
+            </label>
+            <input
+              name="ehliyetGecerlilikTarihi"
+              type="date"
+              className="input input-bordered w-full"
+              value={formData.ehliyetGecerlilikTarihi}
+              onChange={handleInputChange}
+            />
+          </div>
+        </div>
+
+        <label className="label mt-2">
+          <span className="label-text font-semibold">Ehliyet Sınıfları</span>
+        </label>
+        <div className="flex flex-wrap gap-2">
+          {EHLIYET_SINIFLARI.map((sinif) => (
+            <label key={sinif} className="label cursor-pointer gap-1">
+              <input
+                type="checkbox"
+                className="checkbox checkbox-sm"
+                checked={formData.ehliyetSiniflari.includes(sinif)}
+                onChange={() => handleSinifDegistir(sinif)}
+              />
+              <span className="label-text">{sinif}</span>
+            </label>
+          ))}
+        </div>
+
+        {duzenlenecekSofor && (
+          <>
+            <label className="label mt-2">
+              <span className="label-text font-semibold">Müsaitlik Durumu</span>
+            </label>
+            <select
+              name="musaitlikDurumu"
+              className="select select-bordered w-full"
+              value={formData.musaitlikDurumu}
+              onChange={handleInputChange}
+              disabled={formData.musaitlikDurumu === "gorevde"}
+            >
+              <option value="musait">Müsait</option>
+              <option value="izinli">İzinli</option>
+              <option value="gorevde" disabled>
+                Görevde
+              </option>
+            </select>
+          </>
+        )}
+
+        <div className="modal-action mt-6">
+          <button className="btn" onClick={() => setModal(null)}>
+            İptal
+          </button>
+          <button
+            className="btn btn-primary"
+            onClick={handleSubmit}
+            disabled={isPending}
+          >
+            {duzenlenecekSofor ? "Güncelle" : "Kaydet"}
+          </button>
+        </div>
+      </div>
+    </dialog>
+  );
+};
+
+export default SoforEkleDuzenleModal;
@@ -0,0 +1,67 @@
+import { useMutation, useQueryClient } from "@tanstack/react-query";
+import React, { useEffect } from "react";
+import api from "../../../lib/axios";
+import { toast } from "react-hot-toast";
+
+const SoforSilOnayModal = ({ sofor, modal, setModal }) => {
+  const queryClient = useQueryClient();
+
+  const { mutate: soforSil } = useMutation({
+    mutationFn: async (id) => {
+      const res = await api.delete(`/soforler/${id}`);
+      return res.data;
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries(["soforler"]);
+      document.getElementById("soforSilOnayModal")?.close();
+      setModal(null);
+      toast.success("Şoför başarıyla silindi.");
+    },
+    onError: (error) => {
+      toast.error(
+        "Şoför silme işlemi başarısız oldu: " +
+          (error.response?.data?.error || error.message)
+      );
+    },
+  });
+
+  useEffect(() => {
+    if (sofor && modal === "soforSilOnayModal") {
+      document.getElementById("soforSilOnayModal")?.showModal();
+    }
+  }, [sofor, modal]);
+
+  if (!sofor || modal !== "soforSilOnayModal") return null;
+
+  return (
+    <dialog id="soforSilOnayModal" className="modal">
+      <div className="modal-box">
+        <h3 className="font-bold text-lg  border-b pb-1">Şoförü Sil</h3>
+        <p className="py-2 text-sm text-gray-600">
+          <strong>
+            {sofor.ad} {sofor.soyad}
+          </strong>{" "}
+          adlı şoför silinecek. Onaylıyor musunuz?
+        </p>
+        <div className="modal-action">
+          <form method="dialog">
+            <button
+              className="btn mr-2"
+              onClick={(e) => {
+                e.preventDefault();
+                setModal(null);
+              }}
+            >
+              İptal
+            </button>
+          </form>
+          <button className="btn btn-error" onClick={() => soforSil(sofor._id)}>
+            Sil
+          </button>
+        </div>
+      </div>
+    </dialog>
+  );
+};
+
+export default SoforSilOnayModal;
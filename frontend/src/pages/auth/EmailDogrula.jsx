@@ -0,0 +1,60 @@
+import React from "react";
+import axios from "axios";
+import { useQuery } from "@tanstack/react-query";
+import { Link, useParams } from "react-router-dom";
+import { MailCheck, MailX } from "lucide-react";
+
+// E-postadaki doğrulama bağlantısıyla açılır; oturum gerektirmez, farklı bir cihazda da açılabilir
+const EmailDogrula = () => {
+  const { token } = useParams();
+
+  // Token tek kullanımlık olduğundan istek bir kez atılır ve sonucu önbellekte tutulur
+  const { data: sonuc, isLoading, isError, error } = useQuery({
+    queryKey: ["emailDogrulama", token],
+    queryFn: async () => {
+      const res = await axios.post("/api/auth/email-dogrulama", { token });
+      return res.data;
+    },
+    retry: false,
+    staleTime: Infinity,
+    refetchOnWindowFocus: false,
+  });
+
+  if (isLoading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <span className="loading loading-spinner loading-lg text-primary" />
+      </div>
+    );
+  }
+
+  const Ikon = isError ? MailX : MailCheck;
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-base-200 p-4">
+      <div className="card w-full max-w-md bg-base-100 shadow-xl">
+        <div className="card-body items-center text-center">
+          <Ikon className={`w-20 h-20 ${isError ? "text-error" : "text-success"}`} />
+          <h1 className={`text-2xl font-bold ${isError ? "text-error" : "text-success"}`}>
+            {isError ? "DOĞRULANAMADI" : "E-POSTA DOĞRULANDI"}
+          </h1>
+          <p className="text-gray-600">
+            {isError
+              ? error.response?.data?.error || "Doğrulama servisine ulaşılamadı. Lütfen daha sonra tekrar deneyin."
+              : sonuc.message}
+          </p>
+          {isError && (
+            <p className="text-sm text-gray-500">
+              Hesabım sayfasından yeni bir doğrulama bağlantısı isteyebilirsiniz.
+            </p>
+          )}
+          <Link to="/" className="btn btn-primary mt-4">
+            Sisteme Dön
+          </Link>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default EmailDogrula;
@@ -4,12 +4,24 @@ import { CiMail, CiLock } from "react-icons/ci";
 import { useMutation, useQueryClient } from "@tanstack/react-query";
 import axios from "axios";
 import { toast } from "react-hot-toast";
-import { Link } from "react-router-dom";
+import { Link, useNavigate, useParams } from "react-router-dom";
+import IkiAdimliKurulum from "../../components/hesap/IkiAdimliKurulum";
 
 
 const GirisYap = () => {
 
   const queryClient=useQueryClient();
+  const navigate = useNavigate();
+  // /sifre-sifirla/:token bağlantısıyla gelindiyse yeni şifre formu gösterilir
+  const { token: sifirlamaTokeni } = useParams();
+  const [mod, setMod] = useState(sifirlamaTokeni ? "sifreSifirla" : "giris");
+  const [sifirlamaEmaili, setSifirlamaEmaili] = useState("");
+  const [baglantiGonderildi, setBaglantiGonderildi] = useState(false);
+  const [yeniSifre, setYeniSifre] = useState({ sifre: "", sifreTekrar: "" });
+  // Şifre doğrulandıktan sonra ikinci adım (kod girişi ya da zorunlu kurulum) için sunucunun verdiği kısa ömürlü token
+  const [ikiAdimliToken, setIkiAdimliToken] = useState(null);
+  const [ikiAdimliKod, setIkiAdimliKod] = useState("");
+  const [kurtarmaKoduIle, setKurtarmaKoduIle] = useState(false);
   
   const [formData, setFormData] = useState({
     email: "",
@@ -39,6 +51,12 @@ const GirisYap = () => {
       }
     },
     onSuccess: (data) => {
+      if (data.ikiAdimliGerekli || data.ikiAdimliKurulumGerekli) {
+        setIkiAdimliToken(data.ikiAdimliToken);
+        setIkiAdimliKod("");
+        setMod(data.ikiAdimliGerekli ? "ikiAdimli" : "ikiAdimliKurulum");
+        return;
+      }
 
       // Başarılı giriş sonrası yapılacak işlemler
       toast.success("Giriş başarılı!");
@@ -54,6 +72,86 @@ const GirisYap = () => {
     },
   });
 
+  const ikinciAdimdanCik = (mesaj) => {
+    if (mesaj) toast.error(mesaj);
+    setIkiAdimliToken(null);
+    setKurtarmaKoduIle(false);
+    setMod("giris");
+  };
+
+  const { mutate: ikiAdimliDogrula, isPending: kodDogrulaniyor } = useMutation({
+    mutationFn: async (kod) => {
+      const res = await axios.post("/api/auth/iki-adimli/dogrula", { ikiAdimliToken, kod }, { withCredentials: true });
+      return res.data;
+    },
+    onSuccess: (data) => {
+      if (data.kalanKurtarmaKodu !== undefined) {
+        toast(`Kurtarma kodu kullanıldı. Kalan kurtarma kodu: ${data.kalanKurtarmaKodu}`, { icon: "⚠️" });
+      }
+      toast.success("Giriş başarılı!");
+      queryClient.invalidateQueries(["girisYapanKullanici"]);
+    },
+    onError: (error) => {
+      setIkiAdimliKod("");
+      // Token süresi dolduysa ya da hesap kilitlendiyse şifre adımına dönülür
+      if ([401, 423].includes(error.response?.status)) {
+        ikinciAdimdanCik(error.response.data.error);
+        return;
+      }
+      toast.error(error.response?.data?.error || "Bir hata oluştu");
+    },
+  });
+
+  const { mutate: sifirlamaBaglantisiIste, isPending: baglantiIsteniyor } = useMutation({
+    mutationFn: async (email) => {
+      const res = await axios.post("/api/auth/sifremi-unuttum", { email });
+      return res.data;
+    },
+    onSuccess: (data) => {
+      setBaglantiGonderildi(true);
+      toast.success(data.message);
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.error || "Bir hata oluştu");
+    },
+  });
+
+  const { mutate: sifreSifirla, isPending: sifreSifirlaniyor } = useMutation({
+    mutationFn: async (sifre) => {
+      const res = await axios.post("/api/auth/sifre-sifirla", { token: sifirlamaTokeni, sifre });
+      return res.data;
+    },
+    onSuccess: (data) => {
+      toast.success(data.message);
+      navigate("/girisyap", { replace: true });
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.error || "Bir hata oluştu");
+    },
+  });
+
+  const handleSifirlamaIstegi = (e) => {
+    e.preventDefault();
+    if (!sifirlamaEmaili) {
+      toast.error("Lütfen e-posta adresinizi girin.");
+      return;
+    }
+    sifirlamaBaglantisiIste(sifirlamaEmaili);
+  };
+
+  const handleSifreSifirla = (e) => {
+    e.preventDefault();
+    if (yeniSifre.sifre.length < 6) {
+      toast.error("Şifre en az 6 karakter olmalıdır.");
+      return;
+    }
+    if (yeniSifre.sifre !== yeniSifre.sifreTekrar) {
+      toast.error("Şifreler eşleşmiyor!");
+      return;
+    }
+    sifreSifirla(yeniSifre.sifre);
+  };
+
   const handleSubmit = (e) => {
     e.preventDefault();
     // Giriş doğrulama işlemleri
@@ -92,6 +190,166 @@ Devam etmek için hesabınıza giriş yapın.
       <div className="w-full lg:w-1/2 bg-base-200 flex items-center justify-center p-4">
         <div className="card w-full max-w-md bg-base-100 shadow-xl">
           <div className="card-body">
+            {mod === "sifremiUnuttum" && (
+              <>
+                <h2 className="card-title mb-2 text-center">Şifremi Unuttum</h2>
+                <p className="text-sm text-gray-500 mb-6">
+                  Hesabınıza kayıtlı e-posta adresini girin, şifrenizi sıfırlamanız için bir bağlantı gönderelim.
+                </p>
+                {baglantiGonderildi ? (
+                  <div className="alert alert-success text-sm mb-4">
+                    Bu e-posta adresi kayıtlıysa şifre sıfırlama bağlantısı gönderildi. Bağlantı 1 saat geçerlidir.
+                  </div>
+                ) : (
+                  <form onSubmit={handleSifirlamaIstegi}>
+                    <label className="input validator mb-4 w-full flex items-center gap-2">
+                      <span className="opacity-50">
+                        <CiMail />
+                      </span>
+                      <input
+                        type="email"
+                        required
+                        placeholder="E-posta Adresiniz"
+                        className="grow"
+                        value={sifirlamaEmaili}
+                        onChange={(e) => setSifirlamaEmaili(e.target.value)}
+                      />
+                    </label>
+                    <button type="submit" className="btn btn-primary w-full" disabled={baglantiIsteniyor}>
+                      Sıfırlama Bağlantısı Gönder
+                    </button>
+                  </form>
+                )}
+                <button
+                  type="button"
+                  className="btn btn-ghost btn-sm mt-2"
+                  onClick={() => {
+                    setMod("giris");
+                    setBaglantiGonderildi(false);
+                  }}
+                >
+                  Girişe Dön
+                </button>
+              </>
+            )}
+
+            {mod === "ikiAdimli" && (
+              <>
+                <h2 className="card-title mb-2 text-center">İki Adımlı Doğrulama</h2>
+                <p className="text-sm text-gray-500 mb-6">
+                  {kurtarmaKoduIle
+                    ? "Kaydettiğiniz kurtarma kodlarından birini girin. Her kod yalnızca bir kez kullanılabilir."
+                    : "Doğrulama uygulamanızdaki 6 haneli kodu girin."}
+                </p>
+                <form
+                  onSubmit={(e) => {
+                    e.preventDefault();
+                    ikiAdimliDogrula(ikiAdimliKod);
+                  }}
+                >
+                  <input
+                    type="text"
+                    inputMode={kurtarmaKoduIle ? "text" : "numeric"}
+                    autoComplete="one-time-code"
+                    autoFocus
+                    maxLength={kurtarmaKoduIle ? 11 : 6}
+                    placeholder={kurtarmaKoduIle ? "XXXXX-XXXXX" : "6 haneli kod"}
+                    className="input input-bordered w-full mb-4 tracking-widest"
+                    value={ikiAdimliKod}
+                    onChange={(e) =>
+                      setIkiAdimliKod(kurtarmaKoduIle ? e.target.value : e.target.value.replace(/[^0-9]/g, ""))
+                    }
+                  />
+                  <button
+                    type="submit"
+                    className="btn btn-primary w-full"
+                    disabled={kodDogrulaniyor || (kurtarmaKoduIle ? !ikiAdimliKod.trim() : ikiAdimliKod.length !== 6)}
+                  >
+                    Doğrula
+                  </button>
+                </form>
+                <div className="flex justify-between mt-2">
+                  <button type="button" className="btn btn-ghost btn-sm" onClick={() => ikinciAdimdanCik()}>
+                    Girişe Dön
+                  </button>
+                  <button
+                    type="button"
+                    className="btn btn-ghost btn-sm"
+                    onClick={() => {
+                      setKurtarmaKoduIle(!kurtarmaKoduIle);
+                      setIkiAdimliKod("");
+                    }}
+                  >
+                    {kurtarmaKoduIle ? "Uygulama kodu kullan" : "Kurtarma kodu kullan"}
+                  </button>
+                </div>
+              </>
+            )}
+
+            {mod === "ikiAdimliKurulum" && (
+              <>
+                <h2 className="card-title mb-2 text-center">İki Adımlı Doğrulama Kurulumu</h2>
+                <p className="text-sm text-gray-500 mb-6">
+                  Rolünüz için iki adımlı doğrulama zorunludur. Giriş yapmak için önce doğrulama uygulamanızı bağlayın.
+                </p>
+                <IkiAdimliKurulum
+                  ikiAdimliToken={ikiAdimliToken}
+                  onTamamlandi={() => {
+                    toast.success("Giriş başarılı!");
+                    queryClient.invalidateQueries(["girisYapanKullanici"]);
+                  }}
+                  onVazgec={() => ikinciAdimdanCik()}
+                />
+              </>
+            )}
+
+            {mod === "sifreSifirla" && (
+              <>
+                <h2 className="card-title mb-6 text-center">Yeni Şifre Belirle</h2>
+                <form onSubmit={handleSifreSifirla}>
+                  <label className="input validator mb-4 w-full flex items-center gap-2">
+                    <span className="opacity-50">
+                      <CiLock />
+                    </span>
+                    <input
+                      type="password"
+                      required
+                      minLength={6}
+                      placeholder="Yeni Şifre"
+                      className="grow"
+                      value={yeniSifre.sifre}
+                      onChange={(e) => setYeniSifre({ ...yeniSifre, sifre: e.target.value })}
+                    />
+                  </label>
+                  <label className="input validator mb-4 w-full flex items-center gap-2">
+                    <span className="opacity-50">
+                      <CiLock />
+                    </span>
+                    <input
+                      type="password"
+                      required
+                      minLength={6}
+                      placeholder="Yeni Şifre (Tekrar)"
+                      className="grow"
+                      value={yeniSifre.sifreTekrar}
+                      onChange={(e) => setYeniSifre({ ...yeniSifre, sifreTekrar: e.target.value })}
+                    />
+                  </label>
+                  <p className="text-xs text-gray-500 mb-4">
+                    Şifreniz değiştiğinde tüm cihazlardaki oturumlarınız kapatılır.
+                  </p>
+                  <button type="submit" className="btn btn-primary w-full" disabled={sifreSifirlaniyor}>
+                    Şifreyi Güncelle
+                  </button>
+                </form>
+                <Link to="/girisyap" className="btn btn-ghost btn-sm mt-2">
+                  Girişe Dön
+                </Link>
+              </>
+            )}
+
+            {mod === "giris" && (
+            <>
             <h2 className="card-title mb-6 text-center">Giriş Yap</h2>
             <form onSubmit={handleSubmit}>
               <label className="input validator mb-4 w-full flex items-center gap-2">
@@ -132,12 +390,13 @@ Devam etmek için hesabınıza giriş yapın.
                   />
                   <span className="label-text">Beni Hatırla</span>
                 </label>
-                <a
-                  href="/sifre-sifirla"
+                <button
+                  type="button"
+                  onClick={() => setMod("sifremiUnuttum")}
                   className="text-sm text-primary hover:underline"
                 >
                   Şifremi Unuttum
-                </a>
+                </button>
               </div>
 
               <button type="submit" className="btn btn-primary w-full">
@@ -153,6 +412,8 @@ Devam etmek için hesabınıza giriş yapın.
                 </Link>
               </p>
             </div>
+            </>
+            )}
             <div className="mt-6 text-center text-xs text-gray-400 leading-relaxed">
                 Bu sistem, <span className="font-medium">Burak Poyraz</span>{" "}
                 tarafından
@@ -6,6 +6,7 @@ import api from "../../lib/axios";
 import { toast } from "react-hot-toast";
 import { Link } from "react-router-dom";
 import nakliyeGorsel from "/images/afet_nakliye_gorsel.png";
+import HesapDogrulama from "../../components/hesap/HesapDogrulama";
 
 const KayıtOl = () => {
   const queryClient = useQueryClient();
@@ -17,6 +18,8 @@ const KayıtOl = () => {
     sifreTekrar: "",
     telefon: "",
   });
+  // Kayıt tamamlanınca panele geçmeden önce e-posta ve telefon doğrulama adımı gösterilir
+  const [kayitliKullanici, setKayitliKullanici] = useState(null);
 
   const handleInputChanges = (e) => {
     setFormData({ ...formData, [e.target.name]: e.target.value });
@@ -40,7 +43,7 @@ const KayıtOl = () => {
     onSuccess: (data) => {
       toast.success("Kayıt başarılı!");
 
-      queryClient.invalidateQueries(["girisYapanKullanici"]);
+      setKayitliKullanici(data.yeniKullanici);
     },
     onError: (error) => {
       toast.error("Kayıt hatası: " + error.message);
@@ -92,6 +95,30 @@ const KayıtOl = () => {
       <div className="w-full lg:w-1/2 bg-base-200 flex items-center justify-center p-4">
         <div className="card w-full max-w-md bg-base-100 shadow-xl">
           <div className="card-body">
+            {kayitliKullanici ? (
+              <>
+                <h2 className="card-title mb-2">Hesabınızı Doğrulayın</h2>
+                <p className="text-sm text-gray-500 mb-4">
+                  E-posta adresinize bir doğrulama bağlantısı, telefonunuza 6 haneli bir kod gönderdik.
+                  Doğrulamayı daha sonra Hesabım sayfasından da tamamlayabilirsiniz.
+                </p>
+                <HesapDogrulama
+                  kullanici={kayitliKullanici}
+                  kodGonderildi
+                  onTelefonDogrulandi={() =>
+                    setKayitliKullanici((onceki) => ({ ...onceki, telefonDogrulandi: true }))
+                  }
+                />
+                <button
+                  type="button"
+                  className="btn btn-primary w-full mt-6"
+                  onClick={() => queryClient.invalidateQueries(["girisYapanKullanici"])}
+                >
+                  Devam Et
+                </button>
+              </>
+            ) : (
+            <>
             <h2 className="card-title mb-4 ">Kayıt Ol</h2>
             <form onSubmit={handleSubmit}>
               <label className="input validator mb-4 w-full flex items-center gap-2">
@@ -195,6 +222,8 @@ const KayıtOl = () => {
                 </p>
               </div>
             </form>
+            </>
+            )}
           </div>
         </div>
       </div>
@@ -0,0 +1,174 @@
+import { useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
+import React, { useEffect, useState } from "react";
+import api from "../../lib/axios";
+import { toast } from "react-hot-toast";
+
+const BildirimTercihleri = () => {
+  const [tercihler, setTercihler] = useState(null);
+
+  const queryClient = useQueryClient();
+
+  const { data, isLoading } = useQuery({
+    queryKey: ["bildirimTercihleri"],
+    queryFn: async () => {
+      const res = await api.get("/kullanicilar/bildirim-tercihleri");
+      return res.data;
+    },
+  });
+
+  useEffect(() => {
+    if (data?.tercihler) {
+      setTercihler(data.tercihler);
+    }
+  }, [data]);
+
+  const { mutate: kaydet, isPending } = useMutation({
+    mutationFn: async () => {
+      const res = await api.put("/kullanicilar/bildirim-tercihleri", tercihler);
+      return res.data;
+    },
+    onSuccess: (sonuc) => {
+      queryClient.setQueryData(["bildirimTercihleri"], (eski) => ({ ...eski, tercihler: sonuc.tercihler }));
+      toast.success(sonuc.message || "Tercihler kaydedildi.");
+    },
+    onError: (err) => {
+      toast.error(err?.response?.data?.error || "Bir hata oluştu");
+    },
+  });
+
+  const kanalDegistir = (olay, kanal) => {
+    setTercihler((onceki) => {
+      const secili = onceki.olaylar[olay];
+      return {
+        ...onceki,
+        olaylar: {
+          ...onceki.olaylar,
+          [olay]: secili.includes(kanal) ? secili.filter((k) => k !== kanal) : [...secili, kanal],
+        },
+      };
+    });
+  };
+
+  const sessizSaatDegistir = (alan, deger) => {
+    setTercihler((onceki) => ({
+      ...onceki,
+      sessizSaatler: { ...onceki.sessizSaatler, [alan]: deger },
+    }));
+  };
+
+  if (isLoading || !tercihler) {
+    return <div className="p-6">Yükleniyor...</div>;
+  }
+
+  const olaylar = data?.olaylar || {};
+  const kanallar = data?.kanallar || {};
+
+  return (
+    <div className="p-6 max-w-4xl">
+      <h1 className="text-2xl font-bold mb-2">Bildirim Tercihleri</h1>
+      <p className="text-sm text-gray-500 mb-6">
+        Her olay türü için bildirimleri hangi kanallardan almak istediğinizi seçin.
+      </p>
+
+      <div className="overflow-x-auto mb-8">
+        <table className="table w-full">
+          <thead>
+            <tr>
+              <th>Olay</th>
+              {Object.entries(kanallar).map(([kod, ad]) => (
+                <th key={kod} className="text-center">{ad}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {Object.entries(olaylar).map(([olay, ad]) => (
+              <tr key={olay}>
+                <td className="font-medium">{ad}</td>
+                {Object.keys(kanallar).map((kanal) => (
+                  <td key={kanal} className="text-center">
+                    <input
+                      type="checkbox"
+                      className="checkbox checkbox-primary checkbox-sm"
+                      checked={tercihler.olaylar[olay]?.includes(kanal) || false}
+                      onChange={() => kanalDegistir(olay, kanal)}
+                    />
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="grid md:grid-cols-2 gap-6 mb-8">
+        <div className="card bg-base-200">
+          <div className="card-body">
+            <h2 className="card-title text-lg">Sessiz Saatler</h2>
+            <label className="label cursor-pointer justify-start gap-3">
+              <input
+                type="checkbox"
+                className="toggle toggle-primary"
+                checked={tercihler.sessizSaatler.aktif}
+                onChange={(e) => sessizSaatDegistir("aktif", e.target.checked)}
+              />
+              <span className="label-text">Sessiz saatleri kullan</span>
+            </label>
+            <div className="flex items-center gap-2">
+              <input
+                type="time"
+                className="input input-bordered input-sm"
+                value={tercihler.sessizSaatler.baslangic}
+                disabled={!tercihler.sessizSaatler.aktif}
+                onChange={(e) => sessizSaatDegistir("baslangic", e.target.value)}
+              />
+              <span>-</span>
+              <input
+                type="time"
+                className="input input-bordered input-sm"
+                value={tercihler.sessizSaatler.bitis}
+                disabled={!tercihler.sessizSaatler.aktif}
+                onChange={(e) => sessizSaatDegistir("bitis", e.target.value)}
+              />
+            </div>
+            <label className="label cursor-pointer justify-start gap-3">
+              <input
+                type="checkbox"
+                className="checkbox checkbox-sm"
+                checked={tercihler.sessizSaatler.kritikOlaylardaAtla}
+                disabled={!tercihler.sessizSaatler.aktif}
+                onChange={(e) => sessizSaatDegistir("kritikOlaylardaAtla", e.target.checked)}
+              />
+              <span className="label-text">Kritik olayları (ör. görev iptali) sessiz saatlerde de ilet</span>
+            </label>
+            <p className="text-xs text-gray-500">
+              Sessiz saatlerdeki e-posta ve SMS'ler sessiz saat bitiminde gönderilir.
+            </p>
+          </div>
+        </div>
+
+        <div className="card bg-base-200">
+          <div className="card-body">
+            <h2 className="card-title text-lg">E-posta Özeti</h2>
+            <select
+              className="select select-bordered select-sm w-full max-w-xs"
+              value={tercihler.ozetSikligi}
+              onChange={(e) => setTercihler((onceki) => ({ ...onceki, ozetSikligi: e.target.value }))}
+            >
+              <option value="saatlik">Saatlik</option>
+              <option value="gunluk">Günlük</option>
+            </select>
+            <p className="text-xs text-gray-500">
+              "E-posta özeti" kanalını seçtiğiniz olaylar tek tek gönderilmez, bu sıklıkla tek bir e-postada toplanır.
+            </p>
+          </div>
+        </div>
+      </div>
+
+      <button className="btn btn-primary" onClick={() => kaydet()} disabled={isPending}>
+        {isPending ? "Kaydediliyor..." : "Kaydet"}
+      </button>
+    </div>
+  );
+};
+
+export default BildirimTercihleri;
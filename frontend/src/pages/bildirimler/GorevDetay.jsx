@@ -2,6 +2,7 @@ import { useParams, useNavigate } from "react-router-dom";
 import { useQuery } from "@tanstack/react-query";
 import api from "../../lib/axios";
 import { toast } from "react-hot-toast";
+import TeslimKaniti from "../../components/gorevler/TeslimKaniti";
 
 const GorevDetay = () => {
   const { id } = useParams();
@@ -114,6 +115,13 @@ const GorevDetay = () => {
             </div>
           </div>
 
+          {gorev.gorevDurumu === "tamamlandı" && (
+            <div className="mt-6">
+              <h3 className="font-semibold text-lg mb-2 border-b pb-1">Teslim Kanıtı</h3>
+              <TeslimKaniti gorevId={gorev._id} />
+            </div>
+          )}
+
                <div className="mt-6 flex justify-between">
             <button
               onClick={() => navigate("/bildirimler")}
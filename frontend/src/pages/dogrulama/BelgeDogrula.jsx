@@ -0,0 +1,88 @@
+import React from "react";
+import axios from "axios";
+import { useQuery } from "@tanstack/react-query";
+import { useParams } from "react-router-dom";
+import { ShieldAlert, ShieldCheck, ShieldX } from "lucide-react";
+
+// Kontrol noktalarında görev formundaki karekodla açılan, oturum gerektirmeyen doğrulama sayfası
+const SONUC_GORUNUMLERI = {
+  gecerli: { Ikon: ShieldCheck, renk: "text-success", baslik: "GEÇERLİ GÖREV BELGESİ" },
+  suresi_dolmus: { Ikon: ShieldAlert, renk: "text-warning", baslik: "SÜRESİ DOLMUŞ BELGE" },
+  gorev_aktif_degil: { Ikon: ShieldAlert, renk: "text-warning", baslik: "GÖREV AKTİF DEĞİL" },
+  arac_degisti: { Ikon: ShieldAlert, renk: "text-warning", baslik: "ARAÇ DEĞİŞMİŞ" },
+  gecersiz: { Ikon: ShieldX, renk: "text-error", baslik: "GEÇERSİZ BELGE" },
+};
+
+const tarihSaat = (tarih) => new Date(tarih).toLocaleString("tr-TR", { dateStyle: "short", timeStyle: "short" });
+
+const BelgeDogrula = () => {
+  const { token } = useParams();
+
+  const { data: sonuc, isLoading, isError } = useQuery({
+    queryKey: ["belgeDogrulama", token],
+    queryFn: async () => {
+      const res = await axios.get(`/api/dogrula/${token}`);
+      return res.data;
+    },
+    retry: false,
+  });
+
+  if (isLoading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <span className="loading loading-spinner loading-lg text-primary" />
+      </div>
+    );
+  }
+
+  const { Ikon, renk, baslik } = SONUC_GORUNUMLERI[sonuc?.durum] || SONUC_GORUNUMLERI.gecersiz;
+  const gorev = sonuc?.gorev;
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-base-200 p-4">
+      <div className="card w-full max-w-md bg-base-100 shadow-xl">
+        <div className="card-body items-center text-center">
+          <Ikon className={`w-20 h-20 ${renk}`} />
+          <h1 className={`text-2xl font-bold ${renk}`}>{isError ? "DOĞRULANAMADI" : baslik}</h1>
+          <p className="text-gray-600">
+            {isError ? "Doğrulama servisine ulaşılamadı. Lütfen daha sonra tekrar deneyin." : sonuc.mesaj}
+          </p>
+
+          {gorev && (
+            <div className="w-full mt-4 text-left">
+              <div className="text-center text-4xl font-bold tracking-wider border rounded-lg py-3 mb-4">
+                {gorev.plaka || "-"}
+              </div>
+              <table className="table table-sm">
+                <tbody>
+                  <tr>
+                    <th>Görev durumu</th>
+                    <td className="capitalize">{gorev.gorevDurumu}</td>
+                  </tr>
+                  <tr>
+                    <th>Araç türü</th>
+                    <td className="capitalize">{gorev.aracTuru || "-"}</td>
+                  </tr>
+                  <tr>
+                    <th>Şoför</th>
+                    <td>{gorev.sofor || "-"}</td>
+                  </tr>
+                  <tr>
+                    <th>Belge geçerliliği</th>
+                    <td>
+                      {tarihSaat(gorev.gecerlilik.baslangic)} – {tarihSaat(gorev.gecerlilik.bitis)}
+                    </td>
+                  </tr>
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          <p className="text-xs text-gray-400 mt-4">Doğrulama zamanı: {tarihSaat(new Date())}</p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default BelgeDogrula;
@@ -0,0 +1,66 @@
+import React from "react";
+import { useQueryClient } from "@tanstack/react-query";
+import OturumListesi from "../../components/oturumlar/OturumListesi";
+import HesapDogrulama from "../../components/hesap/HesapDogrulama";
+import IkiAdimliAyarlari from "../../components/hesap/IkiAdimliAyarlari";
+import { rolEtiketi } from "../../lib/roller";
+
+const Hesabim = () => {
+  const queryClient = useQueryClient();
+  const kullanici = queryClient.getQueryData(["girisYapanKullanici"]);
+
+  return (
+    <div className="p-6 max-w-4xl space-y-8">
+      <div>
+        <h1 className="text-2xl font-bold mb-4">Hesabım</h1>
+        <div className="grid grid-cols-2 gap-y-2 gap-x-4 text-sm text-gray-700 max-w-lg">
+          <div className="font-semibold">Ad Soyad:</div>
+          <div>
+            {kullanici?.ad} {kullanici?.soyad}
+          </div>
+
+          <div className="font-semibold">Email:</div>
+          <div>{kullanici?.email}</div>
+
+          <div className="font-semibold">Telefon:</div>
+          <div>{kullanici?.telefon || "-"}</div>
+
+          <div className="font-semibold">Rol:</div>
+          <div>{rolEtiketi(kullanici?.rol)}</div>
+
+          <div className="font-semibold">Kurum/Firma:</div>
+          <div>{kullanici?.kurumFirmaId?.kurumAdi || "-"}</div>
+        </div>
+      </div>
+
+      <div className="max-w-lg">
+        <h2 className="text-lg font-bold mb-1">İletişim Doğrulama</h2>
+        <p className="text-sm text-gray-500 mb-4">
+          Doğrulanmış e-posta adresi şifrenizi unuttuğunuzda hesabınıza yeniden erişmenizi sağlar.
+        </p>
+        <HesapDogrulama
+          kullanici={kullanici}
+          onTelefonDogrulandi={() => queryClient.invalidateQueries({ queryKey: ["girisYapanKullanici"] })}
+        />
+      </div>
+
+      <div className="max-w-lg">
+        <h2 className="text-lg font-bold mb-1">İki Adımlı Doğrulama</h2>
+        <p className="text-sm text-gray-500 mb-4">
+          Girişte şifrenize ek olarak doğrulama uygulamanızdaki kod istenir; şifreniz ele geçirilse bile hesabınız korunur.
+        </p>
+        <IkiAdimliAyarlari />
+      </div>
+
+      <div>
+        <h2 className="text-lg font-bold mb-1">Oturumlarım</h2>
+        <p className="text-sm text-gray-500 mb-4">
+          Hesabınıza giriş yapılmış cihazlar. Tanımadığınız bir oturumu kapattığınızda o cihaz hemen çıkış yapar.
+        </p>
+        <OturumListesi />
+      </div>
+    </div>
+  );
+};
+
+export default Hesabim;
@@ -0,0 +1,131 @@
+import { useMutation, useQueryClient } from "@tanstack/react-query";
+import React, { useState } from "react";
+import { toast } from "react-hot-toast";
+import api from "../../lib/axios";
+import { AFET_TURLERI, useAfetOlaylari, useSeciliAfetOlayi } from "../../lib/afetOlayi";
+import AfetOlayiEkleDuzenleModal from "./modals/afetOlaylari/AfetOlayiEkleDuzenleModal";
+
+const tarihMetni = (tarih) => (tarih ? new Date(tarih).toLocaleString("tr-TR") : "-");
+
+const AfetOlaylari = () => {
+  const [acikModal, setAcikModal] = useState(null);
+  const [seciliOlay, setSeciliOlay] = useState(null);
+
+  const queryClient = useQueryClient();
+  const { data: olaylar = [], isLoading } = useAfetOlaylari();
+  const { seciliId, olayDegistir } = useSeciliAfetOlayi();
+
+  const { mutate: durumDegistir } = useMutation({
+    mutationFn: async ({ id, durum }) => {
+      const res = await api.put(`/afet-olaylari/${id}`, { durum });
+      return res.data;
+    },
+    onSuccess: (olay) => {
+      queryClient.invalidateQueries({ queryKey: ["afetOlaylari"] });
+      toast.success(olay.durum === "kapandi" ? "Afet olayı kapatıldı." : "Afet olayı yeniden açıldı.");
+    },
+    onError: (err) => toast.error(err?.response?.data?.error || "Bir hata oluştu"),
+  });
+
+  const { mutate: sil } = useMutation({
+    mutationFn: async (id) => {
+      const res = await api.delete(`/afet-olaylari/${id}`);
+      return res.data;
+    },
+    onSuccess: (_, id) => {
+      if (seciliId === id) olayDegistir("");
+      queryClient.invalidateQueries({ queryKey: ["afetOlaylari"] });
+      toast.success("Afet olayı silindi.");
+    },
+    onError: (err) => toast.error(err?.response?.data?.error || "Bir hata oluştu"),
+  });
+
+  const modalAc = (olay) => {
+    setSeciliOlay(olay);
+    setAcikModal("afetOlayiEkleDuzenleModal");
+  };
+
+  return (
+    <div className="p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h1 className="text-2xl font-bold">Afet Olayları</h1>
+        <button className="btn btn-primary btn-sm" onClick={() => modalAc(null)}>
+          + Yeni Olay
+        </button>
+      </div>
+
+      {isLoading ? (
+        <div className="flex justify-center p-10">
+          <span className="loading loading-spinner loading-lg" />
+        </div>
+      ) : olaylar.length === 0 ? (
+        <p className="text-gray-500">Kayıtlı afet olayı yok.</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="table table-zebra w-full">
+            <thead>
+              <tr>
+                <th>Ad</th>
+                <th>Tür</th>
+                <th>Başlangıç</th>
+                <th>Bitiş</th>
+                <th>Bölge</th>
+                <th>Durum</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {olaylar.map((olay) => (
+                <tr key={olay._id} className={seciliId === olay._id ? "font-semibold" : ""}>
+                  <td>{olay.ad}</td>
+                  <td>{AFET_TURLERI[olay.tur] || olay.tur}</td>
+                  <td>{tarihMetni(olay.baslangicTarihi)}</td>
+                  <td>{tarihMetni(olay.bitisTarihi)}</td>
+                  <td>
+                    {olay.etkilenenBolge?.coordinates?.length
+                      ? `${olay.etkilenenBolge.coordinates[0].length - 1} köşe`
+                      : "-"}
+                  </td>
+                  <td>
+                    <span className={`badge ${olay.durum === "aktif" ? "badge-success" : "badge-ghost"}`}>
+                      {olay.durum === "aktif" ? "Aktif" : "Kapandı"}
+                    </span>
+                  </td>
+                  <td className="flex flex-wrap gap-1 justify-end">
+                    <button
+                      className="btn btn-xs btn-outline"
+                      onClick={() => olayDegistir(seciliId === olay._id ? "" : olay._id)}
+                    >
+                      {seciliId === olay._id ? "Seçimi Kaldır" : "Seç"}
+                    </button>
+                    <button className="btn btn-xs" onClick={() => modalAc(olay)}>
+                      Düzenle
+                    </button>
+                    <button
+                      className="btn btn-xs btn-warning"
+                      onClick={() =>
+                        durumDegistir({ id: olay._id, durum: olay.durum === "aktif" ? "kapandi" : "aktif" })
+                      }
+                    >
+                      {olay.durum === "aktif" ? "Kapat" : "Yeniden Aç"}
+                    </button>
+                    <button
+                      className="btn btn-xs btn-error btn-outline"
+                      onClick={() => window.confirm(`"${olay.ad}" silinsin mi?`) && sil(olay._id)}
+                    >
+                      Sil
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <AfetOlayiEkleDuzenleModal olay={seciliOlay} modal={acikModal} setModal={setAcikModal} />
+    </div>
+  );
+};
+
+export default AfetOlaylari;
@@ -1,57 +1,28 @@
-import { useQuery } from "@tanstack/react-query";
 import React, { useState } from "react";
-import api from "../../lib/axios";
 import AracDetay from "./modals/araclar/AracDetay";
 import AracSilOnayModal from "../arac_sahibi/modals/AracSilOnayModal";
+import { useGecikmeliDeger, useSayfaliListe } from "../../lib/listeSorgusu";
+import Sayfalama from "../../components/liste/Sayfalama";
 
 const Araclar = () => {
   const [acikModal, setAcikModal] = useState(null);
   const [arama, setArama] = useState("");
+  const [durumFiltre, setDurumFiltre] = useState("hepsi");
+  const [musaitFiltre, setMusaitFiltre] = useState("hepsi");
+  const [sirala, setSirala] = useState("-createdAt");
   const [seciliArac, setSeciliArac] = useState(null);
 
-  const { data: araclar = [], isLoading } = useQuery({
-    queryKey: ["araclar"],
-    queryFn: async () => {
-      const res = await api.get("/araclar");
-
-      return res.data.araclar;
-    },
-  });
-
-  console.log(araclar);
-  const filtrelenmisAraclar = araclar.filter((arac) => {
-    const plaka = arac.plaka.toLowerCase();
-    const tur = arac.aracTuru.toLowerCase();
-    const adres = arac.konum?.adres.toLowerCase() || "";
-    const kurumAdi = arac.kurumFirmaId?.kurumAdi?.toLowerCase() || "";
-    const kullaniciAdSoyad = `${arac.kullaniciId?.ad || ""} ${
-      arac.kullaniciId?.soyad || ""
-    }`.toLowerCase();
-
-    const searchTerm = arama.toLowerCase();
-
-    return (
-      plaka.includes(searchTerm) ||
-      tur.includes(searchTerm) ||
-      adres.includes(searchTerm) ||
-      kurumAdi.includes(searchTerm) ||
-      kullaniciAdSoyad.includes(searchTerm)
-    );
+  // Arama (plaka, tür, adres, kurum, sahip), filtre ve sıralama sunucuda yapılır
+  const { veriler: araclar, sayfalama, sayfa, limit, setSayfa, isLoading, isFetching } = useSayfaliListe({
+    anahtar: "araclar",
+    url: "/araclar",
+    params: { arama: useGecikmeliDeger(arama.trim()), durum: durumFiltre, musait: musaitFiltre, sirala },
   });
 
-
-  const siraliAraclar = [...filtrelenmisAraclar].sort((a, b) => {
-  const aSkor =
-    (a.aracDurumu === "aktif" ? 2 : 0) + (a.musaitlikDurumu ? 1 : 0);
-  const bSkor =
-    (b.aracDurumu === "aktif" ? 2 : 0) + (b.musaitlikDurumu ? 1 : 0);
-  return bSkor - aSkor;
-});
-
   return (
     <div className="p-6">
       <h1 className="text-2xl font-bold mb-4">Araçlar</h1>
-      <div className="flex items-center justify-between gap-4 mb-4">
+      <div className="flex flex-wrap items-center justify-between gap-4 mb-4">
         <input
           type="text"
           placeholder="Araç ara..."
@@ -59,6 +30,36 @@ const Araclar = () => {
           value={arama}
           onChange={(e) => setArama(e.target.value)}
         />
+        <div className="flex flex-wrap gap-2 mb-4">
+          <select
+            className="select select-bordered"
+            value={durumFiltre}
+            onChange={(e) => setDurumFiltre(e.target.value)}
+          >
+            <option value="hepsi">Tüm Durumlar</option>
+            <option value="aktif">Aktif</option>
+            <option value="pasif">Pasif</option>
+          </select>
+          <select
+            className="select select-bordered"
+            value={musaitFiltre}
+            onChange={(e) => setMusaitFiltre(e.target.value)}
+          >
+            <option value="hepsi">Tüm Müsaitlikler</option>
+            <option value="true">Müsait</option>
+            <option value="false">Müsait Değil</option>
+          </select>
+          <select
+            className="select select-bordered"
+            value={sirala}
+            onChange={(e) => setSirala(e.target.value)}
+          >
+            <option value="-createdAt">En yeni</option>
+            <option value="createdAt">En eski</option>
+            <option value="plaka">Plaka (A-Z)</option>
+            <option value="-kapasite">Kapasite (büyükten küçüğe)</option>
+          </select>
+        </div>
       </div>
 
       {isLoading ? (
@@ -80,9 +81,9 @@ const Araclar = () => {
               </tr>
             </thead>
             <tbody>
-              {siraliAraclar.map((arac, index) => (
+              {araclar.map((arac, index) => (
                 <tr key={arac._id}>
-                  <td>{index + 1}</td>
+                  <td>{(sayfa - 1) * limit + index + 1}</td>
                   <td className="uppercase">{arac.plaka}</td>
                   <td className="capitalize">{arac.aracTuru}</td>
                   <td className="capitalize">{arac.kapasite}</td>
@@ -154,6 +155,7 @@ const Araclar = () => {
               ))}
             </tbody>
           </table>
+          <Sayfalama sayfalama={sayfalama} sayfa={sayfa} setSayfa={setSayfa} isFetching={isFetching} />
         </div>
       )}
 
@@ -1,8 +1,10 @@
-import { useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
+import { useMutation, useQueryClient } from "@tanstack/react-query";
 import React from "react";
 import { useState } from "react";
 import api from "../../lib/axios";
 import { useNavigate } from "react-router-dom";
+import { useSayfaliListe } from "../../lib/listeSorgusu";
+import Sayfalama from "../../components/liste/Sayfalama";
 
 const Bildirimler = () => {
   const navigate = useNavigate();
@@ -11,21 +13,14 @@ const Bildirimler = () => {
 
   const [filtre, setFiltre] = useState("hepsi");
 
-  const { data: bildirimler = [], isLoading } = useQuery({
-    queryKey: ["bildirimler"],
-    queryFn: async () => {
-      const res = await api.get("/bildirimler");
+  const [okunduFiltre, setOkunduFiltre] = useState("hepsi");
 
-      return res.data;
-    },
+  const { veriler: filtrelenmis, sayfalama, sayfa, setSayfa, isFetching } = useSayfaliListe({
+    anahtar: "bildirimler",
+    url: "/bildirimler",
+    params: { durum: filtre, okundu: okunduFiltre },
   });
 
-  const filtrelenmis = bildirimler.filter((b) =>
-    filtre === "hepsi" ? true : b.tur === filtre
-  );
-
-
-
   const { mutate: bildirimOkunduYap } = useMutation({
     mutationFn: async (bildirimId) => {
       const res = await api.put(`/bildirimler/${bildirimId}`);
@@ -57,6 +52,15 @@ const Bildirimler = () => {
               : tip.charAt(0).toUpperCase() + tip.slice(1)}
           </button>
         ))}
+        <select
+          className="select select-bordered select-sm ml-auto"
+          value={okunduFiltre}
+          onChange={(e) => setOkunduFiltre(e.target.value)}
+        >
+          <option value="hepsi">Tümü</option>
+          <option value="false">Okunmamış</option>
+          <option value="true">Okunmuş</option>
+        </select>
       </div>
 
       {filtrelenmis.length === 0 ? (
@@ -98,6 +102,7 @@ const Bildirimler = () => {
           ))}
         </ul>
       )}
+      <Sayfalama sayfalama={sayfalama} sayfa={sayfa} setSayfa={setSayfa} isFetching={isFetching} />
     </div>
   );
 };
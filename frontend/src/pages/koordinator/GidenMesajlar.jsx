@@ -0,0 +1,188 @@
+import { useQuery } from "@tanstack/react-query";
+import React, { useState } from "react";
+import api from "../../lib/axios";
+import MesajYenidenGonderModal from "./modals/gidenMesajlar/MesajYenidenGonderModal";
+
+const DURUM_SEKMELERI = [
+  { deger: "", etiket: "Tümü" },
+  { deger: "kuyrukta", etiket: "Kuyrukta" },
+  { deger: "gonderiliyor", etiket: "Gönderiliyor" },
+  { deger: "gonderildi", etiket: "Gönderildi" },
+  { deger: "dead_letter", etiket: "Teslim Edilemeyenler" },
+];
+
+const DURUM_ROZETLERI = {
+  kuyrukta: { etiket: "Kuyrukta", sinif: "badge-info" },
+  gonderiliyor: { etiket: "Gönderiliyor", sinif: "badge-warning" },
+  gonderildi: { etiket: "Gönderildi", sinif: "badge-success" },
+  basarisiz: { etiket: "Başarısız", sinif: "badge-error" },
+  geri_dondu: { etiket: "Geri Döndü", sinif: "badge-error badge-outline" },
+};
+
+const YENIDEN_GONDERILEBILIR = ["basarisiz", "geri_dondu"];
+
+const tarihMetni = (tarih) => (tarih ? new Date(tarih).toLocaleString("tr-TR") : "-");
+
+const GidenMesajlar = () => {
+  const [durum, setDurum] = useState("dead_letter");
+  const [kanal, setKanal] = useState("");
+  const [acikModal, setAcikModal] = useState(null);
+  const [seciliMesaj, setSeciliMesaj] = useState(null);
+  const [acikSatir, setAcikSatir] = useState(null);
+
+  const { data, isLoading } = useQuery({
+    queryKey: ["gidenMesajlar", durum, kanal],
+    queryFn: async () => {
+      const res = await api.get("/giden-mesajlar", {
+        params: { ...(durum && { durum }), ...(kanal && { kanal }) },
+      });
+      return res.data;
+    },
+    // Kuyruktaki mesajların durumu arka planda değiştiği için liste periyodik yenilenir
+    refetchInterval: 15000,
+  });
+
+  const mesajlar = data?.mesajlar || [];
+  const sayilar = data?.sayilar || {};
+
+  const sekmeSayisi = (deger) => {
+    if (deger === "") return Object.values(sayilar).reduce((t, s) => t + s, 0);
+    if (deger === "dead_letter") return (sayilar.basarisiz || 0) + (sayilar.geri_dondu || 0);
+    return sayilar[deger] || 0;
+  };
+
+  return (
+    <div className="p-6">
+      <h1 className="text-2xl font-bold mb-4">Giden Mesajlar</h1>
+
+      <div className="flex flex-wrap items-center justify-between gap-4 mb-4">
+        <div role="tablist" className="tabs tabs-boxed">
+          {DURUM_SEKMELERI.map((sekme) => (
+            <button
+              key={sekme.deger}
+              role="tab"
+              className={`tab ${durum === sekme.deger ? "tab-active" : ""}`}
+              onClick={() => setDurum(sekme.deger)}
+            >
+              {sekme.etiket}
+              <span className="badge badge-sm ml-2">{sekmeSayisi(sekme.deger)}</span>
+            </button>
+          ))}
+        </div>
+        <select
+          className="select select-bordered select-sm"
+          value={kanal}
+          onChange={(e) => setKanal(e.target.value)}
+        >
+          <option value="">Tüm kanallar</option>
+          <option value="email">E-posta</option>
+          <option value="sms">SMS</option>
+        </select>
+      </div>
+
+      {isLoading ? (
+        <div>Yükleniyor...</div>
+      ) : mesajlar.length === 0 ? (
+        <div className="text-gray-500">Bu filtreye uygun mesaj yok.</div>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="table table-zebra w-full">
+            <thead>
+              <tr>
+                <th>Oluşturulma</th>
+                <th>Kanal</th>
+                <th>Alıcı</th>
+                <th>Konu</th>
+                <th>Durum</th>
+                <th>Deneme</th>
+                <th>Son Hata</th>
+                <th>İşlemler</th>
+              </tr>
+            </thead>
+            <tbody>
+              {mesajlar.map((mesaj) => (
+                <React.Fragment key={mesaj._id}>
+                  <tr>
+                    <td>{tarihMetni(mesaj.createdAt)}</td>
+                    <td>{mesaj.kanal === "email" ? "E-posta" : "SMS"}</td>
+                    <td>{mesaj.alici}</td>
+                    <td>{mesaj.konu || "-"}</td>
+                    <td>
+                      <span className={`badge ${DURUM_ROZETLERI[mesaj.durum]?.sinif}`}>
+                        {DURUM_ROZETLERI[mesaj.durum]?.etiket || mesaj.durum}
+                      </span>
+                    </td>
+                    <td>
+                      {mesaj.denemeSayisi}/{mesaj.maksDeneme}
+                      {mesaj.durum === "kuyrukta" && mesaj.denemeSayisi > 0 && (
+                        <div className="text-xs text-gray-500">
+                          Sonraki: {tarihMetni(mesaj.sonrakiDenemeZamani)}
+                        </div>
+                      )}
+                    </td>
+                    <td className="max-w-xs truncate" title={mesaj.sonHata || ""}>
+                      {mesaj.sonHata || "-"}
+                    </td>
+                    <td className="flex gap-2">
+                      <button
+                        className="btn btn-xs btn-outline"
+                        onClick={() => setAcikSatir(acikSatir === mesaj._id ? null : mesaj._id)}
+                      >
+                        Geçmiş
+                      </button>
+                      {YENIDEN_GONDERILEBILIR.includes(mesaj.durum) && (
+                        <button
+                          className="btn btn-xs btn-primary"
+                          onClick={() => {
+                            setSeciliMesaj(mesaj);
+                            setAcikModal("mesajYenidenGonderModal");
+                          }}
+                        >
+                          Yeniden Gönder
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                  {acikSatir === mesaj._id && (
+                    <tr>
+                      <td colSpan={8}>
+                        {mesaj.denemeler?.length ? (
+                          <ul className="text-sm space-y-1">
+                            {mesaj.denemeler.map((deneme, i) => (
+                              <li key={i}>
+                                <span className={deneme.basarili ? "text-success" : "text-error"}>
+                                  {deneme.basarili ? "✔" : "✖"}
+                                </span>{" "}
+                                {tarihMetni(deneme.zaman)}
+                                {deneme.hata && ` — ${deneme.hata}`}
+                              </li>
+                            ))}
+                          </ul>
+                        ) : (
+                          <span className="text-sm text-gray-500">Henüz gönderim denemesi yapılmadı.</span>
+                        )}
+                      </td>
+                    </tr>
+                  )}
+                </React.Fragment>
+              ))}
+            </tbody>
+          </table>
+          {data?.toplam > mesajlar.length && (
+            <div className="text-sm text-gray-500 mt-2">
+              Son {mesajlar.length} mesaj gösteriliyor (toplam {data.toplam}).
+            </div>
+          )}
+        </div>
+      )}
+
+      <MesajYenidenGonderModal
+        modal={acikModal}
+        setModal={setAcikModal}
+        mesaj={seciliMesaj}
+      />
+    </div>
+  );
+};
+
+export default GidenMesajlar;
@@ -1,57 +1,25 @@
 import React, { useState } from "react";
-import { useQuery } from "@tanstack/react-query";
-import api from "../../lib/axios";
 import GorevDurumGuncelleModal from "./modals/gorevler/gorevDurumGuncelleModal";
 import GorevDetayModal from "./modals/gorevler/GorevDetayModal";
 import HaritadaGorModal from "./modals/gorevler/HaritadaGorModal";
 import { toast } from "react-hot-toast";
+import { useGecikmeliDeger, useSayfaliListe } from "../../lib/listeSorgusu";
+import Sayfalama from "../../components/liste/Sayfalama";
 
 const Gorevler = () => {
   const [arama, setArama] = useState("");
   const [seciliGorev, setSeciliGorev] = useState(null);
   const [acikModal, setAcikModal] = useState(null);
   const [durumFiltre, setDurumFiltre] = useState("hepsi");
+  const [sirala, setSirala] = useState("-createdAt");
 
-  const { data: gorevler = [], isLoading } = useQuery({
-    queryKey: ["gorevler"],
-    queryFn: async () => {
-      const res = await api.get("/gorevler");
-      return res.data;
-    },
+  // Arama (talep başlığı, kurum, plaka, şoför), filtre ve sıralama sunucuda yapılır
+  const { veriler: gorevler, sayfalama, sayfa, limit, setSayfa, isLoading, isFetching } = useSayfaliListe({
+    anahtar: "gorevler",
+    url: "/gorevler",
+    params: { arama: useGecikmeliDeger(arama.trim()), durum: durumFiltre, sirala },
   });
 
-  const filtrelenmisGorevler = gorevler
-    .filter((gorev) => {
-      const talepID = gorev.talepId?._id?.toLowerCase() || "";
-      const talepAdi = gorev.talepId?.baslik?.toLowerCase() || "";
-      const kurumAdi =
-        gorev?.talepId?.talepEdenKurumFirmaId?.kurumAdi?.toLowerCase() || "";
-      const plakaListesi = gorev.aracId?.plaka?.toLowerCase() || "";
-      const koordinatAdres =
-        gorev.talepId?.lokasyon?.adres?.toLowerCase() || "";
-
-      const aranan = arama.toLowerCase();
-      const durumUygunMu =
-        durumFiltre === "hepsi" || gorev.gorevDurumu === durumFiltre;
-      return (
-        durumUygunMu &&
-        (talepID.includes(aranan) ||
-          talepAdi.includes(aranan) ||
-          kurumAdi.includes(aranan) ||
-          plakaListesi.includes(aranan) ||
-          koordinatAdres.includes(aranan))
-      );
-    })
-    .sort((a, b) => {
-      const durumSirasi = {
-        beklemede: 0,
-        başladı: 1,
-        tamamlandı: 2,
-        "iptal edildi": 3,
-      };
-      return durumSirasi[a.gorevDurumu] - durumSirasi[b.gorevDurumu];
-    });
-
   return (
     <div className="p-6">
       <h1 className="text-2xl font-bold mb-4">Görevler</h1>
@@ -70,10 +38,21 @@ const Gorevler = () => {
         >
           <option value="hepsi">Tüm Durumlar</option>
           <option value="beklemede">Beklemede</option>
+          <option value="yolda">Yolda</option>
           <option value="başladı">Başladı</option>
           <option value="tamamlandı">Tamamlandı</option>
           <option value="iptal edildi">İptal Edildi</option>
         </select>
+        <select
+          className="select select-bordered"
+          value={sirala}
+          onChange={(e) => setSirala(e.target.value)}
+        >
+          <option value="-createdAt">En yeni</option>
+          <option value="createdAt">En eski</option>
+          <option value="-baslangicZamani">Başlangıç (yeniden eskiye)</option>
+          <option value="-bitisZamani">Bitiş (yeniden eskiye)</option>
+        </select>
       </div>
 
       {isLoading ? (
@@ -94,9 +73,9 @@ const Gorevler = () => {
               </tr>
             </thead>
             <tbody>
-              {filtrelenmisGorevler.map((gorev, index) => (
+              {gorevler.map((gorev, index) => (
                 <tr key={gorev._id}>
-                  <td>{index + 1}</td>
+                  <td>{(sayfa - 1) * limit + index + 1}</td>
                   <td
                     className="flex items-center gap-2"
                     title={gorev.talepId._id}
@@ -151,6 +130,11 @@ const Gorevler = () => {
                         Tamamlandı
                       </span>
                     )}
+                    {gorev.gorevDurumu === "yolda" && (
+                      <span className="badge badge-accent gap-2 text-white">
+                        Yolda
+                      </span>
+                    )}
                     {gorev.gorevDurumu === "başladı" && (
                       <span className="badge badge-warning gap-2 ">
                         Başladı
@@ -215,6 +199,7 @@ const Gorevler = () => {
               ))}
             </tbody>
           </table>
+          <Sayfalama sayfalama={sayfalama} sayfa={sayfa} setSayfa={setSayfa} isFetching={isFetching} />
         </div>
       )}
 
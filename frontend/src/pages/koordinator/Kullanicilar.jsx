@@ -8,6 +8,10 @@ import KurumModal from "./modals/kullanicilar/KurumModal";
 import { set } from "mongoose";
 import SilOnayModal from "./modals/kullanicilar/SilOnayModal";
 import DetayModal from "./modals/kullanicilar/DetayModal";
+import OperasyonBolgesiAtamaModal from "./modals/kullanicilar/OperasyonBolgesiAtamaModal";
+import { rolEtiketi, yetkisiVar } from "../../lib/roller";
+import { useGecikmeliDeger, useSayfaliListe } from "../../lib/listeSorgusu";
+import Sayfalama from "../../components/liste/Sayfalama";
 
 const Kullanicilar = () => {
   const [seciliKullanici, setSeciliKullanici] = useState(null);
@@ -16,16 +20,26 @@ const Kullanicilar = () => {
 
   const [acikModal, setAcikModal] = useState(null);
 
+  const queryClient = useQueryClient();
+  const girisYapanKullanici = queryClient.getQueryData(["girisYapanKullanici"]);
+
+  const [kurumFiltre, setKurumFiltre] = useState("");
+  const [sirala, setSirala] = useState("-createdAt");
+
+  // Arama (ad, soyad, e-posta, telefon) ve rol / kurum filtreleri sunucuda uygulanır
   const {
-    data: kullanicilar,
+    veriler: kullanicilar,
+    sayfalama,
+    sayfa,
+    limit,
+    setSayfa,
     isLoading,
+    isFetching,
     error,
-  } = useQuery({
-    queryKey: ["kullanicilar"],
-    queryFn: async () => {
-      const res = await api.get("/kullanicilar");
-      return res.data;
-    },
+  } = useSayfaliListe({
+    anahtar: "kullanicilar",
+    url: "/kullanicilar",
+    params: { arama: useGecikmeliDeger(arama.trim()), durum: rolFiltre, kurumFirmaId: kurumFiltre, sirala },
   });
 
   const { data: kurumlar } = useQuery({
@@ -36,16 +50,6 @@ const Kullanicilar = () => {
     },
   });
 
-  const filtrelenmisKullanicilar = kullanicilar?.filter((kullanici) => {
-    const adSoyad = `${kullanici.ad} ${kullanici.soyad}`.toLowerCase();
-    const email = kullanici.email?.toLowerCase() || "";
-    const searchTerm = arama.toLowerCase();
-    const aramaUyumlu =
-      adSoyad.includes(searchTerm) || email.includes(searchTerm);
-    const rolUyumlu = rolFiltre ? kullanici.rol === rolFiltre : true;
-    return aramaUyumlu && rolUyumlu;
-  });
-
   if (isLoading) return <div className="text-center mt-10">Yükleniyor...</div>;
   if (error)
     return <div className="text-center text-red-500">Veri alınamadı!</div>;
@@ -71,9 +75,34 @@ const Kullanicilar = () => {
           <option value="">Tüm Roller</option>
           <option value="beklemede">Beklemede</option>
           <option value="koordinator">Koordinatör</option>
+          <option value="super_koordinator">Süper Koordinatör</option>
           <option value="arac_sahibi">Araç Sahibi</option>
           <option value="talep_eden">Talep Eden</option>
         </select>
+
+        <select
+          className="select select-bordered"
+          value={kurumFiltre}
+          onChange={(e) => setKurumFiltre(e.target.value)}
+        >
+          <option value="">Tüm Kurumlar</option>
+          {kurumlar?.map((kurum) => (
+            <option key={kurum._id} value={kurum._id}>
+              {kurum.kurumAdi}
+            </option>
+          ))}
+        </select>
+
+        <select
+          className="select select-bordered"
+          value={sirala}
+          onChange={(e) => setSirala(e.target.value)}
+        >
+          <option value="-createdAt">En yeni kayıt</option>
+          <option value="createdAt">En eski kayıt</option>
+          <option value="ad">Ad (A-Z)</option>
+          <option value="soyad">Soyad (A-Z)</option>
+        </select>
       </div>
 
       <div className="overflow-x-auto">
@@ -89,23 +118,22 @@ const Kullanicilar = () => {
             </tr>
           </thead>
           <tbody className="overflow-visible relative z-10">
-            {filtrelenmisKullanicilar.map((kullanici, index) => (
+            {kullanicilar.map((kullanici, index) => (
               <tr key={kullanici._id}>
-                <td>{index + 1}</td>
+                <td>{(sayfa - 1) * limit + index + 1}</td>
                 <td className="capitalize">
                   {kullanici.ad} {kullanici.soyad}
                 </td>
                 <td>{kullanici.email}</td>
                 <td className="capitalize">
-                  {kullanici.rol === "beklemede"
-                    ? "Beklemede"
-                    : kullanici.rol === "koordinator"
-                    ? "Koordinatör"
-                    : kullanici.rol === "arac_sahibi"
-                    ? "Araç Sahibi"
-                    : kullanici.rol === "talep_eden"
-                    ? "Talep Eden"
-                    : "-"}
+                  {rolEtiketi(kullanici.rol)}
+                  {kullanici.rol === "koordinator" && (
+                    <div className="text-xs text-gray-500 normal-case">
+                      {kullanici.operasyonBolgeleri?.length
+                        ? kullanici.operasyonBolgeleri.map((b) => b.ad).join(", ")
+                        : "Tüm bölgeler"}
+                    </div>
+                  )}
                 </td>
 
                 <td className="capitalize">
@@ -148,6 +176,19 @@ const Kullanicilar = () => {
                           Rol Ata
                         </button>
                       </li>
+                      {yetkisiVar(girisYapanKullanici, "kullanici.region.assign") &&
+                        kullanici.rol === "koordinator" && (
+                        <li>
+                          <button
+                            onClick={() => {
+                              setSeciliKullanici(kullanici);
+                              setAcikModal("operasyonBolgesiAtamaModal");
+                            }}
+                          >
+                            Bölge Ata
+                          </button>
+                        </li>
+                      )}
                       {kullanici.kullaniciBeyanBilgileri?.kurumFirmaTuru ===
                         "kurulus_adina" && (
                         <li>
@@ -178,6 +219,7 @@ const Kullanicilar = () => {
             ))}
           </tbody>
         </table>
+        <Sayfalama sayfalama={sayfalama} sayfa={sayfa} setSayfa={setSayfa} isFetching={isFetching} />
       </div>
 
       <DetayModal
@@ -191,6 +233,11 @@ const Kullanicilar = () => {
         modal={acikModal}
         setModal={setAcikModal}
       />
+      <OperasyonBolgesiAtamaModal
+        kullanici={seciliKullanici}
+        modal={acikModal}
+        setModal={setAcikModal}
+      />
       <KurumModal
         kullanici={seciliKullanici}
         kurumlar={kurumlar}
@@ -0,0 +1,106 @@
+import { useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
+import React, { useState } from "react";
+import { toast } from "react-hot-toast";
+import api from "../../lib/axios";
+import OperasyonBolgesiEkleDuzenleModal from "./modals/operasyonBolgeleri/OperasyonBolgesiEkleDuzenleModal";
+
+const BOLGE_TURLERI = { il: "İl", ilce: "İlçe", ozel: "Elle çizilmiş" };
+
+const OperasyonBolgeleri = () => {
+  const [acikModal, setAcikModal] = useState(null);
+  const [seciliBolge, setSeciliBolge] = useState(null);
+
+  const queryClient = useQueryClient();
+
+  const { data: bolgeler = [], isLoading } = useQuery({
+    queryKey: ["operasyonBolgeleri"],
+    queryFn: async () => {
+      const res = await api.get("/operasyon-bolgeleri");
+      return res.data;
+    },
+  });
+
+  const { mutate: sil } = useMutation({
+    mutationFn: async (id) => {
+      const res = await api.delete(`/operasyon-bolgeleri/${id}`);
+      return res.data;
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ["operasyonBolgeleri"] });
+      queryClient.invalidateQueries({ queryKey: ["kullanicilar"] });
+      toast.success("Operasyon bölgesi silindi.");
+    },
+    onError: (err) => toast.error(err?.response?.data?.error || "Bir hata oluştu"),
+  });
+
+  const modalAc = (bolge) => {
+    setSeciliBolge(bolge);
+    setAcikModal("operasyonBolgesiEkleDuzenleModal");
+  };
+
+  return (
+    <div className="p-6">
+      <div className="flex items-center justify-between mb-2">
+        <h1 className="text-2xl font-bold">Operasyon Bölgeleri</h1>
+        <button className="btn btn-primary btn-sm" onClick={() => modalAc(null)}>
+          + Yeni Bölge
+        </button>
+      </div>
+      <p className="text-sm text-gray-500 mb-4">
+        Koordinatörler Kullanıcılar sayfasından bölgelere atanır. Bölge atanmış koordinatör yalnızca
+        bölgelerindeki talepleri, görevleri ve müsait araçları görür ve bu taleplerin bildirimlerini alır.
+      </p>
+
+      {isLoading ? (
+        <div className="flex justify-center p-10">
+          <span className="loading loading-spinner loading-lg" />
+        </div>
+      ) : bolgeler.length === 0 ? (
+        <p className="text-gray-500">Tanımlı operasyon bölgesi yok; tüm koordinatörler tüm ülkeyi görür.</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="table table-zebra w-full">
+            <thead>
+              <tr>
+                <th>Ad</th>
+                <th>Tür</th>
+                <th>İl / İlçe</th>
+                <th>Koordinatörler</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {bolgeler.map((bolge) => (
+                <tr key={bolge._id}>
+                  <td>{bolge.ad}</td>
+                  <td>{BOLGE_TURLERI[bolge.tur] || bolge.tur}</td>
+                  <td>{[bolge.il, bolge.ilce].filter(Boolean).join(" / ") || "-"}</td>
+                  <td className="capitalize">
+                    {bolge.koordinatorler.length
+                      ? bolge.koordinatorler.map((k) => `${k.ad} ${k.soyad}`).join(", ")
+                      : <span className="text-warning normal-case">Atanmış koordinatör yok</span>}
+                  </td>
+                  <td className="flex gap-1 justify-end">
+                    <button className="btn btn-xs" onClick={() => modalAc(bolge)}>
+                      Düzenle
+                    </button>
+                    <button
+                      className="btn btn-xs btn-error btn-outline"
+                      onClick={() => window.confirm(`"${bolge.ad}" silinsin mi?`) && sil(bolge._id)}
+                    >
+                      Sil
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <OperasyonBolgesiEkleDuzenleModal bolge={seciliBolge} modal={acikModal} setModal={setAcikModal} />
+    </div>
+  );
+};
+
+export default OperasyonBolgeleri;
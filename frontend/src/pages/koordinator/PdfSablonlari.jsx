@@ -0,0 +1,154 @@
+import { useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
+import React, { useState } from "react";
+import { toast } from "react-hot-toast";
+import api from "../../lib/axios";
+import { PDF_ALANLARI } from "../../lib/pdfSablonu";
+import PdfSablonuEkleDuzenleModal from "./modals/pdfSablonlari/PdfSablonuEkleDuzenleModal";
+
+// Şablonun uygulandığı kapsam; görev formunda özel şablonun boş bırakılan alanları genel şablondan gelir
+const kapsamMetni = (sablon) => {
+  if (sablon.afetOlayiId && sablon.kurumFirmaId) return `${sablon.afetOlayiId.ad} · ${sablon.kurumFirmaId.kurumAdi}`;
+  if (sablon.afetOlayiId) return sablon.afetOlayiId.ad;
+  if (sablon.kurumFirmaId) return sablon.kurumFirmaId.kurumAdi;
+  return "Varsayılan";
+};
+
+const PdfSablonlari = () => {
+  const [acikModal, setAcikModal] = useState(null);
+  const [seciliSablon, setSeciliSablon] = useState(null);
+
+  const queryClient = useQueryClient();
+  const { data: sablonlar = [], isLoading } = useQuery({
+    queryKey: ["pdfSablonlari"],
+    queryFn: async () => {
+      const res = await api.get("/pdf-sablonlari");
+      return res.data;
+    },
+  });
+
+  const { mutate: sil } = useMutation({
+    mutationFn: async (id) => {
+      const res = await api.delete(`/pdf-sablonlari/${id}`);
+      return res.data;
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ["pdfSablonlari"] });
+      toast.success("Şablon silindi.");
+    },
+    onError: (err) => toast.error(err?.response?.data?.error || "Bir hata oluştu"),
+  });
+
+  const { mutate: logoSil } = useMutation({
+    mutationFn: async (id) => {
+      const res = await api.delete(`/pdf-sablonlari/${id}/logo`);
+      return res.data;
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ["pdfSablonlari"] });
+      toast.success("Logo kaldırıldı.");
+    },
+    onError: (err) => toast.error(err?.response?.data?.error || "Bir hata oluştu"),
+  });
+
+  const onizle = async (sablon) => {
+    try {
+      const res = await api.get(`/pdf-sablonlari/${sablon._id}/onizleme`, { responseType: "blob" });
+      const url = window.URL.createObjectURL(new Blob([res.data], { type: "application/pdf" }));
+      window.open(url, "_blank");
+    } catch (error) {
+      console.error("Şablon önizleme hatası:", error);
+      toast.error("Önizleme oluşturulamadı");
+    }
+  };
+
+  const modalAc = (sablon) => {
+    setSeciliSablon(sablon);
+    setAcikModal("pdfSablonuEkleDuzenleModal");
+  };
+
+  return (
+    <div className="p-6">
+      <div className="flex items-center justify-between mb-1">
+        <h1 className="text-2xl font-bold">PDF Şablonları</h1>
+        <button className="btn btn-primary btn-sm" onClick={() => modalAc(null)}>
+          + Yeni Şablon
+        </button>
+      </div>
+      <p className="text-sm text-gray-500 mb-4">
+        Görev formuna talebin afet olayı ve talep eden kurumuyla eşleşen şablonlar uygulanır. Olaya özel şablon kuruma
+        özel şablonu, o da varsayılan şablonu geçersiz kılar; boş bırakılan alanlar bir üstteki şablondan alınır.
+      </p>
+
+      {isLoading ? (
+        <div className="flex justify-center p-10">
+          <span className="loading loading-spinner loading-lg" />
+        </div>
+      ) : sablonlar.length === 0 ? (
+        <p className="text-gray-500">Kayıtlı şablon yok; görev formları varsayılan başlık ve logoyla oluşturulur.</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="table table-zebra w-full">
+            <thead>
+              <tr>
+                <th>Ad</th>
+                <th>Kapsam</th>
+                <th>Başlık</th>
+                <th>İmza</th>
+                <th>Logo</th>
+                <th>Gizlenen Alanlar</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {sablonlar.map((sablon) => {
+                const gizlenenler = Object.entries(PDF_ALANLARI).filter(([alan]) => sablon.alanlar?.[alan] === false);
+                return (
+                  <tr key={sablon._id}>
+                    <td>{sablon.ad}</td>
+                    <td>{kapsamMetni(sablon)}</td>
+                    <td>{sablon.baslik || "-"}</td>
+                    <td>
+                      {sablon.imza?.adSoyad || "-"}
+                      {sablon.imza?.unvan && <div className="text-xs text-gray-500">{sablon.imza.unvan}</div>}
+                    </td>
+                    <td>
+                      {sablon.logo?.icerikTuru ? (
+                        <button
+                          className="btn btn-xs btn-ghost"
+                          onClick={() => window.confirm("Logo kaldırılsın mı?") && logoSil(sablon._id)}
+                        >
+                          Var · Kaldır
+                        </button>
+                      ) : (
+                        "-"
+                      )}
+                    </td>
+                    <td className="text-xs">{gizlenenler.map(([, etiket]) => etiket).join(", ") || "-"}</td>
+                    <td className="flex flex-wrap gap-1 justify-end">
+                      <button className="btn btn-xs btn-outline" onClick={() => onizle(sablon)}>
+                        Önizle
+                      </button>
+                      <button className="btn btn-xs" onClick={() => modalAc(sablon)}>
+                        Düzenle
+                      </button>
+                      <button
+                        className="btn btn-xs btn-error btn-outline"
+                        onClick={() => window.confirm(`"${sablon.ad}" silinsin mi?`) && sil(sablon._id)}
+                      >
+                        Sil
+                      </button>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <PdfSablonuEkleDuzenleModal sablon={seciliSablon} modal={acikModal} setModal={setAcikModal} />
+    </div>
+  );
+};
+
+export default PdfSablonlari;
@@ -1,14 +1,17 @@
 import React, { useState } from "react";
 import { useQuery } from "@tanstack/react-query";
 import api from "../../lib/axios";
-import {
-  BarChart,
-  Bar,
-  XAxis,
-  YAxis,
-  Tooltip,
-  ResponsiveContainer,
-} from "recharts";
+import { useSeciliAfetOlayi } from "../../lib/afetOlayi";
+import { useGecikmeliDeger, useSayfaliListe } from "../../lib/listeSorgusu";
+import { raporPdfIndir, useRapor } from "../../lib/raporlar";
+import Sayfalama from "../../components/liste/Sayfalama";
+import AtamaSuresiGrafigi from "../../components/raporlar/AtamaSuresiGrafigi";
+import GorevSureleriGrafigi from "../../components/raporlar/GorevSureleriGrafigi";
+import AracKullanimiGrafigi from "../../components/raporlar/AracKullanimiGrafigi";
+import AracTuruTrendiGrafigi from "../../components/raporlar/AracTuruTrendiGrafigi";
+import IptalNedenleriGrafigi from "../../components/raporlar/IptalNedenleriGrafigi";
+import KarsilanmayanTalepGrafigi from "../../components/raporlar/KarsilanmayanTalepGrafigi";
+import DurumRaporlari from "../../components/raporlar/DurumRaporlari";
 
 const Raporlar = () => {
   const [arama, setArama] = useState("");
@@ -17,64 +20,39 @@ const Raporlar = () => {
   const [baslangicTarihi, setBaslangicTarihi] = useState("");
   const [bitisTarihi, setBitisTarihi] = useState("");
 
-  const { data: gorevler = [], isLoading } = useQuery({
-    queryKey: ["gorevler"],
+  // Görevler ve Excel çıktısı Navbar'da seçilen afet olayına göre filtrelenir
+  const { seciliOlay } = useSeciliAfetOlayi();
+
+  const [kurumFiltre, setKurumFiltre] = useState("");
+  const [pdfHazirlaniyor, setPdfHazirlaniyor] = useState(false);
+
+  // Özet kartları ve grafikler sunucuda hesaplanır; tarih aralığı kayıtların oluşturulma tarihine uygulanır
+  const raporFiltreleri = { baslangic: baslangicTarihi, bitis: bitisTarihi };
+  const { data: ozet } = useRapor("ozet", raporFiltreleri);
+
+  const { data: kurumlar = [] } = useQuery({
+    queryKey: ["kurumlar"],
     queryFn: async () => {
-      const res = await api.get("/gorevler");
+      const res = await api.get("/kurumlar");
       return res.data;
     },
   });
 
-  const filtrelenmisGorevler = gorevler
-    .filter((gorev) => {
-      const aranan = arama.toLowerCase();
-      const durumUygunMu =
-        durumFiltre === "hepsi" || gorev.gorevDurumu === durumFiltre;
-
-      const baslik = gorev.talepId?.baslik?.toLowerCase() || "";
-      const kurum =
-        gorev.talepId?.talepEdenKurumFirmaId?.kurumAdi?.toLowerCase() || "";
-
-      const baslangicZamani = gorev.baslangicZamani
-        ? new Date(gorev.baslangicZamani)
-        : null;
-
-      const baslangic = baslangicTarihi ? new Date(baslangicTarihi) : null;
-      const bitis = bitisTarihi
-        ? new Date(new Date(bitisTarihi).setHours(23, 59, 59, 999))
-        : null;
-
-      const tarihUygunMu =
-        (!baslangic || (baslangicZamani && baslangicZamani >= baslangic)) &&
-        (!bitis || (baslangicZamani && baslangicZamani <= bitis));
-
-      return (
-        durumUygunMu &&
-        tarihUygunMu &&
-        (baslik.includes(aranan) || kurum.includes(aranan))
-      );
-    })
-    .sort((a, b) => new Date(b.baslangicZamani) - new Date(a.baslangicZamani));
-
-  const toplamTalep = gorevler.length;
-  const bekleyen = gorevler.filter((g) => g.gorevDurumu === "beklemede").length;
-  const tamamlanan = gorevler.filter(
-    (g) => g.gorevDurumu === "tamamlandı"
-  ).length;
-  const iptalEdilen = gorevler.filter(
-    (g) => g.gorevDurumu === "iptal edildi"
-  ).length;
-  const devamEden = gorevler.filter((g) => g.gorevDurumu === "başladı").length;
-
-  const kurumBazliTalep = Object.values(
-    gorevler.reduce((acc, gorev) => {
-      const kurum =
-        gorev.talepId?.talepEdenKurumFirmaId?.kurumAdi || "Bilinmiyor";
-      acc[kurum] = acc[kurum] || { name: kurum, count: 0 };
-      acc[kurum].count++;
-      return acc;
-    }, {})
-  );
+  // Tablo sayfalı olarak sunucuda filtrelenir; tarih aralığı raporlarla aynı şekilde görevin oluşturulma tarihine uygulanır
+  const { veriler: filtrelenmisGorevler, sayfalama, sayfa, limit, setSayfa, isFetching } = useSayfaliListe({
+    anahtar: "gorevler",
+    url: "/gorevler",
+    params: {
+      arama: useGecikmeliDeger(arama.trim()),
+      durum: durumFiltre,
+      kurumFirmaId: kurumFiltre,
+      baslangic: baslangicTarihi,
+      bitis: bitisTarihi,
+      sirala: "-baslangicZamani",
+    },
+  });
+
+  const gorevSayisi = (...durumlar) => durumlar.reduce((toplam, durum) => toplam + (ozet?.gorev.durumlar[durum] || 0), 0);
 
   const handleExcelDownload = async () => {
     try {
@@ -85,7 +63,10 @@ const Raporlar = () => {
       const url = window.URL.createObjectURL(new Blob([response.data]));
       const link = document.createElement("a");
       link.href = url;
-      link.setAttribute("download", "gorev-raporu.xlsx");
+      link.setAttribute(
+        "download",
+        seciliOlay ? `gorev-raporu-${seciliOlay.ad}.xlsx` : "gorev-raporu.xlsx"
+      );
       document.body.appendChild(link);
       link.click();
       link.remove();
@@ -95,49 +76,114 @@ const Raporlar = () => {
     }
   };
 
+  // Dönem seçilmezse sunucu son 24 saati raporlar
+  const handleDurumRaporuIndir = async () => {
+    setPdfHazirlaniyor(true);
+    try {
+      await raporPdfIndir("durum-raporu", "durum-raporu.pdf", raporFiltreleri);
+    } catch (error) {
+      console.error("Durum raporu indirme hatası:", error);
+      alert("Durum raporu oluşturulamadı.");
+    } finally {
+      setPdfHazirlaniyor(false);
+    }
+  };
+
   return (
     <div className="p-6">
-      <h1 className="text-2xl font-bold mb-4">Raporlama</h1>
+      <h1 className="text-2xl font-bold mb-1">Raporlama</h1>
+      <p className="text-sm text-gray-500 mb-4">
+        {seciliOlay
+          ? `Afet olayı: ${seciliOlay.ad}${seciliOlay.durum === "kapandi" ? " (kapandı)" : ""}`
+          : "Tüm afet olayları"}
+      </p>
+
+      <div className="flex flex-wrap items-center gap-2 mb-4">
+        <span className="text-sm text-gray-500">Rapor dönemi:</span>
+        <input
+          type="date"
+          className="input input-bordered input-sm"
+          value={baslangicTarihi}
+          onChange={(e) => setBaslangicTarihi(e.target.value)}
+        />
+        <span>-</span>
+        <input
+          type="date"
+          className="input input-bordered input-sm"
+          value={bitisTarihi}
+          onChange={(e) => setBitisTarihi(e.target.value)}
+        />
+        {(baslangicTarihi || bitisTarihi) && (
+          <button
+            className="btn btn-ghost btn-sm"
+            onClick={() => {
+              setBaslangicTarihi("");
+              setBitisTarihi("");
+            }}
+          >
+            Temizle
+          </button>
+        )}
+      </div>
 
       <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-5 gap-4 mb-6">
         <div className="stats shadow">
           <div className="stat">
             <div className="stat-title">Toplam Talep</div>
-            <div className="stat-value">{toplamTalep}</div>
+            <div className="stat-value">{ozet?.talep.toplam ?? "-"}</div>
           </div>
         </div>
         <div className="stats shadow">
           <div className="stat">
             <div className="stat-title">Bekleyen Görevler</div>
-            <div className="stat-value">{bekleyen}</div>
+            <div className="stat-value">{gorevSayisi("beklemede")}</div>
           </div>
         </div>
         <div className="stats shadow">
           <div className="stat">
             <div className="stat-title">Devam Edenler</div>
-            <div className="stat-value">{devamEden}</div>
+            <div className="stat-value">{gorevSayisi("yolda", "başladı")}</div>
           </div>
         </div>
         <div className="stats shadow">
           <div className="stat">
             <div className="stat-title">Tamamlanan Görevler</div>
-            <div className="stat-value">{tamamlanan}</div>
+            <div className="stat-value">{gorevSayisi("tamamlandı")}</div>
           </div>
         </div>
         <div className="stats shadow">
           <div className="stat">
             <div className="stat-title">İptal Edilenler</div>
-            <div className="stat-value">{iptalEdilen}</div>
+            <div className="stat-value">{gorevSayisi("iptal edildi")}</div>
           </div>
         </div>
       </div>
 
-      <button
-        onClick={handleExcelDownload}
-        className="btn btn-outline btn-success mb-4"
-      >
-        📥 Excel Olarak İndir
-      </button>
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-4 mb-8">
+        <AtamaSuresiGrafigi filtreler={raporFiltreleri} />
+        <GorevSureleriGrafigi filtreler={raporFiltreleri} />
+        <AracKullanimiGrafigi filtreler={raporFiltreleri} />
+        <AracTuruTrendiGrafigi filtreler={raporFiltreleri} />
+        <IptalNedenleriGrafigi filtreler={raporFiltreleri} />
+        <KarsilanmayanTalepGrafigi filtreler={raporFiltreleri} />
+        <DurumRaporlari />
+      </div>
+
+      <div className="flex flex-wrap gap-2 mb-4">
+        <button
+          onClick={handleExcelDownload}
+          className="btn btn-outline btn-success"
+        >
+          📥 Excel Olarak İndir
+        </button>
+        <button
+          onClick={handleDurumRaporuIndir}
+          className="btn btn-outline btn-primary"
+          disabled={pdfHazirlaniyor}
+        >
+          {pdfHazirlaniyor ? "Hazırlanıyor..." : "📄 Durum Raporu (PDF)"}
+        </button>
+      </div>
 
       <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4 mb-6">
         <input
@@ -158,18 +204,18 @@ const Raporlar = () => {
           <option value="tamamlandı">Tamamlandı</option>
           <option value="iptal edildi">İptal Edildi</option>
         </select>
-        <input
-          type="date"
-          className="input input-bordered"
-          value={baslangicTarihi}
-          onChange={(e) => setBaslangicTarihi(e.target.value)}
-        />
-        <input
-          type="date"
-          className="input input-bordered"
-          value={bitisTarihi}
-          onChange={(e) => setBitisTarihi(e.target.value)}
-        />
+        <select
+          className="select select-bordered"
+          value={kurumFiltre}
+          onChange={(e) => setKurumFiltre(e.target.value)}
+        >
+          <option value="">Tüm Kurumlar</option>
+          {kurumlar.map((kurum) => (
+            <option key={kurum._id} value={kurum._id}>
+              {kurum.kurumAdi}
+            </option>
+          ))}
+        </select>
       </div>
 
       <div className="overflow-x-auto mb-8">
@@ -180,6 +226,7 @@ const Raporlar = () => {
               <th>Talep Başlığı</th>
               <th>Talep Eden Kurum</th>
               <th>Araç</th>
+              <th>Afet Olayı</th>
               <th>Durum</th>
               <th>Başlangıç</th>
               <th>Bitiş</th>
@@ -188,7 +235,7 @@ const Raporlar = () => {
           <tbody>
             {filtrelenmisGorevler.map((gorev, index) => (
               <tr key={gorev._id}>
-                <td>{index + 1}</td>
+                <td>{(sayfa - 1) * limit + index + 1}</td>
                 <td className="capitalize">{gorev.talepId?.baslik}</td>
                 <td className="capitalize">
                   {gorev.talepId?.talepEdenKurumFirmaId?.kurumAdi || "-"}
@@ -203,6 +250,7 @@ const Raporlar = () => {
                     </span>
                   )}
                 </td>
+                <td>{gorev.afetOlayiId?.ad || "-"}</td>
                 <td className="capitalize">{gorev.gorevDurumu}</td>
                 <td>
                   {gorev.baslangicZamani
@@ -218,24 +266,7 @@ const Raporlar = () => {
             ))}
           </tbody>
         </table>
-      </div>
-
-      <div className="bg-base-100 p-4 shadow rounded">
-        <h2 className="text-lg font-semibold mb-4">
-          Kurum Bazlı Talep Sayıları
-        </h2>
-        <ResponsiveContainer width="100%" height={300}>
-          <BarChart
-            data={kurumBazliTalep}
-            layout="vertical"
-            margin={{ left: 50 }}
-          >
-            <XAxis type="number" />
-            <YAxis dataKey="name" type="category" />
-            <Tooltip />
-            <Bar dataKey="count" fill="#3b82f6" />
-          </BarChart>
-        </ResponsiveContainer>
+        <Sayfalama sayfalama={sayfalama} sayfa={sayfa} setSayfa={setSayfa} isFetching={isFetching} />
       </div>
     </div>
   );
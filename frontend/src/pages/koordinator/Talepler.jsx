@@ -1,65 +1,46 @@
 import { useState } from "react";
-import { useQuery } from "@tanstack/react-query";
-import api from "../../lib/axios";
+import { useGecikmeliDeger, useSayfaliListe } from "../../lib/listeSorgusu";
+import Sayfalama from "../../components/liste/Sayfalama";
 
 import React from "react";
 import TalepDetayModal from "./modals/talepler/TalepDetayModal";
 import TalepIptalModal from "./modals/talepler/TalepIptalModal";
 import TalepGorevlendirModal from "./modals/talepler/TalepGorevlendirModal";
+import TalepOnerilerModal from "./modals/talepler/TalepOnerilerModal";
+import HaritaTalepler from "../../components/maps/HaritaTalepler";
 import { toast } from "react-hot-toast";
+import {
+  ONCELIK_SEVIYELERI,
+  TALEP_KATEGORILERI,
+  kategoriEtiketi,
+  oncelikRozetSinifi,
+} from "../../lib/talepTriyaj";
 
 const Talepler = () => {
   const [arama, setArama] = useState("");
   const [seciliTalep, setSeciliTalep] = useState(null);
   const [acikModal, setAcikModal] = useState(null);
+  // Varsayılan sıralama sunucuda hesaplanan triyaj skorudur
+  const [sirala, setSirala] = useState("triyaj");
+  const [oncelikFiltresi, setOncelikFiltresi] = useState("");
+  const [kategoriFiltresi, setKategoriFiltresi] = useState("");
+  const [haritaAcik, setHaritaAcik] = useState(false);
 
-  const { data: talepler = [], isLoading } = useQuery({
-    queryKey: ["talepler"],
-    queryFn: async () => {
-      const res = await api.get("/talepler");
-      return res.data;
-    },
-  });
+  const [durumFiltresi, setDurumFiltresi] = useState("");
 
-  const { data: musaitAraclar = [], isLoadingMusaitAraclar } = useQuery({
-    queryKey: ["musaitAraclar"],
-    queryFn: async () => {
-      const res = await api.get("/araclar/musaitaraclar");
-      return res.data.musaitAraclar;
+  // Arama (başlık, açıklama, adres, kurum, talep eden), filtre ve sıralama sunucuda yapılır
+  const { veriler: talepler, sayfalama, sayfa, setSayfa, isLoading, isFetching } = useSayfaliListe({
+    anahtar: "talepler",
+    url: "/talepler",
+    params: {
+      sirala,
+      arama: useGecikmeliDeger(arama.trim()),
+      durum: durumFiltresi,
+      oncelik: oncelikFiltresi,
+      kategori: kategoriFiltresi,
     },
   });
 
-  const filtrelenmisTalepler = talepler
-    .filter((talep) => {
-      const talepID = talep._id?.toLowerCase() || "";
-      const baslik = talep.baslik?.toLowerCase() || "";
-      const aciklama = talep.aciklama?.toLowerCase() || "";
-      const adres = talep.lokasyon?.adres?.toLowerCase() || "";
-      const kurum = talep.talepEdenKurumFirmaId?.kurumAdi?.toLowerCase() || "";
-      const kullaniciAdSoyad = `${talep.talepEdenKullaniciId?.ad || ""} ${
-        talep.talepEdenKullaniciId?.soyad || ""
-      }`.toLowerCase();
-
-      const aranan = arama.toLowerCase();
-      return (
-        talepID.includes(aranan) ||
-        baslik.includes(aranan) ||
-        aciklama.includes(aranan) ||
-        adres.includes(aranan) ||
-        kurum.includes(aranan) ||
-        kullaniciAdSoyad.includes(aranan)
-      );
-    })
-    .sort((a, b) => {
-      const oncelik = {
-        beklemede: 0,
-        gorevlendirildi: 1,
-        tamamlandı: 2,
-        "iptal edildi": 3,
-      };
-      return (oncelik[a.durum] ?? 99) - (oncelik[b.durum] ?? 99);
-    });
-
   // Araç türlerini ve sayılarını özet olarak göstermek için yardımcı fonksiyon
   const aracOzetiGetir = (talep) => {
     // Eski veri yapısı ile uyumluluk kontrolü
@@ -79,10 +60,28 @@ const Talepler = () => {
     return `${talep.araclar.length} türde ${toplamArac} araç`;
   };
 
+  // Araç türü bazında henüz görevlendirilmemiş (kalan) araç sayıları
+  const kalanAraclariGetir = (talep) => {
+    const karsilanma = talep.karsilanma?.length
+      ? talep.karsilanma
+      : (talep.araclar || []).map((arac) => ({
+          aracTuru: arac.aracTuru,
+          talepEdilen: arac.aracSayisi,
+          atanan: 0,
+        }));
+
+    return karsilanma.map((k) => ({
+      aracTuru: k.aracTuru,
+      atanan: k.atanan,
+      talepEdilen: k.talepEdilen,
+      kalan: Math.max(k.talepEdilen - k.atanan, 0),
+    }));
+  };
+
   return (
     <div className="p-6">
       <h1 className="text-2xl font-bold mb-4">Talepler</h1>
-      <div className="flex justify-between items-center mb-4">
+      <div className="flex flex-wrap gap-2 items-center mb-4">
         <input
           type="text"
           placeholder="Talep ara..."
@@ -90,8 +89,70 @@ const Talepler = () => {
           value={arama}
           onChange={(e) => setArama(e.target.value)}
         />
+        <select
+          className="select select-bordered"
+          value={durumFiltresi}
+          onChange={(e) => setDurumFiltresi(e.target.value)}
+        >
+          <option value="">Tüm durumlar</option>
+          <option value="beklemede">Beklemede</option>
+          <option value="kismen gorevlendirildi">Kısmen Görevlendirildi</option>
+          <option value="gorevlendirildi">Görevlendirildi</option>
+          <option value="tamamlandı">Tamamlandı</option>
+          <option value="iptal edildi">İptal Edildi</option>
+        </select>
+        <select
+          className="select select-bordered"
+          value={oncelikFiltresi}
+          onChange={(e) => setOncelikFiltresi(e.target.value)}
+        >
+          <option value="">Tüm öncelikler</option>
+          {ONCELIK_SEVIYELERI.map((oncelik) => (
+            <option key={oncelik} value={oncelik} className="capitalize">
+              {oncelik}
+            </option>
+          ))}
+        </select>
+        <select
+          className="select select-bordered"
+          value={kategoriFiltresi}
+          onChange={(e) => setKategoriFiltresi(e.target.value)}
+        >
+          <option value="">Tüm kategoriler</option>
+          {Object.entries(TALEP_KATEGORILERI).map(([kod, ad]) => (
+            <option key={kod} value={kod}>
+              {ad}
+            </option>
+          ))}
+        </select>
+        <select
+          className="select select-bordered ml-auto"
+          value={sirala}
+          onChange={(e) => setSirala(e.target.value)}
+        >
+          <option value="triyaj">Triyaj skoruna göre</option>
+          <option value="yeni">En yeni önce</option>
+          <option value="eski">En eski önce</option>
+        </select>
+        <button
+          className={`btn ${haritaAcik ? "btn-active" : "btn-outline"}`}
+          onClick={() => setHaritaAcik(!haritaAcik)}
+        >
+          🗺️ Harita
+        </button>
       </div>
 
+      {haritaAcik && (
+        <div className="mb-4">
+          <HaritaTalepler
+            onTalepSec={(talep) => {
+              setSeciliTalep(talep);
+              setAcikModal("talepDetayModal");
+            }}
+          />
+        </div>
+      )}
+
       {isLoading ? (
         <div>Yükleniyor...</div>
       ) : (
@@ -100,9 +161,12 @@ const Talepler = () => {
             <thead>
               <tr>
                 <th>Talep ID</th>
+                <th>Triyaj</th>
+                <th>Öncelik</th>
                 <th>Başlık</th>
                 <th>Açıklama</th>
                 <th>Araçlar</th>
+                <th>Kalan</th>
                 <th>Lokasyon</th>
                 <th>Durum</th>
                 <th>Talep Eden</th>
@@ -110,7 +174,7 @@ const Talepler = () => {
               </tr>
             </thead>
             <tbody>
-              {filtrelenmisTalepler.map((talep, index) => (
+              {talepler.map((talep) => (
                 <tr key={talep._id}>
                   <td className="flex items-center gap-2" title={talep._id}>
                     <span>{`${talep._id.slice(0, 4)}...${talep._id.slice(
@@ -127,15 +191,66 @@ const Talepler = () => {
                       📋
                     </button>
                   </td>
-                  <td className="capitalize">{talep.baslik}</td>
+                  <td>
+                    <span
+                      className="font-semibold"
+                      title={
+                        talep.eskalasyon?.seviye
+                          ? `${talep.eskalasyon.seviye} kez otomatik yükseltildi`
+                          : undefined
+                      }
+                    >
+                      {talep.triyajSkoru ?? 0}
+                      {talep.eskalasyon?.seviye > 0 && " ⏫"}
+                    </span>
+                  </td>
+                  <td>
+                    <span className={`badge capitalize ${oncelikRozetSinifi(talep.oncelik)}`}>
+                      {talep.oncelik || "normal"}
+                    </span>
+                  </td>
+                  <td className="capitalize">
+                    <div>{talep.baslik}</div>
+                    {talep.kategoriler?.length > 0 && (
+                      <div className="flex flex-wrap gap-1 mt-1">
+                        {talep.kategoriler.map((kategori) => (
+                          <span key={kategori} className="badge badge-xs badge-outline">
+                            {kategoriEtiketi(kategori)}
+                          </span>
+                        ))}
+                      </div>
+                    )}
+                    {talep.etkilenenKisiSayisi > 0 && (
+                      <div className="text-xs text-gray-500 normal-case">
+                        {talep.etkilenenKisiSayisi} kişi etkilendi
+                      </div>
+                    )}
+                  </td>
                   <td className="capitalize">{talep.aciklama}</td>
                   <td className="capitalize">{aracOzetiGetir(talep)}</td>
+                  <td className="capitalize">
+                    <div className="flex flex-wrap gap-1">
+                      {kalanAraclariGetir(talep).map((k) => (
+                        <span
+                          key={k.aracTuru}
+                          className={`badge badge-sm ${
+                            k.kalan === 0 ? "badge-success" : "badge-outline"
+                          }`}
+                          title={`${k.atanan} / ${k.talepEdilen} görevlendirildi`}
+                        >
+                          {k.aracTuru}: {k.kalan}
+                        </span>
+                      ))}
+                    </div>
+                  </td>
                   <td className="capitalize">{talep.lokasyon?.adres}</td>
                  <td className="capitalize">
   <span
     className={`badge ${
       talep.durum === "beklemede"
         ? "badge badge-info gap-2"
+        : talep.durum === "kismen gorevlendirildi"
+        ? "badge badge-accent gap-2"
         : talep.durum === "gorevlendirildi"
         ? "badge badge-warning gap-2"
         : talep.durum === "tamamlandı"
@@ -186,6 +301,17 @@ const Talepler = () => {
                           </button>
                         </li>
 
+                        <li>
+                          <button
+                            onClick={() => {
+                              setSeciliTalep(talep);
+                              setAcikModal("talepOnerilerModal");
+                            }}
+                          >
+                            Önerileri Gör
+                          </button>
+                        </li>
+
                         <li>
                           <button
                             onClick={() => {
@@ -205,6 +331,7 @@ const Talepler = () => {
               ))}
             </tbody>
           </table>
+          <Sayfalama sayfalama={sayfalama} sayfa={sayfa} setSayfa={setSayfa} isFetching={isFetching} />
         </div>
       )}
 
@@ -222,7 +349,11 @@ const Talepler = () => {
         modal={acikModal}
         setModal={setAcikModal}
         talep={seciliTalep}
-        araclar={musaitAraclar}
+      />
+      <TalepOnerilerModal
+        modal={acikModal}
+        setModal={setAcikModal}
+        talep={seciliTalep}
       />
     </div>
   );
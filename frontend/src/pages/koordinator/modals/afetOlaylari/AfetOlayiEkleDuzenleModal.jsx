@@ -0,0 +1,182 @@
+import { useMutation, useQueryClient } from "@tanstack/react-query";
+import React, { useEffect, useState } from "react";
+import api from "../../../../lib/axios";
+import { toast } from "react-hot-toast";
+import { AFET_TURLERI } from "../../../../lib/afetOlayi";
+import HaritaBolgeCizici from "../../../../components/maps/HaritaBolgeCizici";
+
+const bosForm = {
+  ad: "",
+  tur: "deprem",
+  aciklama: "",
+  baslangicTarihi: "",
+  bitisTarihi: "",
+  durum: "aktif",
+  etkilenenBolge: null,
+};
+
+// <input type="datetime-local"> yerel saat bekler
+const yerelTarih = (tarih) => {
+  if (!tarih) return "";
+  const t = new Date(tarih);
+  return new Date(t.getTime() - t.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+
+const AfetOlayiEkleDuzenleModal = ({ olay, modal, setModal }) => {
+  const [form, setForm] = useState(bosForm);
+  const queryClient = useQueryClient();
+  const duzenleme = !!olay;
+
+  const { mutate: kaydet, isPending } = useMutation({
+    mutationFn: async () => {
+      const govde = {
+        ...form,
+        baslangicTarihi: form.baslangicTarihi ? new Date(form.baslangicTarihi) : null,
+        bitisTarihi: form.bitisTarihi ? new Date(form.bitisTarihi) : null,
+      };
+      const res = duzenleme
+        ? await api.put(`/afet-olaylari/${olay._id}`, govde)
+        : await api.post("/afet-olaylari", govde);
+      return res.data;
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ["afetOlaylari"] });
+      document.getElementById("afetOlayiEkleDuzenleModal")?.close();
+      toast.success(duzenleme ? "Afet olayı güncellendi." : "Afet olayı oluşturuldu.");
+      setModal(null);
+    },
+    onError: (err) => {
+      const message = err?.response?.data?.error || "Bir hata oluştu";
+      toast.error(message);
+    },
+  });
+
+  useEffect(() => {
+    const modalEl = document.getElementById("afetOlayiEkleDuzenleModal");
+    const handleClose = () => setModal(null);
+    modalEl?.addEventListener("close", handleClose);
+
+    if (modal === "afetOlayiEkleDuzenleModal" && modalEl) {
+      setForm(
+        olay
+          ? {
+              ad: olay.ad,
+              tur: olay.tur,
+              aciklama: olay.aciklama || "",
+              baslangicTarihi: yerelTarih(olay.baslangicTarihi),
+              bitisTarihi: yerelTarih(olay.bitisTarihi),
+              durum: olay.durum,
+              etkilenenBolge: olay.etkilenenBolge?.coordinates?.length ? olay.etkilenenBolge : null,
+            }
+          : { ...bosForm, baslangicTarihi: yerelTarih(new Date()) }
+      );
+      modalEl.showModal();
+      return () => {
+        modalEl.removeEventListener("close", handleClose);
+      };
+    } else if (modalEl?.open) {
+      modalEl.close();
+    }
+  }, [modal, olay, setModal]);
+
+  const alanGuncelle = (alan) => (e) => setForm({ ...form, [alan]: e.target.value });
+
+  // Bölge çizimine başlanmışsa en az üç köşe gerekir
+  const bolgeEksik = form.etkilenenBolge && form.etkilenenBolge.coordinates[0].length < 4;
+
+  return (
+    <dialog id="afetOlayiEkleDuzenleModal" className="modal">
+      <div className="modal-box max-w-3xl">
+        <h3 className="font-bold text-lg mb-4">
+          {duzenleme ? "Afet Olayını Düzenle" : "Yeni Afet Olayı"}
+        </h3>
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+          <label className="form-control w-full">
+            <span className="label-text mb-1">Ad</span>
+            <input
+              type="text"
+              className="input input-bordered w-full"
+              value={form.ad}
+              onChange={alanGuncelle("ad")}
+            />
+          </label>
+          <label className="form-control w-full">
+            <span className="label-text mb-1">Tür</span>
+            <select className="select select-bordered w-full" value={form.tur} onChange={alanGuncelle("tur")}>
+              {Object.entries(AFET_TURLERI).map(([deger, etiket]) => (
+                <option key={deger} value={deger}>
+                  {etiket}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label className="form-control w-full">
+            <span className="label-text mb-1">Başlangıç</span>
+            <input
+              type="datetime-local"
+              className="input input-bordered w-full"
+              value={form.baslangicTarihi}
+              onChange={alanGuncelle("baslangicTarihi")}
+            />
+          </label>
+          <label className="form-control w-full">
+            <span className="label-text mb-1">Bitiş</span>
+            <input
+              type="datetime-local"
+              className="input input-bordered w-full"
+              value={form.bitisTarihi}
+              onChange={alanGuncelle("bitisTarihi")}
+            />
+          </label>
+          {duzenleme && (
+            <label className="form-control w-full">
+              <span className="label-text mb-1">Durum</span>
+              <select className="select select-bordered w-full" value={form.durum} onChange={alanGuncelle("durum")}>
+                <option value="aktif">Aktif</option>
+                <option value="kapandi">Kapandı</option>
+              </select>
+            </label>
+          )}
+          <label className="form-control w-full md:col-span-2">
+            <span className="label-text mb-1">Açıklama</span>
+            <textarea
+              className="textarea textarea-bordered w-full"
+              rows={2}
+              value={form.aciklama}
+              onChange={alanGuncelle("aciklama")}
+            />
+          </label>
+        </div>
+
+        <div className="mt-4">
+          <span className="label-text">Etkilenen Bölge</span>
+          <p className="text-xs text-gray-500 mb-2">
+            Bölge içinde oluşturulan talepler olay seçilmese de bu olaya bağlanır.
+          </p>
+          {modal === "afetOlayiEkleDuzenleModal" && (
+            <HaritaBolgeCizici
+              bolge={form.etkilenenBolge}
+              setBolge={(etkilenenBolge) => setForm((f) => ({ ...f, etkilenenBolge }))}
+            />
+          )}
+        </div>
+
+        <div className="modal-action">
+          <button className="btn" onClick={() => setModal(null)} disabled={isPending}>
+            Vazgeç
+          </button>
+          <button
+            className="btn btn-primary"
+            onClick={() => kaydet()}
+            disabled={isPending || !form.ad.trim() || !form.baslangicTarihi || bolgeEksik}
+          >
+            {isPending ? "Kaydediliyor..." : "Kaydet"}
+          </button>
+        </div>
+      </div>
+    </dialog>
+  );
+};
+
+export default AfetOlayiEkleDuzenleModal;
@@ -36,6 +36,12 @@ const AracDetay = ({ arac, modal, setModal }) => {
         <div className="font-semibold">🚗 Araç Türü:</div>
         <div>{arac.aracTuru}</div>
 
+        <div className="font-semibold">🏷️ Marka / Model:</div>
+        <div>{[arac.marka, arac.model].filter(Boolean).join(" ") || "Belirtilmemiş"}</div>
+
+        <div className="font-semibold">📑 Araç Sınıfı:</div>
+        <div>{arac.aracSinifi || "Belirtilmemiş"}</div>
+
         <div className="font-semibold">🎯 Kullanım Amacı:</div>
         <div>{arac.kullanimAmaci === "yolcu" ? "Yolcu Taşıma" : "Yük Taşıma"}</div>
 
@@ -0,0 +1,87 @@
+import { useMutation, useQueryClient } from "@tanstack/react-query";
+import React, { useEffect, useState } from "react";
+import api from "../../../../lib/axios";
+import { toast } from "react-hot-toast";
+
+const MesajYenidenGonderModal = ({ mesaj, modal, setModal }) => {
+  const [alici, setAlici] = useState("");
+
+  const queryClient = useQueryClient();
+
+  const { mutate: yenidenGonder, isPending } = useMutation({
+    mutationFn: async () => {
+      const res = await api.post(`/giden-mesajlar/${mesaj._id}/yeniden-gonder`, {
+        ...(alici.trim() && alici.trim() !== mesaj.alici && { alici: alici.trim() }),
+      });
+      return res.data;
+    },
+    onSuccess: (data) => {
+      queryClient.invalidateQueries({ queryKey: ["gidenMesajlar"] });
+      document.getElementById("mesajYenidenGonderModal")?.close();
+      toast.success(data.message || "Mesaj yeniden kuyruğa alındı.");
+      setModal(null);
+    },
+    onError: (err) => {
+      const message = err?.response?.data?.error || "Bir hata oluştu";
+      toast.error(message);
+    },
+  });
+
+  useEffect(() => {
+    const modalEl = document.getElementById("mesajYenidenGonderModal");
+    const handleClose = () => setModal(null);
+    modalEl?.addEventListener("close", handleClose);
+
+    if (modal === "mesajYenidenGonderModal" && modalEl) {
+      setAlici(mesaj?.alici || "");
+      modalEl.showModal();
+      return () => {
+        modalEl.removeEventListener("close", handleClose);
+      };
+    } else if (modalEl?.open) {
+      modalEl.close();
+    }
+  }, [modal, mesaj, setModal]);
+
+  return (
+    <dialog id="mesajYenidenGonderModal" className="modal">
+      <div className="modal-box">
+        <h3 className="font-bold text-lg mb-2">Mesajı Yeniden Gönder</h3>
+        {mesaj && (
+          <div className="space-y-3">
+            <p className="text-sm">
+              <strong>{mesaj.kanal === "email" ? "E-posta" : "SMS"}</strong> — {mesaj.konu || "-"}
+            </p>
+            {mesaj.sonHata && (
+              <div className="alert alert-error text-sm py-2">{mesaj.sonHata}</div>
+            )}
+            <label className="form-control w-full">
+              <span className="label-text mb-1">
+                Alıcı {mesaj.durum === "geri_dondu" && "(geri dönen adresi düzeltebilirsiniz)"}
+              </span>
+              <input
+                type="text"
+                className="input input-bordered w-full"
+                value={alici}
+                onChange={(e) => setAlici(e.target.value)}
+              />
+            </label>
+            <p className="text-xs text-gray-500">
+              Deneme sayacı sıfırlanır ve mesaj tekrar gönderim kuyruğuna alınır.
+            </p>
+          </div>
+        )}
+        <div className="modal-action">
+          <button className="btn" onClick={() => setModal(null)} disabled={isPending}>
+            Vazgeç
+          </button>
+          <button className="btn btn-primary" onClick={() => yenidenGonder()} disabled={isPending || !alici.trim()}>
+            {isPending ? "Gönderiliyor..." : "Yeniden Gönder"}
+          </button>
+        </div>
+      </div>
+    </dialog>
+  );
+};
+
+export default MesajYenidenGonderModal;
@@ -1,6 +1,8 @@
 import React, { useEffect, useState } from "react";
 import HaritaAraclarKonum from "../../../../components/maps/HaritaAraclarKonum";
 import api from "../../../../lib/axios";
+import GorevDurumGecmisi from "../../../../components/gorevler/GorevDurumGecmisi";
+import TeslimKaniti from "../../../../components/gorevler/TeslimKaniti";
 
 const GorevDetayModal = ({ gorev, modal, setModal }) => {
   const [mesafeVerileri, setMesafeVerileri] = useState([]);
@@ -24,7 +26,7 @@ const GorevDetayModal = ({ gorev, modal, setModal }) => {
     const fetchMesafe = async () => {
       if (!gorev?.hedefKonumu || !gorev?.aracId?.konum) return;
 
-      const aracKonum = gorev.aracId.konum;
+      const aracKonum = { ...gorev.aracId.konum, aracTuru: gorev.aracId.aracTuru };
 
       try {
         const res = await api.post("/gorevler/mesafe-ve-sure", {
@@ -194,6 +196,14 @@ const GorevDetayModal = ({ gorev, modal, setModal }) => {
                           <strong>{mesafe.mesafeText}</strong>
                         </span>
                       </div>
+                      {mesafe.saglayici && (
+                        <span
+                          className={`badge badge-sm ${mesafe.saglayici === "cevrimdisi" ? "badge-warning" : "badge-ghost"}`}
+                          title="Mesafe / süreyi hesaplayan sağlayıcı"
+                        >
+                          {mesafe.saglayici === "cevrimdisi" ? "çevrimdışı tahmin" : mesafe.saglayici}
+                        </span>
+                      )}
                     </div>
                   )}
                   
@@ -211,6 +221,24 @@ const GorevDetayModal = ({ gorev, modal, setModal }) => {
           </div>
         </div>
 
+        {/* Durum Geçmişi */}
+        <div className="mt-6">
+          <h4 className="text-md font-bold text-gray-800 mb-2 border-b pb-1">
+            Durum Geçmişi
+          </h4>
+          {modal === "gorevDetayModal" && <GorevDurumGecmisi gorevId={gorev?._id} />}
+        </div>
+
+        {/* Teslim Kanıtı */}
+        {gorev?.gorevDurumu === "tamamlandı" && (
+          <div className="mt-6">
+            <h4 className="text-md font-bold text-gray-800 mb-2 border-b pb-1">
+              Teslim Kanıtı
+            </h4>
+            {modal === "gorevDetayModal" && <TeslimKaniti gorevId={gorev?._id} />}
+          </div>
+        )}
+
         {/* Harita */}
         <div className="mt-6">
           <h4 className="text-md font-bold text-gray-800 mb-2 border-b pb-1">
@@ -219,6 +247,8 @@ const GorevDetayModal = ({ gorev, modal, setModal }) => {
           <HaritaAraclarKonum
             key={gorev?._id}
             hedefKonum={gorev?.hedefKonumu}
+            gorevId={gorev?._id}
+            canliTakip={["yolda", "başladı"].includes(gorev?.gorevDurumu)}
             arac={{
               aracId: gorev?.aracId,
               sofor: gorev?.sofor,
@@ -1,31 +1,75 @@
-import { useMutation, useQueryClient } from "@tanstack/react-query";
+import { useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
 import React, { useEffect, useState } from "react";
 import api from "../../../../lib/axios";
 import { toast } from "react-hot-toast";
+import ImzaAlani from "../../../../components/gorevler/ImzaAlani";
+import { TESLIM_KANITI_ALANLARI, teslimDosyasiUrl } from "../../../../lib/teslimKaniti";
+
+const bosTeslim = { teslimAlan: "", teslimMiktari: "", miktarBirimi: "" };
 
 const GorevDurumGuncelleModal = ({ gorev, modal, setModal }) => {
-  const [gorevDurum, setGorevDurum] = useState();
+  const [gorevDurum, setGorevDurum] = useState("");
+  const [nedenKodu, setNedenKodu] = useState("");
+  const [not, setNot] = useState("");
+  const [konum, setKonum] = useState(null);
+  // Teslim kanıtı: fotoğraflar seçildiği anda yüklenir, imza ve diğer alanlar görev tamamlanırken gönderilir
+  const [teslim, setTeslim] = useState(bosTeslim);
+  const [imza, setImza] = useState(null);
+  const [fotograflar, setFotograflar] = useState([]);
+  const [fotografYukleniyor, setFotografYukleniyor] = useState(false);
 
   const queryClient = useQueryClient();
-  const rol = queryClient.getQueryData(["girisYapanKullanici"])?.rol;
 
-  const rolBazliDurumlar = {
-    koordinator: ["beklemede", "başladı", "tamamlandı", "iptal edildi"],
-    talep_eden: [], // Seçim yaptırmayacağız, direkt "tamamlandı"
-    arac_sahibi: ["beklemede", "başladı"],
-  };
+  // Rolün bu görevde yapabileceği geçişler ve iptal neden kodları sunucudan alınır
+  const { data: secenekler, isLoading: seceneklerYukleniyor } = useQuery({
+    queryKey: ["gorevDurumSecenekleri", gorev?._id],
+    queryFn: async () => {
+      const res = await api.get(`/gorevler/${gorev._id}/durum-secenekleri`);
+      return res.data;
+    },
+    enabled: modal === "gorevDurumGuncelleModal" && !!gorev?._id,
+  });
+
+  const durumSecenekleri = secenekler?.gecisler || [];
+  const iptalNedenleri = secenekler?.iptalNedenleri || {};
+  const zorunluTeslimAlanlari = secenekler?.teslimKanitiZorunlu || [];
 
-  const durumSecenekleri = rolBazliDurumlar[rol] || [];
+  const tamamlaniyor = gorevDurum === "tamamlandı";
+  const teslimMevcut = {
+    fotograf: fotograflar.length > 0,
+    imza: Boolean(imza) || Boolean(gorev?.teslimKaniti?.imza?.anahtar),
+    teslimAlan: Boolean(teslim.teslimAlan.trim()),
+    teslimMiktari: teslim.teslimMiktari !== "",
+    konum: Boolean(konum),
+  };
+  const eksikTeslimAlanlari = tamamlaniyor ? zorunluTeslimAlanlari.filter((alan) => !teslimMevcut[alan]) : [];
 
-  const { mutate: gorevDurumGuncelle } = useMutation({
+  const { mutate: gorevDurumGuncelle, isPending } = useMutation({
     mutationFn: async ({ gorevId, yeniDurum }) => {
+      if (yeniDurum === "tamamlandı" && imza) {
+        await api.put(`/gorevler/${gorevId}/teslim-kaniti/imza`, imza, {
+          headers: { "Content-Type": "image/png" },
+        });
+      }
       const res = await api.put(`/gorevler/${gorevId}`, {
         gorevDurumu: yeniDurum,
+        ...(yeniDurum === "iptal edildi" && { nedenKodu }),
+        ...(not.trim() && { not: not.trim() }),
+        ...(konum && { konum }),
+        ...(yeniDurum === "tamamlandı" && {
+          teslimKaniti: {
+            teslimAlan: teslim.teslimAlan.trim(),
+            teslimMiktari: teslim.teslimMiktari,
+            miktarBirimi: teslim.miktarBirimi.trim(),
+          },
+        }),
       });
       return res.data;
     },
     onSuccess: () => {
       queryClient.invalidateQueries(["gorevler"]);
+      queryClient.invalidateQueries(["gorev", gorev._id]);
+      queryClient.invalidateQueries(["gorevDurumSecenekleri", gorev._id]);
       document.getElementById("gorevDurumGuncelleModal")?.close();
       toast.success("Görev durumu güncellendi.");
       setModal(null);
@@ -43,7 +87,12 @@ const GorevDurumGuncelleModal = ({ gorev, modal, setModal }) => {
     modalEl?.addEventListener("close", handleClose);
 
     if (modal === "gorevDurumGuncelleModal" && modalEl) {
-      setGorevDurum(gorev.gorevDurumu);
+      setGorevDurum("");
+      setNedenKodu("");
+      setNot("");
+      setKonum(null);
+      setTeslim(bosTeslim);
+      setImza(null);
       modalEl.showModal();
       return () => {
         modalEl.removeEventListener("close", handleClose);
@@ -53,6 +102,58 @@ const GorevDurumGuncelleModal = ({ gorev, modal, setModal }) => {
     }
   }, [modal]);
 
+  // Önceden yüklenmiş teslim fotoğrafları
+  useEffect(() => {
+    if (modal === "gorevDurumGuncelleModal") {
+      setFotograflar(gorev?.teslimKaniti?.fotograflar || []);
+    }
+  }, [modal, gorev]);
+
+  const handleKonumEkle = () => {
+    if (!navigator.geolocation) {
+      return toast.error("Tarayıcınız konum paylaşımını desteklemiyor");
+    }
+    navigator.geolocation.getCurrentPosition(
+      (pos) => setKonum({ lat: pos.coords.latitude, lng: pos.coords.longitude }),
+      () => toast.error("Konum alınamadı")
+    );
+  };
+
+  const handleFotografEkle = async (e) => {
+    const dosyalar = Array.from(e.target.files || []);
+    e.target.value = "";
+
+    setFotografYukleniyor(true);
+    for (const dosya of dosyalar) {
+      if (!["image/png", "image/jpeg"].includes(dosya.type)) {
+        toast.error(`${dosya.name}: fotoğraf PNG ya da JPEG olmalıdır`);
+        continue;
+      }
+      if (dosya.size > 5 * 1024 * 1024) {
+        toast.error(`${dosya.name}: fotoğraf en fazla 5 MB olabilir`);
+        continue;
+      }
+      try {
+        const res = await api.post(`/gorevler/${gorev._id}/teslim-kaniti/fotograflar`, dosya, {
+          headers: { "Content-Type": dosya.type },
+        });
+        setFotograflar(res.data.teslimKaniti.fotograflar);
+      } catch (err) {
+        toast.error(err?.response?.data?.message || "Fotoğraf yüklenemedi");
+      }
+    }
+    setFotografYukleniyor(false);
+  };
+
+  const handleFotografSil = async (fotografId) => {
+    try {
+      const res = await api.delete(`/gorevler/${gorev._id}/teslim-kaniti/fotograflar/${fotografId}`);
+      setFotograflar(res.data.teslimKaniti.fotograflar);
+    } catch (err) {
+      toast.error(err?.response?.data?.message || "Fotoğraf silinemedi");
+    }
+  };
+
   if (!gorev) return null;
 
   return (
@@ -60,36 +161,160 @@ const GorevDurumGuncelleModal = ({ gorev, modal, setModal }) => {
       <div className="modal-box">
         <h3 className="font-bold text-lg mb-4">Görev Durumu Güncelle</h3>
 
-        <div className="form-control mb-4">
-          {rol === "talep_eden" ? (
-            <p>Bu görevi <strong>tamamlandı</strong> olarak işaretlemek istiyor musunuz?</p>
+        <p className="text-sm mb-3">
+          Mevcut durum: <strong className="capitalize">{gorev.gorevDurumu}</strong>
+        </p>
+
+        <div className="form-control mb-4 space-y-3">
+          {seceneklerYukleniyor ? (
+            <p className="text-sm text-gray-500">Yükleniyor...</p>
+          ) : durumSecenekleri.length === 0 ? (
+            <p className="text-sm text-gray-500 italic">
+              Bu görev için yapabileceğiniz bir durum değişikliği bulunmuyor.
+            </p>
           ) : (
-            <select
-              className="select select-bordered w-full"
-              value={gorevDurum}
-              onChange={(e) => setGorevDurum(e.target.value)}
-            >
-              {!gorevDurum && <option value="">Durum Seç</option>}
-              {durumSecenekleri.map((durum) => (
-                <option key={durum} value={durum}>
-                  {durum.charAt(0).toUpperCase() + durum.slice(1)}
-                </option>
-              ))}
-            </select>
+            <>
+              <select
+                className="select select-bordered w-full"
+                value={gorevDurum}
+                onChange={(e) => setGorevDurum(e.target.value)}
+              >
+                <option value="">Yeni Durum Seç</option>
+                {durumSecenekleri.map((durum) => (
+                  <option key={durum} value={durum}>
+                    {durum.charAt(0).toUpperCase() + durum.slice(1)}
+                  </option>
+                ))}
+              </select>
+
+              {gorevDurum === "iptal edildi" && (
+                <select
+                  className="select select-bordered w-full"
+                  value={nedenKodu}
+                  onChange={(e) => setNedenKodu(e.target.value)}
+                >
+                  <option value="">İptal Nedeni Seç</option>
+                  {Object.entries(iptalNedenleri).map(([kod, aciklama]) => (
+                    <option key={kod} value={kod}>
+                      {aciklama}
+                    </option>
+                  ))}
+                </select>
+              )}
+
+              <textarea
+                className="textarea textarea-bordered w-full"
+                rows={2}
+                placeholder={nedenKodu === "diger" ? "Açıklama (zorunlu)" : "Not (isteğe bağlı)"}
+                value={not}
+                onChange={(e) => setNot(e.target.value)}
+              />
+
+              <div className="flex items-center justify-between text-sm">
+                <button type="button" className="btn btn-xs btn-outline" onClick={handleKonumEkle}>
+                  📍 Konumumu Ekle
+                </button>
+                {konum && (
+                  <span className="text-gray-500">
+                    {konum.lat.toFixed(5)}, {konum.lng.toFixed(5)}
+                  </span>
+                )}
+              </div>
+
+              {tamamlaniyor && (
+                <div className="border rounded-lg p-3 space-y-3">
+                  <h4 className="font-semibold text-sm">Teslim Kanıtı</h4>
+                  <input
+                    type="text"
+                    className="input input-bordered input-sm w-full"
+                    placeholder="Teslim alanın adı soyadı"
+                    value={teslim.teslimAlan}
+                    onChange={(e) => setTeslim({ ...teslim, teslimAlan: e.target.value })}
+                  />
+                  <div className="flex gap-2">
+                    <input
+                      type="number"
+                      min="0"
+                      className="input input-bordered input-sm w-1/2"
+                      placeholder="Teslim edilen miktar"
+                      value={teslim.teslimMiktari}
+                      onChange={(e) => setTeslim({ ...teslim, teslimMiktari: e.target.value })}
+                    />
+                    <input
+                      type="text"
+                      className="input input-bordered input-sm w-1/2"
+                      placeholder="Birim (koli, ton...)"
+                      value={teslim.miktarBirimi}
+                      onChange={(e) => setTeslim({ ...teslim, miktarBirimi: e.target.value })}
+                    />
+                  </div>
+
+                  <div>
+                    <span className="label-text text-sm">Fotoğraflar</span>
+                    {fotograflar.length > 0 && (
+                      <div className="grid grid-cols-4 gap-2 my-2">
+                        {fotograflar.map((fotograf) => (
+                          <div key={fotograf._id} className="relative">
+                            <img
+                              src={teslimDosyasiUrl(gorev._id, fotograf._id)}
+                              alt="Teslim fotoğrafı"
+                              className="h-16 w-full object-cover rounded border"
+                            />
+                            <button
+                              type="button"
+                              className="btn btn-xs btn-circle btn-error absolute -top-2 -right-2"
+                              onClick={() => handleFotografSil(fotograf._id)}
+                            >
+                              ✕
+                            </button>
+                          </div>
+                        ))}
+                      </div>
+                    )}
+                    <input
+                      type="file"
+                      accept="image/png,image/jpeg"
+                      multiple
+                      className="file-input file-input-bordered file-input-sm w-full mt-1"
+                      onChange={handleFotografEkle}
+                      disabled={fotografYukleniyor}
+                    />
+                  </div>
+
+                  <div>
+                    <span className="label-text text-sm">Teslim alanın imzası</span>
+                    <ImzaAlani onChange={setImza} />
+                  </div>
+
+                  {eksikTeslimAlanlari.length > 0 && (
+                    <p className="text-xs text-error">
+                      Zorunlu: {eksikTeslimAlanlari.map((alan) => TESLIM_KANITI_ALANLARI[alan]).join(", ")}
+                    </p>
+                  )}
+                </div>
+              )}
+            </>
           )}
         </div>
 
         <div className="modal-action">
           <button
             className="btn btn-primary"
+            disabled={
+              !gorevDurum ||
+              isPending ||
+              fotografYukleniyor ||
+              eksikTeslimAlanlari.length > 0 ||
+              (gorevDurum === "iptal edildi" && !nedenKodu)
+            }
             onClick={() =>
               gorevDurumGuncelle({
                 gorevId: gorev._id,
-                yeniDurum: rol === "talep_eden" ? "tamamlandı" : gorevDurum,
+                yeniDurum: gorevDurum,
               })
             }
           >
-            {rol === "talep_eden" ? "Evet, Tamamlandı" : "Güncelle"}
+            Güncelle
           </button>
           <button
             className="btn"
@@ -106,4 +331,4 @@ const GorevDurumGuncelleModal = ({ gorev, modal, setModal }) => {
   );
 };
 
-export default GorevDurumGuncelleModal;
\ No newline at end of file
+export default GorevDurumGuncelleModal;
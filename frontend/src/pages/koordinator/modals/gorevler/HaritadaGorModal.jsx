@@ -25,7 +25,7 @@ const HaritadaGorModal = ({ gorev, modal, setModal }) => {
       try {
         const res = await api.post("/gorevler/mesafe-ve-sure", {
           hedefKonum: gorev.hedefKonumu,
-          aracKonumlari: [gorev.aracId.konum],
+          aracKonumlari: [{ ...gorev.aracId.konum, aracTuru: gorev.aracId.aracTuru }],
         });
         setMesafe(res.data?.[0]);
       } catch (err) {
@@ -63,6 +63,14 @@ const HaritadaGorModal = ({ gorev, modal, setModal }) => {
             <div className="mt-2 text-gray-600 flex flex-col sm:flex-row gap-4">
               <div>🕒 Tahmini Süre: <strong>{mesafe.sureText}</strong></div>
               <div>📍 Mesafe: <strong>{mesafe.mesafeText}</strong></div>
+              {mesafe.saglayici && (
+                <span
+                  className={`badge badge-sm ${mesafe.saglayici === "cevrimdisi" ? "badge-warning" : "badge-ghost"}`}
+                  title="Mesafe / süreyi hesaplayan sağlayıcı"
+                >
+                  {mesafe.saglayici === "cevrimdisi" ? "çevrimdışı tahmin" : mesafe.saglayici}
+                </span>
+              )}
             </div>
           )}
         </div>
@@ -74,6 +82,8 @@ const HaritadaGorModal = ({ gorev, modal, setModal }) => {
           <HaritaAraclarKonum
             key={gorev?._id}
             hedefKonum={gorev?.hedefKonumu}
+            gorevId={gorev?._id}
+            canliTakip={["yolda", "başladı"].includes(gorev?.gorevDurumu)}
             arac={{
               aracId: gorev?.aracId,
               sofor: gorev?.sofor,
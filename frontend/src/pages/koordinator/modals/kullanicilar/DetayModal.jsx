@@ -1,4 +1,7 @@
 import React, { useEffect } from "react";
+import { rolEtiketi } from "../../../../lib/roller";
+import OturumListesi from "../../../../components/oturumlar/OturumListesi";
+import GirisGecmisi from "../../../../components/oturumlar/GirisGecmisi";
 
 const DetayModal = ({ kullanici, modal,setModal }) => {
   useEffect(() => {
@@ -11,7 +14,7 @@ const DetayModal = ({ kullanici, modal,setModal }) => {
 
   return (
     <dialog id="detayModal" className="modal">
-      <div className="modal-box">
+      <div className="modal-box max-w-2xl">
         <h3 className="font-bold text-lg mb-4 border-b pb-1">Kullanıcı Detayları</h3>
 
         <div className="grid grid-cols-2 gap-y-2 gap-x-4 text-sm text-gray-700">
@@ -21,19 +24,16 @@ const DetayModal = ({ kullanici, modal,setModal }) => {
           </div>
 
           <div className="font-semibold">Email:</div>
-          <div>{kullanici.email}</div>
+          <div>
+            {kullanici.email}{" "}
+            <span className={`badge badge-sm ${kullanici.emailDogrulandi ? "badge-success" : "badge-warning"}`}>
+              {kullanici.emailDogrulandi ? "Doğrulandı" : "Doğrulanmadı"}
+            </span>
+          </div>
 
           <div className="font-semibold">Rol:</div>
           <div>
-            {kullanici.rol === "beklemede"
-              ? "Beklemede"
-              : kullanici.rol === "koordinator"
-              ? "Koordinatör"
-              : kullanici.rol === "arac_sahibi"
-              ? "Araç Sahibi"
-              : kullanici.rol === "talep_eden"
-              ? "Talep Eden"
-              : "-"}
+            {rolEtiketi(kullanici.rol)}
           </div>
 
           <div className="font-semibold">Kayıt Türü:</div>
@@ -48,7 +48,12 @@ const DetayModal = ({ kullanici, modal,setModal }) => {
           <div>{kullanici.kurumFirmaId?.kurumAdi || "-"}</div>
 
           <div className="font-semibold">Telefon:</div>
-          <div>{kullanici.telefon || "-"}</div>
+          <div>
+            {kullanici.telefon || "-"}{" "}
+            <span className={`badge badge-sm ${kullanici.telefonDogrulandi ? "badge-success" : "badge-warning"}`}>
+              {kullanici.telefonDogrulandi ? "Doğrulandı" : "Doğrulanmadı"}
+            </span>
+          </div>
         </div>
         {kullanici.kullaniciBeyanBilgileri?.kurumFirmaTuru ===
           "kurulus_adina" && (
@@ -66,6 +71,24 @@ const DetayModal = ({ kullanici, modal,setModal }) => {
           </div>
         )}
 
+        <div className="mt-6">
+          <h4 className="text-md font-bold text-gray-800 mb-2 border-b pb-1">
+            Aktif Oturumlar
+          </h4>
+          <OturumListesi kullaniciId={kullanici._id} />
+        </div>
+
+        <div className="mt-6">
+          <h4 className="text-md font-bold text-gray-800 mb-2 border-b pb-1">
+            Giriş Geçmişi
+          </h4>
+          <GirisGecmisi
+            kullaniciId={kullanici._id}
+            girisKilidi={kullanici.girisKilidi}
+            ikiAdimliAktif={kullanici.ikiAdimli?.aktif}
+          />
+        </div>
+
         <div className="modal-action">
           <form method="dialog">
             <button className="btn" onClick={(e) => 
@@ -0,0 +1,103 @@
+import { useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
+import React, { useEffect, useState } from "react";
+import api from "../../../../lib/axios";
+import { toast } from "react-hot-toast";
+
+const OperasyonBolgesiAtamaModal = ({ kullanici, modal, setModal }) => {
+  const [seciliBolgeler, setSeciliBolgeler] = useState([]);
+  const queryClient = useQueryClient();
+
+  const { data: bolgeler = [] } = useQuery({
+    queryKey: ["operasyonBolgeleri"],
+    queryFn: async () => {
+      const res = await api.get("/operasyon-bolgeleri");
+      return res.data;
+    },
+    enabled: modal === "operasyonBolgesiAtamaModal",
+  });
+
+  const { mutate: kaydet, isPending } = useMutation({
+    mutationFn: async () => {
+      const res = await api.put(`/kullanicilar/${kullanici._id}/operasyon-bolgeleri`, {
+        operasyonBolgeleri: seciliBolgeler,
+      });
+      return res.data;
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ["kullanicilar"] });
+      queryClient.invalidateQueries({ queryKey: ["operasyonBolgeleri"] });
+      document.getElementById("operasyonBolgesiAtamaModal")?.close();
+      toast.success("Operasyon bölgeleri güncellendi.");
+      setModal(null);
+    },
+    onError: (err) => {
+      const message = err?.response?.data?.error || "Bir hata oluştu";
+      toast.error(message);
+    },
+  });
+
+  useEffect(() => {
+    const modalEl = document.getElementById("operasyonBolgesiAtamaModal");
+    const handleClose = () => setModal(null);
+    modalEl?.addEventListener("close", handleClose);
+
+    if (modal === "operasyonBolgesiAtamaModal" && modalEl) {
+      setSeciliBolgeler((kullanici?.operasyonBolgeleri || []).map((b) => b._id || b));
+      modalEl.showModal();
+      return () => {
+        modalEl.removeEventListener("close", handleClose);
+      };
+    } else if (modalEl?.open) {
+      modalEl.close();
+    }
+  }, [modal, kullanici, setModal]);
+
+  const bolgeDegistir = (id) =>
+    setSeciliBolgeler((onceki) =>
+      onceki.includes(id) ? onceki.filter((b) => b !== id) : [...onceki, id]
+    );
+
+  return (
+    <dialog id="operasyonBolgesiAtamaModal" className="modal">
+      <div className="modal-box">
+        <h3 className="font-bold text-lg mb-2">Operasyon Bölgesi Ata</h3>
+        {kullanici && (
+          <p className="text-sm text-gray-600 mb-3">
+            <span className="capitalize">{kullanici.ad} {kullanici.soyad}</span> yalnızca seçilen
+            bölgelerdeki talepleri, görevleri ve müsait araçları görür. Hiçbir bölge seçilmezse tüm
+            ülkeyi görür.
+          </p>
+        )}
+
+        {bolgeler.length === 0 ? (
+          <p className="text-sm text-gray-500">Tanımlı operasyon bölgesi yok.</p>
+        ) : (
+          <div className="max-h-72 overflow-y-auto space-y-1">
+            {bolgeler.map((bolge) => (
+              <label key={bolge._id} className="flex items-center gap-2 cursor-pointer">
+                <input
+                  type="checkbox"
+                  className="checkbox checkbox-sm"
+                  checked={seciliBolgeler.includes(bolge._id)}
+                  onChange={() => bolgeDegistir(bolge._id)}
+                />
+                <span>{bolge.ad}</span>
+              </label>
+            ))}
+          </div>
+        )}
+
+        <div className="modal-action">
+          <button className="btn" onClick={() => setModal(null)} disabled={isPending}>
+            Vazgeç
+          </button>
+          <button className="btn btn-primary" onClick={() => kaydet()} disabled={isPending}>
+            {isPending ? "Kaydediliyor..." : "Kaydet"}
+          </button>
+        </div>
+      </div>
+    </dialog>
+  );
+};
+
+export default OperasyonBolgesiAtamaModal;
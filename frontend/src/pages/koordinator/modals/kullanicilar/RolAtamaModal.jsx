@@ -6,6 +6,7 @@ import { toast } from "react-hot-toast";
 const RolAtamaModal = ({ kullanici, modal, setModal }) => {
   const [yeniRol, setYeniRol] = React.useState("");
   const queryClient = useQueryClient();
+  const girisYapanKullanici = queryClient.getQueryData(["girisYapanKullanici"]);
 
   const { mutate: rolGuncelle } = useMutation({
     mutationFn: async (yeniRol) => {
@@ -21,7 +22,7 @@ const RolAtamaModal = ({ kullanici, modal, setModal }) => {
       setModal(null);
     },
     onError: (error) => {
-      toast.error("Rol güncellenirken bir hata oluştu");
+      toast.error(error?.response?.data?.error || "Rol güncellenirken bir hata oluştu");
       console.error("Rol güncelleme hatası:", error);
     }
   });
@@ -61,6 +62,9 @@ const RolAtamaModal = ({ kullanici, modal, setModal }) => {
         >
           <option value="beklemede">Beklemede</option>
           <option value="koordinator">Koordinatör</option>
+          {(girisYapanKullanici?.rol === "super_koordinator" || kullanici.rol === "super_koordinator") && (
+            <option value="super_koordinator">Süper Koordinatör</option>
+          )}
           <option value="arac_sahibi">Araç Sahibi</option>
           <option value="talep_eden">Talep Eden</option>
         </select>
@@ -0,0 +1,202 @@
+import { useMutation, useQueryClient } from "@tanstack/react-query";
+import React, { useEffect, useState } from "react";
+import api from "../../../../lib/axios";
+import { toast } from "react-hot-toast";
+import HaritaBolgeCizici from "../../../../components/maps/HaritaBolgeCizici";
+
+const bosForm = {
+  ad: "",
+  tur: "ozel",
+  il: "",
+  ilce: "",
+  aciklama: "",
+  sinir: null,
+};
+
+const OperasyonBolgesiEkleDuzenleModal = ({ bolge, modal, setModal }) => {
+  const [form, setForm] = useState(bosForm);
+  const queryClient = useQueryClient();
+  const duzenleme = !!bolge;
+
+  const { mutate: kaydet, isPending } = useMutation({
+    mutationFn: async () => {
+      const res = duzenleme
+        ? await api.put(`/operasyon-bolgeleri/${bolge._id}`, form)
+        : await api.post("/operasyon-bolgeleri", form);
+      return res.data;
+    },
+    onSuccess: (data) => {
+      queryClient.invalidateQueries({ queryKey: ["operasyonBolgeleri"] });
+      document.getElementById("operasyonBolgesiEkleDuzenleModal")?.close();
+      toast.success(
+        `${duzenleme ? "Bölge güncellendi" : "Bölge oluşturuldu"}. Bölgedeki talep sayısı: ${data.talepSayisi}`
+      );
+      setModal(null);
+    },
+    onError: (err) => {
+      const message = err?.response?.data?.error || "Bir hata oluştu";
+      toast.error(message);
+    },
+  });
+
+  useEffect(() => {
+    const modalEl = document.getElementById("operasyonBolgesiEkleDuzenleModal");
+    const handleClose = () => setModal(null);
+    modalEl?.addEventListener("close", handleClose);
+
+    if (modal === "operasyonBolgesiEkleDuzenleModal" && modalEl) {
+      setForm(
+        bolge
+          ? {
+              ad: bolge.ad,
+              tur: bolge.tur,
+              il: bolge.il || "",
+              ilce: bolge.ilce || "",
+              aciklama: bolge.aciklama || "",
+              sinir: bolge.sinir,
+            }
+          : bosForm
+      );
+      modalEl.showModal();
+      return () => {
+        modalEl.removeEventListener("close", handleClose);
+      };
+    } else if (modalEl?.open) {
+      modalEl.close();
+    }
+  }, [modal, bolge, setModal]);
+
+  const alanGuncelle = (alan) => (e) => setForm({ ...form, [alan]: e.target.value });
+
+  // İl / ilçe sınırları GeoJSON dosyasından yüklenir (Feature, FeatureCollection, Polygon ya da MultiPolygon)
+  const dosyaYukle = async (e) => {
+    const dosya = e.target.files?.[0];
+    if (!dosya) return;
+
+    try {
+      const geojson = JSON.parse(await dosya.text());
+      const geometriler =
+        geojson.type === "FeatureCollection"
+          ? geojson.features.map((f) => f.geometry)
+          : [geojson.type === "Feature" ? geojson.geometry : geojson];
+
+      const poligonlar = geometriler.flatMap((g) =>
+        g?.type === "MultiPolygon" ? g.coordinates : g?.type === "Polygon" ? [g.coordinates] : []
+      );
+      if (poligonlar.length === 0) {
+        toast.error("Dosyada Polygon / MultiPolygon sınır bulunamadı");
+        return;
+      }
+
+      const ozellikler = geojson.features?.[0]?.properties || geojson.properties || {};
+      setForm((f) => ({
+        ...f,
+        ad: f.ad || ozellikler.name || ozellikler.ad || "",
+        sinir:
+          poligonlar.length === 1
+            ? { type: "Polygon", coordinates: poligonlar[0] }
+            : { type: "MultiPolygon", coordinates: poligonlar },
+      }));
+    } catch {
+      toast.error("Dosya geçerli bir GeoJSON değil");
+    } finally {
+      e.target.value = "";
+    }
+  };
+
+  // Çizime başlanmışsa en az üç köşe gerekir
+  const sinirEksik =
+    !form.sinir || (form.sinir.type === "Polygon" && form.sinir.coordinates[0].length < 4);
+
+  return (
+    <dialog id="operasyonBolgesiEkleDuzenleModal" className="modal">
+      <div className="modal-box max-w-3xl">
+        <h3 className="font-bold text-lg mb-4">
+          {duzenleme ? "Operasyon Bölgesini Düzenle" : "Yeni Operasyon Bölgesi"}
+        </h3>
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+          <label className="form-control w-full">
+            <span className="label-text mb-1">Ad</span>
+            <input
+              type="text"
+              className="input input-bordered w-full"
+              value={form.ad}
+              onChange={alanGuncelle("ad")}
+            />
+          </label>
+          <label className="form-control w-full">
+            <span className="label-text mb-1">Tür</span>
+            <select className="select select-bordered w-full" value={form.tur} onChange={alanGuncelle("tur")}>
+              <option value="il">İl</option>
+              <option value="ilce">İlçe</option>
+              <option value="ozel">Elle çizilmiş</option>
+            </select>
+          </label>
+          {form.tur !== "ozel" && (
+            <label className="form-control w-full">
+              <span className="label-text mb-1">İl</span>
+              <input
+                type="text"
+                className="input input-bordered w-full"
+                value={form.il}
+                onChange={alanGuncelle("il")}
+              />
+            </label>
+          )}
+          {form.tur === "ilce" && (
+            <label className="form-control w-full">
+              <span className="label-text mb-1">İlçe</span>
+              <input
+                type="text"
+                className="input input-bordered w-full"
+                value={form.ilce}
+                onChange={alanGuncelle("ilce")}
+              />
+            </label>
+          )}
+          <label className="form-control w-full md:col-span-2">
+            <span className="label-text mb-1">Açıklama</span>
+            <textarea
+              className="textarea textarea-bordered w-full"
+              rows={2}
+              value={form.aciklama}
+              onChange={alanGuncelle("aciklama")}
+            />
+          </label>
+        </div>
+
+        <div className="mt-4">
+          <div className="flex items-center justify-between mb-2">
+            <span className="label-text">Bölge Sınırı</span>
+            <label className="btn btn-xs btn-outline">
+              GeoJSON Yükle
+              <input type="file" accept=".json,.geojson,application/geo+json" className="hidden" onChange={dosyaYukle} />
+            </label>
+          </div>
+          {modal === "operasyonBolgesiEkleDuzenleModal" && (
+            <HaritaBolgeCizici
+              bolge={form.sinir}
+              setBolge={(sinir) => setForm((f) => ({ ...f, sinir }))}
+            />
+          )}
+        </div>
+
+        <div className="modal-action">
+          <button className="btn" onClick={() => setModal(null)} disabled={isPending}>
+            Vazgeç
+          </button>
+          <button
+            className="btn btn-primary"
+            onClick={() => kaydet()}
+            disabled={isPending || !form.ad.trim() || sinirEksik}
+          >
+            {isPending ? "Kaydediliyor..." : "Kaydet"}
+          </button>
+        </div>
+      </div>
+    </dialog>
+  );
+};
+
+export default OperasyonBolgesiEkleDuzenleModal;
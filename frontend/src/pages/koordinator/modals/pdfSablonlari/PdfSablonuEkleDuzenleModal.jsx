@@ -0,0 +1,228 @@
+import { useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
+import React, { useEffect, useState } from "react";
+import api from "../../../../lib/axios";
+import { toast } from "react-hot-toast";
+import { useAfetOlaylari } from "../../../../lib/afetOlayi";
+import { PDF_ALANLARI } from "../../../../lib/pdfSablonu";
+
+const bosForm = {
+  ad: "",
+  afetOlayiId: "",
+  kurumFirmaId: "",
+  baslik: "",
+  altBaslik: "",
+  imza: { adSoyad: "", unvan: "" },
+  alanlar: Object.fromEntries(Object.keys(PDF_ALANLARI).map((alan) => [alan, true])),
+  altBilgi: "",
+};
+
+const PdfSablonuEkleDuzenleModal = ({ sablon, modal, setModal }) => {
+  const [form, setForm] = useState(bosForm);
+  const [logoDosyasi, setLogoDosyasi] = useState(null);
+  const queryClient = useQueryClient();
+  const duzenleme = !!sablon;
+
+  const { data: afetOlaylari = [] } = useAfetOlaylari();
+  const { data: kurumlar = [] } = useQuery({
+    queryKey: ["kurumlar"],
+    queryFn: async () => {
+      const res = await api.get("/kurumlar");
+      return res.data;
+    },
+  });
+
+  const { mutate: kaydet, isPending } = useMutation({
+    mutationFn: async () => {
+      const govde = {
+        ...form,
+        afetOlayiId: form.afetOlayiId || null,
+        kurumFirmaId: form.kurumFirmaId || null,
+      };
+      const res = duzenleme
+        ? await api.put(`/pdf-sablonlari/${sablon._id}`, govde)
+        : await api.post("/pdf-sablonlari", govde);
+
+      // Logo ham görüntü olarak ayrıca yüklenir
+      if (logoDosyasi) {
+        await api.put(`/pdf-sablonlari/${res.data._id}/logo`, logoDosyasi, {
+          headers: { "Content-Type": logoDosyasi.type },
+        });
+      }
+      return res.data;
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ["pdfSablonlari"] });
+      document.getElementById("pdfSablonuEkleDuzenleModal")?.close();
+      toast.success(duzenleme ? "Şablon güncellendi." : "Şablon oluşturuldu.");
+      setModal(null);
+    },
+    onError: (err) => {
+      // Şablon kaydedilip logo yüklenemediyse liste yine de güncellenmeli
+      queryClient.invalidateQueries({ queryKey: ["pdfSablonlari"] });
+      toast.error(err?.response?.data?.error || "Bir hata oluştu");
+    },
+  });
+
+  useEffect(() => {
+    const modalEl = document.getElementById("pdfSablonuEkleDuzenleModal");
+    const handleClose = () => setModal(null);
+    modalEl?.addEventListener("close", handleClose);
+
+    if (modal === "pdfSablonuEkleDuzenleModal" && modalEl) {
+      setForm(
+        sablon
+          ? {
+              ad: sablon.ad,
+              afetOlayiId: sablon.afetOlayiId?._id || "",
+              kurumFirmaId: sablon.kurumFirmaId?._id || "",
+              baslik: sablon.baslik || "",
+              altBaslik: sablon.altBaslik || "",
+              imza: { adSoyad: sablon.imza?.adSoyad || "", unvan: sablon.imza?.unvan || "" },
+              alanlar: { ...bosForm.alanlar, ...sablon.alanlar },
+              altBilgi: sablon.altBilgi || "",
+            }
+          : bosForm
+      );
+      setLogoDosyasi(null);
+      modalEl.showModal();
+      return () => {
+        modalEl.removeEventListener("close", handleClose);
+      };
+    } else if (modalEl?.open) {
+      modalEl.close();
+    }
+  }, [modal, sablon, setModal]);
+
+  const alanGuncelle = (alan) => (e) => setForm({ ...form, [alan]: e.target.value });
+  const imzaGuncelle = (alan) => (e) => setForm({ ...form, imza: { ...form.imza, [alan]: e.target.value } });
+
+  const logoSec = (e) => {
+    const dosya = e.target.files?.[0] || null;
+    if (dosya && !["image/png", "image/jpeg"].includes(dosya.type)) {
+      toast.error("Logo PNG ya da JPEG olmalıdır");
+      e.target.value = "";
+      return;
+    }
+    if (dosya && dosya.size > 1024 * 1024) {
+      toast.error("Logo en fazla 1 MB olabilir");
+      e.target.value = "";
+      return;
+    }
+    setLogoDosyasi(dosya);
+  };
+
+  return (
+    <dialog id="pdfSablonuEkleDuzenleModal" className="modal">
+      <div className="modal-box max-w-3xl">
+        <h3 className="font-bold text-lg mb-4">{duzenleme ? "PDF Şablonunu Düzenle" : "Yeni PDF Şablonu"}</h3>
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+          <label className="form-control w-full md:col-span-2">
+            <span className="label-text mb-1">Şablon adı</span>
+            <input type="text" className="input input-bordered w-full" value={form.ad} onChange={alanGuncelle("ad")} />
+          </label>
+          <label className="form-control w-full">
+            <span className="label-text mb-1">Afet olayı</span>
+            <select className="select select-bordered w-full" value={form.afetOlayiId} onChange={alanGuncelle("afetOlayiId")}>
+              <option value="">Tüm olaylar</option>
+              {afetOlaylari.map((olay) => (
+                <option key={olay._id} value={olay._id}>
+                  {olay.ad}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label className="form-control w-full">
+            <span className="label-text mb-1">Talep eden kurum</span>
+            <select className="select select-bordered w-full" value={form.kurumFirmaId} onChange={alanGuncelle("kurumFirmaId")}>
+              <option value="">Tüm kurumlar</option>
+              {kurumlar.map((kurum) => (
+                <option key={kurum._id} value={kurum._id}>
+                  {kurum.kurumAdi}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label className="form-control w-full">
+            <span className="label-text mb-1">Başlık</span>
+            <input
+              type="text"
+              className="input input-bordered w-full"
+              placeholder="AFET NAKLİYE GRUBU"
+              value={form.baslik}
+              onChange={alanGuncelle("baslik")}
+            />
+          </label>
+          <label className="form-control w-full">
+            <span className="label-text mb-1">Alt başlık</span>
+            <input
+              type="text"
+              className="input input-bordered w-full"
+              placeholder="ARAÇ GÖREV FORMU"
+              value={form.altBaslik}
+              onChange={alanGuncelle("altBaslik")}
+            />
+          </label>
+          <label className="form-control w-full">
+            <span className="label-text mb-1">İmza yetkilisi</span>
+            <input
+              type="text"
+              className="input input-bordered w-full"
+              placeholder="Boşsa görevi oluşturan koordinatör"
+              value={form.imza.adSoyad}
+              onChange={imzaGuncelle("adSoyad")}
+            />
+          </label>
+          <label className="form-control w-full">
+            <span className="label-text mb-1">Unvan</span>
+            <input
+              type="text"
+              className="input input-bordered w-full"
+              placeholder="ör. BÖLGE MÜDÜRÜ"
+              value={form.imza.unvan}
+              onChange={imzaGuncelle("unvan")}
+            />
+          </label>
+          <label className="form-control w-full md:col-span-2">
+            <span className="label-text mb-1">Alt bilgi</span>
+            <input type="text" className="input input-bordered w-full" value={form.altBilgi} onChange={alanGuncelle("altBilgi")} />
+          </label>
+          <label className="form-control w-full md:col-span-2">
+            <span className="label-text mb-1">
+              Logo (PNG / JPEG, en fazla 1 MB){duzenleme && sablon.logo?.icerikTuru && " · yüklenen logo değiştirilir"}
+            </span>
+            <input type="file" accept="image/png,image/jpeg" className="file-input file-input-bordered w-full" onChange={logoSec} />
+          </label>
+        </div>
+
+        <div className="mt-4">
+          <span className="label-text">Formda gösterilecek alanlar</span>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-1 mt-2">
+            {Object.entries(PDF_ALANLARI).map(([alan, etiket]) => (
+              <label key={alan} className="label cursor-pointer justify-start gap-2">
+                <input
+                  type="checkbox"
+                  className="checkbox checkbox-sm"
+                  checked={form.alanlar[alan]}
+                  onChange={(e) => setForm({ ...form, alanlar: { ...form.alanlar, [alan]: e.target.checked } })}
+                />
+                <span className="label-text">{etiket}</span>
+              </label>
+            ))}
+          </div>
+        </div>
+
+        <div className="modal-action">
+          <button className="btn" onClick={() => setModal(null)} disabled={isPending}>
+            Vazgeç
+          </button>
+          <button className="btn btn-primary" onClick={() => kaydet()} disabled={isPending || !form.ad.trim()}>
+            {isPending ? "Kaydediliyor..." : "Kaydet"}
+          </button>
+        </div>
+      </div>
+    </dialog>
+  );
+};
+
+export default PdfSablonuEkleDuzenleModal;
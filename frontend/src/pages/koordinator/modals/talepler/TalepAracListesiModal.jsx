@@ -143,7 +143,12 @@ const TalepAracListesiModal = ({
                       </div>
                       <div className="text-right">
                         <p className="text-sm">📏 {arac.mesafe}</p>
-                        <p className="text-sm">🕒 {arac.sure}</p>
+                        <p className="text-sm">
+                          🕒 {arac.sure}
+                          {arac.saglayici === "cevrimdisi" && (
+                            <span className="text-xs text-warning"> (tahmini)</span>
+                          )}
+                        </p>
                       </div>
                     </div>
                     <p className="text-sm text-gray-600 capitalize">🏢 {arac.kurumFirmaId?.kurumAdi || `${arac.kullaniciId?.ad || ""} ${arac.kullaniciId?.soyad || ""}`}</p>
@@ -178,7 +183,12 @@ const TalepAracListesiModal = ({
                   </div>
                   <div className="text-right">
                     <p className="text-sm">📏 {arac.mesafe}</p>
-                    <p className="text-sm">🕒 {arac.sure}</p>
+                    <p className="text-sm">
+                      🕒 {arac.sure}
+                      {arac.saglayici === "cevrimdisi" && (
+                        <span className="text-xs text-warning"> (tahmini)</span>
+                      )}
+                    </p>
                   </div>
                 </div>
                 <p className="text-sm text-gray-600 capitalize">🏢 {arac.kurumFirmaId?.kurumAdi || `${arac.kullaniciId?.ad || ""} ${arac.kullaniciId?.soyad || ""}`}</p>
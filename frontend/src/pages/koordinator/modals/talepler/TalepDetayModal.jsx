@@ -1,5 +1,8 @@
 import React, { useEffect } from "react";
+import { useQuery } from "@tanstack/react-query";
+import api from "../../../../lib/axios";
 import HaritaKonumSecici from "../../../../components/maps/HaritaKonumSecici";
+import { kategoriEtiketi, oncelikRozetSinifi } from "../../../../lib/talepTriyaj";
 
 const TalepDetayModal = ({ talep, modal, setModal }) => {
   const icon="/icons/hedef.png"
@@ -19,6 +22,16 @@ const TalepDetayModal = ({ talep, modal, setModal }) => {
     }
   }, [modal]);
 
+  // Triyaj skorunun bileşenleri yalnızca talep detayında hesaplanıp döner
+  const { data: talepDetay } = useQuery({
+    queryKey: ["talep", talep?._id],
+    queryFn: async () => {
+      const res = await api.get(`/talepler/${talep._id}`);
+      return res.data;
+    },
+    enabled: modal === "talepDetayModal" && !!talep?._id,
+  });
+
   if (!talep) return null;
   
   // Eski veri yapısı ile uyumluluk kontrolü
@@ -80,11 +93,56 @@ const TalepDetayModal = ({ talep, modal, setModal }) => {
               <p>{talep.lokasyon?.adres || "Belirtilmemiş"}</p>
             </div>
 
+            <div className="flex flex-wrap items-center gap-2">
+              <span className="font-semibold">🚨 Öncelik:</span>
+              <span className={`badge capitalize ${oncelikRozetSinifi(talep.oncelik)}`}>
+                {talep.oncelik || "normal"}
+              </span>
+              {talep.eskalasyon?.seviye > 0 && (
+                <span className="text-xs text-gray-500">
+                  ({talep.eskalasyon.seviye} kez otomatik yükseltildi)
+                </span>
+              )}
+            </div>
+
+            {talep.kategoriler?.length > 0 && (
+              <div>
+                <span className="font-semibold">🏷️ Kategoriler:</span>
+                <p>{talep.kategoriler.map(kategoriEtiketi).join(", ")}</p>
+              </div>
+            )}
+
+            <div>
+              <span className="font-semibold">👥 Etkilenen Kişi Sayısı:</span>
+              <p>{talep.etkilenenKisiSayisi || "Belirtilmemiş"}</p>
+            </div>
+
+            {talepDetay?.triyaj && (
+              <div>
+                <span className="font-semibold">
+                  📊 Triyaj Skoru: {talepDetay.triyaj.skor}
+                </span>
+                <table className="table table-xs w-full mt-2">
+                  <tbody>
+                    {talepDetay.triyaj.bilesenler.map((bilesen) => (
+                      <tr key={bilesen.kod}>
+                        <td>{bilesen.ad}</td>
+                        <td className="text-gray-500">{bilesen.aciklama}</td>
+                        <td className="text-right">+{bilesen.katki}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+
             <div>
               <span className="font-semibold">📌 Durum:</span>
               <p>
                 {talep.durum === "beklemede"
                   ? "Beklemede"
+                  : talep.durum === "kismen gorevlendirildi"
+                  ? "Kısmen Görevlendirildi"
                   : talep.durum === "gorevlendirildi"
                   ? "Görevlendirme Yapıldı"
                   : talep.durum === "tamamlandi"
@@ -1,11 +1,63 @@
 import React, { useEffect, useState } from "react";
-import { useQueryClient } from "@tanstack/react-query";
+import { useQuery, useQueryClient } from "@tanstack/react-query";
 import api from "../../../../lib/axios";
 import TalepAracListesiModal from "./TalepAracListesiModal";
 import toast from "react-hot-toast";
 
-const TalepGorevlendirModal = ({ talep, araclar, modal, setModal }) => {
+// Aracın sahibine kayıtlı şoförlerden seçim; uygun olmayanlar nedeniyle birlikte pasif gösterilir
+const SoforSecici = ({ aracId, soforId, onChange }) => {
+  const { data: soforler = [], isLoading } = useQuery({
+    queryKey: ["soforler", aracId],
+    queryFn: async () => {
+      const res = await api.get("/soforler", { params: { aracId } });
+      return res.data.soforler;
+    },
+  });
+
+  const seciliSofor = soforler.find((sofor) => sofor._id === soforId);
+
+  if (isLoading) {
+    return <p className="text-sm text-gray-500">Şoförler yükleniyor...</p>;
+  }
+
+  if (soforler.length === 0) {
+    return (
+      <p className="text-sm text-error">
+        Araç sahibine kayıtlı şoför bulunmuyor.
+      </p>
+    );
+  }
+
+  return (
+    <div>
+      <select
+        className="select select-bordered w-full"
+        value={soforId || ""}
+        onChange={(e) => onChange(e.target.value)}
+      >
+        <option value="" disabled>
+          Şoför seçin
+        </option>
+        {soforler.map((sofor) => (
+          <option key={sofor._id} value={sofor._id} disabled={!!sofor.uygunlukHatasi}>
+            {sofor.ad} {sofor.soyad} ({sofor.ehliyetSiniflari?.join(", ")})
+            {sofor.uygunlukHatasi ? ` – ${sofor.uygunlukHatasi}` : ""}
+          </option>
+        ))}
+      </select>
+      {seciliSofor && (
+        <p className="text-xs text-gray-500 mt-1">📞 {seciliSofor.telefon}</p>
+      )}
+    </div>
+  );
+};
+
+// Talebe yakın araç aramasında seçilebilecek yarıçaplar (km); boş değer tüm araçları getirir
+const YARICAP_SECENEKLERI = [10, 25, 50, 100, 250];
+
+const TalepGorevlendirModal = ({ talep, modal, setModal }) => {
   const [rotaBilgileri, setRotaBilgileri] = useState([]);
+  const [yaricapKm, setYaricapKm] = useState(50);
   const [modal2, setModal2] = useState(null);
   const [seciliAraclar, setSeciliAraclar] = useState([]);
   const [gorevNotu, setGorevNotu] = useState("");
@@ -14,6 +66,35 @@ const TalepGorevlendirModal = ({ talep, araclar, modal, setModal }) => {
   // Eski veri yapısı ile uyumluluk kontrolü
   const talepAraclar = talep?.araclar || (talep?.aracTuru ? [{ aracTuru: talep.aracTuru, aracSayisi: talep.aracSayisi || 1 }] : []);
 
+  // Araç türü bazında karşılanma tablosu (henüz hesaplanmamışsa istenen araçlardan türetilir)
+  const karsilanma = talep?.karsilanma?.length
+    ? talep.karsilanma
+    : talepAraclar.map((arac) => ({ aracTuru: arac.aracTuru, talepEdilen: arac.aracSayisi, atanan: 0 }));
+
+  // Bu modalda seçilenler de düşülerek ilgili türde kalan kontenjan
+  const kalanKontenjan = (aracTuru) => {
+    const satir = karsilanma.find((k) => k.aracTuru === aracTuru);
+    if (!satir) return 0;
+    const seciliSayisi = seciliAraclar.filter((arac) => arac.aracTuru === aracTuru).length;
+    return Math.max(satir.talepEdilen - satir.atanan - seciliSayisi, 0);
+  };
+
+  // Yalnızca talepte istenen türlerdeki, talep konumuna yakın müsait araçlar çekilir (yakından uzağa)
+  const { data: araclar } = useQuery({
+    queryKey: ["musaitAraclar", talep?._id, yaricapKm],
+    queryFn: async () => {
+      const res = await api.get("/araclar/musaitaraclar", {
+        params: {
+          near: `${talep.lokasyon.lat},${talep.lokasyon.lng}`,
+          radiusKm: yaricapKm || undefined,
+          aracTuru: talepAraclar.map((arac) => arac.aracTuru).join(","),
+        },
+      });
+      return res.data.musaitAraclar;
+    },
+    enabled: modal === "talepGorevlendirModal" && !!talep?.lokasyon,
+  });
+
   const handleClose = () => {
     setModal(null);
     setSeciliAraclar([]);
@@ -21,49 +102,56 @@ const TalepGorevlendirModal = ({ talep, araclar, modal, setModal }) => {
   };
 
   useEffect(() => {
-    if (!window.google?.maps?.DirectionsService) return;
+    const modalEl = document.getElementById("talepGorevlendirModal");
+    if (modal === "talepGorevlendirModal" && talep) {
+      modalEl?.showModal();
+      modalEl?.addEventListener("close", handleClose);
+      return () => modalEl?.removeEventListener("close", handleClose);
+    } else if (modalEl?.open) {
+      modalEl.close();
+    }
+  }, [modal, talep]);
 
+  useEffect(() => {
+    // Mesafe / süre sunucudaki rota sağlayıcısından alınır (Google erişilemezse çevrimdışı tahmin)
     const hesaplaRotalar = async () => {
-      const service = new window.google.maps.DirectionsService();
-      const rotalar = araclar.map((arac) => {
-        return new Promise((resolve) => {
-          service.route(
-            {
-              origin: arac.konum,
-              destination: talep.lokasyon,
-              travelMode: window.google.maps.TravelMode.DRIVING,
-            },
-            (result, status) => {
-              if (status === "OK") {
-                resolve({
-                  ...arac,
-                  mesafe: result.routes[0].legs[0].distance.text,
-                  sure: result.routes[0].legs[0].duration.text,
-                  mesafeValue: result.routes[0].legs[0].distance.value,
-                  sureValue: result.routes[0].legs[0].duration.value,
-                });
-              } else {
-                resolve(null);
-              }
-            }
-          );
+      const konumluAraclar = araclar.filter(
+        (arac) => arac.konum?.lat != null && arac.konum?.lng != null
+      );
+      if (konumluAraclar.length === 0) return setRotaBilgileri([]);
+
+      try {
+        const res = await api.post("/gorevler/mesafe-ve-sure", {
+          hedefKonum: talep.lokasyon,
+          aracKonumlari: konumluAraclar.map((arac) => ({
+            lat: arac.konum.lat,
+            lng: arac.konum.lng,
+            aracTuru: arac.aracTuru,
+          })),
         });
-      });
 
-      const veriler = await Promise.all(rotalar);
-      setRotaBilgileri(
-        veriler.filter(Boolean).sort((a, b) => a.sureValue - b.sureValue)
-      );
+        const veriler = konumluAraclar.map((arac, i) => ({
+          ...arac,
+          mesafe: res.data[i]?.mesafeText,
+          sure: res.data[i]?.sureText,
+          mesafeValue: res.data[i]?.mesafeValue,
+          sureValue: res.data[i]?.sureValue,
+          saglayici: res.data[i]?.saglayici,
+        }));
+
+        setRotaBilgileri(
+          veriler
+            .filter((arac) => arac.sureValue != null)
+            .sort((a, b) => a.sureValue - b.sureValue)
+        );
+      } catch (err) {
+        console.error("Mesafe/süre bilgisi alınamadı:", err);
+        toast.error("Araçların mesafe bilgisi alınamadı");
+      }
     };
 
-    const modalEl = document.getElementById("talepGorevlendirModal");
-    if (modal === "talepGorevlendirModal" && talep && araclar.length > 0) {
+    if (modal === "talepGorevlendirModal" && talep && araclar) {
       hesaplaRotalar();
-      modalEl?.showModal();
-      modalEl?.addEventListener("close", handleClose);
-      return () => modalEl?.removeEventListener("close", handleClose);
-    } else if (modalEl?.open) {
-      modalEl.close();
     }
   }, [modal, talep, araclar]);
 
@@ -76,15 +164,22 @@ const TalepGorevlendirModal = ({ talep, araclar, modal, setModal }) => {
       toast.error("Bu araç zaten eklenmiş");
       return;
     }
+
+    if (karsilanma.length > 0 && !karsilanma.some((k) => k.aracTuru === arac.aracTuru)) {
+      toast.error(`Talepte "${arac.aracTuru}" türünde araç istenmemiş`);
+      return;
+    }
+
+    if (karsilanma.length > 0 && kalanKontenjan(arac.aracTuru) === 0) {
+      toast.error(`"${arac.aracTuru}" türü için kalan kontenjan yok`);
+      return;
+    }
     
-    // Araç bilgilerini şoför bilgileriyle birlikte ekle
+    // Araç, şoför seçimi yapılmak üzere eklenir; istek anahtarı tekrar denemelerde aynı görevin iki kez oluşmasını engeller
     setSeciliAraclar([...seciliAraclar, {
       ...arac,
-      sofor: {
-        ad: "",
-        soyad: "",
-        telefon: ""
-      }
+      soforId: "",
+      istekAnahtari: crypto.randomUUID(),
     }]);
     
     setModal2(null); // Araç listesi modalını kapat
@@ -95,13 +190,10 @@ const TalepGorevlendirModal = ({ talep, araclar, modal, setModal }) => {
     setSeciliAraclar(seciliAraclar.filter(arac => arac._id !== aracId));
   };
   
-  // Şoför bilgilerini güncelleme
-  const handleSoforGuncelle = (index, field, value) => {
+  // Şoför seçimini güncelleme
+  const handleSoforSec = (index, soforId) => {
     const yeniAraclar = [...seciliAraclar];
-    yeniAraclar[index].sofor = {
-      ...yeniAraclar[index].sofor,
-      [field]: value
-    };
+    yeniAraclar[index] = { ...yeniAraclar[index], soforId };
     setSeciliAraclar(yeniAraclar);
   };
 
@@ -110,13 +202,15 @@ const TalepGorevlendirModal = ({ talep, araclar, modal, setModal }) => {
       return toast.error("En az bir araç seçmelisiniz");
     }
 
-    // Tüm araçların şoför bilgilerini kontrol et
-    const eksikSoforBilgisi = seciliAraclar.some(
-      arac => !arac.sofor?.ad || !arac.sofor?.soyad || !arac.sofor?.telefon
-    );
-    
-    if (eksikSoforBilgisi) {
-      return toast.error("Tüm araçlar için şoför bilgilerini eksiksiz girmelisiniz");
+    // Tüm araçlar için şoför seçilmiş olmalı
+    if (seciliAraclar.some((arac) => !arac.soforId)) {
+      return toast.error("Tüm araçlar için şoför seçmelisiniz");
+    }
+
+    // Aynı şoför birden fazla araca atanamaz
+    const soforIdler = seciliAraclar.map((arac) => arac.soforId);
+    if (new Set(soforIdler).size !== soforIdler.length) {
+      return toast.error("Aynı şoför birden fazla araca atanamaz");
     }
 
     try {
@@ -127,16 +221,20 @@ const TalepGorevlendirModal = ({ talep, araclar, modal, setModal }) => {
         const veri = {
           talepId: talep._id,
           aracId: arac._id,
-          sofor: arac.sofor,
+          soforId: arac.soforId,
           gorevNotu,
         };
         
-        const response = await api.post("/gorevler", veri);
+        const response = await api.post("/gorevler", veri, {
+          headers: { "Idempotency-Key": arac.istekAnahtari },
+        });
         gorevler.push(response.data);
       }
 
       toast.success(`${gorevler.length} araç için görev başarıyla oluşturuldu.`);
       queryClient.invalidateQueries(["talepler"]);
+      queryClient.invalidateQueries(["musaitAraclar"]);
+      queryClient.invalidateQueries(["soforler"]);
       handleClose();
     } catch (err) {
       console.error(err);
@@ -161,14 +259,22 @@ const TalepGorevlendirModal = ({ talep, araclar, modal, setModal }) => {
                 <thead>
                   <tr>
                     <th>Araç Türü</th>
-                    <th className="text-right">Adet</th>
+                    <th className="text-right">İstenen</th>
+                    <th className="text-right">Görevlendirilen</th>
+                    <th className="text-right">Seçili</th>
+                    <th className="text-right">Kalan</th>
                   </tr>
                 </thead>
                 <tbody>
-                  {talepAraclar.map((arac, index) => (
-                    <tr key={index}>
-                      <td className="capitalize">{arac.aracTuru}</td>
-                      <td className="text-right">{arac.aracSayisi}</td>
+                  {karsilanma.map((satir) => (
+                    <tr key={satir.aracTuru}>
+                      <td className="capitalize">{satir.aracTuru}</td>
+                      <td className="text-right">{satir.talepEdilen}</td>
+                      <td className="text-right">{satir.atanan}</td>
+                      <td className="text-right">
+                        {seciliAraclar.filter((arac) => arac.aracTuru === satir.aracTuru).length}
+                      </td>
+                      <td className="text-right font-semibold">{kalanKontenjan(satir.aracTuru)}</td>
                     </tr>
                   ))}
                 </tbody>
@@ -176,7 +282,14 @@ const TalepGorevlendirModal = ({ talep, araclar, modal, setModal }) => {
                   <tr>
                     <th>Toplam</th>
                     <th className="text-right">
-                      {talepAraclar.reduce((toplam, arac) => toplam + arac.aracSayisi, 0)}
+                      {karsilanma.reduce((toplam, satir) => toplam + satir.talepEdilen, 0)}
+                    </th>
+                    <th className="text-right">
+                      {karsilanma.reduce((toplam, satir) => toplam + satir.atanan, 0)}
+                    </th>
+                    <th className="text-right">{seciliAraclar.length}</th>
+                    <th className="text-right">
+                      {karsilanma.reduce((toplam, satir) => toplam + kalanKontenjan(satir.aracTuru), 0)}
                     </th>
                   </tr>
                 </tfoot>
@@ -186,9 +299,23 @@ const TalepGorevlendirModal = ({ talep, araclar, modal, setModal }) => {
         </div>
 
         <div className="mb-4 flex justify-between items-center">
-          <button className="btn btn-primary" onClick={() => setModal2("talepAracListesiModal")}>
-            Araç Ekle
-          </button>
+          <div className="flex items-center gap-2">
+            <button className="btn btn-primary" onClick={() => setModal2("talepAracListesiModal")}>
+              Araç Ekle
+            </button>
+            <select
+              className="select select-bordered select-sm"
+              value={yaricapKm}
+              onChange={(e) => setYaricapKm(Number(e.target.value))}
+              title="Talep konumuna uzaklık"
+            >
+              {YARICAP_SECENEKLERI.map((km) => (
+                <option key={km} value={km}>{km} km içindeki araçlar</option>
+              ))}
+              <option value={0}>Tüm araçlar</option>
+            </select>
+            <span className="text-xs text-gray-500">{araclar?.length ?? "…"} müsait araç</span>
+          </div>
           
           <div className="text-sm">
             <span className="font-semibold">Seçili Araç Sayısı:</span> {seciliAraclar.length}
@@ -208,26 +335,11 @@ const TalepGorevlendirModal = ({ talep, araclar, modal, setModal }) => {
                     ❌
                   </button>
                 </div>
-                <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
-                  <input
-                    className="input input-bordered"
-                    placeholder="Şoför Adı"
-                    value={arac.sofor?.ad || ""}
-                    onChange={(e) => handleSoforGuncelle(index, "ad", e.target.value)}
-                  />
-                  <input
-                    className="input input-bordered"
-                    placeholder="Şoför Soyadı"
-                    value={arac.sofor?.soyad || ""}
-                    onChange={(e) => handleSoforGuncelle(index, "soyad", e.target.value)}
-                  />
-                  <input
-                    className="input input-bordered"
-                    placeholder="Telefon"
-                    value={arac.sofor?.telefon || ""}
-                    onChange={(e) => handleSoforGuncelle(index, "telefon", e.target.value)}
-                  />
-                </div>
+                <SoforSecici
+                  aracId={arac._id}
+                  soforId={arac.soforId}
+                  onChange={(soforId) => handleSoforSec(index, soforId)}
+                />
               </div>
             ))
           ) : (
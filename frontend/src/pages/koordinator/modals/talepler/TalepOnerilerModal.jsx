@@ -0,0 +1,296 @@
+import React, { useEffect, useRef, useState } from "react";
+import { useQuery, useQueryClient } from "@tanstack/react-query";
+import api from "../../../../lib/axios";
+import toast from "react-hot-toast";
+
+const skorRengi = (skor) => {
+  if (skor >= 70) return "badge-success";
+  if (skor >= 40) return "badge-warning";
+  return "badge-error";
+};
+
+const TalepOnerilerModal = ({ talep, modal, setModal }) => {
+  const [seciliAtamalar, setSeciliAtamalar] = useState({});
+  const [acikAday, setAcikAday] = useState(null);
+  const [gonderiliyor, setGonderiliyor] = useState(false);
+  // Araç başına istek anahtarı; kabul tekrarlandığında aynı görev iki kez oluşturulmaz
+  const istekAnahtarlari = useRef({});
+  const queryClient = useQueryClient();
+
+  const acik = modal === "talepOnerilerModal" && !!talep;
+
+  const { data, isLoading, isError, error } = useQuery({
+    queryKey: ["talepOnerileri", talep?._id],
+    queryFn: async () => {
+      const res = await api.get(`/talepler/${talep._id}/oneriler`);
+      return res.data;
+    },
+    enabled: acik,
+    refetchOnWindowFocus: false,
+  });
+
+  const oneriler = data?.oneriler || [];
+
+  // Öneriler geldiğinde önerilen set varsayılan olarak seçili gelir
+  useEffect(() => {
+    if (!data) return;
+    const varsayilan = {};
+    for (const tur of data.oneriler) {
+      for (const atama of tur.onerilenSet) {
+        varsayilan[atama.aracId] = atama.soforId;
+      }
+    }
+    setSeciliAtamalar(varsayilan);
+    istekAnahtarlari.current = {};
+  }, [data]);
+
+  useEffect(() => {
+    const modalEl = document.getElementById("talepOnerilerModal");
+    const handleClose = () => {
+      setModal(null);
+      setAcikAday(null);
+    };
+
+    if (acik) {
+      modalEl?.showModal();
+      modalEl?.addEventListener("close", handleClose);
+      return () => modalEl?.removeEventListener("close", handleClose);
+    } else if (modalEl?.open) {
+      modalEl.close();
+    }
+  }, [acik, setModal]);
+
+  if (!acik) return null;
+
+  const handleAdaySec = (aday) => {
+    setSeciliAtamalar((onceki) => {
+      const yeni = { ...onceki };
+      if (yeni[aday.arac._id]) {
+        delete yeni[aday.arac._id];
+      } else {
+        yeni[aday.arac._id] = aday.sofor._id;
+      }
+      return yeni;
+    });
+  };
+
+  const turdeSeciliSayisi = (tur) =>
+    tur.adaylar.filter((aday) => seciliAtamalar[aday.arac._id]).length;
+
+  const handleOneriKabul = async () => {
+    const atamalar = Object.entries(seciliAtamalar);
+    if (atamalar.length === 0) {
+      return toast.error("En az bir öneri seçmelisiniz");
+    }
+
+    const kontenjanAsimi = oneriler.find((tur) => turdeSeciliSayisi(tur) > tur.kalan);
+    if (kontenjanAsimi) {
+      return toast.error(`"${kontenjanAsimi.aracTuru}" türü için en fazla ${kontenjanAsimi.kalan} araç seçilebilir`);
+    }
+
+    const soforIdler = atamalar.map(([, soforId]) => soforId);
+    if (new Set(soforIdler).size !== soforIdler.length) {
+      return toast.error("Aynı şoför birden fazla araca atanamaz");
+    }
+
+    setGonderiliyor(true);
+    const hatalar = [];
+    let basarili = 0;
+
+    for (const [aracId, soforId] of atamalar) {
+      const anahtarId = `${aracId}-${soforId}`;
+      istekAnahtarlari.current[anahtarId] ??= crypto.randomUUID();
+
+      try {
+        await api.post(
+          "/gorevler",
+          {
+            talepId: talep._id,
+            aracId,
+            soforId,
+            gorevNotu: "Otomatik öneriden görevlendirildi",
+          },
+          { headers: { "Idempotency-Key": istekAnahtarlari.current[anahtarId] } }
+        );
+        basarili++;
+      } catch (err) {
+        hatalar.push(err?.response?.data?.message || err.message);
+      }
+    }
+
+    setGonderiliyor(false);
+    queryClient.invalidateQueries(["talepler"]);
+    queryClient.invalidateQueries(["musaitAraclar"]);
+    queryClient.invalidateQueries(["soforler"]);
+    queryClient.invalidateQueries(["talepOnerileri", talep._id]);
+
+    if (basarili > 0) {
+      toast.success(`${basarili} araç için görev oluşturuldu.`);
+    }
+    if (hatalar.length > 0) {
+      toast.error(`${hatalar.length} görev oluşturulamadı: ${hatalar.join(", ")}`);
+      return;
+    }
+    setModal(null);
+  };
+
+  return (
+    <dialog id="talepOnerilerModal" className="modal">
+      <div className="modal-box max-w-6xl">
+        <h3 className="font-bold text-lg border-b pb-2 mb-4">
+          Görevlendirme Önerileri – {talep.baslik}
+        </h3>
+
+        {data?.agirliklar && (
+          <p className="text-xs text-gray-500 mb-3">
+            Skor = Varış Süresi %{data.agirliklar.mesafe * 100} + Kapasite %
+            {data.agirliklar.kapasite * 100} + Sahip Yükü %
+            {data.agirliklar.kurumYuku * 100} + Araç Durumu %
+            {data.agirliklar.aracDurumu * 100}
+          </p>
+        )}
+
+        {isLoading ? (
+          <div>Öneriler hesaplanıyor...</div>
+        ) : isError ? (
+          <div className="text-error">
+            {error?.response?.data?.error || "Öneriler alınamadı"}
+          </div>
+        ) : oneriler.length === 0 ? (
+          <p className="text-sm text-gray-500 italic">
+            Talepte görevlendirilmeyi bekleyen araç kalmadı.
+          </p>
+        ) : (
+          <div className="space-y-6">
+            {oneriler.map((tur) => (
+              <div key={tur.aracTuru}>
+                <div className="flex justify-between items-center mb-2">
+                  <h4 className="font-semibold capitalize">
+                    {tur.aracTuru}{" "}
+                    <span className="text-sm font-normal text-gray-500">
+                      (kalan {tur.kalan}, seçili {turdeSeciliSayisi(tur)}, müsait aday {tur.adaySayisi})
+                    </span>
+                  </h4>
+                </div>
+
+                {tur.adaylar.length === 0 ? (
+                  <p className="text-sm text-error">Bu türde müsait araç bulunmuyor.</p>
+                ) : (
+                  <table className="table table-sm w-full">
+                    <thead>
+                      <tr>
+                        <th></th>
+                        <th>Plaka</th>
+                        <th>Sahip</th>
+                        <th>Şoför</th>
+                        <th className="text-right">Mesafe</th>
+                        <th className="text-right">Skor</th>
+                        <th></th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {tur.adaylar.map((aday) => (
+                        <React.Fragment key={aday.arac._id}>
+                          <tr className={aday.onerildi ? "bg-green-50" : ""}>
+                            <td>
+                              <input
+                                type="checkbox"
+                                className="checkbox checkbox-sm"
+                                disabled={!aday.sofor}
+                                checked={!!seciliAtamalar[aday.arac._id]}
+                                onChange={() => handleAdaySec(aday)}
+                              />
+                            </td>
+                            <td className="uppercase">{aday.arac.plaka}</td>
+                            <td>
+                              {aday.arac.kurumFirmaId?.kurumAdi ||
+                                `${aday.arac.kullaniciId?.ad || ""} ${aday.arac.kullaniciId?.soyad || ""}`}
+                            </td>
+                            <td>
+                              {aday.sofor ? (
+                                `${aday.sofor.ad} ${aday.sofor.soyad}`
+                              ) : (
+                                <span className="text-error text-xs">{aday.uyari}</span>
+                              )}
+                            </td>
+                            <td className="text-right">
+                              {aday.mesafeKm != null ? `${aday.mesafeKm} km` : "-"}
+                              {aday.sureSaniye != null && (
+                                <div className="text-xs text-gray-500">
+                                  ~{Math.max(1, Math.round(aday.sureSaniye / 60))} dk
+                                  {aday.rotaSaglayici === "cevrimdisi" && " (tahmini)"}
+                                </div>
+                              )}
+                            </td>
+                            <td className="text-right">
+                              <span className={`badge ${skorRengi(aday.skor)}`}>{aday.skor}</span>
+                            </td>
+                            <td>
+                              <button
+                                className="btn btn-xs btn-ghost"
+                                onClick={() =>
+                                  setAcikAday(acikAday === aday.arac._id ? null : aday.arac._id)
+                                }
+                              >
+                                {acikAday === aday.arac._id ? "Gizle" : "Neden?"}
+                              </button>
+                            </td>
+                          </tr>
+                          {acikAday === aday.arac._id && (
+                            <tr>
+                              <td colSpan={7} className="bg-gray-50">
+                                <table className="table table-xs w-full">
+                                  <thead>
+                                    <tr>
+                                      <th>Bileşen</th>
+                                      <th>Açıklama</th>
+                                      <th className="text-right">Puan</th>
+                                      <th className="text-right">Ağırlık</th>
+                                      <th className="text-right">Katkı</th>
+                                    </tr>
+                                  </thead>
+                                  <tbody>
+                                    {aday.bilesenler.map((bilesen) => (
+                                      <tr key={bilesen.kod}>
+                                        <td>{bilesen.ad}</td>
+                                        <td>{bilesen.aciklama}</td>
+                                        <td className="text-right">{bilesen.puan}</td>
+                                        <td className="text-right">%{bilesen.agirlik * 100}</td>
+                                        <td className="text-right font-semibold">{bilesen.katki}</td>
+                                      </tr>
+                                    ))}
+                                  </tbody>
+                                </table>
+                              </td>
+                            </tr>
+                          )}
+                        </React.Fragment>
+                      ))}
+                    </tbody>
+                  </table>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+
+        <div className="modal-action">
+          <button
+            className="btn btn-primary"
+            onClick={handleOneriKabul}
+            disabled={gonderiliyor || Object.keys(seciliAtamalar).length === 0}
+          >
+            {gonderiliyor
+              ? "Görevlendiriliyor..."
+              : `Öneriyi Kabul Et (${Object.keys(seciliAtamalar).length} araç)`}
+          </button>
+          <button className="btn" onClick={() => setModal(null)}>
+            Vazgeç
+          </button>
+        </div>
+      </div>
+    </dialog>
+  );
+};
+
+export default TalepOnerilerModal;
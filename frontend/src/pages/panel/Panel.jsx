@@ -3,6 +3,7 @@ import { useQueryClient } from "@tanstack/react-query";
 import KoordinatorPanel from "../../components/paneller/KoordinatorPanel";
 import AracSahibiPanel from "../../components/paneller/AracSahibiPanel";
 import TalepEdenPanel from "../../components/paneller/TalepEdenPanel";
+import { koordinatorMu } from "../../lib/roller";
 
 const Panel = () => {
   const queryClient = useQueryClient();
@@ -33,7 +34,7 @@ const Panel = () => {
       </div>
 
       {/* Rol bazlı içerik */}
-      {girisYapanKullanici.rol === "koordinator" && <KoordinatorPanel />}
+      {koordinatorMu(girisYapanKullanici) && <KoordinatorPanel />}
       {girisYapanKullanici.rol === "arac_sahibi" && <AracSahibiPanel />}
       {girisYapanKullanici.rol === "talep_eden" && <TalepEdenPanel />}
     </div>
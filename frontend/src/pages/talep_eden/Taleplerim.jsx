@@ -4,6 +4,7 @@ import api from "../../lib/axios";
 import TalepEkleDuzenleModal from "./modals/TalepEkleDuzenleModal";
 import TalepIptalModal from "../koordinator/modals/talepler/TalepIptalModal";
 import { toast } from "react-hot-toast";
+import { oncelikRozetSinifi } from "../../lib/talepTriyaj";
 
 const Taleplerim = () => {
   const [arama, setArama] = useState("");
@@ -47,9 +48,10 @@ const Taleplerim = () => {
   }).sort((a, b) => {
     const oncelik = {
       beklemede: 0,
-      gorevlendirildi: 1,
-      tamamlandı: 2,
-      "iptal edildi": 3,
+      "kismen gorevlendirildi": 1,
+      gorevlendirildi: 2,
+      tamamlandı: 3,
+      "iptal edildi": 4,
     };
     return (oncelik[a.durum] ?? 99) - (oncelik[b.durum] ?? 99);
   });
@@ -112,6 +114,7 @@ const Taleplerim = () => {
               <tr>
                 <th>Talep ID</th>
                 <th>Başlık</th>
+                <th>Öncelik</th>
                 <th>Açıklama</th>
                 <th>Araçlar</th>
                 <th>Adres</th>
@@ -138,6 +141,11 @@ const Taleplerim = () => {
                     </button>
                   </td>
                   <td className="capitalize">{talep.baslik}</td>
+                  <td>
+                    <span className={`badge capitalize ${oncelikRozetSinifi(talep.oncelik)}`}>
+                      {talep.oncelik || "normal"}
+                    </span>
+                  </td>
                   <td className="capitalize">{talep.aciklama}</td>
                   <td className="capitalize">{aracOzetiGetir(talep)}</td>
                   <td className="capitalize">{talep.lokasyon.adres}</td>
@@ -146,6 +154,8 @@ const Taleplerim = () => {
                       className={`badge ${
                         talep.durum === "beklemede"
                           ? "badge badge-info gap-2"
+                          : talep.durum === "kismen gorevlendirildi"
+                          ? "badge badge-accent gap-2"
                           : talep.durum === "gorevlendirildi"
                           ? "badge badge-warning gap-2"
                           : talep.durum === "tamamlandı"
@@ -3,6 +3,9 @@ import { useMutation, useQueryClient } from "@tanstack/react-query";
 import toast from "react-hot-toast";
 import api from "../../../lib/axios";
 import HaritaKonumSecici from "../../../components/maps/HaritaKonumSecici";
+import { useAfetOlaylari } from "../../../lib/afetOlayi";
+import { koordinatorMu, yetkisiVar } from "../../../lib/roller";
+import { ONCELIK_SEVIYELERI, TALEP_KATEGORILERI } from "../../../lib/talepTriyaj";
 
 // Araç türleri listesi - birden fazla yerde kullanacağımız için sabit olarak tanımlıyoruz
 const ARAC_TURLERI = [
@@ -32,21 +35,33 @@ const TalepEkleDuzenleModal = ({ modal, setModal, duzenlenecekTalep }) => {
     if (!duzenlenecekTalep || !girisYapanKullanici) return false;
     
     return (
-      girisYapanKullanici.rol === "koordinator" || 
+      koordinatorMu(girisYapanKullanici) || 
       (duzenlenecekTalep.talepEdenKullaniciId._id === girisYapanKullanici._id && 
        duzenlenecekTalep.durum === "beklemede")
     );
   };
 
+  // Mevcut talebin önceliğini ve afet olayını yalnızca koordinatör değiştirebilir
+  const oncelikVeOlayKilitli = !!duzenlenecekTalep && !yetkisiVar(girisYapanKullanici, "talep.update.any");
+
   const [formData, setFormData] = useState({
     baslik: "",
     aciklama: "",
     araclar: [{ aracTuru: "otomobil", aracSayisi: 1 }],
     adres: "",
     durum: "beklemede",
+    oncelik: "normal",
+    kategoriler: [],
+    etkilenenKisiSayisi: 0,
   });
   const [lokasyon, setLokasyon] = useState(null);
 
+  // Olay seçilmezse talep, konumunu kapsayan aktif afet olayına otomatik bağlanır
+  const { data: afetOlaylari = [] } = useAfetOlaylari();
+  const aktifAfetOlaylari = afetOlaylari.filter(
+    (olay) => olay.durum === "aktif" || olay._id === formData.afetOlayiId
+  );
+
   useEffect(() => {
     try {
       console.log("[TalepEkleDuzenleModal] Modal effect running, modal state:", modal);
@@ -87,6 +102,10 @@ const TalepEkleDuzenleModal = ({ modal, setModal, duzenlenecekTalep }) => {
             aciklama: duzenlenecekTalep.aciklama,
             araclar: araclar || [{ aracTuru: "otomobil", aracSayisi: 1 }],
             adres: duzenlenecekTalep.lokasyon.adres,
+            oncelik: duzenlenecekTalep.oncelik || "normal",
+            kategoriler: duzenlenecekTalep.kategoriler || [],
+            etkilenenKisiSayisi: duzenlenecekTalep.etkilenenKisiSayisi || 0,
+            afetOlayiId: duzenlenecekTalep.afetOlayiId?._id || duzenlenecekTalep.afetOlayiId || "",
             talepEdenKullaniciId: girisYapanKullanici._id,
             talepEdenKurumFirmaId: girisYapanKullanici.kurumFirmaId._id,
           });
@@ -102,6 +121,10 @@ const TalepEkleDuzenleModal = ({ modal, setModal, duzenlenecekTalep }) => {
             aciklama: "",
             araclar: [{ aracTuru: "otomobil", aracSayisi: 1 }],
             adres: "",
+            oncelik: "normal",
+            kategoriler: [],
+            etkilenenKisiSayisi: 0,
+            afetOlayiId: "",
             talepEdenKullaniciId: girisYapanKullanici._id,
             talepEdenKurumFirmaId: girisYapanKullanici.kurumFirmaId._id,
           });
@@ -133,6 +156,15 @@ const TalepEkleDuzenleModal = ({ modal, setModal, duzenlenecekTalep }) => {
     setFormData((prev) => ({ ...prev, [name]: value }));
   };
   
+  const handleKategoriChange = (kategori) => {
+    setFormData((prev) => ({
+      ...prev,
+      kategoriler: prev.kategoriler.includes(kategori)
+        ? prev.kategoriler.filter((k) => k !== kategori)
+        : [...prev.kategoriler, kategori],
+    }));
+  };
+
   // Araç bilgilerini güncelleme
   const handleAracChange = (index, field, value) => {
     const updatedAraclar = [...formData.araclar];
@@ -174,6 +206,7 @@ const TalepEkleDuzenleModal = ({ modal, setModal, duzenlenecekTalep }) => {
       
       const payload = {
         ...data,
+        etkilenenKisiSayisi: Number(data.etkilenenKisiSayisi) || 0,
         lokasyon: {
           adres: data.adres,
           lat: lokasyon?.lat,
@@ -255,6 +288,44 @@ const TalepEkleDuzenleModal = ({ modal, setModal, duzenlenecekTalep }) => {
             <label className="label"><span className="label-text">Açıklama</span></label>
             <textarea name="aciklama" className="textarea textarea-bordered w-full mb-2" value={formData.aciklama} onChange={handleInputChange} />
 
+            <label className="label"><span className="label-text">Afet Olayı</span></label>
+            <select name="afetOlayiId" className="select select-bordered w-full mb-2" value={formData.afetOlayiId || ""} onChange={handleInputChange} disabled={oncelikVeOlayKilitli}>
+              <option value="">Konuma göre otomatik belirlensin</option>
+              {aktifAfetOlaylari.map((olay) => (
+                <option key={olay._id} value={olay._id}>{olay.ad}</option>
+              ))}
+            </select>
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+              <div>
+                <label className="label"><span className="label-text">Öncelik</span></label>
+                <select name="oncelik" className="select select-bordered w-full mb-2 capitalize" value={formData.oncelik} onChange={handleInputChange} disabled={oncelikVeOlayKilitli}>
+                  {ONCELIK_SEVIYELERI.map((oncelik) => (
+                    <option key={oncelik} value={oncelik}>{oncelik}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="label"><span className="label-text">Etkilenen Kişi Sayısı</span></label>
+                <input name="etkilenenKisiSayisi" type="number" min="0" className="input input-bordered w-full mb-2" value={formData.etkilenenKisiSayisi} onChange={handleInputChange} />
+              </div>
+            </div>
+
+            <label className="label"><span className="label-text">Kategoriler</span></label>
+            <div className="flex flex-wrap gap-3 mb-2">
+              {Object.entries(TALEP_KATEGORILERI).map(([kod, ad]) => (
+                <label key={kod} className="label cursor-pointer gap-2 p-0">
+                  <input
+                    type="checkbox"
+                    className="checkbox checkbox-sm"
+                    checked={formData.kategoriler.includes(kod)}
+                    onChange={() => handleKategoriChange(kod)}
+                  />
+                  <span className="label-text">{ad}</span>
+                </label>
+              ))}
+            </div>
+
             <div className="divider">Araç Bilgileri</div>
             
             {formData.araclar.map((arac, index) => (
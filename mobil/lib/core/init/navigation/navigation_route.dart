@@ -1,3 +1,5 @@
+import 'package:afet_arac_takip/features/auth/view/account_verification_view.dart';
+import 'package:afet_arac_takip/features/auth/view/forgot_password_view.dart';
 import 'package:afet_arac_takip/features/auth/view/login_view.dart';
 import 'package:afet_arac_takip/features/auth/view/pending_approval_view.dart';
 import 'package:afet_arac_takip/features/auth/view/register_view.dart';
@@ -19,6 +21,10 @@ class NavigationRoute {
         return _navigate(const LoginView());
       case '/register':
         return _navigate(const RegisterView());
+      case '/forgot-password':
+        return _navigate(const ForgotPasswordView());
+      case '/account-verification':
+        return _navigate(const AccountVerificationView());
       case '/pending-approval':
         return _navigate(const PendingApprovalView());
       case '/panel':
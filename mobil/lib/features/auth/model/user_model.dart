@@ -9,6 +9,10 @@ class User {
     this.telefon,
     this.kurumFirmaId,
     this.kullaniciBeyanBilgileri,
+    this.emailDogrulandi = false,
+    this.telefonDogrulandi = false,
+    this.ikiAdimliAktif = false,
+    this.yetkiler = const [],
   });
 
   factory User.fromJson(Map<String, dynamic> json) {
@@ -29,6 +33,11 @@ class User {
           ? KullaniciBeyanBilgileri.fromJson(
               json['kullaniciBeyanBilgileri'] as Map<String, dynamic>)
           : null,
+      emailDogrulandi: json['emailDogrulandi'] as bool? ?? false,
+      telefonDogrulandi: json['telefonDogrulandi'] as bool? ?? false,
+      ikiAdimliAktif: json['ikiAdimliAktif'] as bool? ?? false,
+      yetkiler: (json['yetkiler'] as List<dynamic>?)?.cast<String>() ??
+          const [],
     );
   }
   final String id;
@@ -39,6 +48,15 @@ class User {
   final String rol;
   final KurumFirma? kurumFirmaId;
   final KullaniciBeyanBilgileri? kullaniciBeyanBilgileri;
+  final bool emailDogrulandi;
+  final bool telefonDogrulandi;
+
+  /// Whether sign in asks for an authenticator app code after the password
+  final bool ikiAdimliAktif;
+
+  /// Effective permissions of the user's role (e.g. `talep.create`,
+  /// `gorev.read.any`); menus are shown from these instead of the role name
+  final List<String> yetkiler;
 
   Map<String, dynamic> toJson() {
     return {
@@ -50,6 +68,10 @@ class User {
       'rol': rol,
       'kurumFirmaId': kurumFirmaId?.toJson(),
       'kullaniciBeyanBilgileri': kullaniciBeyanBilgileri?.toJson(),
+      'emailDogrulandi': emailDogrulandi,
+      'telefonDogrulandi': telefonDogrulandi,
+      'ikiAdimliAktif': ikiAdimliAktif,
+      'yetkiler': yetkiler,
     };
   }
 
@@ -63,6 +85,8 @@ class User {
         return 'Talep Eden';
       case 'koordinator':
         return 'Koordinatör';
+      case 'super_koordinator':
+        return 'Süper Koordinatör';
       case 'beklemede':
         return 'Beklemede';
       default:
@@ -70,10 +94,16 @@ class User {
     }
   }
 
-  bool get isKoordinator => rol == 'koordinator';
+  /// Süper koordinatör de koordinatör ekranlarını kullanır; bölge kısıtı yoktur
+  bool get isKoordinator =>
+      rol == 'koordinator' || rol == 'super_koordinator';
+  bool get isSuperKoordinator => rol == 'super_koordinator';
   bool get isAracSahibi => rol == 'arac_sahibi';
   bool get isTalepEden => rol == 'talep_eden';
   bool get isBeklemede => rol == 'beklemede';
+
+  /// Whether the user's role grants the given permission
+  bool hasPermission(String permission) => yetkiler.contains(permission);
 }
 
 class KurumFirma {
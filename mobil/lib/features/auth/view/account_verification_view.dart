@@ -0,0 +1,181 @@
+import 'package:afet_arac_takip/core/init/navigation/navigation_service.dart';
+import 'package:afet_arac_takip/features/auth/viewmodel/account_verification_viewmodel.dart';
+import 'package:afet_arac_takip/product/widgets/custom_button.dart';
+import 'package:afet_arac_takip/product/widgets/custom_text_field.dart';
+import 'package:flutter/material.dart';
+import 'package:provider/provider.dart';
+
+/// Account verification view; shown after registration and reachable from
+/// the profile page to verify the phone number and e-mail address
+class AccountVerificationView extends StatefulWidget {
+  /// Creates an account verification view
+  const AccountVerificationView({super.key});
+
+  @override
+  State<AccountVerificationView> createState() =>
+      _AccountVerificationViewState();
+}
+
+class _AccountVerificationViewState extends State<AccountVerificationView> {
+  late final TextEditingController _codeController;
+
+  @override
+  void initState() {
+    super.initState();
+    _codeController = TextEditingController();
+  }
+
+  @override
+  void dispose() {
+    _codeController.dispose();
+    super.dispose();
+  }
+
+  /// After registration there is no previous page, so continue to the app
+  Future<void> _continue() async {
+    if (Navigator.canPop(context)) {
+      Navigator.pop(context);
+      return;
+    }
+    await NavigationService.instance.navigateToPageClear(path: '/main');
+  }
+
+  @override
+  Widget build(BuildContext context) {
+    return ChangeNotifierProvider(
+      create: (_) => AccountVerificationViewModel(),
+      child: Scaffold(
+        appBar: AppBar(title: const Text('Hesap Doğrulama')),
+        body: SafeArea(
+          child: SingleChildScrollView(
+            padding: const EdgeInsets.all(24),
+            child: Consumer<AccountVerificationViewModel>(
+              builder: (context, viewModel, _) {
+                return Column(
+                  crossAxisAlignment: CrossAxisAlignment.start,
+                  children: [
+                    _buildSectionTitle(
+                      context,
+                      'Telefon',
+                      viewModel.user?.telefon,
+                      isVerified: viewModel.isPhoneVerified,
+                    ),
+                    const SizedBox(height: 16),
+                    if (!viewModel.isPhoneVerified) ...[
+                      const Text(
+                        'Telefonunuza gönderilen 6 haneli kodu girin. '
+                        'Kod 10 dakika geçerlidir.',
+                      ),
+                      const SizedBox(height: 16),
+                      CustomTextField(
+                        controller: _codeController,
+                        labelText: 'Doğrulama Kodu',
+                        hintText: '6 haneli kod',
+                        keyboardType: TextInputType.number,
+                      ),
+                      const SizedBox(height: 16),
+                      CustomButton(
+                        onPressed: viewModel.isLoading
+                            ? null
+                            : () async {
+                                final code = _codeController.text.trim();
+                                if (await viewModel.verifyPhoneCode(code)) {
+                                  _codeController.clear();
+                                }
+                              },
+                        text: 'Doğrula',
+                        isLoading: viewModel.isLoading,
+                      ),
+                      const SizedBox(height: 12),
+                      CustomButton(
+                        onPressed:
+                            viewModel.isLoading ? null : viewModel.sendPhoneCode,
+                        text: 'Kodu Tekrar Gönder',
+                        isSecondary: true,
+                      ),
+                    ],
+                    const SizedBox(height: 32),
+                    _buildSectionTitle(
+                      context,
+                      'E-posta',
+                      viewModel.user?.email,
+                      isVerified: viewModel.isEmailVerified,
+                    ),
+                    const SizedBox(height: 16),
+                    if (!viewModel.isEmailVerified) ...[
+                      const Text(
+                        'E-posta adresinize gönderilen bağlantıya tıklayarak '
+                        'adresinizi doğrulayın.',
+                      ),
+                      const SizedBox(height: 16),
+                      CustomButton(
+                        onPressed: viewModel.isLoading
+                            ? null
+                            : viewModel.resendEmailLink,
+                        text: 'Bağlantıyı Tekrar Gönder',
+                        isSecondary: true,
+                      ),
+                    ],
+                    if (viewModel.errorMessage != null ||
+                        viewModel.infoMessage != null)
+                      Padding(
+                        padding: const EdgeInsets.only(top: 16),
+                        child: Text(
+                          viewModel.errorMessage ?? viewModel.infoMessage!,
+                          style: TextStyle(
+                            color: viewModel.errorMessage != null
+                                ? Theme.of(context).colorScheme.error
+                                : Colors.green,
+                            fontSize: 14,
+                          ),
+                        ),
+                      ),
+                    const SizedBox(height: 32),
+                    CustomButton(
+                      onPressed: _continue,
+                      text: viewModel.isPhoneVerified
+                          ? 'Devam Et'
+                          : 'Daha Sonra Doğrula',
+                      isSecondary: !viewModel.isPhoneVerified,
+                    ),
+                  ],
+                );
+              },
+            ),
+          ),
+        ),
+      ),
+    );
+  }
+
+  Widget _buildSectionTitle(
+    BuildContext context,
+    String title,
+    String? value, {
+    required bool isVerified,
+  }) {
+    return Row(
+      children: [
+        Expanded(
+          child: Column(
+            crossAxisAlignment: CrossAxisAlignment.start,
+            children: [
+              Text(
+                title,
+                style: Theme.of(context)
+                    .textTheme
+                    .titleLarge
+                    ?.copyWith(fontWeight: FontWeight.bold),
+              ),
+              if (value != null) Text(value),
+            ],
+          ),
+        ),
+        Icon(
+          isVerified ? Icons.verified : Icons.error_outline,
+          color: isVerified ? Colors.green : Colors.orange,
+        ),
+      ],
+    );
+  }
+}
@@ -0,0 +1,113 @@
+import 'package:afet_arac_takip/features/auth/viewmodel/forgot_password_viewmodel.dart';
+import 'package:afet_arac_takip/product/widgets/custom_button.dart';
+import 'package:afet_arac_takip/product/widgets/custom_text_field.dart';
+import 'package:flutter/material.dart';
+import 'package:provider/provider.dart';
+
+/// Forgot password view; the reset link in the e-mail opens the web reset page
+class ForgotPasswordView extends StatefulWidget {
+  /// Creates a forgot password view
+  const ForgotPasswordView({super.key});
+
+  @override
+  State<ForgotPasswordView> createState() => _ForgotPasswordViewState();
+}
+
+class _ForgotPasswordViewState extends State<ForgotPasswordView> {
+  late final TextEditingController _emailController;
+
+  @override
+  void initState() {
+    super.initState();
+    _emailController = TextEditingController();
+  }
+
+  @override
+  void dispose() {
+    _emailController.dispose();
+    super.dispose();
+  }
+
+  @override
+  Widget build(BuildContext context) {
+    return ChangeNotifierProvider(
+      create: (_) => ForgotPasswordViewModel(),
+      child: Scaffold(
+        appBar: AppBar(title: const Text('Şifremi Unuttum')),
+        body: SafeArea(
+          child: SingleChildScrollView(
+            padding: const EdgeInsets.all(24),
+            child: Consumer<ForgotPasswordViewModel>(
+              builder: (context, viewModel, _) {
+                if (viewModel.isSent) {
+                  return Column(
+                    crossAxisAlignment: CrossAxisAlignment.start,
+                    children: [
+                      Text(
+                        'E-postanızı kontrol edin',
+                        style: Theme.of(context)
+                            .textTheme
+                            .titleLarge
+                            ?.copyWith(fontWeight: FontWeight.bold),
+                      ),
+                      const SizedBox(height: 16),
+                      const Text(
+                        'Bu e-posta adresi kayıtlıysa şifre sıfırlama '
+                        'bağlantısı gönderildi. Bağlantı 1 saat geçerlidir. '
+                        'Yeni şifrenizi belirledikten sonra tüm cihazlardaki '
+                        'oturumlarınız kapatılır.',
+                      ),
+                      const SizedBox(height: 32),
+                      CustomButton(
+                        onPressed: () => Navigator.pop(context),
+                        text: 'Girişe Dön',
+                      ),
+                    ],
+                  );
+                }
+
+                return Column(
+                  crossAxisAlignment: CrossAxisAlignment.start,
+                  children: [
+                    const Text(
+                      'Hesabınıza kayıtlı e-posta adresini girin, şifrenizi '
+                      'sıfırlamanız için bir bağlantı gönderelim.',
+                    ),
+                    const SizedBox(height: 24),
+                    CustomTextField(
+                      controller: _emailController,
+                      labelText: 'E-posta',
+                      hintText: 'E-posta adresinizi girin',
+                      keyboardType: TextInputType.emailAddress,
+                    ),
+                    if (viewModel.errorMessage != null)
+                      Padding(
+                        padding: const EdgeInsets.only(top: 8),
+                        child: Text(
+                          viewModel.errorMessage!,
+                          style: TextStyle(
+                            color: Theme.of(context).colorScheme.error,
+                            fontSize: 14,
+                          ),
+                        ),
+                      ),
+                    const SizedBox(height: 32),
+                    CustomButton(
+                      onPressed: viewModel.isLoading
+                          ? null
+                          : () => viewModel.requestResetLink(
+                                email: _emailController.text.trim(),
+                              ),
+                      text: 'Sıfırlama Bağlantısı Gönder',
+                      isLoading: viewModel.isLoading,
+                    ),
+                  ],
+                );
+              },
+            ),
+          ),
+        ),
+      ),
+    );
+  }
+}
@@ -1,4 +1,5 @@
 import 'package:afet_arac_takip/features/auth/viewmodel/login_viewmodel.dart';
+import 'package:afet_arac_takip/features/auth/widgets/two_factor_setup_card.dart';
 import 'package:afet_arac_takip/product/widgets/custom_button.dart';
 import 'package:afet_arac_takip/product/widgets/custom_text_field.dart';
 import 'package:flutter/material.dart';
@@ -16,6 +17,8 @@ class LoginView extends StatefulWidget {
 class _LoginViewState extends State<LoginView> {
   late final TextEditingController _emailController;
   late final TextEditingController _passwordController;
+  late final TextEditingController _codeController;
+  bool _useRecoveryCode = false;
 
   @override
   void initState() {
@@ -23,12 +26,14 @@ class _LoginViewState extends State<LoginView> {
     debugPrint('Initializing LoginView');
     _emailController = TextEditingController();
     _passwordController = TextEditingController();
+    _codeController = TextEditingController();
   }
 
   @override
   void dispose() {
     _emailController.dispose();
     _passwordController.dispose();
+    _codeController.dispose();
     super.dispose();
   }
 
@@ -42,88 +47,219 @@ class _LoginViewState extends State<LoginView> {
         body: SafeArea(
           child: Padding(
             padding: const EdgeInsets.all(24),
-            child: Column(
-              crossAxisAlignment: CrossAxisAlignment.start,
-              children: [
-                const Spacer(),
-                Text(
-                  'Hoş Geldiniz',
-                  style: Theme.of(context).textTheme.headlineMedium?.copyWith(
-                        color: Colors.black,
-                        fontWeight: FontWeight.bold,
-                      ),
-                ),
-                const SizedBox(height: 8),
-                Text(
-                  'Afet Araç Takip Sistemine giriş yapın',
-                  style: Theme.of(context).textTheme.bodyLarge?.copyWith(
-                        color: Colors.black.withValues(alpha: 0.7),
-                      ),
-                ),
-                const SizedBox(height: 32),
-                CustomTextField(
-                  controller: _emailController,
-                  labelText: 'E-posta',
-                  hintText: 'E-posta adresinizi girin',
-                  keyboardType: TextInputType.emailAddress,
-                ),
-                const SizedBox(height: 16),
-                CustomTextField(
-                  controller: _passwordController,
-                  labelText: 'Şifre',
-                  hintText: 'Şifrenizi girin',
-                  obscureText: true,
-                ),
-                const SizedBox(height: 8),
-                Consumer<LoginViewModel>(
-                  builder: (context, viewModel, _) {
-                    if (viewModel.errorMessage != null) {
-                      return Padding(
-                        padding: const EdgeInsets.only(top: 8),
-                        child: Text(
-                          viewModel.errorMessage!,
-                          style: TextStyle(
-                            color: Theme.of(context).colorScheme.error,
-                            fontSize: 14,
-                          ),
+            child: Consumer<LoginViewModel>(
+              builder: (context, viewModel, passwordStep) {
+                switch (viewModel.step) {
+                  case LoginStep.twoFactor:
+                    return _buildTwoFactorStep(viewModel);
+                  case LoginStep.twoFactorSetup:
+                    return _buildTwoFactorSetupStep(viewModel);
+                  case LoginStep.password:
+                    return passwordStep!;
+                }
+              },
+              child: Column(
+                crossAxisAlignment: CrossAxisAlignment.start,
+                children: [
+                  const Spacer(),
+                  Text(
+                    'Hoş Geldiniz',
+                    style: Theme.of(context).textTheme.headlineMedium?.copyWith(
+                          color: Colors.black,
+                          fontWeight: FontWeight.bold,
+                        ),
+                  ),
+                  const SizedBox(height: 8),
+                  Text(
+                    'Afet Araç Takip Sistemine giriş yapın',
+                    style: Theme.of(context).textTheme.bodyLarge?.copyWith(
+                          color: Colors.black.withValues(alpha: 0.7),
                         ),
+                  ),
+                  const SizedBox(height: 32),
+                  CustomTextField(
+                    controller: _emailController,
+                    labelText: 'E-posta',
+                    hintText: 'E-posta adresinizi girin',
+                    keyboardType: TextInputType.emailAddress,
+                  ),
+                  const SizedBox(height: 16),
+                  CustomTextField(
+                    controller: _passwordController,
+                    labelText: 'Şifre',
+                    hintText: 'Şifrenizi girin',
+                    obscureText: true,
+                  ),
+                  Align(
+                    alignment: Alignment.centerRight,
+                    child: TextButton(
+                      onPressed: () =>
+                          Navigator.pushNamed(context, '/forgot-password'),
+                      child: const Text('Şifremi Unuttum'),
+                    ),
+                  ),
+                  Consumer<LoginViewModel>(
+                    builder: (context, viewModel, _) {
+                      if (viewModel.errorMessage != null) {
+                        return Padding(
+                          padding: const EdgeInsets.only(top: 8),
+                          child: Text(
+                            viewModel.errorMessage!,
+                            style: TextStyle(
+                              color: Theme.of(context).colorScheme.error,
+                              fontSize: 14,
+                            ),
+                          ),
+                        );
+                      }
+                      return const SizedBox(height: 8);
+                    },
+                  ),
+                  const SizedBox(height: 16),
+                  Consumer<LoginViewModel>(
+                    builder: (context, viewModel, _) {
+                      return CustomButton(
+                        onPressed: viewModel.isLoading
+                            ? null
+                            : () {
+                                debugPrint('Login button pressed');
+                                viewModel.login(
+                                  email: _emailController.text.trim(),
+                                  password: _passwordController.text,
+                                );
+                              },
+                        text: 'Giriş Yap',
+                        isLoading: viewModel.isLoading,
                       );
-                    }
-                    return const SizedBox(height: 8);
-                  },
-                ),
-                const SizedBox(height: 16),
-                Consumer<LoginViewModel>(
-                  builder: (context, viewModel, _) {
-                    return CustomButton(
-                      onPressed: viewModel.isLoading
-                          ? null
-                          : () {
-                              debugPrint('Login button pressed');
-                              viewModel.login(
-                                email: _emailController.text.trim(),
-                                password: _passwordController.text,
-                              );
-                            },
-                      text: 'Giriş Yap',
-                      isLoading: viewModel.isLoading,
-                    );
-                  },
-                ),
-                const SizedBox(height: 16),
-                CustomButton(
-                  onPressed: () {
-                    debugPrint('Register button pressed');
-                    Navigator.pushNamed(context, '/register');
-                  },
-                  text: 'Hesap Oluştur',
-                  isSecondary: true,
-                ),
-                const Spacer(),
-              ],
+                    },
+                  ),
+                  const SizedBox(height: 16),
+                  CustomButton(
+                    onPressed: () {
+                      debugPrint('Register button pressed');
+                      Navigator.pushNamed(context, '/register');
+                    },
+                    text: 'Hesap Oluştur',
+                    isSecondary: true,
+                  ),
+                  const Spacer(),
+                ],
+              ),
+            ),
+          ),
+        ),
+      ),
+    );
+  }
+
+  /// [_buildTwoFactorStep] Authenticator app or recovery code after the
+  /// password
+  Widget _buildTwoFactorStep(LoginViewModel viewModel) {
+    return Column(
+      crossAxisAlignment: CrossAxisAlignment.start,
+      children: [
+        const Spacer(),
+        Text(
+          'İki Adımlı Doğrulama',
+          style: Theme.of(context).textTheme.headlineMedium?.copyWith(
+                color: Colors.black,
+                fontWeight: FontWeight.bold,
+              ),
+        ),
+        const SizedBox(height: 8),
+        Text(
+          _useRecoveryCode
+              ? 'Kaydettiğiniz kurtarma kodlarından birini girin. Her kod '
+                  'yalnızca bir kez kullanılabilir.'
+              : 'Doğrulama uygulamanızdaki 6 haneli kodu girin.',
+          style: Theme.of(context).textTheme.bodyLarge?.copyWith(
+                color: Colors.black.withValues(alpha: 0.7),
+              ),
+        ),
+        const SizedBox(height: 32),
+        CustomTextField(
+          controller: _codeController,
+          labelText: _useRecoveryCode ? 'Kurtarma kodu' : 'Doğrulama kodu',
+          hintText: _useRecoveryCode ? 'XXXXX-XXXXX' : '6 haneli kod',
+          keyboardType:
+              _useRecoveryCode ? TextInputType.text : TextInputType.number,
+        ),
+        Align(
+          alignment: Alignment.centerRight,
+          child: TextButton(
+            onPressed: () {
+              setState(() {
+                _useRecoveryCode = !_useRecoveryCode;
+                _codeController.clear();
+              });
+            },
+            child: Text(
+              _useRecoveryCode ? 'Uygulama kodu kullan' : 'Kurtarma kodu kullan',
             ),
           ),
         ),
+        if (viewModel.errorMessage != null)
+          Padding(
+            padding: const EdgeInsets.only(top: 8),
+            child: Text(
+              viewModel.errorMessage!,
+              style: TextStyle(
+                color: Theme.of(context).colorScheme.error,
+                fontSize: 14,
+              ),
+            ),
+          ),
+        const SizedBox(height: 16),
+        CustomButton(
+          onPressed: viewModel.isLoading
+              ? null
+              : () => viewModel.verifyTwoFactor(code: _codeController.text),
+          text: 'Doğrula',
+          isLoading: viewModel.isLoading,
+        ),
+        const SizedBox(height: 16),
+        CustomButton(
+          onPressed: () {
+            _codeController.clear();
+            viewModel.cancelTwoFactor();
+          },
+          text: 'Girişe Dön',
+          isSecondary: true,
+        ),
+        const Spacer(),
+      ],
+    );
+  }
+
+  /// [_buildTwoFactorSetupStep] Mandatory two factor setup for roles that
+  /// require it; the sign in completes when the first code is verified
+  Widget _buildTwoFactorSetupStep(LoginViewModel viewModel) {
+    return SingleChildScrollView(
+      child: Column(
+        crossAxisAlignment: CrossAxisAlignment.stretch,
+        children: [
+          Text(
+            'İki Adımlı Doğrulama Kurulumu',
+            style: Theme.of(context).textTheme.headlineSmall?.copyWith(
+                  color: Colors.black,
+                  fontWeight: FontWeight.bold,
+                ),
+          ),
+          const SizedBox(height: 8),
+          Text(
+            'Rolünüz için iki adımlı doğrulama zorunludur. Giriş yapmak için '
+            'önce doğrulama uygulamanızı bağlayın.',
+            style: Theme.of(context).textTheme.bodyLarge?.copyWith(
+                  color: Colors.black.withValues(alpha: 0.7),
+                ),
+          ),
+          const SizedBox(height: 24),
+          TwoFactorSetupCard(
+            twoFactorToken: viewModel.twoFactorToken,
+            onCompleted: viewModel.completeTwoFactorSetup,
+            onCancel: viewModel.cancelTwoFactor,
+          ),
+        ],
       ),
     );
   }
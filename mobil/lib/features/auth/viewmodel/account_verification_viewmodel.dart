@@ -0,0 +1,142 @@
+import 'package:afet_arac_takip/features/auth/model/user_model.dart';
+import 'package:afet_arac_takip/product/cache/local_storage.dart';
+import 'package:afet_arac_takip/product/network/network_manager.dart';
+import 'package:dio/dio.dart';
+import 'package:flutter/material.dart';
+
+/// Account verification view model; verifies the phone number with the SMS
+/// code and resends the e-mail verification link
+class AccountVerificationViewModel extends ChangeNotifier {
+  /// Creates the view model with the verification state of the stored user
+  AccountVerificationViewModel() {
+    _user = _localStorage.getUser();
+    refreshStatus();
+  }
+
+  final NetworkManager _networkManager = NetworkManager.instance;
+  final LocalStorage _localStorage = LocalStorage.instance;
+
+  User? _user;
+  User? get user => _user;
+
+  bool get isPhoneVerified => _user?.telefonDogrulandi ?? false;
+  bool get isEmailVerified => _user?.emailDogrulandi ?? false;
+
+  bool _isLoading = false;
+  bool get isLoading => _isLoading;
+
+  String? _errorMessage;
+  String? get errorMessage => _errorMessage;
+
+  String? _infoMessage;
+  String? get infoMessage => _infoMessage;
+
+  set isLoading(bool value) {
+    _isLoading = value;
+    notifyListeners();
+  }
+
+  void _setMessages({String? error, String? info}) {
+    _errorMessage = error;
+    _infoMessage = info;
+    notifyListeners();
+  }
+
+  Options get _options => Options(
+        validateStatus: (status) => status != null && status < 500,
+      );
+
+  /// [refreshStatus] Reload verification flags from the server; the e-mail
+  /// link may have been opened on another device
+  Future<void> refreshStatus() async {
+    try {
+      final response = await _networkManager.dio
+          .get<Map<String, dynamic>>('/auth/hesabim', options: _options);
+      final kullanici = response.data?['kullanici'] as Map<String, dynamic>?;
+      if (response.statusCode == 200 && kullanici != null) {
+        await _updateUser(
+          emailDogrulandi: kullanici['emailDogrulandi'] as bool? ?? false,
+          telefonDogrulandi: kullanici['telefonDogrulandi'] as bool? ?? false,
+        );
+      }
+    } on Exception catch (e) {
+      debugPrint('[AccountVerificationViewModel.refreshStatus] Error: $e');
+    }
+  }
+
+  /// [sendPhoneCode] Send a new 6 digit code to the user's phone
+  Future<void> sendPhoneCode() async {
+    await _post('/auth/telefon-dogrulama/gonder');
+  }
+
+  /// [resendEmailLink] Send the e-mail verification link again
+  Future<void> resendEmailLink() async {
+    await _post('/auth/email-dogrulama/gonder');
+  }
+
+  /// [verifyPhoneCode] Verify the phone number with the received code
+  Future<bool> verifyPhoneCode(String code) async {
+    if (!RegExp(r'^\d{6}$').hasMatch(code)) {
+      _setMessages(error: '6 haneli doğrulama kodunu giriniz');
+      return false;
+    }
+
+    final success = await _post(
+      '/auth/telefon-dogrulama',
+      data: {'kod': code},
+    );
+    if (success) {
+      await _updateUser(telefonDogrulandi: true);
+    }
+    return success;
+  }
+
+  Future<bool> _post(String path, {Map<String, dynamic>? data}) async {
+    try {
+      _setMessages();
+      isLoading = true;
+
+      final response = await _networkManager.dio.post<Map<String, dynamic>>(
+        path,
+        data: data,
+        options: _options,
+      );
+
+      if (response.statusCode == 200) {
+        _setMessages(info: response.data?['message'] as String?);
+        return true;
+      }
+      _setMessages(
+        error: response.data?['error'] as String? ?? 'İşlem başarısız',
+      );
+    } on DioException catch (e) {
+      debugPrint('[AccountVerificationViewModel] DioError: ${e.message}');
+      _setMessages(
+        error: e.response?.data?['error'] as String? ??
+            'Sunucuya bağlanılamadı. Lütfen tekrar deneyin.',
+      );
+    } on Exception catch (e) {
+      debugPrint('[AccountVerificationViewModel] Error: $e');
+      _setMessages(error: 'Beklenmeyen bir hata oluştu');
+    } finally {
+      isLoading = false;
+    }
+    return false;
+  }
+
+  Future<void> _updateUser({
+    bool? emailDogrulandi,
+    bool? telefonDogrulandi,
+  }) async {
+    final current = _user;
+    if (current == null) return;
+
+    _user = User.fromJson({
+      ...current.toJson(),
+      if (emailDogrulandi != null) 'emailDogrulandi': emailDogrulandi,
+      if (telefonDogrulandi != null) 'telefonDogrulandi': telefonDogrulandi,
+    });
+    await _localStorage.setUser(_user!);
+    notifyListeners();
+  }
+}
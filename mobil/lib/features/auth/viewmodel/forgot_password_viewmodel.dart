@@ -0,0 +1,66 @@
+import 'package:afet_arac_takip/product/network/network_manager.dart';
+import 'package:dio/dio.dart';
+import 'package:flutter/material.dart';
+
+/// Forgot password view model; requests a password reset link by e-mail
+class ForgotPasswordViewModel extends ChangeNotifier {
+  final NetworkManager _networkManager = NetworkManager.instance;
+
+  bool _isLoading = false;
+  bool get isLoading => _isLoading;
+
+  String? _errorMessage;
+  String? get errorMessage => _errorMessage;
+
+  /// Whether the request was accepted; the server answers the same way for
+  /// unknown addresses so the screen only shows a generic notice
+  bool _isSent = false;
+  bool get isSent => _isSent;
+
+  set isLoading(bool value) {
+    _isLoading = value;
+    notifyListeners();
+  }
+
+  void _setError(String? message) {
+    _errorMessage = message;
+    notifyListeners();
+  }
+
+  /// Request a reset link for the given e-mail address
+  Future<void> requestResetLink({required String email}) async {
+    if (email.isEmpty) {
+      _setError('E-posta adresinizi girin');
+      return;
+    }
+
+    try {
+      _setError(null);
+      isLoading = true;
+
+      final response = await _networkManager.dio.post<Map<String, dynamic>>(
+        '/auth/sifremi-unuttum',
+        data: {'email': email},
+        options: Options(
+          validateStatus: (status) => status != null && status < 500,
+        ),
+      );
+
+      if (response.statusCode == 200) {
+        _isSent = true;
+      } else {
+        _setError(
+          response.data?['error'] as String? ?? 'İstek gönderilemedi',
+        );
+      }
+    } on DioException catch (e) {
+      debugPrint('[ForgotPasswordViewModel] DioError: ${e.message}');
+      _setError('Sunucuya bağlanılamadı. Lütfen tekrar deneyin.');
+    } on Exception catch (e) {
+      debugPrint('[ForgotPasswordViewModel] Error: $e');
+      _setError('Beklenmeyen bir hata oluştu');
+    } finally {
+      isLoading = false;
+    }
+  }
+}
@@ -1,10 +1,23 @@
 import 'package:afet_arac_takip/core/init/navigation/navigation_service.dart';
 import 'package:afet_arac_takip/features/auth/model/user_model.dart';
 import 'package:afet_arac_takip/product/cache/local_storage.dart';
+import 'package:afet_arac_takip/product/network/live_event_service.dart';
 import 'package:afet_arac_takip/product/network/network_manager.dart';
 import 'package:dio/dio.dart';
 import 'package:flutter/material.dart';
 
+/// Steps of the sign in flow
+enum LoginStep {
+  /// E-mail and password
+  password,
+
+  /// Authenticator app or recovery code after the password
+  twoFactor,
+
+  /// Mandatory two factor setup before the first sign in
+  twoFactorSetup,
+}
+
 /// Login view model
 class LoginViewModel extends ChangeNotifier {
   final NetworkManager _networkManager = NetworkManager.instance;
@@ -17,6 +30,14 @@ class LoginViewModel extends ChangeNotifier {
   String? _errorMessage;
   String? get errorMessage => _errorMessage;
 
+  LoginStep _step = LoginStep.password;
+  LoginStep get step => _step;
+
+  /// Short lived token returned after the password when a second step is
+  /// required; it cannot be used as an access token
+  String? _twoFactorToken;
+  String? get twoFactorToken => _twoFactorToken;
+
   set isLoading(bool value) {
     _isLoading = value;
     notifyListeners();
@@ -103,31 +124,19 @@ class LoginViewModel extends ChangeNotifier {
       if (response.statusCode == 200 && response.data != null) {
         final data = response.data!;
 
-        final token = data['token'] as String?;
-        final user = data['kullanici'] as Map<String, dynamic>?;
-
-        if (token == null || user == null) {
-          throw Exception('Sunucudan geçersiz yanıt alındı');
+        // Şifre doğru; iki adımlı doğrulama açık ya da zorunluysa oturum
+        // ikinci adımdan sonra açılır
+        if (data['ikiAdimliGerekli'] == true ||
+            data['ikiAdimliKurulumGerekli'] == true) {
+          _twoFactorToken = data['ikiAdimliToken'] as String?;
+          _step = data['ikiAdimliGerekli'] == true
+              ? LoginStep.twoFactor
+              : LoginStep.twoFactorSetup;
+          notifyListeners();
+          return;
         }
 
-        await _localStorage.setToken(token);
-        final userModel = User.fromJson(user);
-
-        // Kullanıcının kurum bilgisini zenginleştir
-        final enhancedUserModel =
-            await _enhanceUserWithInstitutionData(userModel);
-
-        await _localStorage.setUser(enhancedUserModel);
-        debugPrint('[LoginViewModel] Token and user data saved');
-
-        // Navigate based on user role
-        var initialRoute = '/main';
-        if (userModel.isBeklemede) {
-          initialRoute = '/pending-approval';
-        }
-
-        await _navigationService.navigateToPageClear(path: initialRoute);
-        debugPrint('[LoginViewModel] Navigation to $initialRoute completed');
+        await completeLogin(data);
       } else {
         final errorMessage =
             response.data?['error'] as String? ?? 'Giriş başarısız';
@@ -167,6 +176,106 @@ class LoginViewModel extends ChangeNotifier {
     }
   }
 
+  /// [completeLogin] Save the tokens and the user from a sign in response
+  /// and open the home page
+  Future<void> completeLogin(Map<String, dynamic> data) async {
+    final token = data['token'] as String?;
+    final user = data['kullanici'] as Map<String, dynamic>?;
+
+    if (token == null || user == null) {
+      throw Exception('Sunucudan geçersiz yanıt alındı');
+    }
+
+    await _localStorage.setToken(token);
+    final refreshToken = data['yenilemeTokeni'] as String?;
+    if (refreshToken != null) {
+      await _localStorage.setRefreshToken(refreshToken);
+    }
+    LiveEventService.instance.reconnect();
+    final userModel = User.fromJson(user);
+
+    // Kullanıcının kurum bilgisini zenginleştir
+    final enhancedUserModel =
+        await _enhanceUserWithInstitutionData(userModel);
+
+    await _localStorage.setUser(enhancedUserModel);
+    debugPrint('[LoginViewModel] Token and user data saved');
+
+    // Navigate based on user role
+    var initialRoute = '/main';
+    if (userModel.isBeklemede) {
+      initialRoute = '/pending-approval';
+    }
+
+    await _navigationService.navigateToPageClear(path: initialRoute);
+    debugPrint('[LoginViewModel] Navigation to $initialRoute completed');
+  }
+
+  /// [verifyTwoFactor] Complete the sign in with an authenticator app code
+  /// or a recovery code
+  Future<void> verifyTwoFactor({required String code}) async {
+    if (code.trim().isEmpty) {
+      _setError('Doğrulama kodunu girin');
+      return;
+    }
+
+    try {
+      _setError(null);
+      isLoading = true;
+
+      final response = await _networkManager.dio.post<Map<String, dynamic>>(
+        '/auth/iki-adimli/dogrula',
+        data: {
+          'ikiAdimliToken': _twoFactorToken,
+          'kod': code.trim(),
+          'isMobile': true,
+        },
+        options: Options(
+          validateStatus: (status) => status != null && status < 500,
+        ),
+      );
+
+      if (response.statusCode == 200 && response.data != null) {
+        await completeLogin(response.data!);
+        return;
+      }
+
+      // Token süresi dolduysa ya da hesap kilitlendiyse şifre adımına dönülür
+      if (response.statusCode == 401 || response.statusCode == 423) {
+        cancelTwoFactor();
+      }
+      _setError(response.data?['error'] as String? ?? 'Doğrulama başarısız');
+    } on DioException catch (e) {
+      debugPrint('[LoginViewModel.verifyTwoFactor] DioError: ${e.message}');
+      _setError('Sunucuya bağlanılamadı. İnternet bağlantınızı kontrol edin.');
+    } on Exception catch (e) {
+      debugPrint('[LoginViewModel.verifyTwoFactor] Error: $e');
+      _setError(e.toString().replaceAll('Exception: ', ''));
+    } finally {
+      isLoading = false;
+    }
+  }
+
+  /// [completeTwoFactorSetup] Finish the sign in after the mandatory two
+  /// factor setup; the enable response already contains the session tokens
+  Future<void> completeTwoFactorSetup(Map<String, dynamic> data) async {
+    try {
+      _setError(null);
+      await completeLogin(data);
+    } on Exception catch (e) {
+      debugPrint('[LoginViewModel.completeTwoFactorSetup] Error: $e');
+      cancelTwoFactor();
+      _setError(e.toString().replaceAll('Exception: ', ''));
+    }
+  }
+
+  /// [cancelTwoFactor] Go back to the password step
+  void cancelTwoFactor() {
+    _twoFactorToken = null;
+    _step = LoginStep.password;
+    notifyListeners();
+  }
+
   /// [_enhanceUserWithInstitutionData] fetches institution data and enhances user model
   Future<User> _enhanceUserWithInstitutionData(User user) async {
     // Eğer kullanıcının kurum ID'si yoksa, orijinal user'ı döndür
@@ -216,6 +325,10 @@ class LoginViewModel extends ChangeNotifier {
               rol: user.rol,
               kurumFirmaId: enhancedKurumFirma,
               kullaniciBeyanBilgileri: user.kullaniciBeyanBilgileri,
+              emailDogrulandi: user.emailDogrulandi,
+              telefonDogrulandi: user.telefonDogrulandi,
+              ikiAdimliAktif: user.ikiAdimliAktif,
+              yetkiler: user.yetkiler,
             );
           }
         }
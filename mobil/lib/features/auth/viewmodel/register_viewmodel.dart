@@ -76,7 +76,9 @@ class RegisterViewModel extends ChangeNotifier {
         ),
       );
 
-      if (response.statusCode == 200 && response.data != null) {
+      // Sunucu yeni kayıt için 201 döner
+      if ((response.statusCode == 200 || response.statusCode == 201) &&
+          response.data != null) {
         final data = response.data!;
 
         final token = data['token'] as String?;
@@ -87,11 +89,18 @@ class RegisterViewModel extends ChangeNotifier {
         }
 
         await _localStorage.setToken(token);
+        final refreshToken = data['yenilemeTokeni'] as String?;
+        if (refreshToken != null) {
+          await _localStorage.setRefreshToken(refreshToken);
+        }
         final user = User.fromJson(userJson);
         await _localStorage.setUser(user);
 
-        // Navigate to main layout (new users with 'beklemede' status will be redirected)
-        await _navigationService.navigateToPageClear(path: '/main');
+        // Verification code and e-mail link are sent on register; the user
+        // enters the SMS code before continuing to the main layout
+        await _navigationService.navigateToPageClear(
+          path: '/account-verification',
+        );
       } else {
         final errorMessage =
             response.data?['error'] as String? ?? 'Kayıt başarısız';
@@ -0,0 +1,285 @@
+import 'dart:convert';
+
+import 'package:afet_arac_takip/product/network/network_manager.dart';
+import 'package:dio/dio.dart';
+import 'package:flutter/cupertino.dart';
+import 'package:flutter/services.dart';
+
+/// [TwoFactorSetupCard] links an authenticator app with a QR code, verifies
+/// the first code and shows the recovery codes once.
+///
+/// Used from the profile (with the session) and during sign in when two
+/// factor authentication is mandatory (with [twoFactorToken]).
+class TwoFactorSetupCard extends StatefulWidget {
+  /// Creates the two factor setup card
+  const TwoFactorSetupCard({
+    required this.onCompleted,
+    this.twoFactorToken,
+    this.onCancel,
+    super.key,
+  });
+
+  /// Short lived token returned by `/auth/girisyap` for mandatory setup
+  final String? twoFactorToken;
+
+  /// Called with the response of `/auth/iki-adimli/etkinlestir` after the
+  /// user has seen the recovery codes
+  final Future<void> Function(Map<String, dynamic> data) onCompleted;
+
+  /// Called when the user leaves the setup
+  final VoidCallback? onCancel;
+
+  @override
+  State<TwoFactorSetupCard> createState() => _TwoFactorSetupCardState();
+}
+
+class _TwoFactorSetupCardState extends State<TwoFactorSetupCard> {
+  final NetworkManager _networkManager = NetworkManager.instance;
+  final TextEditingController _codeController = TextEditingController();
+
+  Map<String, dynamic>? _setup;
+  Map<String, dynamic>? _result;
+  bool _isLoading = true;
+  bool _isSubmitting = false;
+  String? _error;
+
+  @override
+  void initState() {
+    super.initState();
+    _loadSetup();
+  }
+
+  @override
+  void dispose() {
+    _codeController.dispose();
+    super.dispose();
+  }
+
+  Future<Response<Map<String, dynamic>>> _post(
+    String path, [
+    Map<String, dynamic> data = const {},
+  ]) {
+    return _networkManager.dio.post<Map<String, dynamic>>(
+      '/auth/iki-adimli/$path',
+      data: {
+        ...data,
+        if (widget.twoFactorToken != null)
+          'ikiAdimliToken': widget.twoFactorToken,
+      },
+      options: Options(
+        validateStatus: (status) => status != null && status < 500,
+      ),
+    );
+  }
+
+  /// [_loadSetup] Create a new secret and QR code for the authenticator app
+  Future<void> _loadSetup() async {
+    try {
+      final response = await _post('kurulum');
+      if (response.statusCode == 200 && response.data != null) {
+        _setup = response.data;
+      } else {
+        _error = response.data?['error'] as String? ?? 'Kurulum başlatılamadı';
+      }
+    } on Exception catch (e) {
+      debugPrint('[TwoFactorSetupCard._loadSetup] Error: $e');
+      _error = 'Kurulum başlatılamadı';
+    } finally {
+      if (mounted) {
+        setState(() {
+          _isLoading = false;
+        });
+      }
+    }
+  }
+
+  /// [_enable] Verify the first code from the app and enable two factor
+  Future<void> _enable() async {
+    final code = _codeController.text.trim();
+    if (code.length != 6) {
+      setState(() {
+        _error = '6 haneli kodu girin';
+      });
+      return;
+    }
+
+    setState(() {
+      _isSubmitting = true;
+      _error = null;
+    });
+
+    try {
+      final response = await _post('etkinlestir', {'kod': code});
+      if (response.statusCode == 200 && response.data != null) {
+        _result = response.data;
+      } else {
+        _codeController.clear();
+        _error = response.data?['error'] as String? ?? 'Kod doğrulanamadı';
+      }
+    } on Exception catch (e) {
+      debugPrint('[TwoFactorSetupCard._enable] Error: $e');
+      _error = 'Kod doğrulanamadı';
+    } finally {
+      if (mounted) {
+        setState(() {
+          _isSubmitting = false;
+        });
+      }
+    }
+  }
+
+  @override
+  Widget build(BuildContext context) {
+    if (_isLoading) {
+      return const Padding(
+        padding: EdgeInsets.all(20),
+        child: Center(child: CupertinoActivityIndicator()),
+      );
+    }
+
+    if (_result != null) {
+      final codes =
+          (_result!['kurtarmaKodlari'] as List<dynamic>? ?? []).cast<String>();
+      return Column(
+        crossAxisAlignment: CrossAxisAlignment.stretch,
+        children: [
+          const Text(
+            'İki adımlı doğrulama etkinleştirildi.',
+            style: TextStyle(
+              fontSize: 15,
+              fontWeight: FontWeight.w600,
+              color: CupertinoColors.systemGreen,
+            ),
+          ),
+          const SizedBox(height: 12),
+          RecoveryCodesList(codes: codes),
+          const SizedBox(height: 16),
+          CupertinoButton.filled(
+            onPressed: () => widget.onCompleted(_result!),
+            child: const Text('Kodları Kaydettim, Devam Et'),
+          ),
+        ],
+      );
+    }
+
+    return Column(
+      crossAxisAlignment: CrossAxisAlignment.stretch,
+      children: [
+        if (_setup != null) ...[
+          const Text(
+            'Google Authenticator gibi bir doğrulama uygulamasıyla QR kodu '
+            'taratın ya da anahtarı elle girin, ardından uygulamadaki 6 '
+            'haneli kodu yazın.',
+            style: TextStyle(fontSize: 14, color: CupertinoColors.systemGrey),
+          ),
+          const SizedBox(height: 16),
+          Center(
+            child: Image.memory(
+              base64Decode((_setup!['qrKod'] as String).split(',').last),
+              width: 180,
+              height: 180,
+            ),
+          ),
+          const SizedBox(height: 8),
+          CupertinoButton(
+            padding: EdgeInsets.zero,
+            onPressed: () => Clipboard.setData(
+              ClipboardData(text: _setup!['gizliAnahtar'] as String),
+            ),
+            child: Text(
+              _setup!['gizliAnahtar'] as String,
+              textAlign: TextAlign.center,
+              style: const TextStyle(fontSize: 13, fontFamily: 'monospace'),
+            ),
+          ),
+          const SizedBox(height: 16),
+          CupertinoTextField(
+            controller: _codeController,
+            placeholder: '6 haneli kod',
+            keyboardType: TextInputType.number,
+            maxLength: 6,
+            textAlign: TextAlign.center,
+            inputFormatters: [FilteringTextInputFormatter.digitsOnly],
+            padding: const EdgeInsets.all(14),
+          ),
+        ],
+        if (_error != null)
+          Padding(
+            padding: const EdgeInsets.only(top: 8),
+            child: Text(
+              _error!,
+              style: const TextStyle(
+                fontSize: 14,
+                color: CupertinoColors.systemRed,
+              ),
+            ),
+          ),
+        const SizedBox(height: 16),
+        if (_setup != null)
+          CupertinoButton.filled(
+            onPressed: _isSubmitting ? null : _enable,
+            child: _isSubmitting
+                ? const CupertinoActivityIndicator(
+                    color: CupertinoColors.white,
+                  )
+                : const Text('Etkinleştir'),
+          ),
+        if (widget.onCancel != null)
+          CupertinoButton(
+            onPressed: _isSubmitting ? null : widget.onCancel,
+            child: const Text('Vazgeç'),
+          ),
+      ],
+    );
+  }
+}
+
+/// [RecoveryCodesList] shows newly generated recovery codes with a copy
+/// action; the codes are not shown again
+class RecoveryCodesList extends StatelessWidget {
+  /// Creates the recovery code list
+  const RecoveryCodesList({required this.codes, super.key});
+
+  /// Recovery codes returned by the server
+  final List<String> codes;
+
+  @override
+  Widget build(BuildContext context) {
+    return Column(
+      crossAxisAlignment: CrossAxisAlignment.stretch,
+      children: [
+        const Text(
+          'Bu kurtarma kodlarını güvenli bir yerde saklayın; bir daha '
+          'gösterilmeyecek. Doğrulama uygulamanıza erişemezseniz her kodu '
+          'bir kez kullanarak giriş yapabilirsiniz.',
+          style: TextStyle(fontSize: 14, color: CupertinoColors.systemOrange),
+        ),
+        const SizedBox(height: 12),
+        Container(
+          padding: const EdgeInsets.all(12),
+          decoration: BoxDecoration(
+            color: CupertinoColors.systemGrey6,
+            borderRadius: BorderRadius.circular(12),
+          ),
+          child: Wrap(
+            spacing: 24,
+            runSpacing: 8,
+            alignment: WrapAlignment.center,
+            children: [
+              for (final code in codes)
+                Text(
+                  code,
+                  style: const TextStyle(fontSize: 15, fontFamily: 'monospace'),
+                ),
+            ],
+          ),
+        ),
+        CupertinoButton(
+          onPressed: () =>
+              Clipboard.setData(ClipboardData(text: codes.join('\n'))),
+          child: const Text('Kodları Kopyala'),
+        ),
+      ],
+    );
+  }
+}
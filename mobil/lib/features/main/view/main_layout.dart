@@ -9,6 +9,94 @@ import 'package:afet_arac_takip/features/vehicles/view/vehicles_view.dart';
 import 'package:afet_arac_takip/product/cache/local_storage.dart';
 import 'package:flutter/material.dart';
 
+/// A bottom navigation tab of [MainLayout]
+class _MainTab {
+  const _MainTab({required this.page, required this.item, this.permission});
+
+  final Widget page;
+  final BottomNavigationBarItem item;
+
+  /// Permission the tab needs (see `yetkiler` of [User]); null for tabs
+  /// every signed in user sees
+  final String? permission;
+}
+
+/// Every tab in display order; each user sees the ones their role's
+/// permissions allow
+const _tabs = [
+  _MainTab(
+    page: PanelView(),
+    item: BottomNavigationBarItem(icon: Icon(Icons.dashboard), label: 'Panel'),
+  ),
+  _MainTab(
+    page: RequestsView(), // Will show KoordinatorRequestsView
+    item: BottomNavigationBarItem(
+      icon: Icon(Icons.assignment),
+      label: 'Talepler',
+    ),
+    permission: 'talep.read.any',
+  ),
+  _MainTab(
+    page: RequestsView(), // Will show user's own requests
+    item: BottomNavigationBarItem(
+      icon: Icon(Icons.assignment),
+      label: 'Taleplerim',
+    ),
+    permission: 'talep.read.own',
+  ),
+  _MainTab(
+    page: MyVehiclesView(),
+    item: BottomNavigationBarItem(
+      icon: Icon(Icons.directions_car),
+      label: 'Araçlarım',
+    ),
+    permission: 'arac.read.own',
+  ),
+  _MainTab(
+    page: TasksView(),
+    item: BottomNavigationBarItem(
+      icon: Icon(Icons.task_alt),
+      label: 'Görevler',
+    ),
+    permission: 'gorev.read.any',
+  ),
+  _MainTab(
+    page: MyTasksView(),
+    item: BottomNavigationBarItem(
+      icon: Icon(Icons.assignment_turned_in),
+      label: 'Görevlerim',
+    ),
+    permission: 'gorev.delivery.own',
+  ),
+  _MainTab(
+    page: TasksView(), // Will show task tracking
+    item: BottomNavigationBarItem(
+      icon: Icon(Icons.track_changes),
+      label: 'Görev Takibi',
+    ),
+    permission: 'gorev.delivery.confirm.own',
+  ),
+  _MainTab(
+    page: VehiclesView(),
+    item: BottomNavigationBarItem(
+      icon: Icon(Icons.local_shipping),
+      label: 'Araçlar',
+    ),
+    permission: 'arac.read.any',
+  ),
+  _MainTab(
+    page: NotificationsView(),
+    item: BottomNavigationBarItem(
+      icon: Icon(Icons.notifications),
+      label: 'Bildirimler',
+    ),
+  ),
+  _MainTab(
+    page: ProfileView(),
+    item: BottomNavigationBarItem(icon: Icon(Icons.person), label: 'Profil'),
+  ),
+];
+
 /// Main layout with bottom navigation
 class MainLayout extends StatefulWidget {
   /// Creates a main layout
@@ -47,121 +135,24 @@ class _MainLayoutState extends State<MainLayout> {
     super.dispose();
   }
 
-  List<Widget> _getPages() {
-    final user = LocalStorage.instance.getUser();
-    if (user == null) return [];
-
-    if (user.isKoordinator) {
-      return const [
-        PanelView(),
-        RequestsView(), // Will show KoordinatorRequestsView
-        TasksView(),
-        VehiclesView(),
-        ProfileView(),
-      ];
-    } else if (user.isAracSahibi) {
-      return [
-        const PanelView(),
-        const MyVehiclesView(),
-        const MyTasksView(),
-        const NotificationsView(),
-        const ProfileView(),
-      ];
-    } else if (user.isTalepEden) {
-      return const [
-        PanelView(),
-        RequestsView(), // Will show user's own requests
-        TasksView(), // Will show task tracking
-        NotificationsView(),
-        ProfileView(),
-      ];
-    }
-    return [];
-  }
-
-  List<BottomNavigationBarItem> _getNavItems() {
+  /// [_getTabs] Tabs the signed in user's permissions allow
+  List<_MainTab> _getTabs() {
     final user = LocalStorage.instance.getUser();
     if (user == null) return [];
 
-    if (user.isKoordinator) {
-      return const [
-        BottomNavigationBarItem(
-          icon: Icon(Icons.dashboard),
-          label: 'Panel',
-        ),
-        BottomNavigationBarItem(
-          icon: Icon(Icons.assignment),
-          label: 'Talepler',
-        ),
-        BottomNavigationBarItem(
-          icon: Icon(Icons.task_alt),
-          label: 'Görevler',
-        ),
-        BottomNavigationBarItem(
-          icon: Icon(Icons.local_shipping),
-          label: 'Araçlar',
-        ),
-        BottomNavigationBarItem(
-          icon: Icon(Icons.person),
-          label: 'Profil',
-        ),
-      ];
-    } else if (user.isAracSahibi) {
-      return const [
-        BottomNavigationBarItem(
-          icon: Icon(Icons.dashboard),
-          label: 'Panel',
-        ),
-        BottomNavigationBarItem(
-          icon: Icon(Icons.directions_car),
-          label: 'Araçlarım',
-        ),
-        BottomNavigationBarItem(
-          icon: Icon(Icons.assignment_turned_in),
-          label: 'Görevlerim',
-        ),
-        BottomNavigationBarItem(
-          icon: Icon(Icons.notifications),
-          label: 'Bildirimler',
-        ),
-        BottomNavigationBarItem(
-          icon: Icon(Icons.person),
-          label: 'Profil',
-        ),
-      ];
-    } else if (user.isTalepEden) {
-      return const [
-        BottomNavigationBarItem(
-          icon: Icon(Icons.dashboard),
-          label: 'Panel',
-        ),
-        BottomNavigationBarItem(
-          icon: Icon(Icons.assignment),
-          label: 'Taleplerim',
-        ),
-        BottomNavigationBarItem(
-          icon: Icon(Icons.track_changes),
-          label: 'Görev Takibi',
-        ),
-        BottomNavigationBarItem(
-          icon: Icon(Icons.notifications),
-          label: 'Bildirimler',
-        ),
-        BottomNavigationBarItem(
-          icon: Icon(Icons.person),
-          label: 'Profil',
-        ),
-      ];
-    }
-    return [];
+    return _tabs
+        .where(
+          (tab) =>
+              tab.permission == null || user.hasPermission(tab.permission!),
+        )
+        .toList();
   }
 
   @override
   Widget build(BuildContext context) {
-    final pages = _getPages();
-    final navItems = _getNavItems();
+    final tabs = _getTabs();
 
-    if (pages.isEmpty || navItems.isEmpty) {
+    if (tabs.isEmpty) {
       return const Scaffold(
         body: Center(
           child: Text('Kullanıcı bilgisi bulunamadı'),
@@ -177,7 +168,7 @@ class _MainLayoutState extends State<MainLayout> {
             _currentIndex = index;
           });
         },
-        children: pages,
+        children: tabs.map((tab) => tab.page).toList(),
       ),
       bottomNavigationBar: NavigationBar(
         selectedIndex: _currentIndex,
@@ -191,10 +182,10 @@ class _MainLayoutState extends State<MainLayout> {
             curve: Curves.easeInOut,
           );
         },
-        destinations: navItems.map((item) {
+        destinations: tabs.map((tab) {
           return NavigationDestination(
-            icon: item.icon,
-            label: item.label!,
+            icon: tab.item.icon,
+            label: tab.item.label!,
           );
         }).toList(),
       ),
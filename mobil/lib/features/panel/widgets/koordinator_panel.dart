@@ -286,7 +286,10 @@ class _KoordinatorPanelState extends State<KoordinatorPanel> {
         'toplam': kullanicilar.length,
         'beklemede': kullanicilar.where((k) => k['rol'] == 'beklemede').length,
         'koordinator':
-            kullanicilar.where((k) => k['rol'] == 'koordinator').length,
+            kullanicilar
+                .where((k) =>
+                    k['rol'] == 'koordinator' || k['rol'] == 'super_koordinator')
+                .length,
         'arac_sahibi':
             kullanicilar.where((k) => k['rol'] == 'arac_sahibi').length,
         'talep_eden':
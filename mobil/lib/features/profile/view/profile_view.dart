@@ -1,6 +1,9 @@
 import 'package:afet_arac_takip/core/init/navigation/navigation_service.dart';
 import 'package:afet_arac_takip/features/auth/model/user_model.dart';
+import 'package:afet_arac_takip/features/profile/widgets/session_list_card.dart';
+import 'package:afet_arac_takip/features/profile/widgets/two_factor_card.dart';
 import 'package:afet_arac_takip/product/cache/local_storage.dart';
+import 'package:afet_arac_takip/product/network/live_event_service.dart';
 import 'package:afet_arac_takip/product/network/network_manager.dart';
 import 'package:flutter/cupertino.dart';
 
@@ -149,9 +152,19 @@ class _ProfileViewState extends State<ProfileView>
     });
 
     try {
-      // [ProfileView._performLogout] Clear local storage and navigate to login
-      await _localStorage.clear();
-      await _navigationService.navigateToPageClear(path: '/login');
+      // [ProfileView._performLogout] Close this device's session on the server
+      try {
+        await _networkManager.dio.post<Map<String, dynamic>>(
+          '/auth/cikisyap',
+          data: {
+            'isMobile': true,
+            'yenilemeTokeni': _localStorage.getRefreshToken(),
+          },
+        );
+      } on Exception catch (e) {
+        debugPrint('[ProfileView._performLogout] Server logout failed: $e');
+      }
+      await _clearSessionAndExit();
     } on Exception catch (e) {
       debugPrint('[ProfileView._performLogout] Logout error: $e');
       // Even if there's an error, still navigate to login
@@ -165,6 +178,14 @@ class _ProfileViewState extends State<ProfileView>
     }
   }
 
+  /// [_clearSessionAndExit] Clear local storage and navigate to login
+  Future<void> _clearSessionAndExit() async {
+    await _localStorage.clear();
+    // Drop the live event stream opened with the old token
+    LiveEventService.instance.reconnect();
+    await _navigationService.navigateToPageClear(path: '/login');
+  }
+
   @override
   Widget build(BuildContext context) {
     return CupertinoPageScaffold(
@@ -213,8 +234,16 @@ class _ProfileViewState extends State<ProfileView>
                 _buildProfileHeader(),
                 const SizedBox(height: 30),
                 _buildProfileInfoCard(),
+                if (!_user!.emailDogrulandi || !_user!.telefonDogrulandi) ...[
+                  const SizedBox(height: 12),
+                  _buildVerificationButton(),
+                ],
                 const SizedBox(height: 20),
                 _buildInstitutionCard(),
+                const SizedBox(height: 20),
+                TwoFactorCard(onChanged: _updateTwoFactor),
+                const SizedBox(height: 20),
+                SessionListCard(onCurrentSessionClosed: _clearSessionAndExit),
                 const SizedBox(height: 30),
                 _buildLogoutButton(),
                 const SizedBox(height: 40),
@@ -352,6 +381,47 @@ class _ProfileViewState extends State<ProfileView>
     );
   }
 
+  /// [_updateTwoFactor] Keep the stored user in sync after two factor is
+  /// enabled or turned off
+  Future<void> _updateTwoFactor(bool enabled) async {
+    final current = _localStorage.getUser();
+    if (current == null) return;
+
+    final user = User.fromJson({...current.toJson(), 'ikiAdimliAktif': enabled});
+    await _localStorage.setUser(user);
+    if (!mounted) return;
+    setState(() {
+      _user = user;
+    });
+  }
+
+  /// [_buildVerificationButton] Open the account verification page and
+  /// reload the stored user when returning
+  Widget _buildVerificationButton() {
+    return SizedBox(
+      width: double.infinity,
+      child: CupertinoButton(
+        color: CupertinoColors.systemOrange,
+        borderRadius: BorderRadius.circular(16),
+        onPressed: () async {
+          await Navigator.pushNamed(context, '/account-verification');
+          if (!mounted) return;
+          setState(() {
+            _user = _localStorage.getUser();
+          });
+        },
+        child: const Text(
+          'E-posta ve Telefonu Doğrula',
+          style: TextStyle(
+            fontSize: 16,
+            fontWeight: FontWeight.w600,
+            color: CupertinoColors.white,
+          ),
+        ),
+      ),
+    );
+  }
+
   /// [_buildInstitutionCard] Build institution information card
   Widget _buildInstitutionCard() {
     final kurumAdi = _getInstitutionName();
@@ -527,6 +597,7 @@ class _ProfileViewState extends State<ProfileView>
   Color _getRoleColor() {
     switch (_user?.rol) {
       case 'koordinator':
+      case 'super_koordinator':
         return CupertinoColors.systemPurple;
       case 'arac_sahibi':
         return CupertinoColors.systemGreen;
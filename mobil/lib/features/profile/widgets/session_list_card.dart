@@ -0,0 +1,303 @@
+import 'package:afet_arac_takip/product/network/network_manager.dart';
+import 'package:dio/dio.dart';
+import 'package:flutter/cupertino.dart';
+
+/// [SessionListCard] lists the devices signed in to the user's account and
+/// lets the user sign out of any of them
+class SessionListCard extends StatefulWidget {
+  /// Creates the session list card
+  const SessionListCard({
+    required this.onCurrentSessionClosed,
+    super.key,
+  });
+
+  /// Called when the session of this device is closed from the list
+  final Future<void> Function() onCurrentSessionClosed;
+
+  @override
+  State<SessionListCard> createState() => _SessionListCardState();
+}
+
+class _SessionListCardState extends State<SessionListCard> {
+  final NetworkManager _networkManager = NetworkManager.instance;
+
+  List<Map<String, dynamic>> _sessions = [];
+  bool _isLoading = true;
+  bool _isClosing = false;
+  String? _error;
+
+  @override
+  void initState() {
+    super.initState();
+    _loadSessions();
+  }
+
+  /// [_loadSessions] Load active sessions of the user
+  Future<void> _loadSessions() async {
+    setState(() {
+      _isLoading = true;
+      _error = null;
+    });
+
+    try {
+      final response =
+          await _networkManager.dio.get<List<dynamic>>('/auth/oturumlar');
+
+      if (response.statusCode == 200 && response.data != null) {
+        _sessions = response.data!.cast<Map<String, dynamic>>();
+      } else {
+        _error = 'Oturumlar yüklenemedi';
+      }
+    } on Exception catch (e) {
+      debugPrint('[SessionListCard._loadSessions] Error: $e');
+      _error = 'Oturumlar yüklenemedi';
+    } finally {
+      if (mounted) {
+        setState(() {
+          _isLoading = false;
+        });
+      }
+    }
+  }
+
+  /// [_closeSession] Close a single session; closing this device signs out
+  Future<void> _closeSession(Map<String, dynamic> session) async {
+    final isCurrent = session['mevcut'] == true;
+    final confirmed = await _confirm(
+      isCurrent
+          ? 'Bu cihazdan çıkış yapılacak.'
+          : '${_deviceName(session)} cihazındaki oturum kapatılacak.',
+    );
+    if (!confirmed) return;
+
+    await _runClose(
+      () => _networkManager.dio.delete<Map<String, dynamic>>(
+        '/auth/oturumlar/${session['_id']}',
+        data: {'isMobile': true},
+      ),
+      closesCurrent: isCurrent,
+    );
+  }
+
+  /// [_closeOtherSessions] Sign out of every device except this one
+  Future<void> _closeOtherSessions() async {
+    final confirmed =
+        await _confirm('Bu cihaz dışındaki tüm oturumlar kapatılacak.');
+    if (!confirmed) return;
+
+    await _runClose(
+      () => _networkManager.dio.delete<Map<String, dynamic>>(
+        '/auth/oturumlar',
+        data: {'isMobile': true, 'mevcutHaric': true},
+      ),
+      closesCurrent: false,
+    );
+  }
+
+  Future<void> _runClose(
+    Future<Response<Map<String, dynamic>>> Function() request, {
+    required bool closesCurrent,
+  }) async {
+    setState(() {
+      _isClosing = true;
+    });
+
+    try {
+      final response = await request();
+      if (response.statusCode != 200) {
+        _error = response.data?['error'] as String? ?? 'Oturum kapatılamadı';
+      } else if (closesCurrent) {
+        await widget.onCurrentSessionClosed();
+        return;
+      }
+    } on Exception catch (e) {
+      debugPrint('[SessionListCard._runClose] Error: $e');
+      _error = 'Oturum kapatılamadı';
+    } finally {
+      if (mounted) {
+        setState(() {
+          _isClosing = false;
+        });
+      }
+    }
+
+    if (mounted) await _loadSessions();
+  }
+
+  Future<bool> _confirm(String message) async {
+    final result = await showCupertinoDialog<bool>(
+      context: context,
+      builder: (context) => CupertinoAlertDialog(
+        title: const Text('Oturumu Kapat'),
+        content: Text(message),
+        actions: [
+          CupertinoDialogAction(
+            child: const Text('İptal'),
+            onPressed: () => Navigator.of(context).pop(false),
+          ),
+          CupertinoDialogAction(
+            isDestructiveAction: true,
+            child: const Text('Kapat'),
+            onPressed: () => Navigator.of(context).pop(true),
+          ),
+        ],
+      ),
+    );
+    return result ?? false;
+  }
+
+  String _deviceName(Map<String, dynamic> session) {
+    final device = session['cihaz'] as Map<String, dynamic>?;
+    final name = device?['ad'] as String?;
+    if (name != null && name.isNotEmpty) return name;
+    return device?['platform'] == 'mobil' ? 'Mobil uygulama' : 'Web tarayıcısı';
+  }
+
+  String _formatDate(dynamic value) {
+    final date = DateTime.tryParse(value as String? ?? '')?.toLocal();
+    if (date == null) return '-';
+    String twoDigits(int n) => n.toString().padLeft(2, '0');
+    return '${twoDigits(date.day)}.${twoDigits(date.month)}.${date.year} '
+        '${twoDigits(date.hour)}:${twoDigits(date.minute)}';
+  }
+
+  @override
+  Widget build(BuildContext context) {
+    return Container(
+      decoration: BoxDecoration(
+        color: CupertinoColors.systemBackground,
+        borderRadius: BorderRadius.circular(16),
+        boxShadow: [
+          BoxShadow(
+            color: CupertinoColors.systemGrey.withOpacity(0.1),
+            blurRadius: 10,
+            offset: const Offset(0, 2),
+          ),
+        ],
+      ),
+      child: Column(
+        crossAxisAlignment: CrossAxisAlignment.start,
+        children: [
+          const Padding(
+            padding: EdgeInsets.fromLTRB(20, 20, 20, 10),
+            child: Text(
+              'Oturumlarım',
+              style: TextStyle(
+                fontSize: 20,
+                fontWeight: FontWeight.w700,
+                color: CupertinoColors.label,
+              ),
+            ),
+          ),
+          if (_isLoading)
+            const Padding(
+              padding: EdgeInsets.all(20),
+              child: Center(child: CupertinoActivityIndicator()),
+            )
+          else ...[
+            if (_error != null)
+              Padding(
+                padding: const EdgeInsets.symmetric(horizontal: 20),
+                child: Text(
+                  _error!,
+                  style: const TextStyle(
+                    fontSize: 14,
+                    color: CupertinoColors.systemRed,
+                  ),
+                ),
+              ),
+            for (final session in _sessions) _buildSessionRow(session),
+            if (_sessions.length > 1)
+              Padding(
+                padding: const EdgeInsets.fromLTRB(20, 4, 20, 16),
+                child: CupertinoButton(
+                  padding: EdgeInsets.zero,
+                  onPressed: _isClosing ? null : _closeOtherSessions,
+                  child: const Text(
+                    'Diğer Cihazlardan Çıkış Yap',
+                    style: TextStyle(
+                      fontSize: 15,
+                      color: CupertinoColors.systemRed,
+                    ),
+                  ),
+                ),
+              )
+            else
+              const SizedBox(height: 12),
+          ],
+        ],
+      ),
+    );
+  }
+
+  /// [_buildSessionRow] Build a row for one device session
+  Widget _buildSessionRow(Map<String, dynamic> session) {
+    final isCurrent = session['mevcut'] == true;
+    final isMobile =
+        (session['cihaz'] as Map<String, dynamic>?)?['platform'] == 'mobil';
+
+    return Container(
+      padding: const EdgeInsets.symmetric(horizontal: 20, vertical: 12),
+      decoration: const BoxDecoration(
+        border: Border(
+          bottom: BorderSide(
+            color: CupertinoColors.separator,
+            width: 0.5,
+          ),
+        ),
+      ),
+      child: Row(
+        children: [
+          Container(
+            width: 40,
+            height: 40,
+            decoration: BoxDecoration(
+              color: CupertinoColors.systemBlue.withOpacity(0.1),
+              borderRadius: BorderRadius.circular(10),
+            ),
+            child: Icon(
+              isMobile ? CupertinoIcons.device_phone_portrait : CupertinoIcons.globe,
+              color: CupertinoColors.systemBlue,
+              size: 20,
+            ),
+          ),
+          const SizedBox(width: 16),
+          Expanded(
+            child: Column(
+              crossAxisAlignment: CrossAxisAlignment.start,
+              children: [
+                Text(
+                  isCurrent
+                      ? '${_deviceName(session)} (bu cihaz)'
+                      : _deviceName(session),
+                  style: const TextStyle(
+                    fontSize: 16,
+                    fontWeight: FontWeight.w600,
+                    color: CupertinoColors.label,
+                  ),
+                ),
+                const SizedBox(height: 4),
+                Text(
+                  'Son kullanım: ${_formatDate(session['sonKullanim'])}',
+                  style: const TextStyle(
+                    fontSize: 13,
+                    color: CupertinoColors.systemGrey,
+                  ),
+                ),
+              ],
+            ),
+          ),
+          CupertinoButton(
+            padding: EdgeInsets.zero,
+            minSize: 32,
+            onPressed: _isClosing ? null : () => _closeSession(session),
+            child: const Icon(
+              CupertinoIcons.xmark_circle,
+              color: CupertinoColors.systemRed,
+            ),
+          ),
+        ],
+      ),
+    );
+  }
+}
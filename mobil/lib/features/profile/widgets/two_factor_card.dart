@@ -0,0 +1,312 @@
+import 'package:afet_arac_takip/features/auth/widgets/two_factor_setup_card.dart';
+import 'package:afet_arac_takip/product/network/network_manager.dart';
+import 'package:dio/dio.dart';
+import 'package:flutter/cupertino.dart';
+
+/// [TwoFactorCard] shows the two factor status of the account and lets the
+/// user enable it, renew the recovery codes or turn it off
+class TwoFactorCard extends StatefulWidget {
+  /// Creates the two factor card
+  const TwoFactorCard({
+    required this.onChanged,
+    super.key,
+  });
+
+  /// Called with the new state after two factor is enabled or turned off
+  final Future<void> Function(bool enabled) onChanged;
+
+  @override
+  State<TwoFactorCard> createState() => _TwoFactorCardState();
+}
+
+class _TwoFactorCardState extends State<TwoFactorCard> {
+  final NetworkManager _networkManager = NetworkManager.instance;
+
+  Map<String, dynamic>? _status;
+  List<String>? _newCodes;
+  bool _isLoading = true;
+  bool _isSettingUp = false;
+  bool _isSubmitting = false;
+  String? _error;
+
+  Options get _options => Options(
+        validateStatus: (status) => status != null && status < 500,
+      );
+
+  bool get _isEnabled => _status?['aktif'] == true;
+
+  @override
+  void initState() {
+    super.initState();
+    _loadStatus();
+  }
+
+  /// [_loadStatus] Load the two factor status of the user
+  Future<void> _loadStatus() async {
+    setState(() {
+      _isLoading = true;
+      _error = null;
+    });
+
+    try {
+      final response = await _networkManager.dio
+          .get<Map<String, dynamic>>('/auth/iki-adimli', options: _options);
+
+      if (response.statusCode == 200 && response.data != null) {
+        _status = response.data;
+      } else {
+        _error = 'İki adımlı doğrulama durumu yüklenemedi';
+      }
+    } on Exception catch (e) {
+      debugPrint('[TwoFactorCard._loadStatus] Error: $e');
+      _error = 'İki adımlı doğrulama durumu yüklenemedi';
+    } finally {
+      if (mounted) {
+        setState(() {
+          _isLoading = false;
+        });
+      }
+    }
+  }
+
+  /// [_renewRecoveryCodes] Replace the recovery codes after a code check
+  Future<void> _renewRecoveryCodes() async {
+    final values = await _askFor(
+      title: 'Kurtarma Kodlarını Yenile',
+      message: 'Eski kurtarma kodları geçersiz olur.',
+      askPassword: false,
+    );
+    if (values == null) return;
+
+    await _submit(
+      () => _networkManager.dio.post<Map<String, dynamic>>(
+        '/auth/iki-adimli/kurtarma-kodlari',
+        data: {'kod': values.code},
+        options: _options,
+      ),
+      onSuccess: (data) {
+        _newCodes =
+            (data['kurtarmaKodlari'] as List<dynamic>? ?? []).cast<String>();
+      },
+    );
+  }
+
+  /// [_disable] Turn two factor off with the password and a code
+  Future<void> _disable() async {
+    final values = await _askFor(
+      title: 'İki Adımlı Doğrulamayı Kapat',
+      message: 'Girişte yalnızca şifreniz istenecek.',
+      askPassword: true,
+    );
+    if (values == null) return;
+
+    await _submit(
+      () => _networkManager.dio.delete<Map<String, dynamic>>(
+        '/auth/iki-adimli',
+        data: {'sifre': values.password, 'kod': values.code},
+        options: _options,
+      ),
+      onSuccess: (_) {
+        _newCodes = null;
+        widget.onChanged(false);
+      },
+    );
+  }
+
+  Future<void> _submit(
+    Future<Response<Map<String, dynamic>>> Function() request, {
+    required void Function(Map<String, dynamic> data) onSuccess,
+  }) async {
+    setState(() {
+      _isSubmitting = true;
+      _error = null;
+    });
+
+    try {
+      final response = await request();
+      if (response.statusCode == 200 && response.data != null) {
+        onSuccess(response.data!);
+      } else {
+        _error = response.data?['error'] as String? ?? 'İşlem başarısız';
+      }
+    } on Exception catch (e) {
+      debugPrint('[TwoFactorCard._submit] Error: $e');
+      _error = 'İşlem başarısız';
+    } finally {
+      if (mounted) {
+        setState(() {
+          _isSubmitting = false;
+        });
+      }
+    }
+
+    if (mounted && _error == null) await _loadStatus();
+  }
+
+  Future<({String code, String password})?> _askFor({
+    required String title,
+    required String message,
+    required bool askPassword,
+  }) async {
+    final codeController = TextEditingController();
+    final passwordController = TextEditingController();
+
+    final confirmed = await showCupertinoDialog<bool>(
+      context: context,
+      builder: (context) => CupertinoAlertDialog(
+        title: Text(title),
+        content: Column(
+          children: [
+            Text(message),
+            const SizedBox(height: 12),
+            if (askPassword) ...[
+              CupertinoTextField(
+                controller: passwordController,
+                placeholder: 'Şifreniz',
+                obscureText: true,
+              ),
+              const SizedBox(height: 8),
+            ],
+            CupertinoTextField(
+              controller: codeController,
+              placeholder: 'Uygulama kodu ya da kurtarma kodu',
+            ),
+          ],
+        ),
+        actions: [
+          CupertinoDialogAction(
+            child: const Text('İptal'),
+            onPressed: () => Navigator.of(context).pop(false),
+          ),
+          CupertinoDialogAction(
+            isDefaultAction: true,
+            child: const Text('Onayla'),
+            onPressed: () => Navigator.of(context).pop(true),
+          ),
+        ],
+      ),
+    );
+
+    // Controllers are left to the garbage collector; the dialog may still be
+    // animating out and reading them at this point
+    final values = (
+      code: codeController.text.trim(),
+      password: passwordController.text,
+    );
+
+    if (confirmed != true || values.code.isEmpty) return null;
+    if (askPassword && values.password.isEmpty) return null;
+    return values;
+  }
+
+  @override
+  Widget build(BuildContext context) {
+    return Container(
+      padding: const EdgeInsets.all(20),
+      decoration: BoxDecoration(
+        color: CupertinoColors.systemBackground,
+        borderRadius: BorderRadius.circular(16),
+        boxShadow: [
+          BoxShadow(
+            color: CupertinoColors.systemGrey.withOpacity(0.1),
+            blurRadius: 10,
+            offset: const Offset(0, 2),
+          ),
+        ],
+      ),
+      child: Column(
+        crossAxisAlignment: CrossAxisAlignment.stretch,
+        children: [
+          const Text(
+            'İki Adımlı Doğrulama',
+            style: TextStyle(
+              fontSize: 20,
+              fontWeight: FontWeight.w700,
+              color: CupertinoColors.label,
+            ),
+          ),
+          const SizedBox(height: 10),
+          if (_isLoading)
+            const Center(child: CupertinoActivityIndicator())
+          else if (_isSettingUp)
+            TwoFactorSetupCard(
+              onCompleted: (_) async {
+                setState(() {
+                  _isSettingUp = false;
+                });
+                await widget.onChanged(true);
+                await _loadStatus();
+              },
+              onCancel: () {
+                setState(() {
+                  _isSettingUp = false;
+                });
+              },
+            )
+          else
+            ..._buildStatus(),
+        ],
+      ),
+    );
+  }
+
+  /// [_buildStatus] Status text and the actions for the current state
+  List<Widget> _buildStatus() {
+    final isRequired = _status?['zorunlu'] == true;
+
+    return [
+      Text(
+        _isEnabled
+            ? 'Etkin. Kalan kurtarma kodu: ${_status?['kalanKurtarmaKodu'] ?? 0}'
+            : isRequired
+                ? 'Rolünüz için zorunludur; bir sonraki girişte kurmanız '
+                    'istenecek.'
+                : 'Girişte şifrenize ek olarak doğrulama uygulamanızdaki kod '
+                    'istenir.',
+        style: const TextStyle(fontSize: 14, color: CupertinoColors.systemGrey),
+      ),
+      if (_error != null)
+        Padding(
+          padding: const EdgeInsets.only(top: 8),
+          child: Text(
+            _error!,
+            style: const TextStyle(
+              fontSize: 14,
+              color: CupertinoColors.systemRed,
+            ),
+          ),
+        ),
+      if (_newCodes != null) ...[
+        const SizedBox(height: 12),
+        RecoveryCodesList(codes: _newCodes!),
+      ],
+      const SizedBox(height: 8),
+      if (!_isEnabled)
+        CupertinoButton(
+          padding: EdgeInsets.zero,
+          onPressed: () {
+            setState(() {
+              _isSettingUp = true;
+            });
+          },
+          child: const Text('Etkinleştir'),
+        )
+      else ...[
+        CupertinoButton(
+          padding: EdgeInsets.zero,
+          onPressed: _isSubmitting ? null : _renewRecoveryCodes,
+          child: const Text('Kurtarma Kodlarını Yenile'),
+        ),
+        if (!isRequired)
+          CupertinoButton(
+            padding: EdgeInsets.zero,
+            onPressed: _isSubmitting ? null : _disable,
+            child: const Text(
+              'Kapat',
+              style: TextStyle(color: CupertinoColors.systemRed),
+            ),
+          ),
+      ],
+    ];
+  }
+}
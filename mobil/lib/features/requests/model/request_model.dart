@@ -12,6 +12,10 @@ class Request {
     this.talepEdenKurumFirmaId,
     this.kurumAdi,
     this.talepEdenAdi,
+    this.oncelik = 'normal',
+    this.kategoriler = const [],
+    this.etkilenenKisiSayisi = 0,
+    this.triyajSkoru = 0,
   });
 
   factory Request.fromJson(Map<String, dynamic> json) {
@@ -26,7 +30,8 @@ class Request {
       lokasyon: Location.fromJson(json['lokasyon'] as Map<String, dynamic>),
       durum: json['durum'] as String? ?? 'beklemede',
       olusturulmaZamani:
-          DateTime.tryParse(json['olusturulmaZamani'] as String? ?? '') ??
+          DateTime.tryParse(json['createdAt'] as String? ?? '') ??
+              DateTime.tryParse(json['olusturulmaZamani'] as String? ?? '') ??
               DateTime.now(),
       talepEdenKullaniciId: json['talepEdenKullaniciId'] is String
           ? json['talepEdenKullaniciId'] as String
@@ -53,6 +58,13 @@ class Request {
           ? '${(json['talepEdenKullaniciId'] as Map<String, dynamic>)['ad'] as String? ?? ''} ${(json['talepEdenKullaniciId'] as Map<String, dynamic>)['soyad'] as String? ?? ''}'
               .trim()
           : null,
+      oncelik: json['oncelik'] as String? ?? 'normal',
+      kategoriler: (json['kategoriler'] as List<dynamic>?)
+              ?.map((e) => e as String)
+              .toList() ??
+          [],
+      etkilenenKisiSayisi: json['etkilenenKisiSayisi'] as int? ?? 0,
+      triyajSkoru: (json['triyajSkoru'] as num?)?.toDouble() ?? 0,
     );
   }
   final String id;
@@ -67,10 +79,33 @@ class Request {
   final String? kurumAdi;
   final String? talepEdenAdi;
 
+  /// kritik | yüksek | normal | düşük
+  final String oncelik;
+  final List<String> kategoriler;
+  final int etkilenenKisiSayisi;
+
+  /// Server-computed triage score (0-100), used to order the coordinator queue
+  final double triyajSkoru;
+
+  String get priorityDisplayText {
+    switch (oncelik) {
+      case 'kritik':
+        return 'Kritik';
+      case 'yüksek':
+        return 'Yüksek';
+      case 'düşük':
+        return 'Düşük';
+      default:
+        return 'Normal';
+    }
+  }
+
   String get statusDisplayText {
     switch (durum) {
       case 'beklemede':
         return 'Beklemede';
+      case 'kismen gorevlendirildi':
+        return 'Kısmen Görevlendirildi';
       case 'gorevlendirildi':
         return 'Görevlendirildi';
       case 'tamamlandı':
@@ -1,3 +1,5 @@
+import 'dart:async';
+
 import 'package:afet_arac_takip/features/requests/model/request_model.dart';
 import 'package:afet_arac_takip/features/requests/viewmodel/koordinator_requests_viewmodel.dart';
 import 'package:afet_arac_takip/features/requests/widgets/request_assignment_modal.dart';
@@ -20,17 +22,28 @@ class KoordinatorRequestsView extends StatefulWidget {
 class _KoordinatorRequestsViewState extends State<KoordinatorRequestsView> {
   final _searchController = TextEditingController();
   String _selectedStatus = 'all';
+  Timer? _searchDebounce;
 
   @override
   void dispose() {
+    _searchDebounce?.cancel();
     _searchController.dispose();
     super.dispose();
   }
 
+  /// Search is sent to the server once typing pauses
+  void _onSearchChanged(KoordinatorRequestsViewModel viewModel, String value) {
+    _searchDebounce?.cancel();
+    _searchDebounce = Timer(
+      const Duration(milliseconds: 400),
+      () => viewModel.loadRequestPage(searchQuery: value),
+    );
+  }
+
   @override
   Widget build(BuildContext context) {
     return ChangeNotifierProvider(
-      create: (_) => KoordinatorRequestsViewModel()..loadRequests(),
+      create: (_) => KoordinatorRequestsViewModel()..loadRequestPage(),
       child: Scaffold(
         appBar: AppBar(
           title: const Text('Talep Yönetimi'),
@@ -60,7 +73,7 @@ class _KoordinatorRequestsViewState extends State<KoordinatorRequestsView> {
                     ),
                     const SizedBox(height: 16),
                     CustomButton(
-                      onPressed: () => viewModel.loadRequests(),
+                      onPressed: () => viewModel.loadRequestPage(),
                       text: 'Yeniden Dene',
                       width: 150,
                     ),
@@ -69,10 +82,7 @@ class _KoordinatorRequestsViewState extends State<KoordinatorRequestsView> {
               );
             }
 
-            final filteredRequests = viewModel.getFilteredRequests(
-              _searchController.text,
-              _selectedStatus,
-            );
+            final requests = viewModel.pagedRequests;
 
             return Column(
               children: [
@@ -93,7 +103,8 @@ class _KoordinatorRequestsViewState extends State<KoordinatorRequestsView> {
                           filled: true,
                           fillColor: Colors.grey.shade100,
                         ),
-                        onChanged: (value) => setState(() {}),
+                        onChanged: (value) =>
+                            _onSearchChanged(viewModel, value),
                       ),
                       const SizedBox(height: 12),
 
@@ -102,32 +113,15 @@ class _KoordinatorRequestsViewState extends State<KoordinatorRequestsView> {
                         scrollDirection: Axis.horizontal,
                         child: Row(
                           children: [
+                            _buildStatusFilter(viewModel, 'all', 'Tümü'),
                             _buildStatusFilter(
-                                'all', 'Tümü', viewModel.requests.length),
-                            _buildStatusFilter(
-                                'beklemede',
-                                'Bekleyen',
-                                viewModel.requests
-                                    .where((r) => r.durum == 'beklemede')
-                                    .length),
+                                viewModel, 'beklemede', 'Bekleyen'),
                             _buildStatusFilter(
-                                'gorevlendirildi',
-                                'Görevlendirildi',
-                                viewModel.requests
-                                    .where((r) => r.durum == 'gorevlendirildi')
-                                    .length),
+                                viewModel, 'gorevlendirildi', 'Görevlendirildi'),
                             _buildStatusFilter(
-                                'tamamlandı',
-                                'Tamamlandı',
-                                viewModel.requests
-                                    .where((r) => r.durum == 'tamamlandı')
-                                    .length),
+                                viewModel, 'tamamlandı', 'Tamamlandı'),
                             _buildStatusFilter(
-                                'iptal edildi',
-                                'İptal',
-                                viewModel.requests
-                                    .where((r) => r.durum == 'iptal edildi')
-                                    .length),
+                                viewModel, 'iptal edildi', 'İptal'),
                           ],
                         ),
                       ),
@@ -147,19 +141,11 @@ class _KoordinatorRequestsViewState extends State<KoordinatorRequestsView> {
                     mainAxisAlignment: MainAxisAlignment.spaceAround,
                     children: [
                       _buildStatItem(
-                          'Toplam', viewModel.requests.length, Colors.blue),
-                      _buildStatItem(
-                          'Bekleyen',
-                          viewModel.requests
-                              .where((r) => r.durum == 'beklemede')
-                              .length,
-                          Colors.orange),
-                      _buildStatItem(
-                          'Aktif',
-                          viewModel.requests
-                              .where((r) => r.durum == 'gorevlendirildi')
-                              .length,
-                          Colors.green),
+                          'Toplam', viewModel.statusCount('all'), Colors.blue),
+                      _buildStatItem('Bekleyen',
+                          viewModel.statusCount('beklemede'), Colors.orange),
+                      _buildStatItem('Aktif',
+                          viewModel.statusCount('gorevlendirildi'), Colors.green),
                     ],
                   ),
                 ),
@@ -168,7 +154,7 @@ class _KoordinatorRequestsViewState extends State<KoordinatorRequestsView> {
 
                 // Requests List
                 Expanded(
-                  child: filteredRequests.isEmpty
+                  child: requests.isEmpty
                       ? Center(
                           child: Column(
                             mainAxisAlignment: MainAxisAlignment.center,
@@ -190,26 +176,45 @@ class _KoordinatorRequestsViewState extends State<KoordinatorRequestsView> {
                           ),
                         )
                       : RefreshIndicator(
-                          onRefresh: () => viewModel.loadRequests(),
-                          child: ListView.builder(
-                            padding: const EdgeInsets.symmetric(horizontal: 16),
-                            itemCount: filteredRequests.length,
-                            itemBuilder: (context, index) {
-                              final request = filteredRequests[index];
-                              return RequestCard(
-                                request: request,
-                                onTap: () => _showRequestDetail(
-                                    context, request, viewModel),
-                                onAssign: request.durum == 'beklemede'
-                                    ? () => _showAssignmentModal(
-                                        context, request, viewModel)
-                                    : null,
-                                onCancel: request.durum == 'beklemede'
-                                    ? () => _showCancelDialog(
-                                        context, request, viewModel)
-                                    : null,
-                              );
+                          onRefresh: () => viewModel.loadRequestPage(),
+                          child: NotificationListener<ScrollNotification>(
+                            // Next page is requested near the end of the list
+                            onNotification: (notification) {
+                              if (notification.metrics.extentAfter < 300) {
+                                viewModel.loadMoreRequests();
+                              }
+                              return false;
                             },
+                            child: ListView.builder(
+                              padding:
+                                  const EdgeInsets.symmetric(horizontal: 16),
+                              itemCount: requests.length +
+                                  (viewModel.hasMoreRequests ? 1 : 0),
+                              itemBuilder: (context, index) {
+                                if (index == requests.length) {
+                                  return const Padding(
+                                    padding: EdgeInsets.all(16),
+                                    child: Center(
+                                      child: CircularProgressIndicator(),
+                                    ),
+                                  );
+                                }
+                                final request = requests[index];
+                                return RequestCard(
+                                  request: request,
+                                  onTap: () => _showRequestDetail(
+                                      context, request, viewModel),
+                                  onAssign: request.durum == 'beklemede'
+                                      ? () => _showAssignmentModal(
+                                          context, request, viewModel)
+                                      : null,
+                                  onCancel: request.durum == 'beklemede'
+                                      ? () => _showCancelDialog(
+                                          context, request, viewModel)
+                                      : null,
+                                );
+                              },
+                            ),
                           ),
                         ),
                 ),
@@ -221,17 +226,22 @@ class _KoordinatorRequestsViewState extends State<KoordinatorRequestsView> {
     );
   }
 
-  Widget _buildStatusFilter(String status, String label, int count) {
+  Widget _buildStatusFilter(
+    KoordinatorRequestsViewModel viewModel,
+    String status,
+    String label,
+  ) {
     final isSelected = _selectedStatus == status;
     return Container(
       margin: const EdgeInsets.only(right: 8),
       child: FilterChip(
-        label: Text('$label ($count)'),
+        label: Text('$label (${viewModel.statusCount(status)})'),
         selected: isSelected,
         onSelected: (selected) {
           setState(() {
             _selectedStatus = status;
           });
+          viewModel.loadRequestPage(status: status);
         },
         backgroundColor: Colors.grey.shade100,
         selectedColor: Theme.of(context).primaryColor.withAlpha(50),
@@ -1,16 +1,39 @@
 import 'package:afet_arac_takip/features/requests/model/request_model.dart';
 import 'package:afet_arac_takip/features/vehicles/model/vehicle_model.dart';
+import 'package:afet_arac_takip/product/network/live_updates_mixin.dart';
 import 'package:afet_arac_takip/product/network/network_manager.dart';
+import 'package:afet_arac_takip/product/network/paged_list.dart';
 import 'package:dio/dio.dart';
 import 'package:flutter/material.dart';
 
 /// Koordinator requests viewmodel
-class KoordinatorRequestsViewModel extends ChangeNotifier {
+class KoordinatorRequestsViewModel extends ChangeNotifier with LiveUpdatesMixin {
   final NetworkManager _networkManager = NetworkManager.instance;
 
   List<Request> _requests = [];
   List<Request> get requests => _requests;
 
+  /// Server-filtered, cursor paged request list of the request management view
+  /// Ordered by triage score (closed requests score 0)
+  final PagedList<Request> _requestPage = PagedList<Request>(
+    path: '/talepler',
+    parser: Request.fromJson,
+  );
+  List<Request> get pagedRequests => _requestPage.items;
+  bool get hasMoreRequests => _requestPage.hasMore;
+
+  bool _isLoadingMore = false;
+  bool get isLoadingMore => _isLoadingMore;
+
+  /// Request counts per status ('all' for the total), read from list totals
+  Map<String, int> _statusCounts = {};
+  int statusCount(String status) => _statusCounts[status] ?? 0;
+
+  /// Active filters of [pagedRequests]
+  String _searchQuery = '';
+  String _status = 'all';
+  bool _pageLoaded = false;
+
   List<Vehicle> _availableVehicles = [];
   List<Vehicle> get availableVehicles => _availableVehicles;
 
@@ -34,12 +57,15 @@ class KoordinatorRequestsViewModel extends ChangeNotifier {
   @override
   void dispose() {
     _disposed = true;
+    cancelLiveUpdates();
     super.dispose();
   }
 
   /// Load all requests with smart caching
   /// [forceRefresh] - Force API call even if cache is valid
   Future<void> loadRequests({bool forceRefresh = false}) async {
+    listenLiveUpdates({'talep'}, () => loadRequests(forceRefresh: true));
+
     // **[KoordinatorRequestsViewModel]** Use cache if valid and not forcing refresh
     if (!forceRefresh && _isCacheValid && hasData) {
       debugPrint(
@@ -99,47 +125,65 @@ class KoordinatorRequestsViewModel extends ChangeNotifier {
     }
   }
 
-  /// Get filtered requests based on search and status
-  List<Request> getFilteredRequests(String searchQuery, String status) {
-    var filtered = _requests;
+  /// Load the first page of requests, keeping the filters not given
+  /// Filtering by [searchQuery] / [status] and triage ordering are done by the server
+  Future<void> loadRequestPage({String? searchQuery, String? status}) async {
+    listenLiveUpdates({'talep'}, loadRequestPage);
+    _searchQuery = searchQuery ?? _searchQuery;
+    _status = status ?? _status;
 
-    // Filter by status
-    if (status != 'all') {
-      filtered = filtered.where((request) => request.durum == status).toList();
-    }
+    try {
+      // Only the first load replaces the view with a spinner, filter changes keep the search field
+      _isLoading = !_pageLoaded;
+      _error = null;
+      if (!_disposed) notifyListeners();
 
-    // Filter by search query
-    if (searchQuery.isNotEmpty) {
-      final query = searchQuery.toLowerCase();
-      filtered = filtered.where((request) {
-        return request.baslik.toLowerCase().contains(query) ||
-            request.aciklama.toLowerCase().contains(query) ||
-            request.lokasyon.adres.toLowerCase().contains(query) ||
-            (request.kurumAdi?.toLowerCase().contains(query) ?? false) ||
-            (request.talepEdenAdi?.toLowerCase().contains(query) ?? false);
-      }).toList();
+      await Future.wait([
+        _requestPage.reload({
+          'arama': _searchQuery.trim(),
+          'durum': _status,
+          'sirala': 'triyaj',
+        }),
+        _loadStatusCounts(),
+      ]);
+      _pageLoaded = true;
+      debugPrint(
+          '[KoordinatorRequestsViewModel] ✅ Loaded ${pagedRequests.length}/${statusCount('all')} requests');
+    } on DioException catch (e) {
+      _error = 'Talepler yüklenirken hata oluştu: $e';
+      debugPrint('[KoordinatorRequestsViewModel] Error loading requests: $e');
+    } finally {
+      _isLoading = false;
+      if (!_disposed) notifyListeners();
     }
+  }
 
-    // Sort by priority (beklemede first, then by creation date)
-    filtered.sort((a, b) {
-      final statusPriority = {
-        'beklemede': 0,
-        'gorevlendirildi': 1,
-        'tamamlandı': 2,
-        'iptal edildi': 3,
-      };
-
-      final aPriority = statusPriority[a.durum] ?? 4;
-      final bPriority = statusPriority[b.durum] ?? 4;
+  /// Append the next page when the list is scrolled to the end
+  Future<void> loadMoreRequests() async {
+    if (_isLoadingMore || !_requestPage.hasMore) return;
 
-      if (aPriority != bPriority) {
-        return aPriority.compareTo(bPriority);
-      }
-
-      return b.olusturulmaZamani.compareTo(a.olusturulmaZamani);
-    });
+    try {
+      _isLoadingMore = true;
+      if (!_disposed) notifyListeners();
+      await _requestPage.loadMore();
+    } on DioException catch (e) {
+      debugPrint('[KoordinatorRequestsViewModel] Error loading more requests: $e');
+    } finally {
+      _isLoadingMore = false;
+      if (!_disposed) notifyListeners();
+    }
+  }
 
-    return filtered;
+  Future<void> _loadStatusCounts() async {
+    const statuses = ['beklemede', 'gorevlendirildi', 'tamamlandı', 'iptal edildi'];
+    final counts = await Future.wait([
+      PagedList.count('/talepler'),
+      ...statuses.map((s) => PagedList.count('/talepler', {'durum': s})),
+    ]);
+    _statusCounts = {
+      'all': counts.first,
+      for (var i = 0; i < statuses.length; i++) statuses[i]: counts[i + 1],
+    };
   }
 
   /// Assign vehicles to a request
@@ -156,25 +200,34 @@ class KoordinatorRequestsViewModel extends ChangeNotifier {
       // Create tasks for each selected vehicle
       for (final vehicle in selectedVehicles) {
         final driverInfo = driverInfos[vehicle.plaka];
-        if (driverInfo == null) continue;
+        // Drivers must be selected from the registry (/soforler)
+        if (driverInfo?.id == null) continue;
 
         final taskData = {
           'talepId': requestId,
           'aracId': vehicle.plaka,
-          'sofor': {
-            'ad': driverInfo.ad,
-            'soyad': driverInfo.soyad,
-            'telefon': driverInfo.telefon,
-          },
+          'soforId': driverInfo!.id,
           'gorevNotu': note,
         };
 
-        await _networkManager.dio
-            .post<Map<String, dynamic>>('/gorevler', data: taskData);
+        // Same key is reused by the retry interceptor, so a timed-out request
+        // never creates the task twice
+        final idempotencyKey = '$requestId-${vehicle.plaka}-'
+            '${DateTime.now().microsecondsSinceEpoch}';
+
+        await _networkManager.dio.post<Map<String, dynamic>>(
+          '/gorevler',
+          data: taskData,
+          options: Options(headers: {'Idempotency-Key': idempotencyKey}),
+        );
       }
 
       // Reload requests to get updated status
-      await loadRequests();
+      if (_pageLoaded) {
+        await loadRequestPage();
+      } else {
+        await loadRequests(forceRefresh: true);
+      }
       return true;
     } on DioException catch (e) {
       _error = 'Görevlendirme sırasında hata oluştu: $e';
@@ -199,10 +252,12 @@ class KoordinatorRequestsViewModel extends ChangeNotifier {
 
       if (response.statusCode == 200) {
         // Update local state
+        final request = Request.fromJson(response.data!);
         final index = _requests.indexWhere((r) => r.id == requestId);
         if (index != -1) {
-          _requests[index] = Request.fromJson(response.data!);
+          _requests[index] = request;
         }
+        _requestPage.replaceWhere((r) => r.id == requestId, request);
         if (!_disposed) notifyListeners();
         return true;
       }
@@ -1,11 +1,12 @@
 import 'package:afet_arac_takip/features/requests/model/request_model.dart';
+import 'package:afet_arac_takip/product/network/live_updates_mixin.dart';
 import 'package:afet_arac_takip/product/network/network_manager.dart';
 import 'package:dio/dio.dart';
 import 'package:flutter/material.dart';
 
 /// [TalepEdenRequestsViewModel] manages requests for talep_eden users
 /// Handles listing user's own requests, creating new ones, and updating existing requests
-class TalepEdenRequestsViewModel extends ChangeNotifier {
+class TalepEdenRequestsViewModel extends ChangeNotifier with LiveUpdatesMixin {
   final NetworkManager _networkManager = NetworkManager.instance;
 
   List<Request> _myRequests = [];
@@ -20,6 +21,12 @@ class TalepEdenRequestsViewModel extends ChangeNotifier {
   String? _error;
   String? get error => _error;
 
+  @override
+  void dispose() {
+    cancelLiveUpdates();
+    super.dispose();
+  }
+
   /// Cache management
   DateTime? _lastFetchTime;
   static const Duration _cacheValidDuration = Duration(minutes: 2);
@@ -31,6 +38,8 @@ class TalepEdenRequestsViewModel extends ChangeNotifier {
   /// [loadMyRequests] fetches all requests created by the current user with smart caching
   /// [forceRefresh] - Force API call even if cache is valid
   Future<void> loadMyRequests({bool forceRefresh = false}) async {
+    listenLiveUpdates({'talep'}, () => loadMyRequests(forceRefresh: true));
+
     // **[TalepEdenRequestsViewModel]** Use cache if valid and not forcing refresh
     if (!forceRefresh && _isCacheValid && hasData) {
       print(
@@ -59,6 +59,8 @@ class RequestCard extends StatelessWidget {
                     ),
                   ),
                   const SizedBox(width: 8),
+                  _buildPriorityChip(context),
+                  const SizedBox(width: 4),
                   _buildStatusChip(context),
                 ],
               ),
@@ -180,6 +182,31 @@ class RequestCard extends StatelessWidget {
     );
   }
 
+  Widget _buildPriorityChip(BuildContext context) {
+    final color = switch (request.oncelik) {
+      'kritik' => Colors.red,
+      'yüksek' => Colors.orange,
+      'düşük' => Colors.grey,
+      _ => Colors.blue,
+    };
+
+    return Container(
+      padding: const EdgeInsets.symmetric(horizontal: 8, vertical: 4),
+      decoration: BoxDecoration(
+        color: color.shade100,
+        borderRadius: BorderRadius.circular(12),
+      ),
+      child: Text(
+        request.priorityDisplayText,
+        style: TextStyle(
+          color: color.shade700,
+          fontSize: 12,
+          fontWeight: FontWeight.w500,
+        ),
+      ),
+    );
+  }
+
   Widget _buildStatusChip(BuildContext context) {
     Color backgroundColor;
     Color textColor;
@@ -188,6 +215,9 @@ class RequestCard extends StatelessWidget {
       case 'beklemede':
         backgroundColor = Colors.orange.shade100;
         textColor = Colors.orange.shade700;
+      case 'kismen gorevlendirildi':
+        backgroundColor = Colors.indigo.shade100;
+        textColor = Colors.indigo.shade700;
       case 'gorevlendirildi':
         backgroundColor = Colors.blue.shade100;
         textColor = Colors.blue.shade700;
@@ -12,6 +12,7 @@ class Task {
     this.sofor,
     this.talepBilgileri,
     this.aracBilgileri,
+    this.durumGecmisi = const [],
   });
 
   factory Task.fromJson(Map<String, dynamic> json) {
@@ -41,6 +42,9 @@ class Task {
       aracBilgileri: json['aracId'] is Map<String, dynamic>
           ? TaskVehicle.fromJson(json['aracId'] as Map<String, dynamic>)
           : null,
+      durumGecmisi: (json['durumGecmisi'] as List<dynamic>? ?? [])
+          .map((e) => TaskStatusHistory.fromJson(e as Map<String, dynamic>))
+          .toList(),
     );
   }
   final String id;
@@ -54,11 +58,14 @@ class Task {
   final DriverInfo? sofor;
   final TaskRequest? talepBilgileri;
   final TaskVehicle? aracBilgileri;
+  final List<TaskStatusHistory> durumGecmisi;
 
   String get statusDisplayText {
     switch (gorevDurumu) {
       case 'beklemede':
         return 'Beklemede';
+      case 'yolda':
+        return 'Yolda';
       case 'başladı':
         return 'Başladı';
       case 'tamamlandı':
@@ -76,20 +83,67 @@ class Task {
   String get driverName => sofor?.fullName ?? 'Belirtilmemiş';
 }
 
+/// Görevin tek bir durum geçişi (kim, ne zaman, hangi durumdan hangisine)
+class TaskStatusHistory {
+  TaskStatusHistory({
+    required this.yeniDurum,
+    required this.tarih,
+    this.oncekiDurum,
+    this.kullaniciAdi,
+    this.rol,
+    this.not,
+    this.nedenKodu,
+    this.lat,
+    this.lng,
+  });
+
+  factory TaskStatusHistory.fromJson(Map<String, dynamic> json) {
+    final kullanici = json['kullaniciId'];
+    final konum = json['konum'] as Map<String, dynamic>?;
+    return TaskStatusHistory(
+      yeniDurum: json['yeniDurum'] as String,
+      oncekiDurum: json['oncekiDurum'] as String?,
+      tarih: DateTime.parse(json['tarih'] as String),
+      kullaniciAdi: kullanici is Map<String, dynamic>
+          ? '${kullanici['ad'] ?? ''} ${kullanici['soyad'] ?? ''}'.trim()
+          : null,
+      rol: json['rol'] as String?,
+      not: json['not'] as String?,
+      nedenKodu: json['nedenKodu'] as String?,
+      lat: (konum?['lat'] as num?)?.toDouble(),
+      lng: (konum?['lng'] as num?)?.toDouble(),
+    );
+  }
+  final String yeniDurum;
+  final String? oncekiDurum;
+  final DateTime tarih;
+  final String? kullaniciAdi;
+  final String? rol;
+  final String? not;
+  final String? nedenKodu;
+  final double? lat;
+  final double? lng;
+}
+
 class DriverInfo {
   DriverInfo({
     required this.ad,
     required this.soyad,
     required this.telefon,
+    this.id,
   });
 
   factory DriverInfo.fromJson(Map<String, dynamic> json) {
     return DriverInfo(
+      id: json['_id'] as String?,
       ad: json['ad'] as String,
       soyad: json['soyad'] as String,
       telefon: json['telefon']?.toString() ?? '',
     );
   }
+
+  /// Driver registry id (/soforler)
+  final String? id;
   final String ad;
   final String soyad;
   final String telefon;
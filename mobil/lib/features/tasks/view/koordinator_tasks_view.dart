@@ -1,3 +1,5 @@
+import 'dart:async';
+
 import 'package:afet_arac_takip/features/tasks/model/task_model.dart';
 import 'package:afet_arac_takip/features/tasks/viewmodel/koordinator_tasks_viewmodel.dart';
 import 'package:afet_arac_takip/features/tasks/widgets/task_card.dart';
@@ -19,17 +21,28 @@ class KoordinatorTasksView extends StatefulWidget {
 class _KoordinatorTasksViewState extends State<KoordinatorTasksView> {
   final _searchController = TextEditingController();
   String _selectedStatus = 'all';
+  Timer? _searchDebounce;
 
   @override
   void dispose() {
+    _searchDebounce?.cancel();
     _searchController.dispose();
     super.dispose();
   }
 
+  /// Search is sent to the server once typing pauses
+  void _onSearchChanged(KoordinatorTasksViewModel viewModel, String value) {
+    _searchDebounce?.cancel();
+    _searchDebounce = Timer(
+      const Duration(milliseconds: 400),
+      () => viewModel.loadTasks(searchQuery: value),
+    );
+  }
+
   @override
   Widget build(BuildContext context) {
     return ChangeNotifierProvider(
-      create: (_) => KoordinatorTasksViewModel()..loadAllTasks(),
+      create: (_) => KoordinatorTasksViewModel()..loadTasks(),
       child: Scaffold(
         appBar: AppBar(
           title: const Text('Görev Yönetimi'),
@@ -38,7 +51,7 @@ class _KoordinatorTasksViewState extends State<KoordinatorTasksView> {
             IconButton(
               icon: const Icon(Icons.refresh),
               onPressed: () {
-                context.read<KoordinatorTasksViewModel>().loadAllTasks();
+                context.read<KoordinatorTasksViewModel>().loadTasks();
               },
             ),
           ],
@@ -67,7 +80,7 @@ class _KoordinatorTasksViewState extends State<KoordinatorTasksView> {
                     ),
                     const SizedBox(height: 16),
                     CustomButton(
-                      onPressed: () => viewModel.loadAllTasks(),
+                      onPressed: () => viewModel.loadTasks(),
                       text: 'Yeniden Dene',
                       width: 150,
                     ),
@@ -77,10 +90,7 @@ class _KoordinatorTasksViewState extends State<KoordinatorTasksView> {
             }
 
             final stats = viewModel.getTaskStatistics();
-            final filteredTasks = viewModel.getFilteredTasks(
-              _searchController.text,
-              _selectedStatus,
-            );
+            final tasks = viewModel.tasks;
 
             return Column(
               children: [
@@ -128,7 +138,8 @@ class _KoordinatorTasksViewState extends State<KoordinatorTasksView> {
                       // Search bar
                       TextField(
                         controller: _searchController,
-                        onChanged: (_) => setState(() {}),
+                        onChanged: (value) =>
+                            _onSearchChanged(viewModel, value),
                         decoration: InputDecoration(
                           hintText: 'Görevlerde ara...',
                           prefixIcon: const Icon(Icons.search),
@@ -146,14 +157,14 @@ class _KoordinatorTasksViewState extends State<KoordinatorTasksView> {
                         scrollDirection: Axis.horizontal,
                         child: Row(
                           children: [
-                            _buildFilterChip('all', 'Tümü', stats['toplam']!),
-                            _buildFilterChip(
+                            _buildFilterChip(viewModel, 'all', 'Tümü', stats['toplam']!),
+                            _buildFilterChip(viewModel,
                                 'beklemede', 'Beklemede', stats['beklemede']!),
-                            _buildFilterChip(
+                            _buildFilterChip(viewModel,
                                 'başladı', 'Başladı', stats['basladi']!),
-                            _buildFilterChip('tamamlandı', 'Tamamlandı',
+                            _buildFilterChip(viewModel, 'tamamlandı', 'Tamamlandı',
                                 stats['tamamlandi']!),
-                            _buildFilterChip(
+                            _buildFilterChip(viewModel,
                                 'iptal edildi', 'İptal', stats['iptal']!),
                           ],
                         ),
@@ -164,7 +175,7 @@ class _KoordinatorTasksViewState extends State<KoordinatorTasksView> {
                 const SizedBox(height: 16),
                 // Tasks list
                 Expanded(
-                  child: filteredTasks.isEmpty
+                  child: tasks.isEmpty
                       ? const Center(
                           child: Column(
                             mainAxisAlignment: MainAxisAlignment.center,
@@ -186,23 +197,42 @@ class _KoordinatorTasksViewState extends State<KoordinatorTasksView> {
                           ),
                         )
                       : RefreshIndicator(
-                          onRefresh: () => viewModel.loadAllTasks(),
-                          child: ListView.builder(
-                            padding: const EdgeInsets.symmetric(horizontal: 16),
-                            itemCount: filteredTasks.length,
-                            itemBuilder: (context, index) {
-                              final task = filteredTasks[index];
-                              return TaskCard(
-                                task: task,
-                                onTap: () => _showTaskDetail(context, task),
-                                onUpdateStatus:
-                                    (task.gorevDurumu == 'beklemede' ||
-                                            task.gorevDurumu == 'başladı')
-                                        ? () => _showStatusUpdateModal(
-                                            context, task, viewModel)
-                                        : null,
-                              );
+                          onRefresh: () => viewModel.loadTasks(),
+                          child: NotificationListener<ScrollNotification>(
+                            // Next page is requested near the end of the list
+                            onNotification: (notification) {
+                              if (notification.metrics.extentAfter < 300) {
+                                viewModel.loadMoreTasks();
+                              }
+                              return false;
                             },
+                            child: ListView.builder(
+                              padding: const EdgeInsets.symmetric(horizontal: 16),
+                              itemCount:
+                                  tasks.length + (viewModel.hasMoreTasks ? 1 : 0),
+                              itemBuilder: (context, index) {
+                                if (index == tasks.length) {
+                                  return const Padding(
+                                    padding: EdgeInsets.all(16),
+                                    child: Center(
+                                      child: CircularProgressIndicator(),
+                                    ),
+                                  );
+                                }
+                                final task = tasks[index];
+                                return TaskCard(
+                                  task: task,
+                                  onTap: () => _showTaskDetail(context, task),
+                                  onUpdateStatus:
+                                      (task.gorevDurumu == 'beklemede' ||
+                                              task.gorevDurumu == 'yolda' ||
+                                              task.gorevDurumu == 'başladı')
+                                          ? () => _showStatusUpdateModal(
+                                              context, task, viewModel)
+                                          : null,
+                                );
+                              },
+                            ),
                           ),
                         ),
                 ),
@@ -252,7 +282,12 @@ class _KoordinatorTasksViewState extends State<KoordinatorTasksView> {
     );
   }
 
-  Widget _buildFilterChip(String status, String label, int count) {
+  Widget _buildFilterChip(
+    KoordinatorTasksViewModel viewModel,
+    String status,
+    String label,
+    int count,
+  ) {
     final isSelected = _selectedStatus == status;
     return Container(
       margin: const EdgeInsets.only(right: 8),
@@ -263,6 +298,7 @@ class _KoordinatorTasksViewState extends State<KoordinatorTasksView> {
           setState(() {
             _selectedStatus = status;
           });
+          viewModel.loadTasks(status: status);
         },
         backgroundColor: Colors.grey.shade100,
         selectedColor: Theme.of(context).primaryColor.withAlpha(50),
@@ -286,8 +322,12 @@ class _KoordinatorTasksViewState extends State<KoordinatorTasksView> {
       context: context,
       builder: (context) => TaskStatusUpdateModal(
         task: task,
-        onUpdate: (newStatus) async {
-          final success = await viewModel.updateTaskStatus(task.id, newStatus);
+        onUpdate: (newStatus, {nedenKodu}) async {
+          final success = await viewModel.updateTaskStatus(
+            task.id,
+            newStatus,
+            nedenKodu: nedenKodu,
+          );
           if (success && context.mounted) {
             Navigator.of(context).pop();
             ScaffoldMessenger.of(context).showSnackBar(
@@ -208,6 +208,7 @@ class _MyTasksViewState extends State<MyTasksView> {
                                 onTap: () => _showTaskDetail(context, task),
                                 onUpdateStatus:
                                     task.gorevDurumu == 'beklemede' ||
+                                            task.gorevDurumu == 'yolda' ||
                                             task.gorevDurumu == 'başladı'
                                         ? () => _showStatusUpdateModal(
                                             context, task, viewModel)
@@ -284,7 +285,9 @@ class _MyTasksViewState extends State<MyTasksView> {
       builder: (context) => TaskDetailModal(
         task: task,
         onUpdateStatus:
-            task.gorevDurumu == 'beklemede' || task.gorevDurumu == 'başladı'
+            task.gorevDurumu == 'beklemede' ||
+                    task.gorevDurumu == 'yolda' ||
+                    task.gorevDurumu == 'başladı'
                 ? () => _showStatusUpdateModal(context, task,
                     Provider.of<MyTasksViewModel>(context, listen: false))
                 : null,
@@ -303,8 +306,12 @@ class _MyTasksViewState extends State<MyTasksView> {
       ),
       builder: (context) => TaskStatusUpdateModal(
         task: task,
-        onUpdate: (newStatus) async {
-          final success = await viewModel.updateTaskStatus(task.id, newStatus);
+        onUpdate: (newStatus, {nedenKodu}) async {
+          final success = await viewModel.updateTaskStatus(
+            task.id,
+            newStatus,
+            nedenKodu: nedenKodu,
+          );
           if (success && context.mounted) {
             Navigator.of(context).pop();
             ScaffoldMessenger.of(context).showSnackBar(
@@ -1,17 +1,45 @@
 import 'package:afet_arac_takip/features/tasks/model/task_model.dart';
 import 'package:afet_arac_takip/features/vehicles/model/vehicle_model.dart';
+import 'package:afet_arac_takip/product/network/live_updates_mixin.dart';
 import 'package:afet_arac_takip/product/network/network_manager.dart';
+import 'package:afet_arac_takip/product/network/paged_list.dart';
 import 'package:dio/dio.dart';
 import 'package:flutter/material.dart';
 
 /// [KoordinatorTasksViewModel] manages all tasks for koordinator users
 /// Provides task oversight, assignment management, and status updates
-class KoordinatorTasksViewModel extends ChangeNotifier {
+class KoordinatorTasksViewModel extends ChangeNotifier with LiveUpdatesMixin {
   final NetworkManager _networkManager = NetworkManager.instance;
 
   List<Task> _allTasks = [];
   List<Task> get allTasks => _allTasks;
 
+  /// Server-filtered, cursor paged task list of the task management view
+  final PagedList<Task> _taskPage = PagedList<Task>(
+    path: '/gorevler',
+    parser: Task.fromJson,
+  );
+  List<Task> get tasks => _taskPage.items;
+  int get totalTasks => _taskPage.total;
+  bool get hasMoreTasks => _taskPage.hasMore;
+
+  bool _isLoadingMore = false;
+  bool get isLoadingMore => _isLoadingMore;
+
+  /// Active filters of [tasks]
+  String _searchQuery = '';
+  String _status = 'all';
+  bool _tasksLoaded = false;
+
+  /// Task counts per status, read from list totals
+  Map<String, int> _statistics = {
+    'toplam': 0,
+    'beklemede': 0,
+    'basladi': 0,
+    'tamamlandi': 0,
+    'iptal': 0,
+  };
+
   List<Vehicle> _availableVehicles = [];
   List<Vehicle> get availableVehicles => _availableVehicles;
 
@@ -37,11 +65,14 @@ class KoordinatorTasksViewModel extends ChangeNotifier {
   @override
   void dispose() {
     _disposed = true;
+    cancelLiveUpdates();
     super.dispose();
   }
 
   /// [loadAllTasks] fetches all tasks in the system for koordinator oversight
   Future<void> loadAllTasks() async {
+    listenLiveUpdates({'gorev'}, loadAllTasks);
+
     try {
       _isLoading = true;
       _error = null;
@@ -95,66 +126,82 @@ class KoordinatorTasksViewModel extends ChangeNotifier {
     }
   }
 
-  /// [getFilteredTasks] returns tasks filtered by search query and status
-  List<Task> getFilteredTasks(String searchQuery, String status) {
-    var filtered = _allTasks;
+  /// [loadTasks] fetches the first page of tasks, keeping the filters not given
+  /// Filtering by [searchQuery] / [status] and sorting (newest first) are done by the server
+  Future<void> loadTasks({String? searchQuery, String? status}) async {
+    listenLiveUpdates({'gorev'}, loadTasks);
+    _searchQuery = searchQuery ?? _searchQuery;
+    _status = status ?? _status;
 
-    // Filter by status
-    if (status != 'all') {
-      filtered = filtered.where((task) => task.gorevDurumu == status).toList();
-    }
+    try {
+      // Only the first load replaces the view with a spinner, filter changes keep the search field
+      _isLoading = !_tasksLoaded;
+      _error = null;
+      _safeNotifyListeners();
 
-    // Filter by search query
-    if (searchQuery.isNotEmpty) {
-      final query = searchQuery.toLowerCase();
-      filtered = filtered.where((task) {
-        return task.requestTitle.toLowerCase().contains(query) ||
-            task.vehiclePlate.toLowerCase().contains(query) ||
-            task.driverName.toLowerCase().contains(query) ||
-            (task.gorevNotu?.toLowerCase().contains(query) ?? false) ||
-            (task.talepBilgileri?.aciklama?.toLowerCase().contains(query) ??
-                false) ||
-            (task.aracBilgileri?.aracTuru.toLowerCase().contains(query) ??
-                false);
-      }).toList();
+      await Future.wait([
+        _taskPage.reload({
+          'arama': _searchQuery.trim(),
+          'durum': _status,
+          'sirala': '-createdAt',
+        }),
+        _loadTaskStatistics(),
+      ]);
+      _tasksLoaded = true;
+
+      print('[KoordinatorTasksViewModel] ✅ Loaded ${tasks.length}/$totalTasks tasks');
+    } on DioException catch (e) {
+      _error = 'Görevler yüklenirken hata oluştu: $e';
+      print('[KoordinatorTasksViewModel] ❌ Error loading tasks: $e');
+    } finally {
+      _isLoading = false;
+      _safeNotifyListeners();
     }
+  }
 
-    // Sort by priority and creation date
-    filtered.sort((a, b) {
-      final statusPriority = {
-        'beklemede': 0,
-        'başladı': 1,
-        'tamamlandı': 2,
-        'iptal edildi': 3,
-      };
-
-      final aPriority = statusPriority[a.gorevDurumu] ?? 4;
-      final bPriority = statusPriority[b.gorevDurumu] ?? 4;
-
-      if (aPriority != bPriority) {
-        return aPriority.compareTo(bPriority);
-      }
-
-      return b.olusturulmaZamani.compareTo(a.olusturulmaZamani);
-    });
+  /// [loadMoreTasks] appends the next page when the list is scrolled to the end
+  Future<void> loadMoreTasks() async {
+    if (_isLoadingMore || !_taskPage.hasMore) return;
 
-    return filtered;
+    try {
+      _isLoadingMore = true;
+      _safeNotifyListeners();
+      await _taskPage.loadMore();
+    } on DioException catch (e) {
+      print('[KoordinatorTasksViewModel] ❌ Error loading more tasks: $e');
+    } finally {
+      _isLoadingMore = false;
+      _safeNotifyListeners();
+    }
   }
 
-  /// [getTaskStatistics] returns statistics about all tasks
-  Map<String, int> getTaskStatistics() {
-    return {
-      'toplam': _allTasks.length,
-      'beklemede': _allTasks.where((t) => t.gorevDurumu == 'beklemede').length,
-      'basladi': _allTasks.where((t) => t.gorevDurumu == 'başladı').length,
-      'tamamlandi':
-          _allTasks.where((t) => t.gorevDurumu == 'tamamlandı').length,
-      'iptal': _allTasks.where((t) => t.gorevDurumu == 'iptal edildi').length,
+  Future<void> _loadTaskStatistics() async {
+    final counts = await Future.wait([
+      PagedList.count('/gorevler'),
+      PagedList.count('/gorevler', {'durum': 'beklemede'}),
+      PagedList.count('/gorevler', {'durum': 'başladı'}),
+      PagedList.count('/gorevler', {'durum': 'tamamlandı'}),
+      PagedList.count('/gorevler', {'durum': 'iptal edildi'}),
+    ]);
+    _statistics = {
+      'toplam': counts[0],
+      'beklemede': counts[1],
+      'basladi': counts[2],
+      'tamamlandi': counts[3],
+      'iptal': counts[4],
     };
   }
 
+  /// [getTaskStatistics] returns task counts per status
+  Map<String, int> getTaskStatistics() => _statistics;
+
   /// [updateTaskStatus] updates the status of a specific task
-  Future<bool> updateTaskStatus(String taskId, String newStatus) async {
+  Future<bool> updateTaskStatus(
+    String taskId,
+    String newStatus, {
+    String? nedenKodu,
+    String? not,
+  }) async {
     try {
       _isUpdatingTask = true;
       _error = null;
@@ -165,17 +212,23 @@ class KoordinatorTasksViewModel extends ChangeNotifier {
 
       final response = await _networkManager.dio.put<Map<String, dynamic>>(
         '/gorevler/$taskId',
-        data: {'gorevDurumu': newStatus},
+        data: {
+          'gorevDurumu': newStatus,
+          if (nedenKodu != null) 'nedenKodu': nedenKodu,
+          if (not != null) 'not': not,
+        },
       );
 
       if (response.statusCode == 200) {
         print('[KoordinatorTasksViewModel] ✅ Task status updated successfully');
 
         // Update local state
+        final task = Task.fromJson(response.data!);
         final index = _allTasks.indexWhere((t) => t.id == taskId);
         if (index != -1) {
-          _allTasks[index] = Task.fromJson(response.data!);
+          _allTasks[index] = task;
         }
+        _taskPage.replaceWhere((t) => t.id == taskId, task);
         _safeNotifyListeners();
         return true;
       } else {
@@ -228,7 +281,11 @@ class KoordinatorTasksViewModel extends ChangeNotifier {
   }
 
   /// [cancelTask] cancels a task
-  Future<bool> cancelTask(String taskId, String reason) async {
+  Future<bool> cancelTask(
+    String taskId,
+    String reason, {
+    String nedenKodu = 'diger',
+  }) async {
     try {
       _isUpdatingTask = true;
       _error = null;
@@ -240,7 +297,8 @@ class KoordinatorTasksViewModel extends ChangeNotifier {
         '/gorevler/$taskId',
         data: {
           'gorevDurumu': 'iptal edildi',
-          'gorevNotu': reason,
+          'nedenKodu': nedenKodu,
+          'not': reason,
         },
       );
 
@@ -248,10 +306,12 @@ class KoordinatorTasksViewModel extends ChangeNotifier {
         print('[KoordinatorTasksViewModel] ✅ Task cancelled successfully');
 
         // Update local state
+        final task = Task.fromJson(response.data!);
         final index = _allTasks.indexWhere((t) => t.id == taskId);
         if (index != -1) {
-          _allTasks[index] = Task.fromJson(response.data!);
+          _allTasks[index] = task;
         }
+        _taskPage.replaceWhere((t) => t.id == taskId, task);
         _safeNotifyListeners();
         return true;
       } else {
@@ -1,10 +1,14 @@
+import 'dart:async';
+
 import 'package:afet_arac_takip/features/tasks/model/task_model.dart';
+import 'package:afet_arac_takip/product/network/live_updates_mixin.dart';
 import 'package:afet_arac_takip/product/network/network_manager.dart';
 import 'package:dio/dio.dart';
 import 'package:flutter/material.dart';
+import 'package:geolocator/geolocator.dart';
 
 /// My tasks viewmodel for arac_sahibi users
-class MyTasksViewModel extends ChangeNotifier {
+class MyTasksViewModel extends ChangeNotifier with LiveUpdatesMixin {
   final NetworkManager _networkManager = NetworkManager.instance;
 
   List<Task> _tasks = [];
@@ -16,8 +20,18 @@ class MyTasksViewModel extends ChangeNotifier {
   String? _error;
   String? get error => _error;
 
+  /// Statuses during which the vehicle location is shared live
+  static const List<String> liveTrackingStatuses = ['yolda', 'başladı'];
+
+  StreamSubscription<Position>? _positionSubscription;
+
+  /// Whether the device location is currently being shared
+  bool get isSharingLocation => _positionSubscription != null;
+
   /// Load my tasks
   Future<void> loadMyTasks() async {
+    listenLiveUpdates({'gorev'}, loadMyTasks);
+
     try {
       _isLoading = true;
       _error = null;
@@ -29,6 +43,7 @@ class MyTasksViewModel extends ChangeNotifier {
         final data = response.data!;
         _tasks =
             data.map((e) => Task.fromJson(e as Map<String, dynamic>)).toList();
+        await _syncLocationTracking();
       }
     } on DioException catch (e) {
       _error = 'Görevler yüklenirken hata oluştu: $e';
@@ -82,14 +97,23 @@ class MyTasksViewModel extends ChangeNotifier {
   }
 
   /// Update task status
-  Future<bool> updateTaskStatus(String taskId, String newStatus) async {
+  Future<bool> updateTaskStatus(
+    String taskId,
+    String newStatus, {
+    String? nedenKodu,
+    String? not,
+  }) async {
     try {
       _isLoading = true;
       notifyListeners();
 
       final response = await _networkManager.dio.put<Map<String, dynamic>>(
         '/gorevler/$taskId',
-        data: {'gorevDurumu': newStatus},
+        data: {
+          'gorevDurumu': newStatus,
+          if (nedenKodu != null) 'nedenKodu': nedenKodu,
+          if (not != null) 'not': not,
+        },
       );
 
       if (response.statusCode == 200) {
@@ -98,6 +122,7 @@ class MyTasksViewModel extends ChangeNotifier {
         if (index != -1) {
           _tasks[index] = Task.fromJson(response.data!);
         }
+        await _syncLocationTracking();
         notifyListeners();
         return true;
       }
@@ -112,6 +137,69 @@ class MyTasksViewModel extends ChangeNotifier {
     }
   }
 
+  /// Start or stop sharing the device location depending on active tasks
+  Future<void> _syncLocationTracking() async {
+    final hasActiveTask =
+        _tasks.any((t) => liveTrackingStatuses.contains(t.gorevDurumu));
+
+    if (!hasActiveTask) {
+      await _positionSubscription?.cancel();
+      _positionSubscription = null;
+      return;
+    }
+
+    if (_positionSubscription != null) return;
+
+    var permission = await Geolocator.checkPermission();
+    if (permission == LocationPermission.denied) {
+      permission = await Geolocator.requestPermission();
+    }
+    if (permission == LocationPermission.denied ||
+        permission == LocationPermission.deniedForever) {
+      debugPrint('[MyTasksViewModel] Location permission denied');
+      return;
+    }
+
+    _positionSubscription = Geolocator.getPositionStream(
+      locationSettings: const LocationSettings(
+        accuracy: LocationAccuracy.high,
+        distanceFilter: 25,
+      ),
+    ).listen(_sendPosition);
+  }
+
+  /// Send a location fix for every task that is currently live
+  Future<void> _sendPosition(Position position) async {
+    final activeTasks =
+        _tasks.where((t) => liveTrackingStatuses.contains(t.gorevDurumu));
+
+    for (final task in activeTasks) {
+      try {
+        await _networkManager.dio.post<Map<String, dynamic>>(
+          '/gorevler/${task.id}/konum',
+          data: {
+            'lat': position.latitude,
+            'lng': position.longitude,
+            // m/s -> km/h
+            'hiz': position.speed * 3.6,
+            'yon': position.heading,
+            'dogruluk': position.accuracy,
+            'zaman': position.timestamp?.toIso8601String(),
+          },
+        );
+      } on DioException catch (e) {
+        debugPrint('[MyTasksViewModel] Error sending location: $e');
+      }
+    }
+  }
+
+  @override
+  void dispose() {
+    _positionSubscription?.cancel();
+    cancelLiveUpdates();
+    super.dispose();
+  }
+
   /// Clear error message
   void clearError() {
     _error = null;
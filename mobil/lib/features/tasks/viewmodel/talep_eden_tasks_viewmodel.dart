@@ -1,11 +1,12 @@
 import 'package:afet_arac_takip/features/tasks/model/task_model.dart';
+import 'package:afet_arac_takip/product/network/live_updates_mixin.dart';
 import 'package:afet_arac_takip/product/network/network_manager.dart';
 import 'package:dio/dio.dart';
 import 'package:flutter/material.dart';
 
 /// [TalepEdenTasksViewModel] manages tasks for talep_eden users
 /// Provides tracking of tasks related to their organization's requests
-class TalepEdenTasksViewModel extends ChangeNotifier {
+class TalepEdenTasksViewModel extends ChangeNotifier with LiveUpdatesMixin {
   final NetworkManager _networkManager = NetworkManager.instance;
 
   List<Task> _organizationTasks = [];
@@ -17,8 +18,16 @@ class TalepEdenTasksViewModel extends ChangeNotifier {
   String? _error;
   String? get error => _error;
 
+  @override
+  void dispose() {
+    cancelLiveUpdates();
+    super.dispose();
+  }
+
   /// [loadOrganizationTasks] fetches tasks related to user's organization
   Future<void> loadOrganizationTasks() async {
+    listenLiveUpdates({'gorev'}, loadOrganizationTasks);
+
     try {
       _isLoading = true;
       _error = null;
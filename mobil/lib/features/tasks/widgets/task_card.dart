@@ -139,6 +139,9 @@ class TaskCard extends StatelessWidget {
       case 'beklemede':
         backgroundColor = Colors.orange.shade100;
         textColor = Colors.orange.shade700;
+      case 'yolda':
+        backgroundColor = Colors.indigo.shade100;
+        textColor = Colors.indigo.shade700;
       case 'başladı':
         backgroundColor = Colors.blue.shade100;
         textColor = Colors.blue.shade700;
@@ -77,6 +77,19 @@ class TaskDetailModal extends StatelessWidget {
 
                   const SizedBox(height: 20),
 
+                  // Status history timeline
+                  if (task.durumGecmisi.isNotEmpty) ...[
+                    Text(
+                      'Durum Geçmişi',
+                      style: Theme.of(context).textTheme.titleMedium?.copyWith(
+                            fontWeight: FontWeight.bold,
+                          ),
+                    ),
+                    const SizedBox(height: 12),
+                    _buildTimeline(context),
+                    const SizedBox(height: 20),
+                  ],
+
                   // Placeholder content
                   Container(
                     padding: const EdgeInsets.all(16),
@@ -158,6 +171,118 @@ class TaskDetailModal extends StatelessWidget {
     );
   }
 
+  Widget _buildTimeline(BuildContext context) {
+    final gecmis = task.durumGecmisi;
+    return Column(
+      children: List.generate(gecmis.length, (index) {
+        final kayit = gecmis[index];
+        final sonKayit = index == gecmis.length - 1;
+        final renk = _statusColor(kayit.yeniDurum);
+
+        return IntrinsicHeight(
+          child: Row(
+            crossAxisAlignment: CrossAxisAlignment.start,
+            children: [
+              // Timeline marker and connector
+              Column(
+                children: [
+                  Container(
+                    width: 12,
+                    height: 12,
+                    margin: const EdgeInsets.only(top: 4),
+                    decoration: BoxDecoration(
+                      color: renk,
+                      shape: BoxShape.circle,
+                    ),
+                  ),
+                  if (!sonKayit)
+                    Expanded(
+                      child: Container(width: 2, color: Colors.grey.shade300),
+                    ),
+                ],
+              ),
+              const SizedBox(width: 12),
+              Expanded(
+                child: Padding(
+                  padding: const EdgeInsets.only(bottom: 16),
+                  child: Column(
+                    crossAxisAlignment: CrossAxisAlignment.start,
+                    children: [
+                      Text(
+                        kayit.oncekiDurum != null
+                            ? '${kayit.oncekiDurum} → ${kayit.yeniDurum}'
+                            : kayit.yeniDurum,
+                        style: const TextStyle(fontWeight: FontWeight.w600),
+                      ),
+                      Text(
+                        _formatDate(kayit.tarih),
+                        style: TextStyle(
+                          fontSize: 12,
+                          color: Colors.grey.shade600,
+                        ),
+                      ),
+                      if (kayit.kullaniciAdi != null &&
+                          kayit.kullaniciAdi!.isNotEmpty)
+                        Text(
+                          kayit.rol != null
+                              ? '${kayit.kullaniciAdi} (${kayit.rol})'
+                              : kayit.kullaniciAdi!,
+                          style: const TextStyle(fontSize: 12),
+                        ),
+                      if (kayit.nedenKodu != null)
+                        Text(
+                          'Neden: ${kayit.nedenKodu}',
+                          style: const TextStyle(
+                            fontSize: 12,
+                            color: Colors.red,
+                          ),
+                        ),
+                      if (kayit.not != null && kayit.not!.isNotEmpty)
+                        Text(kayit.not!, style: const TextStyle(fontSize: 12)),
+                      if (kayit.lat != null && kayit.lng != null)
+                        Text(
+                          'Konum: ${kayit.lat!.toStringAsFixed(5)}, '
+                          '${kayit.lng!.toStringAsFixed(5)}',
+                          style: TextStyle(
+                            fontSize: 12,
+                            color: Colors.grey.shade600,
+                          ),
+                        ),
+                    ],
+                  ),
+                ),
+              ),
+            ],
+          ),
+        );
+      }),
+    );
+  }
+
+  Color _statusColor(String durum) {
+    switch (durum) {
+      case 'beklemede':
+        return Colors.orange;
+      case 'yolda':
+        return Colors.indigo;
+      case 'başladı':
+        return Colors.blue;
+      case 'tamamlandı':
+        return Colors.green;
+      case 'iptal edildi':
+        return Colors.red;
+      default:
+        return Colors.grey;
+    }
+  }
+
+  String _formatDate(DateTime tarih) {
+    final yerel = tarih.toLocal();
+    String iki(int n) => n.toString().padLeft(2, '0');
+    return '${iki(yerel.day)}.${iki(yerel.month)}.${yerel.year} '
+        '${iki(yerel.hour)}:${iki(yerel.minute)}';
+  }
+
   Widget _buildInfoRow(String label, String value) {
     return Padding(
       padding: const EdgeInsets.symmetric(vertical: 4),
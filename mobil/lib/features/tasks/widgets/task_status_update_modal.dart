@@ -10,7 +10,18 @@ class TaskStatusUpdateModal extends StatelessWidget {
   });
 
   final Task task;
-  final void Function(String) onUpdate;
+  final void Function(String status, {String? nedenKodu}) onUpdate;
+
+  /// Sunucudaki iptal neden kodları (bkz. backend gorevDurumMakinesi.js)
+  static const Map<String, String> iptalNedenleri = {
+    'talep_iptal': 'Talep iptal edildi',
+    'arac_arizasi': 'Araç arızası',
+    'sofor_ulasilamadi': 'Şoföre ulaşılamadı',
+    'yol_kapali': 'Yol kapalı / erişim yok',
+    'kaza': 'Kaza',
+    'hedefe_ulasilamadi': 'Hedef konuma ulaşılamadı',
+    'yanlis_atama': 'Hatalı görevlendirme',
+  };
 
   @override
   Widget build(BuildContext context) {
@@ -69,6 +80,14 @@ class TaskStatusUpdateModal extends StatelessWidget {
 
           // Status options
           if (task.gorevDurumu == 'beklemede') ...[
+            _buildStatusButton(
+              context,
+              'Yola Çık',
+              'yolda',
+              Colors.indigo,
+              Icons.local_shipping,
+            ),
+          ] else if (task.gorevDurumu == 'yolda') ...[
             _buildStatusButton(
               context,
               'Görevi Başlat',
@@ -86,6 +105,25 @@ class TaskStatusUpdateModal extends StatelessWidget {
             ),
           ],
 
+          if (task.gorevDurumu == 'beklemede' ||
+              task.gorevDurumu == 'yolda' ||
+              task.gorevDurumu == 'başladı') ...[
+            const SizedBox(height: 12),
+            SizedBox(
+              width: double.infinity,
+              child: OutlinedButton.icon(
+                onPressed: () => _showCancelReasonDialog(context),
+                icon: const Icon(Icons.cancel_outlined, size: 20),
+                label: const Text('Görevi İptal Et'),
+                style: OutlinedButton.styleFrom(
+                  foregroundColor: Colors.red,
+                  side: const BorderSide(color: Colors.red),
+                  padding: const EdgeInsets.symmetric(vertical: 16),
+                ),
+              ),
+            ),
+          ],
+
           const SizedBox(height: 12),
 
           // Cancel button
@@ -101,6 +139,28 @@ class TaskStatusUpdateModal extends StatelessWidget {
     );
   }
 
+  /// İptal için neden kodu seçtirir, seçim yapılırsa güncellemeyi başlatır
+  Future<void> _showCancelReasonDialog(BuildContext context) async {
+    final nedenKodu = await showDialog<String>(
+      context: context,
+      builder: (context) => SimpleDialog(
+        title: const Text('İptal Nedeni'),
+        children: iptalNedenleri.entries
+            .map(
+              (e) => SimpleDialogOption(
+                onPressed: () => Navigator.of(context).pop(e.key),
+                child: Text(e.value),
+              ),
+            )
+            .toList(),
+      ),
+    );
+
+    if (nedenKodu != null) {
+      onUpdate('iptal edildi', nedenKodu: nedenKodu);
+    }
+  }
+
   Widget _buildStatusButton(
     BuildContext context,
     String label,
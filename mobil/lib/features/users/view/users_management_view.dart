@@ -1,3 +1,5 @@
+import 'dart:async';
+
 import 'package:afet_arac_takip/features/auth/model/user_model.dart';
 import 'package:afet_arac_takip/features/users/viewmodel/users_management_viewmodel.dart';
 import 'package:afet_arac_takip/features/users/widgets/role_assignment_modal.dart';
@@ -18,13 +20,24 @@ class UsersManagementView extends StatefulWidget {
 class _UsersManagementViewState extends State<UsersManagementView> {
   final _searchController = TextEditingController();
   String _selectedRole = 'all';
+  Timer? _searchDebounce;
 
   @override
   void dispose() {
+    _searchDebounce?.cancel();
     _searchController.dispose();
     super.dispose();
   }
 
+  /// Search is sent to the server once typing pauses
+  void _onSearchChanged(UsersManagementViewModel viewModel, String value) {
+    _searchDebounce?.cancel();
+    _searchDebounce = Timer(
+      const Duration(milliseconds: 400),
+      () => viewModel.loadUsers(searchQuery: value),
+    );
+  }
+
   @override
   Widget build(BuildContext context) {
     return ChangeNotifierProvider(
@@ -67,10 +80,7 @@ class _UsersManagementViewState extends State<UsersManagementView> {
               );
             }
 
-            final filteredUsers = viewModel.getFilteredUsers(
-              _searchController.text,
-              _selectedRole,
-            );
+            final users = viewModel.users;
 
             return Column(
               children: [
@@ -91,7 +101,8 @@ class _UsersManagementViewState extends State<UsersManagementView> {
                           filled: true,
                           fillColor: Colors.grey.shade100,
                         ),
-                        onChanged: (value) => setState(() {}),
+                        onChanged: (value) =>
+                            _onSearchChanged(viewModel, value),
                       ),
                       const SizedBox(height: 12),
 
@@ -100,32 +111,15 @@ class _UsersManagementViewState extends State<UsersManagementView> {
                         scrollDirection: Axis.horizontal,
                         child: Row(
                           children: [
+                            _buildRoleFilter(viewModel, 'all', 'Tümü'),
                             _buildRoleFilter(
-                                'all', 'Tümü', viewModel.users.length),
-                            _buildRoleFilter(
-                                'beklemede',
-                                'Beklemede',
-                                viewModel.users
-                                    .where((u) => u.rol == 'beklemede')
-                                    .length),
+                                viewModel, 'beklemede', 'Beklemede'),
                             _buildRoleFilter(
-                                'koordinator',
-                                'Koordinatör',
-                                viewModel.users
-                                    .where((u) => u.rol == 'koordinator')
-                                    .length),
+                                viewModel, 'koordinator', 'Koordinatör'),
                             _buildRoleFilter(
-                                'arac_sahibi',
-                                'Araç Sahibi',
-                                viewModel.users
-                                    .where((u) => u.rol == 'arac_sahibi')
-                                    .length),
+                                viewModel, 'arac_sahibi', 'Araç Sahibi'),
                             _buildRoleFilter(
-                                'talep_eden',
-                                'Talep Eden',
-                                viewModel.users
-                                    .where((u) => u.rol == 'talep_eden')
-                                    .length),
+                                viewModel, 'talep_eden', 'Talep Eden'),
                           ],
                         ),
                       ),
@@ -145,18 +139,13 @@ class _UsersManagementViewState extends State<UsersManagementView> {
                     mainAxisAlignment: MainAxisAlignment.spaceAround,
                     children: [
                       _buildStatItem(
-                          'Toplam', viewModel.users.length, Colors.blue),
-                      _buildStatItem(
-                          'Beklemede',
-                          viewModel.users
-                              .where((u) => u.rol == 'beklemede')
-                              .length,
-                          Colors.orange),
+                          'Toplam', viewModel.roleCount('all'), Colors.blue),
+                      _buildStatItem('Beklemede',
+                          viewModel.roleCount('beklemede'), Colors.orange),
                       _buildStatItem(
                           'Aktif',
-                          viewModel.users
-                              .where((u) => u.rol != 'beklemede')
-                              .length,
+                          viewModel.roleCount('all') -
+                              viewModel.roleCount('beklemede'),
                           Colors.green),
                     ],
                   ),
@@ -166,7 +155,7 @@ class _UsersManagementViewState extends State<UsersManagementView> {
 
                 // Users List
                 Expanded(
-                  child: filteredUsers.isEmpty
+                  child: users.isEmpty
                       ? Center(
                           child: Column(
                             mainAxisAlignment: MainAxisAlignment.center,
@@ -189,20 +178,39 @@ class _UsersManagementViewState extends State<UsersManagementView> {
                         )
                       : RefreshIndicator(
                           onRefresh: () => viewModel.loadUsers(),
-                          child: ListView.builder(
-                            padding: const EdgeInsets.symmetric(horizontal: 16),
-                            itemCount: filteredUsers.length,
-                            itemBuilder: (context, index) {
-                              final user = filteredUsers[index];
-                              return UserCard(
-                                user: user,
-                                onTap: () => _showUserDetail(context, user),
-                                onAssignRole: () => _showRoleAssignmentModal(
-                                    context, user, viewModel),
-                                onDelete: () =>
-                                    _showDeleteDialog(context, user, viewModel),
-                              );
+                          child: NotificationListener<ScrollNotification>(
+                            // Next page is requested near the end of the list
+                            onNotification: (notification) {
+                              if (notification.metrics.extentAfter < 300) {
+                                viewModel.loadMoreUsers();
+                              }
+                              return false;
                             },
+                            child: ListView.builder(
+                              padding:
+                                  const EdgeInsets.symmetric(horizontal: 16),
+                              itemCount: users.length +
+                                  (viewModel.hasMoreUsers ? 1 : 0),
+                              itemBuilder: (context, index) {
+                                if (index == users.length) {
+                                  return const Padding(
+                                    padding: EdgeInsets.all(16),
+                                    child: Center(
+                                      child: CircularProgressIndicator(),
+                                    ),
+                                  );
+                                }
+                                final user = users[index];
+                                return UserCard(
+                                  user: user,
+                                  onTap: () => _showUserDetail(context, user),
+                                  onAssignRole: () => _showRoleAssignmentModal(
+                                      context, user, viewModel),
+                                  onDelete: () => _showDeleteDialog(
+                                      context, user, viewModel),
+                                );
+                              },
+                            ),
                           ),
                         ),
                 ),
@@ -214,17 +222,22 @@ class _UsersManagementViewState extends State<UsersManagementView> {
     );
   }
 
-  Widget _buildRoleFilter(String role, String label, int count) {
+  Widget _buildRoleFilter(
+    UsersManagementViewModel viewModel,
+    String role,
+    String label,
+  ) {
     final isSelected = _selectedRole == role;
     return Container(
       margin: const EdgeInsets.only(right: 8),
       child: FilterChip(
-        label: Text('$label ($count)'),
+        label: Text('$label (${viewModel.roleCount(role)})'),
         selected: isSelected,
         onSelected: (selected) {
           setState(() {
             _selectedRole = role;
           });
+          viewModel.loadUsers(role: role);
         },
         backgroundColor: Colors.grey.shade100,
         selectedColor: Theme.of(context).primaryColor.withAlpha(50),
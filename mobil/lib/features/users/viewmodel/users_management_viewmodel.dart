@@ -1,5 +1,6 @@
 import 'package:afet_arac_takip/features/auth/model/user_model.dart';
 import 'package:afet_arac_takip/product/network/network_manager.dart';
+import 'package:afet_arac_takip/product/network/paged_list.dart';
 import 'package:dio/dio.dart';
 import 'package:flutter/material.dart';
 
@@ -7,45 +8,57 @@ import 'package:flutter/material.dart';
 class UsersManagementViewModel extends ChangeNotifier {
   final NetworkManager _networkManager = NetworkManager.instance;
 
-  List<User> _users = [];
-  List<User> get users => _users;
+  /// Server-filtered, cursor paged user list (newest first)
+  final PagedList<User> _userPage = PagedList<User>(
+    path: '/kullanicilar',
+    parser: User.fromJson,
+  );
+  List<User> get users => _userPage.items;
+  bool get hasMoreUsers => _userPage.hasMore;
 
   bool _isLoading = false;
   bool get isLoading => _isLoading;
 
+  bool _isLoadingMore = false;
+  bool get isLoadingMore => _isLoadingMore;
+
   String? _error;
   String? get error => _error;
 
-  /// Load all users from API
-  Future<void> loadUsers() async {
+  /// User counts per role ('all' for the total), read from list totals
+  Map<String, int> _roleCounts = {};
+  int roleCount(String role) => _roleCounts[role] ?? 0;
+
+  /// Active filters of [users]
+  String _searchQuery = '';
+  String _role = 'all';
+  bool _loaded = false;
+
+  /// Load the first page of users, keeping the filters not given
+  /// Search ([searchQuery]) and [role] filtering are done by the server
+  Future<void> loadUsers({String? searchQuery, String? role}) async {
+    _searchQuery = searchQuery ?? _searchQuery;
+    _role = role ?? _role;
+
     try {
-      _isLoading = true;
+      // Only the first load replaces the view with a spinner, filter changes keep the search field
+      _isLoading = !_loaded;
       _error = null;
       notifyListeners();
 
       print('🔄 Loading users from API...');
 
-      final response =
-          await _networkManager.dio.get<List<dynamic>>('/kullanicilar');
-
-      if (response.statusCode == 200) {
-        final data = response.data!;
-        _users =
-            data.map((e) => User.fromJson(e as Map<String, dynamic>)).toList();
-
-        print('✅ Users loaded successfully: ${_users.length} users');
-        print('📊 User roles breakdown:');
-        print(
-            '  - Beklemede: ${_users.where((u) => u.rol == 'beklemede').length}');
-        print(
-            '  - Koordinator: ${_users.where((u) => u.rol == 'koordinator').length}');
-        print(
-            '  - Araç Sahibi: ${_users.where((u) => u.rol == 'arac_sahibi').length}');
-        print(
-            '  - Talep Eden: ${_users.where((u) => u.rol == 'talep_eden').length}');
-      } else {
-        throw Exception('API returned status code: ${response.statusCode}');
-      }
+      await Future.wait([
+        _userPage.reload({
+          'arama': _searchQuery.trim(),
+          'durum': _role,
+          'sirala': '-createdAt',
+        }),
+        _loadRoleCounts(),
+      ]);
+      _loaded = true;
+
+      print('✅ Users loaded successfully: ${users.length}/${_userPage.total} users');
     } on DioException catch (e) {
       _error = 'Kullanıcılar yüklenirken hata oluştu: $e';
       print('❌ Error loading users: $e');
@@ -55,46 +68,32 @@ class UsersManagementViewModel extends ChangeNotifier {
     }
   }
 
-  /// Get filtered users based on search query and role
-  List<User> getFilteredUsers(String searchQuery, String role) {
-    var filtered = _users;
+  /// Append the next page when the list is scrolled to the end
+  Future<void> loadMoreUsers() async {
+    if (_isLoadingMore || !_userPage.hasMore) return;
 
-    // Filter by role
-    if (role != 'all') {
-      filtered = filtered.where((user) => user.rol == role).toList();
-    }
-
-    // Filter by search query
-    if (searchQuery.isNotEmpty) {
-      final query = searchQuery.toLowerCase();
-      filtered = filtered.where((user) {
-        return user.fullName.toLowerCase().contains(query) ||
-            user.email.toLowerCase().contains(query) ||
-            (user.telefon?.toLowerCase().contains(query) ?? false) ||
-            user.displayRole.toLowerCase().contains(query);
-      }).toList();
+    try {
+      _isLoadingMore = true;
+      notifyListeners();
+      await _userPage.loadMore();
+    } on DioException catch (e) {
+      print('❌ Error loading more users: $e');
+    } finally {
+      _isLoadingMore = false;
+      notifyListeners();
     }
+  }
 
-    // Sort by role priority (beklemede first, then alphabetically)
-    filtered.sort((a, b) {
-      final rolePriority = {
-        'beklemede': 0,
-        'koordinator': 1,
-        'arac_sahibi': 2,
-        'talep_eden': 3,
-      };
-
-      final aPriority = rolePriority[a.rol] ?? 4;
-      final bPriority = rolePriority[b.rol] ?? 4;
-
-      if (aPriority != bPriority) {
-        return aPriority.compareTo(bPriority);
-      }
-
-      return a.fullName.compareTo(b.fullName);
-    });
-
-    return filtered;
+  Future<void> _loadRoleCounts() async {
+    const roles = ['beklemede', 'koordinator', 'arac_sahibi', 'talep_eden'];
+    final counts = await Future.wait([
+      PagedList.count('/kullanicilar'),
+      ...roles.map((r) => PagedList.count('/kullanicilar', {'durum': r})),
+    ]);
+    _roleCounts = {
+      'all': counts.first,
+      for (var i = 0; i < roles.length; i++) roles[i]: counts[i + 1],
+    };
   }
 
   /// Assign a new role to a user
@@ -109,12 +108,9 @@ class UsersManagementViewModel extends ChangeNotifier {
 
       if (response.statusCode == 200) {
         // Update local user data
-        final index = _users.indexWhere((u) => u.id == userId);
-        if (index != -1) {
-          final updatedUser = User.fromJson(response.data!);
-          _users[index] = updatedUser;
-          notifyListeners();
-        }
+        _userPage.replaceWhere(
+            (u) => u.id == userId, User.fromJson(response.data!));
+        notifyListeners();
 
         print('✅ Role assigned successfully');
         return true;
@@ -139,7 +135,7 @@ class UsersManagementViewModel extends ChangeNotifier {
 
       if (response.statusCode == 200) {
         // Remove user from local list
-        _users.removeWhere((u) => u.id == userId);
+        _userPage.removeWhere((u) => u.id == userId);
         notifyListeners();
 
         print('✅ User deleted successfully');
@@ -11,6 +11,7 @@ class Vehicle {
     this.konum,
     this.marka,
     this.model,
+    this.aracSinifi,
   });
 
   /// Creates a vehicle model from json
@@ -27,6 +28,7 @@ class Vehicle {
           : null,
       marka: json['marka'] as String?,
       model: json['model'] as String?,
+      aracSinifi: json['aracSinifi'] as String?,
     );
   }
 
@@ -57,6 +59,9 @@ class Vehicle {
   /// Vehicle model (optional)
   final String? model;
 
+  /// Registration category code, e.g. N3 (optional)
+  final String? aracSinifi;
+
   /// Converts vehicle model to json
   Map<String, dynamic> toJson() {
     return {
@@ -69,6 +74,7 @@ class Vehicle {
       'konum': konum?.toJson(),
       'marka': marka,
       'model': model,
+      'aracSinifi': aracSinifi,
     };
   }
 }
@@ -1,3 +1,5 @@
+import 'dart:async';
+
 import 'package:afet_arac_takip/features/vehicles/model/vehicle_model.dart';
 import 'package:afet_arac_takip/features/vehicles/view/add_vehicle_modal.dart';
 import 'package:afet_arac_takip/features/vehicles/view/edit_vehicle_modal.dart';
@@ -21,13 +23,24 @@ class VehiclesView extends StatefulWidget {
 
 class _VehiclesViewState extends State<VehiclesView> {
   final _searchController = TextEditingController();
+  Timer? _searchDebounce;
 
   @override
   void dispose() {
+    _searchDebounce?.cancel();
     _searchController.dispose();
     super.dispose();
   }
 
+  /// Search is sent to the server once typing pauses
+  void _onSearchChanged(VehiclesViewModel viewModel, String value) {
+    _searchDebounce?.cancel();
+    _searchDebounce = Timer(
+      const Duration(milliseconds: 400),
+      () => viewModel.loadVehiclePage(searchQuery: value),
+    );
+  }
+
   @override
   Widget build(BuildContext context) {
     // **[VehiclesView]** Get current user role for permission check
@@ -35,7 +48,7 @@ class _VehiclesViewState extends State<VehiclesView> {
     final isKoordinator = currentUser?.isKoordinator ?? false;
 
     return ChangeNotifierProvider(
-      create: (_) => VehiclesViewModel()..getVehicles(),
+      create: (_) => VehiclesViewModel()..loadVehiclePage(),
       child: CupertinoPageScaffold(
         navigationBar: CupertinoNavigationBar(
           middle: const Text('Araçlarım'),
@@ -54,7 +67,7 @@ class _VehiclesViewState extends State<VehiclesView> {
                 return const Center(child: CupertinoActivityIndicator());
               }
 
-              if (viewModel.vehicles.isEmpty) {
+              if (viewModel.filterCount('all') == 0) {
                 return Center(
                   child: Column(
                     mainAxisAlignment: MainAxisAlignment.center,
@@ -85,7 +98,7 @@ class _VehiclesViewState extends State<VehiclesView> {
                     child: CupertinoSearchTextField(
                       controller: _searchController,
                       placeholder: 'Araç Ara',
-                      onChanged: (value) => viewModel.searchQuery = value,
+                      onChanged: (value) => _onSearchChanged(viewModel, value),
                     ),
                   ),
                   // Status filters
@@ -96,29 +109,29 @@ class _VehiclesViewState extends State<VehiclesView> {
                       scrollDirection: Axis.horizontal,
                       children: [
                         _buildFilterChip(
-                          context,
-                          'Tümü (${viewModel.vehicles.length})',
-                          viewModel.vehicles.length,
+                          viewModel,
+                          'all',
+                          'Tümü (${viewModel.filterCount('all')})',
                         ),
                         const SizedBox(width: 8),
                         _buildFilterChip(
-                          context,
-                          'Müsait (${viewModel.availableVehicles.length})',
-                          viewModel.availableVehicles.length,
+                          viewModel,
+                          'musait',
+                          'Müsait (${viewModel.filterCount('musait')})',
                           color: CupertinoColors.systemGreen,
                         ),
                         const SizedBox(width: 8),
                         _buildFilterChip(
-                          context,
-                          'Aktif (${viewModel.activeVehicles.length})',
-                          viewModel.activeVehicles.length,
+                          viewModel,
+                          'aktif',
+                          'Aktif (${viewModel.filterCount('aktif')})',
                           color: CupertinoColors.systemGreen,
                         ),
                         const SizedBox(width: 8),
                         _buildFilterChip(
-                          context,
-                          'Pasif (${viewModel.inactiveVehicles.length})',
-                          viewModel.inactiveVehicles.length,
+                          viewModel,
+                          'pasif',
+                          'Pasif (${viewModel.filterCount('pasif')})',
                           color: CupertinoColors.systemRed,
                         ),
                       ],
@@ -127,29 +140,45 @@ class _VehiclesViewState extends State<VehiclesView> {
                   const SizedBox(height: 8),
                   // Vehicle list
                   Expanded(
-                    child: CustomScrollView(
-                      slivers: [
-                        CupertinoSliverRefreshControl(
-                          onRefresh: () => viewModel.refreshVehicles(),
-                        ),
-                        SliverList(
-                          delegate: SliverChildBuilderDelegate(
-                            (context, index) {
-                              final vehicle = viewModel.vehicles[index];
-                              return VehicleCard(
-                                vehicle: vehicle,
-                                onTap: () =>
-                                    _showVehicleDetails(context, vehicle),
-                                onEdit: () =>
-                                    _showEditVehicleModal(context, vehicle),
-                                onDelete: () =>
-                                    _showDeleteVehicleDialog(context, vehicle),
-                              );
-                            },
-                            childCount: viewModel.vehicles.length,
+                    child: NotificationListener<ScrollNotification>(
+                      // Next page is requested near the end of the list
+                      onNotification: (notification) {
+                        if (notification.metrics.extentAfter < 300) {
+                          viewModel.loadMoreVehicles();
+                        }
+                        return false;
+                      },
+                      child: CustomScrollView(
+                        slivers: [
+                          CupertinoSliverRefreshControl(
+                            onRefresh: () => viewModel.loadVehiclePage(),
                           ),
-                        ),
-                      ],
+                          SliverList(
+                            delegate: SliverChildBuilderDelegate(
+                              (context, index) {
+                                final vehicle = viewModel.pagedVehicles[index];
+                                return VehicleCard(
+                                  vehicle: vehicle,
+                                  onTap: () =>
+                                      _showVehicleDetails(context, vehicle),
+                                  onEdit: () =>
+                                      _showEditVehicleModal(context, vehicle),
+                                  onDelete: () => _showDeleteVehicleDialog(
+                                      context, vehicle),
+                                );
+                              },
+                              childCount: viewModel.pagedVehicles.length,
+                            ),
+                          ),
+                          if (viewModel.hasMoreVehicles)
+                            const SliverToBoxAdapter(
+                              child: Padding(
+                                padding: EdgeInsets.all(16),
+                                child: CupertinoActivityIndicator(),
+                              ),
+                            ),
+                        ],
+                      ),
                     ),
                   ),
                 ],
@@ -161,19 +190,28 @@ class _VehiclesViewState extends State<VehiclesView> {
     );
   }
 
-  Widget _buildFilterChip(BuildContext context, String label, int count,
-      {Color? color}) {
-    return Container(
-      padding: const EdgeInsets.symmetric(horizontal: 12, vertical: 6),
-      decoration: BoxDecoration(
-        color: (color ?? CupertinoColors.systemGrey).withValues(alpha: 0.1),
-        borderRadius: BorderRadius.circular(8),
-      ),
-      child: Text(
-        label,
-        style: TextStyle(
-          color: color ?? CupertinoColors.label,
-          fontWeight: FontWeight.w500,
+  Widget _buildFilterChip(
+    VehiclesViewModel viewModel,
+    String filter,
+    String label, {
+    Color? color,
+  }) {
+    final isSelected = viewModel.filter == filter;
+    return GestureDetector(
+      onTap: () => viewModel.loadVehiclePage(filter: filter),
+      child: Container(
+        padding: const EdgeInsets.symmetric(horizontal: 12, vertical: 6),
+        decoration: BoxDecoration(
+          color: (color ?? CupertinoColors.systemGrey)
+              .withValues(alpha: isSelected ? 0.3 : 0.1),
+          borderRadius: BorderRadius.circular(8),
+        ),
+        child: Text(
+          label,
+          style: TextStyle(
+            color: color ?? CupertinoColors.label,
+            fontWeight: isSelected ? FontWeight.w700 : FontWeight.w500,
+          ),
         ),
       ),
     );
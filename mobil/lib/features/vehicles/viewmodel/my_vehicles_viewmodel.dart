@@ -1,10 +1,11 @@
 import 'package:afet_arac_takip/features/vehicles/model/vehicle_model.dart';
+import 'package:afet_arac_takip/product/network/live_updates_mixin.dart';
 import 'package:afet_arac_takip/product/network/network_manager.dart';
 import 'package:dio/dio.dart';
 import 'package:flutter/material.dart';
 
 /// My vehicles viewmodel for arac_sahibi users
-class MyVehiclesViewModel extends ChangeNotifier {
+class MyVehiclesViewModel extends ChangeNotifier with LiveUpdatesMixin {
   final NetworkManager _networkManager = NetworkManager.instance;
 
   List<Vehicle> _vehicles = [];
@@ -22,6 +23,7 @@ class MyVehiclesViewModel extends ChangeNotifier {
   @override
   void dispose() {
     _disposed = true;
+    cancelLiveUpdates();
     super.dispose();
   }
 
@@ -36,6 +38,8 @@ class MyVehiclesViewModel extends ChangeNotifier {
   /// Load my vehicles with smart caching
   /// [forceRefresh] - Force API call even if cache is valid
   Future<void> loadMyVehicles({bool forceRefresh = false}) async {
+    listenLiveUpdates({'arac'}, () => loadMyVehicles(forceRefresh: true));
+
     // **[MyVehiclesViewModel]** Use cache if valid and not forcing refresh
     if (!forceRefresh && _isCacheValid && hasData) {
       debugPrint(
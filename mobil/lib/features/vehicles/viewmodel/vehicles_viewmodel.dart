@@ -1,37 +1,46 @@
 import 'package:afet_arac_takip/features/vehicles/model/vehicle_model.dart';
+import 'package:afet_arac_takip/product/network/live_updates_mixin.dart';
 import 'package:afet_arac_takip/product/network/network_manager.dart';
+import 'package:afet_arac_takip/product/network/paged_list.dart';
+import 'package:dio/dio.dart';
 import 'package:flutter/material.dart';
 
 /// Vehicles view model
-class VehiclesViewModel extends ChangeNotifier {
+class VehiclesViewModel extends ChangeNotifier with LiveUpdatesMixin {
   final NetworkManager _networkManager = NetworkManager.instance;
 
   List<Vehicle> _vehicles = [];
-  List<Vehicle> get vehicles => _filteredVehicles;
-
-  List<Vehicle> get _filteredVehicles {
-    if (_searchQuery.isEmpty) return _vehicles;
-
-    return _vehicles.where((vehicle) {
-      return vehicle.plaka.toLowerCase().contains(_searchQuery.toLowerCase()) ||
-          vehicle.aracTuru.toLowerCase().contains(_searchQuery.toLowerCase()) ||
-          vehicle.kullanimAmaci
-              .toLowerCase()
-              .contains(_searchQuery.toLowerCase()) ||
-          (vehicle.marka?.toLowerCase().contains(_searchQuery.toLowerCase()) ??
-              false) ||
-          (vehicle.model?.toLowerCase().contains(_searchQuery.toLowerCase()) ??
-              false);
-    }).toList();
-  }
-
+  List<Vehicle> get vehicles => _vehicles;
+
+  /// Server-filtered, cursor paged vehicle list of the vehicles view
+  final PagedList<Vehicle> _vehiclePage = PagedList<Vehicle>(
+    path: '/araclar',
+    parser: Vehicle.fromJson,
+  );
+  List<Vehicle> get pagedVehicles => _vehiclePage.items;
+  bool get hasMoreVehicles => _vehiclePage.hasMore;
+
+  bool _isLoadingMore = false;
+  bool get isLoadingMore => _isLoadingMore;
+
+  /// Query parameters of the vehicle list filters
+  static const Map<String, Map<String, String>> _filterParams = {
+    'all': {},
+    'musait': {'musait': 'true'},
+    'aktif': {'durum': 'aktif'},
+    'pasif': {'durum': 'pasif'},
+  };
+
+  /// Vehicle counts per filter, read from list totals
+  Map<String, int> _filterCounts = {};
+  int filterCount(String filter) => _filterCounts[filter] ?? 0;
+
+  /// Active filters of [pagedVehicles]
   String _searchQuery = '';
   String get searchQuery => _searchQuery;
-
-  set searchQuery(String value) {
-    _searchQuery = value;
-    notifyListeners();
-  }
+  String _filter = 'all';
+  String get filter => _filter;
+  bool _pageLoaded = false;
 
   /// Loading states for different operations
   bool _isLoading = false;
@@ -76,6 +85,8 @@ class VehiclesViewModel extends ChangeNotifier {
   /// Get vehicles with smart caching
   /// [forceRefresh] - Force API call even if cache is valid
   Future<void> getVehicles({bool forceRefresh = false}) async {
+    listenLiveUpdates({'arac'}, () => getVehicles(forceRefresh: true));
+
     // **[VehiclesViewModel]** Use cache if valid and not forcing refresh
     if (!forceRefresh && _isCacheValid && hasData) {
       debugPrint(
@@ -126,6 +137,72 @@ class VehiclesViewModel extends ChangeNotifier {
     await getVehicles(forceRefresh: true);
   }
 
+  /// Load the first page of vehicles, keeping the filters not given
+  /// Search ([searchQuery]: plate, type, address, owner) and [filter] are applied by the server
+  Future<void> loadVehiclePage({String? searchQuery, String? filter}) async {
+    listenLiveUpdates({'arac'}, loadVehiclePage);
+    _searchQuery = searchQuery ?? _searchQuery;
+    _filter = filter ?? _filter;
+
+    try {
+      // Only the first load replaces the view with a spinner, filter changes keep the search field
+      _isLoading = !_pageLoaded;
+      if (!_disposed) notifyListeners();
+
+      await Future.wait([
+        _vehiclePage.reload({
+          'arama': _searchQuery.trim(),
+          ..._filterParams[_filter]!,
+        }),
+        _loadFilterCounts(),
+      ]);
+      _pageLoaded = true;
+      debugPrint(
+          '[VehiclesViewModel] ✅ Loaded ${pagedVehicles.length}/${filterCount('all')} vehicles');
+    } on DioException catch (e) {
+      debugPrint('[VehiclesViewModel] Get vehicle page error: $e');
+      _setError('Araçlar yüklenirken bir hata oluştu: $e');
+    } finally {
+      _isLoading = false;
+      if (!_disposed) notifyListeners();
+    }
+  }
+
+  /// Append the next page when the list is scrolled to the end
+  Future<void> loadMoreVehicles() async {
+    if (_isLoadingMore || !_vehiclePage.hasMore) return;
+
+    try {
+      _isLoadingMore = true;
+      if (!_disposed) notifyListeners();
+      await _vehiclePage.loadMore();
+    } on DioException catch (e) {
+      debugPrint('[VehiclesViewModel] Load more vehicles error: $e');
+    } finally {
+      _isLoadingMore = false;
+      if (!_disposed) notifyListeners();
+    }
+  }
+
+  Future<void> _loadFilterCounts() async {
+    final filters = _filterParams.keys.toList();
+    final counts = await Future.wait(
+      filters.map((f) => PagedList.count('/araclar', _filterParams[f]!)),
+    );
+    _filterCounts = {
+      for (var i = 0; i < filters.length; i++) filters[i]: counts[i],
+    };
+  }
+
+  // Refreshes whichever list this instance shows after a change
+  Future<void> _reloadAfterChange() async {
+    if (_pageLoaded) {
+      await loadVehiclePage();
+    } else {
+      await getVehicles(forceRefresh: true);
+    }
+  }
+
   /// Add vehicle
   Future<bool> addVehicle(Vehicle vehicle) async {
     if (_isAdding) return false;
@@ -140,8 +217,7 @@ class VehiclesViewModel extends ChangeNotifier {
       );
 
       if (response.statusCode == 200) {
-        await getVehicles(
-            forceRefresh: true); // **[VehiclesViewModel]** Invalidate cache
+        await _reloadAfterChange(); // **[VehiclesViewModel]** Invalidate cache
         return true;
       } else {
         _setError('Araç eklenirken bir hata oluştu');
@@ -171,8 +247,7 @@ class VehiclesViewModel extends ChangeNotifier {
       );
 
       if (response.statusCode == 200) {
-        await getVehicles(
-            forceRefresh: true); // **[VehiclesViewModel]** Invalidate cache
+        await _reloadAfterChange(); // **[VehiclesViewModel]** Invalidate cache
         return true;
       } else {
         _setError('Araç güncellenirken bir hata oluştu');
@@ -200,8 +275,7 @@ class VehiclesViewModel extends ChangeNotifier {
           .delete<Map<String, dynamic>>('/arac/$plaka');
 
       if (response.statusCode == 200) {
-        await getVehicles(
-            forceRefresh: true); // **[VehiclesViewModel]** Invalidate cache
+        await _reloadAfterChange(); // **[VehiclesViewModel]** Invalidate cache
         return true;
       } else {
         _setError('Araç silinirken bir hata oluştu');
@@ -219,7 +293,7 @@ class VehiclesViewModel extends ChangeNotifier {
 
   /// Filter vehicles by status
   List<Vehicle> getVehiclesByStatus(String status) {
-    return _filteredVehicles
+    return _vehicles
         .where((vehicle) => vehicle.aracDurumu == status)
         .toList();
   }
@@ -231,13 +305,14 @@ class VehiclesViewModel extends ChangeNotifier {
   List<Vehicle> get inactiveVehicles => getVehiclesByStatus('pasif');
 
   /// Get available vehicles
-  List<Vehicle> get availableVehicles => _filteredVehicles
+  List<Vehicle> get availableVehicles => _vehicles
       .where((vehicle) => vehicle.musaitlikDurumu == true)
       .toList();
 
   @override
   void dispose() {
     _disposed = true;
+    cancelLiveUpdates();
     super.dispose();
   }
 }
@@ -1,6 +1,21 @@
 import 'package:afet_arac_takip/features/vehicles/model/vehicle_model.dart';
 import 'package:flutter/material.dart';
 
+/// Registration category codes accepted by the backend (`Arac.aracSinifi`)
+const vehicleClasses = {
+  'M1': 'M1 - Binek',
+  'M2': 'M2 - Minibüs',
+  'M3': 'M3 - Otobüs',
+  'N1': 'N1 - Hafif ticari',
+  'N2': 'N2 - Kamyonet / kamyon',
+  'N3': 'N3 - Kamyon / çekici',
+  'O1': 'O1 - Römork (0,75 t)',
+  'O2': 'O2 - Römork (3,5 t)',
+  'O3': 'O3 - Römork (10 t)',
+  'O4': 'O4 - Römork / dorse',
+  'L': 'L - Motosiklet',
+};
+
 /// Add/Edit vehicle modal (placeholder)
 class AddEditVehicleModal extends StatefulWidget {
   const AddEditVehicleModal({
@@ -20,6 +35,9 @@ class _AddEditVehicleModalState extends State<AddEditVehicleModal> {
   final _formKey = GlobalKey<FormState>();
   late TextEditingController _plakaController;
   late TextEditingController _kapasiteController;
+  late TextEditingController _markaController;
+  late TextEditingController _modelController;
+  String? _aracSinifi;
   String _aracTuru = 'otomobil';
   String _kullanimAmaci = 'yolcu';
   String _aracDurumu = 'aktif';
@@ -31,6 +49,11 @@ class _AddEditVehicleModalState extends State<AddEditVehicleModal> {
     _plakaController = TextEditingController(text: widget.vehicle?.plaka ?? '');
     _kapasiteController =
         TextEditingController(text: widget.vehicle?.kapasite.toString() ?? '1');
+    _markaController = TextEditingController(text: widget.vehicle?.marka ?? '');
+    _modelController = TextEditingController(text: widget.vehicle?.model ?? '');
+    _aracSinifi = vehicleClasses.containsKey(widget.vehicle?.aracSinifi)
+        ? widget.vehicle!.aracSinifi
+        : null;
 
     if (widget.vehicle != null) {
       _aracTuru = widget.vehicle!.aracTuru;
@@ -44,6 +67,8 @@ class _AddEditVehicleModalState extends State<AddEditVehicleModal> {
   void dispose() {
     _plakaController.dispose();
     _kapasiteController.dispose();
+    _markaController.dispose();
+    _modelController.dispose();
     super.dispose();
   }
 
@@ -142,6 +167,60 @@ class _AddEditVehicleModalState extends State<AddEditVehicleModal> {
 
                     const SizedBox(height: 16),
 
+                    // Marka / Model
+                    Row(
+                      children: [
+                        Expanded(
+                          child: TextFormField(
+                            controller: _markaController,
+                            decoration: const InputDecoration(
+                              labelText: 'Marka',
+                              border: OutlineInputBorder(),
+                            ),
+                          ),
+                        ),
+                        const SizedBox(width: 12),
+                        Expanded(
+                          child: TextFormField(
+                            controller: _modelController,
+                            decoration: const InputDecoration(
+                              labelText: 'Model',
+                              border: OutlineInputBorder(),
+                            ),
+                          ),
+                        ),
+                      ],
+                    ),
+
+                    const SizedBox(height: 16),
+
+                    // Araç Sınıfı (ruhsat)
+                    DropdownButtonFormField<String?>(
+                      value: _aracSinifi,
+                      decoration: const InputDecoration(
+                        labelText: 'Araç Sınıfı (ruhsat)',
+                        border: OutlineInputBorder(),
+                      ),
+                      items: [
+                        const DropdownMenuItem<String?>(
+                          child: Text('Belirtilmemiş'),
+                        ),
+                        ...vehicleClasses.entries.map(
+                          (e) => DropdownMenuItem<String?>(
+                            value: e.key,
+                            child: Text(e.value),
+                          ),
+                        ),
+                      ],
+                      onChanged: (value) {
+                        setState(() {
+                          _aracSinifi = value;
+                        });
+                      },
+                    ),
+
+                    const SizedBox(height: 16),
+
                     // Kullanım Amacı
                     DropdownButtonFormField<String>(
                       value: _kullanimAmaci,
@@ -262,6 +341,10 @@ class _AddEditVehicleModalState extends State<AddEditVehicleModal> {
       final vehicleData = {
         'plaka': _plakaController.text,
         'aracTuru': _aracTuru,
+        'marka': _markaController.text.trim(),
+        'model': _modelController.text.trim(),
+        // Empty string clears the class on update
+        'aracSinifi': _aracSinifi ?? '',
         'kullanimAmaci': _kullanimAmaci,
         'kapasite': int.parse(_kapasiteController.text),
         'aracDurumu': _aracDurumu,
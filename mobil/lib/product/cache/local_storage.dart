@@ -27,6 +27,19 @@ class LocalStorage {
     await _preferences?.remove('token');
   }
 
+  /// Refresh token of the device session; rotated on every token refresh
+  Future<void> setRefreshToken(String refreshToken) async {
+    await _preferences?.setString('refreshToken', refreshToken);
+  }
+
+  String? getRefreshToken() {
+    return _preferences?.getString('refreshToken');
+  }
+
+  Future<void> removeRefreshToken() async {
+    await _preferences?.remove('refreshToken');
+  }
+
   Future<void> setUser(User user) async {
     final userJson = json.encode(user.toJson());
     await _preferences?.setString('user', userJson);
@@ -0,0 +1,158 @@
+import 'dart:async';
+import 'dart:convert';
+
+import 'package:afet_arac_takip/product/cache/local_storage.dart';
+import 'package:afet_arac_takip/product/network/network_manager.dart';
+import 'package:dio/dio.dart';
+import 'package:flutter/foundation.dart';
+
+/// A server push event received from `/canli`
+class LiveEvent {
+  /// Creates a live event
+  const LiveEvent({required this.type, required this.data});
+
+  /// Event type: bildirim, talep, gorev, arac
+  final String type;
+
+  /// Event payload
+  final Map<String, dynamic> data;
+}
+
+/// Keeps a Server-Sent Events connection to `/canli` open while someone
+/// listens and broadcasts the received events.
+///
+/// The connection is authenticated with the same JWT used for API requests.
+class LiveEventService {
+  LiveEventService._init();
+  static final LiveEventService instance = LiveEventService._init();
+
+  /// Emitted after the connection drops and is re-established,
+  /// listeners should reload since events may have been missed
+  static const String reconnectedEvent = 'yeniden_baglandi';
+
+  final NetworkManager _networkManager = NetworkManager.instance;
+
+  late final StreamController<LiveEvent> _controller =
+      StreamController<LiveEvent>.broadcast(
+    onListen: _connect,
+    onCancel: _disconnect,
+  );
+
+  CancelToken? _cancelToken;
+  Timer? _reconnectTimer;
+  bool _active = false;
+  int _failedAttempts = 0;
+
+  /// All live events
+  Stream<LiveEvent> get events => _controller.stream;
+
+  /// Live events of the given [types] (reconnect notices are always included)
+  Stream<LiveEvent> on(Set<String> types) => events.where(
+        (event) => types.contains(event.type) || event.type == reconnectedEvent,
+      );
+
+  /// Drops the current connection and connects again with the current token
+  /// (call after login / logout)
+  void reconnect() {
+    if (!_active) return;
+    _cancelToken?.cancel();
+    _scheduleReconnect(immediately: true);
+  }
+
+  Future<void> _connect() async {
+    _active = true;
+    _reconnectTimer?.cancel();
+
+    if (LocalStorage.instance.getToken() == null) {
+      _scheduleReconnect();
+      return;
+    }
+
+    final cancelToken = _cancelToken = CancelToken();
+    try {
+      final response = await _networkManager.dio.get<ResponseBody>(
+        '/canli',
+        cancelToken: cancelToken,
+        options: Options(
+          responseType: ResponseType.stream,
+          receiveTimeout: Duration.zero,
+          headers: {'Accept': 'text/event-stream'},
+        ),
+      );
+
+      if (response.statusCode != 200 || response.data == null) {
+        throw Exception('Live event stream returned ${response.statusCode}');
+      }
+
+      String? eventType;
+      final dataLines = <String>[];
+
+      final lines = response.data!.stream
+          .cast<List<int>>()
+          .transform(utf8.decoder)
+          .transform(const LineSplitter());
+
+      await for (final line in lines) {
+        if (line.isEmpty) {
+          if (eventType != null && dataLines.isNotEmpty) {
+            _dispatch(eventType, dataLines.join('\n'));
+          }
+          eventType = null;
+          dataLines.clear();
+        } else if (line.startsWith('event:')) {
+          eventType = line.substring(6).trim();
+        } else if (line.startsWith('data:')) {
+          dataLines.add(line.substring(5).trim());
+        }
+      }
+    } on DioException catch (e) {
+      if (CancelToken.isCancel(e)) return;
+      debugPrint('[LiveEventService] Connection error: ${e.message}');
+    } on Exception catch (e) {
+      debugPrint('[LiveEventService] Connection error: $e');
+    }
+
+    if (_active && !cancelToken.isCancelled) {
+      _scheduleReconnect();
+    }
+  }
+
+  void _dispatch(String type, String rawData) {
+    if (type == 'baglandi') {
+      // A successful connect after a drop means events may have been missed
+      if (_failedAttempts > 0) {
+        _controller.add(const LiveEvent(type: reconnectedEvent, data: {}));
+      }
+      _failedAttempts = 0;
+      return;
+    }
+
+    try {
+      final data = json.decode(rawData);
+      if (data is Map<String, dynamic>) {
+        _controller.add(LiveEvent(type: type, data: data));
+      }
+    } on FormatException catch (e) {
+      debugPrint('[LiveEventService] Invalid event data: $e');
+    }
+  }
+
+  void _scheduleReconnect({bool immediately = false}) {
+    _reconnectTimer?.cancel();
+    if (!_active) return;
+
+    // 2s, 4s, 8s ... capped at 60s
+    final delay = immediately
+        ? Duration.zero
+        : Duration(seconds: (2 << _failedAttempts.clamp(0, 5)).clamp(2, 60));
+    if (!immediately) _failedAttempts++;
+
+    _reconnectTimer = Timer(delay, _connect);
+  }
+
+  void _disconnect() {
+    _active = false;
+    _reconnectTimer?.cancel();
+    _cancelToken?.cancel();
+  }
+}
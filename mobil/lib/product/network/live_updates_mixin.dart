@@ -0,0 +1,33 @@
+import 'dart:async';
+
+import 'package:afet_arac_takip/product/network/live_event_service.dart';
+import 'package:flutter/foundation.dart';
+
+/// Mixin for ViewModels whose data should follow server push events
+///
+/// **[LiveUpdatesMixin]** Reloads the ViewModel when a matching event arrives:
+/// - Subscribes once, repeated calls are ignored
+/// - Debounces bursts of events into a single reload
+/// - Must be cancelled in `dispose`
+mixin LiveUpdatesMixin on ChangeNotifier {
+  StreamSubscription<LiveEvent>? _liveSubscription;
+  Timer? _liveDebounce;
+
+  /// Reload with [onUpdate] whenever an event of [types] is received
+  void listenLiveUpdates(Set<String> types, Future<void> Function() onUpdate) {
+    _liveSubscription ??= LiveEventService.instance.on(types).listen((event) {
+      _liveDebounce?.cancel();
+      _liveDebounce = Timer(const Duration(milliseconds: 500), () {
+        debugPrint('[LiveUpdatesMixin] ${event.type} event, reloading');
+        onUpdate();
+      });
+    });
+  }
+
+  /// Stop following live events
+  void cancelLiveUpdates() {
+    _liveDebounce?.cancel();
+    _liveSubscription?.cancel();
+    _liveSubscription = null;
+  }
+}
@@ -1,5 +1,6 @@
 import 'dart:io' show Platform;
 
+import 'package:afet_arac_takip/core/init/navigation/navigation_service.dart';
 import 'package:afet_arac_takip/product/cache/local_storage.dart';
 import 'package:dio/dio.dart';
 import 'package:flutter/foundation.dart';
@@ -13,6 +14,21 @@ class NetworkManager {
 
   late final Dio dio;
 
+  /// Separate client for token refresh so it bypasses the auth interceptors
+  late final Dio _refreshDio;
+
+  /// In-flight refresh shared by requests that expire at the same time,
+  /// since the refresh token changes on every use
+  Future<bool>? _refreshing;
+
+  /// Auth endpoints whose 401 responses must not trigger a token refresh
+  static const _noRefreshPaths = [
+    '/auth/girisyap',
+    '/auth/kayitol',
+    '/auth/token-yenile',
+    '/auth/cikisyap',
+  ];
+
   /// Base URL for API requests
   String get _baseUrl {
     if (kDebugMode) {
@@ -47,6 +63,7 @@ class NetworkManager {
     );
 
     dio = Dio(baseOptions);
+    _refreshDio = Dio(baseOptions);
 
     // Add auth interceptor
     dio.interceptors.add(
@@ -59,6 +76,29 @@ class NetworkManager {
           }
           return handler.next(options);
         },
+        // Access tokens are short-lived: on 401 refresh once and replay the request
+        onResponse: (response, handler) async {
+          final options = response.requestOptions;
+          if (response.statusCode != 401 ||
+              options.extra['tokenRefreshed'] == true ||
+              _noRefreshPaths.contains(options.path) ||
+              LocalStorage.instance.getRefreshToken() == null) {
+            return handler.next(response);
+          }
+
+          if (!await refreshSession()) {
+            return handler.next(response);
+          }
+
+          options.extra['tokenRefreshed'] = true;
+          options.headers['Authorization'] =
+              'Bearer ${LocalStorage.instance.getToken()}';
+          try {
+            return handler.resolve(await dio.fetch<dynamic>(options));
+          } on DioException catch (e) {
+            return handler.reject(e);
+          }
+        },
       ),
     );
 
@@ -117,6 +157,46 @@ class NetworkManager {
     }
   }
 
+  /// Gets a new access token with the stored refresh token.
+  /// If the session was revoked or expired, clears the stored session and
+  /// returns to the login page.
+  Future<bool> refreshSession() {
+    return _refreshing ??= _refreshSession().whenComplete(() {
+      _refreshing = null;
+    });
+  }
+
+  Future<bool> _refreshSession() async {
+    final storage = LocalStorage.instance;
+    try {
+      final response = await _refreshDio.post<Map<String, dynamic>>(
+        '/auth/token-yenile',
+        data: {'isMobile': true, 'yenilemeTokeni': storage.getRefreshToken()},
+      );
+
+      final token = response.data?['token'] as String?;
+      if (response.statusCode == 200 && token != null) {
+        await storage.setToken(token);
+        // null: the same token was just rotated by a parallel request
+        final refreshToken = response.data?['yenilemeTokeni'] as String?;
+        if (refreshToken != null) {
+          await storage.setRefreshToken(refreshToken);
+        }
+        return true;
+      }
+
+      if (response.statusCode == 401) {
+        debugPrint('[NetworkManager] Session ended, returning to login');
+        await storage.clear();
+        await NavigationService.instance.navigateToPageClear(path: '/login');
+      }
+      return false;
+    } on DioException catch (e) {
+      debugPrint('[NetworkManager] Token refresh failed: ${e.message}');
+      return false;
+    }
+  }
+
   /// Test the connection to the server
   Future<bool> testConnection() async {
     try {
@@ -0,0 +1,151 @@
+import 'package:afet_arac_takip/product/network/network_manager.dart';
+import 'package:dio/dio.dart';
+
+/// Cursor paged list following the backend list query contract
+///
+/// **[PagedList]** Requests `limit` / `imlec` together with the list filters
+/// (`sirala`, `durum`, `arama`, `baslangic`, `bitis`, `kurumFirmaId`) and reads
+/// the `{ veriler, sayfalama }` envelope:
+/// - [reload] replaces the items with the first page of new filters
+/// - [loadMore] appends the page after `sayfalama.sonrakiImlec`
+/// - [total] is the filtered total reported by the server
+class PagedList<T> {
+  /// Creates a paged list for [path] parsing items with [parser]
+  PagedList({
+    required this.path,
+    required this.parser,
+    this.pageSize = 25,
+  });
+
+  /// Endpoint path, e.g. `/gorevler`
+  final String path;
+
+  /// Item parser
+  final T Function(Map<String, dynamic>) parser;
+
+  /// Items per page (backend caps at 100)
+  final int pageSize;
+
+  final List<T> _items = [];
+  List<T> get items => List.unmodifiable(_items);
+
+  int _total = 0;
+  int get total => _total;
+
+  String? _nextCursor;
+  bool get hasMore => _nextCursor != null;
+
+  Map<String, dynamic> _filters = {};
+
+  // Responses of a superseded reload are dropped
+  int _generation = 0;
+
+  /// Loads the first page, replacing current items
+  /// [filters] replaces the active filters when given; empty / 'all' values are skipped
+  Future<void> reload([Map<String, dynamic>? filters]) async {
+    if (filters != null) _filters = _clean(filters);
+    final generation = ++_generation;
+
+    final page = await _fetch(null);
+    if (generation != _generation) return;
+
+    _items
+      ..clear()
+      ..addAll(page.items);
+    _apply(page);
+  }
+
+  /// Appends the next page, does nothing when [hasMore] is false
+  Future<void> loadMore() async {
+    if (!hasMore) return;
+    final generation = _generation;
+
+    final page = await _fetch(_nextCursor);
+    if (generation != _generation) return;
+
+    _items.addAll(page.items);
+    _apply(page);
+  }
+
+  /// Replaces the item matching [test] (e.g. after an update response)
+  void replaceWhere(bool Function(T item) test, T item) {
+    final index = _items.indexWhere(test);
+    if (index != -1) _items[index] = item;
+  }
+
+  /// Removes the items matching [test] (e.g. after a delete response)
+  void removeWhere(bool Function(T item) test) {
+    final before = _items.length;
+    _items.removeWhere(test);
+    _total -= before - _items.length;
+  }
+
+  /// Total count of [path] for [filters] without fetching the items
+  static Future<int> count(
+    String path, [
+    Map<String, dynamic> filters = const {},
+  ]) async {
+    final response = await NetworkManager.instance.dio.get<Map<String, dynamic>>(
+      path,
+      queryParameters: {..._clean(filters), 'limit': 1},
+    );
+    _check(response);
+    final meta = response.data!['sayfalama'] as Map<String, dynamic>;
+    return meta['toplam'] as int;
+  }
+
+  Future<_Page<T>> _fetch(String? cursor) async {
+    final response = await NetworkManager.instance.dio.get<Map<String, dynamic>>(
+      path,
+      queryParameters: {
+        ..._filters,
+        'limit': pageSize,
+        if (cursor != null) 'imlec': cursor,
+      },
+    );
+    _check(response);
+
+    final data = response.data!;
+    final meta = data['sayfalama'] as Map<String, dynamic>;
+    return _Page(
+      items: (data['veriler'] as List<dynamic>)
+          .map((e) => parser(e as Map<String, dynamic>))
+          .toList(),
+      total: meta['toplam'] as int,
+      nextCursor: meta['sonrakiImlec'] as String?,
+    );
+  }
+
+  void _apply(_Page<T> page) {
+    _total = page.total;
+    _nextCursor = page.nextCursor;
+  }
+
+  // NetworkManager accepts 4xx responses, so invalid filters surface here
+  static void _check(Response<Map<String, dynamic>> response) {
+    if (response.statusCode != 200 || response.data == null) {
+      throw DioException(
+        requestOptions: response.requestOptions,
+        response: response,
+        message: (response.data?['error'] ?? response.data?['message'])
+            ?.toString(),
+      );
+    }
+  }
+
+  static Map<String, dynamic> _clean(Map<String, dynamic> filters) {
+    return Map.fromEntries(
+      filters.entries.where(
+        (e) => e.value != null && e.value != '' && e.value != 'all',
+      ),
+    );
+  }
+}
+
+class _Page<T> {
+  _Page({required this.items, required this.total, this.nextCursor});
+
+  final List<T> items;
+  final int total;
+  final String? nextCursor;
+}